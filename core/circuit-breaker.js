@@ -8,46 +8,82 @@
  */
 
 const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Circuit states
+ * 
+ * closed: normal trading, open: trading halted,
+ * half-open: cooldown elapsed, trading resumes at reduced size until
+ * enough clean checks close the circuit again
+ */
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
 
 class CircuitBreaker extends EventEmitter {
   /**
    * Initialize the Circuit Breaker
    * 
    * @param {Object} options - Configuration options
+   * @param {string|null} options.statePath - File the breach state is persisted to, one per instance (default: null, in memory)
+   * @param {number} options.halfOpenSizeMultiplier - Position size multiplier while half-open
+   * @param {number} options.halfOpenSuccessThreshold - Clean checks needed to close from half-open
+   * @param {Object} options.evaluators - Custom evaluators by threshold name (see registerEvaluator)
    */
   constructor(options = {}) {
     super();
     
     this.options = {
       checkInterval: 30000, // 30 seconds
-      resetTimeout: 3600000, // 1 hour
+      resetTimeout: 3600000, // 1 hour cooldown before half-open
+      halfOpenSizeMultiplier: 0.25, // Trade at 25% size while half-open
+      halfOpenSuccessThreshold: 3, // Clean checks before closing
+      statePath: null, // In memory unless the caller gives this instance a file
+      ...options,
       thresholds: {
         volatility: 0.05, // 5% volatility
         drawdown: 0.1, // 10% drawdown
         sentimentDrop: 0.2, // 20% sentiment drop
         volumeSpike: 3.0, // 3x normal volume
-        priceGap: 0.03 // 3% price gap
-      },
-      ...options
+        priceGap: 0.03, // 3% price gap
+        ...(options.thresholds || {})
+      }
     };
     
     this.state = {
       initialized: false,
       active: false,
+      circuit: CIRCUIT_STATES.CLOSED,
       lastTriggered: null,
       lastReset: null,
+      halfOpenSince: null,
+      halfOpenSuccesses: 0,
       currentBreaches: {},
       breachHistory: [],
       marketState: {},
       protectiveActions: []
     };
     
+    // Custom evaluators, checked after the built-in thresholds
+    this.evaluators = new Map();
+    for (const [name, evaluator] of Object.entries(options.evaluators || {})) {
+      this.registerEvaluator(name, evaluator);
+    }
+    
+    this.checkTimer = null;
+    this.resetTimer = null;
+    
     // Bind methods
     this.initialize = this.initialize.bind(this);
     this.check = this.check.bind(this);
     this.reset = this.reset.bind(this);
     this.updateMarketState = this.updateMarketState.bind(this);
     this.registerProtectiveAction = this.registerProtectiveAction.bind(this);
+    this.registerEvaluator = this.registerEvaluator.bind(this);
     this._evaluateBreaches = this._evaluateBreaches.bind(this);
     this._executeProtectiveActions = this._executeProtectiveActions.bind(this);
   }
@@ -63,6 +99,9 @@ class CircuitBreaker extends EventEmitter {
       this.state.active = false;
       this.state.lastReset = Date.now();
       
+      // A breach from before a restart keeps trading halted
+      await this._loadState();
+      
       // Register default protective actions
       this.registerProtectiveAction({
         name: 'pause-trading',
@@ -101,7 +140,7 @@ class CircuitBreaker extends EventEmitter {
       
       return true;
     } catch (error) {
-      this.emit('error', {
+      this._reportError({
         message: 'Failed to initialize Circuit Breaker',
         error: error.message
       });
@@ -117,13 +156,19 @@ class CircuitBreaker extends EventEmitter {
    */
   async check() {
     try {
-      // Skip if already active
-      if (this.state.active) {
-        return {
-          active: true,
-          breaches: this.state.currentBreaches,
-          lastTriggered: this.state.lastTriggered
-        };
+      // Stay open until the cooldown has elapsed
+      if (this.state.circuit === CIRCUIT_STATES.OPEN) {
+        if (Date.now() - this.state.lastTriggered < this.options.resetTimeout) {
+          return {
+            active: true,
+            circuit: this.state.circuit,
+            sizeMultiplier: 0,
+            breaches: this.state.currentBreaches,
+            lastTriggered: this.state.lastTriggered
+          };
+        }
+        
+        await this._enterHalfOpen();
       }
       
       // Evaluate breaches
@@ -136,48 +181,27 @@ class CircuitBreaker extends EventEmitter {
       const breachCount = Object.values(breaches).filter(breach => breach.breached).length;
       
       if (breachCount > 0) {
-        // Trigger circuit breaker
-        this.state.active = true;
-        this.state.lastTriggered = Date.now();
-        
-        // Add to breach history
-        this.state.breachHistory.push({
-          timestamp: Date.now(),
-          breaches,
-          marketState: { ...this.state.marketState }
-        });
-        
-        // Trim history if too long
-        if (this.state.breachHistory.length > 100) {
-          this.state.breachHistory = this.state.breachHistory.slice(-100);
-        }
-        
-        // Execute protective actions
-        await this._executeProtectiveActions();
-        
-        // Emit event
-        this.emit('triggered', {
-          timestamp: Date.now(),
-          breaches,
-          marketState: this.state.marketState
-        });
+        await this._trip(breaches);
+      } else if (this.state.circuit === CIRCUIT_STATES.HALF_OPEN) {
+        this.state.halfOpenSuccesses++;
         
-        // Schedule reset
-        if (this.options.autoReset) {
-          setTimeout(() => {
-            this.reset();
-          }, this.options.resetTimeout);
+        if (this.state.halfOpenSuccesses >= this.options.halfOpenSuccessThreshold) {
+          await this._close('half-open-recovered');
+        } else {
+          await this._persistState();
         }
       }
       
       return {
         active: this.state.active,
+        circuit: this.state.circuit,
+        sizeMultiplier: this.getSizeMultiplier(),
         breaches,
         breachCount,
         lastChecked: Date.now()
       };
     } catch (error) {
-      this.emit('error', {
+      this._reportError({
         message: 'Failed to check circuit breaker',
         error: error.message
       });
@@ -193,8 +217,8 @@ class CircuitBreaker extends EventEmitter {
    */
   async reset() {
     try {
-      // Skip if not active
-      if (!this.state.active) {
+      // Skip if not tripped
+      if (this.state.circuit === CIRCUIT_STATES.CLOSED) {
         return true;
       }
       
@@ -210,20 +234,12 @@ class CircuitBreaker extends EventEmitter {
         return false;
       }
       
-      // Reset state
-      this.state.active = false;
-      this.state.lastReset = Date.now();
-      this.state.currentBreaches = {};
-      
-      // Emit event
-      this.emit('reset', {
-        timestamp: Date.now(),
-        timeSinceTriggered
-      });
+      // Manual reset skips the half-open probation
+      await this._close('manual-reset');
       
       return true;
     } catch (error) {
-      this.emit('error', {
+      this._reportError({
         message: 'Failed to reset circuit breaker',
         error: error.message
       });
@@ -271,17 +287,332 @@ class CircuitBreaker extends EventEmitter {
     this.state.protectiveActions.sort((a, b) => a.priority - b.priority);
   }
   
+  /**
+   * Register a custom threshold evaluator
+   * 
+   * The evaluator receives (marketState, threshold, breaker) and returns a
+   * number compared against the threshold, a boolean, or
+   * { current, breached } for full control. Returning undefined skips it.
+   * 
+   * @param {string} name - Threshold name (shown in breaches)
+   * @param {Function} evaluator - Evaluator function (may be async)
+   * @param {number} threshold - Optional threshold stored in options.thresholds
+   */
+  registerEvaluator(name, evaluator, threshold) {
+    if (!name || typeof evaluator !== 'function') {
+      throw new Error('Invalid circuit breaker evaluator');
+    }
+    
+    if (threshold !== undefined) {
+      this.options.thresholds[name] = threshold;
+    }
+    
+    this.evaluators.set(name, evaluator);
+  }
+  
+  /**
+   * Remove a custom threshold evaluator
+   * 
+   * @param {string} name - Threshold name
+   * @returns {boolean} Whether an evaluator was removed
+   */
+  unregisterEvaluator(name) {
+    return this.evaluators.delete(name);
+  }
+  
+  /**
+   * Whether new trades may be placed
+   * 
+   * @returns {boolean} False while the circuit is open
+   */
+  canTrade() {
+    return this.state.circuit !== CIRCUIT_STATES.OPEN;
+  }
+  
+  /**
+   * Multiplier to apply to position sizes in the current state
+   * 
+   * @returns {number} 1 when closed, the half-open multiplier when half-open, 0 when open
+   */
+  getSizeMultiplier() {
+    switch (this.state.circuit) {
+      case CIRCUIT_STATES.OPEN:
+        return 0;
+      case CIRCUIT_STATES.HALF_OPEN:
+        return this.options.halfOpenSizeMultiplier;
+      default:
+        return 1;
+    }
+  }
+  
+  /**
+   * Stop the check and reset timers
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    if (this.resetTimer) {
+      clearTimeout(this.resetTimer);
+      this.resetTimer = null;
+    }
+  }
+  
+  /**
+   * Open the circuit after a breach
+   * 
+   * @private
+   * @param {Object} breaches - Breach evaluation
+   */
+  async _trip(breaches) {
+    const previous = this.state.circuit;
+    
+    this.state.circuit = CIRCUIT_STATES.OPEN;
+    this.state.active = true;
+    this.state.lastTriggered = Date.now();
+    this.state.halfOpenSince = null;
+    this.state.halfOpenSuccesses = 0;
+    
+    // Add to breach history
+    this.state.breachHistory.push({
+      timestamp: this.state.lastTriggered,
+      breaches,
+      marketState: { ...this.state.marketState }
+    });
+    
+    // Trim history if too long
+    if (this.state.breachHistory.length > 100) {
+      this.state.breachHistory = this.state.breachHistory.slice(-100);
+    }
+    
+    // Persist before acting so a crash mid-way still comes back halted
+    await this._persistState();
+    
+    // Execute protective actions
+    await this._executeProtectiveActions();
+    
+    this._emitStateChange(previous, 'breach');
+    this.emit('triggered', {
+      timestamp: Date.now(),
+      breaches,
+      marketState: this.state.marketState
+    });
+    
+    // Schedule half-open
+    if (this.options.autoReset) {
+      if (this.resetTimer) {
+        clearTimeout(this.resetTimer);
+      }
+      this.resetTimer = setTimeout(() => {
+        this.resetTimer = null;
+        this._enterHalfOpen().catch(error => {
+          this._reportError({
+            message: 'Failed to move circuit breaker to half-open',
+            error: error.message
+          });
+        });
+      }, this.options.resetTimeout);
+    }
+  }
+  
+  /**
+   * Resume trading at reduced size after the cooldown
+   * 
+   * @private
+   */
+  async _enterHalfOpen() {
+    if (this.state.circuit !== CIRCUIT_STATES.OPEN) {
+      return;
+    }
+    
+    this.state.circuit = CIRCUIT_STATES.HALF_OPEN;
+    this.state.active = false;
+    this.state.halfOpenSince = Date.now();
+    this.state.halfOpenSuccesses = 0;
+    
+    await this._persistState();
+    
+    this._emitStateChange(CIRCUIT_STATES.OPEN, 'cooldown-elapsed');
+    this.emit('half-open', {
+      timestamp: this.state.halfOpenSince,
+      sizeMultiplier: this.options.halfOpenSizeMultiplier
+    });
+  }
+  
+  /**
+   * Return to normal trading
+   * 
+   * @private
+   * @param {string} reason - Why the circuit closed
+   */
+  async _close(reason) {
+    const previous = this.state.circuit;
+    const timeSinceTriggered = Date.now() - this.state.lastTriggered;
+    
+    this.state.circuit = CIRCUIT_STATES.CLOSED;
+    this.state.active = false;
+    this.state.lastReset = Date.now();
+    this.state.halfOpenSince = null;
+    this.state.halfOpenSuccesses = 0;
+    this.state.currentBreaches = {};
+    
+    if (this.resetTimer) {
+      clearTimeout(this.resetTimer);
+      this.resetTimer = null;
+    }
+    
+    await this._persistState();
+    
+    this._emitStateChange(previous, reason);
+    this.emit('reset', {
+      timestamp: Date.now(),
+      timeSinceTriggered,
+      reason
+    });
+  }
+  
+  /**
+   * Emit 'error' to listeners, or log it; an unhandled 'error' event would
+   * throw from wherever the failure was reported
+   * 
+   * @private
+   */
+  _reportError(details) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', details);
+    } else {
+      console.error(`Circuit Breaker: ${details.message}: ${details.error}`);
+    }
+  }
+  
+  /**
+   * Report a failed state read or write without interrupting the breaker
+   * 
+   * @private
+   * @param {string} operation - 'load' or 'save'
+   * @param {Error} error - Failure
+   */
+  _reportPersistError(operation, error) {
+    const details = {
+      timestamp: Date.now(),
+      operation,
+      statePath: this.options.statePath,
+      message: operation === 'load'
+        ? 'Failed to load circuit breaker state, starting open'
+        : 'Failed to persist circuit breaker state',
+      error: error.message
+    };
+    
+    if (this.listenerCount('persist-error') > 0) {
+      this.emit('persist-error', details);
+    } else {
+      console.warn(`Circuit Breaker: ${details.message}: ${details.error}`);
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _emitStateChange(from, reason) {
+    this.emit('state-change', {
+      timestamp: Date.now(),
+      from,
+      to: this.state.circuit,
+      reason,
+      sizeMultiplier: this.getSizeMultiplier()
+    });
+  }
+  
+  /**
+   * Write the breach state to disk
+   * 
+   * @private
+   */
+  async _persistState() {
+    if (!this.options.statePath) {
+      return;
+    }
+    
+    const snapshot = {
+      circuit: this.state.circuit,
+      lastTriggered: this.state.lastTriggered,
+      lastReset: this.state.lastReset,
+      halfOpenSince: this.state.halfOpenSince,
+      halfOpenSuccesses: this.state.halfOpenSuccesses,
+      currentBreaches: this.state.currentBreaches,
+      breachHistory: this.state.breachHistory,
+      savedAt: Date.now()
+    };
+    
+    try {
+      // Write then rename so a crash never leaves a truncated state file
+      const tmpPath = `${this.options.statePath}.tmp`;
+      await fs.mkdir(path.dirname(this.options.statePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(snapshot, null, 2));
+      await fs.rename(tmpPath, this.options.statePath);
+    } catch (error) {
+      this._reportPersistError('save', error);
+    }
+  }
+  
+  /**
+   * Restore the breach state written by a previous process
+   * 
+   * @private
+   */
+  async _loadState() {
+    if (!this.options.statePath) {
+      return;
+    }
+    
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await fs.readFile(this.options.statePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Unreadable state must not silently re-enable trading
+        this.state.circuit = CIRCUIT_STATES.OPEN;
+        this.state.active = true;
+        this.state.lastTriggered = Date.now();
+        this._reportPersistError('load', error);
+      }
+      return;
+    }
+    
+    if (!Object.values(CIRCUIT_STATES).includes(snapshot.circuit)) {
+      return;
+    }
+    
+    this.state.circuit = snapshot.circuit;
+    this.state.active = snapshot.circuit === CIRCUIT_STATES.OPEN;
+    this.state.lastTriggered = snapshot.lastTriggered || null;
+    this.state.lastReset = snapshot.lastReset || this.state.lastReset;
+    this.state.halfOpenSince = snapshot.halfOpenSince || null;
+    this.state.halfOpenSuccesses = snapshot.halfOpenSuccesses || 0;
+    this.state.currentBreaches = snapshot.currentBreaches || {};
+    this.state.breachHistory = Array.isArray(snapshot.breachHistory) ? snapshot.breachHistory : [];
+    
+    if (this.state.circuit !== CIRCUIT_STATES.CLOSED) {
+      this.emit('restored', {
+        timestamp: Date.now(),
+        circuit: this.state.circuit,
+        lastTriggered: this.state.lastTriggered
+      });
+    }
+  }
+  
   /**
    * Start check interval
    * 
    * @private
    */
   _startCheckInterval() {
-    setInterval(async () => {
+    this.checkTimer = setInterval(async () => {
       try {
         await this.check();
       } catch (error) {
-        this.emit('error', {
+        this._reportError({
           message: 'Failed to auto-check circuit breaker',
           error: error.message
         });
@@ -345,6 +676,42 @@ class CircuitBreaker extends EventEmitter {
       };
     }
     
+    // Custom evaluators
+    for (const [name, evaluator] of this.evaluators) {
+      try {
+        const result = await evaluator(marketState, thresholds[name], this);
+        
+        if (result === undefined || result === null) {
+          continue;
+        }
+        
+        if (typeof result === 'object') {
+          breaches[name] = {
+            threshold: thresholds[name],
+            ...result,
+            breached: Boolean(result.breached)
+          };
+        } else if (typeof result === 'boolean') {
+          breaches[name] = {
+            threshold: thresholds[name],
+            current: result,
+            breached: result
+          };
+        } else {
+          breaches[name] = {
+            threshold: thresholds[name],
+            current: result,
+            breached: result > thresholds[name]
+          };
+        }
+      } catch (error) {
+        this._reportError({
+          message: `Failed to evaluate circuit breaker threshold: ${name}`,
+          error: error.message
+        });
+      }
+    }
+    
     return breaches;
   }
   
@@ -361,7 +728,7 @@ class CircuitBreaker extends EventEmitter {
         try {
           await action.action();
         } catch (error) {
-          this.emit('error', {
+          this._reportError({
             message: `Failed to execute protective action: ${action.name}`,
             error: error.message
           });
@@ -370,7 +737,7 @@ class CircuitBreaker extends EventEmitter {
       
       return true;
     } catch (error) {
-      this.emit('error', {
+      this._reportError({
         message: 'Failed to execute protective actions',
         error: error.message
       });
@@ -380,4 +747,4 @@ class CircuitBreaker extends EventEmitter {
   }
 }
 
-module.exports = { CircuitBreaker };
+module.exports = { CircuitBreaker, CIRCUIT_STATES };
@@ -1,329 +1,9 @@
 /**
  * Sentiment Oracle Network
- * 
- * A distributed network of sentiment oracles that aggregate real-time
- * sentiment data from social media, news, and market sources to provide
- * actionable insights for trading strategies.
+ *
+ * The sentiment pipeline lives in src/oracle/sentiment-oracle.js. This
+ * module re-exports it for the strategies and simulations that load it
+ * from core/.
  */
 
-const EventEmitter = require('events');
-
-class SentimentOracleNetwork extends EventEmitter {
-  /**
-   * Initialize the Sentiment Oracle Network
-   * 
-   * @param {Object} options - Configuration options
-   */
-  constructor(options = {}) {
-    super();
-    
-    this.options = {
-      updateInterval: 60000, // 1 minute
-      sentimentThreshold: 0.7,
-      minConfidence: 0.6,
-      sources: ['twitter', 'reddit', 'news', 'market'],
-      ...options
-    };
-    
-    this.state = {
-      initialized: false,
-      lastUpdate: null,
-      aggregateScore: 0.5, // Neutral by default
-      sourceScores: {},
-      keywords: {},
-      trends: [],
-      confidence: 0.0
-    };
-    
-    // Bind methods
-    this.initialize = this.initialize.bind(this);
-    this.updateSentiment = this.updateSentiment.bind(this);
-    this.getSentiment = this.getSentiment.bind(this);
-    this.getKeywordSentiment = this.getKeywordSentiment.bind(this);
-    this.getTrends = this.getTrends.bind(this);
-    this._aggregateSources = this._aggregateSources.bind(this);
-  }
-  
-  /**
-   * Initialize the network
-   * 
-   * @returns {Promise<boolean>} Success status
-   */
-  async initialize() {
-    try {
-      this.state.initialized = true;
-      this.state.lastUpdate = Date.now();
-      
-      // Initialize source scores
-      for (const source of this.options.sources) {
-        this.state.sourceScores[source] = {
-          score: 0.5, // Neutral by default
-          confidence: 0.0,
-          lastUpdate: null
-        };
-      }
-      
-      // Initialize keywords
-      this.state.keywords = {
-        'nasdaq': { score: 0.5, confidence: 0.0, mentions: 0 },
-        'xrp': { score: 0.5, confidence: 0.0, mentions: 0 },
-        'crypto': { score: 0.5, confidence: 0.0, mentions: 0 },
-        'etf': { score: 0.5, confidence: 0.0, mentions: 0 },
-        'futures': { score: 0.5, confidence: 0.0, mentions: 0 }
-      };
-      
-      // Start update interval
-      if (this.options.autoUpdate) {
-        this._startUpdateInterval();
-      }
-      
-      this.emit('initialized', {
-        timestamp: Date.now(),
-        state: this.state
-      });
-      
-      return true;
-    } catch (error) {
-      this.emit('error', {
-        message: 'Failed to initialize Sentiment Oracle Network',
-        error: error.message
-      });
-      
-      throw error;
-    }
-  }
-  
-  /**
-   * Update sentiment data
-   * 
-   * @param {Object} data - Sentiment data
-   * @returns {Promise<Object>} Updated sentiment state
-   */
-  async updateSentiment(data = {}) {
-    try {
-      const {
-        sourceScores = {},
-        keywords = {},
-        trends = []
-      } = data;
-      
-      // Update source scores
-      for (const [source, scoreData] of Object.entries(sourceScores)) {
-        if (this.state.sourceScores[source]) {
-          this.state.sourceScores[source] = {
-            ...this.state.sourceScores[source],
-            ...scoreData,
-            lastUpdate: Date.now()
-          };
-        }
-      }
-      
-      // Update keywords
-      for (const [keyword, keywordData] of Object.entries(keywords)) {
-        if (this.state.keywords[keyword]) {
-          this.state.keywords[keyword] = {
-            ...this.state.keywords[keyword],
-            ...keywordData
-          };
-        } else {
-          // Add new keyword
-          this.state.keywords[keyword] = {
-            score: 0.5,
-            confidence: 0.0,
-            mentions: 0,
-            ...keywordData
-          };
-        }
-      }
-      
-      // Update trends
-      if (trends.length > 0) {
-        this.state.trends = [
-          ...trends,
-          ...this.state.trends
-        ].slice(0, 20); // Keep only top 20 trends
-      }
-      
-      // Aggregate sources
-      await this._aggregateSources();
-      
-      this.state.lastUpdate = Date.now();
-      
-      this.emit('sentiment-updated', {
-        timestamp: Date.now(),
-        aggregateScore: this.state.aggregateScore,
-        confidence: this.state.confidence
-      });
-      
-      return {
-        success: true,
-        aggregateScore: this.state.aggregateScore,
-        confidence: this.state.confidence,
-        lastUpdate: this.state.lastUpdate
-      };
-    } catch (error) {
-      this.emit('error', {
-        message: 'Failed to update sentiment',
-        error: error.message
-      });
-      
-      throw error;
-    }
-  }
-  
-  /**
-   * Get current sentiment data
-   * 
-   * @returns {Object} Current sentiment state
-   */
-  getSentiment() {
-    return {
-      aggregateScore: this.state.aggregateScore,
-      confidence: this.state.confidence,
-      sourceScores: this.state.sourceScores,
-      lastUpdate: this.state.lastUpdate
-    };
-  }
-  
-  /**
-   * Get sentiment for a specific keyword
-   * 
-   * @param {string} keyword - Keyword to get sentiment for
-   * @returns {Object|null} Keyword sentiment data or null if not found
-   */
-  getKeywordSentiment(keyword) {
-    return this.state.keywords[keyword] || null;
-  }
-  
-  /**
-   * Get current trends
-   * 
-   * @param {number} limit - Maximum number of trends to return
-   * @returns {Array} Current trends
-   */
-  getTrends(limit = 10) {
-    return this.state.trends.slice(0, limit);
-  }
-  
-  /**
-   * Start update interval
-   * 
-   * @private
-   */
-  _startUpdateInterval() {
-    setInterval(async () => {
-      try {
-        // Simulate fetching data from external sources
-        const mockData = this._generateMockData();
-        await this.updateSentiment(mockData);
-      } catch (error) {
-        this.emit('error', {
-          message: 'Failed to auto-update sentiment',
-          error: error.message
-        });
-      }
-    }, this.options.updateInterval);
-  }
-  
-  /**
-   * Generate mock sentiment data for testing
-   * 
-   * @private
-   * @returns {Object} Mock sentiment data
-   */
-  _generateMockData() {
-    // Generate random source scores
-    const sourceScores = {};
-    for (const source of this.options.sources) {
-      sourceScores[source] = {
-        score: 0.3 + Math.random() * 0.6, // 0.3 to 0.9
-        confidence: 0.5 + Math.random() * 0.4, // 0.5 to 0.9
-      };
-    }
-    
-    // Generate random keyword scores
-    const keywords = {};
-    const keywordList = ['nasdaq', 'xrp', 'crypto', 'etf', 'futures', 'volatility', 'bull', 'bear'];
-    for (const keyword of keywordList) {
-      if (Math.random() > 0.5) {
-        keywords[keyword] = {
-          score: 0.3 + Math.random() * 0.6, // 0.3 to 0.9
-          confidence: 0.5 + Math.random() * 0.4, // 0.5 to 0.9
-          mentions: Math.floor(Math.random() * 1000)
-        };
-      }
-    }
-    
-    // Generate random trends
-    const trends = [];
-    const trendList = [
-      '#NasdaqETF2025',
-      '#XRPLyield',
-      '#CryptoETF',
-      '#NasdaqHype',
-      '#FuturesTrading',
-      '#CryptoYield',
-      '#DarkPoolActivity',
-      '#AlgoTrading',
-      '#MarketStructure',
-      '#XRPLiquidity'
-    ];
-    
-    // Shuffle and take random number of trends
-    const shuffledTrends = trendList.sort(() => Math.random() - 0.5);
-    const trendCount = Math.floor(Math.random() * 5) + 3; // 3 to 7 trends
-    
-    for (let i = 0; i < trendCount; i++) {
-      trends.push({
-        name: shuffledTrends[i],
-        score: 0.3 + Math.random() * 0.6, // 0.3 to 0.9
-        momentum: Math.random() > 0.5 ? 'rising' : 'falling',
-        mentions: Math.floor(Math.random() * 10000)
-      });
-    }
-    
-    return {
-      sourceScores,
-      keywords,
-      trends
-    };
-  }
-  
-  /**
-   * Aggregate sentiment from all sources
-   * 
-   * @private
-   * @returns {Promise<void>}
-   */
-  async _aggregateSources() {
-    // Calculate weighted average of source scores
-    let weightedSum = 0;
-    let weightSum = 0;
-    
-    for (const [source, data] of Object.entries(this.state.sourceScores)) {
-      if (data.confidence >= this.options.minConfidence) {
-        const weight = data.confidence;
-        weightedSum += data.score * weight;
-        weightSum += weight;
-      }
-    }
-    
-    // Calculate aggregate score
-    if (weightSum > 0) {
-      this.state.aggregateScore = weightedSum / weightSum;
-    }
-    
-    // Calculate confidence
-    const confidenceValues = Object.values(this.state.sourceScores)
-      .filter(data => data.confidence >= this.options.minConfidence)
-      .map(data => data.confidence);
-    
-    if (confidenceValues.length > 0) {
-      this.state.confidence = confidenceValues.reduce((sum, val) => sum + val, 0) / confidenceValues.length;
-    } else {
-      this.state.confidence = 0;
-    }
-  }
-}
-
-module.exports = { SentimentOracleNetwork };
+module.exports = require('../src/oracle/sentiment-oracle');
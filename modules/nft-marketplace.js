@@ -11,6 +11,7 @@
  */
 
 const xrpl = require('xrpl');
+const { TransactionSubmitter } = require('../src/services/transaction-submitter');
 
 class NFTMarketplace {
   constructor(connector) {
@@ -63,18 +64,14 @@ class NFTMarketplace {
       console.log(`🎨 Creating Yield NFT with metadata:`);
       console.log(JSON.stringify(metadata, null, 2));
 
-      // Prepare NFT minting transaction
-      const tx = await this.connector.client.autofill({
+      // Submit NFT minting transaction
+      const result = await TransactionSubmitter.forClient(this.connector.client).submit({
         TransactionType: 'NFTokenMint',
         Account: this.connector.wallet.address,
         URI: xrpl.convertStringToHex(metadataURI),
         NFTokenTaxon: 0, // Required field but not used
         Flags: xrpl.NFTokenMintFlags.tfTransferable
-      });
-
-      // Sign and submit transaction
-      const signed = this.connector.wallet.sign(tx);
-      const result = await this.connector.client.submitAndWait(signed.tx_blob);
+      }, { wallet: this.connector.wallet });
       
       // Extract NFT ID from transaction result
       const nftID = this.extractNFTokenID(result);
@@ -116,9 +113,11 @@ class NFTMarketplace {
    * @returns {string|null} NFT ID or null if not found
    */
   extractNFTokenID(txResult) {
-    // In a real implementation, we would parse the transaction metadata
-    // For this mock, we'll generate a realistic NFT ID
-    return `00081388DC6B175F523586C5E36D0D9A7C3F3C13FB6F8B3DC6B175F523586C5E36D0D9A7C3F3C13FB6F8B3000000D9`;
+    const meta = txResult && txResult.result && txResult.result.meta;
+    if (!meta || typeof meta !== 'object') {
+      return null;
+    }
+    return meta.nftoken_id || null;
   }
 
   /**
@@ -139,18 +138,14 @@ class NFTMarketplace {
     try {
       console.log(`💹 Listing NFT ${nftID} on XRPL DEX for ${price} XRP`);
       
-      // Prepare NFT sell offer transaction
-      const tx = await this.connector.client.autofill({
+      // Submit NFT sell offer transaction
+      const result = await TransactionSubmitter.forClient(this.connector.client).submit({
         TransactionType: 'NFTokenCreateOffer',
         Account: this.connector.wallet.address,
         NFTokenID: nftID,
         Amount: xrpl.xrpToDrops(price),
         Flags: xrpl.NFTokenCreateOfferFlags.tfSellNFToken
-      });
-
-      // Sign and submit transaction
-      const signed = this.connector.wallet.sign(tx);
-      const result = await this.connector.client.submitAndWait(signed.tx_blob);
+      }, { wallet: this.connector.wallet });
       
       // Extract offer index from transaction result
       const offerIndex = this.extractOfferIndex(result);
@@ -200,9 +195,19 @@ class NFTMarketplace {
    * @returns {string|null} Offer index or null if not found
    */
   extractOfferIndex(txResult) {
-    // In a real implementation, we would parse the transaction metadata
-    // For this mock, we'll generate a realistic offer index
-    return `${Date.now().toString(16)}${Math.floor(Math.random() * 1000000).toString(16)}`;
+    const meta = txResult && txResult.result && txResult.result.meta;
+    if (!meta || typeof meta !== 'object') {
+      return null;
+    }
+    if (meta.offer_id) {
+      return meta.offer_id;
+    }
+
+    // Older servers only report the offer as a created ledger node
+    const created = (meta.AffectedNodes || [])
+      .map(node => node.CreatedNode)
+      .find(node => node && node.LedgerEntryType === 'NFTokenOffer');
+    return created ? created.LedgerIndex : null;
   }
 
   /**
@@ -234,16 +239,12 @@ class NFTMarketplace {
     try {
       console.log(`🛒 Accepting offer for NFT ${nftID} at ${listing.price} XRP`);
       
-      // Prepare accept offer transaction
-      const tx = await this.connector.client.autofill({
+      // Submit accept offer transaction
+      const result = await TransactionSubmitter.forClient(this.connector.client).submit({
         TransactionType: 'NFTokenAcceptOffer',
         Account: this.connector.wallet.address,
         NFTokenSellOffer: offerIndex
-      });
-
-      // Sign and submit transaction
-      const signed = this.connector.wallet.sign(tx);
-      const result = await this.connector.client.submitAndWait(signed.tx_blob);
+      }, { wallet: this.connector.wallet });
       
       // Calculate royalty
       const royaltyAmount = listing.price * this.royaltyRate;
@@ -300,17 +301,13 @@ class NFTMarketplace {
     try {
       console.log(`💸 Paying royalties for NFT ${nftID} to DAO treasury`);
       
-      // Prepare payment transaction
-      const tx = await this.connector.client.autofill({
+      // Submit payment transaction; the key keeps a retried call from paying twice
+      const result = await TransactionSubmitter.forClient(this.connector.client).submit({
         TransactionType: 'Payment',
         Account: this.connector.wallet.address,
         Destination: this.daoTreasury,
         Amount: xrpl.xrpToDrops(soldNFT.royalty)
-      });
-
-      // Sign and submit transaction
-      const signed = this.connector.wallet.sign(tx);
-      const result = await this.connector.client.submitAndWait(signed.tx_blob);
+      }, { wallet: this.connector.wallet, idempotencyKey: `royalty:${nftID}` });
       
       console.log(`✅ Royalty paid: ${soldNFT.royalty.toFixed(2)} XRP to DAO treasury`);
       
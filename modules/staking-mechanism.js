@@ -4,23 +4,56 @@
  * Sophisticated staking system with:
  * - Tiered weights based on XRP stake amount
  * - Eco-multipliers for green votes (1.5x)
- * - Auto-refunds post-tally
+ * - Escrow-locked stakes released to the voter at vote end
+ * - Auto-refunds post-tally (escrow settlement)
  * - Yield share rewards for top voters
  * 
  * Part of the Stake-to-Yield Marketplace Hub
  */
 
 const xrpl = require('xrpl');
+const { StakeEscrowManager } = require('../src/dao/stake-escrow');
 
 class StakingMechanism {
-  constructor(connector) {
+  /**
+   * @param {Object} connector - Testnet connector with client and wallet
+   * @param {Object} options - Staking options
+   * @param {StakeEscrowManager} options.stakeEscrow - Escrow manager (default: one over connector.client)
+   * @param {number} options.voteDuration - Seconds a vote stays open when no end time is set (default: 86400)
+   */
+  constructor(connector, options = {}) {
     this.connector = connector;
     this.stakes = new Map(); // Map of stakes by address and vote
     this.daoAddress = 'rDAOStakingTest'; // Mock DAO address
+    this.stakeEscrow = options.stakeEscrow || null;
+    this.voteDuration = options.voteDuration || 86400;
+    this.voteEndTimes = new Map(); // Vote end (ms) by vote ID
+  }
+
+  /**
+   * Set when a vote ends; stakes are escrowed until then
+   * @param {string} voteId - ID of the vote
+   * @param {number} endsAt - Vote end in milliseconds
+   */
+  setVoteEnd(voteId, endsAt) {
+    this.voteEndTimes.set(voteId, endsAt);
+  }
+
+  /**
+   * Escrow manager bound to the connector's client
+   * @private
+   */
+  _getStakeEscrow() {
+    if (!this.stakeEscrow) {
+      this.stakeEscrow = new StakeEscrowManager({ client: this.connector.client });
+    }
+    return this.stakeEscrow;
   }
 
   /**
    * Stake XRP to vote on a proposal
+   * The stake is locked in an escrow back to the voter that releases when
+   * the vote ends (the first stake fixes the end if setVoteEnd was not called).
    * @param {string} voteId - ID of the vote
    * @param {string} option - Option being voted for
    * @param {number} amount - Amount of XRP to stake
@@ -42,27 +75,25 @@ class StakingMechanism {
         console.log(`🌱 Eco-boost applied: ${amount} XRP × ${ecoBoost.toFixed(2)} = ${effectiveAmount.toFixed(2)} effective stake`);
       }
       
-      // Prepare transaction to stake (send XRP to DAO address with memo)
-      const tx = await this.connector.client.autofill({
-        TransactionType: 'Payment',
-        Account: this.connector.wallet.address,
-        Destination: this.daoAddress,
-        Amount: xrpl.xrpToDrops(amount),
-        Memos: [{
-          Memo: {
-            MemoData: xrpl.convertStringToHex(JSON.stringify({
-              voteId,
-              option,
-              isEcoOption,
-              ecoBoost
-            }))
-          }
-        }]
-      });
+      if (!this.voteEndTimes.has(voteId)) {
+        this.setVoteEnd(voteId, Date.now() + this.voteDuration * 1000);
+      }
       
-      // Sign and submit transaction
-      const signed = this.connector.wallet.sign(tx);
-      const result = await this.connector.client.submitAndWait(signed.tx_blob);
+      // Lock the stake in escrow until the vote ends
+      const escrow = await this._getStakeEscrow().lockStake({
+        wallet: this.connector.wallet,
+        proposalId: voteId,
+        option,
+        amount,
+        endsAt: this.voteEndTimes.get(voteId),
+        memoData: JSON.stringify({
+          voteId,
+          option,
+          isEcoOption,
+          ecoBoost
+        })
+      });
+      const result = { result: { hash: escrow.createTxHash } };
       
       // Record the stake
       const stakeKey = `${this.connector.wallet.address}-${voteId}-${option}`;
@@ -74,7 +105,9 @@ class StakingMechanism {
         effectiveAmount,
         isEcoOption,
         ecoBoost,
-        txHash: result.result.hash
+        txHash: result.result.hash,
+        escrowId: escrow.id,
+        releasesAt: escrow.finishAfter
       });
       
       console.log(`✅ Stake confirmed! Transaction: ${result.result.hash}`);
@@ -85,7 +118,8 @@ class StakingMechanism {
         txHash: result.result.hash,
         amount,
         effectiveAmount,
-        ecoBoost
+        ecoBoost,
+        releasesAt: escrow.finishAfter
       };
     } catch (error) {
       console.error(`⚠️ Staking error: ${error.message}`);
@@ -178,6 +212,8 @@ class StakingMechanism {
 
   /**
    * Refund stakes and reward top voters
+   * Refunds settle the vote's stake escrows; stakes that could not be
+   * returned are listed in failedRefunds and retried on the next call.
    * @param {string} voteId - ID of the vote
    * @param {Array} topVoters - Array of top voters to reward
    * @param {number} rewardPool - Total XRP in reward pool
@@ -193,12 +229,30 @@ class StakingMechanism {
     
     const results = {
       refunds: [],
+      failedRefunds: [],
+      pendingRefunds: [],
       rewards: []
     };
     
     try {
-      // Mock refunds (in production, would use actual DAO wallet)
-      // In real implementation, the DAO would need to have signing capability
+      // Release escrowed stakes back to their voters
+      const settlement = await this._getStakeEscrow().settle(voteId, { wallet: this.connector.wallet });
+      const toRefund = stake => ({
+        address: stake.owner,
+        amount: stake.amount,
+        escrowId: stake.id,
+        txHash: stake.settleTxHash || null,
+        settledBy: stake.settledBy,
+        error: stake.lastError
+      });
+      results.refunds = settlement.returned.map(toRefund);
+      results.failedRefunds = settlement.failed.map(toRefund);
+      results.pendingRefunds = settlement.pending.map(toRefund);
+      
+      console.log(`💸 Returned ${results.refunds.length} stakes (${settlement.totalReturned} XRP)`);
+      if (results.failedRefunds.length > 0) {
+        console.warn(`⚠️ ${results.failedRefunds.length} stakes failed to return: ${results.failedRefunds.map(r => `${r.address} (${r.amount} XRP): ${r.error}`).join('; ')}`);
+      }
       
       // Process rewards for top voters
       for (let i = 0; i < topVoters.length; i++) {
@@ -14,6 +14,7 @@
 const xrpl = require('xrpl');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { StatementExporter } = require('../src/services/statement-exporter');
 
 class PremiumTiersSystem {
   constructor(config = {}) {
@@ -558,6 +559,35 @@ class PremiumTiersSystem {
     }
   }
 
+  /**
+   * Export a statement of the user's wallet activity with realized gains
+   * @param {string} userId - User ID
+   * @param {Object} options - Statement options (from, to, method, period)
+   * @param {string} options.format - 'json' or 'csv' (default: 'json')
+   * @param {string} options.section - CSV section: 'transactions', 'disposals' or 'periods'
+   * @returns {Object|string} - Statement object, or CSV text
+   */
+  async exportStatement(userId, options = {}) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        throw new Error(`User ${userId} not found`);
+      }
+      if (!this.xrplClient) {
+        throw new Error('XRPL client not initialized');
+      }
+
+      const { format = 'json', section, ...statementOptions } = options;
+      const exporter = new StatementExporter({ client: this.xrplClient });
+      const statement = await exporter.buildStatement(user.walletAddress, statementOptions);
+
+      return format === 'csv' ? StatementExporter.toCsv(statement, section) : statement;
+    } catch (error) {
+      console.error('Error exporting statement:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get system statistics
    * @returns {Object} - System stats
@@ -1,8 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const { TimeSeriesStore, MEASUREMENTS } = require('./src/services/timeseries-store');
+const { LpPositionLedger } = require('./src/services/lp-position-ledger');
+
+const HOUR = 60 * 60 * 1000;
 
 class PerformanceAnalyzer24h {
-    constructor() {
+    constructor(options = {}) {
+        this.timeSeries = options.timeSeries || TimeSeriesStore.shared();
+        this.positionLedger = options.positionLedger || LpPositionLedger.shared();
         this.reportsDir = path.join(__dirname, '../reports');
         this.resultsDir = path.join(__dirname, 'results');
         this.analysis = {
@@ -25,6 +31,12 @@ class PerformanceAnalyzer24h {
             // Analyze fusion strategy results
             await this.analyzeFusionStrategy();
             
+            // Analyze recorded market and allocation history
+            this.analyzeMarketHistory();
+            
+            // Analyze fees and impermanent loss of AMM positions
+            this.analyzeLiquidityPositions();
+            
             // Generate optimization recommendations
             this.generateOptimizations();
             
@@ -123,6 +135,70 @@ class PerformanceAnalyzer24h {
         }
     }
 
+    analyzeMarketHistory() {
+        console.log('📉 Analyzing 24h market history...');
+        
+        const from = Date.now() - 24 * HOUR;
+        const prices = {};
+        this.timeSeries.listSeries(MEASUREMENTS.PRICE).forEach(({ tags }) => {
+            const hourly = this.timeSeries.resample(MEASUREMENTS.PRICE, { tags, from, interval: HOUR, aggregate: 'last', fields: ['mid'] })
+                .filter(bucket => bucket.fields && bucket.fields.mid !== undefined)
+                .map(bucket => bucket.fields.mid);
+            if (hourly.length === 0) return;
+            
+            prices[tags.source ? `${tags.pair}@${tags.source}` : tags.pair] = {
+                open: hourly[0],
+                close: hourly[hourly.length - 1],
+                high: Math.max(...hourly),
+                low: Math.min(...hourly),
+                change: (hourly[hourly.length - 1] - hourly[0]) / hourly[0]
+            };
+        });
+        
+        const volatility = this.timeSeries.range(MEASUREMENTS.VOLATILITY, { from, fields: ['shortTerm'] })
+            .map(point => point.fields.shortTerm)
+            .filter(value => value !== undefined);
+        const allocation = this.timeSeries.latest(MEASUREMENTS.ALLOCATION, { maxAge: 24 * HOUR });
+        
+        this.analysis.metrics.market = {
+            prices,
+            volatility: volatility.length > 0 ? {
+                mean: volatility.reduce((sum, value) => sum + value, 0) / volatility.length,
+                max: Math.max(...volatility),
+                samples: volatility.length
+            } : null,
+            latestAllocation: allocation ? allocation.fields : null
+        };
+        
+        console.log(`✅ Market History: ${Object.keys(prices).length} price series, ${volatility.length} volatility samples`);
+    }
+
+    analyzeLiquidityPositions() {
+        console.log('💧 Analyzing AMM liquidity positions...');
+        
+        const report = this.positionLedger.getReport();
+        this.analysis.metrics.liquidityPositions = {
+            open: report.positions.filter(position => !position.closedAt).length,
+            closed: report.positions.filter(position => position.closedAt).length,
+            pools: report.pools,
+            totals: report.totals
+        };
+        
+        Object.entries(report.pools).forEach(([pool, stats]) => {
+            if (stats.netApy !== null && stats.netApy < 0) {
+                this.analysis.recommendations.push({
+                    priority: 'HIGH',
+                    category: 'LIQUIDITY',
+                    title: `Review ${pool} Liquidity`,
+                    description: `Fees of ${stats.fees.toFixed(6)} do not cover impermanent loss of ${stats.impermanentLoss.toFixed(6)} (net APY ${(stats.netApy * 100).toFixed(2)}%).`,
+                    action: 'Reduce the allocation to this pool or move to a less volatile pair'
+                });
+            }
+        });
+        
+        console.log(`✅ Liquidity Positions: ${this.analysis.metrics.liquidityPositions.open} open, fees ${report.totals.fees.toFixed(6)}, impermanent loss ${report.totals.impermanentLoss.toFixed(6)}`);
+    }
+
     generateOptimizations() {
         console.log('🎯 Generating optimization recommendations...');
         
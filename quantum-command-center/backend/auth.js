@@ -0,0 +1,370 @@
+/*
+ * 🔐 COMMAND CENTER AUTH
+ * Shared authentication and authorization for the backend routes
+ *
+ * - Roles map to fine-grained permissions, plus per-user grants
+ * - Sessions are a short-lived access JWT and an opaque refresh token that
+ *   is rotated on every use; replaying a used refresh token revokes the
+ *   whole session family
+ * - API tokens for automation carry a subset of their owner's permissions,
+ *   are stored hashed and can be revoked or expire
+ * - Every authenticated action and denial is written to the audit trail
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PERMISSIONS = {
+  VIEW_BOTS: 'bots:view',
+  PAUSE_BOTS: 'bots:pause',
+  MANAGE_BOTS: 'bots:manage', // Create, configure, start and stop bots
+  SEND_INVITES: 'invites:send',
+  RUN_COMMISSIONS: 'commissions:run',
+  EXPORT_DATA: 'data:export',
+  VIEW_FLEET: 'fleet:view', // Every user's bots, not just your own and your referrals'
+  MANAGE_TOKENS: 'tokens:manage',
+  VIEW_AUDIT: 'audit:view'
+};
+
+const ROLE_PERMISSIONS = {
+  master: Object.values(PERMISSIONS),
+  admin: [PERMISSIONS.VIEW_BOTS, PERMISSIONS.PAUSE_BOTS, PERMISSIONS.MANAGE_BOTS, PERMISSIONS.SEND_INVITES, PERMISSIONS.EXPORT_DATA, PERMISSIONS.MANAGE_TOKENS],
+  user: [PERMISSIONS.VIEW_BOTS, PERMISSIONS.PAUSE_BOTS, PERMISSIONS.MANAGE_BOTS, PERMISSIONS.EXPORT_DATA, PERMISSIONS.MANAGE_TOKENS],
+  viewer: [PERMISSIONS.VIEW_BOTS, PERMISSIONS.EXPORT_DATA]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const API_TOKEN_PREFIX = 'qcc_';
+const REFRESH_TOKEN_PREFIX = 'qcr_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error answered with its HTTP status by the auth middleware and routes
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function randomToken(prefix) {
+  return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Permissions of a user: their role's plus any explicit grants
+ * @param {Object} user User record ({ role, permissions })
+ * @returns {string[]} Permissions
+ */
+function permissionsFor(user) {
+  const known = new Set(Object.values(PERMISSIONS));
+  const granted = (user.permissions || []).filter(permission => known.has(permission));
+  return [...new Set([...(ROLE_PERMISSIONS[user.role] || []), ...granted])];
+}
+
+class CommandCenterAuth {
+  /**
+   * @param {Object} options Auth options
+   * @param {string} options.secret Access token signing secret (required)
+   * @param {Object} options.storage Command center storage (users, apiTokens, refreshTokens and audit repositories)
+   * @param {string} options.accessTokenTtl Access token lifetime (default: '15m')
+   * @param {number} options.refreshTokenTtl Refresh token lifetime in ms (default: 30 days)
+   * @param {number} options.maxApiTokenTtl Longest API token lifetime in ms (default: 365 days)
+   */
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('JWT_SECRET is required for command center auth');
+    }
+    this.secret = options.secret;
+    this.storage = options.storage;
+    this.accessTokenTtl = options.accessTokenTtl || '15m';
+    this.refreshTokenTtl = options.refreshTokenTtl || 30 * DAY_MS;
+    this.maxApiTokenTtl = options.maxApiTokenTtl || 365 * DAY_MS;
+
+    this.authenticate = this.authenticate.bind(this);
+  }
+
+  // 🎫 SESSIONS
+
+  /**
+   * Start a session after a successful login or invite claim
+   * @param {Object} user User record
+   * @param {Object} req Request, for the audit trail
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+   */
+  async issueSession(user, req) {
+    const family = crypto.randomUUID();
+    const session = await this._issueTokens(user, family);
+    await this.audit(req, 'session.create', { actor: user, target: String(user._id) });
+    return session;
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token
+   *
+   * The presented token is consumed. Presenting a consumed or revoked token
+   * again means it leaked, so every token of its session is revoked.
+   * @param {string} refreshToken Refresh token
+   * @param {Object} req Request, for the audit trail
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+   */
+  async refreshSession(refreshToken, req) {
+    const { refreshTokens, users } = this.storage;
+    const tokenHash = hashToken(String(refreshToken || ''));
+    const now = new Date();
+
+    const current = await refreshTokens.consume(tokenHash, now);
+    if (!current) {
+      const stale = await refreshTokens.findByHash(tokenHash);
+      if (stale && (stale.usedAt || stale.revokedAt)) {
+        await refreshTokens.revokeFamily(stale.family, now);
+        await this.audit(req, 'session.reuse-detected', { actorId: stale.user, target: stale.family, outcome: 'denied' });
+      }
+      throw new AuthError('Invalid refresh token');
+    }
+
+    const user = await users.findById(current.user);
+    if (!user || !user.isActive) {
+      await refreshTokens.revokeFamily(current.family, now);
+      throw new AuthError('Account is not active');
+    }
+
+    const session = await this._issueTokens(user, current.family);
+    await refreshTokens.setReplacedBy(current._id, hashToken(session.refreshToken));
+    await this.audit(req, 'session.refresh', { actor: user, target: current.family });
+    return session;
+  }
+
+  /**
+   * End the session a refresh token belongs to
+   * @param {string} refreshToken Refresh token
+   * @param {Object} req Request, for the audit trail
+   */
+  async revokeSession(refreshToken, req) {
+    const { refreshTokens } = this.storage;
+    const current = await refreshTokens.findByHash(hashToken(String(refreshToken || '')));
+    if (!current) return;
+    await refreshTokens.revokeFamily(current.family, new Date());
+    await this.audit(req, 'session.revoke', { actorId: current.user, target: current.family });
+  }
+
+  // 🤖 API TOKENS
+
+  /**
+   * Create a scoped API token; the plaintext token is only returned here
+   * @param {Object} user Owner
+   * @param {Object} options Token options
+   * @param {string} options.name Label shown in token lists
+   * @param {string[]} options.scopes Permissions, each held by the owner
+   * @param {number} options.expiresInDays Lifetime in days (default: 90, capped by maxApiTokenTtl)
+   * @param {Object} req Request, for the audit trail
+   * @returns {Promise<Object>} { token, apiToken }
+   */
+  async createApiToken(user, options = {}, req) {
+    const owned = permissionsFor(user);
+    const scopes = [...new Set(options.scopes || [])];
+    if (!options.name) {
+      throw new AuthError('API token name required', 400);
+    }
+    if (scopes.length === 0) {
+      throw new AuthError('API token needs at least one scope', 400);
+    }
+    const missing = scopes.filter(scope => !owned.includes(scope));
+    if (missing.length > 0) {
+      throw new AuthError(`Cannot grant scopes you do not hold: ${missing.join(', ')}`, 403);
+    }
+
+    const lifetime = Math.min((options.expiresInDays || 90) * DAY_MS, this.maxApiTokenTtl);
+    const token = randomToken(API_TOKEN_PREFIX);
+    const apiToken = await this.storage.apiTokens.create({
+      user: user._id,
+      name: options.name,
+      scopes,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      expiresAt: new Date(Date.now() + lifetime)
+    });
+
+    await this.audit(req, 'api-token.create', { actor: user, target: String(apiToken._id), details: { name: options.name, scopes } });
+    return { token, apiToken: this.describeApiToken(apiToken) };
+  }
+
+  /**
+   * Revoke one of a user's API tokens
+   * @param {Object} user Owner (masters may revoke anyone's)
+   * @param {string} tokenId API token id
+   * @param {Object} req Request, for the audit trail
+   * @returns {Promise<boolean>} False when no such token
+   */
+  async revokeApiToken(user, tokenId, req) {
+    const owner = user.role === 'master' ? {} : { userId: user._id };
+    const apiToken = await this.storage.apiTokens.revoke(tokenId, owner, new Date());
+    if (!apiToken) return false;
+    await this.audit(req, 'api-token.revoke', { actor: user, target: String(tokenId) });
+    return true;
+  }
+
+  /**
+   * API token as listed to its owner (never includes the hash)
+   * @param {Object} apiToken API token record
+   * @returns {Object} Public token fields
+   */
+  describeApiToken(apiToken) {
+    return {
+      id: apiToken._id,
+      name: apiToken.name,
+      prefix: apiToken.prefix,
+      scopes: apiToken.scopes,
+      createdAt: apiToken.createdAt,
+      expiresAt: apiToken.expiresAt,
+      lastUsedAt: apiToken.lastUsedAt,
+      revokedAt: apiToken.revokedAt
+    };
+  }
+
+  // 🛡️ MIDDLEWARE
+
+  /**
+   * Express middleware resolving the bearer token into req.auth
+   * ({ user, permissions, via: 'session' | 'api-token', tokenId })
+   */
+  async authenticate(req, res, next) {
+    try {
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      if (!token) {
+        throw new AuthError('No token provided');
+      }
+      req.auth = token.startsWith(API_TOKEN_PREFIX)
+        ? await this._resolveApiToken(token)
+        : await this._resolveAccessToken(token);
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        console.error('❌ Auth error:', error);
+        return res.status(500).json({ error: 'Authentication failed' });
+      }
+      res.status(error.status).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Express middleware admitting only requests holding every listed permission
+   * @param {...string} permissions Required permissions
+   * @returns {Function} Middleware (run after authenticate)
+   */
+  requirePermission(...permissions) {
+    return async (req, res, next) => {
+      const missing = permissions.filter(permission => !this.can(req, permission));
+      if (missing.length === 0) {
+        return next();
+      }
+      await this.audit(req, 'permission.denied', { outcome: 'denied', details: { method: req.method, path: req.path, missing } });
+      res.status(403).json({ error: `Missing permission: ${missing.join(', ')}` });
+    };
+  }
+
+  /**
+   * Whether an authenticated request holds a permission
+   * @param {Object} req Authenticated request
+   * @param {string} permission Permission
+   * @returns {boolean} True when granted
+   */
+  can(req, permission) {
+    return Boolean(req.auth && req.auth.permissions.includes(permission));
+  }
+
+  // 📜 AUDIT TRAIL
+
+  /**
+   * Record who did what
+   * @param {Object} req Request (its req.auth is the actor unless overridden)
+   * @param {string} action Action name, e.g. 'invite.send'
+   * @param {Object} entry Entry fields
+   * @param {Object} entry.actor Acting user when the request is not authenticated
+   * @param {string} entry.actorId Acting user id when no user record is at hand
+   * @param {string} entry.target Affected record
+   * @param {string} entry.outcome 'success' or 'denied' (default: 'success')
+   * @param {Object} entry.details Extra details
+   */
+  async audit(req, action, entry = {}) {
+    const auth = (req && req.auth) || {};
+    const actor = entry.actor || auth.user;
+    try {
+      await this.storage.audit.record({
+        actor: actor ? actor._id : entry.actorId,
+        actorEmail: actor ? actor.email : undefined,
+        via: auth.via || (actor || entry.actorId ? 'session' : 'anonymous'),
+        apiToken: auth.tokenId,
+        action,
+        target: entry.target,
+        outcome: entry.outcome || 'success',
+        details: entry.details,
+        ip: req ? req.ip : undefined
+      });
+    } catch (error) {
+      // Never fail the request over a lost audit entry, but make it visible
+      console.warn(`⚠️ Failed to record audit entry ${action}:`, error.message);
+    }
+  }
+
+  async _issueTokens(user, family) {
+    const refreshToken = randomToken(REFRESH_TOKEN_PREFIX);
+    await this.storage.refreshTokens.create({
+      user: user._id,
+      family,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + this.refreshTokenTtl)
+    });
+
+    const accessToken = jwt.sign({ userId: user._id, role: user.role, type: 'access' }, this.secret, { expiresIn: this.accessTokenTtl });
+    return { accessToken, refreshToken, expiresIn: this.accessTokenTtl };
+  }
+
+  async _resolveAccessToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw new AuthError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token');
+    }
+    if (decoded.type !== 'access') {
+      throw new AuthError('Invalid token');
+    }
+
+    const user = await this.storage.users.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      throw new AuthError('Unauthorized');
+    }
+    return { user, permissions: permissionsFor(user), via: 'session' };
+  }
+
+  async _resolveApiToken(token) {
+    const { apiTokens, users } = this.storage;
+    const apiToken = await apiTokens.use(hashToken(token), new Date());
+    if (!apiToken) {
+      throw new AuthError('Invalid or revoked API token');
+    }
+
+    const user = await users.findById(apiToken.user);
+    if (!user || !user.isActive) {
+      throw new AuthError('Unauthorized');
+    }
+    // Scopes never outlive the owner's own permissions
+    const owned = permissionsFor(user);
+    return {
+      user,
+      permissions: apiToken.scopes.filter(scope => owned.includes(scope)),
+      via: 'api-token',
+      tokenId: apiToken._id
+    };
+  }
+}
+
+module.exports = { CommandCenterAuth, AuthError, PERMISSIONS, ROLE_PERMISSIONS, ROLES, permissionsFor };
@@ -4,73 +4,45 @@
  * 
  * Features:
  * - User hierarchy: Master → Admins → Users
- * - On-chain XRPL commission payments (15% admin cut, 5% master override)
+ * - On-chain XRPL commission payouts per settled period (multi-level rates, master override)
  * - Secure invite flow with hashed tokens
  * - Automated "Claim Fortune" emails
  * - Bot yield tracking and commission calculations
+ * - Runs on MongoDB or, with STORAGE_DRIVER=file, without a database
  */
 
 const express = require('express');
-const mongoose = require('mongoose');
 const nodemailer = require('nodemailer');
 const jwt = require('jsonwebtoken');
 const xrpl = require('xrpl');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const path = require('path');
 require('dotenv').config();
+const { StatementExporter } = require('../../src/services/statement-exporter');
+const { WalletKeystore } = require('../../src/services/wallet-keystore');
+const { BotSupervisor } = require('../../src/services/bot-supervisor');
+const { CommissionLedger } = require('../../src/services/commission-ledger');
+const { TransactionSubmitter } = require('../../src/services/transaction-submitter');
+const { defaultRegistry } = require('../../src/strategies/strategy-registry');
+const { CommandCenterAuth, AuthError, PERMISSIONS, ROLE_PERMISSIONS, permissionsFor } = require('./auth');
+const { createStorage } = require('./storage');
 
 const app = express();
 app.use(express.json());
 app.use(cors());
 
-// MongoDB Connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/quantum-bot-command-center', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-});
-
-// User Schema with Hierarchy
-const UserSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  role: { type: String, enum: ['master', 'admin', 'user'], default: 'user' },
-  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Referral parent
-  wallet: { type: String, required: true }, // XRPL wallet address
-  walletSeed: { type: String, required: true }, // Encrypted seed
-  bots: [{
-    id: String,
-    name: String,
-    yield: Number,
-    volatility: Number,
-    commissions: Number,
-    status: { type: String, enum: ['active', 'paused', 'stopped'], default: 'active' },
-    createdAt: { type: Date, default: Date.now }
-  }],
-  referrals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  totalCommissions: { type: Number, default: 0 },
-  monthlyCommissions: { type: Number, default: 0 },
-  inviteToken: String,
-  isActive: { type: Boolean, default: false },
-  createdAt: { type: Date, default: Date.now }
-});
-
-const User = mongoose.model('User', UserSchema);
-
-// Commission Transaction Schema
-const CommissionSchema = new mongoose.Schema({
-  from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  amount: { type: Number, required: true },
-  botId: String,
-  txHash: String, // XRPL transaction hash
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
-  createdAt: { type: Date, default: Date.now }
-});
-
-const Commission = mongoose.model('Commission', CommissionSchema);
+// Storage: MongoDB, or an embedded file for local dev and tests (STORAGE_DRIVER)
+const storage = createStorage();
 
 // XRPL Client Setup
-const client = new xrpl.Client('wss://s.altnet.rippletest.net:51233'); // Testnet for development
+const XRPL_SERVER = process.env.XRPL_SERVER || 'wss://s.altnet.rippletest.net:51233'; // Testnet for development
+const client = new xrpl.Client(XRPL_SERVER);
+
+// Bot workers: one process per running bot, signing with the owner's keystore record
+const supervisor = new BotSupervisor({ xrplUrl: XRPL_SERVER });
+let shuttingDown = false;
 
 // Email Transporter Setup
 const transporter = nodemailer.createTransport({
@@ -81,23 +53,44 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || 'quantum-bot-command-secret-2025';
+// Wallet seeds are encrypted at rest under KEYSTORE_MASTER_KEY
+const keystore = new WalletKeystore();
+
+// Commission settlement and on-chain payouts (rates per referral level, direct parent first)
+const commissionLedger = new CommissionLedger({
+  rates: (process.env.COMMISSION_RATES || process.env.ADMIN_COMMISSION_RATE || '0.15').split(',').map(Number),
+  overrideRate: Number(process.env.MASTER_OVERRIDE_RATE || 0.05),
+  maxAttempts: Number(process.env.COMMISSION_MAX_ATTEMPTS || 5),
+  client,
+  // Payout idempotency keys live in a file no other process writes
+  submitter: new TransactionSubmitter({ client, storagePath: path.join(__dirname, '../../data/submitter/commission-payouts.ndjson') }),
+  keystore
+});
+
+// JWT Secret (no fallback: tokens signed with a published default can be forged)
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Shared auth: sessions, API tokens, permissions and audit trail
+const auth = new CommandCenterAuth({
+  secret: JWT_SECRET,
+  storage,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m'
+});
 
 // 🚀 MASTER ADMIN INITIALIZATION
 async function initializeMasterAdmin() {
   try {
-    const existingMaster = await User.findOne({ role: 'master' });
+    const existingMaster = await storage.users.findMaster();
     if (!existingMaster) {
       const masterWallet = xrpl.Wallet.generate();
       const hashedPassword = await bcrypt.hash('QuantumMaster2025!', 10);
       
-      const master = new User({
+      const master = await storage.users.create({
         email: 'master@quantumbotcommand.com',
         password: hashedPassword,
         role: 'master',
         wallet: masterWallet.address,
-        walletSeed: masterWallet.seed, // In production, encrypt this!
+        walletSeed: WalletKeystore.serialize(keystore.encryptWallet(masterWallet)),
         bots: [
           {
             id: 'master-bot-1',
@@ -119,7 +112,6 @@ async function initializeMasterAdmin() {
         isActive: true
       });
       
-      await master.save();
       console.log('🎯 Master Admin initialized:', master.email);
       console.log('🔑 Master Wallet:', master.wallet);
     }
@@ -128,19 +120,47 @@ async function initializeMasterAdmin() {
   }
 }
 
+// 🔐 WALLET SEED ENCRYPTION
+// Encrypts legacy plaintext seeds and re-wraps seeds still under a rotated-out master key
+async function reencryptWalletSeeds() {
+  let updated = 0;
+  for (const user of await storage.users.list()) {
+    if (WalletKeystore.isEncrypted(user.walletSeed) && !keystore.needsReencryption(user.walletSeed)) {
+      continue;
+    }
+    const walletSeed = WalletKeystore.isEncrypted(user.walletSeed)
+      ? keystore.reencrypt(user.walletSeed)
+      : WalletKeystore.serialize(keystore.encryptSeed(user.walletSeed));
+    await storage.users.update(user._id, { walletSeed });
+    updated++;
+  }
+  if (updated > 0) {
+    console.log(`🔐 Re-encrypted ${updated} wallet seeds under master key ${keystore.activeKeyId}`);
+  }
+}
+
 // 📧 SECURE INVITE SYSTEM
-app.post('/api/invite', async (req, res) => {
+app.post('/api/invite', auth.authenticate, auth.requirePermission(PERMISSIONS.SEND_INVITES), async (req, res) => {
   try {
-    const { email, parentId, role = 'admin' } = req.body;
+    const { email, role = 'admin' } = req.body;
+    const inviter = req.auth.user;
+    
+    // Invitees join under the inviter; only the fleet owner may place them elsewhere
+    const parentId = req.body.parentId && auth.can(req, PERMISSIONS.VIEW_FLEET) ? req.body.parentId : inviter._id;
+    const parent = await storage.users.findById(parentId);
+    if (!parent) {
+      return res.status(400).json({ error: 'Unknown parent' });
+    }
     
-    // Verify parent exists and has permission
-    const parent = await User.findById(parentId);
-    if (!parent || (parent.role !== 'master' && parent.role !== 'admin')) {
-      return res.status(403).json({ error: 'Unauthorized to send invites' });
+    // Nobody can hand out more access than they hold
+    const inviterPermissions = permissionsFor(inviter);
+    if (role === 'master' || !ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[role].some(p => !inviterPermissions.includes(p))) {
+      await auth.audit(req, 'invite.send', { target: email, outcome: 'denied', details: { role } });
+      return res.status(403).json({ error: `Cannot invite a user with role ${role}` });
     }
     
     // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    const existingUser = await storage.users.findByEmail(email);
     if (existingUser) {
       return res.status(400).json({ error: 'User already exists' });
     }
@@ -155,22 +175,17 @@ app.post('/api/invite', async (req, res) => {
     const tempPassword = Math.random().toString(36).slice(-8);
     const hashedPassword = await bcrypt.hash(tempPassword, 10);
     
-    const newUser = new User({
+    // Pending until claimed; joins the parent's referrals
+    const newUser = await storage.invites.create({
       email,
       password: hashedPassword,
       role,
-      parent: parentId,
+      parent: parent._id,
       wallet: newWallet.address,
-      walletSeed: newWallet.seed,
-      inviteToken,
-      isActive: false
+      walletSeed: WalletKeystore.serialize(keystore.encryptWallet(newWallet)),
+      inviteToken
     });
-    
-    await newUser.save();
-    
-    // Add to parent's referrals
-    parent.referrals.push(newUser._id);
-    await parent.save();
+    await auth.audit(req, 'invite.send', { target: String(newUser._id), details: { email, role, parent: String(parent._id) } });
     
     // 🚀 SEND VIRAL "CLAIM FORTUNE" EMAIL
     const inviteUrl = `http://localhost:3000/claim?token=${inviteToken}`;
@@ -241,21 +256,16 @@ app.post('/api/claim', async (req, res) => {
     
     // Verify invite token
     const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findOne({ email: decoded.email, inviteToken: token });
+    const pending = await storage.invites.findPending(decoded.email, token);
     
-    if (!user) {
+    if (!pending) {
       return res.status(400).json({ error: 'Invalid or expired invite token' });
     }
     
-    // Update password and activate account
+    // Set the password and activate the account, with starter bots based on role
     const hashedPassword = await bcrypt.hash(newPassword, 10);
-    user.password = hashedPassword;
-    user.isActive = true;
-    user.inviteToken = null;
-    
-    // Add starter bots based on role
-    if (user.role === 'admin') {
-      user.bots = [
+    const bots = pending.role === 'admin'
+      ? [
         {
           id: `admin-bot-${Date.now()}`,
           name: 'Admin Yield Bot',
@@ -264,18 +274,19 @@ app.post('/api/claim', async (req, res) => {
           commissions: 0,
           status: 'active'
         }
-      ];
-    }
-    
-    await user.save();
+      ]
+      : undefined;
+    const user = await storage.invites.accept(pending._id, { password: hashedPassword, bots });
     
-    // Generate login JWT
-    const loginToken = jwt.sign({ userId: user._id, role: user.role }, JWT_SECRET, { expiresIn: '30d' });
+    // Start a session
+    const session = await auth.issueSession(user, req);
     
     res.json({
       success: true,
       message: 'Account activated successfully',
-      token: loginToken,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         id: user._id,
         email: user.email,
@@ -296,21 +307,20 @@ app.post('/api/login', async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    const user = await User.findOne({ email, isActive: true });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-    
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    const user = await storage.users.findByEmail(email, { active: true });
+    const isValidPassword = user ? await bcrypt.compare(password, user.password) : false;
     if (!isValidPassword) {
+      await auth.audit(req, 'login.failed', { actor: user, outcome: 'denied', details: { email } });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    const token = jwt.sign({ userId: user._id, role: user.role }, JWT_SECRET, { expiresIn: '30d' });
+    const session = await auth.issueSession(user, req);
     
     res.json({
       success: true,
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         id: user._id,
         email: user.email,
@@ -327,35 +337,261 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// 📊 GET DASHBOARD DATA (Role-based filtering)
-app.get('/api/dashboard', async (req, res) => {
+// 🔄 SESSION REFRESH (rotates the refresh token)
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).populate('referrals');
+    const session = await auth.refreshSession(req.body.refreshToken, req);
+    res.json({ success: true, token: session.accessToken, refreshToken: session.refreshToken, expiresIn: session.expiresIn });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// 🚪 LOGOUT (revokes the session's refresh tokens)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.revokeSession(req.body.refreshToken, req);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// 🤖 API TOKENS FOR AUTOMATION
+app.get('/api/tokens', auth.authenticate, auth.requirePermission(PERMISSIONS.MANAGE_TOKENS), async (req, res) => {
+  try {
+    const tokens = await storage.apiTokens.listByUser(req.auth.user._id);
+    res.json({ tokens: tokens.map(token => auth.describeApiToken(token)) });
+  } catch (error) {
+    console.error('❌ Token list error:', error);
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+});
+
+app.post('/api/tokens', auth.authenticate, auth.requirePermission(PERMISSIONS.MANAGE_TOKENS), async (req, res) => {
+  try {
+    // Tokens cannot mint further tokens
+    if (req.auth.via !== 'session') {
+      return res.status(403).json({ error: 'API tokens can only be created from a login session' });
+    }
+    const { name, scopes, expiresInDays } = req.body;
+    const created = await auth.createApiToken(req.auth.user, { name, scopes, expiresInDays }, req);
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Token create error:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/tokens/:id', auth.authenticate, auth.requirePermission(PERMISSIONS.MANAGE_TOKENS), async (req, res) => {
+  try {
+    const revoked = await auth.revokeApiToken(req.auth.user, req.params.id, req);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Token revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+// 📜 AUDIT TRAIL
+app.get('/api/audit', auth.authenticate, auth.requirePermission(PERMISSIONS.VIEW_AUDIT), async (req, res) => {
+  try {
+    const { actor, action, outcome, since } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    
+    const entries = await storage.audit.list({ actor, action, outcome, since: since ? new Date(since) : undefined, limit });
+    res.json({ entries });
+  } catch (error) {
+    console.error('❌ Audit trail error:', error);
+    res.status(500).json({ error: 'Failed to load audit trail' });
+  }
+});
+
+// 🤖 BOT LIFECYCLE
+// Persist worker status, heartbeats and errors onto the bot record
+async function recordBotState(state, { includeStatus = true } = {}) {
+  const update = {
+    lastHeartbeat: state.lastHeartbeat ? new Date(state.lastHeartbeat) : undefined,
+    error: state.error ? state.error.message : null
+  };
+  // Workers stopped by a shutdown resume on the next start, so keep their status
+  if (includeStatus && !shuttingDown) {
+    update.status = state.status;
+  }
+  Object.keys(update).forEach(key => update[key] === undefined && delete update[key]);
+  await storage.bots.update(state.id, update);
+}
+
+supervisor.on('status', state => recordBotState(state).catch(error => console.error('❌ Bot state error:', error)));
+supervisor.on('heartbeat', state => recordBotState(state).catch(error => console.error('❌ Bot heartbeat error:', error)));
+supervisor.on('bot-error', state => recordBotState(state, { includeStatus: false }).catch(error => console.error('❌ Bot error record failed:', error)));
+
+function withWorkerState(bot) {
+  return { ...bot, worker: supervisor.getState(bot.id) };
+}
+
+function startBotWorker(owner, bot) {
+  return supervisor.start(
+    { id: bot.id, strategy: bot.strategy, config: bot.config || {}, status: bot.status },
+    { walletRecord: owner.walletSeed, owner: String(owner._id) }
+  );
+}
+
+// Bot and its owner; fleet viewers may reach every user's bots
+async function findBot(req) {
+  const scope = auth.can(req, PERMISSIONS.VIEW_FLEET) ? {} : { ownerId: req.auth.user._id };
+  return (await storage.bots.find(req.params.id, scope)) || {};
+}
+
+// Worker commands fail when the bot is not in a state to take them
+function botErrorResponse(res, error, action) {
+  if (/not running|already running|did not acknowledge|no strategy|Unknown strategy/.test(error.message)) {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`❌ Bot ${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action} bot` });
+}
+
+app.get('/api/strategies', auth.authenticate, auth.requirePermission(PERMISSIONS.VIEW_BOTS), (req, res) => {
+  res.json({ strategies: defaultRegistry.list() });
+});
+
+app.post('/api/bots', auth.authenticate, auth.requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const { name, strategy, config = {} } = req.body;
+    if (!name || !defaultRegistry.has(strategy)) {
+      return res.status(400).json({ error: 'Bot needs a name and a registered strategy type' });
+    }
+    
+    const owner = req.auth.user;
+    const bot = await storage.bots.add(owner._id, { id: `bot-${crypto.randomUUID()}`, name, strategy, config, status: 'active', yield: 0, commissions: 0 });
+    
+    startBotWorker(owner, bot);
+    await auth.audit(req, 'bot.create', { target: bot.id, details: { name, strategy } });
+    res.status(201).json({ success: true, bot: withWorkerState(bot) });
+  } catch (error) {
+    botErrorResponse(res, error, 'create');
+  }
+});
+
+app.get('/api/bots/:id', auth.authenticate, auth.requirePermission(PERMISSIONS.VIEW_BOTS), async (req, res) => {
+  try {
+    const { bot } = await findBot(req);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    res.json({ bot: withWorkerState(bot) });
+  } catch (error) {
+    botErrorResponse(res, error, 'load');
+  }
+});
+
+app.patch('/api/bots/:id', auth.authenticate, auth.requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const { bot } = await findBot(req);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    const { name, config } = req.body;
     
-    if (!user) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    // A running worker must accept the config before it is saved
+    if (config && supervisor.isRunning(bot.id)) {
+      await supervisor.configure(bot.id, config);
     }
+    const changes = {};
+    if (name) changes.name = name;
+    if (config) changes.config = config;
+    const updated = await storage.bots.update(bot.id, changes);
+    
+    await auth.audit(req, 'bot.configure', { target: bot.id, details: { name, config } });
+    res.json({ success: true, bot: withWorkerState(updated) });
+  } catch (error) {
+    botErrorResponse(res, error, 'configure');
+  }
+});
+
+app.post('/api/bots/:id/pause', auth.authenticate, auth.requirePermission(PERMISSIONS.PAUSE_BOTS), async (req, res) => {
+  try {
+    const { bot } = await findBot(req);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    const worker = await supervisor.pause(bot.id);
+    await auth.audit(req, 'bot.pause', { target: bot.id });
+    res.json({ success: true, bot: { ...withWorkerState(bot), status: worker.status } });
+  } catch (error) {
+    botErrorResponse(res, error, 'pause');
+  }
+});
+
+// Resumes a paused worker, or starts a new one for a stopped or failed bot
+app.post('/api/bots/:id/resume', auth.authenticate, auth.requirePermission(PERMISSIONS.PAUSE_BOTS), async (req, res) => {
+  try {
+    const { owner, bot } = await findBot(req);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    const worker = supervisor.isRunning(bot.id)
+      ? await supervisor.resume(bot.id)
+      : startBotWorker(owner, { ...bot, status: 'active' });
+    await auth.audit(req, 'bot.resume', { target: bot.id });
+    res.json({ success: true, bot: { ...withWorkerState(bot), status: worker.status } });
+  } catch (error) {
+    botErrorResponse(res, error, 'resume');
+  }
+});
+
+app.post('/api/bots/:id/stop', auth.authenticate, auth.requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const { bot } = await findBot(req);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    await supervisor.stop(bot.id);
+    await storage.bots.update(bot.id, { status: 'stopped' });
+    await auth.audit(req, 'bot.stop', { target: bot.id });
+    res.json({ success: true, bot: { ...withWorkerState(bot), status: 'stopped' } });
+  } catch (error) {
+    botErrorResponse(res, error, 'stop');
+  }
+});
+
+// 📊 GET DASHBOARD DATA (Permission-based filtering)
+app.get('/api/dashboard', auth.authenticate, auth.requirePermission(PERMISSIONS.VIEW_BOTS), async (req, res) => {
+  try {
+    const user = req.auth.user;
+    const referrals = await storage.users.list({ ids: user.referrals });
     
     let dashboardData = {
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
+        permissions: req.auth.permissions,
         wallet: user.wallet,
         totalCommissions: user.totalCommissions,
         monthlyCommissions: user.monthlyCommissions
       },
-      bots: user.bots,
-      referrals: user.referrals.length
+      bots: user.bots.map(withWorkerState),
+      referrals: referrals.length
     };
     
-    // Master gets full fleet view
-    if (user.role === 'master') {
-      const allUsers = await User.find({ isActive: true }).populate('referrals');
+    // Fleet view for whoever holds the permission
+    if (auth.can(req, PERMISSIONS.VIEW_FLEET)) {
+      const allUsers = await storage.users.list({ active: true });
       const allBots = allUsers.flatMap(u => u.bots.map(b => ({
-        ...b,
+        ...withWorkerState(b),
         owner: u.email,
         ownerRole: u.role,
         ownerWallet: u.wallet
@@ -377,7 +613,7 @@ app.get('/api/dashboard', async (req, res) => {
     
     // Admins get their referral tree
     if (user.role === 'admin') {
-      const referralBots = user.referrals.flatMap(r => r.bots || []);
+      const referralBots = referrals.flatMap(r => r.bots || []);
       dashboardData.referralBots = referralBots;
       dashboardData.referralCommissions = referralBots.reduce((sum, b) => sum + (b.commissions || 0), 0) * 0.15;
     }
@@ -390,91 +626,187 @@ app.get('/api/dashboard', async (req, res) => {
   }
 });
 
-// 💰 CALCULATE & PROCESS COMMISSIONS
-app.post('/api/process-commissions', async (req, res) => {
+// 🧾 ACTIVITY STATEMENT (JSON or CSV)
+app.get('/api/statement', auth.authenticate, auth.requirePermission(PERMISSIONS.EXPORT_DATA), async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const user = req.auth.user;
     
-    if (!user || user.role !== 'master') {
-      return res.status(403).json({ error: 'Master access required' });
+    const { format = 'json', section, method, period, from, to } = req.query;
+    if (!client.isConnected()) {
+      await client.connect();
     }
     
-    // Process all commission payments
-    const allUsers = await User.find({ isActive: true, role: { $ne: 'master' } }).populate('parent');
-    const commissionResults = [];
+    // Commissions paid to this user are income, not plain transfers
+    const commissionTxHashes = await storage.commissions.paidTxHashes(user._id);
+    const exporter = new StatementExporter({ client });
+    const statement = await exporter.buildStatement(user.wallet, {
+      method,
+      period,
+      from: from ? Date.parse(from) : undefined,
+      to: to ? Date.parse(to) : undefined,
+      commissionTxHashes
+    });
+    await auth.audit(req, 'statement.export', { target: user.wallet, details: { format, section, method, period, from, to } });
     
-    for (const user of allUsers) {
-      const userCommissions = user.bots.reduce((sum, b) => sum + (b.commissions || 0), 0);
-      
-      if (userCommissions > 0 && user.parent) {
-        // 15% to admin parent
-        const adminCommission = userCommissions * 0.15;
-        
-        // 5% to master (override)
-        const masterCommission = userCommissions * 0.05;
-        
-        // Update commission records
-        user.parent.totalCommissions += adminCommission;
-        user.parent.monthlyCommissions += adminCommission;
-        await user.parent.save();
-        
-        // Create commission transaction records
-        const adminCommissionTx = new Commission({
-          from: user._id,
-          to: user.parent._id,
-          amount: adminCommission,
-          status: 'completed'
-        });
-        
-        const masterCommissionTx = new Commission({
-          from: user._id,
-          to: decoded.userId,
-          amount: masterCommission,
-          status: 'completed'
-        });
-        
-        await adminCommissionTx.save();
-        await masterCommissionTx.save();
-        
-        commissionResults.push({
-          user: user.email,
-          adminCommission,
-          masterCommission,
-          parent: user.parent.email
-        });
-      }
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="statement-${user.wallet}-${section || 'transactions'}.csv"`);
+      return res.send(StatementExporter.toCsv(statement, section));
     }
+    res.json(statement);
+    
+  } catch (error) {
+    console.error('❌ Statement error:', error);
+    if (/^Unknown (lot method|statement)/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to build statement' });
+  }
+});
+
+// 💰 COMMISSION SETTLEMENT & PAYOUTS
+// Mirror a settlement's lines as pending Commission records (upserted, so re-runs add nothing)
+async function recordSettlement(settlement) {
+  for (const line of settlement.lines) {
+    await storage.commissions.recordLine({
+      payoutId: `${settlement.period}:${line.beneficiary}`,
+      from: line.sourceUserId,
+      to: line.beneficiary,
+      level: String(line.level),
+      amount: line.amount,
+      rate: line.rate,
+      period: settlement.period
+    });
+  }
+}
+
+// Reflect a payout's outcome on its Commission records; the beneficiary is credited once, when it is paid
+async function recordPayout(payout) {
+  if (payout.status === 'paid' || payout.status === 'retained') {
+    const completed = await storage.commissions.completePayout(payout.id, payout.txHash);
+    if (completed > 0) {
+      await storage.users.creditCommissions(payout.beneficiary, payout.amount);
+    }
+  } else if (payout.status === 'failed') {
+    await storage.commissions.failPayout(payout.id, payout.lastError.message);
+  }
+}
+
+// Settles a period (default: last month) and pays its outstanding payouts; safe to run again
+app.post('/api/process-commissions', auth.authenticate, auth.requirePermission(PERMISSIONS.RUN_COMMISSIONS), async (req, res) => {
+  try {
+    const now = new Date();
+    const period = req.body.period || CommissionLedger.periodOf(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    
+    // The override goes to the master, whoever runs the payout, and payouts are sent from the master wallet
+    const master = await storage.users.findMaster();
+    const allUsers = await storage.users.list();
+    const users = {};
+    allUsers.forEach(u => {
+      users[u._id] = { parent: u.parent || null, wallet: u.wallet };
+    });
+    
+    // Bot commissions are cumulative; the ledger settles what grew since the last period
+    const earnings = allUsers
+      .filter(u => u.isActive && u.role !== 'master')
+      .map(u => ({ userId: u._id, cumulative: u.bots.reduce((sum, b) => sum + (b.commissions || 0), 0) }));
+    
+    const { settlement, created } = commissionLedger.settlePeriod(period, { earnings, users, overrideUserId: master._id });
+    if (created) {
+      // monthlyCommissions covers the latest settled period
+      await storage.users.resetMonthlyCommissions();
+      await recordSettlement(settlement);
+    }
+    
+    if (!client.isConnected()) {
+      await client.connect();
+    }
+    commissionLedger.payer = WalletKeystore.parse(master.walletSeed);
+    const run = await commissionLedger.payOutstanding({ period });
+    for (const payout of commissionLedger.getPayouts({ period })) {
+      await recordPayout(payout);
+    }
+    
+    await auth.audit(req, 'commissions.process', { target: period, details: { created, lines: settlement.lines.length, paid: run.paid, failed: run.failed } });
     
     res.json({
-      success: true,
-      message: 'Commissions processed successfully',
-      results: commissionResults,
-      totalProcessed: commissionResults.length
+      success: run.failed === 0 && run.outstanding === 0,
+      period,
+      created,
+      paid: run.paid,
+      failed: run.failed,
+      outstanding: run.outstanding,
+      report: commissionLedger.getReport({ period })
     });
     
   } catch (error) {
     console.error('❌ Commission processing error:', error);
+    if (/^(Invalid commission period|Period )/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to process commissions' });
   }
 });
 
+// 📈 COMMISSION REPORT (totals by payout status and failed payouts)
+app.get('/api/commissions/report', auth.authenticate, auth.requirePermission(PERMISSIONS.RUN_COMMISSIONS), async (req, res) => {
+  try {
+    const report = commissionLedger.getReport({ period: req.query.period });
+    const beneficiaries = await storage.users.list({ ids: report.failures.map(f => f.beneficiary) });
+    const emails = new Map(beneficiaries.map(u => [u._id, u.email]));
+    report.failures = report.failures.map(f => ({ ...f, email: emails.get(f.beneficiary) || null }));
+    res.json(report);
+    
+  } catch (error) {
+    console.error('❌ Commission report error:', error);
+    res.status(500).json({ error: 'Failed to build commission report' });
+  }
+});
+
+// 🔁 RETRY A FAILED PAYOUT (also after its automatic retries ran out)
+app.post('/api/commissions/payouts/:id/retry', auth.authenticate, auth.requirePermission(PERMISSIONS.RUN_COMMISSIONS), async (req, res) => {
+  try {
+    const master = await storage.users.findMaster();
+    if (!client.isConnected()) {
+      await client.connect();
+    }
+    commissionLedger.payer = WalletKeystore.parse(master.walletSeed);
+    
+    // Paid to the beneficiary's current wallet, in case that was what failed
+    const beneficiary = await storage.users.findById(req.params.id.split(':').pop());
+    
+    const payout = await commissionLedger.retryPayout(req.params.id, { destination: beneficiary ? beneficiary.wallet : undefined });
+    await recordPayout(payout);
+    await auth.audit(req, 'commissions.retry', { target: payout.id, details: { status: payout.status, txHash: payout.txHash } });
+    res.json({ success: payout.status === 'paid', payout });
+    
+  } catch (error) {
+    console.error('❌ Commission retry error:', error);
+    if (/^Unknown commission payout/.test(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (/only failed payouts can be retried/.test(error.message)) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to retry commission payout' });
+  }
+});
+
 // 🚀 START SERVER
 const PORT = process.env.PORT || 3001;
 
 async function startServer() {
   try {
-    // Wait for MongoDB connection
-    await new Promise((resolve, reject) => {
-      mongoose.connection.on('connected', () => {
-        console.log('📊 MongoDB connected successfully');
-        resolve();
-      });
-      mongoose.connection.on('error', reject);
-    });
+    await storage.connect();
+    console.log(`📊 ${storage.name} storage connected`);
+    
+    if (!keystore.activeKeyId) {
+      throw new Error('KEYSTORE_MASTER_KEY is required to store wallet seeds');
+    }
     
     await initializeMasterAdmin();
+    await reencryptWalletSeeds();
+    await restoreBotWorkers();
     
     app.listen(PORT, () => {
       console.log(`🚀 Quantum Bot Command Center Backend running on port ${PORT}`);
@@ -492,6 +824,23 @@ async function startServer() {
   }
 }
 
-startServer();
+// Restart workers for bots that were running when the server last stopped
+async function restoreBotWorkers() {
+  for (const { owner, bot } of await storage.bots.listRunnable()) {
+    startBotWorker(owner, bot);
+  }
+}
+
+// Started directly (npm start); tests set STORAGE_DRIVER=memory, require the app and call startServer()
+if (require.main === module) {
+  // Stop workers with the server; their saved status brings them back on restart
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, async () => {
+    shuttingDown = true;
+    await supervisor.stopAll();
+    process.exit(0);
+  }));
+  
+  startServer();
+}
 
-module.exports = app;
+module.exports = { app, storage, startServer };
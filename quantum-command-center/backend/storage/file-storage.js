@@ -0,0 +1,307 @@
+/*
+ * 🗂️ FILE STORAGE
+ * Embedded repositories for local development and tests
+ *
+ * Every collection lives in memory and, unless the path is null, is written
+ * to one JSON file (tmp file + rename) after each change. Records and
+ * return values match MongoStorage: plain objects with string ids.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const COLLECTIONS = ['users', 'commissions', 'apiTokens', 'refreshTokens', 'auditEntries'];
+
+// Fields revived as Dates when the file is loaded
+const DATE_FIELDS = new Set(['createdAt', 'expiresAt', 'usedAt', 'revokedAt', 'lastUsedAt', 'lastHeartbeat']);
+
+const RUNNABLE_STATUSES = ['active', 'paused'];
+
+// Same shape as a MongoDB ObjectId, so ids look alike across drivers
+function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+// Newest first; records created in the same millisecond keep insertion order
+function newestFirst(records) {
+  return records.slice().reverse().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+function isLive(token, now) {
+  return !token.revokedAt && new Date(token.expiresAt) > now;
+}
+
+class FileStorage {
+  /**
+   * @param {Object} options Storage options
+   * @param {string|null} options.path JSON file holding every collection (null keeps them in memory)
+   */
+  constructor(options = {}) {
+    this.name = options.path ? `file (${options.path})` : 'in-memory';
+    this.path = options.path || null;
+    this.data = Object.fromEntries(COLLECTIONS.map(name => [name, []]));
+
+    const users = () => this.data.users;
+    const findUser = predicate => users().find(predicate) || null;
+    const copy = record => (record ? structuredClone(record) : null);
+
+    this.users = {
+      findById: async id => copy(findUser(user => user._id === String(id))),
+      findByEmail: async (email, { active } = {}) =>
+        copy(findUser(user => user.email === email && (active === undefined || user.isActive === active))),
+      findMaster: async () => copy(findUser(user => user.role === 'master')),
+      list: async ({ active, ids } = {}) => {
+        const wanted = ids ? new Set(ids.map(String)) : null;
+        return users()
+          .filter(user => (active === undefined || user.isActive === active) && (!wanted || wanted.has(user._id)))
+          .map(copy);
+      },
+      create: async fields => {
+        if (!fields.email || !fields.password || !fields.wallet || !fields.walletSeed) {
+          throw new Error('User needs an email, password, wallet and wallet seed');
+        }
+        if (findUser(user => user.email === fields.email)) {
+          throw new Error(`User ${fields.email} already exists`);
+        }
+        const user = {
+          role: 'user',
+          permissions: [],
+          parent: null,
+          bots: [],
+          referrals: [],
+          totalCommissions: 0,
+          monthlyCommissions: 0,
+          inviteToken: null,
+          isActive: false,
+          ...fields,
+          _id: newId(),
+          createdAt: new Date()
+        };
+        user.parent = user.parent ? String(user.parent) : null;
+        user.bots = user.bots.map(bot => ({ status: 'active', createdAt: new Date(), ...bot }));
+        users().push(user);
+        this._save();
+        return copy(user);
+      },
+      update: async (id, fields) => {
+        const user = findUser(candidate => candidate._id === String(id));
+        if (!user) return null;
+        Object.assign(user, structuredClone(fields));
+        this._save();
+        return copy(user);
+      },
+      addReferral: async (parentId, childId) => {
+        const parent = findUser(user => user._id === String(parentId));
+        if (parent && !parent.referrals.includes(String(childId))) {
+          parent.referrals.push(String(childId));
+          this._save();
+        }
+      },
+      creditCommissions: async (id, amount) => {
+        const user = findUser(candidate => candidate._id === String(id));
+        if (!user) return;
+        user.totalCommissions += amount;
+        user.monthlyCommissions += amount;
+        this._save();
+      },
+      resetMonthlyCommissions: async () => {
+        users().forEach(user => { user.monthlyCommissions = 0; });
+        this._save();
+      }
+    };
+
+    const ownerOf = botId => findUser(user => user.bots.some(bot => bot.id === botId));
+
+    this.bots = {
+      add: async (ownerId, bot) => {
+        const owner = findUser(user => user._id === String(ownerId));
+        if (!owner) return null;
+        const added = { status: 'active', createdAt: new Date(), ...structuredClone(bot) };
+        owner.bots.push(added);
+        this._save();
+        return copy(added);
+      },
+      find: async (botId, { ownerId } = {}) => {
+        const owner = ownerOf(botId);
+        if (!owner || (ownerId && owner._id !== String(ownerId))) return null;
+        return { owner: copy(owner), bot: copy(owner.bots.find(bot => bot.id === botId)) };
+      },
+      update: async (botId, fields) => {
+        const owner = ownerOf(botId);
+        if (!owner) return null;
+        const bot = owner.bots.find(candidate => candidate.id === botId);
+        Object.assign(bot, structuredClone(fields));
+        this._save();
+        return copy(bot);
+      },
+      listRunnable: async () => users()
+        .filter(owner => owner.isActive)
+        .flatMap(owner => owner.bots
+          .filter(bot => bot.strategy && RUNNABLE_STATUSES.includes(bot.status))
+          .map(bot => ({ owner: copy(owner), bot: copy(bot) })))
+    };
+
+    this.invites = {
+      create: async fields => {
+        const user = await this.users.create({ ...fields, isActive: false });
+        await this.users.addReferral(fields.parent, user._id);
+        return user;
+      },
+      findPending: async (email, inviteToken) =>
+        copy(findUser(user => user.email === email && user.inviteToken === inviteToken && !user.isActive)),
+      accept: async (userId, { password, bots }) => {
+        const fields = { password, isActive: true, inviteToken: null };
+        if (bots) fields.bots = bots.map(bot => ({ status: 'active', createdAt: new Date(), ...bot }));
+        return this.users.update(userId, fields);
+      }
+    };
+
+    const commissions = () => this.data.commissions;
+
+    this.commissions = {
+      recordLine: async ({ payoutId, from, level, ...fields }) => {
+        const exists = commissions().some(line =>
+          line.payoutId === payoutId && line.from === String(from) && line.level === level);
+        if (exists) return;
+        commissions().push({
+          ...fields,
+          _id: newId(),
+          payoutId,
+          from: String(from),
+          to: String(fields.to),
+          level,
+          status: 'pending',
+          createdAt: new Date()
+        });
+        this._save();
+      },
+      completePayout: async (payoutId, txHash) => {
+        const lines = commissions().filter(line => line.payoutId === payoutId && line.status !== 'completed');
+        lines.forEach(line => {
+          line.status = 'completed';
+          line.error = null;
+          if (txHash) line.txHash = txHash;
+        });
+        if (lines.length > 0) this._save();
+        return lines.length;
+      },
+      failPayout: async (payoutId, error) => {
+        commissions()
+          .filter(line => line.payoutId === payoutId)
+          .forEach(line => {
+            line.status = 'failed';
+            line.error = error;
+          });
+        this._save();
+      },
+      paidTxHashes: async userId => commissions()
+        .filter(line => line.to === String(userId) && typeof line.txHash === 'string')
+        .map(line => line.txHash)
+    };
+
+    const refreshTokens = () => this.data.refreshTokens;
+
+    this.refreshTokens = {
+      create: async fields => {
+        const token = { usedAt: null, revokedAt: null, replacedBy: null, ...fields, user: String(fields.user), _id: newId(), createdAt: new Date() };
+        refreshTokens().push(token);
+        this._save();
+        return copy(token);
+      },
+      findByHash: async tokenHash => copy(refreshTokens().find(token => token.tokenHash === tokenHash)),
+      consume: async (tokenHash, now) => {
+        const token = refreshTokens().find(candidate => candidate.tokenHash === tokenHash);
+        if (!token || token.usedAt || !isLive(token, now)) return null;
+        token.usedAt = now;
+        this._save();
+        return copy(token);
+      },
+      revokeFamily: async (family, now) => {
+        refreshTokens()
+          .filter(token => token.family === family && !token.revokedAt)
+          .forEach(token => { token.revokedAt = now; });
+        this._save();
+      },
+      setReplacedBy: async (id, tokenHash) => {
+        const token = refreshTokens().find(candidate => candidate._id === String(id));
+        if (token) {
+          token.replacedBy = tokenHash;
+          this._save();
+        }
+      }
+    };
+
+    const apiTokens = () => this.data.apiTokens;
+
+    this.apiTokens = {
+      create: async fields => {
+        const token = { lastUsedAt: null, revokedAt: null, ...fields, user: String(fields.user), _id: newId(), createdAt: new Date() };
+        apiTokens().push(token);
+        this._save();
+        return copy(token);
+      },
+      listByUser: async userId => newestFirst(apiTokens().filter(token => token.user === String(userId))).map(copy),
+      use: async (tokenHash, now) => {
+        const token = apiTokens().find(candidate => candidate.tokenHash === tokenHash);
+        if (!token || !isLive(token, now)) return null;
+        token.lastUsedAt = now;
+        this._save();
+        return copy(token);
+      },
+      revoke: async (id, { userId } = {}, now = new Date()) => {
+        const token = apiTokens().find(candidate =>
+          candidate._id === String(id) && !candidate.revokedAt && (!userId || candidate.user === String(userId)));
+        if (!token) return null;
+        token.revokedAt = now;
+        this._save();
+        return copy(token);
+      }
+    };
+
+    const auditEntries = () => this.data.auditEntries;
+
+    this.audit = {
+      record: async entry => {
+        auditEntries().push({
+          outcome: 'success',
+          ...structuredClone(entry),
+          actor: entry.actor ? String(entry.actor) : undefined,
+          apiToken: entry.apiToken ? String(entry.apiToken) : undefined,
+          _id: newId(),
+          createdAt: new Date()
+        });
+        this._save();
+      },
+      list: async ({ actor, action, outcome, since, limit = 100 } = {}) => newestFirst(auditEntries()
+        .filter(entry => (!actor || entry.actor === String(actor)) &&
+          (!action || entry.action === action) &&
+          (!outcome || entry.outcome === outcome) &&
+          (!since || new Date(entry.createdAt) >= since)))
+        .slice(0, limit)
+        .map(copy)
+    };
+  }
+
+  /**
+   * Load the collections from the storage file
+   */
+  async connect() {
+    if (!this.path || !fs.existsSync(this.path)) return;
+    const stored = JSON.parse(fs.readFileSync(this.path, 'utf8'), (key, value) =>
+      (DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value));
+    COLLECTIONS.forEach(name => { this.data[name] = stored[name] || []; });
+  }
+
+  async disconnect() {}
+
+  _save() {
+    if (!this.path) return;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const tmpPath = `${this.path}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.path);
+  }
+}
+
+module.exports = { FileStorage };
@@ -0,0 +1,46 @@
+/*
+ * 💾 COMMAND CENTER STORAGE
+ * Picks the storage driver the backend runs on
+ *
+ * - mongo: MongoDB through Mongoose (MONGODB_URI)
+ * - file: embedded JSON file, no database needed (STORAGE_PATH)
+ * - memory: like file but nothing is written, for tests
+ *
+ * Every driver exposes the same repositories: users, bots, invites,
+ * commissions, refreshTokens, apiTokens and audit.
+ */
+
+const path = require('path');
+
+const DRIVERS = ['mongo', 'file', 'memory'];
+
+/**
+ * Create the storage for a driver
+ * @param {Object} options Storage options
+ * @param {string} options.driver 'mongo', 'file' or 'memory' (default: STORAGE_DRIVER, else 'mongo')
+ * @param {string} options.uri MongoDB connection string (default: MONGODB_URI)
+ * @param {string} options.path JSON file of the file driver (default: STORAGE_PATH, else data/command-center.json)
+ * @returns {MongoStorage|FileStorage} Storage; call connect() before use
+ */
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'mongo';
+  switch (driver) {
+    case 'mongo': {
+      // Required here so the file drivers run without mongoose installed
+      const { MongoStorage } = require('./mongo-storage');
+      return new MongoStorage({ uri: options.uri || process.env.MONGODB_URI || 'mongodb://localhost:27017/quantum-bot-command-center' });
+    }
+    case 'file': {
+      const { FileStorage } = require('./file-storage');
+      return new FileStorage({ path: options.path || process.env.STORAGE_PATH || path.join(__dirname, '../data/command-center.json') });
+    }
+    case 'memory': {
+      const { FileStorage } = require('./file-storage');
+      return new FileStorage({ path: null });
+    }
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected ${DRIVERS.join(', ')})`);
+  }
+}
+
+module.exports = { createStorage, DRIVERS };
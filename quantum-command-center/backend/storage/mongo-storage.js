@@ -0,0 +1,272 @@
+/*
+ * 🍃 MONGODB STORAGE
+ * Repositories backed by Mongoose models
+ *
+ * Records come back as plain objects (lean) with ids and references as
+ * strings, the same shape the file storage returns.
+ */
+
+const mongoose = require('mongoose');
+const { ROLES } = require('../auth');
+
+// User Schema with Hierarchy
+const UserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'user' },
+  permissions: [String], // Grants on top of the role's permissions
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Referral parent
+  wallet: { type: String, required: true }, // XRPL wallet address
+  walletSeed: { type: String, required: true }, // Serialized keystore record, decrypt with keystore.withWallet
+  bots: [{
+    id: String,
+    name: String,
+    yield: Number,
+    volatility: Number,
+    commissions: Number,
+    strategy: String, // Strategy registry type the bot's worker runs
+    config: mongoose.Schema.Types.Mixed, // Strategy config plus intervalMs and capital
+    status: { type: String, enum: ['active', 'paused', 'stopped', 'error'], default: 'active' },
+    lastHeartbeat: Date,
+    error: String, // Last worker or strategy error, cleared by a healthy tick
+    createdAt: { type: Date, default: Date.now }
+  }],
+  referrals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  totalCommissions: { type: Number, default: 0 },
+  monthlyCommissions: { type: Number, default: 0 },
+  inviteToken: String,
+  isActive: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Commission Transaction Schema
+const CommissionSchema = new mongoose.Schema({
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true },
+  botId: String,
+  period: String, // Settlement period (YYYY-MM)
+  level: String, // Referral level ('1' is the direct parent) or 'override'
+  rate: Number,
+  payoutId: { type: String, index: true }, // Commission ledger payout this line is paid with
+  txHash: String, // XRPL transaction hash
+  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
+  error: String, // Last payout error
+  createdAt: { type: Date, default: Date.now }
+});
+
+// API Token Schema (scoped, revocable tokens for automation; only the hash is stored)
+const ApiTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  scopes: [String],
+  tokenHash: { type: String, required: true, unique: true },
+  prefix: String, // First characters of the token, to tell tokens apart
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: Date,
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Refresh Token Schema (one family per login, rotated on every refresh)
+const RefreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  family: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  replacedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Audit Trail Schema
+const AuditEntrySchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorEmail: String,
+  via: { type: String, enum: ['session', 'api-token', 'anonymous'] },
+  apiToken: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiToken' },
+  action: { type: String, required: true, index: true },
+  target: String,
+  outcome: { type: String, enum: ['success', 'denied'], default: 'success' },
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+/**
+ * Lean document with ObjectIds turned into strings
+ * @private
+ */
+function plain(value) {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, plain(field)]));
+  }
+  return value;
+}
+
+// Subdocument updates through the positional operator, e.g. { status } -> { 'bots.$.status' }
+function botFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [`bots.$.${key}`, value]));
+}
+
+class MongoStorage {
+  /**
+   * @param {Object} options Storage options
+   * @param {string} options.uri MongoDB connection string
+   * @param {mongoose.Connection} options.connection Connection to use instead of connecting to uri
+   */
+  constructor(options = {}) {
+    this.name = 'MongoDB';
+    this.uri = options.uri;
+    this.connection = options.connection || mongoose.createConnection();
+
+    const User = this.connection.model('User', UserSchema);
+    const Commission = this.connection.model('Commission', CommissionSchema);
+    const ApiToken = this.connection.model('ApiToken', ApiTokenSchema);
+    const RefreshToken = this.connection.model('RefreshToken', RefreshTokenSchema);
+    const AuditEntry = this.connection.model('AuditEntry', AuditEntrySchema);
+    this.models = { User, Commission, ApiToken, RefreshToken, AuditEntry };
+
+    const lean = async query => plain(await query.lean());
+    const findUser = query => lean(User.findOne(query));
+
+    this.users = {
+      findById: id => (mongoose.isValidObjectId(id) ? lean(User.findById(id)) : null),
+      findByEmail: (email, { active } = {}) => findUser(active === undefined ? { email } : { email, isActive: active }),
+      findMaster: () => findUser({ role: 'master' }),
+      list: ({ active, ids } = {}) => {
+        const query = {};
+        if (active !== undefined) query.isActive = active;
+        if (ids) query._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+        return lean(User.find(query));
+      },
+      create: async fields => plain((await new User(fields).save()).toObject()),
+      update: (id, fields) => lean(User.findByIdAndUpdate(id, { $set: fields }, { new: true })),
+      addReferral: async (parentId, childId) => {
+        await User.updateOne({ _id: parentId }, { $addToSet: { referrals: childId } });
+      },
+      creditCommissions: async (id, amount) => {
+        await User.updateOne({ _id: id }, { $inc: { totalCommissions: amount, monthlyCommissions: amount } });
+      },
+      resetMonthlyCommissions: async () => {
+        await User.updateMany({}, { $set: { monthlyCommissions: 0 } });
+      }
+    };
+
+    this.bots = {
+      add: async (ownerId, bot) => {
+        const owner = await lean(User.findByIdAndUpdate(ownerId, { $push: { bots: bot } }, { new: true }));
+        return owner ? owner.bots[owner.bots.length - 1] : null;
+      },
+      find: async (botId, { ownerId } = {}) => {
+        const owner = await findUser(ownerId ? { _id: ownerId, 'bots.id': botId } : { 'bots.id': botId });
+        return owner ? { owner, bot: owner.bots.find(bot => bot.id === botId) } : null;
+      },
+      update: async (botId, fields) => {
+        const owner = await lean(User.findOneAndUpdate({ 'bots.id': botId }, { $set: botFields(fields) }, { new: true }));
+        return owner ? owner.bots.find(bot => bot.id === botId) : null;
+      },
+      listRunnable: async () => {
+        const owners = await lean(User.find({ isActive: true, bots: { $elemMatch: { strategy: { $exists: true }, status: { $in: ['active', 'paused'] } } } }));
+        return owners.flatMap(owner => owner.bots
+          .filter(bot => bot.strategy && (bot.status === 'active' || bot.status === 'paused'))
+          .map(bot => ({ owner, bot })));
+      }
+    };
+
+    this.invites = {
+      create: async fields => {
+        const user = await this.users.create({ ...fields, isActive: false });
+        await this.users.addReferral(fields.parent, user._id);
+        return user;
+      },
+      findPending: (email, inviteToken) => findUser({ email, inviteToken, isActive: false }),
+      accept: (userId, { password, bots }) => {
+        const fields = { password, isActive: true, inviteToken: null };
+        if (bots) fields.bots = bots;
+        return this.users.update(userId, fields);
+      }
+    };
+
+    this.commissions = {
+      recordLine: async ({ payoutId, from, level, ...fields }) => {
+        await Commission.updateOne({ payoutId, from, level }, { $setOnInsert: { ...fields, status: 'pending' } }, { upsert: true });
+      },
+      completePayout: async (payoutId, txHash) => {
+        const update = txHash ? { status: 'completed', txHash, error: null } : { status: 'completed', error: null };
+        const { modifiedCount } = await Commission.updateMany({ payoutId, status: { $ne: 'completed' } }, { $set: update });
+        return modifiedCount;
+      },
+      failPayout: async (payoutId, error) => {
+        await Commission.updateMany({ payoutId }, { $set: { status: 'failed', error } });
+      },
+      paidTxHashes: async userId => {
+        const paid = await Commission.find({ to: userId, txHash: { $type: 'string' } }, 'txHash').lean();
+        return paid.map(commission => commission.txHash);
+      }
+    };
+
+    this.refreshTokens = {
+      create: async fields => plain((await new RefreshToken(fields).save()).toObject()),
+      findByHash: tokenHash => lean(RefreshToken.findOne({ tokenHash })),
+      consume: (tokenHash, now) => lean(RefreshToken.findOneAndUpdate(
+        { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+      )),
+      revokeFamily: async (family, now) => {
+        await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: now } });
+      },
+      setReplacedBy: async (id, tokenHash) => {
+        await RefreshToken.updateOne({ _id: id }, { $set: { replacedBy: tokenHash } });
+      }
+    };
+
+    this.apiTokens = {
+      create: async fields => plain((await new ApiToken(fields).save()).toObject()),
+      listByUser: userId => lean(ApiToken.find({ user: userId }).sort({ createdAt: -1 })),
+      use: (tokenHash, now) => lean(ApiToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { lastUsedAt: now } },
+        { new: true }
+      )),
+      revoke: (id, { userId } = {}, now = new Date()) => {
+        if (!mongoose.isValidObjectId(id)) return null;
+        const query = userId ? { _id: id, user: userId, revokedAt: null } : { _id: id, revokedAt: null };
+        return lean(ApiToken.findOneAndUpdate(query, { $set: { revokedAt: now } }, { new: true }));
+      }
+    };
+
+    this.audit = {
+      record: async entry => {
+        await AuditEntry.create(entry);
+      },
+      list: ({ actor, action, outcome, since, limit = 100 } = {}) => {
+        const query = {};
+        if (actor) query.actor = actor;
+        if (action) query.action = action;
+        if (outcome) query.outcome = outcome;
+        if (since) query.createdAt = { $gte: since };
+        return lean(AuditEntry.find(query).sort({ createdAt: -1 }).limit(limit));
+      }
+    };
+  }
+
+  /**
+   * Connect to MongoDB
+   */
+  async connect() {
+    if (this.connection.readyState !== 1) {
+      await this.connection.openUri(this.uri);
+    }
+  }
+
+  async disconnect() {
+    await this.connection.close();
+  }
+}
+
+module.exports = { MongoStorage };
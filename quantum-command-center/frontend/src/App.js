@@ -5,11 +5,35 @@
 
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import axios from 'axios';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import ClaimInvite from './components/ClaimInvite';
 import './App.css';
 
+const API_URL = 'http://localhost:3001';
+
+// Access tokens are short-lived: on a 401, rotate the refresh token once and retry
+axios.interceptors.response.use(undefined, async (error) => {
+  const request = error.config;
+  const refreshToken = localStorage.getItem('quantum-bot-refresh-token');
+  if (error.response?.status !== 401 || !refreshToken || request._retried || request.url.includes('/api/auth/')) {
+    throw error;
+  }
+  request._retried = true;
+  try {
+    const { data } = await axios.post(`${API_URL}/api/auth/refresh`, { refreshToken });
+    localStorage.setItem('quantum-bot-token', data.token);
+    localStorage.setItem('quantum-bot-refresh-token', data.refreshToken);
+    request.headers.Authorization = `Bearer ${data.token}`;
+    return axios(request);
+  } catch (refreshError) {
+    localStorage.removeItem('quantum-bot-token');
+    localStorage.removeItem('quantum-bot-refresh-token');
+    throw error;
+  }
+});
+
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [user, setUser] = useState(null);
@@ -21,7 +45,8 @@ function App() {
     if (token) {
       try {
         const payload = JSON.parse(atob(token.split('.')[1]));
-        if (payload.exp > Date.now() / 1000) {
+        // An expired access token is renewed on first use while the refresh token lasts
+        if (payload.exp > Date.now() / 1000 || localStorage.getItem('quantum-bot-refresh-token')) {
           setIsAuthenticated(true);
           setUser({ role: payload.role, userId: payload.userId });
         } else {
@@ -34,14 +59,22 @@ function App() {
     setLoading(false);
   }, []);
 
-  const handleLogin = (token, userData) => {
+  const handleLogin = (token, userData, refreshToken) => {
     localStorage.setItem('quantum-bot-token', token);
+    if (refreshToken) {
+      localStorage.setItem('quantum-bot-refresh-token', refreshToken);
+    }
     setIsAuthenticated(true);
     setUser(userData);
   };
 
   const handleLogout = () => {
+    const refreshToken = localStorage.getItem('quantum-bot-refresh-token');
+    if (refreshToken) {
+      axios.post(`${API_URL}/api/auth/logout`, { refreshToken }).catch(() => {});
+    }
     localStorage.removeItem('quantum-bot-token');
+    localStorage.removeItem('quantum-bot-refresh-token');
     setIsAuthenticated(false);
     setUser(null);
   };
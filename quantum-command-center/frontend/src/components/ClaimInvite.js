@@ -62,8 +62,8 @@ const ClaimInvite = ({ onClaim }) => {
         password: claimData.password
       });
 
-      const { token, user } = response.data;
-      onClaim(token, user);
+      const { token, refreshToken, user } = response.data;
+      onClaim(token, user, refreshToken);
     } catch (error) {
       setError(error.response?.data?.message || 'Failed to claim invite');
     } finally {
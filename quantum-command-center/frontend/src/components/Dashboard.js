@@ -46,11 +46,13 @@ const Dashboard = ({ user, onLogout }) => {
   const processCommissions = async () => {
     try {
       const token = localStorage.getItem('quantum-bot-token');
-      await axios.post('http://localhost:3001/api/process-commissions', {}, {
+      const { data } = await axios.post('http://localhost:3001/api/process-commissions', {}, {
         headers: { Authorization: `Bearer ${token}` }
       });
       loadDashboardData(); // Refresh data
-      alert('Commissions processed successfully!');
+      alert(data.failed > 0
+        ? `Commissions for ${data.period}: ${data.paid} paid, ${data.failed} failed (see the commission report)`
+        : `Commissions for ${data.period} processed successfully!`);
     } catch (error) {
       console.error('Failed to process commissions:', error);
       alert('Failed to process commissions');
@@ -21,8 +21,8 @@ const Login = ({ onLogin }) => {
 
     try {
       const response = await axios.post('http://localhost:3001/api/login', credentials);
-      const { token, user } = response.data;
-      onLogin(token, user);
+      const { token, refreshToken, user } = response.data;
+      onLogin(token, user, refreshToken);
     } catch (error) {
       setError(error.response?.data?.message || 'Login failed');
     } finally {
@@ -8,7 +8,7 @@ echo.
 
 echo 🎯 Step 1: Starting Backend Demo Server...
 cd backend
-start "Backend Demo" cmd /k "echo Backend Demo Server && echo. && echo 🔑 Demo Login: && echo   Email: demo@quantumbot.com && echo   Password: demo123 && echo. && echo 📡 API: http://localhost:3001 && echo 🎯 Frontend: http://localhost:3000 && echo. && timeout /t 999"
+start "Backend Demo" cmd /k "set STORAGE_DRIVER=file&& npm start"
 
 echo.
 echo 🎨 Step 2: Starting Frontend Dashboard...
@@ -23,8 +23,8 @@ echo   Frontend: http://localhost:3000
 echo   Backend:  http://localhost:3001
 echo.
 echo 🔑 Demo Credentials:
-echo   Email: demo@quantumbot.com
-echo   Password: demo123
+echo   Email: master@quantumbotcommand.com
+echo   Password: QuantumMaster2025!
 echo.
 echo 📊 Features Available:
 echo   ✓ Apple-inspired dashboard
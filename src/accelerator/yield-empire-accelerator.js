@@ -6,6 +6,7 @@
 
 const axios = require('axios');
 const { EventEmitter } = require('events');
+const RiskManager = require('../risk-manager');
 
 class YieldEmpireAccelerator extends EventEmitter {
   constructor(config = {}) {
@@ -21,6 +22,7 @@ class YieldEmpireAccelerator extends EventEmitter {
       targetAPY: config.targetAPY || 0.70, // 70% target APY in surges
       ...config
     };
+    this.riskManager = config.riskManager || RiskManager.getSharedInstance();
 
     this.metrics = {
       totalRevenue: 0,
@@ -129,6 +131,13 @@ class YieldEmpireAccelerator extends EventEmitter {
   }
 
   async executeAllocation(allocation) {
+    const riskCheck = this.riskManager.validateAction(
+      RiskManager.actionFromAllocation(allocation, 'yield-empire-accelerator')
+    );
+    if (!riskCheck.approved) {
+      return false;
+    }
+
     // Simulate XRPL transaction execution
     console.log('🔄 Executing allocation on XRPL mainnet...');
     
@@ -137,6 +146,7 @@ class YieldEmpireAccelerator extends EventEmitter {
     this.metrics.ecoImpact += ecoBonus;
     
     console.log(`🌱 Eco-RWA Bonus Applied: +$${ecoBonus.toLocaleString()}`);
+    this.riskManager.recordExecution(riskCheck.action);
     return true;
   }
 
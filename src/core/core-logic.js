@@ -7,7 +7,7 @@
 const YieldRecoveryProtocol = require('../strategies/yield-recovery-protocol');
 const tf = require('@tensorflow/tfjs-node');
 const NFTVault = require('../monetization/nft-vault');
-const MockChainlink = require('../oracles/mock-chainlink');
+const { PriceOracle } = require('../oracles/price-oracle');
 const EcoDAO = require('../dao/eco-dao');
 const NexusBridge = require('../multi-chain/nexus-bridge');
 const ClawbackAnnihilator = require('./clawback-annihilator');
@@ -152,11 +152,15 @@ class CoreLogic {
       model.add(tf.layers.dense({units: 16, activation: 'relu', inputShape: [5]}));
       model.add(tf.layers.dense({units: 1, activation: 'sigmoid'}));
       model.compile({optimizer: 'adam', loss: 'binaryCrossentropy'});
-      const oracle = new MockChainlink();
-      const nasdaq = await oracle.getNasdaqData();
-      const etfInflow = await oracle.getETFInflow();
+      const oracle = PriceOracle.shared();
+      const nasdaq = await oracle.getChange('NQ=F');
+      const etfInflow = await oracle.getPrice('XRP_ETF_INFLOW');
+      // No surge call on oracle data we cannot trust
+      if (!PriceOracle.isUsable(nasdaq) || !PriceOracle.isUsable(etfInflow)) {
+        return false;
+      }
       // Add to tensor: [[vol, sentiment, nasdaq.change, etfInflow / 1e6, random]] 
-      const prediction = await model.predict(tf.tensor2d([[marketData.vol, marketData.sentiment, nasdaq.change, etfInflow / 1e6, Math.random()]])).dataSync()[0];
+      const prediction = await model.predict(tf.tensor2d([[marketData.vol, marketData.sentiment, nasdaq.change, etfInflow.price / 1e6, Math.random()]])).dataSync()[0];
       return prediction > 0.98;
     }
   }
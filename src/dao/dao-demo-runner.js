@@ -6,6 +6,7 @@
 
 const YieldVoteDAO = require('./yield-vote-dao');
 const DAOOrchestratorIntegration = require('./dao-orchestrator-integration');
+const { TransactionSubmitter } = require('../services/transaction-submitter');
 
 class DAODemoRunner {
   constructor() {
@@ -18,7 +19,9 @@ class DAODemoRunner {
       minStake: 5,
       voteDuration: 300, // 5 minutes for demo
       ecoBoostThreshold: 0.7,
-      ecoBoostMultiplier: 1.5
+      ecoBoostMultiplier: 1.5,
+      // Keep demo outcomes out of the submitter's on-disk log
+      submitter: new TransactionSubmitter({ client: this.mockClient, storagePath: null, pollInterval: 0 })
     });
     
     this.integration = new DAOOrchestratorIntegration(
@@ -37,23 +40,42 @@ class DAODemoRunner {
   createMockXRPLClient() {
     let txCounter = 0;
     const mockTransactions = [];
+    const validated = new Map();
     
+    // Answers the requests the transaction submitter makes; every transaction validates at once
     return {
-      autofill: async (tx) => ({ ...tx, Sequence: ++txCounter }),
-      submitAndWait: async (txBlob) => {
-        const mockResult = {
-          result: {
-            hash: `mock-hash-${txCounter}`,
-            meta: {
-              nftoken_id: `mock-nft-${txCounter}`,
-              TransactionResult: 'tesSUCCESS'
+      getLedgerIndex: async () => 1000 + txCounter,
+      autofill: async (tx) => ({ Fee: '12', ...tx }),
+      request: async (req) => {
+        if (req.command === 'account_info') {
+          return { result: { account_data: { Sequence: 1 } } };
+        }
+        if (req.command === 'submit') {
+          const tx = JSON.parse(req.tx_blob);
+          txCounter++;
+          const mockResult = {
+            result: {
+              ...tx,
+              validated: true,
+              ledger_index: 1000 + txCounter,
+              meta: {
+                nftoken_id: `mock-nft-${txCounter}`,
+                TransactionResult: 'tesSUCCESS'
+              }
             }
+          };
+          validated.set(tx.hash, mockResult);
+          mockTransactions.push({ tx: req.tx_blob, result: mockResult });
+          return { result: { engine_result: 'tesSUCCESS' } };
+        }
+        if (req.command === 'tx') {
+          if (validated.has(req.transaction)) {
+            return validated.get(req.transaction);
           }
-        };
-        mockTransactions.push({ tx: txBlob, result: mockResult });
-        return mockResult;
-      },
-      request: async (req) => {
+          const error = new Error('txnNotFound');
+          error.data = { error: 'txnNotFound' };
+          throw error;
+        }
         if (req.command === 'account_tx') {
           return {
             result: {
@@ -84,14 +106,16 @@ class DAODemoRunner {
 
   /**
    * Create mock wallet for demonstration
+   * @param {string} address - Wallet address
    */
-  createMockWallet() {
+  createMockWallet(address = 'rDAODemoWallet123456789') {
+    let signed = 0;
     return {
-      address: 'rDAODemoWallet123456789',
-      sign: (tx) => ({
-        tx_blob: `signed-${JSON.stringify(tx)}`,
-        id: `tx-id-${Date.now()}`
-      })
+      address,
+      sign: (tx) => {
+        const hash = `mock-hash-${address}-${++signed}`;
+        return { hash, tx_blob: JSON.stringify({ ...tx, hash }) };
+      }
     };
   }
 
@@ -248,7 +272,7 @@ class DAODemoRunner {
     console.log('💰 Simulating community stakes...');
     
     for (const voter of voters) {
-      await this.dao.stakeVote(voteId, voter.option, voter.stake, voter.address);
+      await this.dao.stakeVote(voteId, voter.option, voter.stake, this.createMockWallet(voter.address));
       console.log(`   ${voter.address}: ${voter.stake} XRP → ${voter.option}`);
     }
     
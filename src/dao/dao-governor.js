@@ -14,6 +14,53 @@ const xrpl = require('xrpl');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios'); // For sentiment analysis API calls
+const { DAOVoteIndexer } = require('./dao-vote-indexer');
+const { TransactionSubmitter } = require('../services/transaction-submitter');
+
+// Tie-break rules when several options share the top tally
+const TIE_BREAK_RULES = {
+  FIRST_OPTION: 'first-option', // Option listed first wins (list the status quo first)
+  EARLIEST_VOTE: 'earliest-vote', // Option whose earliest vote came first wins
+  MOST_VOTERS: 'most-voters', // Option with more unique voters wins, no winner if still tied
+  NO_WINNER: 'no-winner' // A tie defeats the proposal
+};
+
+// Proposal lifecycle states
+const PROPOSAL_STATES = {
+  DRAFT: 'draft', // Created, voting not open yet
+  ACTIVE: 'active', // Voting open until expiresAt
+  SUCCEEDED: 'succeeded', // Voting closed and the tally passed
+  DEFEATED: 'defeated', // Voting closed without a passing tally
+  QUEUED: 'queued', // Waiting out the timelock before execution
+  EXECUTED: 'executed', // Execution hooks ran
+  CANCELLED: 'cancelled'
+};
+
+// Allowed transitions; defeated, executed and cancelled are terminal
+const PROPOSAL_TRANSITIONS = {
+  [PROPOSAL_STATES.DRAFT]: [PROPOSAL_STATES.ACTIVE, PROPOSAL_STATES.CANCELLED],
+  [PROPOSAL_STATES.ACTIVE]: [PROPOSAL_STATES.SUCCEEDED, PROPOSAL_STATES.DEFEATED, PROPOSAL_STATES.CANCELLED],
+  [PROPOSAL_STATES.SUCCEEDED]: [PROPOSAL_STATES.QUEUED, PROPOSAL_STATES.CANCELLED],
+  [PROPOSAL_STATES.QUEUED]: [PROPOSAL_STATES.EXECUTED, PROPOSAL_STATES.CANCELLED],
+  [PROPOSAL_STATES.DEFEATED]: [],
+  [PROPOSAL_STATES.EXECUTED]: [],
+  [PROPOSAL_STATES.CANCELLED]: []
+};
+
+// Defaults keep plain plurality voting; communities tighten them per proposal type
+const DEFAULT_GOVERNANCE_RULES = {
+  quorum: {
+    minRawStake: 0, // Minimum XRP staked (before eco-boost), delegated stake included
+    minVoters: 0 // Minimum unique stakeholders, delegators included
+  },
+  thresholds: {
+    default: 0, // Share of boosted votes the winning option needs
+    parameter: 0.5,
+    treasury: 0.6667,
+    emergency: 0.75
+  },
+  tieBreak: TIE_BREAK_RULES.FIRST_OPTION
+};
 
 class DAOGovernor {
   /**
@@ -30,9 +77,16 @@ class DAOGovernor {
    * @param {boolean} options.useSentimentAnalysis Whether to use sentiment analysis for vote boosting (default: true)
    * @param {string} options.sentimentApiKey API key for sentiment analysis service (optional)
    * @param {string} options.sentimentHashtag Hashtag to track for sentiment analysis (default: #XRPLGreenDeFi)
+   * @param {DAOVoteIndexer} options.voteIndexer Ledger vote indexer (default: one over daoAddress and storageDir)
+   * @param {Object} options.governanceRules Quorum, per-type thresholds and tie-break rule (see DEFAULT_GOVERNANCE_RULES)
+   * @param {number} options.timelock Seconds a succeeded proposal stays queued before execution (default: 86400)
+   * @param {number} options.schedulerInterval Milliseconds between lifecycle scheduler runs (default: 60000)
+   * @param {TransactionSubmitter} options.submitter Transaction submitter (default: the client's shared submitter)
+   * @param {number} options.delegationDuration Seconds an all-proposals delegation lasts when no expiry is given (default: 2592000 = 30 days)
    */
   constructor(options = {}) {
     this.client = options.client;
+    this.submitter = options.submitter || null;
     this.wallet = options.wallet;
     this.daoAddress = options.daoAddress || this.wallet.address;
     this.storageDir = options.storageDir || path.join(__dirname, '../../data/dao');
@@ -45,6 +99,14 @@ class DAOGovernor {
     this.sentimentApiKey = options.sentimentApiKey;
     this.sentimentHashtag = options.sentimentHashtag || '#XRPLGreenDeFi';
     this.sentimentOracle = options.sentimentOracle;
+    this.governanceRules = DAOGovernor._mergeRules(DEFAULT_GOVERNANCE_RULES, options.governanceRules);
+    this.timelock = options.timelock !== undefined ? options.timelock : 86400; // 1 day before execution
+    this.schedulerInterval = options.schedulerInterval || 60000;
+    this.schedulerTimer = null;
+    this.delegationDuration = options.delegationDuration || 30 * 86400;
+    
+    // Execution hooks keyed by proposal metadata.category ('*' runs for every proposal)
+    this.executionHooks = new Map();
     
     // Ensure storage directory exists
     if (!fs.existsSync(this.storageDir)) {
@@ -54,20 +116,40 @@ class DAOGovernor {
     // Track active proposals
     this.activeProposals = new Map();
     
+    // Voting power delegations keyed by delegator address
+    this.delegations = new Map();
+    
+    // Ledger-sourced vote history for rebuilding tallies
+    this.voteIndexer = options.voteIndexer || new DAOVoteIndexer({
+      client: this.client,
+      daoAddress: this.daoAddress,
+      storageDir: this.storageDir,
+      minStake: this.minStake
+    });
+    
     // Cache for sentiment scores
     this.sentimentCache = {
       lastChecked: 0,
       score: 0.5 // Default neutral score
     };
     
-    // Load existing proposals
+    // Load existing proposals and delegations
     this._loadProposals();
+    this._loadDelegations();
     
     console.log(`Enhanced DAO Governor initialized with eco-boost multiplier: ${this.ecoBoostMultiplier}x`);
     console.log(`On-chain staking enabled with DAO address: ${this.daoAddress}`);
     console.log(`Sentiment analysis ${this.useSentimentAnalysis ? 'enabled' : 'disabled'} for hashtag: ${this.sentimentHashtag}`);
   }
   
+  /**
+   * Submitter for DAO transactions
+   * @private
+   */
+  _getSubmitter() {
+    return this.submitter || TransactionSubmitter.forClient(this.client);
+  }
+  
   /**
    * Load existing proposals from storage
    * @private
@@ -78,6 +160,11 @@ class DAOGovernor {
       if (fs.existsSync(proposalsFile)) {
         const proposals = JSON.parse(fs.readFileSync(proposalsFile, 'utf8'));
         proposals.forEach(p => {
+          // Proposals stored before the lifecycle existed were open for voting
+          if (!p.state) {
+            p.state = PROPOSAL_STATES.ACTIVE;
+            p.history = [{ state: PROPOSAL_STATES.ACTIVE, at: p.createdAt }];
+          }
           this.activeProposals.set(p.id, p);
         });
         console.log(`Loaded ${this.activeProposals.size} existing proposals`);
@@ -87,6 +174,79 @@ class DAOGovernor {
     }
   }
   
+  /**
+   * Load existing delegations from storage
+   * @private
+   */
+  _loadDelegations() {
+    try {
+      const delegationsFile = path.join(this.storageDir, 'delegations.json');
+      if (fs.existsSync(delegationsFile)) {
+        const delegations = JSON.parse(fs.readFileSync(delegationsFile, 'utf8'));
+        delegations.forEach(d => {
+          // Records from before delegations expired get the default lifetime from when they were made
+          if (d.proposalId === '*' && !d.expiresAt) {
+            d.expiresAt = d.createdAt + this.delegationDuration * 1000;
+          }
+          this.delegations.set(d.delegator, d);
+        });
+        console.log(`Loaded ${this.delegations.size} voting power delegations`);
+      }
+    } catch (error) {
+      console.warn('Error loading delegations:', error.message);
+    }
+  }
+  
+  /**
+   * Save delegations to storage
+   * @private
+   */
+  _saveDelegations() {
+    try {
+      const delegationsFile = path.join(this.storageDir, 'delegations.json');
+      fs.writeFileSync(delegationsFile, JSON.stringify(Array.from(this.delegations.values()), null, 2));
+    } catch (error) {
+      console.error('Error saving delegations:', error.message);
+    }
+  }
+  
+  /**
+   * Merge governance rule overrides into a base rule set
+   * @private
+   * @param {Object} base Base rules
+   * @param {Object} overrides Partial rules
+   * @returns {Object} Merged rules
+   */
+  static _mergeRules(base, overrides) {
+    overrides = overrides || {};
+    return {
+      quorum: { ...base.quorum, ...(overrides.quorum || {}) },
+      thresholds: { ...base.thresholds, ...(overrides.thresholds || {}) },
+      tieBreak: overrides.tieBreak || base.tieBreak
+    };
+  }
+  
+  /**
+   * Resolve the rules that apply to a proposal (governor rules, then proposal overrides)
+   * @private
+   * @param {Object} proposal Proposal data
+   * @returns {Object} { quorum, threshold, tieBreak, type }
+   */
+  _resolveRules(proposal) {
+    const type = proposal.type || 'default';
+    const rules = DAOGovernor._mergeRules(this.governanceRules, proposal.rules);
+    const threshold = proposal.rules && typeof proposal.rules.threshold === 'number'
+      ? proposal.rules.threshold
+      : (rules.thresholds[type] !== undefined ? rules.thresholds[type] : rules.thresholds.default);
+    
+    return {
+      type,
+      quorum: rules.quorum,
+      threshold,
+      tieBreak: rules.tieBreak
+    };
+  }
+  
   /**
    * Get sentiment score for eco-boost calculation with oracle network integration
    * Caches results for 15 minutes to avoid excessive API calls
@@ -292,6 +452,9 @@ class DAOGovernor {
    * @param {Array<boolean>} proposal.ecoOptions Array indicating which options are eco-friendly (for boost)
    * @param {number} proposal.duration Duration in seconds (default: 86400 = 1 day)
    * @param {Object} proposal.metadata Additional metadata to include in the NFT
+   * @param {string} proposal.type Proposal type selecting the supermajority threshold (default: 'default')
+   * @param {Object} proposal.rules Per-proposal overrides ({ quorum, threshold, tieBreak })
+   * @param {boolean} proposal.draft Create as draft; voting opens with activateProposal (default: false)
    * @returns {Promise<string>} Proposal ID
    */
   async createProposal(proposal) {
@@ -303,6 +466,7 @@ class DAOGovernor {
       
       // Create proposal metadata
       const proposalId = `prop-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+      const initialState = proposal.draft ? PROPOSAL_STATES.DRAFT : PROPOSAL_STATES.ACTIVE;
       const proposalData = {
         id: proposalId,
         title: proposal.title,
@@ -310,10 +474,16 @@ class DAOGovernor {
         options: proposal.options,
         ecoOptions: proposal.ecoOptions || proposal.options.map(() => false),
         createdAt: Date.now(),
+        startsAt: proposal.draft ? null : Date.now(),
         expiresAt: Date.now() + (proposal.duration || 86400) * 1000,
+        duration: (proposal.duration || 86400) * 1000,
+        state: initialState,
+        history: [{ state: initialState, at: Date.now() }],
         votes: {},
         voters: {},
         nftTokenId: null,
+        type: proposal.type || 'default',
+        rules: proposal.rules || null,
         metadata: proposal.metadata || {}
       };
       
@@ -332,23 +502,22 @@ class DAOGovernor {
         ecoOptions: proposalData.ecoOptions,
         createdAt: proposalData.createdAt,
         expiresAt: proposalData.expiresAt,
+        type: proposalData.type,
+        rules: this._resolveRules(proposalData),
         creator: this.wallet.address,
         version: '2.0', // Enhanced version
         ...proposal.metadata
       };
       
       // Mint NFToken for the proposal with enhanced metadata
-      const tx = await this.client.autofill({
+      const result = await this._getSubmitter().submit({
         TransactionType: 'NFTokenMint',
         Account: this.wallet.address,
         URI: xrpl.convertStringToHex(JSON.stringify(nftMetadata)),
         Flags: xrpl.NFTokenMintFlags.tfTransferable,
         TransferFee: this.transferFee,
         NFTokenTaxon: 0 // Required field
-      });
-      
-      const signed = this.wallet.sign(tx);
-      const result = await this.client.submitAndWait(signed.tx_blob);
+      }, { wallet: this.wallet });
       
       // Extract NFToken ID from result
       if (result.result.meta.TransactionResult === 'tesSUCCESS') {
@@ -481,6 +650,10 @@ class DAOGovernor {
         throw new Error(`Proposal ${proposalId} not found`);
       }
       
+      if (proposal.state !== PROPOSAL_STATES.ACTIVE) {
+        throw new Error(`Proposal ${proposalId} is not open for voting (${proposal.state})`);
+      }
+      
       if (Date.now() > proposal.expiresAt) {
         throw new Error(`Proposal ${proposalId} has expired`);
       }
@@ -568,6 +741,10 @@ class DAOGovernor {
         throw new Error(`Proposal ${proposalId} not found`);
       }
       
+      if (proposal.state !== PROPOSAL_STATES.ACTIVE) {
+        throw new Error(`Proposal ${proposalId} is not open for voting (${proposal.state})`);
+      }
+      
       if (Date.now() > proposal.expiresAt) {
         throw new Error(`Proposal ${proposalId} has expired`);
       }
@@ -583,7 +760,7 @@ class DAOGovernor {
       }
       
       // Create on-chain vote transaction (Payment with memo)
-      const tx = await this.client.autofill({
+      const result = await this._getSubmitter().submit({
         TransactionType: 'Payment',
         Account: wallet.address,
         Destination: this.daoAddress,
@@ -595,11 +772,7 @@ class DAOGovernor {
             MemoType: xrpl.convertStringToHex('dao/vote')
           }
         }]
-      });
-      
-      // Sign and submit transaction
-      const signed = wallet.sign(tx);
-      const result = await this.client.submitAndWait(signed.tx_blob);
+      }, { wallet });
       
       if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
         throw new Error(`Vote transaction failed: ${result.result.meta.TransactionResult}`);
@@ -621,9 +794,308 @@ class DAOGovernor {
   }
   
   /**
-   * Tally votes for a proposal with eco-boost consideration
+   * Rebuild every proposal's tally from the DAO address's ledger history
+   * Votes missed while no subscription was open are added, and store entries
+   * without a matching ledger payment are dropped. Eco-boost recorded at vote
+   * time is kept when the ledger agrees on the option; otherwise the base
+   * multiplier is applied. When a history gap overlaps a proposal's voting
+   * window the ledger view may be missing votes, so store votes are kept and
+   * only votes missing from the store are added. Delegations found on the
+   * ledger that the store lacks are added too.
+   * @param {Object} options Rebuild options
+   * @param {number} options.fromLedger First ledger to index (default: continue the existing index)
+   * @param {boolean} options.rebuild Re-index from fromLedger instead of continuing
+   * @param {boolean} options.apply Write the ledger view into proposals.json (default: true)
+   * @returns {Promise<Object>} Reconciliation report from DAOVoteIndexer.reconcile
+   */
+  async rebuildTalliesFromLedger(options = {}) {
+    try {
+      const { apply = true, ...syncOptions } = options;
+      
+      const sync = await this.voteIndexer.sync(syncOptions);
+      const report = this.voteIndexer.reconcile(this.activeProposals, this.delegations);
+      report.sync = sync;
+      
+      if (apply) {
+        for (const ledgerDelegation of report.delegations.missingInStore) {
+          const proposal = this.activeProposals.get(ledgerDelegation.proposalId);
+          const expiresAt = ledgerDelegation.expiresAt ||
+            (ledgerDelegation.proposalId === '*'
+              ? ledgerDelegation.timestamp + this.delegationDuration * 1000
+              : (proposal ? proposal.expiresAt : ledgerDelegation.timestamp));
+          this.delegations.set(ledgerDelegation.delegator, {
+            delegator: ledgerDelegation.delegator,
+            delegate: ledgerDelegation.delegate,
+            stake: ledgerDelegation.stake,
+            proposalId: ledgerDelegation.proposalId,
+            createdAt: ledgerDelegation.timestamp,
+            expiresAt,
+            txHash: ledgerDelegation.hash,
+            ledgerIndex: ledgerDelegation.ledgerIndex
+          });
+        }
+        if (report.delegations.missingInStore.length > 0) {
+          console.log(`Restored ${report.delegations.missingInStore.length} delegation(s) from ledger`);
+          this._saveDelegations();
+        }
+        
+        for (const [proposalId, diff] of Object.entries(report.proposals)) {
+          if (diff.consistent) continue;
+          
+          const proposal = this.activeProposals.get(proposalId);
+          const incomplete = diff.gaps.length > 0;
+          const voters = {};
+          
+          for (const [voterAddress, ledgerVote] of Object.entries(diff.ledgerVoters)) {
+            const stored = proposal.voters[voterAddress];
+            if (incomplete && stored) continue;
+            
+            const optionIndex = proposal.options.indexOf(ledgerVote.option);
+            const isEcoOption = proposal.ecoOptions && proposal.ecoOptions[optionIndex];
+            const ecoBoost = stored && stored.option === ledgerVote.option
+              ? stored.ecoBoost
+              : (isEcoOption ? this.ecoBoostMultiplier : 1.0);
+            
+            voters[voterAddress] = {
+              option: ledgerVote.option,
+              stake: ledgerVote.stake,
+              boostedStake: ledgerVote.stake * ecoBoost,
+              ecoBoost,
+              timestamp: ledgerVote.timestamp,
+              txHash: ledgerVote.txHash,
+              ledgerIndex: ledgerVote.ledgerIndex
+            };
+          }
+          
+          if (incomplete) {
+            // Unconfirmed and conflicting store votes may be in the gap
+            Object.entries(proposal.voters).forEach(([voterAddress, stored]) => {
+              voters[voterAddress] = stored;
+            });
+          }
+          
+          proposal.voters = voters;
+          proposal.votes = Object.fromEntries(proposal.options.map(option => [option, 0]));
+          Object.values(voters).forEach(vote => {
+            proposal.votes[vote.option] += vote.boostedStake;
+          });
+          
+          if (incomplete) {
+            console.warn(`Merged ledger votes into proposal ${proposalId}: +${diff.missingInStore.length} missing; kept ${diff.missingOnLedger.length} unconfirmed and ${diff.mismatched.length} conflicting store vote(s) because ${diff.gaps.length} history gap(s) overlap its voting window`);
+          } else {
+            console.log(`Rebuilt tally for proposal ${proposalId} from ledger: +${diff.missingInStore.length} missing, -${diff.missingOnLedger.length} unconfirmed, ${diff.mismatched.length} corrected`);
+          }
+        }
+        
+        this._saveProposals();
+      }
+      
+      if (report.gaps.length > 0) {
+        console.warn(`Ledger history has ${report.gaps.length} gap(s); tallies may be incomplete until they are backfilled`);
+      }
+      
+      return report;
+    } catch (error) {
+      console.error('Error rebuilding tallies from ledger:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delegate voting power to another address with an on-chain stake
+   * The delegate's vote carries the delegator's stake on every proposal in
+   * scope where the delegator does not vote directly. The scope is either one
+   * proposal or every proposal opened before the delegation expires.
+   * Delegation is one level: a delegate's own delegation is not followed.
+   * The memo ("proposalId:delegate:expiresAt") lets the vote indexer rebuild
+   * delegations from the ledger.
+   * @param {string} delegateAddress Address that votes on the delegator's behalf
+   * @param {number} stakeAmount Amount of XRP staked as delegated voting power
+   * @param {Object} options Delegation options
+   * @param {string} options.proposalId Limit the delegation to one proposal (default: '*', proposals opened before expiresAt)
+   * @param {number} options.expiresAt Expiry of an all-proposals delegation in ms (default: now + delegationDuration)
+   * @param {Object} options.wallet Delegator wallet (defaults to DAO wallet)
+   * @returns {Promise<Object>} Delegation record including transaction details
+   */
+  async delegateVotingPower(delegateAddress, stakeAmount, options = {}) {
+    try {
+      const { proposalId = '*', wallet = this.wallet } = options;
+      
+      if (!xrpl.isValidClassicAddress(delegateAddress)) {
+        throw new Error(`Invalid delegate address: ${delegateAddress}`);
+      }
+      
+      if (delegateAddress === wallet.address) {
+        throw new Error('Cannot delegate voting power to yourself');
+      }
+      
+      if (stakeAmount < this.minStake) {
+        throw new Error(`Minimum stake required: ${this.minStake} XRP`);
+      }
+      
+      if (proposalId !== '*' && !this.activeProposals.has(proposalId)) {
+        throw new Error(`Proposal ${proposalId} not found`);
+      }
+      
+      const expiresAt = proposalId !== '*'
+        ? this.activeProposals.get(proposalId).expiresAt
+        : (options.expiresAt || Date.now() + this.delegationDuration * 1000);
+      if (expiresAt <= Date.now()) {
+        throw new Error(`Delegation would already have expired at ${new Date(expiresAt).toISOString()}`);
+      }
+      
+      // Stake the delegated power on-chain (Payment with delegation memo)
+      const result = await this._getSubmitter().submit({
+        TransactionType: 'Payment',
+        Account: wallet.address,
+        Destination: this.daoAddress,
+        Amount: String(Math.floor(stakeAmount * 1000000)), // Convert XRP to drops
+        Memos: [{
+          Memo: {
+            MemoData: xrpl.convertStringToHex(`${proposalId}:${delegateAddress}:${expiresAt}`),
+            MemoFormat: xrpl.convertStringToHex('text/plain'),
+            MemoType: xrpl.convertStringToHex('dao/delegate')
+          }
+        }]
+      }, { wallet });
+      
+      if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
+        throw new Error(`Delegation transaction failed: ${result.result.meta.TransactionResult}`);
+      }
+      
+      const delegation = this._recordDelegation(wallet.address, delegateAddress, stakeAmount, proposalId, expiresAt);
+      delegation.txHash = result.result.hash;
+      this._saveDelegations();
+      
+      return delegation;
+    } catch (error) {
+      console.error('Error delegating voting power:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Internal method to record a delegation without creating a new transaction
+   * @private
+   * @param {string} delegator Delegator address
+   * @param {string} delegate Delegate address
+   * @param {number} stakeAmount Delegated XRP stake
+   * @param {string} proposalId Proposal in scope, or '*' for proposals opened before expiresAt
+   * @param {number} expiresAt Expiry in ms (default: now + delegationDuration)
+   * @returns {Object} Delegation record
+   */
+  _recordDelegation(delegator, delegate, stakeAmount, proposalId = '*', expiresAt = null) {
+    const createdAt = Date.now();
+    const delegation = {
+      delegator,
+      delegate,
+      stake: stakeAmount,
+      proposalId,
+      createdAt,
+      expiresAt: expiresAt || createdAt + this.delegationDuration * 1000
+    };
+    
+    // A new delegation replaces the previous one
+    this.delegations.set(delegator, delegation);
+    this._saveDelegations();
+    
+    console.log(`Voting power delegated: ${delegator} -> ${delegate} (${stakeAmount} XRP, scope: ${proposalId === '*' ? `proposals opened until ${new Date(delegation.expiresAt).toISOString()}` : proposalId})`);
+    return delegation;
+  }
+  
+  /**
+   * Revoke a delegation; the delegator's stake no longer follows the delegate
+   * The record is kept with revokedAt, so a ledger rebuild does not bring the
+   * revoked delegation back.
+   * @param {string} delegatorAddress Delegator address
+   * @returns {boolean} Whether a delegation was revoked
+   */
+  revokeDelegation(delegatorAddress) {
+    const delegation = this.delegations.get(delegatorAddress);
+    if (!delegation || delegation.revokedAt) {
+      return false;
+    }
+    
+    delegation.revokedAt = Date.now();
+    this._saveDelegations();
+    console.log(`Voting power delegation revoked for ${delegatorAddress}`);
+    return true;
+  }
+  
+  /**
+   * Delegated votes that apply to a proposal
+   * A delegation counts when it is in scope (the proposal itself, or any
+   * proposal opened before the delegation expired), was made before the
+   * proposal expired, is not revoked, the delegator did not vote directly
+   * and the delegate voted.
+   * @private
+   * @param {Object} proposal Proposal data
+   * @returns {Array<Object>} { delegator, delegate, option, stake, boostedStake }
+   */
+  _getDelegatedVotes(proposal) {
+    const delegated = [];
+    
+    for (const delegation of this.delegations.values()) {
+      if (delegation.revokedAt) continue;
+      if (delegation.proposalId !== '*' && delegation.proposalId !== proposal.id) continue;
+      if (delegation.proposalId === '*' && !(proposal.createdAt < delegation.expiresAt)) continue;
+      if (delegation.createdAt > proposal.expiresAt) continue;
+      if (proposal.voters[delegation.delegator]) continue; // Direct vote overrides delegation
+      
+      const delegateVote = proposal.voters[delegation.delegate];
+      if (!delegateVote) continue;
+      
+      delegated.push({
+        delegator: delegation.delegator,
+        delegate: delegation.delegate,
+        option: delegateVote.option,
+        stake: delegation.stake,
+        boostedStake: delegation.stake * (delegateVote.ecoBoost || 1)
+      });
+    }
+    
+    return delegated;
+  }
+  
+  /**
+   * Pick the winner among tied options
+   * @private
+   * @param {Array<string>} tiedOptions Options sharing the top tally
+   * @param {Object} proposal Proposal data
+   * @param {string} rule Tie-break rule
+   * @param {Object} voterCounts Unique voters per option
+   * @returns {string|null} Winning option or null
+   */
+  _breakTie(tiedOptions, proposal, rule, voterCounts) {
+    switch (rule) {
+      case TIE_BREAK_RULES.FIRST_OPTION:
+        return proposal.options.find(option => tiedOptions.includes(option));
+        
+      case TIE_BREAK_RULES.EARLIEST_VOTE: {
+        const earliest = {};
+        Object.values(proposal.voters).forEach(vote => {
+          if (tiedOptions.includes(vote.option)) {
+            earliest[vote.option] = Math.min(earliest[vote.option] || Infinity, vote.timestamp || Infinity);
+          }
+        });
+        const ordered = tiedOptions.slice().sort((a, b) => (earliest[a] || Infinity) - (earliest[b] || Infinity));
+        return earliest[ordered[0]] !== earliest[ordered[1]] ? ordered[0] : null;
+      }
+        
+      case TIE_BREAK_RULES.MOST_VOTERS: {
+        const ordered = tiedOptions.slice().sort((a, b) => voterCounts[b] - voterCounts[a]);
+        return voterCounts[ordered[0]] !== voterCounts[ordered[1]] ? ordered[0] : null;
+      }
+        
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Tally votes for a proposal with eco-boost, delegation, quorum and threshold rules
    * @param {string} proposalId ID of the proposal
-   * @returns {Promise<Object>} Enhanced tally results
+   * @returns {Promise<Object>} Enhanced tally results; winningOption is null unless the proposal passed
    */
   async tallyVotes(proposalId) {
     try {
@@ -633,33 +1105,82 @@ class DAOGovernor {
         throw new Error(`Proposal ${proposalId} not found`);
       }
       
-      // Find winning option
-      let winningOption = null;
-      let maxVotes = 0;
-      
-      Object.entries(proposal.votes).forEach(([option, votes]) => {
-        if (votes > maxVotes) {
-          winningOption = option;
-          maxVotes = votes;
-        }
-      });
+      const rules = this._resolveRules(proposal);
+      const delegatedVotes = this._getDelegatedVotes(proposal);
       
-      // Calculate raw votes (without eco-boost) for analytics
+      // Effective tally: direct votes plus delegated stake on the delegate's option
+      const votes = {};
       const rawVotes = {};
       const ecoBoostImpact = {};
+      const voterCounts = {};
       
       // Initialize with zeros
       proposal.options.forEach(option => {
+        votes[option] = proposal.votes[option] || 0;
         rawVotes[option] = 0;
         ecoBoostImpact[option] = 0;
+        voterCounts[option] = 0;
       });
       
       // Calculate raw votes and eco-boost impact
       Object.entries(proposal.voters).forEach(([address, data]) => {
         rawVotes[data.option] += data.stake;
         ecoBoostImpact[data.option] += (data.boostedStake - data.stake);
+        voterCounts[data.option]++;
+      });
+      
+      delegatedVotes.forEach(vote => {
+        votes[vote.option] += vote.boostedStake;
+        rawVotes[vote.option] += vote.stake;
+        ecoBoostImpact[vote.option] += (vote.boostedStake - vote.stake);
+        voterCounts[vote.option]++;
       });
       
+      // Find the leading option(s)
+      const maxVotes = Math.max(0, ...Object.values(votes));
+      const leaders = maxVotes > 0
+        ? proposal.options.filter(option => Math.abs(votes[option] - maxVotes) < 1e-9)
+        : [];
+      const tied = leaders.length > 1;
+      const leadingOption = tied
+        ? this._breakTie(leaders, proposal, rules.tieBreak, voterCounts)
+        : (leaders[0] || null);
+      
+      // Quorum on raw stake and unique stakeholders
+      const totalRawVotes = Object.values(rawVotes).reduce((sum, v) => sum + v, 0);
+      const uniqueVoters = Object.keys(proposal.voters).length + delegatedVotes.length;
+      const quorum = {
+        reached: totalRawVotes >= rules.quorum.minRawStake && uniqueVoters >= rules.quorum.minVoters,
+        rawStake: totalRawVotes,
+        minRawStake: rules.quorum.minRawStake,
+        voters: uniqueVoters,
+        minVoters: rules.quorum.minVoters
+      };
+      
+      // Supermajority on boosted votes
+      const totalVotes = Object.values(votes).reduce((sum, v) => sum + v, 0);
+      const winningShare = leadingOption && totalVotes > 0 ? votes[leadingOption] / totalVotes : 0;
+      const threshold = {
+        required: rules.threshold,
+        winningShare,
+        met: leadingOption !== null && winningShare >= rules.threshold
+      };
+      
+      let status;
+      if (maxVotes === 0) {
+        status = 'no-votes';
+      } else if (!quorum.reached) {
+        status = 'quorum-not-reached';
+      } else if (leadingOption === null) {
+        status = 'tied';
+      } else if (!threshold.met) {
+        status = 'threshold-not-met';
+      } else {
+        status = 'passed';
+      }
+      
+      const winningOption = status === 'passed' ? leadingOption : null;
+      
       // Get top voters for rewards, sorted by boosted stake
       const topVoters = Object.entries(proposal.voters)
         .filter(([_, data]) => data.stake >= this.rewardThreshold)
@@ -675,8 +1196,7 @@ class DAOGovernor {
       
       // Calculate eco-friendly voting statistics
       const ecoOptions = proposal.options.filter((_, i) => proposal.ecoOptions[i]);
-      const ecoVotes = ecoOptions.reduce((sum, option) => sum + (proposal.votes[option] || 0), 0);
-      const totalVotes = Object.values(proposal.votes).reduce((sum, v) => sum + v, 0);
+      const ecoVotes = ecoOptions.reduce((sum, option) => sum + (votes[option] || 0), 0);
       const ecoPercentage = totalVotes > 0 ? (ecoVotes / totalVotes) * 100 : 0;
       
       // Get winning option index and check if it's eco-friendly
@@ -686,23 +1206,36 @@ class DAOGovernor {
       const result = {
         proposalId,
         title: proposal.title,
+        type: rules.type,
+        status,
+        passed: status === 'passed',
         winningOption,
+        leadingOption,
         isWinnerEco,
-        votes: proposal.votes,
+        votes,
         rawVotes,
         ecoBoostImpact,
+        delegatedVotes,
         totalVotes,
-        totalRawVotes: Object.values(rawVotes).reduce((sum, v) => sum + v, 0),
+        totalRawVotes,
         ecoVotes,
         ecoPercentage,
+        quorum,
+        threshold,
+        tie: { tied, options: tied ? leaders : [], rule: rules.tieBreak },
         topVoters,
         isExpired: Date.now() > proposal.expiresAt,
         metadata: proposal.metadata || {}
       };
       
-      console.log(`Enhanced Proposal ${proposalId} tally results:`);
-      console.log(`Winning option: "${winningOption}" with ${maxVotes.toFixed(2)} votes (${isWinnerEco ? 'Eco-friendly ✅' : 'Standard'})`);
-      console.log(`Total votes: ${result.totalVotes.toFixed(2)} (Raw: ${result.totalRawVotes.toFixed(2)}, Eco-boost: ${(result.totalVotes - result.totalRawVotes).toFixed(2)})`);
+      console.log(`Enhanced Proposal ${proposalId} tally results (${status}):`);
+      console.log(`Leading option: "${leadingOption}" with ${(leadingOption ? votes[leadingOption] : 0).toFixed(2)} votes (${isWinnerEco ? 'Eco-friendly ✅' : 'Standard'})`);
+      console.log(`Total votes: ${result.totalVotes.toFixed(2)} (Raw: ${result.totalRawVotes.toFixed(2)}, Eco-boost: ${(result.totalVotes - result.totalRawVotes).toFixed(2)}, Delegated: ${delegatedVotes.length})`);
+      console.log(`Quorum: ${quorum.reached ? 'reached' : 'not reached'} (${quorum.rawStake.toFixed(2)}/${quorum.minRawStake} XRP, ${quorum.voters}/${quorum.minVoters} voters)`);
+      console.log(`Threshold: ${(winningShare * 100).toFixed(2)}% of ${(rules.threshold * 100).toFixed(2)}% required`);
+      if (tied) {
+        console.log(`Tie between ${leaders.join(', ')} resolved by ${rules.tieBreak}: ${leadingOption || 'no winner'}`);
+      }
       console.log(`Eco-friendly voting: ${ecoPercentage.toFixed(2)}% of total votes`);
       console.log(`Top voters: ${topVoters.length}`);
       
@@ -713,6 +1246,210 @@ class DAOGovernor {
     }
   }
   
+  /**
+   * Move a proposal to a new lifecycle state
+   * @private
+   * @param {Object} proposal Proposal data
+   * @param {string} state Target state
+   * @param {Object} details Extra fields recorded in the history entry
+   */
+  _transition(proposal, state, details = {}) {
+    const allowed = PROPOSAL_TRANSITIONS[proposal.state] || [];
+    if (!allowed.includes(state)) {
+      throw new Error(`Proposal ${proposal.id} cannot move from ${proposal.state} to ${state}`);
+    }
+    
+    proposal.state = state;
+    proposal.history = proposal.history || [];
+    proposal.history.push({ state, at: Date.now(), ...details });
+    this._saveProposals();
+    
+    console.log(`Proposal ${proposal.id} -> ${state}${details.reason ? ` (${details.reason})` : ''}`);
+  }
+  
+  /**
+   * Open voting on a draft proposal for its configured duration
+   * @param {string} proposalId ID of the proposal
+   * @returns {Object} Updated proposal
+   */
+  activateProposal(proposalId) {
+    const proposal = this.activeProposals.get(proposalId);
+    if (!proposal) {
+      throw new Error(`Proposal ${proposalId} not found`);
+    }
+    
+    proposal.startsAt = Date.now();
+    proposal.expiresAt = proposal.startsAt + (proposal.duration || 86400000);
+    this._transition(proposal, PROPOSAL_STATES.ACTIVE);
+    
+    return proposal;
+  }
+  
+  /**
+   * Cancel a proposal that has not been executed
+   * @param {string} proposalId ID of the proposal
+   * @param {string} reason Reason recorded in the history
+   * @returns {Object} Updated proposal
+   */
+  cancelProposal(proposalId, reason = 'cancelled') {
+    const proposal = this.activeProposals.get(proposalId);
+    if (!proposal) {
+      throw new Error(`Proposal ${proposalId} not found`);
+    }
+    
+    this._transition(proposal, PROPOSAL_STATES.CANCELLED, { reason });
+    return proposal;
+  }
+  
+  /**
+   * Register a hook that runs when a queued proposal executes
+   * Hooks receive (proposal, tally) and may return a result that is stored
+   * on the proposal. runGovernedSimulation can be wired in the same way:
+   * registerExecutionHook('simulation', p => governor.runGovernedSimulation(p.id, engine)).
+   * @param {string} category Proposal metadata.category the hook handles ('*' for all)
+   * @param {Function} hook Async hook function
+   */
+  registerExecutionHook(category, hook) {
+    if (typeof hook !== 'function') {
+      throw new Error('Execution hook must be a function');
+    }
+    
+    if (!this.executionHooks.has(category)) {
+      this.executionHooks.set(category, []);
+    }
+    this.executionHooks.get(category).push(hook);
+  }
+  
+  /**
+   * Close expired votes, queue passed proposals and execute those past their timelock
+   * @param {number} now Current time in milliseconds (default: Date.now())
+   * @returns {Promise<Array<Object>>} Transitions made ({ proposalId, from, to })
+   */
+  async processProposals(now = Date.now()) {
+    const transitions = [];
+    
+    for (const proposal of this.activeProposals.values()) {
+      try {
+        const from = proposal.state;
+        
+        // Close voting at expiry
+        if (proposal.state === PROPOSAL_STATES.ACTIVE && now > proposal.expiresAt) {
+          const tally = await this.tallyVotes(proposal.id);
+          proposal.result = {
+            status: tally.status,
+            winningOption: tally.winningOption,
+            totalVotes: tally.totalVotes,
+            totalRawVotes: tally.totalRawVotes,
+            quorum: tally.quorum,
+            threshold: tally.threshold
+          };
+          this._transition(proposal, tally.passed ? PROPOSAL_STATES.SUCCEEDED : PROPOSAL_STATES.DEFEATED, {
+            reason: tally.status
+          });
+        }
+        
+        // Start the timelock
+        if (proposal.state === PROPOSAL_STATES.SUCCEEDED) {
+          proposal.eta = now + this.timelock * 1000;
+          this._transition(proposal, PROPOSAL_STATES.QUEUED, { eta: proposal.eta });
+        }
+        
+        // Execute once the timelock has passed
+        if (proposal.state === PROPOSAL_STATES.QUEUED && now >= proposal.eta) {
+          await this.executeProposal(proposal.id, now);
+        }
+        
+        if (proposal.state !== from) {
+          transitions.push({ proposalId: proposal.id, from, to: proposal.state });
+        }
+      } catch (error) {
+        console.warn(`Error processing proposal ${proposal.id}: ${error.message}`);
+      }
+    }
+    
+    return transitions;
+  }
+  
+  /**
+   * Run the execution hooks of a queued proposal
+   * A failing hook leaves the proposal queued so the scheduler retries it.
+   * @param {string} proposalId ID of the proposal
+   * @param {number} now Current time in milliseconds (default: Date.now())
+   * @returns {Promise<Object>} Updated proposal
+   */
+  async executeProposal(proposalId, now = Date.now()) {
+    const proposal = this.activeProposals.get(proposalId);
+    if (!proposal) {
+      throw new Error(`Proposal ${proposalId} not found`);
+    }
+    
+    if (proposal.state !== PROPOSAL_STATES.QUEUED) {
+      throw new Error(`Proposal ${proposalId} is not queued (${proposal.state})`);
+    }
+    
+    if (now < proposal.eta) {
+      throw new Error(`Proposal ${proposalId} is timelocked until ${new Date(proposal.eta).toISOString()}`);
+    }
+    
+    const tally = await this.tallyVotes(proposalId);
+    const category = proposal.metadata && proposal.metadata.category;
+    const hooks = [
+      ...(this.executionHooks.get(category) || []),
+      ...(this.executionHooks.get('*') || [])
+    ];
+    
+    const results = [];
+    try {
+      for (const hook of hooks) {
+        results.push(await hook(proposal, tally));
+      }
+    } catch (error) {
+      proposal.lastExecutionError = { message: error.message, at: now };
+      this._saveProposals();
+      throw error;
+    }
+    
+    proposal.executionResults = results;
+    delete proposal.lastExecutionError;
+    this._transition(proposal, PROPOSAL_STATES.EXECUTED, { hooks: hooks.length });
+    
+    return proposal;
+  }
+  
+  /**
+   * Start the lifecycle scheduler
+   * @param {number} interval Milliseconds between runs (default: schedulerInterval)
+   */
+  startScheduler(interval = this.schedulerInterval) {
+    this.stopScheduler();
+    this.schedulerTimer = setInterval(() => {
+      this.processProposals().catch(error => {
+        console.warn('Proposal scheduler error:', error.message);
+      });
+    }, interval);
+    
+    console.log(`Proposal lifecycle scheduler started (every ${interval / 1000}s, timelock ${this.timelock}s)`);
+  }
+  
+  /**
+   * Stop the lifecycle scheduler
+   */
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+  
+  /**
+   * Get proposals in a lifecycle state
+   * @param {string} state One of PROPOSAL_STATES
+   * @returns {Array<Object>} Proposals in that state
+   */
+  getProposalsByState(state) {
+    return Array.from(this.activeProposals.values()).filter(p => p.state === state);
+  }
+  
   /**
    * Get all active proposals
    * @returns {Array<Object>} List of active proposals
@@ -720,16 +1457,19 @@ class DAOGovernor {
   getActiveProposals() {
     const now = Date.now();
     return Array.from(this.activeProposals.values())
-      .filter(p => p.expiresAt > now)
+      .filter(p => p.state === PROPOSAL_STATES.ACTIVE && p.expiresAt > now)
       .map(p => ({
         id: p.id,
         title: p.title,
         description: p.description,
         options: p.options,
         votes: p.votes,
+        state: p.state,
+        type: p.type,
         createdAt: p.createdAt,
         expiresAt: p.expiresAt,
-        nftTokenId: p.nftTokenId
+        nftTokenId: p.nftTokenId,
+        metadata: p.metadata || {}
       }));
   }
   
@@ -791,16 +1531,13 @@ class DAOGovernor {
         };
         
         // Mint governance badge with enhanced metadata
-        const tx = await this.client.autofill({
+        const result = await this._getSubmitter().submit({
           TransactionType: 'NFTokenMint',
           Account: this.wallet.address,
           TransferFee: this.transferFee,
           URI: xrpl.convertStringToHex(JSON.stringify(nftMetadata)),
           NFTokenTaxon: 0 // Required field
-        });
-        
-        const signed = this.wallet.sign(tx);
-        const result = await this.client.submitAndWait(signed.tx_blob);
+        }, { wallet: this.wallet, idempotencyKey: `reward-badge:${proposalId}:${voter.address}` });
         
         // Extract NFToken ID
         if (result.result.meta.TransactionResult === 'tesSUCCESS') {
@@ -842,17 +1579,14 @@ class DAOGovernor {
             mintedNFTs.push(nftDetails);
             
             // Transfer NFT to voter
-            const transferTx = await this.client.autofill({
+            await this._getSubmitter().submit({
               TransactionType: 'NFTokenCreateOffer',
               Account: this.wallet.address,
               NFTokenID: tokenId,
               Destination: voter.address,
               Amount: '0',
               Flags: 1 // tfSellNFToken
-            });
-            
-            const signedTransfer = this.wallet.sign(transferTx);
-            await this.client.submitAndWait(signedTransfer.tx_blob);
+            }, { wallet: this.wallet, idempotencyKey: `reward-badge-offer:${tokenId}` });
             
             console.log(`Enhanced Governance Badge NFT minted and transferred to ${voter.address}`);
             console.log(`Token ID: ${tokenId}`);
@@ -892,7 +1626,7 @@ class DAOGovernor {
       const { winningOption, isWinnerEco, ecoPercentage } = tally;
       
       if (!winningOption) {
-        throw new Error('No winning option found');
+        throw new Error(`No winning option found (${tally.status})`);
       }
       
       console.log(`Running enhanced community-governed simulation for option: "${winningOption}"`);
@@ -1029,4 +1763,4 @@ class DAOGovernor {
   }
 }
 
-module.exports = { DAOGovernor };
+module.exports = { DAOGovernor, DEFAULT_GOVERNANCE_RULES, TIE_BREAK_RULES, PROPOSAL_STATES };
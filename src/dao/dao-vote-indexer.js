@@ -0,0 +1,567 @@
+/**
+ * Ledger-sourced DAO Vote Indexer
+ *
+ * Rebuilds proposal tallies purely from the DAO address's Payment history:
+ * - Pages through account_tx from a given ledger (incremental on later runs)
+ * - Decodes "proposalId:option" vote memos written by DAOGovernor.castVote
+ *   and "proposalId:delegate:expiresAt" delegation memos written by
+ *   DAOGovernor.delegateVotingPower
+ * - Detects ledger ranges the server could not serve (history gaps)
+ * - Reconciles the ledger view against the local proposals.json and
+ *   delegations.json stores
+ *
+ * The ledger only records raw stake, so tallies here are raw XRP stake;
+ * eco-boost is re-applied by the governor when reconciling.
+ */
+
+const xrpl = require('xrpl');
+const fs = require('fs');
+const path = require('path');
+
+const VOTE_MEMO_TYPE = 'dao/vote';
+const DELEGATE_MEMO_TYPE = 'dao/delegate';
+
+class DAOVoteIndexer {
+  /**
+   * Initialize the vote indexer
+   * @param {Object} options Configuration options
+   * @param {xrpl.Client} options.client XRPL client instance
+   * @param {string} options.daoAddress DAO address votes are paid to
+   * @param {string} options.storageDir Directory to store the vote index (vote-index.json)
+   * @param {number} options.minStake Minimum XRP stake for a vote to count (default: 20)
+   * @param {number} options.pageLimit account_tx page size (default: 200)
+   * @param {boolean} options.checkServerHistory Check server_info complete_ledgers for gaps (default: true)
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.daoAddress = options.daoAddress;
+    this.storageDir = options.storageDir || path.join(__dirname, '../../data/dao');
+    this.minStake = options.minStake || 20;
+    this.pageLimit = options.pageLimit || 200;
+    this.checkServerHistory = options.checkServerHistory !== false;
+    this.indexFile = path.join(this.storageDir, 'vote-index.json');
+
+    this.index = this._loadIndex();
+  }
+
+  /**
+   * Load the persisted vote index
+   * @private
+   * @returns {Object} Vote index
+   */
+  _loadIndex() {
+    const empty = {
+      daoAddress: this.daoAddress,
+      fromLedger: null,
+      lastIndexedLedger: null,
+      votes: [],
+      delegations: [],
+      gaps: []
+    };
+
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        const index = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+        if (index.daoAddress === this.daoAddress) {
+          return { ...empty, ...index };
+        }
+        console.warn(`Vote index belongs to ${index.daoAddress}, starting a new index for ${this.daoAddress}`);
+      }
+    } catch (error) {
+      console.warn('Error loading vote index:', error.message);
+    }
+
+    return empty;
+  }
+
+  /**
+   * Save the vote index to storage
+   * @private
+   */
+  _saveIndex() {
+    try {
+      if (!fs.existsSync(this.storageDir)) {
+        fs.mkdirSync(this.storageDir, { recursive: true });
+      }
+      fs.writeFileSync(this.indexFile, JSON.stringify(this.index, null, 2));
+    } catch (error) {
+      console.error('Error saving vote index:', error.message);
+    }
+  }
+
+  /**
+   * Index vote payments from the ledger
+   * @param {Object} options Sync options
+   * @param {number} options.fromLedger First ledger to index (default: continue after the last indexed ledger)
+   * @param {number} options.toLedger Last ledger to index (default: latest validated)
+   * @param {boolean} options.rebuild Discard the existing index and start over from fromLedger
+   * @returns {Promise<Object>} { newVotes, newDelegations, fromLedger, toLedger, pages, gaps }
+   */
+  async sync(options = {}) {
+    if (!this.client) {
+      throw new Error('XRPL client required to index votes');
+    }
+
+    if (options.rebuild) {
+      this.index = { daoAddress: this.daoAddress, fromLedger: null, lastIndexedLedger: null, votes: [], delegations: [], gaps: [] };
+    }
+
+    const continueFrom = this.index.lastIndexedLedger !== null ? this.index.lastIndexedLedger + 1 : null;
+    const fromLedger = options.fromLedger !== undefined ? options.fromLedger : (continueFrom || -1);
+    const toLedger = options.toLedger !== undefined ? options.toLedger : -1;
+    const gaps = [];
+
+    // Skipping ahead of the last run leaves ledgers nobody has looked at
+    if (continueFrom !== null && fromLedger > continueFrom) {
+      gaps.push({ start: continueFrom, end: fromLedger - 1, reason: 'not-indexed' });
+    }
+
+    const knownHashes = new Set([...this.index.votes, ...this.index.delegations].map(record => record.hash));
+    const newVotes = [];
+    const newDelegations = [];
+    let marker;
+    let pages = 0;
+    let searchedMin = null;
+    let searchedMax = null;
+
+    do {
+      const response = await this.client.request({
+        command: 'account_tx',
+        account: this.daoAddress,
+        ledger_index_min: fromLedger,
+        ledger_index_max: toLedger,
+        forward: true,
+        limit: this.pageLimit,
+        ...(marker ? { marker } : {})
+      });
+
+      const result = response.result;
+      pages++;
+
+      if (searchedMin === null) {
+        searchedMin = result.ledger_index_min;
+      }
+      searchedMax = result.ledger_index_max;
+
+      for (const entry of result.transactions || []) {
+        const vote = this.parseVote(entry);
+        if (vote && !knownHashes.has(vote.hash)) {
+          knownHashes.add(vote.hash);
+          newVotes.push(vote);
+          continue;
+        }
+        
+        const delegation = this.parseDelegation(entry);
+        if (delegation && !knownHashes.has(delegation.hash)) {
+          knownHashes.add(delegation.hash);
+          newDelegations.push(delegation);
+        }
+      }
+
+      marker = result.marker;
+    } while (marker);
+
+    // The server answered for a narrower range than requested
+    if (fromLedger !== -1 && searchedMin !== null && searchedMin > fromLedger) {
+      gaps.push({ start: fromLedger, end: searchedMin - 1, reason: 'server-range' });
+    }
+
+    if (this.checkServerHistory && searchedMin !== null && searchedMax !== null) {
+      gaps.push(...await this._findHistoryGaps(searchedMin, searchedMax));
+    }
+
+    this.index.votes.push(...newVotes);
+    this.index.votes.sort(DAOVoteIndexer.compareVotes);
+    this.index.delegations.push(...newDelegations);
+    this.index.delegations.sort(DAOVoteIndexer.compareVotes);
+    if (this.index.fromLedger === null || (searchedMin !== null && searchedMin < this.index.fromLedger)) {
+      this.index.fromLedger = searchedMin;
+    }
+    if (searchedMax !== null) {
+      this.index.lastIndexedLedger = Math.max(this.index.lastIndexedLedger || 0, searchedMax);
+    }
+    this.index.gaps = DAOVoteIndexer.mergeGaps([...this.index.gaps, ...gaps]);
+    this.index.lastSync = Date.now();
+    this._saveIndex();
+
+    console.log(`Vote indexer: ${newVotes.length} new votes and ${newDelegations.length} new delegations from ledgers ${searchedMin}-${searchedMax} (${pages} pages)`);
+    if (gaps.length > 0) {
+      console.warn(`Vote indexer: ${gaps.length} ledger gap(s) detected: ${gaps.map(g => `${g.start}-${g.end}`).join(', ')}`);
+    }
+
+    return {
+      newVotes: newVotes.length,
+      newDelegations: newDelegations.length,
+      fromLedger: searchedMin,
+      toLedger: searchedMax,
+      pages,
+      gaps
+    };
+  }
+
+  /**
+   * Decode a vote from an account_tx entry
+   * @param {Object} entry account_tx transaction entry ({ tx | tx_json, meta, validated })
+   * @returns {Object|null} { hash, ledgerIndex, transactionIndex, proposalId, option, voter, stake, timestamp }
+   */
+  parseVote(entry) {
+    const tx = entry.tx || entry.tx_json || entry.transaction;
+    const meta = entry.meta;
+
+    if (!tx || !meta || entry.validated === false) return null;
+    if (tx.TransactionType !== 'Payment' || tx.Destination !== this.daoAddress) return null;
+    if (meta.TransactionResult !== 'tesSUCCESS' || !tx.Memos) return null;
+
+    // Partial payments can deliver less than Amount
+    const delivered = meta.delivered_amount !== undefined ? meta.delivered_amount : (tx.Amount || tx.DeliverMax);
+    if (typeof delivered !== 'string') return null; // Votes are staked in XRP only
+
+    for (const memoObj of tx.Memos) {
+      const memo = memoObj.Memo;
+      if (!memo || !memo.MemoData) continue;
+
+      if (memo.MemoType && xrpl.convertHexToString(memo.MemoType) !== VOTE_MEMO_TYPE) continue;
+
+      const memoText = xrpl.convertHexToString(memo.MemoData);
+      const separator = memoText.indexOf(':');
+      if (separator <= 0) continue;
+
+      const date = tx.date !== undefined ? tx.date : entry.date;
+
+      return {
+        hash: tx.hash || entry.hash,
+        ledgerIndex: tx.ledger_index || entry.ledger_index,
+        transactionIndex: meta.TransactionIndex || 0,
+        proposalId: memoText.slice(0, separator),
+        option: memoText.slice(separator + 1),
+        voter: tx.Account,
+        stake: Number(delivered) / 1000000, // Convert drops to XRP
+        timestamp: date !== undefined ? xrpl.rippleTimeToUnixTime(date) : null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode a delegation from an account_tx entry
+   * Delegations made before expiries were recorded carry no expiresAt.
+   * @param {Object} entry account_tx transaction entry ({ tx | tx_json, meta, validated })
+   * @returns {Object|null} { hash, ledgerIndex, transactionIndex, proposalId, delegator, delegate, expiresAt, stake, timestamp }
+   */
+  parseDelegation(entry) {
+    const tx = entry.tx || entry.tx_json || entry.transaction;
+    const meta = entry.meta;
+
+    if (!tx || !meta || entry.validated === false) return null;
+    if (tx.TransactionType !== 'Payment' || tx.Destination !== this.daoAddress) return null;
+    if (meta.TransactionResult !== 'tesSUCCESS' || !tx.Memos) return null;
+
+    const delivered = meta.delivered_amount !== undefined ? meta.delivered_amount : (tx.Amount || tx.DeliverMax);
+    if (typeof delivered !== 'string') return null; // Delegated stake is XRP only
+
+    for (const memoObj of tx.Memos) {
+      const memo = memoObj.Memo;
+      if (!memo || !memo.MemoData || !memo.MemoType) continue;
+      if (xrpl.convertHexToString(memo.MemoType) !== DELEGATE_MEMO_TYPE) continue;
+
+      // Proposal ids may contain ':', so the delegate and expiry are read from the end
+      const parts = xrpl.convertHexToString(memo.MemoData).split(':');
+      const expiresAt = /^\d+$/.test(parts[parts.length - 1]) ? Number(parts.pop()) : null;
+      const delegate = parts.pop();
+      const proposalId = parts.join(':');
+      if (!proposalId || !delegate || !xrpl.isValidClassicAddress(delegate)) continue;
+
+      const date = tx.date !== undefined ? tx.date : entry.date;
+
+      return {
+        hash: tx.hash || entry.hash,
+        ledgerIndex: tx.ledger_index || entry.ledger_index,
+        transactionIndex: meta.TransactionIndex || 0,
+        proposalId,
+        delegator: tx.Account,
+        delegate,
+        expiresAt,
+        stake: Number(delivered) / 1000000, // Convert drops to XRP
+        timestamp: date !== undefined ? xrpl.rippleTimeToUnixTime(date) : null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Latest indexed delegation per delegator, in ledger order
+   * A new delegation replaces the previous one, as in DAOGovernor.
+   * Delegations below the minimum stake are skipped.
+   * @returns {Map<string, Object>} Delegation by delegator address
+   */
+  latestDelegations() {
+    const latest = new Map();
+    for (const delegation of [...this.index.delegations].sort(DAOVoteIndexer.compareVotes)) {
+      if (delegation.stake >= this.minStake) {
+        latest.set(delegation.delegator, delegation);
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Rebuild raw-stake tallies from the indexed votes
+   * @param {Map|Array<Object>} proposals Proposal definitions (id, options, createdAt, expiresAt)
+   * @returns {Object} { tallies: { [proposalId]: tally }, orphanVotes }
+   */
+  buildTallies(proposals) {
+    const definitions = proposals instanceof Map ? proposals : new Map(proposals.map(p => [p.id, p]));
+    const tallies = {};
+    const orphanVotes = [];
+
+    for (const proposal of definitions.values()) {
+      tallies[proposal.id] = {
+        proposalId: proposal.id,
+        votes: Object.fromEntries(proposal.options.map(option => [option, 0])),
+        voters: {},
+        voteCount: 0,
+        rejectedVotes: []
+      };
+    }
+
+    // Ledger order decides which vote of a voter is the latest one
+    for (const vote of [...this.index.votes].sort(DAOVoteIndexer.compareVotes)) {
+      const proposal = definitions.get(vote.proposalId);
+      if (!proposal) {
+        orphanVotes.push(vote);
+        continue;
+      }
+
+      const tally = tallies[proposal.id];
+      const reason = this._rejectReason(vote, proposal);
+      if (reason) {
+        tally.rejectedVotes.push({ ...vote, reason });
+        continue;
+      }
+
+      const previous = tally.voters[vote.voter];
+      if (previous) {
+        tally.votes[previous.option] -= previous.stake;
+      } else {
+        tally.voteCount++;
+      }
+
+      tally.votes[vote.option] += vote.stake;
+      tally.voters[vote.voter] = {
+        option: vote.option,
+        stake: vote.stake,
+        timestamp: vote.timestamp,
+        txHash: vote.hash,
+        ledgerIndex: vote.ledgerIndex
+      };
+    }
+
+    return { tallies, orphanVotes };
+  }
+
+  /**
+   * Compare ledger-derived tallies with the local proposal store
+   * When a delegation store is given, ledger delegations it lacks are listed
+   * as well; a store record counts when it is the same transaction or was
+   * changed (made or revoked) after the ledger delegation.
+   * @param {Map|Array<Object>} proposals Proposals from proposals.json
+   * @param {Map<string, Object>} delegations Delegations from delegations.json by delegator (optional)
+   * @returns {Object} { consistent, proposals: { [id]: diff }, delegations: { consistent, missingInStore } | null, orphanVotes, gaps, lastIndexedLedger }
+   */
+  reconcile(proposals, delegations = null) {
+    const definitions = proposals instanceof Map ? proposals : new Map(proposals.map(p => [p.id, p]));
+    const { tallies, orphanVotes } = this.buildTallies(definitions);
+    const report = {};
+
+    for (const [proposalId, tally] of Object.entries(tallies)) {
+      const storeVoters = definitions.get(proposalId).voters || {};
+      const missingInStore = [];
+      const missingOnLedger = [];
+      const mismatched = [];
+
+      for (const [voter, ledgerVote] of Object.entries(tally.voters)) {
+        const storeVote = storeVoters[voter];
+        if (!storeVote) {
+          missingInStore.push({ voter, ...ledgerVote });
+        } else if (storeVote.option !== ledgerVote.option || Math.abs(storeVote.stake - ledgerVote.stake) > 1e-6) {
+          mismatched.push({
+            voter,
+            ledger: { option: ledgerVote.option, stake: ledgerVote.stake },
+            store: { option: storeVote.option, stake: storeVote.stake }
+          });
+        }
+      }
+
+      for (const voter of Object.keys(storeVoters)) {
+        if (!tally.voters[voter]) {
+          missingOnLedger.push({ voter, option: storeVoters[voter].option, stake: storeVoters[voter].stake });
+        }
+      }
+
+      report[proposalId] = {
+        consistent: missingInStore.length === 0 && missingOnLedger.length === 0 && mismatched.length === 0,
+        ledgerTally: tally.votes,
+        ledgerVoters: tally.voters,
+        voteCount: tally.voteCount,
+        rejectedVotes: tally.rejectedVotes,
+        missingInStore,
+        missingOnLedger,
+        mismatched,
+        gaps: this.gapsDuring(definitions.get(proposalId))
+      };
+    }
+
+    let delegationReport = null;
+    if (delegations) {
+      const missingInStore = [];
+      for (const [delegator, ledgerDelegation] of this.latestDelegations()) {
+        const stored = delegations.get(delegator);
+        const changedSince = stored && Math.max(stored.createdAt || 0, stored.revokedAt || 0) >= (ledgerDelegation.timestamp || Infinity);
+        if (stored && (stored.txHash === ledgerDelegation.hash || changedSince)) continue;
+        missingInStore.push(ledgerDelegation);
+      }
+      delegationReport = { consistent: missingInStore.length === 0, missingInStore };
+    }
+
+    return {
+      consistent: Object.values(report).every(r => r.consistent) &&
+        (!delegationReport || delegationReport.consistent) &&
+        this.index.gaps.length === 0,
+      proposals: report,
+      delegations: delegationReport,
+      orphanVotes,
+      gaps: this.index.gaps,
+      lastIndexedLedger: this.index.lastIndexedLedger
+    };
+  }
+
+  /**
+   * History gaps that may hide votes cast during a proposal's voting window
+   * A gap's close times are unknown, so it is bounded by the nearest indexed
+   * votes on either side; a gap with no indexed vote on a side is open-ended.
+   * @param {Object} proposal Proposal definition (createdAt, startsAt, expiresAt)
+   * @returns {Array<Object>} Gaps overlapping the voting window
+   */
+  gapsDuring(proposal) {
+    const startsAt = proposal.startsAt || proposal.createdAt || -Infinity;
+    const expiresAt = proposal.expiresAt || Infinity;
+    const dated = this.index.votes.filter(vote => vote.timestamp !== null);
+
+    return this.index.gaps.filter(gap => {
+      const before = dated.filter(vote => vote.ledgerIndex < gap.start).map(vote => vote.timestamp);
+      const after = dated.filter(vote => vote.ledgerIndex > gap.end).map(vote => vote.timestamp);
+      const gapStart = before.length > 0 ? Math.max(...before) : -Infinity;
+      const gapEnd = after.length > 0 ? Math.min(...after) : Infinity;
+      return gapStart <= expiresAt && gapEnd >= startsAt;
+    });
+  }
+
+  /**
+   * Why a vote does not count, mirroring DAOGovernor._recordVote validation
+   * @private
+   */
+  _rejectReason(vote, proposal) {
+    if (!proposal.options.includes(vote.option)) return 'invalid-option';
+    if (vote.stake < this.minStake) return 'below-min-stake';
+    if (vote.timestamp !== null) {
+      // Ledger close times have one-second resolution
+      const startsAt = proposal.startsAt || proposal.createdAt;
+      if (startsAt && vote.timestamp < Math.floor(startsAt / 1000) * 1000) return 'before-start';
+      if (proposal.expiresAt && vote.timestamp > proposal.expiresAt) return 'after-expiry';
+    }
+    return null;
+  }
+
+  /**
+   * Find ledgers missing from the server's history within a range
+   * @private
+   * @returns {Promise<Array<Object>>} Gaps
+   */
+  async _findHistoryGaps(start, end) {
+    try {
+      const response = await this.client.request({ command: 'server_info' });
+      const completeLedgers = response.result.info.complete_ledgers;
+      return DAOVoteIndexer.findGaps(DAOVoteIndexer.parseLedgerRanges(completeLedgers), start, end)
+        .map(gap => ({ ...gap, reason: 'server-history' }));
+    } catch (error) {
+      console.warn('Vote indexer: could not check server history:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Parse a complete_ledgers string ("32570-45000,45010-46000")
+   * @param {string} completeLedgers complete_ledgers value from server_info
+   * @returns {Array<Object>} Sorted { start, end } ranges
+   */
+  static parseLedgerRanges(completeLedgers) {
+    if (!completeLedgers || completeLedgers === 'empty') return [];
+
+    return completeLedgers.split(',')
+      .map(part => {
+        const [start, end] = part.trim().split('-').map(Number);
+        return { start, end: end === undefined ? start : end };
+      })
+      .filter(range => !isNaN(range.start) && !isNaN(range.end))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Ranges within [start, end] not covered by the available ranges
+   * @param {Array<Object>} available Sorted { start, end } ranges
+   * @param {number} start First ledger
+   * @param {number} end Last ledger
+   * @returns {Array<Object>} { start, end } gaps
+   */
+  static findGaps(available, start, end) {
+    const gaps = [];
+    let cursor = start;
+
+    for (const range of available) {
+      if (range.end < cursor) continue;
+      if (range.start > end) break;
+      if (range.start > cursor) {
+        gaps.push({ start: cursor, end: range.start - 1 });
+      }
+      cursor = Math.max(cursor, range.end + 1);
+    }
+
+    if (cursor <= end) {
+      gaps.push({ start: cursor, end });
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Merge overlapping or adjacent gaps
+   * @param {Array<Object>} gaps { start, end, reason } gaps
+   * @returns {Array<Object>} Merged gaps
+   */
+  static mergeGaps(gaps) {
+    const sorted = [...gaps].sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const gap of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && gap.start <= last.end + 1) {
+        last.end = Math.max(last.end, gap.end);
+      } else {
+        merged.push({ ...gap });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Order votes as they were applied on the ledger
+   */
+  static compareVotes(a, b) {
+    return (a.ledgerIndex - b.ledgerIndex) || (a.transactionIndex - b.transactionIndex);
+  }
+}
+
+module.exports = { DAOVoteIndexer, VOTE_MEMO_TYPE, DELEGATE_MEMO_TYPE };
@@ -0,0 +1,290 @@
+/**
+ * Escrow-backed Vote Stakes
+ *
+ * Locks vote stakes in XRPL escrows instead of paying them to the DAO:
+ * - EscrowCreate from the voter back to the voter, FinishAfter = vote end
+ * - CancelAfter = vote end + settlement window, so a voter can always
+ *   recover the stake even if the settlement job never runs
+ * - Settlement finishes escrows after tally (cancels once past CancelAfter)
+ *   and reports every stake that could not be returned
+ *
+ * Neither the voter nor the DAO can move the XRP before the vote ends, and
+ * because the escrow pays the voter, the DAO can never keep it.
+ */
+
+const xrpl = require('xrpl');
+const fs = require('fs');
+const path = require('path');
+const { TransactionSubmitter } = require('../services/transaction-submitter');
+
+const STAKE_STATUS = {
+  LOCKED: 'locked',
+  RETURNED: 'returned',
+  FAILED: 'failed' // Last settlement attempt failed, retried on the next run
+};
+
+class StakeEscrowManager {
+  /**
+   * Initialize the stake escrow manager
+   * @param {Object} options Configuration options
+   * @param {xrpl.Client} options.client XRPL client instance
+   * @param {string} options.storagePath JSON file tracking escrowed stakes
+   * @param {number} options.settlementWindow Seconds after vote end before escrows become cancellable (default: 604800 = 7 days)
+   * @param {string} options.memoType Memo type written on stake escrows (default: dao/vote)
+   * @param {TransactionSubmitter} options.submitter Transaction submitter (default: the client's shared submitter)
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.submitter = options.submitter || null;
+    this.storagePath = options.storagePath || path.join(__dirname, '../../data/dao/stake-escrows.json');
+    this.settlementWindow = options.settlementWindow || 604800;
+    this.memoType = options.memoType || 'dao/vote';
+
+    this.stakes = new Map();
+    this._loadStakes();
+  }
+
+  /**
+   * Load tracked stakes from storage
+   * @private
+   */
+  _loadStakes() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const stakes = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+        stakes.forEach(stake => {
+          this.stakes.set(stake.id, stake);
+        });
+      }
+    } catch (error) {
+      console.warn('Error loading stake escrows:', error.message);
+    }
+  }
+
+  /**
+   * Save tracked stakes to storage
+   * @private
+   */
+  _saveStakes() {
+    try {
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.storagePath, JSON.stringify(Array.from(this.stakes.values()), null, 2));
+    } catch (error) {
+      console.error('Error saving stake escrows:', error.message);
+    }
+  }
+
+  /**
+   * Lock a vote stake in an escrow that releases at the end of the vote
+   * @param {Object} stake Stake details
+   * @param {xrpl.Wallet} stake.wallet Voter wallet (escrow owner and destination)
+   * @param {string} stake.proposalId Proposal or vote ID
+   * @param {string} stake.option Option voted for
+   * @param {number} stake.amount XRP to lock
+   * @param {number} stake.endsAt Vote end in milliseconds (becomes FinishAfter)
+   * @param {string} stake.memoData Memo payload (default: "proposalId:option")
+   * @returns {Promise<Object>} Stake record
+   */
+  async lockStake({ wallet, proposalId, option, amount, endsAt, memoData }) {
+    if (!this.client || !wallet) {
+      throw new Error('XRPL client and voter wallet required to lock a stake');
+    }
+
+    if (!(endsAt > Date.now())) {
+      throw new Error(`Vote ${proposalId} has already ended`);
+    }
+
+    const finishAfter = xrpl.unixTimeToRippleTime(endsAt);
+    const cancelAfter = finishAfter + this.settlementWindow;
+
+    const result = await this._getSubmitter().submit({
+      TransactionType: 'EscrowCreate',
+      Account: wallet.address,
+      Destination: wallet.address,
+      Amount: xrpl.xrpToDrops(amount),
+      FinishAfter: finishAfter,
+      CancelAfter: cancelAfter,
+      Memos: [{
+        Memo: {
+          MemoData: xrpl.convertStringToHex(memoData || `${proposalId}:${option}`),
+          MemoFormat: xrpl.convertStringToHex('text/plain'),
+          MemoType: xrpl.convertStringToHex(this.memoType)
+        }
+      }]
+    }, { wallet });
+    const tx = result.result;
+
+    if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
+      throw new Error(`Stake escrow failed: ${result.result.meta.TransactionResult}`);
+    }
+
+    const record = {
+      id: result.result.hash,
+      proposalId,
+      option,
+      owner: wallet.address,
+      sequence: tx.TicketSequence || tx.Sequence, // OfferSequence for EscrowFinish/EscrowCancel
+      amount,
+      finishAfter: xrpl.rippleTimeToUnixTime(finishAfter),
+      cancelAfter: xrpl.rippleTimeToUnixTime(cancelAfter),
+      status: STAKE_STATUS.LOCKED,
+      createTxHash: result.result.hash,
+      ledgerIndex: result.result.ledger_index,
+      attempts: 0,
+      createdAt: Date.now()
+    };
+
+    this.stakes.set(record.id, record);
+    this._saveStakes();
+
+    console.log(`🔒 Stake of ${amount} XRP escrowed for ${proposalId} until ${new Date(record.finishAfter).toISOString()}`);
+    return record;
+  }
+
+  /**
+   * Stakes tracked for a proposal
+   * @param {string} proposalId Proposal or vote ID
+   * @returns {Array<Object>} Stake records
+   */
+  getStakes(proposalId) {
+    return Array.from(this.stakes.values()).filter(stake => stake.proposalId === proposalId);
+  }
+
+  /**
+   * Stakes not yet returned to their voters
+   * @returns {Array<Object>} Stake records
+   */
+  getOutstandingStakes() {
+    return Array.from(this.stakes.values()).filter(stake => stake.status !== STAKE_STATUS.RETURNED);
+  }
+
+  /**
+   * Return the escrowed stakes of a tallied proposal
+   * EscrowFinish is used until CancelAfter, EscrowCancel afterwards; both pay
+   * the voter. Escrows the voter already closed count as returned.
+   * @param {string} proposalId Proposal or vote ID
+   * @param {Object} options Settlement options
+   * @param {xrpl.Wallet} options.wallet Wallet that submits the settlement transactions (any funded account)
+   * @param {number} options.now Current time in milliseconds (default: Date.now())
+   * @returns {Promise<Object>} { proposalId, returned, failed, pending, totalReturned, totalOutstanding }
+   */
+  async settle(proposalId, { wallet, now = Date.now() } = {}) {
+    if (!this.client || !wallet) {
+      throw new Error('XRPL client and wallet required to settle stakes');
+    }
+
+    const report = { proposalId, returned: [], failed: [], pending: [], totalReturned: 0, totalOutstanding: 0 };
+
+    for (const stake of this.getStakes(proposalId)) {
+      if (stake.status === STAKE_STATUS.RETURNED) continue;
+
+      // Ledger close time must pass FinishAfter as well
+      if (now < stake.finishAfter) {
+        report.pending.push(stake);
+        report.totalOutstanding += stake.amount;
+        continue;
+      }
+
+      const method = now < stake.cancelAfter ? 'EscrowFinish' : 'EscrowCancel';
+      stake.attempts++;
+      stake.lastAttemptAt = now;
+
+      try {
+        const result = await this._getSubmitter().submit({
+          TransactionType: method,
+          Account: wallet.address,
+          Owner: stake.owner,
+          OfferSequence: stake.sequence
+        }, {
+          wallet,
+          idempotencyKey: `stake-settle:${stake.owner}:${stake.sequence}:${method}:${stake.attempts}`
+        });
+        const code = result.result.meta.TransactionResult;
+
+        if (code === 'tesSUCCESS') {
+          this._markReturned(stake, method, result.result.hash, now);
+        } else if (code === 'tecNO_TARGET' && !(await this._escrowExists(stake))) {
+          // The voter finished or cancelled the escrow themselves
+          this._markReturned(stake, 'external', null, now);
+        } else {
+          throw new Error(`${method} failed: ${code}`);
+        }
+
+        report.returned.push(stake);
+        report.totalReturned += stake.amount;
+      } catch (error) {
+        stake.status = STAKE_STATUS.FAILED;
+        stake.lastError = error.message;
+        report.failed.push(stake);
+        report.totalOutstanding += stake.amount;
+        console.warn(`⚠️ Stake ${stake.id} of ${stake.owner} (${stake.amount} XRP) not returned: ${error.message}`);
+      }
+    }
+
+    this._saveStakes();
+
+    console.log(`✅ Stake settlement for ${proposalId}: ${report.returned.length} returned (${report.totalReturned} XRP), ${report.failed.length} failed, ${report.pending.length} pending`);
+    return report;
+  }
+
+  /**
+   * Settle every proposal with outstanding stakes that has been tallied
+   * @param {Function} isTallied (proposalId) => boolean, whether the tally is final
+   * @param {Object} options Settlement options passed to settle()
+   * @returns {Promise<Array<Object>>} Settlement reports
+   */
+  async runSettlement(isTallied, options = {}) {
+    const proposalIds = new Set(this.getOutstandingStakes().map(stake => stake.proposalId));
+    const reports = [];
+
+    for (const proposalId of proposalIds) {
+      if (!(await isTallied(proposalId))) continue;
+      reports.push(await this.settle(proposalId, options));
+    }
+
+    return reports;
+  }
+
+  /**
+   * @private
+   */
+  _getSubmitter() {
+    return this.submitter || TransactionSubmitter.forClient(this.client);
+  }
+
+  /**
+   * @private
+   */
+  _markReturned(stake, method, txHash, now) {
+    stake.status = STAKE_STATUS.RETURNED;
+    stake.settledBy = method;
+    stake.settleTxHash = txHash;
+    stake.settledAt = now;
+    delete stake.lastError;
+  }
+
+  /**
+   * Check whether the escrow object is still on the ledger
+   * @private
+   */
+  async _escrowExists(stake) {
+    try {
+      await this.client.request({
+        command: 'ledger_entry',
+        escrow: { owner: stake.owner, seq: stake.sequence },
+        ledger_index: 'validated'
+      });
+      return true;
+    } catch (error) {
+      if (error.data && error.data.error === 'entryNotFound') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { StakeEscrowManager, STAKE_STATUS };
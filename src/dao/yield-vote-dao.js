@@ -13,6 +13,8 @@
 
 const xrpl = require('xrpl');
 const { EventEmitter } = require('events');
+const { StakeEscrowManager } = require('./stake-escrow');
+const { TransactionSubmitter } = require('../services/transaction-submitter');
 
 class YieldVoteDAO extends EventEmitter {
   constructor(client, wallet, config = {}) {
@@ -24,6 +26,8 @@ class YieldVoteDAO extends EventEmitter {
     this.voteDuration = config.voteDuration || 3600; // 1 hour default
     this.ecoBoostThreshold = config.ecoBoostThreshold || 0.7;
     this.ecoBoostMultiplier = config.ecoBoostMultiplier || 1.5;
+    this.submitter = config.submitter || null; // Default: the client's shared submitter
+    this.stakeEscrow = config.stakeEscrow || new StakeEscrowManager({ client, memoType: 'YieldVoteStake', submitter: this.submitter });
     
     // Initialize collections
     this.votes = new Map();
@@ -68,7 +72,7 @@ class YieldVoteDAO extends EventEmitter {
     
     try {
       // Mint NFT representing the vote proposal
-      const voteNFT = await this.client.autofill({
+      const voteResult = await this._getSubmitter().submit({
         TransactionType: 'NFTokenMint',
         Account: this.wallet.address,
         URI: xrpl.convertStringToHex(JSON.stringify({
@@ -79,10 +83,7 @@ class YieldVoteDAO extends EventEmitter {
         })),
         Flags: xrpl.NFTokenMintFlags.tfTransferable,
         NFTokenTaxon: 1001 // Yield Vote DAO collection
-      });
-
-      const signedVote = this.wallet.sign(voteNFT);
-      const voteResult = await this.client.submitAndWait(signedVote.tx_blob);
+      }, { wallet: this.wallet });
       
       // Store vote in active tracking
       const voteData = {
@@ -116,9 +117,17 @@ class YieldVoteDAO extends EventEmitter {
    * @param {string} voteId - Vote identifier
    * @param {string} option - Selected option name
    * @param {number} amount - XRP amount to stake
-   * @param {string} voterAddress - Voter's address (optional)
+   * @param {Object|string} voter - Voter's wallet, or an address that must be
+   *   the DAO wallet's own (default: the DAO wallet). The stake is locked
+   *   from this wallet, so staking for another voter needs their wallet.
    */
-  async stakeVote(voteId, option, amount = this.minStake, voterAddress = null) {
+  async stakeVote(voteId, option, amount = this.minStake, voter = null) {
+    const wallet = typeof voter === 'object' && voter !== null ? voter : this.wallet;
+    const voterAddress = wallet.address;
+    if (typeof voter === 'string' && voter !== voterAddress) {
+      throw new Error(`Staking for ${voter} requires that voter's wallet`);
+    }
+
     const vote = this.activeVotes.get(voteId);
     if (!vote) {
       throw new Error(`Vote ${voteId} not found or expired`);
@@ -138,31 +147,24 @@ class YieldVoteDAO extends EventEmitter {
     }
 
     try {
-      // Create staking transaction with memo
-      const stakeAmount = Math.floor(amount * 1000000); // Convert to drops
-      const stakeTx = await this.client.autofill({
-        TransactionType: 'Payment',
-        Account: voterAddress || this.wallet.address,
-        Destination: this.treasury,
-        Amount: stakeAmount.toString(),
-        Memos: [{
-          Memo: {
-            MemoType: xrpl.convertStringToHex('YieldVoteStake'),
-            MemoData: xrpl.convertStringToHex(JSON.stringify({
-              voteId,
-              option,
-              timestamp: Date.now(),
-              voter: voterAddress || this.wallet.address
-            }))
-          }
-        }]
+      // Lock the stake in an escrow that releases when the vote ends
+      const escrow = await this.stakeEscrow.lockStake({
+        wallet,
+        proposalId: voteId,
+        option,
+        amount,
+        endsAt: vote.endTime,
+        memoData: JSON.stringify({
+          voteId,
+          option,
+          timestamp: Date.now(),
+          voter: voterAddress
+        })
       });
-
-      const signedStake = this.wallet.sign(stakeTx);
-      const stakeResult = await this.client.submitAndWait(signedStake.tx_blob);
+      const stakeResult = { result: { hash: escrow.createTxHash } };
       
       // Update vote tracking
-      const stakeKey = `${voterAddress || this.wallet.address}-${option}`;
+      const stakeKey = `${voterAddress}-${option}`;
       const existingStake = vote.stakes.get(stakeKey) || 0;
       vote.stakes.set(stakeKey, existingStake + amount);
       vote.totalStaked += amount;
@@ -174,7 +176,7 @@ class YieldVoteDAO extends EventEmitter {
         voteId,
         option,
         amount,
-        voter: voterAddress || this.wallet.address,
+        voter: voterAddress,
         txHash: stakeResult.result.hash
       });
       
@@ -410,6 +412,58 @@ class YieldVoteDAO extends EventEmitter {
    * @param {Object} simResults - Simulation results for metadata
    */
   async mintRewardNFTs(voterDetails, simResults) {
+    const sentiment = await this.getMarketSentiment();
+    const ecoScore = simResults.ecoScore ?? (simResults.params?.ecoFriendly ? this.ecoBoostThreshold : 0);
+    const royaltyFee = await this.calculateDynamicRoyaltyFee(ecoScore, sentiment);
+    const tier = this.getTierForYield(simResults.meanYield);
+    const results = [];
+
+    for (const voter of voterDetails) {
+      try {
+        const metadata = {
+          type: 'YieldVoteRewardBadge',
+          voteId: simResults.governance?.voteId,
+          voter: voter.voter,
+          tier: tier.name,
+          meanYield: simResults.meanYield,
+          ecoScore,
+          royaltyFee,
+          timestamp: Date.now()
+        };
+
+        const result = await this._getSubmitter().submit({
+          TransactionType: 'NFTokenMint',
+          Account: this.wallet.address,
+          URI: xrpl.convertStringToHex(JSON.stringify(metadata)),
+          Flags: xrpl.NFTokenMintFlags.tfTransferable,
+          TransferFee: royaltyFee,
+          NFTokenTaxon: 1002 // Yield Vote reward collection
+        }, { wallet: this.wallet, idempotencyKey: `reward-nft:${metadata.voteId}:${voter.voter}` });
+        const nftId = result.result.meta.nftoken_id;
+
+        this.nftCollection.set(nftId, {
+          ...metadata,
+          nftId,
+          owner: voter.voter,
+          estimatedValue: tier.nftValue,
+          yield: simResults.meanYield
+        });
+        results.push({ voter: voter.voter, nftId, tier: tier.name, royaltyFee });
+
+        // List at the tier value plus an eco and yield premium
+        await this.listOnMarketplace(nftId, Math.floor(tier.nftValue + ecoScore * 50 + simResults.meanYield * 0.5));
+        await this.stakeTreasuryRoyalties(royaltyFee, ecoScore);
+      } catch (error) {
+        console.error(`❌ Failed to mint reward NFT for ${voter.voter}:`, error);
+        results.push({ voter: voter.voter, error: error.message });
+      }
+    }
+
+    console.log(`🎁 Minted ${results.filter(r => r.nftId).length}/${voterDetails.length} reward NFTs at ${(royaltyFee / 1000).toFixed(1)}% royalty`);
+    return results;
+  }
+
+  /**
    * Revolutionary auto-marketplace listing for instant NFT flips
    * @param {string} nftId - NFT Token ID
    * @param {number} price - Listing price in XRP (default 50)
@@ -419,16 +473,13 @@ class YieldVoteDAO extends EventEmitter {
     try {
       console.log(`🏪 Auto-listing NFT ${nftId} on XRPL DEX at ${price} XRP...`);
       
-      const tx = await this.client.autofill({
+      const result = await this._getSubmitter().submit({
         TransactionType: 'NFTokenCreateOffer',
         Account: this.wallet.address,
         NFTokenID: nftId,
         Amount: (price * 1e6).toString(), // Convert to drops
         Flags: xrpl.NFTokenCreateOfferFlags.tfSellNFToken
-      });
-      
-      const signed = this.wallet.sign(tx);
-      const result = await this.client.submitAndWait(signed.tx_blob);
+      }, { wallet: this.wallet });
       
       console.log(`✅ NFT Listed on DEX: ID ${nftId} at ${price} XRP - Royalties to Treasury!`);
       
@@ -508,267 +559,164 @@ class YieldVoteDAO extends EventEmitter {
       throw error;
     }
   }
-}
 
-/**
- * Revolutionary mainnet royalty system testing and validation
- * @param {Object} testParams - Test parameters
- * @returns {Promise<Object>}  // Test mainnet royalty system
- */
-async testMainnetRoyaltySystem() {
-  console.log('🧪 Testing Mainnet Royalty System...');
-  
-  const testResults = {
-    royaltyTests: 0,
-    successfulRoyalties: 0,
-    totalRoyaltiesCollected: 0,
-    averageRoyaltyPercentage: 0
-  };
-  
-  // Simulate 10 NFT sales with different eco-scores
-  for (let i = 0; i < 10; i++) {
-    const ecoScore = 0.3 + (i * 0.07); // 0.3 to 0.93
-    const royaltyFee = Math.floor(10000 + ecoScore * 10000); // 10-20%
-    const salePrice = 50 + (ecoScore * 50); // $50-100
-    const royaltyAmount = (salePrice * royaltyFee) / 100000;
-    
-    testResults.royaltyTests++;
-    testResults.successfulRoyalties++;
-    testResults.totalRoyaltiesCollected += royaltyAmount;
-    testResults.averageRoyaltyPercentage += (royaltyFee / 1000);
-    
-    console.log(`   NFT ${i+1}: Eco-score ${ecoScore.toFixed(2)} → ${(royaltyFee/1000).toFixed(1)}% royalty → ${royaltyAmount.toFixed(2)} XRP`);
+  /**
+   * Revolutionary mainnet royalty system testing and validation
+   * @returns {Promise<Object>} Simulated royalty test results
+   */
+  async testMainnetRoyaltySystem() {
+    console.log('🧪 Testing Mainnet Royalty System...');
+
+    const testResults = {
+      royaltyTests: 0,
+      successfulRoyalties: 0,
+      totalRoyaltiesCollected: 0,
+      averageRoyaltyPercentage: 0
+    };
+
+    // Simulate 10 NFT sales with different eco-scores
+    for (let i = 0; i < 10; i++) {
+      const ecoScore = 0.3 + (i * 0.07); // 0.3 to 0.93
+      const royaltyFee = Math.floor(10000 + ecoScore * 10000); // 10-20%
+      const salePrice = 50 + (ecoScore * 50); // $50-100
+      const royaltyAmount = (salePrice * royaltyFee) / 100000;
+
+      testResults.royaltyTests++;
+      testResults.successfulRoyalties++;
+      testResults.totalRoyaltiesCollected += royaltyAmount;
+      testResults.averageRoyaltyPercentage += (royaltyFee / 1000);
+
+      console.log(`   NFT ${i+1}: Eco-score ${ecoScore.toFixed(2)} → ${(royaltyFee/1000).toFixed(1)}% royalty → ${royaltyAmount.toFixed(2)} XRP`);
+    }
+
+    testResults.averageRoyaltyPercentage /= testResults.royaltyTests;
+    testResults.successRate = (testResults.successfulRoyalties / testResults.royaltyTests) * 100;
+
+    console.log(`✅ Royalty System Test Complete:`);
+    console.log(`   Success Rate: ${testResults.successRate}%`);
+    console.log(`   Total Royalties: ${testResults.totalRoyaltiesCollected.toFixed(2)} XRP`);
+    console.log(`   Average Royalty: ${testResults.averageRoyaltyPercentage.toFixed(1)}%`);
+
+    return testResults;
   }
-  
-  testResults.averageRoyaltyPercentage /= testResults.royaltyTests;
-  testResults.successRate = (testResults.successfulRoyalties / testResults.royaltyTests) * 100;
-  
-  console.log(`✅ Royalty System Test Complete:`);
-  console.log(`   Success Rate: ${testResults.successRate}%`);
-  console.log(`   Total Royalties: ${testResults.totalRoyaltiesCollected.toFixed(2)} XRP`);
-  console.log(`   Average Royalty: ${testResults.averageRoyaltyPercentage.toFixed(1)}%`);
-  
-  return testResults;
-}
 
-// 🚀 ROYALTY NEXUS ENGINE: Dynamic royalty fee calculation
-async calculateDynamicRoyaltyFee(ecoScore, sentiment) {
-  // Base royalty: 10% (10000) + eco-score bonus up to 10% (10000)
-  const baseRoyalty = 10000;
-  const ecoBonus = Math.floor(ecoScore * 10000);
-  
-  // Sentiment adjustment: High hype (>0.7) lowers fees for liquidity, low hype increases
-  const sentimentMultiplier = sentiment.score > 0.7 ? 0.85 : (sentiment.score < 0.3 ? 1.15 : 1.0);
-  
-  const dynamicFee = Math.floor((baseRoyalty + ecoBonus) * sentimentMultiplier);
-  
-  // Cap at 20% (20000) for XRPL compliance
-  return Math.min(dynamicFee, 20000);
-}
+  // 🚀 ROYALTY NEXUS ENGINE: Dynamic royalty fee calculation
+  async calculateDynamicRoyaltyFee(ecoScore, sentiment) {
+    // Base royalty: 10% (10000) + eco-score bonus up to 10% (10000)
+    const baseRoyalty = 10000;
+    const ecoBonus = Math.floor(ecoScore * 10000);
 
-// 📊 Get market sentiment for dynamic adjustments
-async getMarketSentiment() {
-  // Mock sentiment analysis - in production, integrate with X API or sentiment feeds
-  const mockSentiments = [
-    { score: 0.8, trend: 'bullish', keywords: ['#XRPLNFTMarket', 'moon', 'buy'] },
-    { score: 0.6, trend: 'neutral', keywords: ['#XRPL', 'stable', 'hold'] },
-    { score: 0.4, trend: 'bearish', keywords: ['dip', 'sell', 'correction'] },
-    { score: 0.9, trend: 'euphoric', keywords: ['ATH', 'pump', 'lambo'] }
-  ];
-  
-  return mockSentiments[Math.floor(Math.random() * mockSentiments.length)];
-}
+    // Sentiment adjustment: High hype (>0.7) lowers fees for liquidity, low hype increases
+    const sentimentMultiplier = sentiment.score > 0.7 ? 0.85 : (sentiment.score < 0.3 ? 1.15 : 1.0);
 
-// 🏪 Auto-list NFT on marketplace
-async listOnMarketplace(nftId, metadata, royaltyFee) {
-  try {
-    // Calculate dynamic listing price based on eco-score and yield
-    const basePrice = 50; // Base $50
-    const ecoBonus = metadata.ecoScore * 50; // Up to $50 eco bonus
-    const yieldBonus = (metadata.yieldData?.meanYield || 0) * 0.5; // Yield multiplier
-    const listingPrice = Math.floor(basePrice + ecoBonus + yieldBonus);
-    
-    // Create sell offer on XRPL DEX (Sologenic compatible)
-    const tx = await this.client.autofill({
-      TransactionType: 'NFTokenCreateOffer',
-      Account: this.wallet.address,
-      NFTokenID: nftId,
-      Amount: (listingPrice * 1e6).toString(), // Convert to drops
-      Flags: xrpl.NFTokenCreateOfferFlags.tfSellNFToken
-    });
-    
-    const signed = this.wallet.sign(tx);
-    await this.client.submitAndWait(signed.tx_blob);
-    
-    console.log(`🏪 NFT Listed on Sologenic: ID ${nftId} at ${listingPrice} XRP - Royalties ${(royaltyFee/1000).toFixed(1)}% Active!`);
-    
-    return {
-      nftId,
-      listingPrice,
-      royaltyPercentage: (royaltyFee / 1000).toFixed(1),
-      marketplace: 'Sologenic DEX',
-      status: 'active'
-    };
-    
-  } catch (error) {
-    console.error(`❌ Failed to list NFT ${nftId}:`, error);
-    return { nftId, error: error.message };
+    const dynamicFee = Math.floor((baseRoyalty + ecoBonus) * sentimentMultiplier);
+
+    // Cap at 20% (20000) for XRPL compliance
+    return Math.min(dynamicFee, 20000);
   }
-}
 
-// 💰 Stake royalties in treasury AMM for compound growth
-async stakeTreasuryRoyalties(royaltyFee, ecoScore) {
-  try {
-    // Calculate staking amount (10% of expected royalty from $67 avg sale)
-    const avgSalePrice = 67;
-    const expectedRoyalty = (avgSalePrice * royaltyFee) / 100000;
-    const stakingAmount = expectedRoyalty * 0.1; // 10% to AMM
-    
-    if (stakingAmount < 1) return; // Skip micro-amounts
-    
-    // Mock AMM deposit for treasury compound growth
-    // In production: Use AMMDeposit transaction type
-    const mockAMMDeposit = {
-      TransactionType: 'AMMDeposit',
-      Account: this.wallet.address,
-      Amount: (stakingAmount * 1e6).toString(),
-      Asset: 'XRP',
-      Asset2: 'RLUSD',
-      Flags: 'tfLPToken'
-    };
-    
-    console.log(`💰 Royalties Staked in RLUSD AMM: ${stakingAmount.toFixed(2)} XRP - 15% APY Compounding!`);
-    console.log(`🌱 Eco-score ${ecoScore.toFixed(2)} → ${(royaltyFee/1000).toFixed(1)}% royalty → Treasury growth!`);
-    
-    return {
-      stakingAmount,
-      expectedAPY: 15,
-      asset: 'XRP/RLUSD',
-      compoundFrequency: 'daily'
-    };
-    
-  } catch (error) {
-    console.error(`❌ Failed to stake royalties:`, error);
-    return { error: error.message };
+  // 📊 Get market sentiment for dynamic adjustments
+  async getMarketSentiment() {
+    // Mock sentiment analysis - in production, integrate with X API or sentiment feeds
+    const mockSentiments = [
+      { score: 0.8, trend: 'bullish', keywords: ['#XRPLNFTMarket', 'moon', 'buy'] },
+      { score: 0.6, trend: 'neutral', keywords: ['#XRPL', 'stable', 'hold'] },
+      { score: 0.4, trend: 'bearish', keywords: ['dip', 'sell', 'correction'] },
+      { score: 0.9, trend: 'euphoric', keywords: ['ATH', 'pump', 'lambo'] }
+    ];
+
+    return mockSentiments[Math.floor(Math.random() * mockSentiments.length)];
   }
-}
 
-/**
- * Get reward tier based on yield performance
- * @param {number} yieldPercentage - Yield percentage
- * @returns {Object} Reward tier information
- */
-getTierForYield(yieldPercentage) {
-  if (yieldPercentage >= this.rewardTiers.platinum.minYield) return { name: 'platinum', ...this.rewardTiers.platinum };
-  if (yieldPercentage >= this.rewardTiers.gold.minYield) return { name: 'gold', ...this.rewardTiers.gold };
-  if (yieldPercentage >= this.rewardTiers.silver.minYield) return { name: 'silver', ...this.rewardTiers.silver };
-  return { name: 'bronze', ...this.rewardTiers.bronze };
-}
 
-/**
- * Revolutionary treasury management for royalty income routing
- * @param {string} nftId - NFT Token ID that generated royalty
- * @param {number} royaltyAmount - Royalty amount in XRP
- * @param {string} buyerAddress - Address of NFT buyer
- * @returns {Promise<Object>} Treasury deposit result
- */
-async routeRoyaltyToTreasury(nftId, royaltyAmount, buyerAddress) {
-  try {
-    console.log(`💎 Routing ${royaltyAmount} XRP royalty from NFT ${nftId} to DAO treasury...`);
-    
-    // Track royalty income
-    this.royaltyIncome.set(nftId, {
-      nftId: nftId,
-      amount: royaltyAmount,
-      buyer: buyerAddress,
-      timestamp: Date.now(),
-      status: 'received'
-      testResults.testsPassed++;
-      testResults.details.push(`✅ NFT Minted: ID mock-nft-1 for top voter, Royalty ${royaltyFee / 1000}% - Yield ${mockNFTMetadata.yieldData.meanYield}%`);
-      
-      // Test 3: Auto-marketplace listing simulation
-      testResults.totalTests++;
-      const listingPrice = mockNFTMetadata.marketValue;
-      testResults.testsPassed++;
-      testResults.details.push(`✅ Listed on DEX: At ${listingPrice} XRP, royalties to treasury on sale`);
-      
-      // Test 4: Treasury royalty routing
-      testResults.totalTests++;
-      const mockRoyaltyAmount = listingPrice * (royaltyFee / 100000); // Calculate actual royalty
-      const treasuryResult = await this.routeRoyaltyToTreasury('mock-nft-1', mockRoyaltyAmount, 'mock-buyer-address');
-      
-      testResults.testsPassed++;
-      testResults.details.push(`✅ Treasury routing: ${mockRoyaltyAmount.toFixed(2)} XRP royalty + ${treasuryResult.stakingYield.toFixed(2)} XRP yield = ${treasuryResult.totalTreasuryValue.toFixed(2)} XRP`);
-      
-      // Test 5: Monthly referral funding calculation
-      testResults.totalTests++;
-      const monthlyFunding = treasuryResult.monthlyReferralFunding;
-      const projectedMonthlyUSD = monthlyFunding * 0.5; // Assume $0.50 XRP
-      
-      testResults.testsPassed++;
-      testResults.details.push(`✅ Monthly referral funding: ${monthlyFunding.toFixed(2)} XRP (~$${projectedMonthlyUSD.toFixed(0)}) - Target: $5K/month`);
-      
-      // Calculate success metrics
-      const successRate = (testResults.testsPassed / testResults.totalTests) * 100;
-      testResults.successRate = successRate;
-      
-      console.log(`🎯 Mainnet Royalty System Test Results:`);
-      console.log(`   Tests Passed: ${testResults.testsPassed}/${testResults.totalTests} (${successRate.toFixed(1)}%)`);
-      testResults.details.forEach(detail => console.log(`   ${detail}`));
-      
-      if (successRate === 100) {
-        console.log(`🚀 Revolutionary Mainnet Royalty System: FULLY VALIDATED!`);
-        console.log(`💰 Projected Revenue: $5K/month from 100 NFT sales with 10-20% royalties`);
-        console.log(`🌱 Eco-sustainability: Higher royalties for green votes align with XRPL 2025 trends`);
-        console.log(`⚡ Auto-enforcement: TransferFee ensures on-chain royalty collection`);
-      }
-      
-      return testResults;
-      
+  // 💰 Stake royalties in treasury AMM for compound growth
+  async stakeTreasuryRoyalties(royaltyFee, ecoScore) {
+    try {
+      // Calculate staking amount (10% of expected royalty from $67 avg sale)
+      const avgSalePrice = 67;
+      const expectedRoyalty = (avgSalePrice * royaltyFee) / 100000;
+      const stakingAmount = expectedRoyalty * 0.1; // 10% to AMM
+
+      if (stakingAmount < 1) return; // Skip micro-amounts
+
+      // Mock AMM deposit for treasury compound growth
+      // In production: Use AMMDeposit transaction type
+      const mockAMMDeposit = {
+        TransactionType: 'AMMDeposit',
+        Account: this.wallet.address,
+        Amount: (stakingAmount * 1e6).toString(),
+        Asset: 'XRP',
+        Asset2: 'RLUSD',
+        Flags: 'tfLPToken'
+      };
+
+      console.log(`💰 Royalties Staked in RLUSD AMM: ${stakingAmount.toFixed(2)} XRP - 15% APY Compounding!`);
+      console.log(`🌱 Eco-score ${ecoScore.toFixed(2)} → ${(royaltyFee/1000).toFixed(1)}% royalty → Treasury growth!`);
+
+      return {
+        stakingAmount,
+        expectedAPY: 15,
+        asset: 'XRP/RLUSD',
+        compoundFrequency: 'daily'
+      };
+
     } catch (error) {
-      console.error(`❌ Mainnet royalty system test failed:`, error);
-      testResults.details.push(`❌ Test execution error: ${error.message}`);
-      return testResults;
+      console.error(`❌ Failed to stake royalties:`, error);
+      return { error: error.message };
     }
   }
 
   /**
    * Refund stakes with winner bonuses
+   * Escrowed stakes are released back to each voter; the winner bonus is
+   * reported for the treasury to pay. Stakes that fail to return are
+   * emitted as stakeRefundFailed and retried on the next call.
    * @param {string} voteId - Vote identifier
    * @param {Object} tallyResults - Tally results with voter details
+   * @returns {Object} Settlement report from StakeEscrowManager.settle
    */
   async refundStakes(voteId, tallyResults) {
     console.log(`💰 Processing refunds for Vote ${voteId}...`);
     
-    const { winner, voterDetails } = tallyResults;
+    const { winner } = tallyResults;
     const winnerBonus = 0.1; // 10% bonus for winners
     
-    for (const voter of voterDetails) {
-      try {
-        const isWinner = voter.option === winner;
-        const refundAmount = voter.amount * (isWinner ? (1 + winnerBonus) : 1);
-        
-        // Mock refund transaction - in production, implement actual treasury refund
-        console.log(`💸 Refunding ${voter.voter}:`);
-        console.log(`   Original: ${voter.amount} XRP`);
-        console.log(`   Refund: ${refundAmount.toFixed(2)} XRP`);
-        console.log(`   Bonus: ${isWinner ? `+${(winnerBonus * 100)}%` : 'None'}`);
-        
-        this.emit('stakeRefunded', {
-          voteId,
-          voter: voter.voter,
-          originalAmount: voter.amount,
-          refundAmount,
-          bonus: isWinner ? winnerBonus : 0,
-          isWinner
-        });
-        
-      } catch (error) {
-        console.error(`❌ Failed to refund ${voter.voter}:`, error);
-      }
+    const settlement = await this.stakeEscrow.settle(voteId, { wallet: this.wallet });
+    
+    for (const stake of settlement.returned) {
+      const isWinner = stake.option === winner;
+      const refundAmount = stake.amount * (isWinner ? (1 + winnerBonus) : 1);
+      
+      console.log(`💸 Refunded ${stake.owner}:`);
+      console.log(`   Original: ${stake.amount} XRP (escrow ${stake.settledBy})`);
+      console.log(`   Refund: ${refundAmount.toFixed(2)} XRP`);
+      console.log(`   Bonus: ${isWinner ? `+${(winnerBonus * 100)}%` : 'None'}`);
+      
+      this.emit('stakeRefunded', {
+        voteId,
+        voter: stake.owner,
+        originalAmount: stake.amount,
+        refundAmount,
+        bonus: isWinner ? winnerBonus : 0,
+        isWinner,
+        txHash: stake.settleTxHash
+      });
+    }
+    
+    for (const stake of settlement.failed) {
+      console.error(`❌ Failed to refund ${stake.owner}: ${stake.lastError}`);
+      this.emit('stakeRefundFailed', {
+        voteId,
+        voter: stake.owner,
+        amount: stake.amount,
+        escrowSequence: stake.sequence,
+        error: stake.lastError,
+        attempts: stake.attempts
+      });
     }
     
-    console.log(`✅ Refunds processed for ${voterDetails.length} voters`);
+    console.log(`✅ Refunds processed: ${settlement.returned.length} returned, ${settlement.failed.length} failed, ${settlement.pending.length} pending`);
+    return settlement;
   }
 
   /**
@@ -808,6 +756,14 @@ async routeRoyaltyToTreasury(nftId, royaltyAmount, buyerAddress) {
       averageYield: nfts.reduce((sum, nft) => sum + nft.yield, 0) / nfts.length || 0
     };
   }
+
+  /**
+   * Submitter for DAO transactions
+   * @private
+   */
+  _getSubmitter() {
+    return this.submitter || TransactionSubmitter.forClient(this.client);
+  }
 }
 
 module.exports = YieldVoteDAO;
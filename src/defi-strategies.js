@@ -4,7 +4,7 @@ const tf = require('@tensorflow/tfjs-node');
 console.log('🏦 QUANTUM DEFI STRATEGIES - ADVANCED YIELD OPTIMIZATION! 🏦');
 
 class QuantumDeFiStrategies {
-  constructor() {
+  constructor(options = {}) {
     this.client = null;
     this.isRunning = false;
     this.strategies = {
@@ -17,6 +17,7 @@ class QuantumDeFiStrategies {
     this.totalYield = 0;
     this.aiModel = null;
     this.riskManager = null;
+    this.positionLedger = options.positionLedger || null; // LpPositionLedger with measured fees and IL
   }
 
   async initialize(network = 'testnet') {
@@ -180,12 +181,12 @@ class QuantumDeFiStrategies {
       const lpPositions = [];
 
       for (const pool of lpPools) {
-        // Calculate expected yield from fees
-        const dailyFees = pool.volume * pool.fee;
-        const apy = (dailyFees * 365) / pool.tvl;
+        // Calculate expected yield from fees, measured when we hold a position in the pool
+        const measured = this.positionLedger && this.positionLedger.getPoolPerformance(pool.name);
+        const apy = measured ? measured.feeApy : (pool.volume * pool.fee * 365) / pool.tvl;
         
         // Calculate impermanent loss risk
-        const ilRisk = this.calculateImpermanentLossRisk(pool.volatility);
+        const ilRisk = this.calculateImpermanentLossRisk(pool.volatility, pool.name);
         const netApy = apy - ilRisk;
         
         // AI-optimized position sizing
@@ -204,6 +205,7 @@ class QuantumDeFiStrategies {
           grossApy: apy,
           ilRisk: ilRisk,
           netApy: netApy,
+          measured: Boolean(measured),
           expectedYield: positionYield
         });
       }
@@ -287,7 +289,13 @@ class QuantumDeFiStrategies {
     }
   }
 
-  calculateImpermanentLossRisk(volatility) {
+  calculateImpermanentLossRisk(volatility, poolId) {
+    // Annualized loss measured on our own positions in the pool
+    const measured = poolId && this.positionLedger && this.positionLedger.getPoolPerformance(poolId);
+    if (measured) {
+      return Math.max(0, -measured.ilApy);
+    }
+    
     // Simplified impermanent loss calculation
     return volatility * volatility * 0.5; // Rough approximation
   }
@@ -10,6 +10,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { TimeSeriesStore, MEASUREMENTS } = require('../services/timeseries-store');
+
+// Observations kept in memory for Bayesian updates
+const HISTORY_SIZE = 100;
 
 class AdaptiveMonteCarlo {
   /**
@@ -20,6 +24,7 @@ class AdaptiveMonteCarlo {
    * @param {number} options.confidenceLevel Confidence level for intervals (default: 0.95)
    * @param {number} options.learningRate Learning rate for Bayesian updates (default: 0.15)
    * @param {Object} options.priors Prior distributions for parameters
+   * @param {TimeSeriesStore} options.timeSeries Store for observation history (default: the shared store)
    */
   constructor(options = {}) {
     this.outputDir = options.outputDir || path.join(__dirname, '../../data/forecasts');
@@ -34,6 +39,7 @@ class AdaptiveMonteCarlo {
     
     // Historical data for Bayesian updates
     this.historicalData = [];
+    this.timeSeries = options.timeSeries || TimeSeriesStore.shared();
     
     // Ensure output directory exists
     if (!fs.existsSync(this.outputDir)) {
@@ -45,14 +51,23 @@ class AdaptiveMonteCarlo {
   }
   
   /**
-   * Load historical data for Bayesian updates
+   * Load historical data for Bayesian updates from the time-series store
+   * A history.json left by earlier versions is imported once.
    * @private
    */
   _loadHistoricalData() {
     try {
       const historyFile = path.join(this.outputDir, 'history.json');
-      if (fs.existsSync(historyFile)) {
-        this.historicalData = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+      if (!this.timeSeries.latest(MEASUREMENTS.FORECAST_OBSERVATION) && fs.existsSync(historyFile)) {
+        const legacy = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+        legacy.forEach(entry => this._recordObservation(entry.observation, entry.timestamp));
+        console.log(`Imported ${legacy.length} historical data points from ${historyFile}`);
+      }
+      
+      this.historicalData = this.timeSeries
+        .range(MEASUREMENTS.FORECAST_OBSERVATION, { limit: HISTORY_SIZE })
+        .map(point => ({ timestamp: point.timestamp, observation: point.fields }));
+      if (this.historicalData.length > 0) {
         console.log(`Loaded ${this.historicalData.length} historical data points for Bayesian updates`);
       }
     } catch (error) {
@@ -61,13 +76,14 @@ class AdaptiveMonteCarlo {
   }
   
   /**
-   * Save historical data for future Bayesian updates
+   * Record an observation in the time-series store
    * @private
+   * @param {Object} observation Observed yield, volatility and sentiment
+   * @param {number} timestamp Observation time (default: now)
    */
-  _saveHistoricalData() {
+  _recordObservation(observation, timestamp = Date.now()) {
     try {
-      const historyFile = path.join(this.outputDir, 'history.json');
-      fs.writeFileSync(historyFile, JSON.stringify(this.historicalData, null, 2));
+      this.timeSeries.write(MEASUREMENTS.FORECAST_OBSERVATION, observation, { timestamp });
     } catch (error) {
       console.error('Error saving historical data:', error.message);
     }
@@ -170,18 +186,19 @@ class AdaptiveMonteCarlo {
     this.priors.sentimentImpact.mean = (1 - weight) * this.priors.sentimentImpact.mean + weight * observation.sentiment;
     
     // Add observation to historical data
+    const timestamp = Date.now();
     this.historicalData.push({
-      timestamp: Date.now(),
+      timestamp,
       observation
     });
     
-    // Keep only the last 100 observations
-    if (this.historicalData.length > 100) {
+    // Keep only the most recent observations in memory
+    if (this.historicalData.length > HISTORY_SIZE) {
       this.historicalData.shift();
     }
     
-    // Save updated historical data
-    this._saveHistoricalData();
+    // Save to the shared history
+    this._recordObservation(observation, timestamp);
   }
   
   /**
@@ -198,27 +215,27 @@ class AdaptiveMonteCarlo {
     const ecoBoostMultiplier = params.ecoBoostMultiplier || 1.0;
     
     // Base yield with random variation
-    let yield = this._normalSample(baseYield, baseYield * vol);
+    let simulatedYield = this._normalSample(baseYield, baseYield * vol);
     
     // Apply sentiment boost
-    yield *= sentimentBoost;
+    simulatedYield *= sentimentBoost;
     
     // Apply eco boost for sustainable strategies
     if (params.ecoFocus) {
-      yield *= ecoBoostMultiplier;
+      simulatedYield *= ecoBoostMultiplier;
     }
     
     // Apply hedging effect if specified
     if (params.hedge === 'RLUSD') {
       // RLUSD hedging reduces volatility but may cap upside
-      yield = Math.min(yield, baseYield * 1.5);
-      yield = Math.max(yield, baseYield * 0.8);
+      simulatedYield = Math.min(simulatedYield, baseYield * 1.5);
+      simulatedYield = Math.max(simulatedYield, baseYield * 0.8);
     }
     
     // Convert to percentage
-    yield *= 100;
+    simulatedYield *= 100;
     
-    return yield;
+    return simulatedYield;
   }
   
   /**
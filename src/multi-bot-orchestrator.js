@@ -1,12 +1,20 @@
 const BeastModeNetworkLauncher = require('../beast-mode-network-launcher');
 const QuantumArbitrageBot = require('./arbitrage-bot');
-const QuantumDeFiStrategies = require('./defi-strategies');
 const tf = require('@tensorflow/tfjs-node');
+const path = require('path');
+const { defaultRegistry } = require('./strategies/strategy-registry');
+const { capitalWithinLimits, enforceCapitalLimits } = require('./strategies/strategy-contract');
+
+// Shipped defaults run the DeFi bot (the quantum-defi entry) and the Nexus allocator.
+// Fusion stays off because loadStrategies does not pass the nasdaqClient/xrplClient it
+// needs; recovery, overlord and accelerator split the same RLUSD/eco-RWA/AMM assets as
+// Nexus, so each deployment opts into one of them.
+const DEFAULT_STRATEGY_CONFIG = path.join(__dirname, 'config', 'strategies.json');
 
 console.log('🎯 QUANTUM MULTI-BOT ORCHESTRATOR - EMPIRE COMMAND CENTER! 🎯');
 
 class QuantumMultiBotOrchestrator {
-  constructor() {
+  constructor(options = {}) {
     this.bots = {
       mainnetBot: null,
       arbitrageBot: null,
@@ -23,6 +31,15 @@ class QuantumMultiBotOrchestrator {
     };
     this.aiOrchestrator = null;
     this.performanceHistory = [];
+    
+    // Pluggable strategies loaded from config through the registry
+    this.strategyRegistry = options.strategyRegistry || defaultRegistry;
+    this.strategyConfig = options.strategies || options.strategyConfigPath || DEFAULT_STRATEGY_CONFIG;
+    this.strategies = [];
+    this.strategyProposals = {};
+    
+    // Holdings marked to market; wallets are tracked under the bot names (mainnetBot, arbitrageBot, defiBot)
+    this.portfolioTracker = options.portfolioTracker || null;
   }
 
   async initialize(network = 'mainnet') {
@@ -32,6 +49,9 @@ class QuantumMultiBotOrchestrator {
       // Initialize all bots
       await this.initializeAllBots(network);
       
+      // Load pluggable strategies from config
+      await this.loadStrategies(network);
+      
       // Initialize AI orchestrator
       await this.initializeAIOrchestrator();
       
@@ -60,10 +80,7 @@ class QuantumMultiBotOrchestrator {
       this.bots.arbitrageBot = new QuantumArbitrageBot();
       await this.bots.arbitrageBot.initialize(network);
       
-      // Initialize DeFi Strategies Bot
-      console.log('🏦 Initializing Quantum DeFi Strategies Bot...');
-      this.bots.defiBot = new QuantumDeFiStrategies();
-      await this.bots.defiBot.initialize(network);
+      // The DeFi bot is the quantum-defi strategy; loadStrategies builds it from config
       
       console.log('✅ QUANTUM ORCHESTRATOR: All bots initialized successfully!');
       
@@ -73,6 +90,63 @@ class QuantumMultiBotOrchestrator {
     }
   }
 
+  async loadStrategies(network) {
+    console.log('🧩 QUANTUM ORCHESTRATOR: Loading strategies from registry...');
+    
+    let entries = [];
+    try {
+      entries = this.strategyRegistry.loadFromConfig(this.strategyConfig, { skipFailed: true });
+    } catch (error) {
+      // Unreadable config or duplicate ids: run the bot fleet without strategies
+      console.error('❌ QUANTUM ORCHESTRATOR: Strategy config could not be loaded:', error.message);
+    }
+    
+    for (const entry of entries) {
+      try {
+        if (entry.error) throw entry.error;
+        await entry.strategy.init({ network, orchestrator: this });
+        this.strategies.push(entry);
+        console.log(`   ✅ ${entry.id} (${entry.type}) - ${(entry.weight * 100).toFixed(0)}% of empire capital`);
+      } catch (error) {
+        // One broken strategy must not take the rest of the empire down
+        console.error(`   ❌ ${entry.id} (${entry.type}) failed to initialize:`, error.message);
+      }
+    }
+    
+    // The DeFi bot only runs when the config enables it
+    const defi = this.strategies.find(entry => entry.type === 'quantum-defi');
+    this.bots.defiBot = defi ? defi.strategy.instance : null;
+    
+    console.log(`✅ QUANTUM ORCHESTRATOR: ${this.strategies.length}/${entries.length} strategies loaded!`);
+    return this.strategies;
+  }
+
+  async runStrategyCycle(marketData = {}) {
+    const proposals = {};
+    
+    for (const { id, weight, strategy } of this.strategies) {
+      try {
+        await strategy.onMarketData(marketData);
+        
+        const offered = this.empireMetrics.totalCapital * weight;
+        const allowed = capitalWithinLimits(offered, strategy.getCapitalLimits());
+        if (allowed <= 0) continue;
+        
+        const proposal = enforceCapitalLimits(await strategy.proposeAllocation(allowed), allowed);
+        if (proposal.clamped) {
+          console.log(`⚠️ QUANTUM ORCHESTRATOR: ${id} proposal clamped to its capital limit ($${allowed.toLocaleString()})`);
+        }
+        
+        proposals[id] = { ...proposal, timestamp: Date.now() };
+      } catch (error) {
+        console.error(`❌ QUANTUM ORCHESTRATOR: Strategy ${id} failed:`, error.message);
+      }
+    }
+    
+    this.strategyProposals = proposals;
+    return proposals;
+  }
+
   async initializeAIOrchestrator() {
     try {
       console.log('🧠 QUANTUM ORCHESTRATOR: Loading AI Empire Commander...');
@@ -161,7 +235,7 @@ class QuantumMultiBotOrchestrator {
     await this.bots.arbitrageBot.startArbitrageBot();
     
     // Start DeFi strategies
-    await this.bots.defiBot.startDeFiStrategies();
+    if (this.bots.defiBot) await this.bots.defiBot.startDeFiStrategies();
     
     console.log('✅ QUANTUM ORCHESTRATOR: All bots started successfully!');
   }
@@ -186,6 +260,12 @@ class QuantumMultiBotOrchestrator {
         // Update empire metrics
         this.updateEmpireMetrics(botPerformance);
         
+        // Collect allocation proposals from pluggable strategies
+        await this.runStrategyCycle({
+          vol: botPerformance.mainnetBot.risk,
+          timestamp: Date.now()
+        });
+        
       } catch (error) {
         console.error('❌ QUANTUM ORCHESTRATOR: Optimization failed:', error.message);
       }
@@ -220,9 +300,9 @@ class QuantumMultiBotOrchestrator {
   async getBotPerformance() {
     const mainnetStatus = this.bots.mainnetBot.getNetworkStatus();
     const arbitrageStatus = this.bots.arbitrageBot.getStatus();
-    const defiStatus = this.bots.defiBot.getStatus();
+    const defiStatus = this.bots.defiBot ? this.bots.defiBot.getStatus() : { totalYield: 0 };
     
-    return {
+    const performance = {
       mainnetBot: {
         yield: mainnetStatus.totalYields > 0 ? 0.35 : 0, // Base yield
         risk: 0.1,
@@ -242,6 +322,44 @@ class QuantumMultiBotOrchestrator {
         trades: 0 // DeFi strategies don't have discrete trades
       }
     };
+    
+    return this.applyPortfolio(performance);
+  }
+
+  /**
+   * Replace reported yields with marked-to-market figures for bots whose
+   * wallets the portfolio tracker follows
+   * Yield becomes total PnL over cost basis; value, cost basis, daily PnL and
+   * exposure are added. Without a tracker the performance is unchanged.
+   * @param {Object} performance Bot performance by bot name
+   * @returns {Promise<Object>} Performance
+   */
+  async applyPortfolio(performance) {
+    if (!this.portfolioTracker) return performance;
+    
+    try {
+      const snapshot = await this.portfolioTracker.refresh();
+      Object.keys(performance).forEach(bot => {
+        const wallet = snapshot.wallets[bot];
+        if (!wallet || wallet.costBasis <= 0) return;
+        
+        performance[bot] = {
+          ...performance[bot],
+          yield: (wallet.unrealizedPnl + wallet.realizedPnl) / wallet.costBasis,
+          value: wallet.value,
+          costBasis: wallet.costBasis,
+          dailyPnl: wallet.dailyPnl,
+          exposure: wallet.exposure,
+          stale: wallet.stale
+        };
+      });
+      this.empireMetrics.totalCapital = snapshot.totals.value;
+      this.empireMetrics.portfolio = { ...snapshot.totals, exposure: snapshot.exposure, timestamp: snapshot.timestamp };
+    } catch (error) {
+      console.error('❌ QUANTUM ORCHESTRATOR: Portfolio refresh failed:', error.message);
+    }
+    
+    return performance;
   }
 
   async optimizeBotAllocations(botPerformance) {
@@ -366,7 +484,17 @@ class QuantumMultiBotOrchestrator {
     // Stop all bots
     if (this.bots.mainnetBot) await this.bots.mainnetBot.stop();
     if (this.bots.arbitrageBot) await this.bots.arbitrageBot.stop();
-    if (this.bots.defiBot) await this.bots.defiBot.stop();
+    
+    // Tear down pluggable strategies (this stops the DeFi bot)
+    for (const { id, strategy } of this.strategies) {
+      try {
+        await strategy.teardown();
+      } catch (error) {
+        console.error(`❌ QUANTUM ORCHESTRATOR: Strategy ${id} teardown failed:`, error.message);
+      }
+    }
+    this.strategies = [];
+    this.bots.defiBot = null;
     
     console.log('✅ QUANTUM ORCHESTRATOR: Quantum Yield Empire stopped successfully!');
   }
@@ -377,9 +505,15 @@ class QuantumMultiBotOrchestrator {
       totalEmpireYield: this.totalEmpireYield,
       empireMetrics: this.empireMetrics,
       performanceHistory: this.performanceHistory.slice(-10), // Last 10 records
-      aiOrchestratorLoaded: this.aiOrchestrator !== null
+      aiOrchestratorLoaded: this.aiOrchestrator !== null,
+      strategies: this.strategies.map(({ id, type, weight }) => ({
+        id,
+        type,
+        weight,
+        lastProposal: this.strategyProposals[id] || null
+      }))
     };
   }
 }
 
-module.exports = QuantumMultiBotOrchestrator; 
\ No newline at end of file
+module.exports = QuantumMultiBotOrchestrator;
@@ -1,15 +1,18 @@
 const { Client, Wallet } = require('xrpl');
+const RiskManager = require('./risk-manager');
+const { TransactionSubmitter } = require('./services/transaction-submitter');
 
 console.log('🌐 QUANTUM NETWORK CONNECTOR - XRPL INTEGRATION! 🌐');
 
 class NetworkConnector {
-  constructor() {
+  constructor(options = {}) {
     this.client = null;
     this.wallet = null;
     this.isConnected = false;
     this.currentNetwork = null;
     this.connectionAttempts = 0;
     this.maxRetries = 5;
+    this.riskManager = options.riskManager || RiskManager.getSharedInstance();
   }
 
   async connect(networkName = 'testnet', walletSeed = null) {
@@ -126,24 +129,42 @@ class NetworkConnector {
     }
   }
 
-  async submitTransaction(transaction) {
+  /**
+   * Submit a transaction through the shared submitter
+   * @param {Object} transaction - Unsigned transaction
+   * @param {Object} options - Submitter options (idempotencyKey, useTicket, maxAttempts)
+   * @returns {Object} Validated transaction response
+   */
+  async submitTransaction(transaction, options = {}) {
     if (!this.isConnected || !this.wallet) {
       throw new Error('Not connected to network or wallet not initialized');
     }
     
+    // Pre-trade risk check; throws RiskRejectionError with the structured reasons
+    const riskAction = RiskManager.actionFromTransaction(transaction, 'network-connector');
+    this.riskManager.assertAction(riskAction);
+    
     try {
       console.log('📤 NETWORK CONNECTOR: Submitting transaction...');
       
-      // Prepare and sign transaction
-      const prepared = await this.client.autofill(transaction);
-      const signed = this.wallet.sign(prepared);
-      
-      // Submit transaction
-      const result = await this.client.submitAndWait(signed.tx_blob);
+      // Sequence, LastLedgerSequence, fee escalation and retries are handled by the submitter
+      const result = await TransactionSubmitter.forClient(this.client).submit(transaction, {
+        ...options,
+        wallet: this.wallet
+      });
       
       console.log('✅ NETWORK CONNECTOR: Transaction submitted successfully!');
       console.log(`🔗 Transaction hash: ${result.result.hash}`);
       
+      // tec results burn the fee without moving anything, so only successes add exposure
+      const engineResult = result.result.meta && result.result.meta.TransactionResult;
+      const realizedPnL = RiskManager.realizedPnLFromResponse(result);
+      if (engineResult === 'tesSUCCESS') {
+        this.riskManager.recordExecution(riskAction, { realizedPnL });
+      } else {
+        this.riskManager.recordPnL(realizedPnL);
+      }
+      
       return result;
       
     } catch (error) {
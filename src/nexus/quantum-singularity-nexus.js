@@ -5,6 +5,7 @@
  */
 
 const { EventEmitter } = require('events');
+const RiskManager = require('../risk-manager');
 
 class QuantumSingularityNexus extends EventEmitter {
   constructor(config = {}) {
@@ -27,6 +28,7 @@ class QuantumSingularityNexus extends EventEmitter {
       grantAirdropAmount: config.grantAirdropAmount || 250, // $250 per airdrop
       ...config
     };
+    this.riskManager = config.riskManager || RiskManager.getSharedInstance();
 
     this.metrics = {
       totalRevenue: 0,
@@ -429,6 +431,12 @@ class QuantumSingularityNexus extends EventEmitter {
   }
   
   async executeAllocation(allocation) { 
+    const riskCheck = this.riskManager.validateAction(
+      RiskManager.actionFromAllocation(allocation, 'quantum-singularity-nexus')
+    );
+    if (!riskCheck.approved) return false;
+    this.riskManager.recordExecution(riskCheck.action);
+
     const revenue = (allocation.rlusd || 0) * 0.03;
     this.metrics.totalRevenue += isNaN(revenue) ? 0 : revenue;
   }
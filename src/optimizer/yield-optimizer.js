@@ -10,6 +10,36 @@
  */
 
 const xrpl = require('xrpl');
+const { TimeSeriesStore, MEASUREMENTS } = require('../services/timeseries-store');
+const { LpPositionLedger } = require('../services/lp-position-ledger');
+const { PROPOSAL_STATES } = require('../dao/dao-governor');
+
+// Harvested volatility older than this falls back to the built-in estimate
+const VOLATILITY_MAX_AGE = 15 * 60 * 1000;
+
+// Bounds of the allocation weight applied from a pool's measured net APY
+const MEASURED_WEIGHT_RANGE = [0.5, 1.5];
+
+// Parameter sets selected by the winning option of a yield-optimization proposal
+const GOVERNANCE_PRESETS = {
+  'High RLUSD Allocation': {
+    highVolThreshold: 0.4, // Lower threshold to trigger RLUSD protection earlier
+    rlusdHighVolAllocation: 0.9, // Higher RLUSD allocation (90%)
+    ecoBoostMultiplier: 1.15 // Lower eco boost in high-risk scenario
+  },
+  'Eco-Friendly Focus': {
+    highVolThreshold: 0.6, // Higher threshold to allow more eco exposure
+    rlusdHighVolAllocation: 0.7, // Lower RLUSD allocation (70%)
+    ecoBoostMultiplier: 1.35 // Higher eco boost
+  },
+  'Balanced Approach': {
+    highVolThreshold: 0.5, // Default threshold
+    rlusdHighVolAllocation: 0.8, // Default RLUSD allocation (80%)
+    ecoBoostMultiplier: 1.24 // Default eco boost
+  }
+};
+
+const GOVERNANCE_PARAMETER_KEYS = ['highVolThreshold', 'rlusdHighVolAllocation', 'ecoBoostMultiplier'];
 
 class YieldOptimizer {
   /**
@@ -22,9 +52,13 @@ class YieldOptimizer {
    * @param {number} options.highVolThreshold Threshold for high volatility classification (default: 0.5)
    * @param {number} options.rlusdHighVolAllocation RLUSD allocation percentage in high vol (default: 0.8)
    * @param {boolean} options.useRealData Whether to use real market data (default: true)
+   * @param {TimeSeriesStore|null} options.timeSeries Store for allocation snapshots and harvested volatility (default: the shared store, null disables)
+   * @param {LpPositionLedger|null} options.positionLedger Ledger of LP positions whose measured net APY replaces the heuristic estimates (default: the shared ledger, null disables)
    */
   constructor(options = {}) {
     this.client = options.client;
+    this.timeSeries = options.timeSeries;
+    this.positionLedger = options.positionLedger;
     this.daoGovernor = options.daoGovernor;
     this.ecoBoostMultiplier = options.ecoBoostMultiplier || 1.24;
     this.federationWeight = options.federationWeight || 0.3;
@@ -32,6 +66,19 @@ class YieldOptimizer {
     this.rlusdHighVolAllocation = options.rlusdHighVolAllocation || 0.8;
     this.useRealData = options.useRealData !== false;
     
+    // Parameters applied by executed DAO proposals
+    this.governanceParameters = null;
+    
+    // Executed yield-optimization proposals apply their parameters here
+    if (this.daoGovernor && typeof this.daoGovernor.registerExecutionHook === 'function') {
+      this.daoGovernor.registerExecutionHook('yield-optimization', (proposal, tally) =>
+        this.applyGovernanceProposal(proposal, tally)
+      );
+      
+      // Proposals executed before a restart still apply
+      this.governanceParameters = this._restoreGovernanceParameters();
+    }
+    
     console.log(`Yield Optimizer initialized with RLUSD-Weighted Dynamic Allocation`);
     console.log(`High volatility threshold: ${this.highVolThreshold}`);
     console.log(`RLUSD high-vol allocation: ${this.rlusdHighVolAllocation * 100}%`);
@@ -82,7 +129,7 @@ class YieldOptimizer {
       // Calculate expected yield
       const expectedYield = await this._calculateExpectedYield(allocations, pools, vol, sentiment);
       
-      return {
+      const result = {
         allocations,
         expectedYield,
         vol,
@@ -91,6 +138,9 @@ class YieldOptimizer {
         isHighVol: vol > highVolThreshold,
         governanceApplied: useGovernance && Object.keys(govParams).length > 0
       };
+      this._recordAllocation(result, pools, capital);
+      
+      return result;
     } catch (error) {
       console.error('Error optimizing allocation:', error);
       throw error;
@@ -148,6 +198,9 @@ class YieldOptimizer {
           weight *= (1 + (sentiment - 0.6) * 2); // Up to 2x boost at sentiment = 1.0
         }
         
+        // Favor pools whose positions actually earned after impermanent loss
+        weight *= this._measuredWeight(pool);
+        
         totalWeight += weight;
         return weight;
       });
@@ -185,6 +238,9 @@ class YieldOptimizer {
         weight *= 1.2; // 20% premium for stability
       }
       
+      // Favor pools whose positions actually earned after impermanent loss
+      weight *= this._measuredWeight(pool);
+      
       return weight;
     });
     
@@ -197,6 +253,8 @@ class YieldOptimizer {
   
   /**
    * Calculate expected yield based on allocations
+   * Pools with tracked LP positions use their measured fee APY and
+   * impermanent loss; the others use the volatility heuristics.
    * @private
    * @param {Array<number>} allocations Capital allocations
    * @param {Array<Object>} pools Available liquidity pools
@@ -224,21 +282,29 @@ class YieldOptimizer {
       return baseAPY;
     });
     
+    // Net APY per pool: measured where positions exist, otherwise base APY less the IL heuristic
+    const measured = pools.map(pool => this._getPoolPerformance(pool));
+    const netAPYs = pools.map((pool, i) => {
+      if (measured[i]) return measured[i].netApy;
+      return baseAPYs[i] - this._calculateILRisk([1], [pool], vol) * vol * 0.5;
+    });
+    measured.forEach((performance, i) => {
+      if (performance) baseAPYs[i] = performance.feeApy;
+    });
+    
     // Calculate weighted average APY
     let totalCapital = allocations.reduce((sum, a) => sum + a, 0);
-    let weightedAPY = 0;
+    const weighted = values => (totalCapital > 0
+      ? allocations.reduce((sum, allocation, i) => sum + (allocation / totalCapital) * values[i], 0)
+      : 0);
     
-    if (totalCapital > 0) {
-      weightedAPY = allocations.reduce((sum, allocation, i) => {
-        return sum + (allocation / totalCapital) * baseAPYs[i];
-      }, 0);
-    }
+    const weightedAPY = weighted(baseAPYs);
     
     // Calculate IL risk
     const ilRisk = this._calculateILRisk(allocations, pools, vol);
     
     // Adjust for IL
-    const netAPY = Math.max(0, weightedAPY - ilRisk * vol * 0.5);
+    const netAPY = Math.max(0, weighted(netAPYs));
     
     // Calculate yield metrics
     return {
@@ -246,12 +312,15 @@ class YieldOptimizer {
       ilRisk,
       netAPY,
       projectedAnnualYield: netAPY * totalCapital,
-      yieldBoost: weightedAPY > 0 ? netAPY / weightedAPY : 0
+      yieldBoost: weightedAPY > 0 ? netAPY / weightedAPY : 0,
+      measuredPools: pools.filter((pool, i) => measured[i]).map(pool => pool.id || pool.name)
     };
   }
   
   /**
    * Calculate impermanent loss risk
+   * Pools with tracked LP positions count their measured annualized
+   * impermanent loss instead of the volatility estimate.
    * @private
    * @param {Array<number>} allocations Capital allocations
    * @param {Array<Object>} pools Available liquidity pools
@@ -266,10 +335,15 @@ class YieldOptimizer {
       // Calculate weighted IL risk
       ilRisk = allocations.reduce((sum, allocation, i) => {
         const pool = pools[i];
+        const performance = this._getPoolPerformance(pool);
         let poolRisk = 0;
         
+        // Measured loss from tracked positions
+        if (performance) {
+          poolRisk = Math.min(1, Math.max(0, -performance.ilApy));
+        }
         // Stable pairs have lower IL risk
-        if (pool.isStable) {
+        else if (pool.isStable) {
           poolRisk = 0.05;
         } 
         // XRP pairs have higher IL risk in high vol
@@ -288,12 +362,90 @@ class YieldOptimizer {
     return ilRisk;
   }
   
+  /**
+   * LP position ledger, created on first use
+   * @private
+   * @returns {LpPositionLedger|null} Ledger or null when measured performance is disabled
+   */
+  _getPositionLedger() {
+    if (this.positionLedger === undefined) {
+      this.positionLedger = LpPositionLedger.shared();
+    }
+    return this.positionLedger;
+  }
+  
+  /**
+   * Measured performance of a pool's LP positions
+   * @private
+   * @param {Object} pool Liquidity pool
+   * @returns {Object|null} Pool performance from the position ledger, or null without tracked history
+   */
+  _getPoolPerformance(pool) {
+    const ledger = this.useRealData ? this._getPositionLedger() : null;
+    if (!ledger) return null;
+    return ledger.getPoolPerformance(pool.id || pool.name);
+  }
+  
+  /**
+   * Allocation weight from a pool's measured net APY (1 without tracked history)
+   * @private
+   * @param {Object} pool Liquidity pool
+   * @returns {number} Weight multiplier
+   */
+  _measuredWeight(pool) {
+    const performance = this._getPoolPerformance(pool);
+    if (!performance) return 1;
+    const [min, max] = MEASURED_WEIGHT_RANGE;
+    return Math.min(max, Math.max(min, 1 + performance.netApy));
+  }
+  
+  /**
+   * Time-series store, created on first use
+   * @private
+   * @returns {TimeSeriesStore|null} Store or null when recording is disabled
+   */
+  _getTimeSeries() {
+    if (this.timeSeries === undefined) {
+      this.timeSeries = TimeSeriesStore.shared();
+    }
+    return this.timeSeries;
+  }
+  
+  /**
+   * Record an allocation snapshot (capital per pool plus yield metrics)
+   * @private
+   * @param {Object} result Result of optimizeAllocation
+   * @param {Array<Object>} pools Pools in allocation order
+   * @param {number} capital Total capital
+   */
+  _recordAllocation(result, pools, capital) {
+    const timeSeries = this._getTimeSeries();
+    if (!timeSeries) return;
+    
+    try {
+      const fields = { capital, vol: result.vol, sentiment: result.sentiment, netAPY: result.expectedYield.netAPY };
+      result.allocations.forEach((amount, i) => {
+        fields[`pool:${pools[i].name || pools[i].id || i}`] = amount;
+      });
+      timeSeries.write(MEASUREMENTS.ALLOCATION, fields, { timestamp: result.timestamp });
+    } catch (error) {
+      console.warn('Error recording allocation snapshot:', error.message);
+    }
+  }
+  
   /**
    * Get current market volatility
+   * Uses the latest harvested short-term volatility when it is recent.
    * @private
    * @returns {Promise<number>} Volatility metric (0-1)
    */
   async _getVolatility() {
+    const timeSeries = this.useRealData ? this._getTimeSeries() : null;
+    const harvested = timeSeries && timeSeries.latest(MEASUREMENTS.VOLATILITY, { maxAge: VOLATILITY_MAX_AGE });
+    if (harvested && typeof harvested.fields.shortTerm === 'number') {
+      return Math.min(1, Math.max(0, harvested.fields.shortTerm));
+    }
+    
     if (this.useRealData && this.client) {
       try {
         // In a real implementation, this would calculate volatility from market data
@@ -329,63 +481,98 @@ class YieldOptimizer {
     return 0.3 + Math.random() * 0.6;
   }
   
+  /**
+   * Apply the parameters chosen by an executed proposal
+   * The winning option maps to metadata.parameters[option] when the proposal
+   * defines it, otherwise to the built-in presets.
+   * @param {Object} proposal Executed proposal
+   * @param {Object} tally Final tally from DAOGovernor.tallyVotes
+   * @returns {Object} { applied, parameters }
+   */
+  applyGovernanceProposal(proposal, tally) {
+    const option = tally.winningOption;
+    const custom = proposal.metadata && proposal.metadata.parameters && proposal.metadata.parameters[option];
+    const parameters = custom || GOVERNANCE_PRESETS[option];
+    
+    if (!parameters) {
+      console.warn(`No governance parameters for option "${option}" of proposal ${proposal.id}`);
+      return { applied: false, parameters: {} };
+    }
+    
+    // Only parameters the optimizer understands are applied
+    const applied = {};
+    GOVERNANCE_PARAMETER_KEYS.forEach(key => {
+      if (typeof parameters[key] === 'number') {
+        applied[key] = parameters[key];
+      }
+    });
+    
+    this.governanceParameters = {
+      ...applied,
+      proposalId: proposal.id,
+      option,
+      appliedAt: Date.now()
+    };
+    
+    console.log(`Governance parameters applied from proposal ${proposal.id} ("${option}"):`, applied);
+    return { applied: true, parameters: applied, option };
+  }
+  
+  /**
+   * Rebuild the applied parameters from the governor's executed proposals
+   * The latest executed yield-optimization proposal whose execution results
+   * include applied parameters wins, as it did before the restart.
+   * @private
+   * @returns {Object|null} Governance parameters, or null when none were applied
+   */
+  _restoreGovernanceParameters() {
+    if (typeof this.daoGovernor.getProposalsByState !== 'function') {
+      return null;
+    }
+    
+    const executedAt = proposal => {
+      const entry = (proposal.history || []).filter(h => h.state === PROPOSAL_STATES.EXECUTED).pop();
+      return entry ? entry.at : 0;
+    };
+    
+    const executed = this.daoGovernor.getProposalsByState(PROPOSAL_STATES.EXECUTED)
+      .filter(p => p.metadata && p.metadata.category === 'yield-optimization')
+      .sort((a, b) => executedAt(b) - executedAt(a));
+    
+    for (const proposal of executed) {
+      const result = (proposal.executionResults || []).find(r => r && r.applied === true && r.parameters);
+      if (result) {
+        return {
+          ...result.parameters,
+          proposalId: proposal.id,
+          option: result.option || (proposal.result && proposal.result.winningOption),
+          appliedAt: executedAt(proposal)
+        };
+      }
+    }
+    
+    return null;
+  }
+  
   /**
    * Get parameters from DAO governance
+   * Only proposals that went through the full lifecycle (passed, timelocked
+   * and executed) change parameters; open votes have no effect.
    * @private
    * @returns {Promise<Object>} Governance parameters
    */
   async _getGovernanceParameters() {
-    if (!this.daoGovernor) {
+    if (!this.governanceParameters) {
       return {};
     }
     
-    try {
-      // Get active proposals related to yield optimization
-      const proposals = await this.daoGovernor.getActiveProposals();
-      const yieldProposals = proposals.filter(p => 
-        p.metadata && p.metadata.category === 'yield-optimization'
-      );
-      
-      if (yieldProposals.length === 0) {
-        return {};
+    const parameters = {};
+    GOVERNANCE_PARAMETER_KEYS.forEach(key => {
+      if (this.governanceParameters[key] !== undefined) {
+        parameters[key] = this.governanceParameters[key];
       }
-      
-      // Get the most recent winning proposal
-      const latestProposal = yieldProposals.sort((a, b) => b.created - a.created)[0];
-      const tally = await this.daoGovernor.tallyVotes(latestProposal.id);
-      
-      // Map winning option to parameters
-      const winningOption = tally.winningOption;
-      
-      switch (winningOption) {
-        case 'High RLUSD Allocation':
-          return {
-            highVolThreshold: 0.4, // Lower threshold to trigger RLUSD protection earlier
-            rlusdHighVolAllocation: 0.9, // Higher RLUSD allocation (90%)
-            ecoBoostMultiplier: 1.15 // Lower eco boost in high-risk scenario
-          };
-          
-        case 'Eco-Friendly Focus':
-          return {
-            highVolThreshold: 0.6, // Higher threshold to allow more eco exposure
-            rlusdHighVolAllocation: 0.7, // Lower RLUSD allocation (70%)
-            ecoBoostMultiplier: 1.35 // Higher eco boost
-          };
-          
-        case 'Balanced Approach':
-          return {
-            highVolThreshold: 0.5, // Default threshold
-            rlusdHighVolAllocation: 0.8, // Default RLUSD allocation (80%)
-            ecoBoostMultiplier: 1.24 // Default eco boost
-          };
-          
-        default:
-          return {};
-      }
-    } catch (error) {
-      console.warn('Error getting governance parameters:', error.message);
-      return {};
-    }
+    });
+    return parameters;
   }
   
   /**
@@ -491,4 +678,4 @@ class YieldOptimizer {
   }
 }
 
-module.exports = { YieldOptimizer };
+module.exports = { YieldOptimizer, GOVERNANCE_PRESETS };
@@ -0,0 +1,159 @@
+/**
+ * Lexicon Sentiment Model
+ *
+ * Scores short posts by summing word valences from a market-oriented
+ * lexicon, with negation ("not bullish"), intensifiers ("massive inflows")
+ * and dampeners ("slightly bearish"). Tracked keywords tune the model: a post
+ * mentioning a keyword uses that keyword's lexicon overrides and counts with
+ * the keyword's weight in its aggregate, e.g.
+ *
+ *   new LexiconSentimentModel({
+ *     keywords: {
+ *       ETF: { weight: 1.5, lexicon: { approval: 1, delay: -0.6 } },
+ *       '#XRPLGreenDeFi': { lexicon: { green: 0.6, offset: 0.4 } }
+ *     }
+ *   });
+ */
+
+// Valences in [-1, 1]
+const DEFAULT_LEXICON = {
+  // Market direction
+  bullish: 0.8, bearish: -0.8, bull: 0.5, bear: -0.5, rally: 0.7, surge: 0.7, soar: 0.8, soaring: 0.8,
+  moon: 0.6, pump: 0.3, breakout: 0.6, rebound: 0.5, recovery: 0.5, gain: 0.5, gains: 0.5, up: 0.2,
+  dump: -0.6, crash: -0.9, plunge: -0.8, slump: -0.7, selloff: -0.7, drop: -0.5, down: -0.2,
+  loss: -0.5, losses: -0.5, dip: -0.3, correction: -0.3, liquidation: -0.6, liquidations: -0.6,
+  record: 0.4, high: 0.2, low: -0.2, ath: 0.7,
+  // Flows and adoption
+  inflow: 0.6, inflows: 0.6, outflow: -0.6, outflows: -0.6, adoption: 0.6, partnership: 0.6,
+  launch: 0.4, launched: 0.4, listing: 0.5, listed: 0.4, delisted: -0.8, delist: -0.8, integration: 0.4,
+  approval: 0.8, approved: 0.8, approve: 0.6, reject: -0.8, rejected: -0.8, rejection: -0.8,
+  delay: -0.5, delayed: -0.5, lawsuit: -0.6, ban: -0.8, banned: -0.8, fine: -0.3, settlement: 0.3,
+  // Risk
+  hack: -0.9, hacked: -0.9, exploit: -0.9, exploited: -0.9, scam: -0.9, rug: -0.9, fraud: -0.9,
+  outage: -0.6, halted: -0.6, halt: -0.5, vulnerability: -0.6, fud: -0.5, fear: -0.5, panic: -0.7,
+  risk: -0.2, risky: -0.4, volatile: -0.2, uncertainty: -0.4, worried: -0.5, concern: -0.4, concerns: -0.4,
+  // Yield and sustainability
+  yield: 0.2, profit: 0.6, profitable: 0.6, growth: 0.5, upgrade: 0.4, secure: 0.4, stable: 0.3,
+  green: 0.3, sustainable: 0.4, eco: 0.3, efficient: 0.3,
+  // General
+  good: 0.4, great: 0.6, excellent: 0.7, amazing: 0.7, strong: 0.5, love: 0.6, excited: 0.6, win: 0.5,
+  bad: -0.4, terrible: -0.7, awful: -0.7, weak: -0.5, hate: -0.6, fail: -0.6, failed: -0.6, failure: -0.6,
+  buy: 0.3, buying: 0.3, accumulate: 0.4, sell: -0.3, selling: -0.3
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'without', 'nor', 'hardly', 'isnt', 'arent', 'wasnt', 'dont', 'doesnt', 'didnt', 'wont', 'cant', 'aint']);
+const INTENSIFIERS = { very: 1.5, extremely: 1.8, huge: 1.5, massive: 1.6, super: 1.4, really: 1.3, so: 1.2, major: 1.4 };
+const DAMPENERS = { slightly: 0.5, somewhat: 0.6, bit: 0.6, barely: 0.4, mildly: 0.5 };
+
+const NEGATION_SCOPE = 3; // Tokens after a negator that get flipped
+const NORMALIZATION_ALPHA = 1; // Larger values pull scores toward neutral
+
+/**
+ * Normalize a keyword or token for matching: lower case without a leading # or $
+ * @param {string} value Keyword or token
+ * @returns {string}
+ */
+function normalizeTerm(value) {
+  return String(value).toLowerCase().replace(/^[#$]/, '');
+}
+
+class LexiconSentimentModel {
+  /**
+   * @param {Object} options Model options
+   * @param {Object} options.lexicon Extra or replacement word valences
+   * @param {Object} options.keywords { [keyword]: { weight, lexicon } } tracked keywords
+   */
+  constructor(options = {}) {
+    this.lexicon = { ...DEFAULT_LEXICON, ...(options.lexicon || {}) };
+    this.keywords = new Map();
+    Object.entries(options.keywords || {}).forEach(([keyword, tuning]) => this.setKeyword(keyword, tuning));
+  }
+
+  /**
+   * Track a keyword or hashtag, optionally with its own weight and lexicon
+   * @param {string} keyword Keyword ('ETF', '#XRPLGreenDeFi', '$XRP')
+   * @param {Object} tuning Tuning options
+   * @param {number} tuning.weight Weight of matching posts in this keyword's aggregate (default: 1)
+   * @param {Object} tuning.lexicon Valence overrides used when a post mentions the keyword
+   */
+  setKeyword(keyword, tuning = {}) {
+    const existing = this.keywords.get(normalizeTerm(keyword));
+    this.keywords.set(normalizeTerm(keyword), {
+      keyword: existing ? existing.keyword : keyword,
+      weight: tuning.weight !== undefined ? tuning.weight : (existing ? existing.weight : 1),
+      lexicon: { ...(existing ? existing.lexicon : {}), ...(tuning.lexicon || {}) }
+    });
+    return this;
+  }
+
+  /**
+   * Tracked keyword tuning
+   * @param {string} keyword Keyword
+   * @returns {Object|null} { keyword, weight, lexicon }
+   */
+  getKeyword(keyword) {
+    return this.keywords.get(normalizeTerm(keyword)) || null;
+  }
+
+  /**
+   * Split text into lower-case tokens, keeping #hashtags and $cashtags
+   * @param {string} text Text
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/n't\b/g, 'nt')
+      .replace(/'/g, '')
+      .match(/[#$]?[a-z0-9_]+/g) || [];
+  }
+
+  /**
+   * Score a post
+   * @param {string} text Post text
+   * @returns {Object} { score: -1..1, keywords, hashtags, matches }
+   */
+  score(text) {
+    const tokens = this.tokenize(text);
+    const terms = tokens.map(normalizeTerm);
+    const keywords = [...new Set(terms.filter(term => this.keywords.has(term)))].map(term => this.keywords.get(term).keyword);
+    const hashtags = [...new Set(tokens.filter(token => token.startsWith('#') && token.length > 1))];
+
+    // Keyword lexicons override the base lexicon for posts that mention them
+    const lexicon = keywords.reduce((merged, keyword) => ({ ...merged, ...this.getKeyword(keyword).lexicon }), { ...this.lexicon });
+
+    let sum = 0;
+    let matches = 0;
+    let negateFor = 0;
+    let modifier = 1;
+
+    terms.forEach(term => {
+      if (NEGATORS.has(term)) {
+        negateFor = NEGATION_SCOPE;
+        return;
+      }
+      if (INTENSIFIERS[term] || DAMPENERS[term]) {
+        modifier *= INTENSIFIERS[term] || DAMPENERS[term];
+        return;
+      }
+
+      const valence = lexicon[term];
+      if (valence !== undefined) {
+        sum += valence * modifier * (negateFor > 0 ? -0.75 : 1);
+        matches++;
+      }
+      modifier = 1;
+      negateFor = Math.max(0, negateFor - 1);
+    });
+
+    return {
+      score: matches > 0 ? sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA) : 0,
+      keywords,
+      hashtags,
+      matches
+    };
+  }
+}
+
+module.exports = { LexiconSentimentModel, DEFAULT_LEXICON, normalizeTerm };
@@ -1,181 +1,530 @@
 /**
  * Sentiment Oracle Network for XRPL Liquidity Provider Bot
- * 
- * Provides real-time sentiment analysis from decentralized sources:
- * - Aggregates sentiment data from multiple social platforms
- * - Provides weighted scores based on source reliability
- * - Filters for XRPL-specific and eco-friendly content
- * - Integrates with DAO governance for sentiment-boosted voting
+ *
+ * One sentiment pipeline for strategies, the DAO governor and the harvester:
+ * - Ingests posts from pluggable sources (file drops, RSS/JSON feeds,
+ *   webhook push; see sentiment-sources.js)
+ * - Scores each post with a lexicon model tuned per keyword (see
+ *   sentiment-model.js)
+ * - Drops duplicates by post ID and by normalized text, so cross-posts and
+ *   re-polled feed items count once
+ * - Weights posts by source credibility, keyword weight and recency
+ * - Persists scored posts under data/sentiment and topic snapshots in the
+ *   time-series store, so getSentiment/getTrends survive restarts
+ *
+ * Scores are 0-1 with 0.5 neutral.
  */
 
-class SentimentOracleNetwork {
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { LexiconSentimentModel, normalizeTerm } = require('./sentiment-model');
+const { TimeSeriesStore, MEASUREMENTS } = require('../services/timeseries-store');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const DEFAULT_KEYWORDS = {
+  XRP: {},
+  XRPL: {},
+  RLUSD: {},
+  ETF: {},
+  NASDAQ: {},
+  '#XRPLGreenDeFi': {}
+};
+
+const ALL_TOPIC = 'all';
+const NEUTRAL_BAND = 0.05; // Post scores within this of 0 count as neutral
+const CONFIDENCE_SCALE = 5; // Weighted posts for ~63% volume confidence
+
+class SentimentOracleNetwork extends EventEmitter {
   /**
    * Initialize the Sentiment Oracle Network
    * @param {Object} options Configuration options
-   * @param {Array<string>} options.sources Data sources to use
-   * @param {Object} options.apiKeys API keys for different platforms
-   * @param {number} options.updateInterval Update interval in milliseconds (default: 5 minutes)
-   * @param {boolean} options.useCaching Whether to cache results (default: true)
+   * @param {Array<Object>} options.sources Source adapters (FileDropSource, FeedSource, WebhookSource, ...)
+   * @param {Object} options.keywords { [keyword]: { weight, lexicon } } added to the default tracked keywords
+   * @param {Object} options.lexicon Extra base lexicon valences
+   * @param {LexiconSentimentModel} options.model Scoring model (default: lexicon model from keywords/lexicon)
+   * @param {Object} options.credibility { [source]: weight } source credibility (default weight: defaultCredibility)
+   * @param {number} options.defaultCredibility Weight of sources without an entry (default: 0.5)
+   * @param {number} options.updateInterval Poll interval for pull sources in milliseconds (default: 5 minutes)
+   * @param {number} options.window Aggregation window in milliseconds (default: 6 hours)
+   * @param {number} options.halfLife Recency half-life of a post's weight in milliseconds (default: 2 hours)
+   * @param {number} options.retention How long scored posts and dedupe keys are kept (default: 7 days)
+   * @param {string} options.ecoHashtag Hashtag blended into getEcoSentiment (default: '#XRPLGreenDeFi')
+   * @param {string|null} options.storageDir Post storage directory (default: data/sentiment, null keeps posts in memory)
+   * @param {TimeSeriesStore|null} options.timeSeries Snapshot store (default: shared store, null disables)
    */
   constructor(options = {}) {
-    this.sources = options.sources || ['twitter', 'reddit', 'discord'];
-    this.apiKeys = options.apiKeys || {};
+    super();
+    this.model = options.model || new LexiconSentimentModel({
+      keywords: { ...DEFAULT_KEYWORDS, ...(options.keywords || {}) },
+      lexicon: options.lexicon
+    });
+    this.sources = [];
+    this.credibility = options.credibility || {};
+    this.defaultCredibility = options.defaultCredibility !== undefined ? options.defaultCredibility : 0.5;
     this.updateInterval = options.updateInterval || 5 * 60 * 1000;
-    this.useCaching = options.useCaching !== false;
-    
-    // Cache for sentiment data
-    this.cache = new Map();
-    
-    console.log(`Sentiment Oracle Network initialized with sources: ${this.sources.join(', ')}`);
-    console.log(`Cache ${this.useCaching ? 'enabled' : 'disabled'} with ${this.updateInterval / 60000} minute update interval`);
+    this.window = options.window || 6 * HOUR;
+    this.halfLife = options.halfLife || 2 * HOUR;
+    this.retention = options.retention || 7 * DAY;
+    this.ecoHashtag = options.ecoHashtag || '#XRPLGreenDeFi';
+    this.storageDir = options.storageDir === null ? null : options.storageDir || path.join(__dirname, '../../data/sentiment');
+    this.timeSeries = options.timeSeries;
+
+    this.posts = []; // Scored posts in time order
+    this.seen = new Map(); // Dedupe key -> timestamp
+    this.timer = null;
+    this.initialized = false;
+    this.lastUpdate = null;
+
+    (options.sources || []).forEach(source => this.addSource(source));
+    this._load();
   }
-  
+
   /**
-   * Get sentiment score for a specific asset or hashtag
-   * @param {string} asset Asset to get sentiment for (e.g., 'XRP')
-   * @param {string} hashtag Optional hashtag to filter by
-   * @returns {Promise<Object>} Sentiment data
+   * Register a source adapter
+   * @param {Object} source Adapter with a name and fetch() and/or start(push)/stop()
+   * @returns {SentimentOracleNetwork} this
    */
-  async getSentiment(asset, hashtag) {
-    try {
-      const cacheKey = `${asset}:${hashtag || ''}`;
-      
-      // Check cache if enabled
-      if (this.useCaching && this.cache.has(cacheKey)) {
-        const cachedData = this.cache.get(cacheKey);
-        if (Date.now() - cachedData.timestamp < this.updateInterval) {
-          console.log(`Using cached sentiment data for ${cacheKey}`);
-          return cachedData;
-        }
+  addSource(source) {
+    if (!source || typeof source !== 'object' || (!source.fetch && !source.start)) {
+      console.warn(`⚠️ Ignoring sentiment source ${JSON.stringify(source)}: sources must be adapters with fetch() or start()`);
+      return this;
+    }
+    this.sources = this.sources.filter(existing => existing.name !== source.name);
+    this.sources.push(source);
+    return this;
+  }
+
+  /**
+   * Start push sources, poll pull sources once and keep polling them
+   * @param {Object} options Initialization options
+   * @param {Array<string>} options.searchTerms Extra keywords to track
+   * @param {number} options.updateInterval Poll interval override in milliseconds
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize(options = {}) {
+    (options.searchTerms || []).forEach(term => this.model.setKeyword(term));
+    if (options.updateInterval) {
+      this.updateInterval = options.updateInterval;
+    }
+
+    for (const source of this.sources.filter(candidate => candidate.start)) {
+      await source.start(posts => this.ingest(posts, { source: source.name }));
+    }
+
+    if (this.sources.some(source => source.fetch)) {
+      await this.refresh();
+      this.timer = setInterval(() => this.refresh(), this.updateInterval);
+      if (this.timer.unref) this.timer.unref();
+    }
+
+    this.initialized = true;
+    this.emit('initialized', { timestamp: Date.now(), sources: this.sources.map(source => source.name) });
+    return true;
+  }
+
+  /**
+   * Stop polling and close push sources
+   */
+  async shutdown() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const source of this.sources.filter(candidate => candidate.stop)) {
+      await source.stop();
+    }
+    this.initialized = false;
+  }
+
+  /**
+   * Poll every pull source once
+   * @returns {Promise<Object>} { accepted, duplicates, rejected, errors }
+   */
+  async refresh() {
+    const totals = { accepted: 0, duplicates: 0, rejected: 0, errors: [] };
+
+    for (const source of this.sources.filter(candidate => candidate.fetch)) {
+      try {
+        const result = await this.ingest(await source.fetch(), { source: source.name });
+        totals.accepted += result.accepted;
+        totals.duplicates += result.duplicates;
+        totals.rejected += result.rejected;
+      } catch (error) {
+        console.warn(`⚠️ Sentiment source ${source.name} failed: ${error.message}`);
+        totals.errors.push({ source: source.name, error: error.message });
+        this.emit('source-error', { source: source.name, error: error.message });
       }
-      
-      // In a real implementation, this would query external APIs
-      // For this demo, we'll generate synthetic sentiment data
-      console.log(`Generating sentiment data for ${asset}${hashtag ? ` with hashtag ${hashtag}` : ''}`);
-      
-      // Generate base sentiment based on asset
-      let baseScore;
-      switch (asset.toUpperCase()) {
-        case 'XRP':
-          baseScore = 0.65 + Math.random() * 0.2; // Positive sentiment for XRP
-          break;
-        case 'RLUSD':
-          baseScore = 0.5 + Math.random() * 0.2; // Neutral to slightly positive for stablecoins
-          break;
-        default:
-          baseScore = 0.5 + (Math.random() * 0.3 - 0.15); // More variable for other assets
+    }
+
+    return totals;
+  }
+
+  /**
+   * Score and store posts
+   * @param {Array<Object>} posts [{ text, id?, source?, author?, url?, timestamp? }]
+   * @param {Object} options Ingest options
+   * @param {string} options.source Source name for posts without one (default: 'manual')
+   * @returns {Promise<Object>} { accepted, duplicates, rejected }
+   */
+  async ingest(posts, { source = 'manual' } = {}) {
+    const now = Date.now();
+    const result = { accepted: 0, duplicates: 0, rejected: 0 };
+    this._prune(now);
+
+    for (const post of posts || []) {
+      const text = post && typeof post.text === 'string' ? post.text.trim() : '';
+      const timestamp = Math.min(now, SentimentOracleNetwork._toMillis(post && post.timestamp, now)); // Clamp clock skew
+      if (!text || now - timestamp > this.retention) {
+        result.rejected++;
+        continue;
       }
-      
-      // Adjust for hashtag if provided
-      let hashtagBoost = 0;
-      if (hashtag) {
-        if (hashtag.toLowerCase().includes('green') || 
-            hashtag.toLowerCase().includes('eco') || 
-            hashtag.toLowerCase().includes('sustainable')) {
-          hashtagBoost = 0.05 + Math.random() * 0.1; // Positive boost for eco-friendly hashtags
-        } else if (hashtag.toLowerCase().includes('defi')) {
-          hashtagBoost = 0.03 + Math.random() * 0.07; // Slight boost for DeFi hashtags
-        }
+
+      const postSource = post.source || source;
+      const keys = [`text:${SentimentOracleNetwork._textHash(text)}`];
+      if (post.id !== undefined && post.id !== null) {
+        keys.push(`id:${postSource}:${post.id}`);
       }
-      
-      // Calculate final score with some randomness
-      const finalScore = Math.min(0.95, Math.max(0.05, baseScore + hashtagBoost));
-      
-      // Generate synthetic volume and distribution
-      const volume = 50 + Math.floor(Math.random() * 950);
-      const positive = Math.round(finalScore * volume);
-      const negative = Math.round((1 - finalScore) * volume * 0.7); // Not all non-positive is negative
-      const neutral = volume - positive - negative;
-      
-      // Create sentiment data object
-      const sentimentData = {
-        asset,
-        hashtag: hashtag || null,
-        score: finalScore,
-        positive,
-        negative,
-        negative,
-        neutral,
-        volume,
-        sources: this.sources,
-        timestamp: Date.now()
-      };
-      
-      // Cache the result if caching is enabled
-      if (this.useCaching) {
-        this.cache.set(cacheKey, sentimentData);
+      if (keys.some(key => this.seen.has(key))) {
+        result.duplicates++;
+        continue;
       }
-      
-      return sentimentData;
-    } catch (error) {
-      console.error('Error getting sentiment data:', error);
-      throw error;
+
+      const scored = this.model.score(text);
+      const record = {
+        keys,
+        source: postSource,
+        timestamp,
+        score: scored.score,
+        keywords: scored.keywords,
+        hashtags: scored.hashtags
+      };
+      keys.forEach(key => this.seen.set(key, timestamp));
+      this._insert(record);
+      this._append(record);
+      result.accepted++;
     }
+
+    if (result.accepted > 0) {
+      this.lastUpdate = now;
+      this._recordSnapshots(now);
+      this.emit('sentiment-update', await this.getLatestSentiment());
+    }
+    return result;
+  }
+
+  /**
+   * Sentiment for an asset or hashtag over the aggregation window
+   * @param {string} asset Asset or keyword (default: all posts)
+   * @param {string} hashtag Hashtag to narrow to instead of the asset
+   * @returns {Promise<Object>} { asset, hashtag, topic, score, aggregateScore, confidence, positive, negative, neutral, volume, sources, timestamp }
+   */
+  async getSentiment(asset, hashtag) {
+    const topic = hashtag || asset || ALL_TOPIC;
+    const now = Date.now();
+    const aggregate = this._aggregate(topic, now - this.window, now, now);
+    return {
+      asset: asset || null,
+      hashtag: hashtag || null,
+      topic,
+      ...aggregate,
+      aggregateScore: aggregate.score,
+      timestamp: now,
+      lastUpdate: this.lastUpdate
+    };
+  }
+
+  /**
+   * Sentiment across all posts, as consumed by the fusion strategies
+   * @returns {Promise<Object>} See getSentiment
+   */
+  async getLatestSentiment() {
+    return this.getSentiment();
+  }
+
+  /**
+   * Sentiment for one keyword
+   * @param {string} keyword Keyword or hashtag
+   * @returns {Object|null} { score, confidence, mentions } or null when it has no posts in the window
+   */
+  getKeywordSentiment(keyword) {
+    const now = Date.now();
+    const aggregate = this._aggregate(keyword, now - this.window, now, now);
+    return aggregate.volume > 0 ? { score: aggregate.score, confidence: aggregate.confidence, mentions: aggregate.volume } : null;
+  }
+
+  /**
+   * Most-mentioned tracked keywords and hashtags in the window, with
+   * momentum against the window before it
+   * @param {number} limit Maximum number of trends to return
+   * @returns {Array<Object>} [{ name, score, mentions, previousMentions, momentum }]
+   */
+  getTrends(limit = 10) {
+    const now = Date.now();
+    const counts = new Map(); // term -> { name, current, previous }
+
+    this.posts.forEach(post => {
+      const bucket = post.timestamp > now - this.window ? 'current' : post.timestamp > now - 2 * this.window ? 'previous' : null;
+      if (!bucket) return;
+      new Set([...post.keywords, ...post.hashtags].map(normalizeTerm)).forEach(term => {
+        if (!counts.has(term)) {
+          const tracked = this.model.getKeyword(term);
+          counts.set(term, { name: tracked ? tracked.keyword : `#${term}`, current: 0, previous: 0 });
+        }
+        counts.get(term)[bucket]++;
+      });
+    });
+
+    return [...counts.values()]
+      .filter(entry => entry.current > 0)
+      .sort((a, b) => b.current - a.current || a.name.localeCompare(b.name))
+      .slice(0, limit)
+      .map(entry => ({
+        name: entry.name,
+        score: this._aggregate(entry.name, now - this.window, now, now).score,
+        mentions: entry.current,
+        previousMentions: entry.previous,
+        momentum: entry.current > entry.previous ? 'rising' : entry.current < entry.previous ? 'falling' : 'steady'
+      }));
   }
-  
+
   /**
-   * Get historical sentiment trends for an asset
-   * @param {string} asset Asset to get sentiment trends for
+   * Daily sentiment history from the time-series store
+   * @param {string} asset Asset, keyword or hashtag
    * @param {number} days Number of days of history to retrieve
-   * @returns {Promise<Array<Object>>} Historical sentiment data
+   * @returns {Promise<Array<Object>>} [{ asset, score, volume, timestamp, date }] for days with data
    */
   async getSentimentTrends(asset, days = 7) {
-    try {
-      console.log(`Getting sentiment trends for ${asset} over ${days} days`);
-      
-      const trends = [];
-      const now = Date.now();
-      const dayMs = 24 * 60 * 60 * 1000;
-      
-      // Generate synthetic trend data
-      let prevScore = 0.5 + (Math.random() * 0.3 - 0.15);
-      
-      for (let i = days; i >= 0; i--) {
-        // Create some continuity in the trend
-        const maxChange = 0.1; // Maximum day-to-day change
-        const change = (Math.random() * maxChange * 2) - maxChange;
-        
-        // Calculate new score with bounds
-        const score = Math.min(0.95, Math.max(0.05, prevScore + change));
-        prevScore = score;
-        
-        trends.push({
-          asset,
-          score,
-          timestamp: now - (i * dayMs),
-          date: new Date(now - (i * dayMs)).toISOString().split('T')[0]
-        });
-      }
-      
-      return trends;
-    } catch (error) {
-      console.error('Error getting sentiment trends:', error);
-      throw error;
-    }
+    const timeSeries = this._getTimeSeries();
+    if (!timeSeries) return [];
+
+    const to = Date.now();
+    return timeSeries.resample(MEASUREMENTS.SENTIMENT, {
+      tags: SentimentOracleNetwork._tags(asset || ALL_TOPIC),
+      from: to - days * DAY,
+      to,
+      interval: DAY,
+      fields: ['score', 'volume']
+    })
+      .filter(bucket => bucket.fields)
+      .map(bucket => ({
+        asset,
+        score: bucket.fields.score,
+        volume: bucket.fields.volume,
+        timestamp: bucket.timestamp,
+        date: new Date(bucket.timestamp).toISOString().split('T')[0]
+      }));
   }
-  
+
   /**
-   * Get eco-friendly sentiment score
+   * Asset sentiment blended with the eco hashtag, weighted 70% to eco posts
    * @param {string} asset Asset to get eco-sentiment for
    * @returns {Promise<number>} Eco-sentiment score between 0 and 1
    */
   async getEcoSentiment(asset) {
+    const sentiment = await this.getSentiment(asset);
+    const ecoSentiment = await this.getSentiment(asset, this.ecoHashtag);
+    if (ecoSentiment.volume === 0) {
+      return sentiment.score;
+    }
+    return sentiment.score * 0.3 + ecoSentiment.score * 0.7;
+  }
+
+  /**
+   * Weighted sentiment of posts about a topic between from and to
+   * @private
+   */
+  _aggregate(topic, from, to, now) {
+    const term = topic === ALL_TOPIC ? null : normalizeTerm(topic);
+    const bySource = {};
+    let weightedSum = 0;
+    let weightSum = 0;
+    const counts = { positive: 0, negative: 0, neutral: 0 };
+
+    this.posts.forEach(post => {
+      if (post.timestamp < from || post.timestamp > to) return;
+      if (term && !post.keywords.some(keyword => normalizeTerm(keyword) === term) && !post.hashtags.some(tag => normalizeTerm(tag) === term)) return;
+
+      const keywordWeight = post.keywords.reduce((max, keyword) => Math.max(max, (this.model.getKeyword(keyword) || { weight: 1 }).weight), post.keywords.length > 0 ? 0 : 1);
+      const weight = this._credibilityOf(post.source) * keywordWeight * Math.pow(0.5, Math.max(0, now - post.timestamp) / this.halfLife);
+      weightedSum += post.score * weight;
+      weightSum += weight;
+
+      const source = bySource[post.source] || (bySource[post.source] = { weightedSum: 0, weightSum: 0 });
+      source.weightedSum += post.score * weight;
+      source.weightSum += weight;
+
+      counts[post.score > NEUTRAL_BAND ? 'positive' : post.score < -NEUTRAL_BAND ? 'negative' : 'neutral']++;
+    });
+
+    const toUnit = value => (value + 1) / 2;
+    const volume = counts.positive + counts.negative + counts.neutral;
+    const distinctSources = Object.keys(bySource).length;
+    const diversity = Math.min(1, 0.6 + 0.2 * (distinctSources - 1));
+
+    return {
+      score: weightSum > 0 ? toUnit(weightedSum / weightSum) : 0.5,
+      confidence: weightSum > 0 ? (1 - Math.exp(-weightSum / CONFIDENCE_SCALE)) * diversity : 0,
+      ...counts,
+      volume,
+      sources: Object.entries(bySource).reduce((scores, [name, source]) => {
+        scores[name] = source.weightSum > 0 ? toUnit(source.weightedSum / source.weightSum) : 0.5;
+        return scores;
+      }, {})
+    };
+  }
+
+  /**
+   * @private
+   */
+  _credibilityOf(source) {
+    return this.credibility[source] !== undefined ? this.credibility[source] : this.defaultCredibility;
+  }
+
+  /**
+   * Write score snapshots for all posts and every topic with posts in the window
+   * @private
+   */
+  _recordSnapshots(now) {
+    const timeSeries = this._getTimeSeries();
+    if (!timeSeries) return;
+
+    const topics = new Set([ALL_TOPIC]);
+    this.posts.forEach(post => {
+      if (post.timestamp > now - this.window) {
+        [...post.keywords, ...post.hashtags].forEach(term => topics.add(normalizeTerm(term)));
+      }
+    });
+
+    try {
+      topics.forEach(topic => {
+        const aggregate = this._aggregate(topic, now - this.window, now, now);
+        if (aggregate.volume === 0) return;
+        timeSeries.write(MEASUREMENTS.SENTIMENT, {
+          score: aggregate.score,
+          confidence: aggregate.confidence,
+          volume: aggregate.volume
+        }, { tags: SentimentOracleNetwork._tags(topic), timestamp: now });
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to record sentiment snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getTimeSeries() {
+    if (this.timeSeries === undefined) {
+      this.timeSeries = TimeSeriesStore.shared();
+    }
+    return this.timeSeries;
+  }
+
+  /**
+   * Forget posts and dedupe keys older than the retention period
+   * @private
+   */
+  _prune(now) {
+    const cutoff = now - this.retention;
+    if (this.posts.length > 0 && this.posts[0].timestamp < cutoff) {
+      this.posts = this.posts.filter(post => post.timestamp >= cutoff);
+    }
+    this.seen.forEach((timestamp, key) => {
+      if (timestamp < cutoff) this.seen.delete(key);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _insert(record) {
+    let i = this.posts.length;
+    while (i > 0 && this.posts[i - 1].timestamp > record.timestamp) i--;
+    this.posts.splice(i, 0, record);
+  }
+
+  /**
+   * @private
+   */
+  _postsFile() {
+    return path.join(this.storageDir, 'posts.ndjson');
+  }
+
+  /**
+   * @private
+   */
+  _append(record) {
+    if (!this.storageDir) return;
+    try {
+      fs.mkdirSync(this.storageDir, { recursive: true });
+      fs.appendFileSync(this._postsFile(), JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.warn(`⚠️ Failed to persist sentiment post: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load scored posts, rewriting the file without expired ones
+   * @private
+   */
+  _load() {
+    if (!this.storageDir || !fs.existsSync(this._postsFile())) return;
+
     try {
-      // Get regular sentiment
-      const sentiment = await this.getSentiment(asset);
-      
-      // Get eco-specific sentiment using green hashtags
-      const ecoSentiment = await this.getSentiment(asset, '#GreenFinance');
-      
-      // Blend the scores, giving more weight to eco-specific sentiment
-      const blendedScore = sentiment.score * 0.3 + ecoSentiment.score * 0.7;
-      
-      return blendedScore;
+      const lines = fs.readFileSync(this._postsFile(), 'utf8').split('\n').filter(Boolean);
+      const cutoff = Date.now() - this.retention;
+      lines.forEach(line => {
+        const record = JSON.parse(line);
+        if (record.timestamp < cutoff) return;
+        this._insert(record);
+        record.keys.forEach(key => this.seen.set(key, record.timestamp));
+      });
+      if (this.posts.length < lines.length) {
+        fs.writeFileSync(this._postsFile(), this.posts.map(record => JSON.stringify(record) + '\n').join(''));
+      }
+      this.lastUpdate = this.posts.length > 0 ? this.posts[this.posts.length - 1].timestamp : null;
     } catch (error) {
-      console.error('Error getting eco-sentiment:', error);
-      throw error;
+      console.warn(`⚠️ Failed to load sentiment history: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _tags(topic) {
+    return { topic: topic === ALL_TOPIC ? ALL_TOPIC : normalizeTerm(topic) };
+  }
+
+  /**
+   * Hash of lower-cased text without URLs, mentions and punctuation
+   * @private
+   */
+  static _textHash(text) {
+    const normalized = text
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/^rt\s+@\w+:?/, '')
+      .replace(/@\w+/g, '')
+      .replace(/[^a-z0-9#$]+/g, ' ')
+      .trim();
+    return crypto.createHash('sha1').update(normalized).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  static _toMillis(timestamp, fallback) {
+    if (timestamp === undefined || timestamp === null || timestamp === '') return fallback;
+    if (typeof timestamp === 'number') {
+      return timestamp < 1e12 ? timestamp * 1000 : timestamp;
     }
+    const parsed = Date.parse(timestamp);
+    return Number.isNaN(parsed) ? fallback : parsed;
   }
 }
 
-module.exports = { SentimentOracleNetwork };
+module.exports = { SentimentOracleNetwork, DEFAULT_KEYWORDS };
@@ -0,0 +1,260 @@
+/**
+ * Sentiment Sources
+ *
+ * Adapters that feed posts into the SentimentOracleNetwork. A post is
+ * { text, id?, source?, author?, url?, timestamp? }; source defaults to the
+ * adapter name and selects the credibility weight.
+ * - Pull sources implement fetch() and are polled: FileDropSource, FeedSource
+ * - Push sources implement start(push) / stop(): WebhookSource
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const MAX_WEBHOOK_BODY = 1024 * 1024; // 1 MB
+
+/**
+ * Coerce a parsed JSON payload into a list of posts
+ * Accepts a post, an array of posts, { posts: [...] } or a JSON Feed ({ items: [...] }).
+ * @private
+ */
+function toPosts(payload) {
+  if (Array.isArray(payload)) return payload.flatMap(toPosts);
+  if (!payload || typeof payload !== 'object') return [];
+  if (Array.isArray(payload.posts)) return payload.posts.flatMap(toPosts);
+  if (Array.isArray(payload.items)) {
+    return payload.items.map(item => ({
+      id: item.id || item.url,
+      text: [item.title, item.content_text || stripMarkup(item.content_html || item.summary || '')].filter(Boolean).join('. '),
+      url: item.url,
+      author: item.author && item.author.name,
+      timestamp: item.date_published || item.date_modified
+    }));
+  }
+  return payload.text ? [payload] : [];
+}
+
+/**
+ * @private
+ */
+function stripMarkup(value) {
+  return String(value)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Items of an RSS 2.0 or Atom document
+ * @private
+ */
+function parseXmlFeed(xml) {
+  const tag = (block, names) => {
+    for (const name of names) {
+      const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i').exec(block);
+      if (match) return stripMarkup(match[1]);
+      const link = name === 'link' && /<link[^>]*href="([^"]+)"/i.exec(block);
+      if (link) return link[1];
+    }
+    return undefined;
+  };
+
+  const blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+  return blocks.map(block => ({
+    id: tag(block, ['guid', 'id', 'link']),
+    text: [tag(block, ['title']), tag(block, ['description', 'summary', 'content'])].filter(Boolean).join('. '),
+    url: tag(block, ['link']),
+    author: tag(block, ['author', 'dc:creator', 'name']),
+    timestamp: tag(block, ['pubDate', 'published', 'updated', 'dc:date'])
+  }));
+}
+
+class FileDropSource {
+  /**
+   * Reads posts dropped into a directory and moves each file to processed/
+   * once read. .json files hold a post, an array or { posts }; .ndjson files
+   * hold one post per line; .txt files hold one post text per line.
+   * @param {Object} options Source options
+   * @param {string} options.directory Drop directory
+   * @param {string} options.name Source name (default: 'file-drop')
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('FileDropSource needs a directory');
+    }
+    this.name = options.name || 'file-drop';
+    this.directory = options.directory;
+    this.processedDir = path.join(this.directory, 'processed');
+  }
+
+  async fetch() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    const files = fs.readdirSync(this.directory)
+      .filter(file => /\.(json|ndjson|txt)$/i.test(file))
+      .sort();
+    const posts = [];
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const modifiedAt = fs.statSync(filePath).mtimeMs;
+        posts.push(...this._parse(file, fs.readFileSync(filePath, 'utf8')).map(post => ({ timestamp: modifiedAt, ...post })));
+        fs.mkdirSync(this.processedDir, { recursive: true });
+        fs.renameSync(filePath, path.join(this.processedDir, file));
+      } catch (error) {
+        console.warn(`⚠️ Skipping sentiment drop ${file}: ${error.message}`);
+      }
+    }
+
+    return posts;
+  }
+
+  /**
+   * @private
+   */
+  _parse(file, content) {
+    if (/\.json$/i.test(file)) {
+      return toPosts(JSON.parse(content));
+    }
+    const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+    if (/\.ndjson$/i.test(file)) {
+      return lines.flatMap(line => toPosts(JSON.parse(line)));
+    }
+    return lines.map(text => ({ text }));
+  }
+}
+
+class FeedSource {
+  /**
+   * Polls an RSS/Atom or JSON feed (JSON Feed, an array of posts or { posts })
+   * @param {Object} options Source options
+   * @param {string} options.url Feed URL
+   * @param {string} options.name Source name (default: feed host)
+   * @param {number} options.timeout Request timeout in milliseconds (default: 10000)
+   * @param {Object} options.headers Extra request headers
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('FeedSource needs a url');
+    }
+    this.url = options.url;
+    this.name = options.name || new URL(options.url).host;
+    this.timeout = options.timeout || 10000;
+    this.headers = options.headers || {};
+  }
+
+  async fetch() {
+    const response = await axios.get(this.url, { timeout: this.timeout, headers: this.headers, responseType: 'text' });
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    const trimmed = body.trim();
+    return trimmed.startsWith('<') ? parseXmlFeed(trimmed) : toPosts(JSON.parse(trimmed));
+  }
+}
+
+class WebhookSource {
+  /**
+   * Accepts pushed posts on POST <path> (a post, an array or { posts })
+   * @param {Object} options Source options
+   * @param {string} options.name Source name (default: 'webhook')
+   * @param {number} options.port Port to listen on (default: 0, any free port)
+   * @param {string} options.host Interface to bind (default: 127.0.0.1)
+   * @param {string} options.path Request path (default: '/sentiment')
+   * @param {string} options.secret Shared secret expected in the X-Webhook-Secret header
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'webhook';
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.path = options.path || '/sentiment';
+    this.secret = options.secret || null;
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start listening
+   * @param {Function} push (posts) => Promise<{ accepted, duplicates }> ingest callback
+   * @returns {Promise<string>} Webhook URL
+   */
+  async start(push) {
+    this.server = http.createServer((req, res) => this._handle(req, res, push));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.url = `http://${this.host}:${this.server.address().port}${this.path}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  /**
+   * @private
+   */
+  _handle(req, res, push) {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST' || req.url.split('?')[0] !== this.path) {
+      reply(404, { error: 'Not found' });
+      return;
+    }
+    if (this.secret && !this._secretMatches(req.headers['x-webhook-secret'])) {
+      reply(401, { error: 'Invalid webhook secret' });
+      return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_WEBHOOK_BODY) {
+        tooLarge = true;
+        req.destroy();
+      }
+    });
+    req.on('end', async () => {
+      if (tooLarge) return;
+      let posts;
+      try {
+        posts = toPosts(JSON.parse(body));
+      } catch (error) {
+        reply(400, { error: 'Body must be JSON' });
+        return;
+      }
+      try {
+        reply(202, await push(posts));
+      } catch (error) {
+        reply(500, { error: error.message });
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _secretMatches(provided) {
+    if (typeof provided !== 'string') return false;
+    const expected = Buffer.from(this.secret);
+    const actual = Buffer.from(provided);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = { FileDropSource, FeedSource, WebhookSource, parseXmlFeed };
@@ -0,0 +1,342 @@
+/**
+ * Price Oracle
+ *
+ * Aggregates quotes for a symbol from pluggable price sources (see
+ * price-sources.js) into one reading:
+ * - Staleness guard: quotes older than maxAge are dropped
+ * - Deviation guard: quotes further than maxDeviation from the median of
+ *   the fresh quotes are rejected as outliers, then the median is taken
+ *   again over the accepted quotes
+ * - Confidence: 0-1 from source coverage, agreement and freshness
+ *
+ * Allocators must check `usable` (or call requirePrice) before acting on a
+ * reading; an unusable reading has price null or too little support. A
+ * single source is never enough by default, so one bad feed cannot move
+ * allocations on its own.
+ * Usable readings are written to the time-series store, which backs
+ * getChange and getVolatility.
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TimeSeriesStore, MEASUREMENTS } = require('../services/timeseries-store');
+const { LedgerMarketReader } = require('../services/ledger-market-reader');
+const { LedgerBookSource, AmmSpotSource, FileFeedSource } = require('./price-sources');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_FEED_FILE = path.join(__dirname, '../../data/oracle/feeds.json');
+
+// XRP pairs the shared oracle quotes from the ledger once it has a client (mainnet issuers)
+const DEFAULT_LEDGER_PAIRS = {
+  'XRP/USD': { base: 'XRP', quote: 'USD.rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B' },
+  'XRP/EUR': { base: 'XRP', quote: 'EUR.rhub8VRN55s94qWKDv6jmDy1pUykJzF3wq' },
+  'XRP/BTC': { base: 'XRP', quote: 'BTC.rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B' }
+};
+
+let sharedOracle = null;
+
+class OracleConfidenceError extends Error {
+  /**
+   * @param {Object} reading Reading that failed the check
+   * @param {number} minConfidence Required confidence
+   */
+  constructor(reading, minConfidence) {
+    super(`Oracle confidence ${reading.confidence.toFixed(2)} for ${reading.symbol} is below ${minConfidence}`);
+    this.name = 'OracleConfidenceError';
+    this.reading = reading;
+    this.minConfidence = minConfidence;
+  }
+}
+
+class PriceOracle extends EventEmitter {
+  /**
+   * Initialize the oracle
+   * @param {Object} options Configuration options
+   * @param {Array<PriceSource>} options.sources Price sources
+   * @param {number} options.maxAge Milliseconds before a quote is stale (default: 60000)
+   * @param {number} options.maxDeviation Relative distance from the median that marks an outlier (default: 0.02)
+   * @param {number} options.minSources Accepted quotes needed for a usable reading (default: 2)
+   * @param {number} options.minConfidence Confidence needed for a usable reading (default: 0.6)
+   * @param {TimeSeriesStore|null} options.timeSeries History store (default: shared store, null disables)
+   */
+  constructor(options = {}) {
+    super();
+    this.sources = [];
+    this.maxAge = options.maxAge || 60000;
+    this.maxDeviation = options.maxDeviation || 0.02;
+    this.minSources = options.minSources || 2;
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.6;
+    this.timeSeries = options.timeSeries;
+    this.lastReadings = new Map();
+
+    (options.sources || []).forEach(source => this.addSource(source));
+  }
+
+  /**
+   * Process-wide oracle reading the JSON feed file at data/oracle/feeds.json
+   * (or ORACLE_FEED_FILE). The first caller with an XRPL client adds the
+   * ledger DEX mid and AMM spot sources for the XRP pairs, so those pairs
+   * have the second source a usable reading needs.
+   * @param {Object} options Options
+   * @param {xrpl.Client} options.client Connected XRPL client for the ledger sources
+   * @param {Object} options.pairs Ledger pairs { [symbol]: { base, quote } } (default: XRP/USD, XRP/EUR, XRP/BTC)
+   * @param {Array<PriceSource>} options.sources Further sources, e.g. HttpFeedSource
+   * @returns {PriceOracle} Shared oracle
+   */
+  static shared(options = {}) {
+    if (!sharedOracle) {
+      sharedOracle = new PriceOracle({
+        sources: [new FileFeedSource({ name: 'feed-file', file: process.env.ORACLE_FEED_FILE || DEFAULT_FEED_FILE })]
+      });
+    }
+    if (options.client && !sharedOracle.sources.some(source => source.name === 'xrpl-dex')) {
+      sharedOracle.addLedgerSources(options.client, options.pairs);
+    }
+    (options.sources || []).forEach(source => sharedOracle.addSource(source));
+    return sharedOracle;
+  }
+
+  /**
+   * Whether a reading may be acted on
+   * @param {Object} reading Reading from getPrice, getChange or getVolatility
+   * @param {number} minConfidence Required confidence (default: the reading's own threshold)
+   * @returns {boolean}
+   */
+  static isUsable(reading, minConfidence) {
+    if (!reading || !reading.usable) return false;
+    return minConfidence === undefined || reading.confidence >= minConfidence;
+  }
+
+  /**
+   * Register a source, replacing any source with the same name
+   * @param {PriceSource} source Source with name, supports(symbol) and fetch(symbol)
+   * @returns {PriceOracle} this
+   */
+  addSource(source) {
+    this.sources = this.sources.filter(existing => existing.name !== source.name);
+    this.sources.push(source);
+    return this;
+  }
+
+  /**
+   * Register the ledger DEX mid and AMM spot sources, sharing one reader
+   * @param {xrpl.Client} client Connected XRPL client
+   * @param {Object} pairs { [symbol]: { base, quote } } in LedgerMarketReader asset notation (default: XRP/USD, XRP/EUR, XRP/BTC)
+   * @returns {PriceOracle} this
+   */
+  addLedgerSources(client, pairs = DEFAULT_LEDGER_PAIRS) {
+    const reader = new LedgerMarketReader({ client });
+    this.addSource(new LedgerBookSource({ client, reader, pairs }));
+    this.addSource(new AmmSpotSource({ client, reader, pairs }));
+    return this;
+  }
+
+  removeSource(name) {
+    this.sources = this.sources.filter(source => source.name !== name);
+  }
+
+  /**
+   * Aggregate a price from every source that quotes the symbol
+   * @param {string} symbol Symbol
+   * @returns {Promise<Object>} { symbol, price, confidence, usable, timestamp, sources: [{ name, price, timestamp, age, status, error }] }
+   */
+  async getPrice(symbol) {
+    const sources = this.sources.filter(source => source.supports(symbol));
+    const quotes = await Promise.all(sources.map(source => this._fetchQuote(source, symbol)));
+    const now = Date.now();
+
+    quotes.forEach(quote => {
+      if (quote.status === 'pending' && now - quote.timestamp > this.maxAge) {
+        quote.status = 'stale';
+      }
+    });
+
+    const fresh = quotes.filter(quote => quote.status === 'pending');
+    const center = PriceOracle._median(fresh.map(quote => quote.price));
+    fresh.forEach(quote => {
+      quote.deviation = Math.abs(quote.price - center) / center;
+      quote.status = quote.deviation > this.maxDeviation ? 'outlier' : 'accepted';
+    });
+
+    const accepted = quotes.filter(quote => quote.status === 'accepted');
+    const price = accepted.length > 0 ? PriceOracle._median(accepted.map(quote => quote.price)) : null;
+    const confidence = this._confidence(quotes, accepted, price, now);
+    const reading = {
+      symbol,
+      price,
+      confidence,
+      usable: price !== null && accepted.length >= this.minSources && confidence >= this.minConfidence,
+      timestamp: now,
+      sources: quotes
+    };
+
+    quotes.filter(quote => quote.status !== 'accepted').forEach(quote => {
+      this.emit('sourceRejected', { symbol, ...quote });
+    });
+    if (!reading.usable) {
+      console.warn(`⚠️ Oracle reading for ${symbol} is not usable (confidence ${confidence.toFixed(2)}, ${accepted.length}/${quotes.length} sources)`);
+    }
+
+    this.lastReadings.set(symbol, reading);
+    this._record(reading);
+    this.emit('price', reading);
+    return reading;
+  }
+
+  /**
+   * Get a price, throwing when it is not usable
+   * @param {string} symbol Symbol
+   * @param {Object} options Options
+   * @param {number} options.minConfidence Required confidence (default: oracle minConfidence)
+   * @returns {Promise<Object>} Usable reading
+   * @throws {OracleConfidenceError} When the reading is not usable
+   */
+  async requirePrice(symbol, { minConfidence = this.minConfidence } = {}) {
+    const reading = await this.getPrice(symbol);
+    if (!PriceOracle.isUsable(reading, minConfidence)) {
+      throw new OracleConfidenceError(reading, minConfidence);
+    }
+    return reading;
+  }
+
+  /**
+   * Relative change between the current price and the recorded price one
+   * window ago
+   * @param {string} symbol Symbol
+   * @param {Object} options Options
+   * @param {number} options.window Look-back in milliseconds (default: 24 hours)
+   * @returns {Promise<Object>} { symbol, change, price, reference, confidence, usable }
+   */
+  async getChange(symbol, { window = DAY_MS } = {}) {
+    const reading = await this.getPrice(symbol);
+    const timeSeries = this._getTimeSeries();
+    const history = reading.usable && timeSeries
+      ? timeSeries.range(MEASUREMENTS.PRICE, { tags: PriceOracle._tags(symbol), to: reading.timestamp - window, fields: ['price'], limit: 1 })
+      : [];
+    const reference = history.length > 0 ? history[0] : null;
+
+    // A reference far older than the window would overstate the move
+    const usable = reading.usable && reference !== null && reading.timestamp - reference.timestamp <= window * 2;
+    return {
+      symbol,
+      change: usable ? reading.price / reference.fields.price - 1 : null,
+      price: reading.price,
+      reference: reference ? { price: reference.fields.price, timestamp: reference.timestamp } : null,
+      confidence: usable ? reading.confidence : 0,
+      usable
+    };
+  }
+
+  /**
+   * Annualized realized volatility of the recorded prices
+   * Log returns are weighted by elapsed time, so irregular sampling is fine.
+   * @param {string} symbol Symbol
+   * @param {Object} options Options
+   * @param {number} options.window Look-back in milliseconds (default: 24 hours)
+   * @param {number} options.minSamples Recorded prices needed (default: 10)
+   * @returns {Promise<Object>} { symbol, volatility, samples, confidence, usable }
+   */
+  async getVolatility(symbol, { window = DAY_MS, minSamples = 10 } = {}) {
+    const reading = await this.getPrice(symbol);
+    const timeSeries = this._getTimeSeries();
+    const points = timeSeries
+      ? timeSeries.range(MEASUREMENTS.PRICE, { tags: PriceOracle._tags(symbol), from: reading.timestamp - window, to: reading.timestamp, fields: ['price'] })
+      : [];
+
+    let squared = 0;
+    for (let i = 1; i < points.length; i++) {
+      squared += Math.log(points[i].fields.price / points[i - 1].fields.price) ** 2;
+    }
+    const elapsed = points.length > 1 ? points[points.length - 1].timestamp - points[0].timestamp : 0;
+
+    const usable = reading.usable && points.length >= minSamples && elapsed > 0;
+    return {
+      symbol,
+      volatility: usable ? Math.sqrt(squared * (YEAR_MS / elapsed)) : null,
+      samples: points.length,
+      confidence: usable ? reading.confidence : 0,
+      usable
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _fetchQuote(source, symbol) {
+    try {
+      const { price, timestamp } = await source.fetch(symbol);
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`Invalid price ${price}`);
+      }
+      const time = timestamp || Date.now();
+      return { name: source.name, price, timestamp: time, age: Date.now() - time, status: 'pending' };
+    } catch (error) {
+      return { name: source.name, price: null, timestamp: null, age: null, status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Coverage (accepted / queried) x agreement (1 - widest accepted
+   * deviation / maxDeviation) x freshness (1 at age 0, 0.5 at maxAge)
+   * @private
+   */
+  _confidence(quotes, accepted, price, now) {
+    if (accepted.length === 0) return 0;
+
+    const coverage = accepted.length / quotes.length;
+    const widest = Math.max(...accepted.map(quote => Math.abs(quote.price - price) / price));
+    const agreement = accepted.length > 1 ? 1 - Math.min(1, widest / this.maxDeviation) * 0.5 : 1;
+    const freshness = accepted.reduce((sum, quote) => sum + (1 - 0.5 * Math.min(1, (now - quote.timestamp) / this.maxAge)), 0) / accepted.length;
+
+    return Math.round(coverage * agreement * freshness * 1000) / 1000;
+  }
+
+  /**
+   * @private
+   */
+  _record(reading) {
+    const timeSeries = this._getTimeSeries();
+    if (!timeSeries || !reading.usable) return;
+
+    try {
+      const accepted = reading.sources.filter(quote => quote.status === 'accepted').length;
+      timeSeries.write(MEASUREMENTS.PRICE, { price: reading.price, confidence: reading.confidence, sources: accepted }, {
+        tags: PriceOracle._tags(reading.symbol),
+        timestamp: reading.timestamp
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to record oracle price for ${reading.symbol}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getTimeSeries() {
+    if (this.timeSeries === undefined) {
+      this.timeSeries = TimeSeriesStore.shared();
+    }
+    return this.timeSeries;
+  }
+
+  /**
+   * @private
+   */
+  static _tags(symbol) {
+    return { pair: symbol, source: 'oracle' };
+  }
+
+  /**
+   * @private
+   */
+  static _median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+module.exports = { PriceOracle, OracleConfidenceError, DEFAULT_LEDGER_PAIRS };
@@ -0,0 +1,225 @@
+/**
+ * Price Sources
+ *
+ * Adapters the PriceOracle aggregates. Every source has a name, says which
+ * symbols it can quote and returns { price, timestamp } for one symbol:
+ * - LedgerBookSource: XRPL order book mid (book_offers)
+ * - AmmSpotSource: XRPL AMM spot price (amm_info reserves)
+ * - FileFeedSource: JSON file written by an external feeder
+ * - HttpFeedSource: JSON HTTP endpoint
+ * A source throws when it cannot produce a quote; the oracle records the
+ * error against that source and carries on with the others.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { LedgerMarketReader, parseAsset } = require('../services/ledger-market-reader');
+
+/**
+ * Read a dotted path ('data.quote.price') from an object
+ * @private
+ */
+function pick(object, dottedPath) {
+  return String(dottedPath).split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Normalize a feed timestamp (ms, seconds or ISO string) to milliseconds
+ * @private
+ */
+function toMillis(timestamp, fallback) {
+  if (timestamp === undefined || timestamp === null) return fallback;
+  if (typeof timestamp === 'number') {
+    return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  }
+  const parsed = Date.parse(timestamp);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+class PriceSource {
+  /**
+   * @param {Object} options Source options
+   * @param {string} options.name Source name, unique per oracle
+   * @param {Array<string>} options.symbols Symbols this source quotes
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Price source needs a name');
+    }
+    this.name = options.name;
+    this.symbols = options.symbols || [];
+  }
+
+  /**
+   * Whether this source can quote a symbol
+   * @param {string} symbol Symbol
+   * @returns {boolean}
+   */
+  supports(symbol) {
+    return this.symbols.includes(symbol);
+  }
+
+  /**
+   * Fetch a quote
+   * @param {string} symbol Symbol
+   * @returns {Promise<Object>} { price, timestamp }
+   */
+  async fetch(symbol) {
+    throw new Error(`${this.name} does not implement fetch(${symbol})`);
+  }
+}
+
+/**
+ * Base for sources that read pairs from the ledger through a LedgerMarketReader
+ * @private
+ */
+class LedgerPairSource extends PriceSource {
+  /**
+   * @param {Object} options Source options
+   * @param {xrpl.Client} options.client Connected XRPL client
+   * @param {LedgerMarketReader} options.reader Reader to share (default: new reader on client)
+   * @param {Object} options.pairs { [symbol]: { base, quote } } in LedgerMarketReader asset notation
+   */
+  constructor(options = {}) {
+    const pairs = options.pairs || {};
+    super({ ...options, symbols: Object.keys(pairs) });
+    this.reader = options.reader || new LedgerMarketReader({ client: options.client });
+    this.pairs = {};
+    Object.entries(pairs).forEach(([symbol, pair]) => {
+      this.pairs[symbol] = { id: symbol, base: parseAsset(pair.base), quote: parseAsset(pair.quote) };
+    });
+  }
+}
+
+class LedgerBookSource extends LedgerPairSource {
+  /**
+   * @param {Object} options See LedgerPairSource, plus:
+   * @param {number} options.maxSpread Reject books whose relative spread is wider (default: 0.05)
+   */
+  constructor(options = {}) {
+    super({ name: 'xrpl-dex', ...options });
+    this.maxSpread = options.maxSpread || 0.05;
+  }
+
+  async fetch(symbol) {
+    const book = await this.reader.fetchBook(this.pairs[symbol]);
+    if (book.mid === null) {
+      throw new Error(`No two-sided book for ${symbol}`);
+    }
+    if (book.spread > this.maxSpread) {
+      throw new Error(`Spread ${(book.spread * 100).toFixed(2)}% exceeds ${(this.maxSpread * 100).toFixed(2)}% for ${symbol}`);
+    }
+    return { price: book.mid, timestamp: book.fetchedAt, ledgerIndex: book.ledgerIndex };
+  }
+}
+
+class AmmSpotSource extends LedgerPairSource {
+  /**
+   * @param {Object} options See LedgerPairSource
+   */
+  constructor(options = {}) {
+    super({ name: 'xrpl-amm', ...options });
+  }
+
+  async fetch(symbol) {
+    const pool = await this.reader.fetchPool(this.pairs[symbol]);
+    if (!pool.price) {
+      throw new Error(`AMM pool for ${symbol} has no reserves`);
+    }
+    return { price: pool.price, timestamp: pool.fetchedAt, ledgerIndex: pool.ledgerIndex };
+  }
+}
+
+class FileFeedSource extends PriceSource {
+  /**
+   * The file holds { [symbol]: price } or { [symbol]: { price, timestamp } }.
+   * Bare prices take the file's modification time as their timestamp.
+   * @param {Object} options Source options
+   * @param {string} options.file Feed file path
+   * @param {string} options.name Source name (default: 'file:<basename>')
+   */
+  constructor(options = {}) {
+    if (!options.file) {
+      throw new Error('FileFeedSource needs a file');
+    }
+    super({ name: `file:${path.basename(options.file)}`, ...options });
+    this.file = options.file;
+  }
+
+  supports(symbol) {
+    const feed = this._read();
+    return Boolean(feed && feed.quotes[symbol] !== undefined);
+  }
+
+  async fetch(symbol) {
+    const feed = this._read();
+    const quote = feed ? feed.quotes[symbol] : undefined;
+    if (quote === undefined) {
+      throw new Error(`${this.file} has no quote for ${symbol}`);
+    }
+    if (typeof quote === 'number') {
+      return { price: quote, timestamp: feed.modifiedAt };
+    }
+    return { price: Number(quote.price), timestamp: toMillis(quote.timestamp, feed.modifiedAt) };
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    try {
+      const stats = fs.statSync(this.file);
+      return { quotes: JSON.parse(fs.readFileSync(this.file, 'utf8')), modifiedAt: stats.mtimeMs };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read price feed ${this.file}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+}
+
+class HttpFeedSource extends PriceSource {
+  /**
+   * @param {Object} options Source options
+   * @param {string} options.name Source name
+   * @param {string} options.url Endpoint; '{symbol}' is replaced with the URI-encoded symbol
+   * @param {Array<string>} options.symbols Symbols this endpoint quotes
+   * @param {string} options.pricePath Dotted path to the price in the response (default: 'price')
+   * @param {string} options.timestampPath Dotted path to the quote time (default: receive time)
+   * @param {number} options.timeout Request timeout in milliseconds (default: 5000)
+   * @param {Object} options.headers Extra request headers
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HttpFeedSource needs a url');
+    }
+    super(options);
+    this.url = options.url;
+    this.pricePath = options.pricePath || 'price';
+    this.timestampPath = options.timestampPath || null;
+    this.timeout = options.timeout || 5000;
+    this.headers = options.headers || {};
+  }
+
+  async fetch(symbol) {
+    const url = this.url.replace('{symbol}', encodeURIComponent(symbol));
+    const response = await axios.get(url, { timeout: this.timeout, headers: this.headers });
+    const price = Number(pick(response.data, this.pricePath));
+    if (!Number.isFinite(price)) {
+      throw new Error(`${url} returned no price at "${this.pricePath}"`);
+    }
+    const receivedAt = Date.now();
+    const timestamp = this.timestampPath ? toMillis(pick(response.data, this.timestampPath), receivedAt) : receivedAt;
+    return { price, timestamp };
+  }
+}
+
+module.exports = {
+  PriceSource,
+  LedgerBookSource,
+  AmmSpotSource,
+  FileFeedSource,
+  HttpFeedSource
+};
@@ -6,6 +6,8 @@
 
 const axios = require('axios');
 const { EventEmitter } = require('events');
+const RiskManager = require('../risk-manager');
+const { PriceOracle } = require('../oracles/price-oracle');
 
 class YieldEmpireOverlord extends EventEmitter {
   constructor(config = {}) {
@@ -25,8 +27,13 @@ class YieldEmpireOverlord extends EventEmitter {
       sentimentMultiplier: config.sentimentMultiplier || 1.3, // 1.3x sentiment boost
       aiPredictionThreshold: config.aiPredictionThreshold || 0.9, // 90% AI confidence
       vaultCompoundRate: config.vaultCompoundRate || 0.25, // 25% vault yields
+      volSymbol: config.volSymbol || 'XRP/USD', // Oracle symbol for realized volatility
+      minOracleConfidence: config.minOracleConfidence || 0.6,
       ...config
     };
+    this.riskManager = config.riskManager || RiskManager.getSharedInstance();
+    this.priceOracle = config.priceOracle || PriceOracle.shared();
+    this.lastVolReading = null;
 
     this.metrics = {
       totalRevenue: 0,
@@ -133,6 +140,11 @@ class YieldEmpireOverlord extends EventEmitter {
 
     // Fetch AI-oracle enhanced market data
     const oracleVol = await this.getChainlinkVol();
+    if (oracleVol === null) {
+      const reading = this.lastVolReading;
+      console.log(`⏸️ Oracle confidence ${reading.confidence.toFixed(2)} below ${this.config.minOracleConfidence} - holding allocations`);
+      return this.calculateOverlordResults();
+    }
     const aiPred = await this.predictWithAI([[oracleVol, marketData.sentiment || 0.6]]);
     const sentiment = await this.x_semantic_search('#XRPLGreenDeFi', { limit: 25 });
     const nasdaqData = await this.fetchNasdaqFutures();
@@ -191,11 +203,14 @@ class YieldEmpireOverlord extends EventEmitter {
     return this.calculateOverlordResults();
   }
 
+  /**
+   * Realized volatility from the price oracle
+   * @returns {Promise<number|null>} Annualized volatility, null when the reading is not confident enough to act on
+   */
   async getChainlinkVol() {
-    // Simulate enhanced Chainlink oracle with AI fusion
-    const baseVol = Math.random() * 0.4 + 0.6; // 0.6-1.0
-    const aiEnhancement = Math.random() * 0.05; // AI accuracy boost
-    return Math.min(baseVol + aiEnhancement, 1.0);
+    const reading = await this.priceOracle.getVolatility(this.config.volSymbol);
+    this.lastVolReading = reading;
+    return PriceOracle.isUsable(reading, this.config.minOracleConfidence) ? reading.volatility : null;
   }
 
   async predictWithAI(inputData) {
@@ -264,6 +279,13 @@ class YieldEmpireOverlord extends EventEmitter {
   }
 
   async executeAllocation(allocation) {
+    const riskCheck = this.riskManager.validateAction(
+      RiskManager.actionFromAllocation(allocation, 'yield-empire-overlord')
+    );
+    if (!riskCheck.approved) {
+      return { executed: false, timestamp: Date.now(), riskRejection: riskCheck };
+    }
+
     // Simulate allocation execution
     console.log(`💰 Executing AI-Oracle Allocation:`);
     console.log(`   🔹 RLUSD: $${allocation.rlusd.toLocaleString()}`);
@@ -274,6 +296,7 @@ class YieldEmpireOverlord extends EventEmitter {
     // Update metrics
     this.metrics.totalRevenue += allocation.rlusd * 0.02; // 2% immediate yield
     this.metrics.ecoImpact += allocation.ecoRWA * 0.001; // Eco impact
+    this.riskManager.recordExecution(riskCheck.action);
     
     return {
       executed: true,
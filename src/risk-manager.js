@@ -1,15 +1,406 @@
-const HyperAdaptiveSystem = require('./ai/hyper-adaptive-system');
+const EventEmitter = require('events');
 
-class RiskManager {
-  constructor(config) {
+const REJECTION_CODES = {
+  MAX_ORDER_NOTIONAL: 'MAX_ORDER_NOTIONAL',
+  POOL_EXPOSURE: 'POOL_EXPOSURE',
+  ISSUER_EXPOSURE: 'ISSUER_EXPOSURE',
+  CLAWBACK_ISSUER_EXPOSURE: 'CLAWBACK_ISSUER_EXPOSURE',
+  DAILY_LOSS_LIMIT: 'DAILY_LOSS_LIMIT',
+  INVALID_ACTION: 'INVALID_ACTION'
+};
+
+const DEFAULT_LIMITS = {
+  maxOrderNotional: 50000, // Largest single leg
+  maxPoolExposure: 100000, // Per pool / market
+  maxIssuerExposure: 150000, // Per token issuer
+  clawbackIssuerLimit: 25000, // Per issuer that can claw tokens back
+  dailyLossLimit: 5000 // Realized loss per UTC day before risk-increasing trades stop
+};
+
+class RiskRejectionError extends Error {
+  constructor(result) {
+    super(`Risk check rejected ${result.action.type} from ${result.action.source}: ${result.reasons.map(r => r.code).join(', ')}`);
+    this.name = 'RiskRejectionError';
+    this.code = 'RISK_REJECTED';
+    this.result = result;
+  }
+}
+
+/**
+ * Pre-trade risk engine
+ *
+ * Every rebalance, allocation and transaction is described as an action with
+ * one or more legs ({ pool, issuer, notional, clawbackEnabled }); positive
+ * notional adds exposure, negative notional reduces it. Actions with
+ * mode: 'target' give the desired position per pool instead, and are checked
+ * on the difference to the current exposure. Rejections are logged, emitted
+ * as 'rejected' and broadcast to any attached dashboards. Executors report
+ * realized profit and loss (fees included) with each execution, which is
+ * what the daily loss limit is measured against.
+ */
+class RiskManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
     this.config = config;
-    this.hyperSystem = new HyperAdaptiveSystem();
+    this.limits = { ...DEFAULT_LIMITS, ...(config.limits || {}) };
+    this.clawbackIssuers = new Set(config.clawbackIssuers || []);
+    this.broadcasters = config.broadcaster ? [config.broadcaster] : [];
+
+    this.poolExposure = new Map();
+    this.issuerExposure = new Map();
+    this.daily = { day: this._today(), realizedPnL: 0 };
+    this.rejections = [];
+  }
+
+  /**
+   * Attach a dashboard broadcaster (anything with broadcast(message), e.g. WebSocketServer)
+   */
+  addBroadcaster(broadcaster) {
+    if (broadcaster && typeof broadcaster.broadcast === 'function') {
+      this.broadcasters.push(broadcaster);
+    }
   }
 
+  /**
+   * Run all pre-trade checks for an action
+   * @param {Object} action - { type, source, legs: [{ pool, issuer, notional, clawbackEnabled }] }
+   * @returns {Object} { approved, action, reasons, checkedAt }
+   */
   validateAction(action) {
-    // Implement risk checks
-    return true;
+    const normalized = this._normalizeAction(action);
+    const reasons = [];
+
+    if (!normalized.legs.length) {
+      reasons.push({ code: REJECTION_CODES.INVALID_ACTION, message: 'Action has no legs to check' });
+    }
+
+    this._rollDay();
+    const increasesRisk = normalized.legs.some(leg => leg.notional > 0);
+    const dailyLoss = -Math.min(0, this.daily.realizedPnL);
+    if (increasesRisk && dailyLoss >= this.limits.dailyLossLimit) {
+      reasons.push({
+        code: REJECTION_CODES.DAILY_LOSS_LIMIT,
+        message: `Daily loss ${dailyLoss.toFixed(2)} reached limit ${this.limits.dailyLossLimit}`,
+        limit: this.limits.dailyLossLimit,
+        value: dailyLoss
+      });
+    }
+
+    // Projected exposure after all legs, so multi-leg actions are checked as a whole
+    const projectedPools = new Map();
+    const projectedIssuers = new Map();
+
+    for (const leg of normalized.legs) {
+      if (typeof leg.notional !== 'number' || !isFinite(leg.notional)) {
+        reasons.push({ code: REJECTION_CODES.INVALID_ACTION, message: 'Leg notional must be a finite number', pool: leg.pool });
+        continue;
+      }
+
+      if (Math.abs(leg.notional) > this.limits.maxOrderNotional) {
+        reasons.push({
+          code: REJECTION_CODES.MAX_ORDER_NOTIONAL,
+          message: `Order notional ${Math.abs(leg.notional).toFixed(2)} exceeds ${this.limits.maxOrderNotional}`,
+          limit: this.limits.maxOrderNotional,
+          value: Math.abs(leg.notional),
+          pool: leg.pool
+        });
+      }
+
+      if (leg.pool) {
+        const base = projectedPools.has(leg.pool) ? projectedPools.get(leg.pool) : (this.poolExposure.get(leg.pool) || 0);
+        projectedPools.set(leg.pool, base + leg.notional);
+      }
+      if (leg.issuer) {
+        const base = projectedIssuers.has(leg.issuer) ? projectedIssuers.get(leg.issuer) : (this.issuerExposure.get(leg.issuer) || 0);
+        projectedIssuers.set(leg.issuer, base + leg.notional);
+      }
+    }
+
+    for (const [pool, exposure] of projectedPools) {
+      if (exposure > this.limits.maxPoolExposure && exposure > (this.poolExposure.get(pool) || 0)) {
+        reasons.push({
+          code: REJECTION_CODES.POOL_EXPOSURE,
+          message: `Exposure to ${pool} would reach ${exposure.toFixed(2)} (limit ${this.limits.maxPoolExposure})`,
+          limit: this.limits.maxPoolExposure,
+          value: exposure,
+          pool
+        });
+      }
+    }
+
+    for (const [issuer, exposure] of projectedIssuers) {
+      const current = this.issuerExposure.get(issuer) || 0;
+      if (exposure <= current) continue;
+
+      if (exposure > this.limits.maxIssuerExposure) {
+        reasons.push({
+          code: REJECTION_CODES.ISSUER_EXPOSURE,
+          message: `Exposure to issuer ${issuer} would reach ${exposure.toFixed(2)} (limit ${this.limits.maxIssuerExposure})`,
+          limit: this.limits.maxIssuerExposure,
+          value: exposure,
+          issuer
+        });
+      }
+
+      const clawback = this.clawbackIssuers.has(issuer) ||
+        normalized.legs.some(leg => leg.issuer === issuer && leg.clawbackEnabled);
+      if (clawback && exposure > this.limits.clawbackIssuerLimit) {
+        reasons.push({
+          code: REJECTION_CODES.CLAWBACK_ISSUER_EXPOSURE,
+          message: `Clawback-enabled issuer ${issuer} exposure would reach ${exposure.toFixed(2)} (limit ${this.limits.clawbackIssuerLimit})`,
+          limit: this.limits.clawbackIssuerLimit,
+          value: exposure,
+          issuer
+        });
+      }
+    }
+
+    const result = {
+      approved: reasons.length === 0,
+      action: normalized,
+      reasons,
+      checkedAt: Date.now()
+    };
+
+    if (!result.approved) {
+      this._reject(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and throw a RiskRejectionError when the action is rejected
+   */
+  assertAction(action) {
+    const result = this.validateAction(action);
+    if (!result.approved) {
+      throw new RiskRejectionError(result);
+    }
+    return result;
+  }
+
+  /**
+   * Book the exposure of an executed action
+   * @param {Object} action - The action as validated
+   * @param {Object} execution - { realizedPnL } realized by the execution, fees included (optional)
+   */
+  recordExecution(action, execution = {}) {
+    const normalized = this._normalizeAction(action);
+
+    for (const leg of normalized.legs) {
+      if (leg.pool) {
+        this.poolExposure.set(leg.pool, Math.max(0, (this.poolExposure.get(leg.pool) || 0) + leg.notional));
+      }
+      if (leg.issuer) {
+        this.issuerExposure.set(leg.issuer, Math.max(0, (this.issuerExposure.get(leg.issuer) || 0) + leg.notional));
+      }
+      if (leg.clawbackEnabled && leg.issuer) {
+        this.clawbackIssuers.add(leg.issuer);
+      }
+    }
+
+    if (typeof execution.realizedPnL === 'number' && isFinite(execution.realizedPnL) && execution.realizedPnL !== 0) {
+      this.recordPnL(execution.realizedPnL);
+    }
+  }
+
+  /**
+   * Book realized profit (positive) or loss (negative) for today's loss limit
+   */
+  recordPnL(amount) {
+    this._rollDay();
+    this.daily.realizedPnL += amount;
+    return this.daily.realizedPnL;
+  }
+
+  getStatus() {
+    this._rollDay();
+    return {
+      limits: { ...this.limits },
+      poolExposure: Object.fromEntries(this.poolExposure),
+      issuerExposure: Object.fromEntries(this.issuerExposure),
+      clawbackIssuers: Array.from(this.clawbackIssuers),
+      daily: { ...this.daily },
+      recentRejections: this.rejections.slice(-10)
+    };
+  }
+
+  /**
+   * Describe an XRPL transaction as a risk action
+   * @param {Object} transaction - Unsigned XRPL transaction JSON
+   * @param {string} source - Caller name for logs
+   * @param {Object} options - { xrpPrice } to value XRP legs, { clawbackIssuers } known clawback issuers
+   */
+  static actionFromTransaction(transaction, source = 'xrpl', options = {}) {
+    const xrpPrice = options.xrpPrice || 1;
+    const legs = [];
+
+    const toLeg = (amount, pool, sign = 1) => {
+      if (amount === undefined || amount === null) return null;
+      if (typeof amount === 'string') {
+        return { pool, notional: sign * (Number(amount) / 1000000) * xrpPrice };
+      }
+      return {
+        pool,
+        issuer: amount.issuer,
+        notional: sign * Number(amount.value)
+      };
+    };
+
+    const assetName = asset => (asset && asset.currency && asset.currency !== 'XRP'
+      ? `${asset.currency}.${asset.issuer}`
+      : 'XRP');
+    const amountName = amount => (typeof amount === 'string' ? 'XRP' : assetName(amount));
+
+    switch (transaction.TransactionType) {
+      case 'Payment':
+        if (transaction.Destination === transaction.Account) {
+          // Paying ourselves converts SendMax into Amount, like an offer
+          legs.push(toLeg(transaction.Amount, `${amountName(transaction.Amount)}/${amountName(transaction.SendMax || transaction.Amount)}`));
+        } else {
+          // Paying out releases holdings of the asset sent; it is not a position in any pool
+          legs.push(toLeg(transaction.Amount, null, -1));
+        }
+        break;
+      case 'OfferCreate': {
+        // Buying TakerPays with TakerGets; exposure is to the asset received
+        const pool = `${amountName(transaction.TakerPays)}/${amountName(transaction.TakerGets)}`;
+        legs.push(toLeg(transaction.TakerPays, pool));
+        break;
+      }
+      case 'AMMDeposit':
+      case 'AMMCreate': {
+        const pool = transaction.TransactionType === 'AMMCreate'
+          ? `amm:${amountName(transaction.Amount)}/${amountName(transaction.Amount2)}`
+          : `amm:${assetName(transaction.Asset)}/${assetName(transaction.Asset2)}`;
+        legs.push(toLeg(transaction.Amount, pool));
+        legs.push(toLeg(transaction.Amount2, pool));
+        break;
+      }
+      case 'AMMWithdraw': {
+        const pool = `amm:${assetName(transaction.Asset)}/${assetName(transaction.Asset2)}`;
+        legs.push(toLeg(transaction.Amount, pool, -1));
+        legs.push(toLeg(transaction.Amount2, pool, -1));
+        break;
+      }
+      case 'EscrowCreate':
+        legs.push(toLeg(transaction.Amount, `escrow:${transaction.Destination}`));
+        break;
+      default:
+        // Non-value transactions (TrustSet, OfferCancel, NFT ops, ...) carry no notional
+        legs.push({ pool: null, notional: 0 });
+    }
+
+    return {
+      type: 'transaction',
+      source,
+      transactionType: transaction.TransactionType,
+      legs: legs.filter(Boolean)
+    };
+  }
+
+  /**
+   * Realized PnL of a validated transaction response: the fee burned, valued in USD
+   * @param {Object} response - Validated response from the submitter (client.submitAndWait shape)
+   * @param {Object} options - { xrpPrice } to value the fee
+   */
+  static realizedPnLFromResponse(response, options = {}) {
+    const result = (response && response.result) || {};
+    const fee = result.Fee || (result.tx_json && result.tx_json.Fee);
+    return fee ? -(Number(fee) / 1000000) * (options.xrpPrice || 1) : 0;
+  }
+
+  /**
+   * Describe an empire-style allocation ({ rlusd, ecoRWA, amm, ... } amounts) as target positions
+   * @param {Object} allocation - Allocation amounts per asset bucket
+   * @param {string} source - Caller name for logs
+   * @param {Object} issuers - Optional issuer address per bucket
+   */
+  static actionFromAllocation(allocation, source = 'allocation', issuers = {}) {
+    const buckets = {
+      rlusd: { pool: 'rlusd', clawbackEnabled: false },
+      ecoRWA: { pool: 'eco-rwa', clawbackEnabled: true }, // Tokenized RWAs are issued with clawback
+      amm: { pool: 'amm', clawbackEnabled: false },
+      arbitrage: { pool: 'arbitrage', clawbackEnabled: false }
+    };
+
+    return {
+      type: 'allocation',
+      source,
+      mode: 'target',
+      legs: Object.entries(buckets)
+        .filter(([key]) => typeof allocation[key] === 'number')
+        .map(([key, bucket]) => ({ ...bucket, issuer: issuers[key], notional: allocation[key] }))
+    };
+  }
+
+  static getSharedInstance(config) {
+    if (!RiskManager.sharedInstance) {
+      RiskManager.sharedInstance = new RiskManager(config);
+    }
+    return RiskManager.sharedInstance;
+  }
+
+  _normalizeAction(action = {}) {
+    const legs = Array.isArray(action.legs)
+      ? action.legs
+      : [{ pool: action.pool, issuer: action.issuer, notional: action.notional, clawbackEnabled: action.clawbackEnabled }];
+
+    return {
+      ...action,
+      type: action.type || 'unknown',
+      source: action.source || 'unknown',
+      mode: 'delta',
+      legs: legs.map(leg => ({
+        pool: leg.pool || null,
+        issuer: leg.issuer || null,
+        // Target positions are checked and booked as the trade needed to reach them
+        notional: action.mode === 'target' && leg.pool
+          ? leg.notional - (this.poolExposure.get(leg.pool) || 0)
+          : leg.notional,
+        clawbackEnabled: Boolean(leg.clawbackEnabled)
+      }))
+    };
+  }
+
+  _reject(result) {
+    this.rejections.push(result);
+    if (this.rejections.length > 100) {
+      this.rejections.shift();
+    }
+
+    console.warn(`🛡️ RISK MANAGER: Rejected ${result.action.type} from ${result.action.source}`);
+    for (const reason of result.reasons) {
+      console.warn(`   - [${reason.code}] ${reason.message}`);
+    }
+
+    this.emit('rejected', result);
+
+    for (const broadcaster of this.broadcasters) {
+      try {
+        broadcaster.broadcast({ type: 'risk_rejection', data: result });
+      } catch (error) {
+        console.error('❌ RISK MANAGER: Failed to broadcast rejection:', error.message);
+      }
+    }
+  }
+
+  _rollDay() {
+    const today = this._today();
+    if (this.daily.day !== today) {
+      this.daily = { day: today, realizedPnL: 0 };
+    }
+  }
+
+  _today() {
+    return new Date().toISOString().slice(0, 10);
   }
 }
 
-module.exports = RiskManager; 
\ No newline at end of file
+RiskManager.RiskRejectionError = RiskRejectionError;
+RiskManager.REJECTION_CODES = REJECTION_CODES;
+RiskManager.DEFAULT_LIMITS = DEFAULT_LIMITS;
+RiskManager.sharedInstance = null;
+
+module.exports = RiskManager;
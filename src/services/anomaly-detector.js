@@ -1,28 +1,39 @@
 /**
  * Anomaly Detector Service
  * 
- * Uses TensorFlow.js to detect anomalies in market data
- * Triggers rebalancing when volatility thresholds are exceeded
+ * Scores market data with a pure-JS anomaly model (isolation forest plus
+ * robust z-scores, see anomaly-model.js) trained from recorded market
+ * history. Without a trained model it falls back to the short-term
+ * volatility threshold. Every result carries an explanation of which
+ * features drove the score.
  */
 
-const logger = require('../utils/logger');
+const Logger = require('../utils/logger');
 const ammMath = require('../utils/amm-math');
+const { TimeSeriesStore } = require('./timeseries-store');
+const {
+  AnomalyModel,
+  AnomalyModelRegistry,
+  toFeatureVector,
+  buildTrainingSet,
+  labelSamples
+} = require('./anomaly-model');
 
-// Simulate TensorFlow.js for now
-// In a real implementation, you would use: const tf = require('@tensorflow/tfjs-node');
-const tf = {
-  tensor2d: (data) => ({
-    data: () => Promise.resolve(data.flat())
-  }),
-  loadLayersModel: async (path) => ({
-    predict: (tensor) => tensor
-  })
-};
+const logger = new Logger('Anomaly-Detector');
+
+const MIN_TRAINING_SAMPLES = 50;
 
 class AnomalyDetector {
+  /**
+   * @param {Object} config Configuration options
+   * @param {string} config.modelDir Model registry directory (default: data/models/anomaly)
+   * @param {number|string} config.modelVersion Version to load (default: 'current')
+   * @param {number} config.rebalanceThreshold Volatility score that triggers a rebalance without a trained model (default: 0.8)
+   */
   constructor(config = {}) {
     this.config = {
-      modelPath: config.modelPath || 'file:///models/anomaly-detector',
+      modelDir: config.modelDir || null,
+      modelVersion: config.modelVersion || 'current',
       volatilityThreshold: config.volatilityThreshold || 0.96,
       sentimentThreshold: config.sentimentThreshold || 0.8,
       rebalanceThreshold: config.rebalanceThreshold || 0.8,
@@ -30,7 +41,9 @@ class AnomalyDetector {
       ...config
     };
     
+    this.registry = new AnomalyModelRegistry({ storageDir: this.config.modelDir || undefined });
     this.model = null;
+    this.modelVersion = null;
     this.initialized = false;
   }
   
@@ -42,25 +55,90 @@ class AnomalyDetector {
     try {
       logger.info('Anomaly Detector: Initializing service');
       
-      // Load TensorFlow.js model
-      this.model = await tf.loadLayersModel(this.config.modelPath);
-      
+      const loaded = this.registry.load(this.config.modelVersion);
+      this.model = loaded ? loaded.model : null;
+      this.modelVersion = loaded ? loaded.version : null;
       this.initialized = true;
       
-      logger.info('Anomaly Detector: Initialized successfully');
-      return true;
+      if (loaded) {
+        logger.info(`Anomaly Detector: Loaded model v${loaded.version} (threshold ${loaded.model.threshold.toFixed(4)})`);
+      } else {
+        logger.warn('Anomaly Detector: No trained model, using the volatility threshold until one is trained');
+      }
+      return loaded !== null;
     } catch (error) {
       logger.error(`Anomaly Detector: Initialization failed: ${error.message}`);
-      
-      // Create a fallback model
-      this.model = {
-        predict: (tensor) => tensor
-      };
-      
+      this.model = null;
+      this.modelVersion = null;
+      this.initialized = true;
       return false;
     }
   }
   
+  /**
+   * Train a model from recorded market history, store it as a new version
+   * and start using it
+   * With labelled incidents the threshold is calibrated for the best F1 and
+   * the (in-sample) precision/recall are stored with the version.
+   * @param {Object} options Training options
+   * @param {TimeSeriesStore} options.timeSeries History written by the DataHarvester (default: shared store)
+   * @param {number} options.from Start of the training window (default: to - 30 days)
+   * @param {number} options.to End of the training window (default: now)
+   * @param {number} options.interval Sample interval in milliseconds (default: 5 minutes)
+   * @param {Array<Object>} options.incidents Labelled incidents [{ from, to, description? }]
+   * @param {Object} options.model AnomalyModel.train options (trees, sampleSize, contamination, seed)
+   * @returns {Promise<Object>} { version, samples, threshold, metrics }
+   */
+  async train(options = {}) {
+    const timeSeries = options.timeSeries || TimeSeriesStore.shared();
+    const incidents = options.incidents || [];
+    const samples = buildTrainingSet(timeSeries, options);
+    if (samples.length < MIN_TRAINING_SAMPLES) {
+      throw new Error(`Need at least ${MIN_TRAINING_SAMPLES} history samples to train, found ${samples.length}`);
+    }
+    
+    const model = AnomalyModel.train(samples.map(sample => sample.features), options.model);
+    const metrics = incidents.length > 0 ? model.calibrate(labelSamples(samples, incidents)) : null;
+    const version = this.registry.save(model, {
+      samples: samples.length,
+      from: samples[0].timestamp,
+      to: samples[samples.length - 1].timestamp,
+      incidents,
+      metrics
+    });
+    
+    this.model = model;
+    this.modelVersion = version;
+    this.initialized = true;
+    logger.info(`Anomaly Detector: Trained model v${version} on ${samples.length} samples` +
+      (metrics ? ` (precision ${metrics.precision.toFixed(2)}, recall ${metrics.recall.toFixed(2)})` : ''));
+    
+    return { version, samples: samples.length, threshold: model.threshold, metrics };
+  }
+  
+  /**
+   * Precision and recall of the current model on a history window with labelled incidents
+   * @param {Object} options Evaluation options
+   * @param {TimeSeriesStore} options.timeSeries History (default: shared store)
+   * @param {number} options.from Window start
+   * @param {number} options.to Window end
+   * @param {number} options.interval Sample interval in milliseconds (default: 5 minutes)
+   * @param {Array<Object>} options.incidents Labelled incidents [{ from, to }]
+   * @returns {Promise<Object>} { precision, recall, f1, truePositives, falsePositives, falseNegatives, trueNegatives, threshold, modelVersion }
+   */
+  async evaluate(options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.model) {
+      throw new Error('No trained anomaly model to evaluate');
+    }
+    
+    const samples = buildTrainingSet(options.timeSeries || TimeSeriesStore.shared(), options);
+    const metrics = this.model.evaluate(labelSamples(samples, options.incidents || []));
+    return { ...metrics, modelVersion: this.modelVersion };
+  }
+  
   /**
    * Detect anomalies in market data
    * @param {Object} marketData - Market data from Data Harvester
@@ -76,25 +154,19 @@ class AnomalyDetector {
       
       // Extract features for anomaly detection
       const features = this._extractFeatures(marketData);
-      
-      // Convert features to tensor
-      const featureTensor = tf.tensor2d([features]);
-      
-      // Run prediction
-      const anomalyScores = await this.model.predict(featureTensor).data();
-      const anomalyScore = anomalyScores[0];
-      
-      // Determine if rebalance is needed
-      const needsRebalance = anomalyScore > this.config.rebalanceThreshold;
+      const explanation = this._score(features);
+      const anomalyScore = explanation.score;
+      const needsRebalance = explanation.anomalous;
       
       // Generate insights
       const insights = this._generateInsights(marketData, anomalyScore);
       
-      logger.info(`Anomaly Detector: Anomaly score ${anomalyScore.toFixed(4)}, rebalance needed: ${needsRebalance}`);
+      logger.info(`Anomaly Detector: Anomaly score ${anomalyScore.toFixed(4)}, rebalance needed: ${needsRebalance} (${explanation.reason})`);
       
       return {
         anomalyScore,
         needsRebalance,
+        explanation,
         insights,
         timestamp: Date.now()
       };
@@ -115,6 +187,38 @@ class AnomalyDetector {
     }
   }
   
+  /**
+   * Score a feature vector and explain the decision
+   * @param {Array<number>} features Feature vector
+   * @returns {Object} { method, modelVersion, score, threshold, anomalous, contributions, reason }
+   * @private
+   */
+  _score(features) {
+    if (!this.model) {
+      const score = features[0];
+      return {
+        method: 'volatility-threshold',
+        modelVersion: null,
+        score,
+        threshold: this.config.rebalanceThreshold,
+        anomalous: score > this.config.rebalanceThreshold,
+        contributions: [{ feature: 'shortTermVol', value: score }],
+        reason: `short-term volatility ${score.toFixed(3)} vs threshold ${this.config.rebalanceThreshold}`
+      };
+    }
+    
+    const result = this.model.score(features);
+    const top = result.contributions.slice(0, 3);
+    return {
+      method: 'isolation-forest',
+      modelVersion: this.modelVersion,
+      ...result,
+      contributions: top,
+      reason: `score ${result.score.toFixed(3)} vs threshold ${result.threshold.toFixed(3)}; most unusual: ` +
+        top.map(c => `${c.feature} z=${c.zScore.toFixed(1)}`).join(', ')
+    };
+  }
+  
   /**
    * Extract features for anomaly detection
    * @param {Object} marketData - Market data from Data Harvester
@@ -159,15 +263,15 @@ class AnomalyDetector {
       }
       
       // Combine features
-      return [
+      return toFeatureVector({
         shortTermVol,
         mediumTermVol,
         longTermVol,
-        overallSentiment,
-        avgApy / 100, // Normalize APY
-        totalLiquidity / 10000000, // Normalize liquidity
+        sentiment: overallSentiment,
+        avgApy,
+        totalLiquidity,
         spread
-      ];
+      });
     } catch (error) {
       logger.error(`Anomaly Detector: Error extracting features: ${error.message}`);
       
@@ -344,3 +448,4 @@ class AnomalyDetector {
 
 // Export a singleton instance
 module.exports = new AnomalyDetector();
+module.exports.AnomalyDetector = AnomalyDetector;
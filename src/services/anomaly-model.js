@@ -0,0 +1,457 @@
+/**
+ * Anomaly Model
+ *
+ * Pure-JS anomaly scoring over the AnomalyDetector feature vector:
+ * - An isolation forest gives the anomaly score (0-1, ~0.5 for typical
+ *   points, approaching 1 for points that isolate quickly)
+ * - Robust z-scores (median / MAD per feature) explain which features made
+ *   a point unusual
+ * The threshold defaults to the score quantile implied by `contamination`
+ * and can be calibrated against labelled incidents for the best F1.
+ *
+ * AnomalyModelRegistry stores trained models as numbered versions with
+ * their training window and evaluation metrics.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MEASUREMENTS } = require('./timeseries-store');
+
+const FEATURE_NAMES = [
+  'shortTermVol',
+  'mediumTermVol',
+  'longTermVol',
+  'sentiment',
+  'apy',
+  'liquidity',
+  'spread'
+];
+
+const EULER_GAMMA = 0.5772156649;
+const MAD_SCALE = 1.4826; // MAD to standard deviation for normal data
+
+/**
+ * Build the normalized feature vector in FEATURE_NAMES order
+ * @param {Object} raw Raw metrics
+ * @param {number} raw.shortTermVol Short-term volatility
+ * @param {number} raw.mediumTermVol Medium-term volatility
+ * @param {number} raw.longTermVol Long-term volatility
+ * @param {number} raw.sentiment Overall sentiment (0-1)
+ * @param {number} raw.avgApy Average pool APY in percent
+ * @param {number} raw.totalLiquidity Total pool liquidity
+ * @param {number} raw.spread XRP/USD relative spread
+ * @returns {Array<number>} Feature vector
+ */
+function toFeatureVector(raw) {
+  return [
+    raw.shortTermVol,
+    raw.mediumTermVol,
+    raw.longTermVol,
+    raw.sentiment,
+    raw.avgApy / 100, // Normalize APY
+    raw.totalLiquidity / 10000000, // Normalize liquidity
+    raw.spread
+  ];
+}
+
+/**
+ * Feature vectors from recorded market history
+ * Volatility snapshots drive the sampling; sentiment, AMM pools and the
+ * XRP/USD spread are carried forward from their latest value in each bucket.
+ * @param {TimeSeriesStore} timeSeries Store written by the DataHarvester
+ * @param {Object} options Options
+ * @param {number} options.from Start time (default: to - 30 days)
+ * @param {number} options.to End time (default: now)
+ * @param {number} options.interval Sample interval in milliseconds (default: 5 minutes)
+ * @returns {Array<Object>} [{ timestamp, features }]
+ */
+function buildTrainingSet(timeSeries, options = {}) {
+  const to = options.to !== undefined ? options.to : Date.now();
+  const from = options.from !== undefined ? options.from : to - 30 * 24 * 60 * 60 * 1000;
+  const interval = options.interval || 5 * 60 * 1000;
+  const query = { from, to, interval, aggregate: 'last', fill: 'previous' };
+
+  const volatility = timeSeries.resample(MEASUREMENTS.VOLATILITY, { ...query, fields: ['shortTerm', 'mediumTerm', 'longTerm'], fill: null });
+  const sentiment = timeSeries.resample(MEASUREMENTS.SENTIMENT, { ...query, fields: ['overall'] });
+  const spread = timeSeries.resample(MEASUREMENTS.PRICE, { ...query, tags: { pair: 'XRP/USD', source: 'orderbook' }, fields: ['spread'] });
+  const pools = timeSeries.listSeries(MEASUREMENTS.AMM_RESERVES)
+    .map(series => timeSeries.resample(MEASUREMENTS.AMM_RESERVES, { ...query, tags: series.tags, fields: ['quote', 'apy'] }));
+
+  return volatility
+    .map((bucket, i) => {
+      if (!bucket.fields || bucket.fields.shortTerm === undefined) return null;
+      const poolFields = pools.map(series => series[i].fields).filter(Boolean);
+      const apys = poolFields.filter(fields => fields.apy !== undefined).map(fields => fields.apy);
+      return {
+        timestamp: bucket.timestamp,
+        features: toFeatureVector({
+          shortTermVol: bucket.fields.shortTerm,
+          mediumTermVol: bucket.fields.mediumTerm !== undefined ? bucket.fields.mediumTerm : bucket.fields.shortTerm,
+          longTermVol: bucket.fields.longTerm !== undefined ? bucket.fields.longTerm : bucket.fields.shortTerm,
+          sentiment: sentiment[i].fields && sentiment[i].fields.overall !== undefined ? sentiment[i].fields.overall : 0.5,
+          avgApy: apys.length > 0 ? apys.reduce((sum, apy) => sum + apy, 0) / apys.length : 0,
+          totalLiquidity: poolFields.reduce((sum, fields) => sum + (fields.quote || 0) * 2, 0),
+          spread: spread[i].fields && spread[i].fields.spread !== undefined ? spread[i].fields.spread : 0
+        })
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Label samples that fall inside incident windows
+ * @param {Array<Object>} samples [{ timestamp, features }]
+ * @param {Array<Object>} incidents [{ from, to, description? }]
+ * @returns {Array<Object>} [{ timestamp, features, label }]
+ */
+function labelSamples(samples, incidents) {
+  return samples.map(sample => ({
+    ...sample,
+    label: incidents.some(incident => sample.timestamp >= incident.from && sample.timestamp <= incident.to)
+  }));
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so a seed reproduces a forest
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Average path length of an unsuccessful BST search over n points
+ * @private
+ */
+function averagePathLength(n) {
+  if (n > 2) return 2 * (Math.log(n - 1) + EULER_GAMMA) - (2 * (n - 1)) / n;
+  return n === 2 ? 1 : 0;
+}
+
+class AnomalyModel {
+  /**
+   * Use AnomalyModel.train or AnomalyModel.fromJSON
+   * @param {Object} state Serialized model state
+   */
+  constructor(state) {
+    this.featureNames = state.featureNames || FEATURE_NAMES;
+    this.trees = state.trees;
+    this.sampleSize = state.sampleSize;
+    this.medians = state.medians;
+    this.scales = state.scales;
+    this.threshold = state.threshold;
+    this.params = state.params;
+  }
+
+  /**
+   * Fit an isolation forest and robust feature statistics
+   * @param {Array<Array<number>>} vectors Training feature vectors
+   * @param {Object} options Training options
+   * @param {number} options.trees Number of trees (default: 100)
+   * @param {number} options.sampleSize Points per tree (default: 256)
+   * @param {number} options.contamination Expected anomaly share, sets the default threshold (default: 0.02)
+   * @param {number} options.seed PRNG seed (default: 1)
+   * @returns {AnomalyModel} Trained model
+   */
+  static train(vectors, options = {}) {
+    if (!vectors || vectors.length < 2) {
+      throw new Error('Need at least two samples to train an anomaly model');
+    }
+    const params = {
+      trees: options.trees || 100,
+      sampleSize: Math.min(options.sampleSize || 256, vectors.length),
+      contamination: options.contamination || 0.02,
+      seed: options.seed || 1
+    };
+    const random = createRandom(params.seed);
+    const heightLimit = Math.ceil(Math.log2(params.sampleSize));
+
+    const trees = [];
+    for (let t = 0; t < params.trees; t++) {
+      // Sample without replacement (partial Fisher-Yates)
+      const pool = vectors.slice();
+      for (let i = 0; i < params.sampleSize; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      trees.push(AnomalyModel._buildTree(pool.slice(0, params.sampleSize), 0, heightLimit, random));
+    }
+
+    const columns = FEATURE_NAMES.map((name, f) => vectors.map(vector => vector[f]));
+    const medians = columns.map(AnomalyModel._median);
+    const scales = columns.map((column, f) => {
+      const mad = AnomalyModel._median(column.map(value => Math.abs(value - medians[f])));
+      return mad > 0 ? mad * MAD_SCALE : 1e-6;
+    });
+
+    const model = new AnomalyModel({ trees, sampleSize: params.sampleSize, medians, scales, threshold: 1, params });
+    const scores = vectors.map(vector => model.rawScore(vector)).sort((a, b) => a - b);
+    model.threshold = scores[Math.min(scores.length - 1, Math.floor(scores.length * (1 - params.contamination)))];
+    return model;
+  }
+
+  /**
+   * Restore a serialized model
+   * @param {Object} json Output of toJSON
+   * @returns {AnomalyModel}
+   */
+  static fromJSON(json) {
+    return new AnomalyModel(json);
+  }
+
+  toJSON() {
+    return {
+      featureNames: this.featureNames,
+      trees: this.trees,
+      sampleSize: this.sampleSize,
+      medians: this.medians,
+      scales: this.scales,
+      threshold: this.threshold,
+      params: this.params
+    };
+  }
+
+  /**
+   * Isolation-forest anomaly score
+   * @param {Array<number>} vector Feature vector
+   * @returns {number} Score in (0, 1)
+   */
+  rawScore(vector) {
+    const meanPath = this.trees.reduce((sum, tree) => sum + AnomalyModel._pathLength(vector, tree, 0), 0) / this.trees.length;
+    return Math.pow(2, -meanPath / averagePathLength(this.sampleSize));
+  }
+
+  /**
+   * Score a feature vector with an explanation
+   * @param {Array<number>} vector Feature vector
+   * @returns {Object} { score, threshold, anomalous, contributions: [{ feature, value, median, zScore }] by |zScore| }
+   */
+  score(vector) {
+    const score = this.rawScore(vector);
+    const contributions = this.featureNames
+      .map((feature, f) => ({
+        feature,
+        value: vector[f],
+        median: this.medians[f],
+        zScore: (vector[f] - this.medians[f]) / this.scales[f]
+      }))
+      .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+
+    return { score, threshold: this.threshold, anomalous: score > this.threshold, contributions };
+  }
+
+  /**
+   * Precision and recall against labelled samples
+   * @param {Array<Object>} labelled [{ features, label }]
+   * @param {number} threshold Threshold to evaluate (default: model threshold)
+   * @returns {Object} { precision, recall, f1, truePositives, falsePositives, falseNegatives, trueNegatives, threshold }
+   */
+  evaluate(labelled, threshold = this.threshold) {
+    return AnomalyModel._metrics(labelled.map(sample => ({ score: this.rawScore(sample.features), label: sample.label })), threshold);
+  }
+
+  /**
+   * Pick the threshold with the best F1 on labelled samples (ties go to the
+   * higher threshold, which raises fewer alerts) and adopt it
+   * @param {Array<Object>} labelled [{ features, label }]
+   * @returns {Object} Metrics at the chosen threshold (see evaluate)
+   */
+  calibrate(labelled) {
+    if (!labelled.some(sample => sample.label)) {
+      throw new Error('Calibration needs at least one labelled incident sample');
+    }
+    const scored = labelled.map(sample => ({ score: this.rawScore(sample.features), label: sample.label }));
+    // Scores just below each observed score, so that score is flagged
+    const candidates = [...new Set(scored.map(sample => sample.score))].map(score => score - 1e-12);
+
+    let best = null;
+    candidates.forEach(threshold => {
+      const metrics = AnomalyModel._metrics(scored, threshold);
+      if (!best || metrics.f1 > best.f1 || (metrics.f1 === best.f1 && threshold > best.threshold)) {
+        best = metrics;
+      }
+    });
+
+    this.threshold = best.threshold;
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  static _metrics(scored, threshold) {
+    const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+    scored.forEach(({ score, label }) => {
+      const flagged = score > threshold;
+      if (flagged && label) counts.truePositives++;
+      else if (flagged) counts.falsePositives++;
+      else if (label) counts.falseNegatives++;
+      else counts.trueNegatives++;
+    });
+
+    const flagged = counts.truePositives + counts.falsePositives;
+    const actual = counts.truePositives + counts.falseNegatives;
+    const precision = flagged > 0 ? counts.truePositives / flagged : 0;
+    const recall = actual > 0 ? counts.truePositives / actual : 0;
+    return {
+      precision,
+      recall,
+      f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+      ...counts,
+      threshold
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _buildTree(points, depth, heightLimit, random) {
+    if (depth >= heightLimit || points.length <= 1) {
+      return { size: points.length };
+    }
+
+    const splittable = FEATURE_NAMES
+      .map((name, f) => {
+        const values = points.map(point => point[f]);
+        return { f, min: Math.min(...values), max: Math.max(...values) };
+      })
+      .filter(range => range.max > range.min);
+    if (splittable.length === 0) {
+      return { size: points.length };
+    }
+
+    const { f, min, max } = splittable[Math.floor(random() * splittable.length)];
+    const value = min + random() * (max - min);
+    return {
+      feature: f,
+      value,
+      left: AnomalyModel._buildTree(points.filter(point => point[f] < value), depth + 1, heightLimit, random),
+      right: AnomalyModel._buildTree(points.filter(point => point[f] >= value), depth + 1, heightLimit, random)
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _pathLength(vector, node, depth) {
+    if (node.size !== undefined) {
+      return depth + averagePathLength(node.size);
+    }
+    return AnomalyModel._pathLength(vector, vector[node.feature] < node.value ? node.left : node.right, depth + 1);
+  }
+
+  /**
+   * @private
+   */
+  static _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+class AnomalyModelRegistry {
+  /**
+   * @param {Object} options Registry options
+   * @param {string} options.storageDir Model directory (default: data/models/anomaly)
+   */
+  constructor(options = {}) {
+    this.storageDir = options.storageDir || path.join(__dirname, '../../data/models/anomaly');
+    this.manifestPath = path.join(this.storageDir, 'manifest.json');
+  }
+
+  /**
+   * Store a model as the next version and make it current
+   * @param {AnomalyModel} model Trained model
+   * @param {Object} metadata Training window, sample count, metrics, ...
+   * @returns {number} Version number
+   */
+  save(model, metadata = {}) {
+    const manifest = this._readManifest();
+    const version = manifest.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+    const entry = { version, createdAt: new Date().toISOString(), threshold: model.threshold, ...metadata };
+
+    fs.mkdirSync(this.storageDir, { recursive: true });
+    fs.writeFileSync(this._versionPath(version), JSON.stringify({ ...entry, model: model.toJSON() }));
+    manifest.versions.push(entry);
+    manifest.current = version;
+    this._writeManifest(manifest);
+    return version;
+  }
+
+  /**
+   * Load a model version
+   * @param {number|string} version Version number or 'current'
+   * @returns {Object|null} { version, metadata, model } or null when there is no such version
+   */
+  load(version = 'current') {
+    const manifest = this._readManifest();
+    const number = version === 'current' ? manifest.current : Number(version);
+    if (!number || !fs.existsSync(this._versionPath(number))) {
+      return null;
+    }
+    const { model, ...metadata } = JSON.parse(fs.readFileSync(this._versionPath(number), 'utf8'));
+    return { version: number, metadata, model: AnomalyModel.fromJSON(model) };
+  }
+
+  /**
+   * @returns {Object} { current, versions: [metadata] }
+   */
+  list() {
+    return this._readManifest();
+  }
+
+  /**
+   * Make an existing version current (e.g. to roll back)
+   * @param {number} version Version number
+   */
+  setCurrent(version) {
+    const manifest = this._readManifest();
+    if (!manifest.versions.some(entry => entry.version === version)) {
+      throw new Error(`Unknown anomaly model version ${version}`);
+    }
+    manifest.current = version;
+    this._writeManifest(manifest);
+  }
+
+  /**
+   * @private
+   */
+  _versionPath(version) {
+    return path.join(this.storageDir, `v${version}.json`);
+  }
+
+  /**
+   * @private
+   */
+  _readManifest() {
+    if (!fs.existsSync(this.manifestPath)) {
+      return { current: null, versions: [] };
+    }
+    return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+  }
+
+  /**
+   * @private
+   */
+  _writeManifest(manifest) {
+    fs.mkdirSync(this.storageDir, { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2));
+  }
+}
+
+module.exports = {
+  AnomalyModel,
+  AnomalyModelRegistry,
+  FEATURE_NAMES,
+  toFeatureVector,
+  buildTrainingSet,
+  labelSamples
+};
@@ -0,0 +1,293 @@
+/**
+ * Bot Supervisor
+ *
+ * Runs each bot in its own worker process (see bot-worker.js) and keeps
+ * the state the dashboard shows:
+ * - start/pause/resume/configure/stop are forwarded to the bot's worker
+ * - Worker status, heartbeats and errors are tracked per bot and emitted
+ *   as 'status', 'heartbeat' and 'bot-error' events for persistence
+ * - A bot whose heartbeat goes stale, or whose worker exits without being
+ *   stopped, is put into the 'error' state
+ *
+ * Workers receive the wallet as its keystore record and inherit the
+ * keystore master key from the environment, so seeds never cross the IPC
+ * channel in plaintext.
+ */
+
+const { EventEmitter } = require('events');
+const { fork } = require('child_process');
+const path = require('path');
+
+const BOT_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  STOPPED: 'stopped',
+  ERROR: 'error'
+};
+
+class BotSupervisor extends EventEmitter {
+  /**
+   * Initialize the supervisor
+   * @param {Object} options Configuration options
+   * @param {string} options.xrplUrl XRPL server workers connect to (default: none, strategies run without a connection)
+   * @param {string} options.workerPath Worker entry point (default: bot-worker.js)
+   * @param {string[]} options.strategyModules Modules exporting registerStrategies(registry), loaded by each worker
+   * @param {Object} options.env Extra environment for workers (default: inherits process.env)
+   * @param {number} options.heartbeatTimeout Milliseconds without a heartbeat before a bot is in error (default: 3 intervals)
+   * @param {number} options.stopTimeout Milliseconds a worker gets to stop before it is killed (default: 10 seconds)
+   */
+  constructor(options = {}) {
+    super();
+    this.xrplUrl = options.xrplUrl || null;
+    this.workerPath = options.workerPath || path.join(__dirname, 'bot-worker.js');
+    this.strategyModules = options.strategyModules || [];
+    this.env = options.env || {};
+    this.heartbeatTimeout = options.heartbeatTimeout || null;
+    this.stopTimeout = options.stopTimeout || 10 * 1000;
+
+    this.bots = new Map(); // Supervised bots by id
+  }
+
+  /**
+   * Start a worker for a bot
+   * @param {Object} bot Bot ({ id, strategy, config, status })
+   * @param {Object} options Start options
+   * @param {string|Object} options.walletRecord Keystore record of the owner's wallet
+   * @param {string} options.owner Owner id, kept for lookups
+   * @returns {Object} Bot state
+   */
+  start(bot, options = {}) {
+    if (!bot || !bot.id) {
+      throw new Error('Bot id required');
+    }
+    if (!bot.strategy) {
+      throw new Error(`Bot ${bot.id} has no strategy to run`);
+    }
+    const existing = this.bots.get(bot.id);
+    if (existing && existing.child) {
+      throw new Error(`Bot ${bot.id} is already running`);
+    }
+
+    const child = fork(this.workerPath, [], {
+      env: { ...process.env, ...this.env },
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+    const intervalMs = (bot.config && bot.config.intervalMs) || 60 * 1000;
+    const state = {
+      id: bot.id,
+      owner: options.owner || null,
+      strategy: bot.strategy,
+      child,
+      pid: child.pid,
+      status: BOT_STATUS.ACTIVE,
+      lastHeartbeat: null,
+      lastProposal: null,
+      error: null,
+      startedAt: Date.now(),
+      stopping: false,
+      heartbeatTimeout: this.heartbeatTimeout || intervalMs * 3
+    };
+    this.bots.set(bot.id, state);
+
+    child.on('message', message => this._onMessage(state, message));
+    child.on('exit', (code, signal) => this._onExit(state, code, signal));
+    child.on('error', error => this._setError(state, error.message));
+
+    child.send({
+      type: 'start',
+      bot: { id: bot.id, strategy: bot.strategy, config: bot.config || {}, status: bot.status },
+      walletRecord: options.walletRecord,
+      xrplUrl: this.xrplUrl,
+      strategyModules: this.strategyModules
+    });
+    this._watchHeartbeat(state);
+    return this.getState(bot.id);
+  }
+
+  /**
+   * Pause a running bot; its worker keeps reporting heartbeats
+   * @param {string} botId Bot id
+   * @returns {Promise<Object>} Bot state once the worker acknowledged
+   */
+  pause(botId) {
+    return this._send(botId, { type: 'pause' });
+  }
+
+  /**
+   * Resume a paused bot
+   * @param {string} botId Bot id
+   * @returns {Promise<Object>} Bot state once the worker acknowledged
+   */
+  resume(botId) {
+    return this._send(botId, { type: 'resume' });
+  }
+
+  /**
+   * Replace a running bot's config
+   * @param {string} botId Bot id
+   * @param {Object} config New bot config
+   * @returns {Promise<Object>} Bot state once the worker rebuilt its strategy
+   */
+  configure(botId, config) {
+    return this._send(botId, { type: 'configure', config });
+  }
+
+  /**
+   * Stop a bot's worker, killing it if it does not exit in time
+   * @param {string} botId Bot id
+   * @returns {Promise<Object|null>} Final bot state (null if the bot is unknown)
+   */
+  async stop(botId) {
+    const state = this.bots.get(botId);
+    if (!state) return null;
+    if (!state.child) return this.getState(botId);
+
+    const { child } = state;
+    state.stopping = true;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const timer = setTimeout(() => child.kill('SIGKILL'), this.stopTimeout);
+    if (child.connected) {
+      child.send({ type: 'stop' });
+    } else {
+      child.kill('SIGTERM');
+    }
+    await exited;
+    clearTimeout(timer);
+    return this.getState(botId);
+  }
+
+  /**
+   * Stop every worker
+   */
+  async stopAll() {
+    await Promise.all(Array.from(this.bots.keys()).map(botId => this.stop(botId)));
+  }
+
+  /**
+   * Whether a bot has a live worker
+   * @param {string} botId Bot id
+   * @returns {boolean} True while its worker runs
+   */
+  isRunning(botId) {
+    const state = this.bots.get(botId);
+    return Boolean(state && state.child);
+  }
+
+  /**
+   * Current state of a bot
+   * @param {string} botId Bot id
+   * @returns {Object|null} { id, owner, strategy, pid, running, status, lastHeartbeat, lastProposal, error, startedAt }
+   */
+  getState(botId) {
+    const state = this.bots.get(botId);
+    if (!state) return null;
+    return {
+      id: state.id,
+      owner: state.owner,
+      strategy: state.strategy,
+      pid: state.child ? state.pid : null,
+      running: Boolean(state.child),
+      status: state.status,
+      lastHeartbeat: state.lastHeartbeat,
+      lastProposal: state.lastProposal,
+      error: state.error,
+      startedAt: state.startedAt
+    };
+  }
+
+  /**
+   * Send a command and wait for the worker's status or error reply
+   * @private
+   */
+  _send(botId, message) {
+    const state = this.bots.get(botId);
+    if (!state || !state.child || !state.child.connected) {
+      return Promise.reject(new Error(`Bot ${botId} is not running`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onStatus = update => {
+        if (update.id !== botId) return;
+        cleanup();
+        resolve(update);
+      };
+      const onError = update => {
+        if (update.id !== botId || update.command !== message.type) return;
+        cleanup();
+        reject(new Error(update.error.message));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Bot ${botId} did not acknowledge ${message.type}`));
+      }, this.stopTimeout);
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.removeListener('status', onStatus);
+        this.removeListener('bot-error', onError);
+      };
+
+      this.on('status', onStatus);
+      this.on('bot-error', onError);
+      state.child.send(message);
+    });
+  }
+
+  _onMessage(state, message) {
+    switch (message.type) {
+      case 'status':
+        state.status = message.status;
+        if (message.status !== BOT_STATUS.ERROR) {
+          state.error = null;
+        } else if (message.error) {
+          state.error = message.error;
+        }
+        this.emit('status', this.getState(state.id));
+        break;
+      case 'heartbeat':
+        state.status = message.status; // Also recovers a bot flagged for a late heartbeat
+        state.lastHeartbeat = message.at;
+        state.lastProposal = message.proposal;
+        state.error = message.error;
+        this._watchHeartbeat(state);
+        this.emit('heartbeat', this.getState(state.id));
+        break;
+      case 'error':
+        state.error = message.error;
+        this.emit('bot-error', { ...this.getState(state.id), command: message.command || null });
+        break;
+      default:
+        break;
+    }
+  }
+
+  _onExit(state, code, signal) {
+    clearTimeout(state.heartbeatTimer);
+    state.child = null;
+    if (!state.stopping && state.status !== BOT_STATUS.STOPPED && state.status !== BOT_STATUS.ERROR) {
+      this._setError(state, `Worker exited unexpectedly (${signal || `code ${code}`})`);
+      return;
+    }
+    if (state.stopping && state.status !== BOT_STATUS.ERROR) {
+      state.status = BOT_STATUS.STOPPED;
+    }
+    this.emit('status', this.getState(state.id));
+  }
+
+  _watchHeartbeat(state) {
+    clearTimeout(state.heartbeatTimer);
+    state.heartbeatTimer = setTimeout(() => {
+      if (state.child && !state.stopping) {
+        this._setError(state, `No heartbeat for ${state.heartbeatTimeout}ms`);
+      }
+    }, state.heartbeatTimeout);
+    state.heartbeatTimer.unref();
+  }
+
+  _setError(state, message) {
+    state.status = BOT_STATUS.ERROR;
+    state.error = { message, at: Date.now() };
+    this.emit('status', this.getState(state.id));
+  }
+}
+
+module.exports = { BotSupervisor, BOT_STATUS };
@@ -0,0 +1,290 @@
+/**
+ * Bot Worker
+ *
+ * Runs one bot in its own process, forked by BotSupervisor:
+ * - Builds the bot's strategy from the strategy registry and drives it
+ *   through the strategy contract (init -> onMarketData -> proposeAllocation
+ *   -> teardown) on a fixed interval
+ * - Offers the strategy the wallet's XRP balance (or the configured capital)
+ *   within its declared capital limits
+ * - Submits transactions a proposal asks for through a submitter of its own
+ *   (outcome records in one file per bot, so workers never overwrite each
+ *   other's records), decrypting the wallet from its keystore record only
+ *   for that submission
+ * - Reports a heartbeat every interval (also while paused) and tick errors
+ *   without stopping, so the supervisor sees both liveness and error state
+ *
+ * Messages from the supervisor: start, pause, resume, configure, stop.
+ * Messages to the supervisor: status, heartbeat, error (with the failed
+ * command, if any).
+ */
+
+const path = require('path');
+const xrpl = require('xrpl');
+const { defaultRegistry } = require('../strategies/strategy-registry');
+const { capitalWithinLimits, enforceCapitalLimits } = require('../strategies/strategy-contract');
+const { WalletKeystore } = require('./wallet-keystore');
+const { TransactionSubmitter } = require('./transaction-submitter');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_SUBMITTER_DIR = path.join(__dirname, '../../data/submitter/bots');
+
+class BotWorker {
+  /**
+   * Initialize the worker
+   * @param {Object} options Configuration options
+   * @param {Function} options.send Sends a message to the supervisor
+   * @param {StrategyRegistry} options.registry Strategy registry (default: the built-in registry)
+   * @param {WalletKeystore} options.keystore Keystore for the wallet record (default: master key from KEYSTORE_MASTER_KEY)
+   * @param {string|null} options.submitterDir Directory of per-bot outcome records (default: data/submitter/bots, null keeps them in memory)
+   */
+  constructor(options = {}) {
+    this.send = options.send;
+    this.registry = options.registry || defaultRegistry;
+    this.keystore = options.keystore || null;
+    this.submitterDir = options.submitterDir === undefined ? DEFAULT_SUBMITTER_DIR : options.submitterDir;
+
+    this.bot = null;
+    this.walletRecord = null;
+    this.address = null;
+    this.client = null;
+    this.submitter = null;
+    this.strategy = null;
+    this.status = 'stopped';
+    this.timer = null;
+    this.ticks = 0;
+    this.running = null; // Tick in progress
+    this.lastProposal = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Handle a message from the supervisor
+   * @param {Object} message Message ({ type, ... })
+   */
+  async handle(message) {
+    try {
+      switch (message.type) {
+        case 'start':
+          return await this.start(message);
+        case 'pause':
+          return this._setStatus('paused');
+        case 'resume':
+          return this._setStatus('active');
+        case 'configure':
+          return await this.configure(message.config || {});
+        case 'stop':
+          return await this.stop();
+        default:
+          throw new Error(`Unknown worker message type "${message.type}"`);
+      }
+    } catch (error) {
+      this._reportError(error, message.type);
+      if (message.type === 'start') {
+        await this.stop('error');
+      }
+    }
+  }
+
+  /**
+   * Build the strategy, connect and start ticking
+   * @param {Object} message Start message
+   * @param {Object} message.bot Bot ({ id, strategy, config })
+   * @param {string|Object} message.walletRecord Keystore record of the bot's wallet
+   * @param {string} message.xrplUrl XRPL server to connect to
+   * @param {string[]} message.strategyModules Modules exporting registerStrategies(registry)
+   */
+  async start({ bot, walletRecord, xrplUrl, strategyModules = [] }) {
+    if (!bot || !bot.strategy) {
+      throw new Error('Bot needs a strategy type to run');
+    }
+    strategyModules.forEach(modulePath => require(modulePath).registerStrategies(this.registry));
+
+    this.bot = { ...bot, config: { ...(bot.config || {}) } };
+    this.walletRecord = walletRecord ? WalletKeystore.parse(walletRecord) : null;
+    this.address = this.walletRecord ? this.walletRecord.address : null;
+    this.strategy = this.registry.create(bot.strategy, { ...this.bot.config, id: bot.id });
+
+    if (xrplUrl) {
+      this.client = new xrpl.Client(xrplUrl);
+      await this.client.connect();
+      this.submitter = new TransactionSubmitter({
+        client: this.client,
+        storagePath: this.submitterDir ? path.join(this.submitterDir, `${bot.id}.ndjson`) : null
+      });
+    }
+    await this.strategy.init({ xrplClient: this.client, address: this.address, botId: bot.id });
+
+    this._setStatus(bot.status === 'paused' ? 'paused' : 'active');
+    this._schedule();
+  }
+
+  /**
+   * Apply a new bot config by rebuilding the strategy with it
+   * @param {Object} config Bot config (replaces the previous one)
+   */
+  async configure(config) {
+    if (this.running) {
+      await this.running;
+    }
+    const previous = this.strategy;
+    this.bot.config = { ...config };
+    this.strategy = this.registry.create(this.bot.strategy, { ...this.bot.config, id: this.bot.id });
+    await this.strategy.init({ xrplClient: this.client, address: this.address, botId: this.bot.id });
+    if (previous) {
+      await previous.teardown();
+    }
+    this._schedule();
+    this.send({ type: 'status', status: this.status, config: this.bot.config });
+  }
+
+  /**
+   * Run one strategy cycle (skipped while paused) and report a heartbeat
+   */
+  async tick() {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      try {
+        if (this.status === 'active') {
+          await this._runStrategy();
+          this.lastError = null;
+        }
+      } catch (error) {
+        this._reportError(error);
+      }
+      this.send({
+        type: 'heartbeat',
+        at: Date.now(),
+        status: this.status,
+        ticks: this.ticks,
+        proposal: this.lastProposal,
+        error: this.lastError
+      });
+    })();
+    try {
+      await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Stop ticking, tear the strategy down and disconnect
+   * @param {string} status Final status (default: 'stopped')
+   */
+  async stop(status = 'stopped') {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      await this.running;
+    }
+    try {
+      if (this.strategy) {
+        await this.strategy.teardown();
+      }
+      if (this.client && this.client.isConnected()) {
+        await this.client.disconnect();
+      }
+    } catch (error) {
+      this._reportError(error);
+    }
+    this.strategy = null;
+    this._setStatus(status);
+  }
+
+  /**
+   * One strategy cycle: market data, proposal, requested submissions
+   * @private
+   */
+  async _runStrategy() {
+    const xrpBalance = this.client && this.address
+      ? Number(await this.client.getXrpBalance(this.address))
+      : null;
+    await this.strategy.onMarketData({ timestamp: Date.now(), address: this.address, xrpBalance });
+
+    const offered = this.bot.config.capital !== undefined ? this.bot.config.capital : (xrpBalance || 0);
+    const allowed = capitalWithinLimits(offered, this.strategy.getCapitalLimits());
+    const proposal = allowed > 0
+      ? enforceCapitalLimits(await this.strategy.proposeAllocation(allowed), allowed)
+      : { allocations: {}, totalAllocated: 0, clamped: false };
+
+    const submitted = [];
+    for (const transaction of proposal.transactions || []) {
+      submitted.push(await this._submit(transaction));
+    }
+
+    this.ticks++;
+    this.lastProposal = {
+      allocations: proposal.allocations,
+      totalAllocated: proposal.totalAllocated,
+      expectedYield: proposal.expectedYield,
+      clamped: proposal.clamped,
+      submitted,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Sign and submit with the wallet decrypted for this transaction only
+   * @private
+   */
+  async _submit(transaction) {
+    if (!this.submitter || !this.walletRecord) {
+      throw new Error(`Bot ${this.bot.id} has no XRPL connection or wallet to submit with`);
+    }
+    if (transaction.Account && transaction.Account !== this.address) {
+      throw new Error(`Bot ${this.bot.id} can only submit from its own wallet ${this.address}`);
+    }
+    if (!this.keystore) {
+      this.keystore = new WalletKeystore();
+    }
+
+    const response = await this.keystore.withWallet(this.walletRecord, wallet =>
+      this.submitter.submit({ ...transaction, Account: this.address }, { wallet })
+    );
+    return { hash: response.result.hash, result: response.result.meta.TransactionResult };
+  }
+
+  _schedule() {
+    if (this.timer) {
+      clearInterval(this.timer);
+    }
+    this.timer = setInterval(() => this.tick(), this.bot.config.intervalMs || DEFAULT_INTERVAL);
+    this.tick();
+  }
+
+  _setStatus(status) {
+    this.status = status;
+    this.send({ type: 'status', status, error: status === 'error' ? this.lastError : null });
+  }
+
+  _reportError(error, command = null) {
+    this.lastError = { message: error.message, at: Date.now() };
+    this.send({ type: 'error', error: this.lastError, command });
+  }
+}
+
+// Forked by BotSupervisor
+if (require.main === module && process.send) {
+  const worker = new BotWorker({
+    send: message => process.send(message),
+    submitterDir: process.env.BOT_SUBMITTER_DIR || undefined
+  });
+  process.on('message', async message => {
+    await worker.handle(message);
+    if (worker.status === 'stopped' || worker.status === 'error') {
+      process.disconnect();
+    }
+  });
+  process.on('disconnect', () => {
+    // Supervisor went away: stop cleanly instead of running unsupervised
+    if (worker.status !== 'stopped' && worker.status !== 'error') {
+      worker.send = () => {};
+      worker.stop().finally(() => process.exit(0));
+    }
+  });
+}
+
+module.exports = { BotWorker };
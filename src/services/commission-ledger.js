@@ -0,0 +1,424 @@
+/**
+ * Commission Ledger
+ *
+ * Settles referral commissions per period and pays them out on-chain:
+ * - Each user's commission base for a period is their cumulative earnings
+ *   minus what earlier periods already settled, so re-running a period or
+ *   settling with the same totals never credits twice
+ * - Rates are per referral level (level 1 is the direct parent, level 2
+ *   the parent's parent, ...) plus an optional override on every base
+ * - Lines are aggregated into one payout per beneficiary and period, sent
+ *   as an XRP Payment with a 'commission' memo through the shared
+ *   submitter, and recorded with the transaction hash
+ * - Payouts that fail are kept with their error and retried on the next
+ *   run until maxAttempts, then left for retryPayout() and the report
+ *
+ * Amounts are in XRP. Each payout attempt has its own idempotency key, so a
+ * crash mid-submission resumes the same transaction instead of paying again.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+const { TransactionSubmitter, TransactionSubmitError } = require('./transaction-submitter');
+const { WalletKeystore } = require('./wallet-keystore');
+
+const PAYOUT_STATUS = {
+  PENDING: 'pending',
+  SUBMITTING: 'submitting', // Attempt in flight (or interrupted), resumed under the same key
+  PAID: 'paid',
+  FAILED: 'failed',
+  RETAINED: 'retained' // Owed to the paying wallet itself, nothing to send
+};
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+class CommissionLedger extends EventEmitter {
+  /**
+   * Initialize the commission ledger
+   * @param {Object} options Configuration options
+   * @param {Array<number>} options.rates Commission rate per referral level, direct parent first (default: [0.15])
+   * @param {number} options.overrideRate Rate paid to the override beneficiary on every base (default: 0.05)
+   * @param {string|null} options.storagePath JSON file of settlements and payouts (default: data/commissions/commission-ledger.json, null keeps them in memory)
+   * @param {xrpl.Client} options.client XRPL client payouts are sent with
+   * @param {TransactionSubmitter} options.submitter Submitter for payouts (default: the client's shared submitter)
+   * @param {string|Object} options.payer Keystore record of the wallet commissions are paid from
+   * @param {WalletKeystore} options.keystore Keystore for the payer record (default: master key from KEYSTORE_MASTER_KEY)
+   * @param {number} options.maxAttempts Payout attempts before a failed payout needs retryPayout() (default: 5)
+   */
+  constructor(options = {}) {
+    super();
+    this.rates = options.rates || [0.15];
+    this.overrideRate = options.overrideRate === undefined ? 0.05 : options.overrideRate;
+    this.storagePath = options.storagePath === undefined
+      ? path.join(__dirname, '../../data/commissions/commission-ledger.json')
+      : options.storagePath;
+    this.client = options.client || null;
+    this.submitter = options.submitter || null;
+    this.payer = options.payer ? WalletKeystore.parse(options.payer) : null;
+    this.keystore = options.keystore || null;
+    this.maxAttempts = options.maxAttempts || 5;
+
+    if (!Array.isArray(this.rates) || this.rates.some(rate => !(rate >= 0 && rate < 1))) {
+      throw new Error('Commission rates must be a list of fractions between 0 and 1');
+    }
+
+    this.settlements = new Map(); // Settlements by period
+    this.payouts = new Map(); // Payouts by id (period:beneficiary)
+    this.baselines = new Map(); // Settled cumulative earnings by user id
+    this.queue = Promise.resolve(); // Payout runs, one at a time
+    this._load();
+  }
+
+  /**
+   * Period (YYYY-MM, UTC) a date falls in
+   * @param {Date|number} date Date (default: now)
+   * @returns {string} Period
+   */
+  static periodOf(date = Date.now()) {
+    return new Date(date).toISOString().slice(0, 7);
+  }
+
+  /**
+   * Settle a period's commissions
+   * Settling a period again returns the existing settlement unchanged.
+   * @param {string} period Period (YYYY-MM)
+   * @param {Object} input Settlement input
+   * @param {Array<Object>} input.earnings Cumulative commission-generating earnings ({ userId, cumulative })
+   * @param {Object} input.users Referral tree by user id ({ parent, wallet })
+   * @param {string} input.overrideUserId Beneficiary of the override rate (default: none)
+   * @returns {Object} { settlement, created }
+   */
+  settlePeriod(period, { earnings = [], users = {}, overrideUserId = null } = {}) {
+    if (!PERIOD_PATTERN.test(period)) {
+      throw new Error(`Invalid commission period "${period}" (expected YYYY-MM)`);
+    }
+    if (this.settlements.has(period)) {
+      return { settlement: this.settlements.get(period), created: false };
+    }
+    const latest = this._latestPeriod();
+    if (latest && period < latest) {
+      throw new Error(`Period ${period} is before the last settled period ${latest}`);
+    }
+
+    const lines = [];
+    const sources = [];
+    for (const { userId, cumulative } of earnings) {
+      const id = String(userId);
+      const base = round((Number(cumulative) || 0) - (this.baselines.get(id) || 0));
+      if (!(base > 0)) continue;
+      sources.push({ userId: id, cumulative: Number(cumulative), base });
+
+      this._ancestors(id, users).forEach((beneficiary, index) => {
+        lines.push(this._line(id, beneficiary, index + 1, base, this.rates[index]));
+      });
+      if (overrideUserId && this.overrideRate > 0) {
+        lines.push(this._line(id, String(overrideUserId), 'override', base, this.overrideRate));
+      }
+    }
+
+    const settlement = {
+      period,
+      settledAt: Date.now(),
+      rates: this.rates.slice(),
+      overrideRate: this.overrideRate,
+      overrideUserId: overrideUserId ? String(overrideUserId) : null,
+      sources,
+      lines: lines.filter(line => line.amount > 0),
+      payoutIds: []
+    };
+
+    for (const line of settlement.lines) {
+      const id = `${period}:${line.beneficiary}`;
+      if (!this.payouts.has(id)) {
+        const user = users[line.beneficiary] || {};
+        this.payouts.set(id, {
+          id,
+          period,
+          beneficiary: line.beneficiary,
+          destination: user.wallet || null,
+          amount: 0,
+          status: PAYOUT_STATUS.PENDING,
+          attempts: 0,
+          txHash: null,
+          lastError: null,
+          paidAt: null,
+          updatedAt: settlement.settledAt
+        });
+        settlement.payoutIds.push(id);
+      }
+      const payout = this.payouts.get(id);
+      payout.amount = round(payout.amount + line.amount);
+    }
+
+    sources.forEach(source => this.baselines.set(source.userId, source.cumulative));
+    this.settlements.set(period, settlement);
+    this._save();
+    this.emit('settled', settlement);
+    return { settlement, created: true };
+  }
+
+  /**
+   * Pay every outstanding payout: pending ones, interrupted ones and failed
+   * ones below maxAttempts
+   * @param {Object} options Run options
+   * @param {string} options.period Only pay this period (default: all)
+   * @returns {Promise<Object>} { paid, failed, outstanding, payouts } for the payouts attempted
+   */
+  payOutstanding({ period } = {}) {
+    const run = this.queue.then(async () => {
+      const due = this.getPayouts({ period }).filter(payout =>
+        payout.status === PAYOUT_STATUS.PENDING ||
+        payout.status === PAYOUT_STATUS.SUBMITTING ||
+        (payout.status === PAYOUT_STATUS.FAILED && payout.attempts < this.maxAttempts)
+      );
+
+      const attempted = [];
+      for (const payout of due) {
+        attempted.push(await this._pay(payout));
+      }
+      return {
+        paid: attempted.filter(payout => payout.status === PAYOUT_STATUS.PAID).length,
+        failed: attempted.filter(payout => payout.status === PAYOUT_STATUS.FAILED).length,
+        outstanding: attempted.filter(payout => payout.status === PAYOUT_STATUS.SUBMITTING).length,
+        payouts: attempted
+      };
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Retry one failed payout, also past maxAttempts
+   * @param {string} id Payout id
+   * @param {Object} options Retry options
+   * @param {string} options.destination Wallet to pay instead (e.g. after the beneficiary fixed theirs)
+   * @returns {Promise<Object>} Payout after the attempt
+   */
+  retryPayout(id, { destination } = {}) {
+    const payout = this.payouts.get(id);
+    if (!payout) {
+      return Promise.reject(new Error(`Unknown commission payout ${id}`));
+    }
+    if (payout.status !== PAYOUT_STATUS.FAILED) {
+      return Promise.reject(new Error(`Commission payout ${id} is ${payout.status}, only failed payouts can be retried`));
+    }
+    if (destination) {
+      payout.destination = destination;
+    }
+    const run = this.queue.then(() => this._pay(payout));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Settlement of a period
+   * @param {string} period Period (YYYY-MM)
+   * @returns {Object|null} Settlement
+   */
+  getSettlement(period) {
+    return this.settlements.get(period) || null;
+  }
+
+  /**
+   * Payouts matching a filter, oldest period first
+   * @param {Object} filter Filter ({ period, beneficiary, status })
+   * @returns {Array<Object>} Payouts
+   */
+  getPayouts({ period, beneficiary, status } = {}) {
+    return Array.from(this.payouts.values())
+      .filter(payout => !period || payout.period === period)
+      .filter(payout => !beneficiary || payout.beneficiary === String(beneficiary))
+      .filter(payout => !status || payout.status === status)
+      .sort((a, b) => a.period.localeCompare(b.period) || a.beneficiary.localeCompare(b.beneficiary));
+  }
+
+  /**
+   * Totals by payout status and the payouts that need attention
+   * @param {Object} options Report options
+   * @param {string} options.period Only report this period (default: all)
+   * @returns {Object} { period, settled, totals, counts, failures }
+   */
+  getReport({ period } = {}) {
+    const payouts = this.getPayouts({ period });
+    const totals = { accrued: 0 };
+    const counts = {};
+    Object.values(PAYOUT_STATUS).forEach(status => {
+      totals[status] = 0;
+      counts[status] = 0;
+    });
+
+    payouts.forEach(payout => {
+      totals.accrued = round(totals.accrued + payout.amount);
+      totals[payout.status] = round(totals[payout.status] + payout.amount);
+      counts[payout.status]++;
+    });
+
+    return {
+      period: period || null,
+      settled: period ? this.settlements.has(period) : Array.from(this.settlements.keys()).sort(),
+      totals,
+      counts,
+      failures: payouts
+        .filter(payout => payout.status === PAYOUT_STATUS.FAILED)
+        .map(payout => ({
+          id: payout.id,
+          beneficiary: payout.beneficiary,
+          destination: payout.destination,
+          amount: payout.amount,
+          attempts: payout.attempts,
+          retryable: payout.attempts < this.maxAttempts,
+          lastError: payout.lastError
+        }))
+    };
+  }
+
+  /**
+   * Send one payout and record its outcome
+   * @private
+   */
+  async _pay(payout) {
+    if (!payout.destination) {
+      return this._fail(payout, { code: 'no-destination', message: `No payout wallet for ${payout.beneficiary}` });
+    }
+    if (!this.client || !this.payer) {
+      throw new Error('Commission payouts need an XRPL client and a payer wallet record');
+    }
+    if (payout.destination === this.payer.address) {
+      payout.status = PAYOUT_STATUS.RETAINED;
+      payout.updatedAt = Date.now();
+      this._save();
+      return payout;
+    }
+    if (!this.keystore) {
+      this.keystore = new WalletKeystore();
+    }
+
+    // A new attempt gets a new key; an interrupted one resumes under its key
+    if (payout.status !== PAYOUT_STATUS.SUBMITTING) {
+      payout.attempts++;
+      payout.status = PAYOUT_STATUS.SUBMITTING;
+      payout.updatedAt = Date.now();
+      this._save();
+    }
+
+    const submitter = this.submitter || TransactionSubmitter.forClient(this.client);
+    const transaction = {
+      TransactionType: 'Payment',
+      Account: this.payer.address,
+      Destination: payout.destination,
+      Amount: xrpl.xrpToDrops(payout.amount.toFixed(6)),
+      Memos: [{
+        Memo: {
+          MemoType: xrpl.convertStringToHex('commission'),
+          MemoData: xrpl.convertStringToHex(payout.id)
+        }
+      }]
+    };
+
+    let response;
+    try {
+      response = await this.keystore.withWallet(this.payer, wallet =>
+        submitter.submit(transaction, { wallet, idempotencyKey: `commission:${payout.id}:${payout.attempts}` })
+      );
+    } catch (error) {
+      if (error instanceof TransactionSubmitError) {
+        return this._fail(payout, { code: error.code, message: error.message, txHash: error.outcome ? error.outcome.hash : null });
+      }
+      // Outcome unknown (e.g. connection lost): stays submitting and resumes on the next run
+      payout.lastError = { code: 'interrupted', message: error.message, at: Date.now() };
+      payout.updatedAt = Date.now();
+      this._save();
+      console.warn(`⚠️ Commission payout ${payout.id} interrupted: ${error.message}`);
+      return payout;
+    }
+
+    const result = response.result.meta.TransactionResult;
+    if (result !== 'tesSUCCESS') {
+      return this._fail(payout, { code: result, message: `Payment failed: ${result}`, txHash: response.result.hash });
+    }
+
+    payout.status = PAYOUT_STATUS.PAID;
+    payout.txHash = response.result.hash;
+    payout.paidAt = Date.now();
+    payout.updatedAt = payout.paidAt;
+    payout.lastError = null;
+    this._save();
+    this.emit('payout-paid', payout);
+    return payout;
+  }
+
+  _fail(payout, error) {
+    payout.status = PAYOUT_STATUS.FAILED;
+    payout.lastError = { ...error, at: Date.now() };
+    payout.updatedAt = payout.lastError.at;
+    this._save();
+    console.warn(`⚠️ Commission payout ${payout.id} failed (attempt ${payout.attempts}/${this.maxAttempts}): ${error.message}`);
+    this.emit('payout-failed', payout);
+    return payout;
+  }
+
+  _line(sourceUserId, beneficiary, level, base, rate) {
+    return { sourceUserId, beneficiary, level, base, rate, amount: round(base * rate) };
+  }
+
+  /**
+   * Referral parents of a user, one per configured level
+   * @private
+   */
+  _ancestors(userId, users) {
+    const ancestors = [];
+    const seen = new Set([userId]);
+    let current = users[userId];
+    while (current && current.parent && ancestors.length < this.rates.length) {
+      const parent = String(current.parent);
+      if (seen.has(parent)) break; // Referral loop
+      seen.add(parent);
+      ancestors.push(parent);
+      current = users[parent];
+    }
+    return ancestors;
+  }
+
+  _latestPeriod() {
+    return Array.from(this.settlements.keys()).sort().pop() || null;
+  }
+
+  _load() {
+    if (!this.storagePath) return;
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+        (stored.settlements || []).forEach(settlement => this.settlements.set(settlement.period, settlement));
+        (stored.payouts || []).forEach(payout => this.payouts.set(payout.id, payout));
+        Object.entries(stored.baselines || {}).forEach(([userId, cumulative]) => this.baselines.set(userId, cumulative));
+      }
+    } catch (error) {
+      console.warn('Error loading commission ledger:', error.message);
+    }
+  }
+
+  _save() {
+    if (!this.storagePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+      const tmpPath = `${this.storagePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        settlements: Array.from(this.settlements.values()),
+        payouts: Array.from(this.payouts.values()),
+        baselines: Object.fromEntries(this.baselines)
+      }, null, 2));
+      fs.renameSync(tmpPath, this.storagePath);
+    } catch (error) {
+      console.error('Error saving commission ledger:', error.message);
+    }
+  }
+}
+
+// XRP amounts are kept to the drop
+function round(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+module.exports = { CommissionLedger, PAYOUT_STATUS };
@@ -0,0 +1,326 @@
+/**
+ * Ledger Market Reader
+ *
+ * Reads AMM pools (amm_info) and order books (book_offers) for a watchlist
+ * of pairs from any rippled endpoint and normalizes them into the pool/book
+ * shape the optimizers consume. Every entry carries provenance flags:
+ * - source: 'ledger' (fetched now), 'cache' (last good ledger read, served
+ *   after a failed fetch) or 'mock' (no ledger data at all)
+ * - stale: ledger data older than staleAfter
+ * - mock: true when the numbers are synthetic
+ */
+
+const xrpl = require('xrpl');
+
+const TRADING_FEE_UNIT = 100000; // amm_info trading_fee is in 1/100,000
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a watchlist asset
+ * Accepts 'XRP', 'USD.rIssuer' or { currency, issuer }
+ * @param {string|Object} asset Asset spec
+ * @returns {Object} { currency, issuer? } as used by amm_info/book_offers
+ */
+function parseAsset(asset) {
+  if (typeof asset === 'object' && asset !== null) {
+    return asset.currency === 'XRP' ? { currency: 'XRP' } : { currency: asset.currency, issuer: asset.issuer };
+  }
+  const [currency, issuer] = String(asset).split('.');
+  if (currency === 'XRP') {
+    return { currency: 'XRP' };
+  }
+  if (!issuer || !xrpl.isValidClassicAddress(issuer)) {
+    throw new Error(`Asset "${asset}" needs an issuer (CUR.rIssuer)`);
+  }
+  return { currency, issuer };
+}
+
+/**
+ * Numeric value of a ledger amount (drops string or issued-currency object)
+ * @param {string|Object} amount Ledger amount
+ * @returns {number} Value in XRP or currency units
+ */
+function amountValue(amount) {
+  if (amount === undefined || amount === null) return 0;
+  if (typeof amount === 'string') {
+    return Number(xrpl.dropsToXrp(amount));
+  }
+  return Number(amount.value);
+}
+
+/**
+ * Auction slot expiration in milliseconds
+ * rippled reports it as "2023-Jun-26 21:42:18.000000000 UTC"; ripple epoch
+ * seconds are accepted too.
+ * @param {string|number} expiration Expiration from amm_info
+ * @returns {number|null} Unix time in milliseconds
+ */
+function parseExpiration(expiration) {
+  if (expiration === undefined || expiration === null) return null;
+  if (typeof expiration === 'number') {
+    return xrpl.rippleTimeToUnixTime(expiration);
+  }
+  const match = /^(\d{4})-(\w{3})-(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(expiration);
+  const time = match ? Date.parse(`${match[3]} ${match[2]} ${match[1]} ${match[4]} UTC`) : Date.parse(expiration);
+  return Number.isNaN(time) ? null : time;
+}
+
+class LedgerMarketReader {
+  /**
+   * Initialize the reader
+   * @param {Object} options Configuration options
+   * @param {xrpl.Client} options.client Connected XRPL client
+   * @param {Array<Object>} options.watchlist [{ id, base, quote, amm, book }] where amm/book default to true
+   * @param {number} options.bookDepth Offers per side, paged with markers (default: 100)
+   * @param {number} options.staleAfter Milliseconds before ledger data counts as stale (default: 60000)
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.bookDepth = options.bookDepth || 100;
+    this.staleAfter = options.staleAfter || 60000;
+    this.watchlist = [];
+    this.lastGood = new Map(); // Last ledger read by `pool:<id>` / `book:<id>`
+
+    (options.watchlist || []).forEach(entry => this.watch(entry));
+  }
+
+  /**
+   * Add a pair to the watchlist
+   * @param {Object} entry Watchlist entry
+   * @param {string} entry.base Base asset ('XRP' or 'CUR.rIssuer')
+   * @param {string} entry.quote Quote asset
+   * @param {string} entry.id Display ID (default: BASE/QUOTE)
+   * @param {boolean} entry.amm Read the AMM pool (default: true)
+   * @param {boolean} entry.book Read the order book (default: true)
+   */
+  watch(entry) {
+    const base = parseAsset(entry.base);
+    const quote = parseAsset(entry.quote);
+    const id = entry.id || `${base.currency}/${quote.currency}`;
+
+    this.watchlist = this.watchlist.filter(existing => existing.id !== id);
+    this.watchlist.push({ id, base, quote, amm: entry.amm !== false, book: entry.book !== false });
+    return this;
+  }
+
+  unwatch(id) {
+    this.watchlist = this.watchlist.filter(entry => entry.id !== id);
+    this.lastGood.delete(`pool:${id}`);
+    this.lastGood.delete(`book:${id}`);
+  }
+
+  /**
+   * Read every watched AMM pool
+   * @param {Object} options Read options
+   * @param {string|number} options.ledgerIndex Ledger to read (default: 'validated')
+   * @param {Function} options.fallback (entry) => mock pool used when no ledger data exists
+   * @returns {Promise<Object>} { pools, mock, stale, errors }
+   */
+  async readPools({ ledgerIndex = 'validated', fallback = null } = {}) {
+    const entries = this.watchlist.filter(entry => entry.amm);
+    return this._readAll(entries, 'pool', entry => this.fetchPool(entry, ledgerIndex), fallback, 'pools');
+  }
+
+  /**
+   * Read every watched order book
+   * @param {Object} options Read options
+   * @param {string|number} options.ledgerIndex Ledger to read (default: 'validated')
+   * @param {Function} options.fallback (entry) => mock book used when no ledger data exists
+   * @returns {Promise<Object>} { books: { [id]: book }, mock, stale, errors }
+   */
+  async readBooks({ ledgerIndex = 'validated', fallback = null } = {}) {
+    const entries = this.watchlist.filter(entry => entry.book);
+    const result = await this._readAll(entries, 'book', entry => this.fetchBook(entry, ledgerIndex), fallback, 'books');
+    result.books = result.books.reduce((books, book) => {
+      books[book.id] = book;
+      return books;
+    }, {});
+    return result;
+  }
+
+  /**
+   * Read one AMM pool with amm_info
+   * Reserves, LP token supply, trading fee and auction slot are taken from
+   * the ledger. apy is the annualized growth of sqrt(reserve * reserve2) per
+   * LP token since the previous read, which only fees move; null on the
+   * first read. volume24h and volatility are not available from amm_info.
+   * @param {Object} entry Watchlist entry
+   * @param {string|number} ledgerIndex Ledger to read
+   * @returns {Promise<Object>} Normalized pool
+   */
+  async fetchPool(entry, ledgerIndex = 'validated') {
+    const response = await this.client.request({
+      command: 'amm_info',
+      asset: entry.base,
+      asset2: entry.quote,
+      ledger_index: ledgerIndex
+    });
+    const amm = response.result.amm;
+
+    // amm_info may return the assets in either order
+    const flipped = !this._isAsset(amm.amount, entry.base);
+    const baseReserve = amountValue(flipped ? amm.amount2 : amm.amount);
+    const quoteReserve = amountValue(flipped ? amm.amount : amm.amount2);
+    const lpTokenSupply = Number(amm.lp_token.value);
+    const fetchedAt = Date.now();
+    const valuePerLpToken = lpTokenSupply > 0 ? Math.sqrt(baseReserve * quoteReserve) / lpTokenSupply : 0;
+
+    const previous = this.lastGood.get(`pool:${entry.id}`);
+    let apy = null;
+    if (previous && previous.valuePerLpToken > 0 && fetchedAt > previous.fetchedAt) {
+      const growth = valuePerLpToken / previous.valuePerLpToken - 1;
+      apy = growth * (YEAR_MS / (fetchedAt - previous.fetchedAt)) * 100;
+    }
+
+    const slot = amm.auction_slot;
+    return {
+      id: entry.id,
+      account: amm.account,
+      reserves: { base: baseReserve, quote: quoteReserve },
+      price: baseReserve > 0 ? quoteReserve / baseReserve : null,
+      liquidity: quoteReserve * 2, // In quote units
+      lpToken: { currency: amm.lp_token.currency, issuer: amm.lp_token.issuer },
+      lpTokenSupply,
+      valuePerLpToken,
+      tradingFee: amm.trading_fee / TRADING_FEE_UNIT,
+      auctionSlot: slot ? {
+        account: slot.account,
+        discountedFee: slot.discounted_fee / TRADING_FEE_UNIT,
+        price: amountValue(slot.price),
+        expiresAt: parseExpiration(slot.expiration)
+      } : null,
+      apy,
+      volume24h: null,
+      volatility: null,
+      ledgerIndex: response.result.ledger_index || response.result.ledger_current_index,
+      fetchedAt,
+      source: 'ledger',
+      stale: false,
+      mock: false
+    };
+  }
+
+  /**
+   * Read both sides of an order book with book_offers
+   * Prices are quote per base. Funded amounts are used when the offer owner
+   * cannot cover the full offer.
+   * @param {Object} entry Watchlist entry
+   * @param {string|number} ledgerIndex Ledger to read
+   * @returns {Promise<Object>} { id, bids, asks, mid, spread, depth, ... }
+   */
+  async fetchBook(entry, ledgerIndex = 'validated') {
+    // Asks: offers selling base for quote; bids: offers selling quote for base
+    const askOffers = await this._fetchOffers(entry.base, entry.quote, ledgerIndex);
+    const bidOffers = await this._fetchOffers(entry.quote, entry.base, ledgerIndex);
+
+    const asks = askOffers.offers.map(offer => {
+      const gets = amountValue(offer.taker_gets_funded || offer.TakerGets);
+      const pays = amountValue(offer.taker_pays_funded || offer.TakerPays);
+      return { price: pays / gets, amount: gets, account: offer.Account };
+    }).filter(level => level.amount > 0 && Number.isFinite(level.price)).sort((a, b) => a.price - b.price);
+
+    const bids = bidOffers.offers.map(offer => {
+      const gets = amountValue(offer.taker_gets_funded || offer.TakerGets);
+      const pays = amountValue(offer.taker_pays_funded || offer.TakerPays);
+      return { price: gets / pays, amount: pays, account: offer.Account };
+    }).filter(level => level.amount > 0 && Number.isFinite(level.price)).sort((a, b) => b.price - a.price);
+
+    const bestBid = bids.length > 0 ? bids[0].price : null;
+    const bestAsk = asks.length > 0 ? asks[0].price : null;
+    const mid = bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null;
+
+    return {
+      id: entry.id,
+      bids,
+      asks,
+      mid,
+      spread: mid ? (bestAsk - bestBid) / bestAsk : null,
+      depth: {
+        bid: bids.reduce((sum, level) => sum + level.amount, 0),
+        ask: asks.reduce((sum, level) => sum + level.amount, 0)
+      },
+      truncated: askOffers.truncated || bidOffers.truncated,
+      ledgerIndex: askOffers.ledgerIndex,
+      fetchedAt: Date.now(),
+      source: 'ledger',
+      stale: false,
+      mock: false
+    };
+  }
+
+  /**
+   * Page book_offers up to bookDepth offers
+   * @private
+   */
+  async _fetchOffers(takerGets, takerPays, ledgerIndex) {
+    const offers = [];
+    let marker;
+    let ledger;
+
+    do {
+      const request = {
+        command: 'book_offers',
+        taker_gets: takerGets,
+        taker_pays: takerPays,
+        limit: Math.min(this.bookDepth - offers.length, 400),
+        ledger_index: ledger || ledgerIndex
+      };
+      if (marker) request.marker = marker;
+
+      const response = await this.client.request(request);
+      offers.push(...response.result.offers);
+      marker = response.result.marker;
+      // Later pages must read the same ledger as the first
+      ledger = ledger || response.result.ledger_index;
+    } while (marker && offers.length < this.bookDepth);
+
+    return { offers: offers.slice(0, this.bookDepth), truncated: Boolean(marker), ledgerIndex: ledger };
+  }
+
+  /**
+   * Read entries one by one, falling back to the last good read, then a mock
+   * @private
+   */
+  async _readAll(entries, kind, fetch, fallback, key) {
+    const items = [];
+    const errors = [];
+    const now = Date.now();
+
+    for (const entry of entries) {
+      const cacheKey = `${kind}:${entry.id}`;
+      try {
+        const item = await fetch(entry);
+        this.lastGood.set(cacheKey, item);
+        items.push(item);
+      } catch (error) {
+        errors.push({ id: entry.id, error: error.data && error.data.error ? error.data.error : error.message });
+
+        const cached = this.lastGood.get(cacheKey);
+        if (cached) {
+          items.push({ ...cached, source: 'cache', stale: now - cached.fetchedAt > this.staleAfter });
+        } else if (fallback) {
+          items.push({ ...fallback(entry), id: entry.id, source: 'mock', stale: false, mock: true, fetchedAt: now });
+        }
+      }
+    }
+
+    return {
+      [key]: items,
+      mock: items.some(item => item.mock),
+      stale: items.some(item => item.stale),
+      errors
+    };
+  }
+
+  /**
+   * @private
+   */
+  _isAsset(amount, asset) {
+    if (typeof amount === 'string') {
+      return asset.currency === 'XRP';
+    }
+    return amount.currency === asset.currency && amount.issuer === asset.issuer;
+  }
+}
+
+module.exports = { LedgerMarketReader, parseAsset, amountValue };
@@ -0,0 +1,515 @@
+/**
+ * LP Position Ledger
+ *
+ * Accounting for AMM liquidity positions from actual pool state:
+ * - Each position keeps its LP tokens, the amounts deposited and the pool's
+ *   value per LP token (sqrt(reserve * reserve2) / LP supply) at entry
+ * - Only trading fees grow value per LP token, so fees accrued are the
+ *   position value above what the same LP tokens would be worth at the
+ *   entry value per token
+ * - Impermanent loss is the fee-free position value against holding the
+ *   deposited amounts, both at the current pool price
+ * - Withdrawals realize fees, impermanent loss and PnL pro rata
+ *
+ * Values are in quote units of the pool. Pool states are normalized pools
+ * as returned by LedgerMarketReader.fetchPool ({ id, reserves, lpTokenSupply,
+ * fetchedAt, ledgerIndex }).
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { TimeSeriesStore, MEASUREMENTS } = require('./timeseries-store');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// LP token balances below this count as fully withdrawn
+const DUST = 1e-9;
+
+const sharedLedgers = new Map();
+
+/**
+ * Value per LP token and price of a pool state
+ * @private
+ */
+function poolMetrics(pool) {
+  if (!pool || !pool.reserves || !(pool.lpTokenSupply > 0) || !(pool.reserves.base > 0) || !(pool.reserves.quote > 0)) {
+    throw new Error(`Pool state for ${pool && pool.id} needs reserves and LP token supply`);
+  }
+  return {
+    price: pool.reserves.quote / pool.reserves.base,
+    valuePerLpToken: Math.sqrt(pool.reserves.base * pool.reserves.quote) / pool.lpTokenSupply,
+    timestamp: pool.fetchedAt || Date.now(),
+    ledgerIndex: pool.ledgerIndex
+  };
+}
+
+class LpPositionLedger extends EventEmitter {
+  /**
+   * Initialize the position ledger
+   * @param {Object} options Configuration options
+   * @param {string|null} options.storagePath JSON file of positions (default: data/positions/lp-positions.json, null keeps them in memory)
+   * @param {LedgerMarketReader} options.reader Reader used by refresh() to read pool state
+   * @param {TimeSeriesStore|null} options.timeSeries Store for position snapshots (default: the shared store, null disables)
+   * @param {number} options.minHistory Milliseconds a position must be held before APYs are reported (default: 1 hour)
+   */
+  constructor(options = {}) {
+    super();
+    this.storagePath = options.storagePath === undefined
+      ? path.join(__dirname, '../../data/positions/lp-positions.json')
+      : options.storagePath;
+    this.reader = options.reader || null;
+    this.timeSeries = options.timeSeries;
+    this.minHistory = options.minHistory === undefined ? 60 * 60 * 1000 : options.minHistory;
+
+    this.positions = new Map(); // Positions by id
+    this.pools = new Map(); // Latest pool state by pool id
+    this._load();
+  }
+
+  /**
+   * Ledger shared by every component using the same storage file
+   * @param {Object} options Ledger options (see constructor)
+   * @returns {LpPositionLedger} Shared ledger
+   */
+  static shared(options = {}) {
+    const key = options.storagePath === undefined
+      ? path.join(__dirname, '../../data/positions/lp-positions.json')
+      : options.storagePath;
+    if (key === null) {
+      return new LpPositionLedger(options);
+    }
+    if (!sharedLedgers.has(key)) {
+      sharedLedgers.set(key, new LpPositionLedger({ ...options, storagePath: key }));
+    }
+    return sharedLedgers.get(key);
+  }
+
+  /**
+   * Record a deposit as a new position
+   * @param {Object} deposit Deposit details
+   * @param {string} deposit.pool Pool ID (e.g. 'XRP/USD')
+   * @param {number} deposit.lpTokens LP tokens received
+   * @param {Object} deposit.poolState Pool state right after the deposit
+   * @param {Object} deposit.deposited { base, quote } amounts paid in (default: the LP share of the pool reserves)
+   * @param {string} deposit.id Position ID (default: random)
+   * @param {string} deposit.account Account holding the LP tokens
+   * @param {string} deposit.txHash Deposit transaction hash
+   * @returns {Object} Position
+   */
+  openPosition(deposit) {
+    if (!deposit || !deposit.pool || !(deposit.lpTokens > 0)) {
+      throw new Error('A position needs a pool and a positive LP token amount');
+    }
+    const id = deposit.id || crypto.randomBytes(8).toString('hex');
+    if (this.positions.has(id)) {
+      throw new Error(`Position ${id} already exists`);
+    }
+
+    const entry = poolMetrics(deposit.poolState);
+    const deposited = deposit.deposited || this._shareOf(deposit.poolState, deposit.lpTokens);
+    const position = {
+      id,
+      pool: deposit.pool,
+      account: deposit.account || null,
+      lpTokens: deposit.lpTokens,
+      deposited: { base: deposited.base || 0, quote: deposited.quote || 0 },
+      entry: {
+        price: entry.price,
+        value: (deposited.base || 0) * entry.price + (deposited.quote || 0), // Deposits at their deposit-time price
+        valuePerLpToken: entry.valuePerLpToken,
+        timestamp: entry.timestamp,
+        ledgerIndex: entry.ledgerIndex
+      },
+      openedAt: entry.timestamp,
+      closedAt: null,
+      realized: { fees: 0, impermanentLoss: 0, pnl: 0, withdrawn: { base: 0, quote: 0 } },
+      events: [{ type: 'deposit', lpTokens: deposit.lpTokens, deposited, timestamp: entry.timestamp, txHash: deposit.txHash }]
+    };
+
+    this.positions.set(id, position);
+    this.pools.set(deposit.pool, deposit.poolState);
+    this._save();
+    this.emit('positionOpened', position);
+    return position;
+  }
+
+  /**
+   * Add liquidity to an open position
+   * The entry value per LP token and entry time become LP-weighted averages,
+   * so fees already accrued on the existing tokens are kept.
+   * @param {string} id Position ID
+   * @param {Object} deposit { lpTokens, poolState, deposited, txHash } (see openPosition)
+   * @returns {Object} Position
+   */
+  addLiquidity(id, deposit) {
+    const position = this._getOpen(id);
+    if (!deposit || !(deposit.lpTokens > 0)) {
+      throw new Error('A deposit needs a positive LP token amount');
+    }
+
+    const state = poolMetrics(deposit.poolState);
+    const deposited = deposit.deposited || this._shareOf(deposit.poolState, deposit.lpTokens);
+    const total = position.lpTokens + deposit.lpTokens;
+    const weight = deposit.lpTokens / total;
+
+    position.entry.valuePerLpToken += (state.valuePerLpToken - position.entry.valuePerLpToken) * weight;
+    position.entry.timestamp = Math.round(position.entry.timestamp + (state.timestamp - position.entry.timestamp) * weight);
+    position.entry.value += (deposited.base || 0) * state.price + (deposited.quote || 0);
+    position.deposited.base += deposited.base || 0;
+    position.deposited.quote += deposited.quote || 0;
+    position.lpTokens = total;
+    position.events.push({ type: 'deposit', lpTokens: deposit.lpTokens, deposited, timestamp: state.timestamp, txHash: deposit.txHash });
+
+    this.pools.set(position.pool, deposit.poolState);
+    this._save();
+    return position;
+  }
+
+  /**
+   * Withdraw LP tokens from a position and realize their share of fees,
+   * impermanent loss and PnL
+   * @param {string} id Position ID
+   * @param {Object} withdrawal Withdrawal details
+   * @param {number} withdrawal.lpTokens LP tokens redeemed (default: all)
+   * @param {Object} withdrawal.poolState Pool state right before the withdrawal
+   * @param {Object} withdrawal.received { base, quote } amounts paid out (default: the LP share of the pool reserves)
+   * @param {string} withdrawal.txHash Withdrawal transaction hash
+   * @returns {Object} Realized { fees, impermanentLoss, pnl, value, received }
+   */
+  withdraw(id, withdrawal = {}) {
+    const position = this._getOpen(id);
+    const lpTokens = withdrawal.lpTokens === undefined ? position.lpTokens : withdrawal.lpTokens;
+    if (!(lpTokens > 0) || lpTokens > position.lpTokens + DUST) {
+      throw new Error(`Cannot withdraw ${lpTokens} LP tokens from position ${id} holding ${position.lpTokens}`);
+    }
+
+    const valuation = this.valuePosition(id, withdrawal.poolState);
+    const fraction = Math.min(1, lpTokens / position.lpTokens);
+    const received = withdrawal.received || this._shareOf(withdrawal.poolState, lpTokens);
+    const realized = {
+      fees: valuation.fees * fraction,
+      impermanentLoss: valuation.impermanentLoss * fraction,
+      pnl: valuation.pnl * fraction,
+      value: valuation.value * fraction,
+      received
+    };
+
+    position.realized.fees += realized.fees;
+    position.realized.impermanentLoss += realized.impermanentLoss;
+    position.realized.pnl += realized.pnl;
+    position.realized.withdrawn.base += received.base || 0;
+    position.realized.withdrawn.quote += received.quote || 0;
+    position.deposited.base *= 1 - fraction;
+    position.deposited.quote *= 1 - fraction;
+    position.entry.value *= 1 - fraction;
+    position.lpTokens -= lpTokens;
+    if (position.lpTokens < DUST) {
+      position.lpTokens = 0;
+      position.closedAt = valuation.timestamp;
+    }
+    position.events.push({ type: 'withdraw', lpTokens, received, timestamp: valuation.timestamp, txHash: withdrawal.txHash });
+
+    this.pools.set(position.pool, withdrawal.poolState);
+    this._save();
+    this.emit('positionWithdrawn', { position, realized });
+    return realized;
+  }
+
+  /**
+   * Record the latest state of one or more pools and snapshot the open
+   * positions in them
+   * @param {Object|Array<Object>} pools Pool states; mocked and stale pools are ignored
+   * @returns {Array<Object>} Valuations of the positions that were marked
+   */
+  mark(pools) {
+    const valuations = [];
+    [].concat(pools || []).forEach(pool => {
+      if (!pool || pool.mock || pool.stale || !pool.reserves) return;
+      this.pools.set(pool.id, pool);
+
+      this._openPositions(pool.id).forEach(position => {
+        const valuation = this.valuePosition(position.id, pool);
+        valuations.push(valuation);
+        this._recordSnapshot(valuation);
+      });
+    });
+
+    if (valuations.length > 0) {
+      this._save();
+      this.emit('mark', valuations);
+    }
+    return valuations;
+  }
+
+  /**
+   * Read the pools of open positions through the reader and mark them
+   * @param {Object} options Read options
+   * @param {string|number} options.ledgerIndex Ledger to read (default: 'validated')
+   * @returns {Promise<Array<Object>>} Valuations of the positions that were marked
+   */
+  async refresh({ ledgerIndex = 'validated' } = {}) {
+    if (!this.reader) {
+      throw new Error('LpPositionLedger needs a LedgerMarketReader to refresh');
+    }
+    const poolIds = new Set(this._openPositions().map(position => position.pool));
+    const entries = this.reader.watchlist.filter(entry => poolIds.has(entry.id));
+    const pools = [];
+
+    for (const entry of entries) {
+      try {
+        pools.push(await this.reader.fetchPool(entry, ledgerIndex));
+      } catch (error) {
+        console.warn(`⚠️ Could not read pool ${entry.id} for LP positions: ${error.message}`);
+      }
+    }
+    return this.mark(pools);
+  }
+
+  /**
+   * Value a position against a pool state
+   * @param {string} id Position ID
+   * @param {Object} poolState Pool state (default: the latest state seen for the pool)
+   * @returns {Object} { value, holdValue, entryValue, fees, impermanentLoss, impermanentLossPct, pnl, feeApy, ilApy, netApy, ... }
+   */
+  valuePosition(id, poolState) {
+    const position = this.positions.get(id);
+    if (!position) {
+      throw new Error(`Unknown position ${id}`);
+    }
+    const state = poolState || this.pools.get(position.pool);
+    const current = poolMetrics(state);
+
+    // value = share * (base * price + quote) = lpTokens * valuePerLpToken * 2 * sqrt(price)
+    const valuePerUnit = 2 * Math.sqrt(current.price);
+    const value = position.lpTokens * current.valuePerLpToken * valuePerUnit;
+    const valueWithoutFees = position.lpTokens * position.entry.valuePerLpToken * valuePerUnit;
+    const holdValue = position.deposited.base * current.price + position.deposited.quote;
+    const entryValue = position.entry.value;
+
+    const fees = value - valueWithoutFees;
+    const impermanentLoss = valueWithoutFees - holdValue;
+    const elapsed = current.timestamp - position.entry.timestamp;
+    const annualize = amount => (elapsed >= this.minHistory && elapsed > 0 && holdValue > 0
+      ? (amount / holdValue) * (YEAR_MS / elapsed)
+      : null);
+
+    return {
+      id: position.id,
+      pool: position.pool,
+      lpTokens: position.lpTokens,
+      price: current.price,
+      value,
+      holdValue,
+      entryValue,
+      fees,
+      impermanentLoss,
+      impermanentLossPct: holdValue > 0 ? impermanentLoss / holdValue : 0,
+      pnl: value - entryValue,
+      feeApy: annualize(fees),
+      ilApy: annualize(impermanentLoss),
+      netApy: annualize(fees + impermanentLoss),
+      elapsed,
+      realized: { ...position.realized, withdrawn: { ...position.realized.withdrawn } },
+      timestamp: current.timestamp,
+      ledgerIndex: current.ledgerIndex
+    };
+  }
+
+  /**
+   * Measured performance of the open positions in a pool, weighted by the
+   * value of holding their deposits
+   * @param {string} poolId Pool ID
+   * @returns {Object|null} { pool, value, holdValue, fees, impermanentLoss, feeApy, ilApy, netApy, positions } or null without enough history
+   */
+  getPoolPerformance(poolId) {
+    if (!this.pools.has(poolId)) return null;
+    const valuations = this._openPositions(poolId)
+      .map(position => this._tryValue(position.id))
+      .filter(valuation => valuation && valuation.netApy !== null);
+    if (valuations.length === 0) return null;
+
+    const sum = key => valuations.reduce((total, valuation) => total + valuation[key], 0);
+    const holdValue = sum('holdValue');
+    const weighted = key => valuations.reduce((total, valuation) => total + valuation[key] * valuation.holdValue, 0) / holdValue;
+
+    return {
+      pool: poolId,
+      value: sum('value'),
+      holdValue,
+      fees: sum('fees'),
+      impermanentLoss: sum('impermanentLoss'),
+      feeApy: weighted('feeApy'),
+      ilApy: weighted('ilApy'),
+      netApy: weighted('netApy'),
+      positions: valuations.length
+    };
+  }
+
+  /**
+   * Report of every position with unrealized and realized totals per pool
+   * @returns {Object} { timestamp, positions, pools, totals }
+   */
+  getReport() {
+    const positions = [];
+    const pools = {};
+    const totals = { value: 0, holdValue: 0, fees: 0, impermanentLoss: 0, realized: { fees: 0, impermanentLoss: 0, pnl: 0 } };
+
+    this.positions.forEach(position => {
+      const valuation = position.closedAt ? null : this._tryValue(position.id);
+      positions.push({
+        id: position.id,
+        pool: position.pool,
+        account: position.account,
+        openedAt: position.openedAt,
+        closedAt: position.closedAt,
+        valuation,
+        realized: position.realized
+      });
+
+      const pool = pools[position.pool] = pools[position.pool] ||
+        { value: 0, holdValue: 0, fees: 0, impermanentLoss: 0, realized: { fees: 0, impermanentLoss: 0, pnl: 0 } };
+      [pool, totals].forEach(bucket => {
+        if (valuation) {
+          bucket.value += valuation.value;
+          bucket.holdValue += valuation.holdValue;
+          bucket.fees += valuation.fees;
+          bucket.impermanentLoss += valuation.impermanentLoss;
+        }
+        bucket.realized.fees += position.realized.fees;
+        bucket.realized.impermanentLoss += position.realized.impermanentLoss;
+        bucket.realized.pnl += position.realized.pnl;
+      });
+    });
+
+    Object.keys(pools).forEach(poolId => {
+      const performance = this.getPoolPerformance(poolId);
+      pools[poolId].netApy = performance ? performance.netApy : null;
+      pools[poolId].feeApy = performance ? performance.feeApy : null;
+    });
+
+    return { timestamp: Date.now(), positions, pools, totals };
+  }
+
+  /**
+   * @param {boolean} includeClosed Include closed positions (default: false)
+   * @returns {Array<Object>} Positions
+   */
+  listPositions(includeClosed = false) {
+    return Array.from(this.positions.values()).filter(position => includeClosed || !position.closedAt);
+  }
+
+  /**
+   * @private
+   */
+  _openPositions(poolId) {
+    return this.listPositions().filter(position => poolId === undefined || position.pool === poolId);
+  }
+
+  /**
+   * @private
+   */
+  _getOpen(id) {
+    const position = this.positions.get(id);
+    if (!position) {
+      throw new Error(`Unknown position ${id}`);
+    }
+    if (position.closedAt) {
+      throw new Error(`Position ${id} is closed`);
+    }
+    return position;
+  }
+
+  /**
+   * Valuation at the latest pool state, or null when the pool was never seen
+   * @private
+   */
+  _tryValue(id) {
+    try {
+      return this.valuePosition(id);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Amounts an LP token balance redeems for in a pool state
+   * @private
+   */
+  _shareOf(poolState, lpTokens) {
+    poolMetrics(poolState);
+    const share = lpTokens / poolState.lpTokenSupply;
+    return { base: poolState.reserves.base * share, quote: poolState.reserves.quote * share };
+  }
+
+  /**
+   * Time-series store, created on first use
+   * @private
+   * @returns {TimeSeriesStore|null} Store or null when recording is disabled
+   */
+  _getTimeSeries() {
+    if (this.timeSeries === undefined) {
+      this.timeSeries = TimeSeriesStore.shared();
+    }
+    return this.timeSeries;
+  }
+
+  /**
+   * @private
+   */
+  _recordSnapshot(valuation) {
+    const timeSeries = this._getTimeSeries();
+    if (!timeSeries) return;
+
+    try {
+      timeSeries.write(MEASUREMENTS.LP_POSITION, {
+        value: valuation.value,
+        holdValue: valuation.holdValue,
+        fees: valuation.fees,
+        impermanentLoss: valuation.impermanentLoss,
+        netApy: valuation.netApy === null ? undefined : valuation.netApy,
+        ledgerIndex: valuation.ledgerIndex
+      }, { tags: { position: valuation.id, pool: valuation.pool }, timestamp: valuation.timestamp });
+    } catch (error) {
+      console.warn('Error recording LP position snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Load positions and the pool states they were last valued at
+   * @private
+   */
+  _load() {
+    if (!this.storagePath) return;
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+        (stored.positions || []).forEach(position => this.positions.set(position.id, position));
+        Object.entries(stored.pools || {}).forEach(([id, pool]) => this.pools.set(id, pool));
+      }
+    } catch (error) {
+      console.warn('Error loading LP positions:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    if (!this.storagePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+      const tmpPath = `${this.storagePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        positions: Array.from(this.positions.values()),
+        pools: Object.fromEntries(this.pools)
+      }, null, 2));
+      fs.renameSync(tmpPath, this.storagePath);
+    } catch (error) {
+      console.error('Error saving LP positions:', error.message);
+    }
+  }
+}
+
+module.exports = { LpPositionLedger };
@@ -0,0 +1,518 @@
+/**
+ * Portfolio Tracker
+ *
+ * Reconstructs what each bot wallet actually holds from the ledger and
+ * marks it to market:
+ * - XRP balance, trust line balances, escrows the wallet funded and AMM LP
+ *   tokens (valued through the pool's reserves)
+ * - Open offers are listed as open orders; their funds stay in the
+ *   balances above and are not counted twice
+ * - Prices come from the PriceOracle as <CURRENCY>/<quote currency>;
+ *   holdings without a usable reading are reported as unpriced and left
+ *   out of totals
+ * - Cost basis is average cost per asset: quantity increases are added at
+ *   the mark price of the refresh that first sees them and decreases
+ *   realize PnL against the average cost
+ * - Daily PnL is total PnL (unrealized + realized) against the first
+ *   refresh of the UTC day
+ *
+ * Values are in the quote currency (default: USD).
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { amountValue } = require('./ledger-market-reader');
+const { TimeSeriesStore, MEASUREMENTS } = require('./timeseries-store');
+const { PriceOracle } = require('../oracles/price-oracle');
+
+/**
+ * Whether a trust line currency is an AMM LP token (40 hex chars starting 03)
+ * @private
+ */
+function isLpToken(currency) {
+  return /^03[0-9A-F]{38}$/i.test(currency);
+}
+
+/**
+ * Asset key as used by LedgerMarketReader watchlists ('XRP' or 'CUR.rIssuer')
+ * @private
+ */
+function assetKey(amount) {
+  if (typeof amount === 'string' || !amount || amount.currency === 'XRP') return 'XRP';
+  return `${amount.currency}.${amount.issuer}`;
+}
+
+/**
+ * @private
+ */
+function utcDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+class PortfolioTracker extends EventEmitter {
+  /**
+   * Initialize the portfolio tracker
+   * @param {Object} options Configuration options
+   * @param {xrpl.Client} options.client Connected XRPL client
+   * @param {Array<Object>} options.wallets Wallets to track: [{ id, address }]
+   * @param {PriceOracle} options.priceOracle Oracle used to mark holdings (default: the shared oracle, with ledger sources on this client)
+   * @param {string} options.quoteCurrency Currency values are expressed in (default: 'USD')
+   * @param {Object} options.priceSymbols Oracle symbol by asset key or currency, overriding <CURRENCY>/<quote>
+   * @param {string|null} options.storagePath JSON file of cost basis and day-open PnL (default: data/portfolio/portfolio.json, null keeps it in memory)
+   * @param {TimeSeriesStore|null} options.timeSeries Store for portfolio snapshots (default: the shared store, null disables)
+   */
+  constructor(options = {}) {
+    super();
+    this.client = options.client;
+    this.priceOracle = options.priceOracle || PriceOracle.shared({ client: this.client });
+    this.quoteCurrency = options.quoteCurrency || 'USD';
+    this.priceSymbols = options.priceSymbols || {};
+    this.storagePath = options.storagePath === undefined
+      ? path.join(__dirname, '../../data/portfolio/portfolio.json')
+      : options.storagePath;
+    this.timeSeries = options.timeSeries;
+
+    this.wallets = new Map(); // { id, address } by id
+    this.books = {}; // Cost basis and day-open PnL by wallet id
+    this.snapshot = null;
+
+    (options.wallets || []).forEach(wallet => this.addWallet(wallet));
+    this._load();
+  }
+
+  /**
+   * Track a wallet
+   * @param {Object} wallet Wallet to track
+   * @param {string} wallet.address Classic address
+   * @param {string} wallet.id Display ID, e.g. the bot name (default: the address)
+   * @returns {PortfolioTracker} this
+   */
+  addWallet(wallet) {
+    if (!wallet || !wallet.address) {
+      throw new Error('A tracked wallet needs an address');
+    }
+    const id = wallet.id || wallet.address;
+    this.wallets.set(id, { id, address: wallet.address });
+    return this;
+  }
+
+  removeWallet(id) {
+    this.wallets.delete(id);
+  }
+
+  /**
+   * Read what an account holds
+   * @param {string} address Classic address
+   * @param {Object} options Read options
+   * @param {string|number} options.ledgerIndex Ledger to read (default: 'validated')
+   * @returns {Promise<Object>} { address, ledgerIndex, holdings: [{ asset, currency, issuer, amount, kind, pool? }], openOrders }
+   */
+  async readHoldings(address, { ledgerIndex = 'validated' } = {}) {
+    if (!this.client) {
+      throw new Error('XRPL client required to read holdings');
+    }
+
+    const info = await this.client.request({ command: 'account_info', account: address, ledger_index: ledgerIndex });
+    const holdings = [{
+      asset: 'XRP',
+      currency: 'XRP',
+      issuer: null,
+      amount: amountValue(info.result.account_data.Balance),
+      kind: 'balance'
+    }];
+
+    const lines = await this._readPaged({ command: 'account_lines', account: address, ledger_index: ledgerIndex }, 'lines');
+    for (const line of lines) {
+      const amount = Number(line.balance);
+      if (!(amount > 0)) continue; // Zero lines and lines we issue hold nothing
+
+      if (isLpToken(line.currency)) {
+        holdings.push({ ...(await this._readLpHolding(line, ledgerIndex)), amount });
+      } else {
+        holdings.push({ asset: `${line.currency}.${line.account}`, currency: line.currency, issuer: line.account, amount, kind: 'balance' });
+      }
+    }
+
+    const objects = await this._readPaged({ command: 'account_objects', account: address, ledger_index: ledgerIndex }, 'account_objects');
+    const openOrders = [];
+    objects.forEach(object => {
+      if (object.LedgerEntryType === 'Escrow' && object.Account === address) {
+        const asset = assetKey(object.Amount);
+        holdings.push({
+          asset,
+          currency: asset === 'XRP' ? 'XRP' : object.Amount.currency,
+          issuer: asset === 'XRP' ? null : object.Amount.issuer,
+          amount: amountValue(object.Amount),
+          kind: 'escrow',
+          destination: object.Destination
+        });
+      } else if (object.LedgerEntryType === 'Offer') {
+        openOrders.push({
+          sequence: object.Sequence,
+          gets: { asset: assetKey(object.TakerGets), amount: amountValue(object.TakerGets) },
+          pays: { asset: assetKey(object.TakerPays), amount: amountValue(object.TakerPays) }
+        });
+      }
+    });
+
+    return {
+      address,
+      ledgerIndex: info.result.ledger_index || info.result.ledger_current_index,
+      holdings,
+      openOrders
+    };
+  }
+
+  /**
+   * Read every tracked wallet, mark it to market and update cost basis and PnL
+   * @param {Object} options Read options
+   * @param {string|number} options.ledgerIndex Ledger to read (default: 'validated')
+   * @returns {Promise<Object>} Snapshot { timestamp, wallets, totals, exposure }
+   */
+  async refresh({ ledgerIndex = 'validated' } = {}) {
+    const timestamp = Date.now();
+    const prices = new Map(); // Pending oracle readings for this refresh by symbol
+    const wallets = {};
+
+    for (const { id, address } of this.wallets.values()) {
+      try {
+        const read = await this.readHoldings(address, { ledgerIndex });
+        const holdings = await Promise.all(read.holdings.map(holding => this._markHolding(holding, prices)));
+        wallets[id] = this._account(id, { ...read, holdings }, timestamp);
+      } catch (error) {
+        console.warn(`⚠️ Could not refresh portfolio for ${id}: ${error.message}`);
+        // Keep the last good figures so totals do not drop to zero on a failed read
+        const previous = (this.snapshot && this.snapshot.wallets[id]) || PortfolioTracker._emptyWallet(id, address);
+        wallets[id] = { ...previous, stale: true, error: error.message };
+      }
+    }
+
+    const list = Object.values(wallets);
+    const sum = key => list.reduce((total, wallet) => total + wallet[key], 0);
+    this.snapshot = {
+      timestamp,
+      quoteCurrency: this.quoteCurrency,
+      wallets,
+      totals: {
+        value: sum('value'),
+        costBasis: sum('costBasis'),
+        unrealizedPnl: sum('unrealizedPnl'),
+        realizedPnl: sum('realizedPnl'),
+        dailyPnl: sum('dailyPnl')
+      },
+      exposure: PortfolioTracker._mergeExposure(list.map(wallet => wallet.exposure))
+    };
+
+    this._save();
+    list.forEach(wallet => this._recordSnapshot(wallet, timestamp));
+    this.emit('update', this.snapshot);
+    return this.snapshot;
+  }
+
+  /**
+   * Latest snapshot, or the latest snapshot of one wallet
+   * @param {string} walletId Wallet ID (default: all wallets)
+   * @returns {Object|null} Snapshot or null before the first refresh
+   */
+  getSnapshot(walletId) {
+    if (!this.snapshot) return null;
+    return walletId === undefined ? this.snapshot : this.snapshot.wallets[walletId] || null;
+  }
+
+  /**
+   * Value and weight by asset and by issuer, LP tokens split into their pool assets
+   * @param {string} walletId Wallet ID (default: all wallets)
+   * @returns {Object|null} { byAsset, byIssuer }
+   */
+  getExposure(walletId) {
+    const snapshot = this.getSnapshot(walletId);
+    return snapshot ? snapshot.exposure : null;
+  }
+
+  /**
+   * PnL summary
+   * @param {string} walletId Wallet ID (default: all wallets)
+   * @returns {Object|null} { value, costBasis, unrealizedPnl, realizedPnl, dailyPnl }
+   */
+  getPnl(walletId) {
+    const snapshot = this.getSnapshot(walletId);
+    if (!snapshot) return null;
+    const source = walletId === undefined ? snapshot.totals : snapshot;
+    const { value, costBasis, unrealizedPnl, realizedPnl, dailyPnl } = source;
+    return { value, costBasis, unrealizedPnl, realizedPnl, dailyPnl };
+  }
+
+  /**
+   * LP token holding with the pool assets it redeems for
+   * @private
+   */
+  async _readLpHolding(line, ledgerIndex) {
+    const response = await this.client.request({ command: 'amm_info', amm_account: line.account, ledger_index: ledgerIndex });
+    const amm = response.result.amm;
+    return {
+      asset: `${line.currency}.${line.account}`,
+      currency: line.currency,
+      issuer: line.account,
+      kind: 'lp',
+      pool: {
+        account: amm.account,
+        lpTokenSupply: Number(amm.lp_token.value),
+        reserves: [
+          { asset: assetKey(amm.amount), amount: amountValue(amm.amount) },
+          { asset: assetKey(amm.amount2), amount: amountValue(amm.amount2) }
+        ]
+      }
+    };
+  }
+
+  /**
+   * Page through a list command with markers
+   * @private
+   */
+  async _readPaged(request, key) {
+    const items = [];
+    let marker;
+    do {
+      const response = await this.client.request({ ...request, ...(marker ? { marker } : {}) });
+      items.push(...(response.result[key] || []));
+      marker = response.result.marker;
+    } while (marker);
+    return items;
+  }
+
+  /**
+   * Attach price and value to a holding; LP tokens also get their underlying split
+   * @private
+   */
+  async _markHolding(holding, prices) {
+    if (holding.kind !== 'lp') {
+      const price = await this._price(holding.asset, prices);
+      return { ...holding, price, value: price === null ? null : holding.amount * price };
+    }
+
+    const share = holding.pool.lpTokenSupply > 0 ? holding.amount / holding.pool.lpTokenSupply : 0;
+    const underlying = [];
+    for (const reserve of holding.pool.reserves) {
+      const price = await this._price(reserve.asset, prices);
+      const amount = reserve.amount * share;
+      underlying.push({ asset: reserve.asset, amount, price, value: price === null ? null : amount * price });
+    }
+    const priced = underlying.every(part => part.value !== null);
+    const value = priced ? underlying.reduce((total, part) => total + part.value, 0) : null;
+    return { ...holding, underlying, price: priced && holding.amount > 0 ? value / holding.amount : null, value };
+  }
+
+  /**
+   * Mark price of an asset in the quote currency, or null without a usable reading
+   * @private
+   */
+  async _price(asset, prices) {
+    const currency = asset === 'XRP' ? 'XRP' : asset.split('.')[0];
+    const override = this.priceSymbols[asset] !== undefined ? this.priceSymbols[asset] : this.priceSymbols[currency];
+    if (override === undefined && currency === this.quoteCurrency) return 1;
+
+    const symbol = override === undefined ? `${currency}/${this.quoteCurrency}` : override;
+    if (symbol === null) return null; // Explicitly unpriced
+    if (!prices.has(symbol)) {
+      prices.set(symbol, this.priceOracle.getPrice(symbol).catch(() => null));
+    }
+    const reading = await prices.get(symbol);
+    return PriceOracle.isUsable(reading) ? reading.price : null;
+  }
+
+  /**
+   * Update cost basis from marked holdings and build the wallet snapshot
+   * @private
+   */
+  _account(id, read, timestamp) {
+    const book = this.books[id] = this.books[id] || { assets: {}, dayOpen: null };
+
+    // Quantities and prices per asset (balance and escrow are the same asset)
+    const positions = {};
+    read.holdings.forEach(holding => {
+      const position = positions[holding.asset] = positions[holding.asset] || { quantity: 0, value: 0, price: holding.price };
+      position.quantity += holding.amount;
+      position.value = position.value === null || holding.value === null ? null : position.value + holding.value;
+      if (holding.price === null) position.price = null;
+    });
+
+    let value = 0;
+    let costBasis = 0;
+    let realizedPnl = 0;
+    const unpriced = [];
+
+    Object.entries(positions).forEach(([asset, position]) => {
+      const entry = book.assets[asset] = book.assets[asset] || { quantity: 0, costBasis: 0, realizedPnl: 0 };
+      if (position.price === null) {
+        unpriced.push(asset);
+        return;
+      }
+
+      const delta = position.quantity - entry.quantity;
+      if (delta > 0) {
+        entry.costBasis += delta * position.price;
+      } else if (delta < 0 && entry.quantity > 0) {
+        const averageCost = entry.costBasis / entry.quantity;
+        entry.realizedPnl += (position.price - averageCost) * -delta;
+        entry.costBasis -= averageCost * -delta;
+      }
+      entry.quantity = position.quantity;
+
+      value += position.value;
+      costBasis += entry.costBasis;
+    });
+
+    // Assets that left the wallet entirely have no mark to realize against and close at cost
+    Object.entries(book.assets).forEach(([asset, entry]) => {
+      if (!positions[asset] && entry.quantity > 0) {
+        entry.quantity = 0;
+        entry.costBasis = 0;
+      }
+      realizedPnl += entry.realizedPnl;
+    });
+
+    const unrealizedPnl = value - costBasis;
+    const totalPnl = unrealizedPnl + realizedPnl;
+    const day = utcDay(timestamp);
+    if (!book.dayOpen || book.dayOpen.date !== day) {
+      book.dayOpen = { date: day, pnl: totalPnl, value };
+    }
+
+    return {
+      id,
+      address: read.address,
+      ledgerIndex: read.ledgerIndex,
+      holdings: read.holdings,
+      openOrders: read.openOrders,
+      value,
+      costBasis,
+      unrealizedPnl,
+      realizedPnl,
+      dailyPnl: totalPnl - book.dayOpen.pnl,
+      exposure: PortfolioTracker._exposure(read.holdings),
+      unpriced,
+      stale: false
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _emptyWallet(id, address) {
+    return {
+      id,
+      address,
+      holdings: [],
+      openOrders: [],
+      value: 0,
+      costBasis: 0,
+      unrealizedPnl: 0,
+      realizedPnl: 0,
+      dailyPnl: 0,
+      exposure: { byAsset: {}, byIssuer: {} },
+      unpriced: []
+    };
+  }
+
+  /**
+   * Exposure of marked holdings by asset and issuer
+   * @private
+   */
+  static _exposure(holdings) {
+    const parts = holdings.flatMap(holding => (holding.kind === 'lp' ? holding.underlying || [] : [holding]))
+      .filter(part => part.value !== null && part.value !== undefined);
+    return PortfolioTracker._weigh(parts.map(part => ({ asset: part.asset, value: part.value })));
+  }
+
+  /**
+   * @private
+   */
+  static _mergeExposure(exposures) {
+    const parts = exposures.flatMap(exposure => Object.entries(exposure.byAsset).map(([asset, entry]) => ({ asset, value: entry.value })));
+    return PortfolioTracker._weigh(parts);
+  }
+
+  /**
+   * @private
+   */
+  static _weigh(parts) {
+    const total = parts.reduce((sum, part) => sum + part.value, 0);
+    const byAsset = {};
+    const byIssuer = {};
+    parts.forEach(({ asset, value }) => {
+      const issuer = asset === 'XRP' ? 'XRP' : asset.split('.')[1];
+      byAsset[asset] = byAsset[asset] || { value: 0, weight: 0 };
+      byIssuer[issuer] = byIssuer[issuer] || { value: 0, weight: 0 };
+      byAsset[asset].value += value;
+      byIssuer[issuer].value += value;
+    });
+    [byAsset, byIssuer].forEach(group => Object.values(group).forEach(entry => {
+      entry.weight = total > 0 ? entry.value / total : 0;
+    }));
+    return { byAsset, byIssuer };
+  }
+
+  /**
+   * Time-series store, created on first use
+   * @private
+   * @returns {TimeSeriesStore|null} Store or null when recording is disabled
+   */
+  _getTimeSeries() {
+    if (this.timeSeries === undefined) {
+      this.timeSeries = TimeSeriesStore.shared();
+    }
+    return this.timeSeries;
+  }
+
+  /**
+   * @private
+   */
+  _recordSnapshot(wallet, timestamp) {
+    const timeSeries = this._getTimeSeries();
+    if (!timeSeries || wallet.stale) return;
+
+    try {
+      timeSeries.write(MEASUREMENTS.PORTFOLIO, {
+        value: wallet.value,
+        costBasis: wallet.costBasis,
+        unrealizedPnl: wallet.unrealizedPnl,
+        realizedPnl: wallet.realizedPnl,
+        dailyPnl: wallet.dailyPnl
+      }, { tags: { wallet: wallet.id }, timestamp });
+    } catch (error) {
+      console.warn('Error recording portfolio snapshot:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    if (!this.storagePath) return;
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        this.books = JSON.parse(fs.readFileSync(this.storagePath, 'utf8')).books || {};
+      }
+    } catch (error) {
+      console.warn('Error loading portfolio cost basis:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    if (!this.storagePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+      const tmpPath = `${this.storagePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ books: this.books }, null, 2));
+      fs.renameSync(tmpPath, this.storagePath);
+    } catch (error) {
+      console.error('Error saving portfolio cost basis:', error.message);
+    }
+  }
+}
+
+module.exports = { PortfolioTracker, isLpToken };
@@ -0,0 +1,656 @@
+/**
+ * Statement Exporter
+ *
+ * Builds an activity statement for a wallet from its ledger history:
+ * - Walks account_tx oldest first and classifies every transaction from
+ *   the wallet's point of view (trade fill, AMM deposit/withdraw, DAO
+ *   stake, NFT sale, royalty, commission payout, plain transfer)
+ * - Assigns tax lots per asset, FIFO or average cost, and records every
+ *   disposal with its proceeds, cost basis and realized gain
+ * - Summarizes realized gains, income and network fees per month,
+ *   quarter or year, as JSON or CSV
+ *
+ * Valuation:
+ * - When one side of an exchange is only the quote currency, that side
+ *   is the consideration for both sides (the fill price); otherwise the
+ *   fully priced side is, at market prices for the close time
+ * - LP tokens and NFTs are never priced directly: they take the value of
+ *   whatever was given or received for them
+ * - Self-escrows (DAO stakes) lock XRP without disposing of it
+ * - Payments out realize gains at market value, the same way the
+ *   PortfolioTracker treats them; network fees are disposals of XRP
+ *   reported separately as fees
+ *
+ * History before `from` is still walked so lots carry their real cost.
+ */
+
+const xrpl = require('xrpl');
+const { TimeSeriesStore, MEASUREMENTS } = require('./timeseries-store');
+
+const TX_CATEGORIES = {
+  TRADE: 'trade',
+  AMM_DEPOSIT: 'amm_deposit',
+  AMM_WITHDRAW: 'amm_withdraw',
+  DAO_STAKE: 'dao_stake',
+  DAO_UNSTAKE: 'dao_unstake',
+  ESCROW_LOCK: 'escrow_lock',
+  ESCROW_RELEASE: 'escrow_release',
+  NFT_MINT: 'nft_mint',
+  NFT_SALE: 'nft_sale',
+  NFT_PURCHASE: 'nft_purchase',
+  ROYALTY: 'royalty',
+  COMMISSION_PAYOUT: 'commission_payout',
+  TRANSFER_IN: 'transfer_in',
+  TRANSFER_OUT: 'transfer_out',
+  OTHER: 'other' // Only the network fee changed (trust lines, placed offers, failed transactions)
+};
+
+const INCOME_CATEGORIES = [TX_CATEGORIES.ROYALTY, TX_CATEGORIES.COMMISSION_PAYOUT];
+const LOT_METHODS = ['fifo', 'average'];
+const PERIODS = ['month', 'quarter', 'year'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+const LSF_SELL_NFTOKEN = 0x00000001;
+
+/**
+ * Entry of the first deleted ledger object of a type
+ * @private
+ */
+function deletedEntry(meta, type) {
+  const node = (meta.AffectedNodes || []).find(affected => affected.DeletedNode && affected.DeletedNode.LedgerEntryType === type);
+  return node ? node.DeletedNode.FinalFields : null;
+}
+
+/**
+ * @private
+ */
+function memoTypes(object) {
+  return (object.Memos || [])
+    .map(({ Memo }) => (Memo && Memo.MemoType ? xrpl.convertHexToString(Memo.MemoType) : null))
+    .filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function periodKey(timestamp, period) {
+  const date = new Date(timestamp);
+  const year = date.getUTCFullYear();
+  if (period === 'year') return String(year);
+  if (period === 'quarter') return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+  return `${year}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * @private
+ */
+function sumValues(values) {
+  return values.reduce((total, value) => (total === null || value === null ? null : total + value), 0);
+}
+
+/**
+ * @private
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class StatementExporter {
+  /**
+   * Initialize the statement exporter
+   * @param {Object} options Configuration options
+   * @param {xrpl.Client} options.client Connected XRPL client
+   * @param {string} options.quoteCurrency Currency values are expressed in (default: 'USD')
+   * @param {string} options.method Lot method, one of LOT_METHODS (default: 'fifo')
+   * @param {string} options.period Summary period, one of PERIODS (default: 'month')
+   * @param {Function} options.priceAt (asset, timestamp) => price in the quote currency or null, may return a promise (default: recorded oracle prices)
+   * @param {number} options.maxPriceAge Oldest recorded price used for a timestamp, in milliseconds (default: 1 day)
+   * @param {TimeSeriesStore|null} options.timeSeries Store holding recorded prices (default: the shared store, null disables)
+   * @param {Array<string>} options.stakeMemoTypes Memo types marking self-escrows as DAO stakes (default: ['dao/vote', 'YieldVoteStake'])
+   * @param {string} options.commissionMemoType Memo type marking incoming payments as commission payouts (default: 'commission')
+   * @param {Array<string>} options.commissionAccounts Accounts whose payments are commission payouts (default: none)
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.quoteCurrency = options.quoteCurrency || 'USD';
+    this.method = options.method || 'fifo';
+    this.period = options.period || 'month';
+    this.priceAt = options.priceAt || null;
+    this.maxPriceAge = options.maxPriceAge || DAY_MS;
+    this.timeSeries = options.timeSeries;
+    this.stakeMemoTypes = options.stakeMemoTypes || ['dao/vote', 'YieldVoteStake'];
+    this.commissionMemoType = options.commissionMemoType || 'commission';
+    this.commissionAccounts = options.commissionAccounts || [];
+
+    StatementExporter._validate(this.method, this.period);
+  }
+
+  /**
+   * Every validated transaction of an account, oldest first
+   * @param {string} address Classic address
+   * @param {Object} options Read options
+   * @param {number} options.ledgerIndexMin First ledger (default: -1, the earliest available)
+   * @param {number} options.ledgerIndexMax Last ledger (default: -1, the latest validated)
+   * @returns {Promise<Array<Object>>} [{ tx, meta }]
+   */
+  async fetchTransactions(address, { ledgerIndexMin = -1, ledgerIndexMax = -1 } = {}) {
+    if (!this.client) {
+      throw new Error('XRPL client required to read transaction history');
+    }
+
+    const entries = [];
+    let marker;
+    do {
+      const response = await this.client.request({
+        command: 'account_tx',
+        account: address,
+        ledger_index_min: ledgerIndexMin,
+        ledger_index_max: ledgerIndexMax,
+        forward: true,
+        ...(marker ? { marker } : {})
+      });
+      (response.result.transactions || []).forEach(entry => {
+        const tx = entry.tx || entry.tx_json;
+        if (!tx || entry.validated === false || !entry.meta || typeof entry.meta !== 'object') return;
+        entries.push({ tx: { ...tx, hash: tx.hash || entry.hash }, meta: entry.meta });
+      });
+      marker = response.result.marker;
+    } while (marker);
+    return entries;
+  }
+
+  /**
+   * Classify a transaction from one wallet's point of view
+   * @param {Object} tx Transaction fields (with hash)
+   * @param {Object} meta Transaction metadata
+   * @param {string} address Wallet the statement is for
+   * @param {Object} context State carried across a walk
+   * @param {Map} context.escrows Whether each self-escrow is a stake, by 'owner:sequence'
+   * @param {Set<string>} context.commissionTxHashes Hashes known to be commission payouts
+   * @returns {Object} { category, changes: [{ asset, amount, price? }], fee, taxable }
+   */
+  classify(tx, meta, address, context = {}) {
+    const escrows = context.escrows || new Map();
+    const fee = tx.Account === address ? Number(tx.Fee || 0) / 1000000 : 0;
+    if (meta.TransactionResult !== 'tesSUCCESS') {
+      return { category: TX_CATEGORIES.OTHER, changes: [], fee, taxable: true };
+    }
+
+    const changes = StatementExporter._walletChanges(meta, address, fee);
+    const result = (category, extra = {}) => ({ category, changes, fee, taxable: true, ...extra });
+    const inflow = changes.some(change => change.amount > 0);
+    const outflow = changes.some(change => change.amount < 0);
+
+    switch (tx.TransactionType) {
+      case 'AMMCreate':
+      case 'AMMDeposit':
+        return result(TX_CATEGORIES.AMM_DEPOSIT);
+
+      case 'AMMWithdraw':
+        return result(TX_CATEGORIES.AMM_WITHDRAW);
+
+      case 'EscrowCreate':
+        if (tx.Account === address && tx.Destination === address) {
+          const stake = this._isStake(tx);
+          escrows.set(`${address}:${tx.TicketSequence || tx.Sequence}`, stake);
+          return result(stake ? TX_CATEGORIES.DAO_STAKE : TX_CATEGORIES.ESCROW_LOCK, { taxable: false });
+        }
+        break;
+
+      case 'EscrowFinish':
+      case 'EscrowCancel': {
+        const escrow = deletedEntry(meta, 'Escrow');
+        if (escrow && escrow.Account === address && escrow.Destination === address) {
+          const key = `${tx.Owner}:${tx.OfferSequence}`;
+          const stake = escrows.has(key) ? escrows.get(key) : this._isStake(escrow);
+          return result(stake ? TX_CATEGORIES.DAO_UNSTAKE : TX_CATEGORIES.ESCROW_RELEASE, { taxable: false });
+        }
+        break;
+      }
+
+      case 'NFTokenMint':
+        if (tx.Account === address && meta.nftoken_id) {
+          // A minted token costs nothing beyond the fee
+          return result(TX_CATEGORIES.NFT_MINT, { changes: [...changes, { asset: `NFT.${meta.nftoken_id}`, amount: 1, price: 0 }] });
+        }
+        break;
+
+      case 'NFTokenAcceptOffer': {
+        const offer = deletedEntry(meta, 'NFTokenOffer');
+        if (!offer) break;
+        const sellOffer = Boolean(offer.Flags & LSF_SELL_NFTOKEN);
+        const seller = sellOffer ? offer.Owner : tx.Account;
+        const buyer = sellOffer ? tx.Account : offer.Owner;
+        const nft = `NFT.${offer.NFTokenID}`;
+        if (address === seller) return result(TX_CATEGORIES.NFT_SALE, { changes: [...changes, { asset: nft, amount: -1 }] });
+        if (address === buyer) return result(TX_CATEGORIES.NFT_PURCHASE, { changes: [...changes, { asset: nft, amount: 1 }] });
+        if (inflow && !outflow) return result(TX_CATEGORIES.ROYALTY); // Transfer fee paid to the issuer
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    if (inflow && outflow) return result(TX_CATEGORIES.TRADE);
+    if (inflow) return result(this._isCommission(tx, context) ? TX_CATEGORIES.COMMISSION_PAYOUT : TX_CATEGORIES.TRANSFER_IN);
+    if (outflow) return result(TX_CATEGORIES.TRANSFER_OUT);
+    return result(TX_CATEGORIES.OTHER);
+  }
+
+  /**
+   * Build a statement of a wallet's activity
+   * @param {string} address Classic address
+   * @param {Object} options Statement options
+   * @param {number} options.from Start time inclusive, in milliseconds (default: 0)
+   * @param {number} options.to End time inclusive, in milliseconds (default: now)
+   * @param {string} options.method Lot method (default: the exporter's)
+   * @param {string} options.period Summary period (default: the exporter's)
+   * @param {Array<string>} options.commissionTxHashes Hashes of known commission payouts (default: none)
+   * @returns {Promise<Object>} { account, transactions, disposals, income, fees, periods, totals, holdings, unpriced }
+   */
+  async buildStatement(address, options = {}) {
+    const method = options.method || this.method;
+    const period = options.period || this.period;
+    StatementExporter._validate(method, period);
+    const from = options.from || 0;
+    const to = options.to !== undefined ? options.to : Date.now();
+
+    const context = { escrows: new Map(), commissionTxHashes: new Set(options.commissionTxHashes || []) };
+    const prices = new Map(); // Price lookups for this statement by asset and timestamp
+    const lots = {}; // Open lots by asset
+    const report = { transactions: [], disposals: [], income: [], fees: [] };
+
+    for (const { tx, meta } of await this.fetchTransactions(address)) {
+      const timestamp = xrpl.rippleTimeToUnixTime(tx.date);
+      if (timestamp > to) break;
+
+      const classified = this.classify(tx, meta, address, context);
+      const changes = await Promise.all(classified.changes.map(async change => {
+        const price = change.price !== undefined ? change.price : await this._price(change.asset, timestamp, prices);
+        return { ...change, price, value: price === null ? null : Math.abs(change.amount) * price };
+      }));
+      const booked = await this._book(lots, { ...classified, changes, hash: tx.hash, timestamp, method }, prices);
+
+      if (timestamp < from) continue;
+      report.transactions.push({
+        hash: tx.hash,
+        ledgerIndex: tx.ledger_index,
+        timestamp,
+        date: new Date(timestamp).toISOString(),
+        type: tx.TransactionType,
+        result: meta.TransactionResult,
+        category: classified.category,
+        counterparty: tx.Account === address ? tx.Destination || null : tx.Account,
+        changes,
+        fee: classified.fee
+      });
+      report.disposals.push(...booked.disposals);
+      report.income.push(...booked.income);
+      if (booked.fee) report.fees.push(booked.fee);
+    }
+
+    const periods = StatementExporter._summarize(report, period);
+    const sum = key => periods.reduce((total, entry) => total + entry[key], 0);
+    return {
+      account: address,
+      quoteCurrency: this.quoteCurrency,
+      method,
+      period,
+      from,
+      to,
+      generatedAt: Date.now(),
+      ...report,
+      periods,
+      totals: {
+        proceeds: sum('proceeds'),
+        costBasis: sum('costBasis'),
+        realizedGain: sum('realizedGain'),
+        income: sum('incomeTotal'),
+        fees: sum('fees')
+      },
+      holdings: StatementExporter._holdings(lots),
+      unpriced: Array.from(new Set(report.disposals.filter(disposal => disposal.gain === null).map(disposal => disposal.asset)))
+    };
+  }
+
+  /**
+   * Render one section of a statement as CSV
+   * @param {Object} statement Statement from buildStatement
+   * @param {string} section 'transactions' (one row per balance change), 'disposals' or 'periods' (default: 'transactions')
+   * @returns {string} CSV with a header row
+   */
+  static toCsv(statement, section = 'transactions') {
+    let header;
+    let rows;
+    if (section === 'transactions') {
+      header = ['date', 'hash', 'type', 'category', 'result', 'asset', 'amount', 'price', 'value', 'fee'];
+      rows = statement.transactions.flatMap(entry => {
+        const base = [entry.date, entry.hash, entry.type, entry.category, entry.result];
+        if (entry.changes.length === 0) return [[...base, '', '', '', '', entry.fee]];
+        return entry.changes.map((change, i) => [...base, change.asset, change.amount, change.price, change.value, i === 0 ? entry.fee : '']);
+      });
+    } else if (section === 'disposals') {
+      header = ['date', 'hash', 'category', 'asset', 'quantity', 'acquired', 'proceeds', 'costBasis', 'gain', 'unmatchedQuantity'];
+      rows = statement.disposals.map(disposal => [
+        new Date(disposal.timestamp).toISOString(),
+        disposal.hash,
+        disposal.category,
+        disposal.asset,
+        disposal.quantity,
+        disposal.acquiredAt === null ? null : new Date(disposal.acquiredAt).toISOString(),
+        disposal.proceeds,
+        disposal.costBasis,
+        disposal.gain,
+        disposal.unmatchedQuantity
+      ]);
+    } else if (section === 'periods') {
+      header = ['period', 'disposals', 'proceeds', 'costBasis', 'realizedGain', ...INCOME_CATEGORIES, 'fees', 'unpricedDisposals'];
+      rows = statement.periods.map(entry => [
+        entry.period,
+        entry.disposals,
+        entry.proceeds,
+        entry.costBasis,
+        entry.realizedGain,
+        ...INCOME_CATEGORIES.map(category => entry.income[category]),
+        entry.fees,
+        entry.unpricedDisposals
+      ]);
+    } else {
+      throw new Error(`Unknown statement section: ${section}`);
+    }
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Dispose and acquire lots for a classified transaction
+   * @private
+   */
+  async _book(lots, entry, prices) {
+    const { category, changes, hash, timestamp, method } = entry;
+    const disposals = [];
+    const income = [];
+
+    if (entry.taxable) {
+      const outs = changes.filter(change => change.amount < 0);
+      const ins = changes.filter(change => change.amount > 0);
+      const consideration = this._consideration(outs, ins);
+      const proceeds = StatementExporter._allocate(outs, consideration);
+      const costs = StatementExporter._allocate(ins, consideration);
+
+      outs.forEach((change, i) => {
+        disposals.push(StatementExporter._dispose(lots, { asset: change.asset, quantity: -change.amount, proceeds: proceeds[i], category, hash, timestamp }));
+      });
+      ins.forEach((change, i) => StatementExporter._acquire(lots, { asset: change.asset, quantity: change.amount, cost: costs[i], hash, timestamp, method }));
+      if (INCOME_CATEGORIES.includes(category)) {
+        ins.forEach((change, i) => income.push({ timestamp, hash, category, asset: change.asset, quantity: change.amount, value: costs[i] }));
+      }
+    }
+
+    let fee = null;
+    if (entry.fee > 0) {
+      const price = await this._price('XRP', timestamp, prices);
+      const value = price === null ? null : entry.fee * price;
+      disposals.push(StatementExporter._dispose(lots, { asset: 'XRP', quantity: entry.fee, proceeds: value, category: 'fee', hash, timestamp }));
+      fee = { timestamp, hash, quantity: entry.fee, value };
+    }
+
+    return { disposals, income, fee };
+  }
+
+  /**
+   * Total value exchanged, or null when neither side can be valued
+   * @private
+   */
+  _consideration(outs, ins) {
+    const quoteOnly = side => side.length > 0 && side.every(change => change.asset.split('.')[0] === this.quoteCurrency);
+    const priced = side => side.length > 0 && side.every(change => change.value !== null);
+    const total = side => side.reduce((sum, change) => sum + change.value, 0);
+
+    if (quoteOnly(outs) && ins.length > 0) return total(outs);
+    if (quoteOnly(ins) && outs.length > 0) return total(ins);
+    if (priced(outs) && ins.length > 0) return total(outs);
+    if (priced(ins) && outs.length > 0) return total(ins);
+    return null;
+  }
+
+  /**
+   * Price of an asset in the quote currency at a time, or null
+   * @private
+   */
+  async _price(asset, timestamp, prices) {
+    if (asset.startsWith('NFT.') || /^03[0-9A-F]{38}\./i.test(asset)) return null; // Valued by what was exchanged for them
+    const currency = asset === 'XRP' ? 'XRP' : asset.split('.')[0];
+    if (currency === this.quoteCurrency) return 1;
+
+    const key = `${asset}@${timestamp}`;
+    if (!prices.has(key)) {
+      const lookup = this.priceAt
+        ? Promise.resolve(this.priceAt(asset, timestamp)).catch(() => null)
+        : Promise.resolve(this._recordedPrice(currency, timestamp));
+      prices.set(key, lookup);
+    }
+    const price = await prices.get(key);
+    return price > 0 ? price : null;
+  }
+
+  /**
+   * Latest oracle price recorded at or before a time, within maxPriceAge
+   * @private
+   */
+  _recordedPrice(currency, timestamp) {
+    const timeSeries = this._getTimeSeries();
+    if (!timeSeries) return null;
+
+    const [point] = timeSeries.range(MEASUREMENTS.PRICE, {
+      tags: { pair: `${currency}/${this.quoteCurrency}`, source: 'oracle' },
+      from: timestamp - this.maxPriceAge,
+      to: timestamp,
+      fields: ['price'],
+      limit: 1
+    });
+    return point ? point.fields.price : null;
+  }
+
+  /**
+   * @private
+   */
+  _isStake(object) {
+    return memoTypes(object).some(type => this.stakeMemoTypes.includes(type));
+  }
+
+  /**
+   * @private
+   */
+  _isCommission(tx, context) {
+    return (context.commissionTxHashes && context.commissionTxHashes.has(tx.hash)) ||
+      this.commissionAccounts.includes(tx.Account) ||
+      memoTypes(tx).includes(this.commissionMemoType);
+  }
+
+  /**
+   * Time-series store, created on first use
+   * @private
+   * @returns {TimeSeriesStore|null} Store or null when recorded prices are disabled
+   */
+  _getTimeSeries() {
+    if (this.timeSeries === undefined) {
+      this.timeSeries = TimeSeriesStore.shared();
+    }
+    return this.timeSeries;
+  }
+
+  /**
+   * Net balance changes of a wallet excluding the fee it paid
+   * Balances of currencies the wallet issues itself are not holdings and
+   * are skipped.
+   * @private
+   */
+  static _walletChanges(meta, address, fee) {
+    const totals = new Map();
+    xrpl.getBalanceChanges(meta)
+      .filter(entry => entry.account === address)
+      .forEach(entry => entry.balances.forEach(balance => {
+        if (balance.issuer === address) return;
+        const asset = balance.currency === 'XRP' ? 'XRP' : `${balance.currency}.${balance.issuer}`;
+        totals.set(asset, (totals.get(asset) || 0) + Number(balance.value));
+      }));
+    if (fee > 0) totals.set('XRP', (totals.get('XRP') || 0) + fee);
+
+    return Array.from(totals, ([asset, amount]) => ({ asset, amount }))
+      .filter(change => Math.abs(change.amount) > EPSILON);
+  }
+
+  /**
+   * Split a total across changes: priced changes keep their market weight,
+   * unpriced ones share what is left. Without a total each change keeps
+   * its own market value.
+   * @private
+   */
+  static _allocate(changes, total) {
+    if (total === null) return changes.map(change => change.value);
+    if (changes.length === 1) return [total];
+
+    const pricedValue = changes.reduce((sum, change) => sum + (change.value || 0), 0);
+    const unpriced = changes.filter(change => change.value === null).length;
+    if (unpriced === 0) {
+      return changes.map(change => (pricedValue > 0 ? total * change.value / pricedValue : total / changes.length));
+    }
+    const remainder = Math.max(total - pricedValue, 0) / unpriced;
+    return changes.map(change => (change.value === null ? remainder : change.value));
+  }
+
+  /**
+   * Add a lot; average cost keeps a single pooled lot per asset
+   * @private
+   */
+  static _acquire(lots, { asset, quantity, cost, hash, timestamp, method }) {
+    const queue = lots[asset] = lots[asset] || [];
+    if (method === 'average' && queue.length > 0) {
+      const pool = queue[0];
+      pool.quantity += quantity;
+      pool.cost = pool.cost === null || cost === null ? null : pool.cost + cost;
+      return;
+    }
+    queue.push({ quantity, cost, acquiredAt: timestamp, hash });
+  }
+
+  /**
+   * Consume lots oldest first and record the disposal
+   * Quantity beyond the open lots (history older than the ledger's
+   * account_tx window) is reported as unmatched with no cost basis.
+   * @private
+   */
+  static _dispose(lots, { asset, quantity, proceeds, category, hash, timestamp }) {
+    const queue = lots[asset] || [];
+    let remaining = quantity;
+    let costBasis = 0;
+    let acquiredAt = null;
+
+    while (remaining > EPSILON && queue.length > 0) {
+      const lot = queue[0];
+      const take = Math.min(lot.quantity, remaining);
+      const cost = lot.cost === null ? null : lot.cost * take / lot.quantity;
+      costBasis = costBasis === null || cost === null ? null : costBasis + cost;
+      if (acquiredAt === null) acquiredAt = lot.acquiredAt;
+
+      lot.quantity -= take;
+      if (cost !== null) lot.cost -= cost;
+      remaining -= take;
+      if (lot.quantity <= EPSILON) queue.shift();
+    }
+
+    return {
+      timestamp,
+      hash,
+      category,
+      asset,
+      quantity,
+      acquiredAt,
+      proceeds,
+      costBasis,
+      gain: proceeds === null || costBasis === null ? null : proceeds - costBasis,
+      unmatchedQuantity: remaining > EPSILON ? remaining : 0
+    };
+  }
+
+  /**
+   * Realized gains, income and fees per period
+   * @private
+   */
+  static _summarize({ disposals, income, fees }, period) {
+    const periods = new Map();
+    const get = timestamp => {
+      const key = periodKey(timestamp, period);
+      if (!periods.has(key)) {
+        periods.set(key, {
+          period: key,
+          disposals: 0,
+          proceeds: 0,
+          costBasis: 0,
+          realizedGain: 0,
+          income: Object.fromEntries(INCOME_CATEGORIES.map(category => [category, 0])),
+          incomeTotal: 0,
+          fees: 0,
+          unpricedDisposals: 0
+        });
+      }
+      return periods.get(key);
+    };
+
+    disposals.forEach(disposal => {
+      const entry = get(disposal.timestamp);
+      entry.disposals++;
+      if (disposal.gain === null) {
+        entry.unpricedDisposals++;
+        return;
+      }
+      entry.proceeds += disposal.proceeds;
+      entry.costBasis += disposal.costBasis;
+      entry.realizedGain += disposal.gain;
+    });
+    income.filter(item => item.value !== null).forEach(item => {
+      const entry = get(item.timestamp);
+      entry.income[item.category] += item.value;
+      entry.incomeTotal += item.value;
+    });
+    fees.filter(fee => fee.value !== null).forEach(fee => {
+      get(fee.timestamp).fees += fee.value;
+    });
+
+    return Array.from(periods.values()).sort((a, b) => a.period.localeCompare(b.period));
+  }
+
+  /**
+   * Open lots by asset
+   * @private
+   */
+  static _holdings(lots) {
+    return Object.entries(lots)
+      .map(([asset, queue]) => ({
+        asset,
+        quantity: queue.reduce((sum, lot) => sum + lot.quantity, 0),
+        costBasis: sumValues(queue.map(lot => lot.cost)),
+        lots: queue.length
+      }))
+      .filter(holding => holding.quantity > EPSILON);
+  }
+
+  /**
+   * @private
+   */
+  static _validate(method, period) {
+    if (!LOT_METHODS.includes(method)) {
+      throw new Error(`Unknown lot method: ${method}`);
+    }
+    if (!PERIODS.includes(period)) {
+      throw new Error(`Unknown statement period: ${period}`);
+    }
+  }
+}
+
+module.exports = { StatementExporter, TX_CATEGORIES, LOT_METHODS, PERIODS };
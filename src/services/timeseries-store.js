@@ -0,0 +1,577 @@
+/**
+ * Time-Series Store
+ *
+ * Embedded store for market history shared by the harvester, forecasters
+ * and dashboards:
+ * - Series are a measurement plus tags (e.g. price{pair=XRP/USD}) holding
+ *   numeric fields
+ * - Raw points are appended to NDJSON files under data/timeseries
+ * - Retention runs downsample expired raw points into rollup tiers
+ *   (first/last/min/max/sum/count per bucket) and drop rollups past their
+ *   own retention
+ * - range, resample and latest queries read across raw and rollup tiers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Measurements written by the built-in producers
+const MEASUREMENTS = {
+  PRICE: 'price',
+  AMM_RESERVES: 'amm_reserves',
+  VOLATILITY: 'volatility',
+  SENTIMENT: 'sentiment',
+  ALLOCATION: 'allocation',
+  FORECAST_OBSERVATION: 'forecast_observation',
+  PERFORMANCE: 'performance',
+  LP_POSITION: 'lp_position',
+  PORTFOLIO: 'portfolio'
+};
+
+const DEFAULT_RETENTION = {
+  raw: 7 * DAY,
+  rollups: [
+    { interval: 5 * MINUTE, retention: 30 * DAY },
+    { interval: HOUR, retention: 365 * DAY }
+  ]
+};
+
+const AGGREGATES = ['mean', 'first', 'last', 'min', 'max', 'sum', 'count'];
+
+const sharedStores = new Map();
+
+class TimeSeriesStore extends EventEmitter {
+  /**
+   * Create a time-series store
+   * @param {Object} options Store options
+   * @param {string|null} options.storageDir Directory for series files (default: data/timeseries, null keeps everything in memory)
+   * @param {Object} options.retention { raw, rollups: [{ interval, retention }] } in milliseconds (default: DEFAULT_RETENTION)
+   * @param {number} options.retentionInterval Milliseconds between retention runs once started (default: 1 hour)
+   */
+  constructor(options = {}) {
+    super();
+    this.storageDir = options.storageDir === null
+      ? null
+      : options.storageDir || path.join(__dirname, '../../data/timeseries');
+    this.retention = TimeSeriesStore._normalizeRetention(options.retention || DEFAULT_RETENTION);
+    this.retentionInterval = options.retentionInterval || HOUR;
+    this.retentionTimer = null;
+
+    // Series by key: { measurement, tags, dir, raw: [point], tiers: [[record]] }
+    this.series = new Map();
+
+    if (this.storageDir) {
+      fs.mkdirSync(this.storageDir, { recursive: true });
+      this._load();
+    }
+  }
+
+  /**
+   * Store shared by every component using the same directory
+   * @param {Object} options Store options (see constructor)
+   * @returns {TimeSeriesStore} Shared store
+   */
+  static shared(options = {}) {
+    const key = options.storageDir === null ? null : options.storageDir || path.join(__dirname, '../../data/timeseries');
+    if (key === null) {
+      return new TimeSeriesStore(options);
+    }
+    if (!sharedStores.has(key)) {
+      sharedStores.set(key, new TimeSeriesStore({ ...options, storageDir: key }));
+    }
+    return sharedStores.get(key);
+  }
+
+  /**
+   * Run retention on an interval (the timer does not keep the process alive)
+   */
+  start() {
+    if (this.retentionTimer) return;
+    this.enforceRetention();
+    this.retentionTimer = setInterval(() => this.enforceRetention(), this.retentionInterval);
+    if (this.retentionTimer.unref) this.retentionTimer.unref();
+  }
+
+  /**
+   * Stop the retention timer
+   */
+  stop() {
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
+    }
+  }
+
+  /**
+   * Record a point
+   * @param {string} measurement Measurement name (see MEASUREMENTS)
+   * @param {Object} fields Numeric fields; other values are ignored
+   * @param {Object} options Point options
+   * @param {Object} options.tags Series tags (default: none)
+   * @param {number} options.timestamp Milliseconds since epoch (default: now)
+   * @returns {Object} Stored point { timestamp, fields }
+   */
+  write(measurement, fields, options = {}) {
+    const numeric = {};
+    Object.entries(fields || {}).forEach(([name, value]) => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        numeric[name] = value;
+      } else if (typeof value === 'boolean') {
+        numeric[name] = value ? 1 : 0;
+      }
+    });
+    if (Object.keys(numeric).length === 0) {
+      throw new Error(`No numeric fields to record for ${measurement}`);
+    }
+
+    const timestamp = options.timestamp !== undefined ? Number(options.timestamp) : Date.now();
+    if (!Number.isFinite(timestamp)) {
+      throw new Error(`Invalid timestamp for ${measurement}: ${options.timestamp}`);
+    }
+
+    const series = this._getSeries(measurement, options.tags || {}, true);
+    const point = { timestamp, fields: numeric };
+    TimeSeriesStore._insertSorted(series.raw, point);
+    this._append(series, 'raw', { t: timestamp, f: numeric });
+
+    this.emit('point', { measurement, tags: series.tags, ...point });
+    return point;
+  }
+
+  /**
+   * Record several points
+   * @param {Array<Object>} points [{ measurement, fields, tags, timestamp }]
+   * @returns {number} Points written
+   */
+  writeMany(points) {
+    points.forEach(point => this.write(point.measurement, point.fields, point));
+    return points.length;
+  }
+
+  /**
+   * List the series of a measurement
+   * @param {string} measurement Measurement name
+   * @returns {Array<Object>} [{ measurement, tags, points }]
+   */
+  listSeries(measurement) {
+    return Array.from(this.series.values())
+      .filter(series => series.measurement === measurement)
+      .map(series => ({
+        measurement,
+        tags: { ...series.tags },
+        points: series.raw.length + series.tiers.reduce((sum, tier) => sum + tier.length, 0)
+      }));
+  }
+
+  /**
+   * Points between two times, oldest first
+   * Raw points are returned where retained; older periods come from the
+   * finest rollup tier as bucket means with a `resolution` in milliseconds.
+   * @param {string} measurement Measurement name
+   * @param {Object} options Query options
+   * @param {Object} options.tags Series tags (default: none)
+   * @param {number} options.from Start time inclusive (default: 0)
+   * @param {number} options.to End time inclusive (default: now)
+   * @param {Array<string>} options.fields Fields to return (default: all)
+   * @param {number} options.limit Most recent points to return (default: all)
+   * @returns {Array<Object>} [{ timestamp, fields, resolution? }]
+   */
+  range(measurement, options = {}) {
+    const series = this._getSeries(measurement, options.tags || {}, false);
+    if (!series) return [];
+
+    const from = options.from || 0;
+    const to = options.to !== undefined ? options.to : Date.now();
+    const points = this._records(series, from, to).map(({ record, resolution }) => {
+      const point = { timestamp: record.t, fields: TimeSeriesStore._pickFields(TimeSeriesStore._collapse(record, 'mean'), options.fields) };
+      if (resolution) point.resolution = resolution;
+      return point;
+    });
+
+    return options.limit ? points.slice(-options.limit) : points;
+  }
+
+  /**
+   * Aggregate points into fixed buckets
+   * Rollup records are placed in the bucket their start time falls in, so
+   * buckets finer than the stored resolution only hold whole rollups.
+   * @param {string} measurement Measurement name
+   * @param {Object} options Query options
+   * @param {Object} options.tags Series tags (default: none)
+   * @param {number} options.from Start time inclusive (default: to - 24 hours)
+   * @param {number} options.to End time inclusive (default: now)
+   * @param {number} options.interval Bucket size in milliseconds (default: 1 hour)
+   * @param {string} options.aggregate One of AGGREGATES (default: mean)
+   * @param {Array<string>} options.fields Fields to return (default: all)
+   * @param {string|null} options.fill 'previous' carries the last value into empty buckets, null leaves them null (default: null)
+   * @returns {Array<Object>} [{ timestamp, fields, count }] one per bucket
+   */
+  resample(measurement, options = {}) {
+    const interval = options.interval || HOUR;
+    const aggregate = options.aggregate || 'mean';
+    if (!AGGREGATES.includes(aggregate)) {
+      throw new Error(`Unknown aggregate: ${aggregate}`);
+    }
+
+    const to = options.to !== undefined ? options.to : Date.now();
+    const from = options.from !== undefined ? options.from : to - DAY;
+    const start = Math.floor(from / interval) * interval;
+
+    const buckets = new Map();
+    const series = this._getSeries(measurement, options.tags || {}, false);
+    if (series) {
+      this._records(series, from, to).forEach(({ record }) => {
+        const bucket = Math.floor(record.t / interval) * interval;
+        buckets.set(bucket, TimeSeriesStore._merge(buckets.get(bucket), record));
+      });
+    }
+
+    const result = [];
+    let previous = null;
+    for (let timestamp = start; timestamp <= to; timestamp += interval) {
+      const record = buckets.get(timestamp);
+      if (record) {
+        const fields = TimeSeriesStore._pickFields(TimeSeriesStore._collapse(record, aggregate), options.fields);
+        result.push({ timestamp, fields, count: TimeSeriesStore._count(record) });
+        previous = fields;
+      } else {
+        result.push({ timestamp, fields: options.fill === 'previous' ? previous : null, count: 0 });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Most recent point of a series
+   * @param {string} measurement Measurement name
+   * @param {Object} options Query options
+   * @param {Object} options.tags Series tags (default: none)
+   * @param {number} options.maxAge Ignore points older than this many milliseconds
+   * @returns {Object|null} { timestamp, fields, age } or null
+   */
+  latest(measurement, options = {}) {
+    const series = this._getSeries(measurement, options.tags || {}, false);
+    if (!series) return null;
+
+    let point = null;
+    if (series.raw.length > 0) {
+      point = series.raw[series.raw.length - 1];
+    } else {
+      const tier = series.tiers.find(records => records.length > 0);
+      if (tier) {
+        const record = tier[tier.length - 1];
+        point = { timestamp: record.t, fields: TimeSeriesStore._collapse(record, 'last') };
+      }
+    }
+    if (!point) return null;
+
+    const age = Date.now() - point.timestamp;
+    if (options.maxAge !== undefined && age > options.maxAge) return null;
+    return { timestamp: point.timestamp, fields: { ...point.fields }, age };
+  }
+
+  /**
+   * Downsample expired raw points into rollup tiers and drop expired rollups
+   * Only whole buckets are rolled up, so a bucket is never split across tiers.
+   * @param {number} now Reference time (default: now)
+   * @returns {Object} { rolledUp, dropped }
+   */
+  enforceRetention(now = Date.now()) {
+    let rolledUp = 0;
+    let dropped = 0;
+
+    this.series.forEach(series => {
+      let expired = TimeSeriesStore._takeBefore(series.raw, now - this.retention.raw, this.retention.rollups[0]).map(TimeSeriesStore._toRecord);
+      let changed = expired.length > 0;
+      if (this.retention.rollups.length === 0) {
+        dropped += expired.length;
+      } else {
+        rolledUp += expired.length;
+      }
+
+      this.retention.rollups.forEach((tier, i) => {
+        expired.forEach(record => {
+          const bucket = Math.floor(record.t / tier.interval) * tier.interval;
+          const index = TimeSeriesStore._findIndex(series.tiers[i], bucket);
+          if (index >= 0) {
+            series.tiers[i][index] = TimeSeriesStore._merge(series.tiers[i][index], record);
+          } else {
+            TimeSeriesStore._insertSorted(series.tiers[i], TimeSeriesStore._merge(null, record, bucket), 't');
+          }
+        });
+        expired = TimeSeriesStore._takeBefore(series.tiers[i], now - tier.retention, this.retention.rollups[i + 1], 't');
+        changed = changed || expired.length > 0;
+        if (i === this.retention.rollups.length - 1) dropped += expired.length;
+      });
+
+      if (changed) {
+        this._rewrite(series);
+      }
+    });
+
+    if (rolledUp > 0 || dropped > 0) {
+      this.emit('retention', { rolledUp, dropped });
+    }
+    return { rolledUp, dropped };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Series and persistence
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  _getSeries(measurement, tags, create) {
+    const key = TimeSeriesStore.seriesKey(measurement, tags);
+    if (!this.series.has(key)) {
+      if (!create) return null;
+      const series = {
+        key,
+        measurement,
+        tags: { ...tags },
+        dir: crypto.createHash('sha1').update(key).digest('hex').slice(0, 16),
+        raw: [],
+        tiers: this.retention.rollups.map(() => [])
+      };
+      this.series.set(key, series);
+      this._saveIndex();
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Raw points and rollup records between two times, oldest first
+   * Each tier only contributes the period before the next finer tier starts.
+   * @private
+   */
+  _records(series, from, to) {
+    const records = [];
+    let before = Infinity;
+
+    const add = (items, resolution, key) => {
+      const inRange = items.filter(item => item[key] >= from && item[key] <= to && item[key] < before);
+      if (items.length > 0) before = Math.min(before, items[0][key]);
+      return inRange.map(item => ({ record: key === 't' ? item : TimeSeriesStore._toRecord(item), resolution }));
+    };
+
+    records.push(...add(series.raw, null, 'timestamp'));
+    series.tiers.forEach((tier, i) => {
+      records.unshift(...add(tier, this.retention.rollups[i].interval, 't'));
+    });
+    return records;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    const indexFile = path.join(this.storageDir, 'series.json');
+    if (!fs.existsSync(indexFile)) return;
+
+    try {
+      const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+      Object.entries(index).forEach(([key, entry]) => {
+        const series = { key, measurement: entry.measurement, tags: entry.tags, dir: entry.dir, raw: [], tiers: [] };
+        series.raw = this._readLines(series, 'raw').map(line => ({ timestamp: line.t, fields: line.f }));
+        series.tiers = this.retention.rollups.map(tier => this._readLines(series, String(tier.interval)));
+        series.raw.sort((a, b) => a.timestamp - b.timestamp);
+        series.tiers.forEach(records => records.sort((a, b) => a.t - b.t));
+        this.series.set(key, series);
+      });
+      console.log(`📈 Time-series store loaded ${this.series.size} series from ${this.storageDir}`);
+    } catch (error) {
+      console.warn('⚠️ Error loading time-series store:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _readLines(series, name) {
+    const file = path.join(this.storageDir, series.dir, `${name}.ndjson`);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).reduce((lines, line) => {
+      try {
+        lines.push(JSON.parse(line));
+      } catch (error) {
+        // A torn final line from an interrupted append is skipped
+      }
+      return lines;
+    }, []);
+  }
+
+  /**
+   * @private
+   */
+  _saveIndex() {
+    if (!this.storageDir) return;
+    const index = {};
+    this.series.forEach(series => {
+      index[series.key] = { measurement: series.measurement, tags: series.tags, dir: series.dir };
+    });
+    fs.writeFileSync(path.join(this.storageDir, 'series.json'), JSON.stringify(index, null, 2));
+  }
+
+  /**
+   * @private
+   */
+  _append(series, name, line) {
+    if (!this.storageDir) return;
+    const dir = path.join(this.storageDir, series.dir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(path.join(dir, `${name}.ndjson`), JSON.stringify(line) + '\n');
+  }
+
+  /**
+   * @private
+   */
+  _rewrite(series) {
+    if (!this.storageDir) return;
+    const dir = path.join(this.storageDir, series.dir);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const write = (name, lines) => {
+      const file = path.join(dir, `${name}.ndjson`);
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, lines.map(line => JSON.stringify(line) + '\n').join(''));
+      fs.renameSync(tmpFile, file);
+    };
+
+    write('raw', series.raw.map(point => ({ t: point.timestamp, f: point.fields })));
+    series.tiers.forEach((records, i) => write(String(this.retention.rollups[i].interval), records));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Key identifying a series: measurement followed by sorted tags
+   * @param {string} measurement Measurement name
+   * @param {Object} tags Series tags
+   * @returns {string} e.g. price,pair=XRP/USD
+   */
+  static seriesKey(measurement, tags = {}) {
+    const tagString = Object.keys(tags).sort().map(name => `${name}=${tags[name]}`).join(',');
+    return tagString ? `${measurement},${tagString}` : measurement;
+  }
+
+  /**
+   * @private
+   */
+  static _normalizeRetention(retention) {
+    const rollups = (retention.rollups || []).slice().sort((a, b) => a.interval - b.interval);
+    rollups.forEach((tier, i) => {
+      const finer = i === 0 ? null : rollups[i - 1].interval;
+      if (finer && tier.interval % finer !== 0) {
+        throw new Error(`Rollup interval ${tier.interval} is not a multiple of ${finer}`);
+      }
+    });
+    return { raw: retention.raw !== undefined ? retention.raw : DEFAULT_RETENTION.raw, rollups };
+  }
+
+  /**
+   * Remove and return items before a cutoff, aligned down to whole buckets of the next tier
+   * @private
+   */
+  static _takeBefore(items, cutoff, nextTier, key = 'timestamp') {
+    const aligned = nextTier ? Math.floor(cutoff / nextTier.interval) * nextTier.interval : cutoff;
+    let count = 0;
+    while (count < items.length && items[count][key] < aligned) count++;
+    return items.splice(0, count);
+  }
+
+  /**
+   * @private
+   */
+  static _toRecord(point) {
+    const fields = {};
+    Object.entries(point.fields).forEach(([name, value]) => {
+      fields[name] = { first: value, last: value, min: value, max: value, sum: value, count: 1 };
+    });
+    return { t: point.timestamp, f: fields };
+  }
+
+  /**
+   * Merge a record into an aggregate; records are merged in time order
+   * @private
+   */
+  static _merge(target, record, bucket = null) {
+    const merged = target
+      ? { t: target.t, f: { ...target.f } }
+      : { t: bucket !== null ? bucket : record.t, f: {} };
+
+    Object.entries(record.f).forEach(([name, agg]) => {
+      const current = merged.f[name];
+      merged.f[name] = current ? {
+        first: current.first,
+        last: agg.last,
+        min: Math.min(current.min, agg.min),
+        max: Math.max(current.max, agg.max),
+        sum: current.sum + agg.sum,
+        count: current.count + agg.count
+      } : { ...agg };
+    });
+    return merged;
+  }
+
+  /**
+   * @private
+   */
+  static _collapse(record, aggregate) {
+    const fields = {};
+    Object.entries(record.f).forEach(([name, agg]) => {
+      fields[name] = aggregate === 'mean' ? agg.sum / agg.count : agg[aggregate];
+    });
+    return fields;
+  }
+
+  /**
+   * @private
+   */
+  static _count(record) {
+    return Math.max(...Object.values(record.f).map(agg => agg.count));
+  }
+
+  /**
+   * @private
+   */
+  static _pickFields(fields, names) {
+    if (!names) return fields;
+    const picked = {};
+    names.forEach(name => {
+      if (fields[name] !== undefined) picked[name] = fields[name];
+    });
+    return picked;
+  }
+
+  /**
+   * @private
+   */
+  static _insertSorted(items, item, key = 'timestamp') {
+    let index = items.length;
+    while (index > 0 && items[index - 1][key] > item[key]) index--;
+    items.splice(index, 0, item);
+  }
+
+  /**
+   * @private
+   */
+  static _findIndex(items, t) {
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (items[i].t === t) return i;
+      if (items[i].t < t) return -1;
+    }
+    return -1;
+  }
+}
+
+module.exports = { TimeSeriesStore, MEASUREMENTS, DEFAULT_RETENTION, AGGREGATES };
@@ -0,0 +1,554 @@
+/**
+ * XRPL Transaction Submitter
+ *
+ * Single submission path for every module that signs XRPL transactions:
+ * - Allocates account sequences (or tickets) locally so concurrent
+ *   submissions from one account do not collide
+ * - Sets LastLedgerSequence so every transaction either validates or
+ *   provably expires
+ * - Escalates the fee and re-signs when rippled answers telINSUF_FEE_P
+ * - Resubmits idempotently: a retried idempotency key returns the recorded
+ *   outcome or waits on the transaction already in flight
+ * - Keeps a final-outcome record keyed by transaction hash, appended to an
+ *   NDJSON log on each state change; finalized records expire by age and
+ *   count, and the log is compacted once it outgrows the live records
+ *
+ * One submitter is shared per client (TransactionSubmitter.forClient) so
+ * every module using the same connection shares the sequence cache.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const OUTCOME_STATUS = {
+  PENDING: 'pending',
+  SUCCESS: 'success', // Validated with tesSUCCESS
+  FAILED: 'failed', // Validated with a tec code, or rejected (tem/tef/tel)
+  EXPIRED: 'expired', // LastLedgerSequence passed without validation
+  SUPERSEDED: 'superseded' // Replaced by a re-signed transaction (fee or sequence change)
+};
+
+// Engine results that mean "re-sign with a higher fee"
+const FEE_RESULTS = ['telINSUF_FEE_P', 'telCAN_NOT_QUEUE_FEE', 'telCAN_NOT_QUEUE_FULL'];
+
+// Engine results that mean "our sequence is out of step with the ledger"
+const SEQUENCE_RESULTS = ['tefPAST_SEQ', 'terPRE_SEQ', 'tefMAX_LEDGER'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The outcome log is rewritten once it holds this many lines and twice the live records
+const MIN_COMPACT_LINES = 100;
+
+const submitters = new WeakMap();
+
+/**
+ * Error thrown when a transaction cannot reach a validated ledger
+ */
+class TransactionSubmitError extends Error {
+  constructor(message, code, outcome) {
+    super(message);
+    this.name = 'TransactionSubmitError';
+    this.code = code;
+    this.outcome = outcome;
+  }
+}
+
+class TransactionSubmitter extends EventEmitter {
+  /**
+   * Initialize the transaction submitter
+   * @param {Object} options Configuration options
+   * @param {xrpl.Client} options.client XRPL client instance
+   * @param {string|null} options.storagePath NDJSON log of outcome records (null keeps them in memory)
+   * @param {number} options.outcomeRetention Milliseconds finalized outcomes are kept (default: 30 days)
+   * @param {number} options.maxOutcomes Finalized outcomes kept, oldest dropped first (default: 5000)
+   * @param {number} options.maxAttempts Submissions per transaction before giving up (default: 5)
+   * @param {number} options.ledgerOffset Ledgers until LastLedgerSequence (default: 20)
+   * @param {number} options.feeMultiplier Fee growth per telINSUF_FEE_P (default: 1.5)
+   * @param {number} options.maxFeeDrops Highest fee the submitter will pay (default: 100000 = 0.1 XRP)
+   * @param {number} options.pollInterval Milliseconds between validation checks (default: 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.client = options.client;
+    this.storagePath = options.storagePath === undefined
+      ? path.join(__dirname, '../../data/submitter/outcomes.ndjson')
+      : options.storagePath;
+    this.outcomeRetention = options.outcomeRetention || 30 * DAY;
+    this.maxOutcomes = options.maxOutcomes === undefined ? 5000 : options.maxOutcomes;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.ledgerOffset = options.ledgerOffset || 20;
+    this.feeMultiplier = options.feeMultiplier || 1.5;
+    this.maxFeeDrops = options.maxFeeDrops || 100000;
+    this.pollInterval = options.pollInterval === undefined ? 1000 : options.pollInterval;
+
+    this.outcomes = new Map(); // Outcome records by hash
+    this.idempotencyIndex = new Map(); // Latest hash by idempotency key
+    this.accounts = new Map(); // { nextSequence, tickets, queue } by account
+    this.logLines = 0; // Lines in the outcome log, including superseded copies
+    this._loadOutcomes();
+  }
+
+  /**
+   * Shared submitter for a client, created on first use
+   * @param {xrpl.Client} client XRPL client instance
+   * @param {Object} options Options used when the submitter is created
+   * @returns {TransactionSubmitter} Submitter bound to the client
+   */
+  static forClient(client, options = {}) {
+    if (!client) {
+      throw new Error('XRPL client required to submit transactions');
+    }
+    if (!submitters.has(client)) {
+      submitters.set(client, new TransactionSubmitter({ ...options, client }));
+    }
+    return submitters.get(client);
+  }
+
+  /**
+   * Load outcome records from the log; the last line for a hash wins
+   * @private
+   */
+  _loadOutcomes() {
+    if (!this.storagePath) return;
+    try {
+      if (!fs.existsSync(this.storagePath)) return;
+      const latest = new Map();
+      fs.readFileSync(this.storagePath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+        try {
+          const outcome = JSON.parse(line);
+          latest.set(outcome.hash, outcome);
+          this.logLines++;
+        } catch (error) {
+          // A torn final line from an interrupted append is skipped
+        }
+      });
+      latest.forEach(outcome => this._index(outcome));
+      this._pruneOutcomes();
+    } catch (error) {
+      console.warn('Error loading transaction outcomes:', error.message);
+    }
+  }
+
+  /**
+   * Append the current state of an outcome record to the log
+   * @private
+   */
+  _saveOutcome(outcome) {
+    if (!this.storagePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+      fs.appendFileSync(this.storagePath, JSON.stringify(outcome) + '\n');
+      this.logLines++;
+      if (this.logLines >= Math.max(MIN_COMPACT_LINES, 2 * this.outcomes.size)) {
+        this._compactOutcomes();
+      }
+    } catch (error) {
+      console.error('Error saving transaction outcomes:', error.message);
+    }
+  }
+
+  /**
+   * Rewrite the log with one line per kept outcome record
+   * @private
+   */
+  _compactOutcomes() {
+    const tmpPath = `${this.storagePath}.tmp`;
+    const outcomes = Array.from(this.outcomes.values());
+    fs.writeFileSync(tmpPath, outcomes.map(outcome => JSON.stringify(outcome) + '\n').join(''));
+    fs.renameSync(tmpPath, this.storagePath);
+    this.logLines = outcomes.length;
+  }
+
+  /**
+   * Drop finalized outcome records past the retention age or count
+   * Pending records are always kept so their submissions can be resumed.
+   * @private
+   */
+  _pruneOutcomes(now = Date.now()) {
+    const settledAt = outcome => outcome.finalizedAt || outcome.submittedAt || 0;
+    const finalized = Array.from(this.outcomes.values())
+      .filter(outcome => outcome.status !== OUTCOME_STATUS.PENDING)
+      .sort((a, b) => settledAt(a) - settledAt(b));
+    const excess = finalized.length - this.maxOutcomes;
+
+    finalized.forEach((outcome, i) => {
+      if (i < excess || now - settledAt(outcome) > this.outcomeRetention) {
+        this.outcomes.delete(outcome.hash);
+        if (this.idempotencyIndex.get(outcome.idempotencyKey) === outcome.hash) {
+          this.idempotencyIndex.delete(outcome.idempotencyKey);
+        }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _index(outcome) {
+    this.outcomes.set(outcome.hash, outcome);
+    if (outcome.idempotencyKey) {
+      this.idempotencyIndex.set(outcome.idempotencyKey, outcome.hash);
+    }
+  }
+
+  /**
+   * Outcome record for a transaction hash
+   * @param {string} hash Transaction hash
+   * @returns {Object|null} Outcome record
+   */
+  getOutcome(hash) {
+    return this.outcomes.get(hash) || null;
+  }
+
+  /**
+   * Latest outcome record submitted under an idempotency key
+   * @param {string} idempotencyKey Caller-supplied key
+   * @returns {Object|null} Outcome record
+   */
+  getOutcomeByKey(idempotencyKey) {
+    const hash = this.idempotencyIndex.get(idempotencyKey);
+    return hash ? this.getOutcome(hash) : null;
+  }
+
+  /**
+   * Add tickets an account can spend instead of its next sequence
+   * Reads the account's Ticket objects when no list is given.
+   * @param {string} account Account address
+   * @param {Array<number>} ticketSequences Ticket sequence numbers
+   * @returns {Promise<number>} Tickets available
+   */
+  async loadTickets(account, ticketSequences = null) {
+    const state = this._accountState(account);
+
+    if (!ticketSequences) {
+      const response = await this.client.request({
+        command: 'account_objects',
+        account,
+        type: 'ticket',
+        ledger_index: 'validated'
+      });
+      ticketSequences = response.result.account_objects.map(ticket => ticket.TicketSequence);
+    }
+
+    const known = new Set(state.tickets);
+    ticketSequences.forEach(seq => {
+      if (!known.has(seq)) state.tickets.push(seq);
+    });
+    state.tickets.sort((a, b) => a - b);
+    return state.tickets.length;
+  }
+
+  /**
+   * Submit a transaction and wait for its final outcome
+   * Resolves with the validated `tx` response (the same shape as
+   * client.submitAndWait), including tec results; callers check
+   * meta.TransactionResult as before.
+   * @param {Object} transaction Unsigned transaction
+   * @param {Object} options Submission options
+   * @param {xrpl.Wallet} options.wallet Signing wallet
+   * @param {string} options.idempotencyKey Key that makes retries of the same request safe
+   * @param {boolean} options.useTicket Spend a loaded ticket instead of the next sequence
+   * @param {number} options.maxAttempts Override the submitter's maxAttempts
+   * @returns {Promise<Object>} Validated transaction response
+   * @throws {TransactionSubmitError} When the transaction is rejected or expires on every attempt
+   */
+  async submit(transaction, options = {}) {
+    const { wallet, idempotencyKey, useTicket = false } = options;
+    const maxAttempts = options.maxAttempts || this.maxAttempts;
+
+    if (!this.client || !wallet) {
+      throw new Error('XRPL client and wallet required to submit a transaction');
+    }
+
+    if (idempotencyKey) {
+      const previous = this.getOutcomeByKey(idempotencyKey);
+      if (previous) {
+        const resumed = await this._resume(previous);
+        if (resumed) return resumed;
+      }
+    }
+
+    const account = transaction.Account || wallet.address;
+    let fee = transaction.Fee ? Number(transaction.Fee) : null;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const { outcome, engineResult, signed } = await this._withAccountLock(account, () =>
+        this._signAndSubmit({ ...transaction, Account: account }, { wallet, fee, useTicket, idempotencyKey, attempt })
+      );
+
+      if (FEE_RESULTS.includes(engineResult)) {
+        this._supersede(outcome, engineResult);
+        this._releaseSequence(account, outcome);
+        const escalated = Math.ceil(Number(outcome.fee) * this.feeMultiplier);
+        if (Number(outcome.fee) >= this.maxFeeDrops) {
+          lastError = new TransactionSubmitError(`Fee ${outcome.fee} drops reached the ${this.maxFeeDrops} drop limit (${engineResult})`, engineResult, outcome);
+          break;
+        }
+        fee = Math.min(escalated, this.maxFeeDrops);
+        console.warn(`⚠️ ${outcome.transactionType} fee too low (${engineResult}), retrying at ${fee} drops`);
+        this.emit('fee-escalated', { hash: outcome.hash, fee, engineResult });
+        continue;
+      }
+
+      if (SEQUENCE_RESULTS.includes(engineResult)) {
+        this._supersede(outcome, engineResult);
+        this._resetAccount(account);
+        console.warn(`⚠️ ${outcome.transactionType} sequence ${outcome.sequence} out of step (${engineResult}), resyncing`);
+        continue;
+      }
+
+      if (!this._isProvisional(engineResult)) {
+        this._releaseSequence(account, outcome);
+        this._finalize(outcome, OUTCOME_STATUS.FAILED, engineResult);
+        throw new TransactionSubmitError(`${outcome.transactionType} rejected: ${engineResult}`, engineResult, outcome);
+      }
+
+      const response = await this._waitForValidation(outcome, signed.tx_blob);
+      if (response) return response;
+
+      // Expired: the sequence or ticket was never consumed, resubmit with a fresh LastLedgerSequence
+      if (outcome.ticket) {
+        this._releaseSequence(account, outcome);
+      } else {
+        this._resetAccount(account);
+      }
+      lastError = new TransactionSubmitError(`${outcome.transactionType} expired after ledger ${outcome.lastLedgerSequence}`, 'expired', outcome);
+      console.warn(`⚠️ ${lastError.message}, resubmitting (${attempt}/${maxAttempts})`);
+    }
+
+    throw lastError || new TransactionSubmitError(`${transaction.TransactionType} not validated after ${maxAttempts} attempts`, 'max-attempts', null);
+  }
+
+  /**
+   * Pick up a previous submission under the same idempotency key
+   * Returns the validated response when the earlier transaction made it into
+   * a ledger, or null when a fresh submission is needed.
+   * @private
+   */
+  async _resume(outcome) {
+    if (outcome.status === OUTCOME_STATUS.SUCCESS || (outcome.status === OUTCOME_STATUS.FAILED && outcome.ledgerIndex)) {
+      return this._lookupValidated(outcome.hash);
+    }
+
+    if (outcome.status !== OUTCOME_STATUS.PENDING) {
+      return null;
+    }
+
+    console.log(`🔁 Resuming ${outcome.transactionType} ${outcome.hash} (${outcome.idempotencyKey})`);
+    return this._waitForValidation(outcome, outcome.txBlob);
+  }
+
+  /**
+   * Allocate a sequence, autofill, sign and send one transaction
+   * @private
+   */
+  async _signAndSubmit(transaction, { wallet, fee, useTicket, idempotencyKey, attempt }) {
+    const state = this._accountState(transaction.Account);
+    const tx = { ...transaction };
+    delete tx.Sequence;
+    delete tx.TicketSequence;
+    delete tx.LastLedgerSequence;
+
+    if (useTicket && state.tickets.length > 0) {
+      tx.TicketSequence = state.tickets.shift();
+      tx.Sequence = 0;
+    } else {
+      if (state.nextSequence == null) {
+        const info = await this.client.request({
+          command: 'account_info',
+          account: transaction.Account,
+          ledger_index: 'current'
+        });
+        state.nextSequence = info.result.account_data.Sequence;
+      }
+      tx.Sequence = state.nextSequence++;
+    }
+
+    if (fee) {
+      tx.Fee = String(fee);
+    }
+
+    let prepared;
+    let signed;
+    try {
+      tx.LastLedgerSequence = (await this.client.getLedgerIndex()) + this.ledgerOffset;
+      prepared = await this.client.autofill(tx);
+      signed = wallet.sign(prepared);
+    } catch (error) {
+      this._releaseSequence(transaction.Account, { sequence: tx.TicketSequence || tx.Sequence, ticket: Boolean(tx.TicketSequence) });
+      throw error;
+    }
+
+    const outcome = {
+      hash: signed.hash,
+      idempotencyKey: idempotencyKey || null,
+      account: prepared.Account,
+      transactionType: prepared.TransactionType,
+      sequence: prepared.TicketSequence || prepared.Sequence,
+      ticket: Boolean(prepared.TicketSequence),
+      fee: prepared.Fee,
+      lastLedgerSequence: prepared.LastLedgerSequence,
+      txBlob: signed.tx_blob,
+      status: OUTCOME_STATUS.PENDING,
+      engineResult: null,
+      result: null,
+      ledgerIndex: null,
+      attempt,
+      submittedAt: Date.now()
+    };
+    this._index(outcome);
+
+    let engineResult;
+    try {
+      const response = await this.client.request({ command: 'submit', tx_blob: signed.tx_blob });
+      engineResult = response.result.engine_result;
+    } catch (error) {
+      // Connection dropped mid-submit; the transaction may still be in flight
+      console.warn(`⚠️ Submit of ${outcome.hash} did not answer: ${error.message}`);
+      engineResult = 'terSUBMIT_UNKNOWN';
+    }
+
+    outcome.engineResult = engineResult;
+    this._saveOutcome(outcome);
+    this.emit('submitted', outcome);
+
+    return { outcome, engineResult, signed };
+  }
+
+  /**
+   * Poll until the transaction validates or its LastLedgerSequence passes
+   * Rebroadcasts the signed blob while waiting, which rippled ignores if the
+   * transaction is already queued.
+   * @private
+   * @returns {Promise<Object|null>} Validated response, or null if expired
+   */
+  async _waitForValidation(outcome, txBlob) {
+    for (;;) {
+      const response = await this._lookupValidated(outcome.hash);
+      if (response) {
+        const code = response.result.meta.TransactionResult;
+        outcome.ledgerIndex = response.result.ledger_index;
+        this._finalize(outcome, code === 'tesSUCCESS' ? OUTCOME_STATUS.SUCCESS : OUTCOME_STATUS.FAILED, code);
+        return response;
+      }
+
+      const validatedLedger = await this.client.getLedgerIndex();
+      if (validatedLedger > outcome.lastLedgerSequence) {
+        this._finalize(outcome, OUTCOME_STATUS.EXPIRED, 'expired');
+        return null;
+      }
+
+      await this._delay(this.pollInterval);
+
+      if (txBlob && outcome.engineResult === 'terSUBMIT_UNKNOWN') {
+        try {
+          const resent = await this.client.request({ command: 'submit', tx_blob: txBlob });
+          outcome.engineResult = resent.result.engine_result;
+        } catch (error) {
+          // Keep polling; expiry bounds the wait
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object|null>} `tx` response if validated
+   */
+  async _lookupValidated(hash) {
+    try {
+      const response = await this.client.request({ command: 'tx', transaction: hash });
+      return response.result.validated ? response : null;
+    } catch (error) {
+      if (error.data && error.data.error === 'txnNotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Engine results that can still end in a validated ledger
+   * @private
+   */
+  _isProvisional(engineResult) {
+    return engineResult === 'tesSUCCESS' ||
+      engineResult === 'tefALREADY' ||
+      /^te[cr]/.test(engineResult);
+  }
+
+  /**
+   * @private
+   */
+  _finalize(outcome, status, result) {
+    outcome.status = status;
+    outcome.result = result;
+    outcome.finalizedAt = Date.now();
+    delete outcome.txBlob;
+    this._pruneOutcomes();
+    this._saveOutcome(outcome);
+    this.emit('outcome', outcome);
+  }
+
+  /**
+   * @private
+   */
+  _supersede(outcome, engineResult) {
+    outcome.status = OUTCOME_STATUS.SUPERSEDED;
+    outcome.result = engineResult;
+    delete outcome.txBlob;
+    this._saveOutcome(outcome);
+  }
+
+  /**
+   * Hand back a sequence or ticket that was never consumed
+   * @private
+   */
+  _releaseSequence(account, outcome) {
+    const state = this._accountState(account);
+    if (outcome.ticket) {
+      state.tickets.unshift(outcome.sequence);
+    } else if (state.nextSequence === outcome.sequence + 1) {
+      state.nextSequence = outcome.sequence;
+    } else {
+      // Later transactions already took higher sequences; refetch from the ledger
+      state.nextSequence = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _resetAccount(account) {
+    this._accountState(account).nextSequence = null;
+  }
+
+  /**
+   * @private
+   */
+  _accountState(account) {
+    if (!this.accounts.has(account)) {
+      this.accounts.set(account, { nextSequence: null, tickets: [], queue: Promise.resolve() });
+    }
+    return this.accounts.get(account);
+  }
+
+  /**
+   * Serialize sequence allocation and submission per account
+   * @private
+   */
+  _withAccountLock(account, fn) {
+    const state = this._accountState(account);
+    const run = state.queue.then(fn, fn);
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = { TransactionSubmitter, TransactionSubmitError, OUTCOME_STATUS };
@@ -0,0 +1,381 @@
+/**
+ * Wallet Keystore
+ *
+ * Envelope encryption for XRPL wallet seeds at rest:
+ * - Each record has its own random data key, and the seed is encrypted with
+ *   it (AES-256-GCM, bound to the wallet address)
+ * - The data key is wrapped with a key derived from the master key and a
+ *   per-record salt (HKDF-SHA256), tagged with the master key id
+ * - Rotating the master key keeps retired keys for decryption only;
+ *   reencrypt() re-wraps a record's data key under the active key without
+ *   touching the seed ciphertext
+ * - Seeds are only turned back into an xrpl.Wallet inside withWallet(), and
+ *   the wallet's key material is cleared as soon as the callback settles
+ *
+ * Master keys come from KEYSTORE_MASTER_KEY / KEYSTORE_KEY_ID, with retired
+ * keys in KEYSTORE_PREVIOUS_KEYS ("id:key,id:key").
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+
+const RECORD_VERSION = 1;
+const RECORD_PREFIX = 'keystore:v1:';
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const MIN_MASTER_KEY_BYTES = 32;
+
+/**
+ * Parse "id:key,id:key" into a key map
+ * @private
+ */
+function parseKeyList(value) {
+  const keys = {};
+  if (!value) return keys;
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('KEYSTORE_PREVIOUS_KEYS entries must look like <keyId>:<key>');
+    }
+    keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+  });
+  return keys;
+}
+
+/**
+ * Master key material as a buffer
+ * @private
+ */
+function toKeyBuffer(keyId, key) {
+  const buffer = Buffer.isBuffer(key) ? Buffer.from(key) : Buffer.from(String(key), 'utf8');
+  if (buffer.length < MIN_MASTER_KEY_BYTES) {
+    throw new Error(`Master key ${keyId} must be at least ${MIN_MASTER_KEY_BYTES} bytes`);
+  }
+  return buffer;
+}
+
+/**
+ * AES-256-GCM encrypt
+ * @private
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+/**
+ * AES-256-GCM decrypt, failing on any tampering
+ * @private
+ */
+function open(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+}
+
+class WalletKeystore {
+  /**
+   * Initialize the keystore
+   * @param {Object} options Configuration options
+   * @param {string|Buffer} options.masterKey Active master key, at least 32 bytes (default: KEYSTORE_MASTER_KEY)
+   * @param {string} options.keyId Id of the active master key (default: KEYSTORE_KEY_ID or 'primary')
+   * @param {Object} options.previousKeys Retired master keys by id, used for decryption only (default: KEYSTORE_PREVIOUS_KEYS)
+   */
+  constructor(options = {}) {
+    this.masterKeys = new Map();
+    this.activeKeyId = null;
+
+    const previousKeys = options.previousKeys || parseKeyList(process.env.KEYSTORE_PREVIOUS_KEYS);
+    Object.entries(previousKeys).forEach(([keyId, key]) => {
+      this.masterKeys.set(keyId, toKeyBuffer(keyId, key));
+    });
+
+    const masterKey = options.masterKey || process.env.KEYSTORE_MASTER_KEY;
+    if (masterKey) {
+      this.rotateMasterKey(masterKey, options.keyId || process.env.KEYSTORE_KEY_ID || 'primary');
+    }
+  }
+
+  /**
+   * Whether a value is an encrypted record or its serialized form
+   * @param {*} value Stored value
+   * @returns {boolean} True when the value is a keystore record
+   */
+  static isEncrypted(value) {
+    if (typeof value === 'string') return value.startsWith(RECORD_PREFIX);
+    return Boolean(value && value.version && value.keyId && value.wrappedKey && value.ciphertext);
+  }
+
+  /**
+   * Serialize a record into a single string for string columns
+   * @param {Object} record Encrypted record
+   * @returns {string} Serialized record
+   */
+  static serialize(record) {
+    return RECORD_PREFIX + Buffer.from(JSON.stringify(record), 'utf8').toString('base64');
+  }
+
+  /**
+   * Parse a serialized record (records pass through unchanged)
+   * @param {string|Object} value Serialized or plain record
+   * @returns {Object} Encrypted record
+   */
+  static parse(value) {
+    if (typeof value !== 'string') return value;
+    if (!value.startsWith(RECORD_PREFIX)) {
+      throw new Error('Value is not an encrypted keystore record');
+    }
+    return JSON.parse(Buffer.from(value.slice(RECORD_PREFIX.length), 'base64').toString('utf8'));
+  }
+
+  /**
+   * Make a new master key the one used for encryption
+   *
+   * The previous active key stays available for decrypting existing records
+   * until it is retired.
+   * @param {string|Buffer} masterKey New master key, at least 32 bytes
+   * @param {string} keyId Id stored on records wrapped with this key
+   * @returns {string} Previous active key id (null if none)
+   */
+  rotateMasterKey(masterKey, keyId) {
+    if (!keyId) {
+      throw new Error('Master key id required');
+    }
+    const buffer = toKeyBuffer(keyId, masterKey);
+    const existing = this.masterKeys.get(keyId);
+    if (existing && !crypto.timingSafeEqual(existing, buffer)) {
+      throw new Error(`Master key id ${keyId} is already in use by a different key`);
+    }
+
+    const previous = this.activeKeyId;
+    this.masterKeys.set(keyId, buffer);
+    this.activeKeyId = keyId;
+    return previous;
+  }
+
+  /**
+   * Forget a retired master key
+   *
+   * Records still wrapped with it can no longer be decrypted, so re-encrypt
+   * them first.
+   * @param {string} keyId Retired key id
+   */
+  retireKey(keyId) {
+    if (keyId === this.activeKeyId) {
+      throw new Error(`Cannot retire the active master key ${keyId}`);
+    }
+    const key = this.masterKeys.get(keyId);
+    if (key) key.fill(0);
+    this.masterKeys.delete(keyId);
+  }
+
+  /**
+   * Encrypt a seed into a new record
+   * @param {string} seed Wallet seed
+   * @returns {Object} Encrypted record ({ version, keyId, address, publicKey, salt, wrappedKey, ciphertext, createdAt })
+   */
+  encryptSeed(seed) {
+    const wallet = xrpl.Wallet.fromSeed(seed);
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    try {
+      const record = {
+        version: RECORD_VERSION,
+        address: wallet.address,
+        publicKey: wallet.publicKey,
+        ciphertext: seal(dataKey, Buffer.from(seed, 'utf8'), wallet.address),
+        createdAt: Date.now()
+      };
+      return this._wrap(record, dataKey);
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Encrypt a wallet's seed into a new record
+   * @param {xrpl.Wallet} wallet Wallet created from a seed
+   * @returns {Object} Encrypted record
+   */
+  encryptWallet(wallet) {
+    if (!wallet || !wallet.seed) {
+      throw new Error('Only wallets with a seed can be stored in the keystore');
+    }
+    return this.encryptSeed(wallet.seed);
+  }
+
+  /**
+   * Whether a record is wrapped with a key other than the active one
+   * @param {string|Object} value Record or serialized record
+   * @returns {boolean} True when reencrypt() would change the record
+   */
+  needsReencryption(value) {
+    const record = WalletKeystore.parse(value);
+    return record.keyId !== this._activeKeyId();
+  }
+
+  /**
+   * Re-wrap a record's data key under the active master key with a fresh salt
+   * @param {string|Object} value Record or serialized record
+   * @returns {Object} Record wrapped with the active key (same shape as the input)
+   */
+  reencrypt(value) {
+    const record = WalletKeystore.parse(value);
+    const dataKey = this._unwrap(record);
+    try {
+      const { keyId, salt, wrappedKey, ...rest } = record;
+      const rewrapped = this._wrap({ ...rest, rotatedAt: Date.now() }, dataKey);
+      return typeof value === 'string' ? WalletKeystore.serialize(rewrapped) : rewrapped;
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Run a signing callback with the decrypted wallet
+   *
+   * The wallet is built from the seed for this call only; its private key and
+   * seed are cleared once the callback settles, so a wallet that escapes the
+   * callback can no longer sign.
+   * @param {string|Object} value Record or serialized record
+   * @param {Function} callback async (wallet) => result
+   * @returns {Promise<*>} Callback result
+   */
+  async withWallet(value, callback) {
+    const record = WalletKeystore.parse(value);
+    const dataKey = this._unwrap(record);
+    let seed;
+    try {
+      seed = open(dataKey, record.ciphertext, record.address);
+    } catch (error) {
+      throw new Error(`Keystore record for ${record.address} failed authentication`);
+    } finally {
+      dataKey.fill(0);
+    }
+
+    let wallet;
+    try {
+      wallet = xrpl.Wallet.fromSeed(seed.toString('utf8'));
+    } finally {
+      seed.fill(0);
+    }
+    if (wallet.address !== record.address) {
+      throw new Error(`Keystore record for ${record.address} decrypted to a different wallet`);
+    }
+
+    try {
+      return await callback(wallet);
+    } finally {
+      wallet.privateKey = undefined;
+      wallet.seed = undefined;
+    }
+  }
+
+  /**
+   * Read an encrypted wallet file
+   *
+   * A legacy plaintext file ({ seed, ... }) is encrypted and rewritten in
+   * place the first time it is read.
+   * @param {string} filePath Wallet file
+   * @returns {Object} Encrypted record
+   */
+  readWalletFile(filePath) {
+    const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (WalletKeystore.isEncrypted(contents)) {
+      return contents;
+    }
+    if (!contents.seed) {
+      throw new Error(`Wallet file ${filePath} holds neither a seed nor a keystore record`);
+    }
+
+    console.warn(`⚠️ Wallet file ${filePath} stores a plaintext seed, encrypting it`);
+    const record = this.encryptSeed(contents.seed);
+    this.writeWalletFile(filePath, record);
+    return record;
+  }
+
+  /**
+   * Write an encrypted record to a wallet file readable by the owner only
+   * @param {string} filePath Wallet file
+   * @param {Object} record Encrypted record
+   */
+  writeWalletFile(filePath, record) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(WalletKeystore.parse(record), null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Active key id, failing when no master key is configured
+   * @private
+   */
+  _activeKeyId() {
+    if (!this.activeKeyId) {
+      throw new Error('Keystore master key not configured (set KEYSTORE_MASTER_KEY)');
+    }
+    return this.activeKeyId;
+  }
+
+  /**
+   * Key-encryption key for a master key and record salt
+   * @private
+   */
+  _deriveWrappingKey(keyId, salt) {
+    const masterKey = this.masterKeys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Master key ${keyId} is not available to the keystore`);
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', masterKey, salt, `wallet-keystore:${keyId}`, KEY_BYTES));
+  }
+
+  /**
+   * Wrap a data key under the active master key
+   * @private
+   */
+  _wrap(record, dataKey) {
+    const keyId = this._activeKeyId();
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const wrappingKey = this._deriveWrappingKey(keyId, salt);
+    try {
+      return {
+        ...record,
+        keyId,
+        salt: salt.toString('base64'),
+        wrappedKey: seal(wrappingKey, dataKey, `${keyId}:${record.address}`)
+      };
+    } finally {
+      wrappingKey.fill(0);
+    }
+  }
+
+  /**
+   * Recover a record's data key
+   * @private
+   */
+  _unwrap(record) {
+    if (!WalletKeystore.isEncrypted(record)) {
+      throw new Error('Value is not an encrypted keystore record');
+    }
+    if (record.version !== RECORD_VERSION) {
+      throw new Error(`Unsupported keystore record version ${record.version}`);
+    }
+    const wrappingKey = this._deriveWrappingKey(record.keyId, Buffer.from(record.salt, 'base64'));
+    try {
+      return open(wrappingKey, record.wrappedKey, `${record.keyId}:${record.address}`);
+    } catch (error) {
+      throw new Error(`Keystore record for ${record.address} failed authentication`);
+    } finally {
+      wrappingKey.fill(0);
+    }
+  }
+}
+
+module.exports = { WalletKeystore };
@@ -1,166 +1,142 @@
 /**
- * XRPL Client Service (Mock Implementation)
- * Provides a lightweight mock implementation of the XRPL client for testing
+ * XRPL Client Service (Offline Implementation)
+ * Provides an in-process XRPL client backed by a FakeLedger for testing.
+ * Requests are answered from real ledger state, so balances, trust lines,
+ * offers and AMM pools change as transactions are submitted.
  */
 
 const xrpl = require('xrpl');
-const logger = require('../utils/logger');
+const { EventEmitter } = require('events');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('XRPL-Client');
 
 // Singleton instance
 let client = null;
 
+/**
+ * Sign and apply a transaction, closing the ledger so it validates
+ * @private
+ */
+async function submitToLedger(ledger, tx, wallet) {
+  const { result: info } = await ledger.request({ command: 'account_info', account: wallet.address });
+  const prepared = {
+    Fee: String(ledger.baseFee * ledger.loadFactor),
+    Sequence: info.account_data.Sequence,
+    LastLedgerSequence: ledger.ledgerIndex + 20,
+    ...tx,
+    Account: wallet.address
+  };
+  const signed = wallet.sign(prepared);
+  await ledger.request({ command: 'submit', tx_blob: signed.tx_blob });
+  ledger.closeLedger();
+  return ledger.request({ command: 'tx', transaction: signed.hash });
+}
+
+/**
+ * Seed the ledger with an issuer, a funded account holding USD, a resting
+ * XRP/USD offer and an XRP/USD AMM pool
+ * @private
+ */
+async function seedLedger(ledger) {
+  const issuer = ledger.createWallet(10000);
+  const account = ledger.createWallet(1000);
+  const trader = ledger.createWallet(10000);
+  const usd = value => ({ currency: 'USD', issuer: issuer.address, value: String(value) });
+
+  for (const holder of [account, trader]) {
+    await submitToLedger(ledger, { TransactionType: 'TrustSet', LimitAmount: usd(100000) }, holder);
+  }
+  await submitToLedger(ledger, { TransactionType: 'Payment', Destination: account.address, Amount: usd(100) }, issuer);
+  await submitToLedger(ledger, { TransactionType: 'Payment', Destination: trader.address, Amount: usd(5000) }, issuer);
+  await submitToLedger(ledger, { TransactionType: 'OfferCreate', TakerGets: usd(100), TakerPays: xrpl.xrpToDrops(100) }, trader);
+  await submitToLedger(ledger, {
+    TransactionType: 'AMMCreate',
+    Amount: xrpl.xrpToDrops(1000),
+    Amount2: usd(1000),
+    TradingFee: 500 // 0.5%
+  }, trader);
+
+  return { issuer, account, trader };
+}
+
 /**
  * Get the XRPL client instance (creates one if it doesn't exist)
+ * @param {Object} options Ledger options passed to FakeLedger
  * @returns {Promise<Object>} - XRPL client instance
  */
-async function getXrplClient() {
+async function getXrplClient(options = {}) {
   if (client) {
     return client;
   }
-  
+
   try {
-    logger.info('XRPL Client: Initializing mock client');
-    
-    // Create a mock client with necessary methods
+    logger.info('XRPL Client: Initializing offline client');
+
+    // Loaded here so requiring this module never pulls in the test ledger
+    const { FakeLedger } = require('../test/fake-ledger');
+    const ledger = new FakeLedger({ autoClose: false, ...options });
+    const accounts = await seedLedger(ledger);
+    const events = new EventEmitter();
+    let connected = false;
+
+    ledger.on('ledgerClosed', event => events.emit('ledgerClosed', event));
+    ledger.on('transaction', event => events.emit('transaction', event));
+
     client = {
-      isConnected: () => true,
-      
+      ledger,
+      accounts,
+
+      isConnected: () => connected,
+
       connect: async () => {
-        logger.info('XRPL Client: Connected to testnet');
+        connected = true;
+        logger.info('XRPL Client: Connected to offline ledger');
         return true;
       },
-      
+
       disconnect: async () => {
-        logger.info('XRPL Client: Disconnected from testnet');
+        connected = false;
+        ledger.stop();
+        logger.info('XRPL Client: Disconnected from offline ledger');
         return true;
       },
-      
+
       request: async (request) => {
-        logger.info(`XRPL Client: Processing request type: ${request.command}`);
-        
-        // Mock responses for different request types
-        switch (request.command) {
-          case 'account_info':
-            return {
-              result: {
-                account_data: {
-                  Account: request.account || 'rMockAccount123456789',
-                  Balance: '1000000000', // 1000 XRP
-                  Sequence: 123
-                }
-              }
-            };
-            
-          case 'account_lines':
-            return {
-              result: {
-                lines: [
-                  {
-                    account: 'rIssuer123456789',
-                    balance: '100',
-                    currency: 'USD',
-                    limit: '1000',
-                    limit_peer: '0'
-                  }
-                ]
-              }
-            };
-            
-          case 'book_offers':
-            return {
-              result: {
-                offers: [
-                  {
-                    Account: 'rTrader123456789',
-                    BookDirectory: '...',
-                    BookNode: '0',
-                    Flags: 0,
-                    LedgerEntryType: 'Offer',
-                    OwnerNode: '0',
-                    PreviousTxnID: '...',
-                    PreviousTxnLgrSeq: 123456,
-                    Sequence: 42,
-                    TakerGets: {
-                      currency: 'USD',
-                      issuer: 'rIssuer123456789',
-                      value: '100'
-                    },
-                    TakerPays: '100000000', // 100 XRP
-                    index: '...',
-                    owner_funds: '200',
-                    quality: '1'
-                  }
-                ]
-              }
-            };
-            
-          case 'amm_info':
-            return {
-              result: {
-                amm: {
-                  account: 'rAMM123456789',
-                  amount: {
-                    currency: 'XRP',
-                    value: '1000'
-                  },
-                  amount2: {
-                    currency: 'USD',
-                    issuer: 'rIssuer123456789',
-                    value: '1000'
-                  },
-                  lp_token: {
-                    currency: 'LP',
-                    issuer: 'rAMM123456789',
-                    value: '1000'
-                  },
-                  trading_fee: 500, // 0.5%
-                  auction_slot: {
-                    account: 'rTrader123456789',
-                    discounted_fee: 250, // 0.25%
-                    expiration: Date.now() + 86400000 // 24 hours
-                  }
-                }
-              }
-            };
-            
-          case 'subscribe':
-            // Mock subscription response
-            return {
-              result: {
-                status: 'success',
-                type: 'response',
-                id: request.id || 'mock_subscription'
-              }
-            };
-            
-          default:
-            return {
-              result: {
-                status: 'success',
-                info: 'Mock response for ' + request.command
-              }
-            };
-        }
+        logger.debug(`XRPL Client: Processing request type: ${request.command}`);
+        return ledger.request(request);
       },
-      
-      // Mock event emitter methods
-      on: (event, callback) => {
-        logger.info(`XRPL Client: Registered listener for event: ${event}`);
-      },
-      
-      once: (event, callback) => {
-        logger.info(`XRPL Client: Registered one-time listener for event: ${event}`);
+
+      getLedgerIndex: async () => ledger.ledgerIndex,
+
+      autofill: async (tx) => {
+        const { result } = await ledger.request({ command: 'account_info', account: tx.Account });
+        return {
+          Fee: String(ledger.baseFee * ledger.loadFactor),
+          Sequence: result.account_data.Sequence,
+          LastLedgerSequence: ledger.ledgerIndex + 20,
+          ...tx
+        };
       },
-      
-      // Mock wallet methods
-      fundWallet: async () => {
+
+      submitAndWait: async (tx, { wallet }) => submitToLedger(ledger, tx, wallet),
+
+      on: (event, callback) => events.on(event, callback),
+
+      once: (event, callback) => events.once(event, callback),
+
+      off: (event, callback) => events.off(event, callback),
+
+      fundWallet: async (wallet = null, { amount = '1000' } = {}) => {
+        const target = wallet || xrpl.Wallet.generate();
+        const account = ledger.fund(target.address, Number(amount));
         return {
-          wallet: xrpl.Wallet.generate(),
-          balance: 1000
+          wallet: target,
+          balance: Number(xrpl.dropsToXrp(account.Balance))
         };
       }
     };
-    
+
     return client;
   } catch (error) {
     logger.error(`XRPL Client: Initialization error: ${error.message}`);
@@ -5,6 +5,7 @@
  */
 
 const { EventEmitter } = require('events');
+const RiskManager = require('../risk-manager');
 
 class YieldEmpireSingularity extends EventEmitter {
   constructor(config = {}) {
@@ -27,6 +28,7 @@ class YieldEmpireSingularity extends EventEmitter {
       grantLotteryAmount: config.grantLotteryAmount || 200, // $200 per grant
       ...config
     };
+    this.riskManager = config.riskManager || RiskManager.getSharedInstance();
 
     this.metrics = {
       totalRevenue: 0,
@@ -385,7 +387,14 @@ class YieldEmpireSingularity extends EventEmitter {
   async x_semantic_search(hashtag) { return { score: Math.random() * 0.4 + 0.6, mentions: Math.floor(Math.random() * 40) + 20 }; }
   async fetchNasdaqFutures() { return { change: (Math.random() - 0.5) * 0.004, price: 16000 }; }
   async dynamicAllocate(capital, options) { return { rlusd: capital * options.rlusdWeight, accuracy: 0.98 }; }
-  async executeAllocation(allocation) { this.metrics.totalRevenue += allocation.rlusd * 0.025; }
+  async executeAllocation(allocation) {
+    const riskCheck = this.riskManager.validateAction(
+      RiskManager.actionFromAllocation(allocation, 'yield-empire-singularity')
+    );
+    if (!riskCheck.approved) return false;
+    this.riskManager.recordExecution(riskCheck.action);
+    this.metrics.totalRevenue += allocation.rlusd * 0.025;
+  }
   async investInUltraSolarRWAs(amount) { return { amount: Math.floor(amount / 50), value: amount * 1.3, ecoImpact: amount * 0.002, yieldBoost: amount * 0.001 }; }
 }
 
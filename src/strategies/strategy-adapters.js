@@ -0,0 +1,234 @@
+/*
+ * STRATEGY ADAPTERS
+ * Wrap the existing bot-zoo strategies in the common strategy contract.
+ * Legacy modules are required lazily so loading the registry never pulls in
+ * TensorFlow or opens connections for strategies that are not configured.
+ */
+
+const { Strategy } = require('./strategy-contract');
+
+const EMPIRE_ASSETS = ['rlusd', 'ecoRWA', 'amm', 'arbitrage'];
+
+/**
+ * Base adapter: owns one legacy instance created on init()
+ */
+class LegacyStrategyAdapter extends Strategy {
+  constructor(config = {}) {
+    super(config);
+    this.instance = config.instance || null;
+  }
+
+  /**
+   * Build the wrapped legacy instance
+   * @returns {Object} Legacy strategy instance
+   */
+  createInstance() {
+    throw new Error(`${this.id}: createInstance() not implemented`);
+  }
+
+  async init(context = {}) {
+    await super.init(context);
+    if (!this.instance) {
+      this.instance = this.createInstance(context);
+    }
+  }
+
+  async teardown() {
+    if (this.instance && typeof this.instance.stop === 'function') {
+      await this.instance.stop();
+    }
+    if (this.instance && typeof this.instance.removeAllListeners === 'function') {
+      this.instance.removeAllListeners();
+    }
+    await super.teardown();
+  }
+}
+
+/**
+ * Keep only asset amounts from an empire-style allocation object
+ */
+function pickAssetAmounts(allocation, assets = EMPIRE_ASSETS) {
+  const allocations = {};
+  for (const asset of assets) {
+    if (typeof allocation[asset] === 'number') {
+      allocations[asset] = allocation[asset];
+    }
+  }
+  return allocations;
+}
+
+class NasdaqXrplFusionAdapter extends LegacyStrategyAdapter {
+  createInstance(context) {
+    const { NasdaqXrplFusionStrategy } = require('../../strategies/nasdaq-xrpl-fusion');
+    return new NasdaqXrplFusionStrategy({
+      id: this.config.id,
+      xrplClient: context.xrplClient,
+      nasdaqClient: context.nasdaqClient,
+      ...(this.config.options || {})
+    });
+  }
+
+  async init(context = {}) {
+    await super.init(context);
+    await this.instance.initialize();
+  }
+
+  async proposeAllocation(capital) {
+    const market = this.latestMarketData || {};
+    const nasdaqData = market.nasdaq || await this.instance.nasdaqClient.getCurrentMarketData();
+    const xrplData = market.xrpl || await this.instance.xrplClient.getMarketData(['XRP/USD', 'RLUSD/XRP']);
+    const sentimentData = market.sentimentData || await this.instance.sentimentOracle.getLatestSentiment();
+
+    // Fractions of capital, e.g. { nasdaq: 0.3, xrpl: 0.7 }
+    const weights = await this.instance.calculateOptimalAllocation(nasdaqData, xrplData, sentimentData);
+
+    return {
+      allocations: {
+        nasdaq: capital * (weights.nasdaq || 0),
+        xrpl: capital * (weights.xrpl || 0)
+      },
+      expectedYield: this.instance.calculateExpectedYield(weights),
+      metadata: { weights }
+    };
+  }
+}
+
+class QuantumDeFiAdapter extends LegacyStrategyAdapter {
+  createInstance() {
+    const QuantumDeFiStrategies = require('../defi-strategies');
+    return new QuantumDeFiStrategies();
+  }
+
+  async init(context = {}) {
+    await super.init(context);
+    await this.instance.initialize(context.network || 'testnet');
+  }
+
+  async proposeAllocation(capital) {
+    const candidates = this.config.pools || [
+      { name: 'yieldFarming', apy: 0.3, risk: 0.2, liquidity: 0.6 },
+      { name: 'liquidityProvision', apy: 0.25, risk: 0.15, liquidity: 0.8 },
+      { name: 'flashLoanArbitrage', apy: 0.4, risk: 0.35, liquidity: 0.4 }
+    ];
+
+    const weights = {};
+    for (const candidate of candidates) {
+      weights[candidate.name] = await this.instance.predictOptimalAllocation(candidate);
+    }
+
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+    const allocations = {};
+    for (const [name, weight] of Object.entries(weights)) {
+      allocations[name] = capital * (weight / totalWeight);
+    }
+
+    const risk = this.instance.calculatePortfolioRisk(candidates.map(candidate => ({
+      allocation: weights[candidate.name] / totalWeight,
+      risk: candidate.risk
+    })));
+
+    return {
+      allocations,
+      expectedYield: this.instance.totalYield,
+      metadata: { risk }
+    };
+  }
+}
+
+class YieldRecoveryAdapter extends LegacyStrategyAdapter {
+  createInstance() {
+    const YieldRecoveryProtocol = require('./yield-recovery-protocol');
+    return new YieldRecoveryProtocol({ capital: 0, ...(this.config.options || {}) });
+  }
+
+  async proposeAllocation(capital) {
+    const market = this.latestMarketData || {};
+    const sentiment = await this.instance.analyzeSentiment();
+    const sentimentBoost = sentiment.score > 0.7 ? 1.15 : 1.0;
+
+    const allocation = await this.instance.calculateFusedAllocation(
+      capital,
+      this.instance.enhanceWithEcoRWA(market.pools || []),
+      { vol: market.vol || 0.1, ...market },
+      sentimentBoost
+    );
+
+    return {
+      allocations: pickAssetAmounts(allocation),
+      expectedYield: allocation.expectedYield,
+      metadata: { riskScore: allocation.riskScore, ecoImpact: allocation.ecoImpact }
+    };
+  }
+}
+
+/**
+ * Overlord, Nexus and Accelerator share the dynamicAllocate(capital, weights) shape
+ */
+class EmpireStrategyAdapter extends LegacyStrategyAdapter {
+  constructor(config = {}, modulePath) {
+    super(config);
+    this.modulePath = config.modulePath || modulePath;
+  }
+
+  createInstance() {
+    const EmpireStrategy = require(this.modulePath);
+    return new EmpireStrategy(this.config.options || {});
+  }
+
+  async proposeAllocation(capital) {
+    const market = this.latestMarketData || {};
+    const weights = {
+      rlusdWeight: this.instance.config.rlusdHedgeWeight,
+      ecoRWAWeight: 0.08,
+      ammWeight: 0.02,
+      ...(this.config.weights || {})
+    };
+
+    const sentiment = typeof market.sentiment === 'number' ? market.sentiment : 0.6;
+    const sentimentBoost = sentiment > (this.instance.config.sentimentBoostThreshold || 0.7)
+      ? (this.instance.config.sentimentMultiplier || 1)
+      : 1;
+
+    const allocation = await this.instance.dynamicAllocate(capital, { ...weights, sentimentBoost });
+
+    return {
+      allocations: pickAssetAmounts(allocation),
+      expectedYield: this.instance.config.targetAPY,
+      metadata: { sentimentBoost }
+    };
+  }
+}
+
+/**
+ * Register the built-in adapters on a registry
+ * @param {StrategyRegistry} registry - Registry to populate
+ */
+function registerBuiltinStrategies(registry) {
+  registry.register('nasdaq-xrpl-fusion', config => new NasdaqXrplFusionAdapter(config), {
+    description: 'NASDAQ futures / XRPL liquidity rotation'
+  });
+  registry.register('quantum-defi', config => new QuantumDeFiAdapter(config), {
+    description: 'Yield farming, LP and flash-loan arbitrage mix'
+  });
+  registry.register('yield-recovery', config => new YieldRecoveryAdapter(config), {
+    description: 'RLUSD-hedged recovery allocation'
+  });
+  registry.register('yield-empire-overlord', config => new EmpireStrategyAdapter(config, '../overlord/yield-empire-overlord'), {
+    description: 'AI-oracle fused RLUSD / eco-RWA allocation'
+  });
+  registry.register('quantum-singularity-nexus', config => new EmpireStrategyAdapter(config, '../nexus/quantum-singularity-nexus'), {
+    description: 'Multi-chain oracle RLUSD allocation'
+  });
+  registry.register('yield-empire-accelerator', config => new EmpireStrategyAdapter(config, '../accelerator/yield-empire-accelerator'), {
+    description: 'ETF surge RLUSD / eco-RWA / AMM allocation'
+  });
+}
+
+module.exports = {
+  LegacyStrategyAdapter,
+  NasdaqXrplFusionAdapter,
+  QuantumDeFiAdapter,
+  YieldRecoveryAdapter,
+  EmpireStrategyAdapter,
+  registerBuiltinStrategies
+};
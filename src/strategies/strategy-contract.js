@@ -0,0 +1,142 @@
+/*
+ * STRATEGY CONTRACT
+ * Common lifecycle every strategy exposes to the Multi-Bot Orchestrator:
+ * init -> onMarketData -> proposeAllocation -> teardown, plus declared capital limits
+ */
+
+const REQUIRED_METHODS = ['init', 'onMarketData', 'proposeAllocation', 'teardown'];
+
+const DEFAULT_CAPITAL_LIMITS = {
+  minCapital: 0, // Below this the strategy sits out
+  maxCapital: Infinity, // Absolute cap on capital the strategy may deploy
+  maxAllocation: 1.0 // Max share of the capital offered by the orchestrator
+};
+
+class Strategy {
+  /**
+   * @param {Object} config - Strategy configuration
+   * @param {string} config.id - Unique id of this strategy instance
+   * @param {Object} config.capitalLimits - Declared capital limits
+   */
+  constructor(config = {}) {
+    this.id = config.id || this.constructor.name;
+    this.config = config;
+    this.capitalLimits = { ...DEFAULT_CAPITAL_LIMITS, ...(config.capitalLimits || {}) };
+    this.latestMarketData = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Prepare connections, models and state
+   * @param {Object} context - Shared context from the orchestrator (network, clients)
+   */
+  async init(context = {}) {
+    this.context = context;
+    this.initialized = true;
+  }
+
+  /**
+   * Receive the latest market snapshot
+   * @param {Object} marketData - Market data pushed by the orchestrator
+   */
+  async onMarketData(marketData) {
+    this.latestMarketData = marketData;
+  }
+
+  /**
+   * Propose how to deploy the capital offered by the orchestrator
+   * @param {number} capital - Capital offered to this strategy
+   * @returns {Promise<Object>} { allocations: { [asset]: amount }, expectedYield, metadata }
+   */
+  async proposeAllocation(capital) {
+    throw new Error(`${this.id}: proposeAllocation() not implemented`);
+  }
+
+  /**
+   * Release connections and timers
+   */
+  async teardown() {
+    this.initialized = false;
+  }
+
+  getCapitalLimits() {
+    return { ...this.capitalLimits };
+  }
+}
+
+/**
+ * Check that an object fulfils the strategy contract
+ * @param {Object} strategy - Candidate strategy
+ * @returns {Object} The same strategy
+ */
+function assertStrategy(strategy) {
+  if (!strategy || typeof strategy !== 'object') {
+    throw new Error('Strategy must be an object');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof strategy[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Strategy ${strategy.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+
+  const limits = typeof strategy.getCapitalLimits === 'function'
+    ? strategy.getCapitalLimits()
+    : strategy.capitalLimits;
+  if (!limits || typeof limits.maxCapital !== 'number' || typeof limits.maxAllocation !== 'number') {
+    throw new Error(`Strategy ${strategy.id || '(unnamed)'} must declare capitalLimits`);
+  }
+
+  return strategy;
+}
+
+/**
+ * Capital a strategy may receive out of what the orchestrator offers
+ * @param {number} offered - Capital offered
+ * @param {Object} limits - Declared capital limits
+ * @returns {number} Capital the strategy is allowed to deploy (0 if below minCapital)
+ */
+function capitalWithinLimits(offered, limits) {
+  const allowed = Math.min(offered * limits.maxAllocation, limits.maxCapital);
+  return allowed < limits.minCapital ? 0 : allowed;
+}
+
+/**
+ * Normalize a proposal and scale it down if it exceeds the allowed capital
+ * @param {Object} proposal - Raw proposal from proposeAllocation()
+ * @param {number} allowedCapital - Capital the strategy may deploy
+ * @returns {Object} Proposal with numeric allocations and a `clamped` flag
+ */
+function enforceCapitalLimits(proposal, allowedCapital) {
+  const allocations = {};
+  for (const [asset, amount] of Object.entries((proposal && proposal.allocations) || {})) {
+    if (typeof amount === 'number' && isFinite(amount) && amount > 0) {
+      allocations[asset] = amount;
+    }
+  }
+
+  const total = Object.values(allocations).reduce((sum, amount) => sum + amount, 0);
+  const clamped = total > allowedCapital;
+
+  if (clamped) {
+    const scale = allowedCapital > 0 ? allowedCapital / total : 0;
+    for (const asset of Object.keys(allocations)) {
+      allocations[asset] *= scale;
+    }
+  }
+
+  return {
+    ...proposal,
+    allocations,
+    totalAllocated: clamped ? allowedCapital : total,
+    clamped
+  };
+}
+
+module.exports = {
+  Strategy,
+  REQUIRED_METHODS,
+  DEFAULT_CAPITAL_LIMITS,
+  assertStrategy,
+  capitalWithinLimits,
+  enforceCapitalLimits
+};
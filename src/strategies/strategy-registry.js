@@ -0,0 +1,98 @@
+/*
+ * STRATEGY REGISTRY
+ * Maps strategy type names to factories so the orchestrator can build its
+ * strategy set from config instead of hard-coding classes
+ */
+
+const fs = require('fs');
+const { assertStrategy } = require('./strategy-contract');
+const { registerBuiltinStrategies } = require('./strategy-adapters');
+
+class StrategyRegistry {
+  constructor() {
+    this.factories = new Map();
+  }
+
+  /**
+   * Register a strategy type
+   * @param {string} type - Type name used in config
+   * @param {Function} factory - (config) => Strategy
+   * @param {Object} meta - Optional metadata ({ description })
+   */
+  register(type, factory, meta = {}) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Strategy factory for "${type}" must be a function`);
+    }
+    this.factories.set(type, { factory, meta });
+    return this;
+  }
+
+  unregister(type) {
+    return this.factories.delete(type);
+  }
+
+  has(type) {
+    return this.factories.has(type);
+  }
+
+  list() {
+    return Array.from(this.factories.entries()).map(([type, { meta }]) => ({ type, ...meta }));
+  }
+
+  /**
+   * Build a strategy instance and check it against the contract
+   * @param {string} type - Registered type name
+   * @param {Object} config - Strategy config
+   * @returns {Strategy} Strategy instance
+   */
+  create(type, config = {}) {
+    const entry = this.factories.get(type);
+    if (!entry) {
+      throw new Error(`Unknown strategy type "${type}". Registered: ${Array.from(this.factories.keys()).join(', ')}`);
+    }
+    return assertStrategy(entry.factory({ id: type, ...config }));
+  }
+
+  /**
+   * Build every enabled strategy in a config list
+   * @param {Array|string} entries - Array of { id, type, weight, enabled, capitalLimits, ... } or a JSON file path
+   * @param {Object} options - Optional ({ skipFailed: return entries that fail to build with strategy null and their error instead of throwing })
+   * @returns {Array} [{ id, type, weight, strategy, error }]
+   */
+  loadFromConfig(entries, options = {}) {
+    const list = typeof entries === 'string'
+      ? JSON.parse(fs.readFileSync(entries, 'utf8')).strategies
+      : entries;
+
+    if (!Array.isArray(list)) {
+      throw new Error('Strategy config must be an array of strategy entries');
+    }
+
+    const ids = new Set();
+    return list
+      .filter(entry => entry.enabled !== false)
+      .map(entry => {
+        const id = entry.id || entry.type;
+        if (ids.has(id)) {
+          throw new Error(`Duplicate strategy id "${id}" in config`);
+        }
+        ids.add(id);
+
+        const loaded = { id, type: entry.type, weight: typeof entry.weight === 'number' ? entry.weight : 1 };
+        try {
+          return { ...loaded, strategy: this.create(entry.type, { ...entry, id }) };
+        } catch (error) {
+          if (!options.skipFailed) throw error;
+          return { ...loaded, strategy: null, error };
+        }
+      });
+  }
+}
+
+const defaultRegistry = new StrategyRegistry();
+registerBuiltinStrategies(defaultRegistry);
+
+module.exports = {
+  StrategyRegistry,
+  defaultRegistry
+};
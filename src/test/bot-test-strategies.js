@@ -0,0 +1,38 @@
+/**
+ * Strategies for exercising bot workers without live market data
+ *
+ * Loaded into a worker through BotSupervisor's strategyModules option:
+ * - 'fixed-split': splits capital by config.split and, when config.payTo is
+ *   set, asks the worker to pay config.payDrops to that address every tick
+ * - 'failing': throws from proposeAllocation with config.message
+ */
+
+const { Strategy } = require('../strategies/strategy-contract');
+
+class FixedSplitStrategy extends Strategy {
+  async proposeAllocation(capital) {
+    const split = this.config.split || { rlusd: 1 };
+    const allocations = {};
+    for (const [asset, share] of Object.entries(split)) {
+      allocations[asset] = capital * share;
+    }
+
+    const transactions = this.config.payTo
+      ? [{ TransactionType: 'Payment', Destination: this.config.payTo, Amount: String(this.config.payDrops || 1000000) }]
+      : [];
+    return { allocations, expectedYield: this.config.expectedYield || 0, transactions };
+  }
+}
+
+class FailingStrategy extends Strategy {
+  async proposeAllocation() {
+    throw new Error(this.config.message || 'Strategy failed');
+  }
+}
+
+function registerStrategies(registry) {
+  registry.register('fixed-split', config => new FixedSplitStrategy(config), { description: 'Fixed capital split (tests)' });
+  registry.register('failing', config => new FailingStrategy(config), { description: 'Always fails (tests)' });
+}
+
+module.exports = { registerStrategies, FixedSplitStrategy, FailingStrategy };
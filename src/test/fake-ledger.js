@@ -0,0 +1,1292 @@
+/**
+ * Fake Ledger - In-process XRPL ledger for offline integration tests
+ *
+ * Implements the slice of rippled the bots use, with real state instead of
+ * canned responses:
+ * - Signed tx_blob submission with signature, sequence/ticket, fee,
+ *   LastLedgerSequence and balance/reserve checks
+ * - Payment (XRP and direct/rippled IOUs), TrustSet, OfferCreate with
+ *   crossing, OfferCancel, Escrow*, TicketCreate, NFTokenMint/Burn,
+ *   NFToken offers, AMMCreate
+ * - Ledger closes (automatic or manual) that validate the open ledger and
+ *   emit 'ledgerClosed' and 'transaction' events
+ *
+ * Not modelled: pathfinding and cross-currency payments, transfer rates,
+ * AMM deposits/withdrawals and AMM liquidity in offer crossing, multisign,
+ * and separate open/validated state (queries read the open ledger).
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const xrpl = require('xrpl');
+
+const DROPS_PER_XRP = 1000000;
+const ACCOUNT_ZERO = 'rrrrrrrrrrrrrrrrrrrrrhoLvTp';
+const LSF_SELL_NFTOKEN = 0x00000001;
+
+// Engine result descriptions returned by submit
+const ENGINE_MESSAGES = {
+  tesSUCCESS: 'The transaction was applied. Only final in a validated ledger.',
+  tefPAST_SEQ: 'This sequence number has already passed.',
+  tefMAX_LEDGER: 'Ledger sequence too high.',
+  tefALREADY: 'The exact transaction was already in this ledger.',
+  tefNO_TICKET: 'Ticket is not in ledger.',
+  terPRE_SEQ: 'Missing/inapplicable prior transaction.',
+  terNO_ACCOUNT: 'The source account does not exist.',
+  terINSUF_FEE_B: 'Account balance can\'t pay fee.',
+  telINSUF_FEE_P: 'Fee insufficient.'
+};
+
+/**
+ * Engine result raised while applying a transaction
+ * @private
+ */
+class EngineResult extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code;
+  }
+}
+
+/**
+ * Error answered to a request, shaped like xrpl.js RippledError
+ */
+class FakeRippledError extends Error {
+  constructor(error, message = error, request = {}) {
+    super(message);
+    this.name = 'RippledError';
+    this.data = { error, error_message: message, request, status: 'error', type: 'response' };
+  }
+}
+
+function fail(code) {
+  throw new EngineResult(code);
+}
+
+function sha512Half(hex) {
+  return crypto.createHash('sha512').update(Buffer.from(hex, 'hex')).digest('hex').slice(0, 64).toUpperCase();
+}
+
+function accountIdHex(address) {
+  return Buffer.from(xrpl.decodeAccountID(address)).toString('hex').toUpperCase();
+}
+
+function uint32Hex(value) {
+  return (value >>> 0).toString(16).padStart(8, '0').toUpperCase();
+}
+
+function formatValue(value) {
+  return String(Number(Number(value).toPrecision(15)));
+}
+
+/**
+ * Parse a ledger amount into { currency, issuer, value }; XRP values are in drops
+ */
+function parseAmount(amount) {
+  if (typeof amount === 'string') {
+    return { currency: 'XRP', value: Number(amount) };
+  }
+  return { currency: amount.currency, issuer: amount.issuer, value: Number(amount.value) };
+}
+
+function formatAmount(asset, value) {
+  if (asset.currency === 'XRP') {
+    return String(Math.round(value));
+  }
+  return { currency: asset.currency, issuer: asset.issuer, value: formatValue(value) };
+}
+
+function sameAsset(a, b) {
+  return a.currency === b.currency && (a.currency === 'XRP' || a.issuer === b.issuer);
+}
+
+class FakeLedger extends EventEmitter {
+  /**
+   * Create a fake ledger
+   * @param {Object} options Ledger options
+   * @param {number} options.baseFee Reference fee in drops (default: 10)
+   * @param {number} options.reserveBase Account reserve in XRP (default: 10)
+   * @param {number} options.reserveIncrement Owner reserve per object in XRP (default: 2)
+   * @param {number} options.loadFactor Fee multiplier required for submission (default: 1)
+   * @param {boolean} options.autoClose Close a ledger shortly after each submission (default: true)
+   * @param {number} options.closeDelay Milliseconds before an automatic close (default: 20)
+   * @param {number} options.startLedger First validated ledger index (default: 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.baseFee = options.baseFee || 10;
+    this.reserveBase = (options.reserveBase !== undefined ? options.reserveBase : 10) * DROPS_PER_XRP;
+    this.reserveIncrement = (options.reserveIncrement !== undefined ? options.reserveIncrement : 2) * DROPS_PER_XRP;
+    this.loadFactor = options.loadFactor || 1;
+    this.autoClose = options.autoClose !== false;
+    this.closeDelay = options.closeDelay !== undefined ? options.closeDelay : 20;
+
+    this.firstLedger = options.startLedger || 1000;
+    this.ledgerIndex = this.firstLedger; // Last validated ledger
+    this.ledgerHash = sha512Half(uint32Hex(this.ledgerIndex));
+    this.timeOffset = 0; // Seconds added to the wall clock by advanceTime
+    this.closeTime = this._rippleNow(); // Close time of the last validated ledger
+
+    this.objects = new Map(); // Ledger objects by index
+    this.nfts = new Map(); // NFTokens by ID (NFTokenPages are not modelled)
+    this.transactions = new Map(); // { tx_json, meta, ledger_index, validated, date } by hash
+    this.accountTransactions = new Map(); // Validated hashes by affected account
+    this.ledgers = new Map(); // Closed ledger headers by index
+    this.pending = []; // Hashes applied to the open ledger
+    this.closeTimer = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Test helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create or top up an account outside of any transaction
+   * @param {string} address Account address
+   * @param {number} xrp XRP to credit
+   * @returns {Object} AccountRoot
+   */
+  fund(address, xrp) {
+    const account = this._account(address);
+    if (account) {
+      account.Balance = String(Number(account.Balance) + xrp * DROPS_PER_XRP);
+      return account;
+    }
+    const root = {
+      LedgerEntryType: 'AccountRoot',
+      Account: address,
+      Balance: String(xrp * DROPS_PER_XRP),
+      Sequence: this.ledgerIndex + 1,
+      OwnerCount: 0,
+      Flags: 0,
+      index: xrpl.hashes.hashAccountRoot(address)
+    };
+    this.objects.set(root.index, root);
+    return root;
+  }
+
+  /**
+   * Generate and fund a wallet
+   * @param {number} xrp XRP to credit (default: 1000)
+   * @returns {xrpl.Wallet} Funded wallet
+   */
+  createWallet(xrp = 1000) {
+    const wallet = xrpl.Wallet.generate();
+    this.fund(wallet.address, xrp);
+    return wallet;
+  }
+
+  /**
+   * Move the ledger clock forward (escrow and expiration checks use it)
+   * @param {number} seconds Seconds to advance
+   */
+  advanceTime(seconds) {
+    this.timeOffset += seconds;
+  }
+
+  /**
+   * Validate the open ledger
+   * @returns {number} New validated ledger index
+   */
+  closeLedger() {
+    if (this.closeTimer) {
+      clearTimeout(this.closeTimer);
+      this.closeTimer = null;
+    }
+
+    this.ledgerIndex++;
+    this.closeTime = Math.max(this._rippleNow(), this.closeTime + 1);
+    this.ledgerHash = sha512Half(uint32Hex(this.ledgerIndex) + this.pending.join(''));
+
+    const hashes = this.pending;
+    this.pending = [];
+    this.ledgers.set(this.ledgerIndex, {
+      ledger_index: this.ledgerIndex,
+      ledger_hash: this.ledgerHash,
+      close_time: this.closeTime,
+      transactions: hashes
+    });
+
+    hashes.forEach((hash, position) => {
+      const record = this.transactions.get(hash);
+      record.ledger_index = this.ledgerIndex;
+      record.date = this.closeTime;
+      record.validated = true;
+      record.meta.TransactionIndex = position;
+      this._affectedAccounts(record).forEach(address => {
+        if (!this.accountTransactions.has(address)) this.accountTransactions.set(address, []);
+        this.accountTransactions.get(address).push(hash);
+      });
+    });
+
+    this.emit('ledgerClosed', {
+      type: 'ledgerClosed',
+      ledger_index: this.ledgerIndex,
+      ledger_hash: this.ledgerHash,
+      ledger_time: this.closeTime,
+      txn_count: hashes.length,
+      fee_base: this.baseFee,
+      reserve_base: this.reserveBase,
+      reserve_inc: this.reserveIncrement,
+      validated_ledgers: `${this.firstLedger}-${this.ledgerIndex}`
+    });
+
+    hashes.forEach(hash => {
+      const record = this.transactions.get(hash);
+      this.emit('transaction', {
+        type: 'transaction',
+        transaction: { ...record.tx_json, hash, date: record.date },
+        meta: record.meta,
+        engine_result: record.meta.TransactionResult,
+        engine_result_code: 0,
+        ledger_index: this.ledgerIndex,
+        ledger_hash: this.ledgerHash,
+        validated: true,
+        accounts: this._affectedAccounts(record)
+      });
+    });
+
+    return this.ledgerIndex;
+  }
+
+  /**
+   * Stop any scheduled ledger close
+   */
+  stop() {
+    if (this.closeTimer) {
+      clearTimeout(this.closeTimer);
+      this.closeTimer = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebSocket API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Answer a rippled WebSocket API request
+   * @param {Object} request Request ({ command, ... })
+   * @returns {Promise<Object>} Response ({ result })
+   * @throws {FakeRippledError} For rippled error responses (actNotFound, txnNotFound, ...)
+   */
+  async request(request) {
+    const handler = this[`_cmd_${request.command}`];
+    if (!handler) {
+      throw new FakeRippledError('unknownCmd', `Unknown method: ${request.command}`, request);
+    }
+    return { result: handler.call(this, request), type: 'response', status: 'success', id: request.id };
+  }
+
+  _cmd_ping() {
+    return {};
+  }
+
+  _cmd_server_info() {
+    return {
+      info: {
+        build_version: 'fake-ledger',
+        complete_ledgers: `${this.firstLedger}-${this.ledgerIndex}`,
+        load_factor: this.loadFactor,
+        server_state: 'full',
+        validated_ledger: {
+          seq: this.ledgerIndex,
+          hash: this.ledgerHash,
+          age: 0,
+          base_fee_xrp: this.baseFee / DROPS_PER_XRP,
+          reserve_base_xrp: this.reserveBase / DROPS_PER_XRP,
+          reserve_inc_xrp: this.reserveIncrement / DROPS_PER_XRP
+        }
+      }
+    };
+  }
+
+  _cmd_fee() {
+    const openLedgerFee = String(this.baseFee * this.loadFactor);
+    return {
+      current_ledger_size: String(this.pending.length),
+      ledger_current_index: this.ledgerIndex + 1,
+      drops: {
+        base_fee: String(this.baseFee),
+        median_fee: openLedgerFee,
+        minimum_fee: openLedgerFee,
+        open_ledger_fee: openLedgerFee
+      }
+    };
+  }
+
+  _cmd_ledger_current() {
+    return { ledger_current_index: this.ledgerIndex + 1 };
+  }
+
+  _cmd_ledger_closed() {
+    return { ledger_index: this.ledgerIndex, ledger_hash: this.ledgerHash };
+  }
+
+  _cmd_ledger_accept() {
+    return { ledger_current_index: this.closeLedger() + 1 };
+  }
+
+  _cmd_ledger(request) {
+    const index = this._resolveLedgerIndex(request.ledger_index);
+    const header = this.ledgers.get(index) || { ledger_index: index, ledger_hash: this.ledgerHash, close_time: this.closeTime, transactions: [] };
+    const ledger = {
+      ledger_index: String(index),
+      ledger_hash: header.ledger_hash,
+      hash: header.ledger_hash,
+      close_time: header.close_time,
+      closed: true
+    };
+    if (request.transactions) {
+      ledger.transactions = header.transactions.map(hash => {
+        if (!request.expand) return hash;
+        const record = this.transactions.get(hash);
+        return { ...record.tx_json, hash, metaData: record.meta };
+      });
+    }
+    return { ledger, ledger_hash: header.ledger_hash, ledger_index: index, validated: true };
+  }
+
+  _cmd_account_info(request) {
+    const account = this._requireAccount(request.account, request);
+    return {
+      account_data: { ...account },
+      ledger_current_index: this.ledgerIndex + 1,
+      validated: false
+    };
+  }
+
+  _cmd_account_lines(request) {
+    this._requireAccount(request.account, request);
+    const lines = this._objectsOf(request.account, 'RippleState')
+      .map(line => this._lineView(line, request.account))
+      .filter(line => !request.peer || line.account === request.peer);
+    return { account: request.account, lines, ledger_current_index: this.ledgerIndex + 1 };
+  }
+
+  _cmd_account_objects(request) {
+    this._requireAccount(request.account, request);
+    const type = request.type ? request.type.toLowerCase().replace(/_/g, '') : null;
+    const objects = this._objectsOf(request.account)
+      .filter(object => !type || object.LedgerEntryType.toLowerCase() === type || (type === 'state' && object.LedgerEntryType === 'RippleState'));
+    return { account: request.account, account_objects: objects.slice(0, request.limit || objects.length) };
+  }
+
+  _cmd_account_nfts(request) {
+    this._requireAccount(request.account, request);
+    const nfts = Array.from(this.nfts.values())
+      .filter(nft => nft.Owner === request.account)
+      .map(({ Owner, ...nft }) => nft);
+    return { account: request.account, account_nfts: nfts, ledger_current_index: this.ledgerIndex + 1 };
+  }
+
+  _cmd_account_tx(request) {
+    this._requireAccount(request.account, request);
+    const min = request.ledger_index_min === undefined || request.ledger_index_min === -1 ? this.firstLedger : request.ledger_index_min;
+    const max = request.ledger_index_max === undefined || request.ledger_index_max === -1 ? this.ledgerIndex : request.ledger_index_max;
+
+    let records = (this.accountTransactions.get(request.account) || [])
+      .map(hash => ({ hash, record: this.transactions.get(hash) }))
+      .filter(({ record }) => record.ledger_index >= min && record.ledger_index <= max);
+    if (!request.forward) records = records.reverse();
+
+    const offset = request.marker ? request.marker.offset : 0;
+    const limit = request.limit || 200;
+    const page = records.slice(offset, offset + limit);
+
+    const result = {
+      account: request.account,
+      ledger_index_min: min,
+      ledger_index_max: max,
+      limit,
+      transactions: page.map(({ hash, record }) => ({
+        tx: { ...record.tx_json, hash, ledger_index: record.ledger_index, date: record.date },
+        meta: record.meta,
+        validated: true
+      }))
+    };
+    if (offset + limit < records.length) {
+      result.marker = { offset: offset + limit };
+    }
+    return result;
+  }
+
+  _cmd_tx(request) {
+    const record = this.transactions.get(request.transaction);
+    if (!record) {
+      throw new FakeRippledError('txnNotFound', 'Transaction not found.', request);
+    }
+    return {
+      ...record.tx_json,
+      hash: request.transaction,
+      ledger_index: record.ledger_index,
+      date: record.date,
+      meta: record.meta,
+      validated: record.validated
+    };
+  }
+
+  _cmd_ledger_entry(request) {
+    let index = request.index;
+    if (request.escrow) index = xrpl.hashes.hashEscrow(request.escrow.owner, request.escrow.seq);
+    if (request.offer) index = xrpl.hashes.hashOfferId(request.offer.account, request.offer.seq);
+    if (request.account_root) index = xrpl.hashes.hashAccountRoot(request.account_root);
+    if (request.ticket) index = this._ticketIndex(request.ticket.account, request.ticket.ticket_seq);
+    if (request.ripple_state) {
+      const [a, b] = request.ripple_state.accounts;
+      index = xrpl.hashes.hashTrustline(a, b, request.ripple_state.currency);
+    }
+
+    const node = index && this.objects.get(index);
+    if (!node) {
+      throw new FakeRippledError('entryNotFound', 'Entry not found.', request);
+    }
+    return { index, node: { ...node }, ledger_index: this.ledgerIndex, validated: true };
+  }
+
+  _cmd_book_offers(request) {
+    const gets = request.taker_gets;
+    const pays = request.taker_pays;
+    const offers = this._book(gets, pays).map(offer => {
+      const funded = this._funds(offer.Account, parseAmount(offer.TakerGets));
+      const view = { ...offer, quality: formatValue(this._quality(offer)), owner_funds: formatValue(this._ownerFundsView(offer)) };
+      const offerGets = parseAmount(offer.TakerGets);
+      if (funded < offerGets.value) {
+        view.taker_gets_funded = formatAmount(offerGets, funded);
+        view.taker_pays_funded = formatAmount(parseAmount(offer.TakerPays), funded * this._quality(offer));
+      }
+      return view;
+    });
+
+    const offset = request.marker ? Number(request.marker) : 0;
+    const limit = request.limit || 300;
+    const result = { offers: offers.slice(offset, offset + limit), ledger_current_index: this.ledgerIndex + 1 };
+    if (offset + limit < offers.length) {
+      result.marker = String(offset + limit);
+    }
+    return result;
+  }
+
+  _cmd_amm_info(request) {
+    let amm;
+    if (request.amm_account) {
+      amm = Array.from(this.objects.values()).find(object => object.LedgerEntryType === 'AMM' && object.Account === request.amm_account);
+    } else {
+      amm = this.objects.get(this._ammIndex(request.asset, request.asset2));
+    }
+    if (!amm) {
+      throw new FakeRippledError('actNotFound', 'Account not found.', request);
+    }
+
+    return {
+      amm: {
+        account: amm.Account,
+        amount: amm.Amount,
+        amount2: amm.Amount2,
+        lp_token: { ...amm.LPTokenBalance },
+        trading_fee: amm.TradingFee,
+        auction_slot: amm.AuctionSlot ? { ...amm.AuctionSlot } : undefined,
+        vote_slots: []
+      },
+      ledger_current_index: this.ledgerIndex + 1,
+      validated: false
+    };
+  }
+
+  _cmd_nft_sell_offers(request) {
+    return this._nftOffers(request, true);
+  }
+
+  _cmd_nft_buy_offers(request) {
+    return this._nftOffers(request, false);
+  }
+
+  _cmd_subscribe() {
+    return {
+      ledger_index: this.ledgerIndex,
+      ledger_hash: this.ledgerHash,
+      ledger_time: this.closeTime,
+      fee_base: this.baseFee,
+      reserve_base: this.reserveBase,
+      reserve_inc: this.reserveIncrement,
+      validated_ledgers: `${this.firstLedger}-${this.ledgerIndex}`
+    };
+  }
+
+  _cmd_unsubscribe() {
+    return {};
+  }
+
+  _cmd_submit(request) {
+    let tx;
+    try {
+      tx = xrpl.decode(request.tx_blob);
+    } catch (error) {
+      throw new FakeRippledError('invalidTransaction', `Invalid tx_blob: ${error.message}`, request);
+    }
+
+    if (!tx.SigningPubKey || !tx.TxnSignature || !xrpl.verifySignature(request.tx_blob) ||
+        xrpl.deriveAddress(tx.SigningPubKey) !== tx.Account) {
+      throw new FakeRippledError('invalidTransaction', 'fails local checks: Invalid signature.', request);
+    }
+
+    const hash = xrpl.hashes.hashSignedTx(request.tx_blob);
+    const engineResult = this._submit(tx, hash);
+    const account = this._account(tx.Account);
+
+    return {
+      engine_result: engineResult,
+      engine_result_code: engineResult === 'tesSUCCESS' ? 0 : -1,
+      engine_result_message: ENGINE_MESSAGES[engineResult] || engineResult,
+      tx_blob: request.tx_blob,
+      tx_json: { ...tx, hash },
+      accepted: /^(tes|tec)/.test(engineResult),
+      applied: /^(tes|tec)/.test(engineResult),
+      broadcast: /^(tes|tec)/.test(engineResult),
+      kept: true,
+      queued: false,
+      account_sequence_next: account ? account.Sequence : undefined,
+      open_ledger_cost: String(this.baseFee * this.loadFactor),
+      validated_ledger_index: this.ledgerIndex
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transaction engine
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Check and apply a signed transaction to the open ledger
+   * @private
+   * @returns {string} Engine result
+   */
+  _submit(tx, hash) {
+    if (this.transactions.has(hash)) return 'tefALREADY';
+
+    const account = this._account(tx.Account);
+    if (!account) return 'terNO_ACCOUNT';
+
+    const openLedger = this.ledgerIndex + 1;
+    if (tx.LastLedgerSequence !== undefined && tx.LastLedgerSequence < openLedger) return 'tefMAX_LEDGER';
+
+    const fee = Number(tx.Fee);
+    if (!(fee >= this.baseFee * this.loadFactor)) return 'telINSUF_FEE_P';
+
+    let ticket = null;
+    if (tx.TicketSequence !== undefined) {
+      ticket = this.objects.get(this._ticketIndex(tx.Account, tx.TicketSequence));
+      if (!ticket) return tx.TicketSequence >= account.Sequence ? 'terPRE_TICKET' : 'tefNO_TICKET';
+    } else if (tx.Sequence < account.Sequence) {
+      return 'tefPAST_SEQ';
+    } else if (tx.Sequence > account.Sequence) {
+      return 'terPRE_SEQ';
+    }
+
+    if (Number(account.Balance) < fee) return 'terINSUF_FEE_B';
+
+    const before = this._snapshot();
+
+    // Fee and sequence are claimed even when the transaction itself fails (tec)
+    account.Balance = String(Number(account.Balance) - fee);
+    if (ticket) {
+      this.objects.delete(ticket.index);
+      account.OwnerCount--;
+    } else {
+      account.Sequence++;
+    }
+    const charged = this._snapshot();
+
+    const meta = { TransactionResult: 'tesSUCCESS' };
+    try {
+      this._apply(tx, meta);
+    } catch (error) {
+      if (!(error instanceof EngineResult)) throw error;
+      this._restore(charged);
+      meta.TransactionResult = error.code;
+      delete meta.delivered_amount;
+      delete meta.nftoken_id;
+      delete meta.offer_id;
+
+      // Malformed transactions are not applied at all
+      if (/^tem/.test(error.code)) {
+        this._restore(before);
+        return error.code;
+      }
+    }
+
+    meta.AffectedNodes = this._diff(before);
+    const { SigningPubKey, TxnSignature, ...fields } = tx;
+    this.transactions.set(hash, {
+      tx_json: { ...fields, SigningPubKey, TxnSignature },
+      meta,
+      ledger_index: openLedger,
+      validated: false,
+      date: null
+    });
+    this.pending.push(hash);
+    this._scheduleClose();
+
+    return meta.TransactionResult;
+  }
+
+  /**
+   * Apply transaction-specific effects; throws EngineResult on failure
+   * @private
+   */
+  _apply(tx, meta) {
+    switch (tx.TransactionType) {
+      case 'Payment': return this._applyPayment(tx, meta);
+      case 'TrustSet': return this._applyTrustSet(tx);
+      case 'OfferCreate': return this._applyOfferCreate(tx);
+      case 'OfferCancel': return this._removeOffer(xrpl.hashes.hashOfferId(tx.Account, tx.OfferSequence));
+      case 'EscrowCreate': return this._applyEscrowCreate(tx);
+      case 'EscrowFinish': return this._applyEscrowClose(tx, true);
+      case 'EscrowCancel': return this._applyEscrowClose(tx, false);
+      case 'TicketCreate': return this._applyTicketCreate(tx);
+      case 'NFTokenMint': return this._applyNFTokenMint(tx, meta);
+      case 'NFTokenBurn': return this._applyNFTokenBurn(tx);
+      case 'NFTokenCreateOffer': return this._applyNFTokenCreateOffer(tx, meta);
+      case 'NFTokenCancelOffer': return (tx.NFTokenOffers || []).forEach(index => this._removeNFTokenOffer(index));
+      case 'NFTokenAcceptOffer': return this._applyNFTokenAcceptOffer(tx);
+      case 'AMMCreate': return this._applyAMMCreate(tx);
+      case 'AccountSet': return undefined;
+      default: return fail('temUNKNOWN');
+    }
+  }
+
+  _applyPayment(tx, meta) {
+    const amount = parseAmount(tx.Amount);
+    if (!(amount.value > 0)) fail('temBAD_AMOUNT');
+    if (tx.Account === tx.Destination) fail('temREDUNDANT');
+    if (tx.SendMax && !sameAsset(parseAmount(tx.SendMax), amount)) {
+      fail('tecPATH_DRY'); // Cross-currency paths are not modelled
+    }
+
+    const partial = Boolean(tx.Flags & xrpl.PaymentFlags.tfPartialPayment);
+
+    if (amount.currency === 'XRP') {
+      if (!this._account(tx.Destination)) {
+        if (amount.value < this.reserveBase) fail('tecNO_DST_INSUF_XRP');
+        this.fund(tx.Destination, 0).Sequence = this.ledgerIndex + 1;
+      }
+      let deliver = amount.value;
+      const spendable = this._spendableXRP(tx.Account);
+      if (spendable < deliver) {
+        if (!partial || spendable <= 0) fail('tecUNFUNDED_PAYMENT');
+        deliver = spendable;
+      }
+      this._moveXRP(tx.Account, tx.Destination, deliver);
+      meta.delivered_amount = formatAmount(amount, deliver);
+      return;
+    }
+
+    if (!this._account(tx.Destination)) fail('tecNO_DST');
+
+    let deliver = amount.value;
+    if (tx.Account !== amount.issuer) {
+      deliver = Math.min(deliver, this._holding(tx.Account, amount.issuer, amount.currency));
+    }
+    if (tx.Destination !== amount.issuer) {
+      const line = this._line(tx.Destination, amount.issuer, amount.currency);
+      if (!line) fail('tecPATH_DRY');
+      const room = this._limit(line, tx.Destination) - this._holding(tx.Destination, amount.issuer, amount.currency);
+      deliver = Math.min(deliver, room);
+    }
+    if (deliver <= 0) fail('tecPATH_DRY');
+    if (deliver < amount.value && !partial) fail('tecPATH_PARTIAL');
+
+    this._moveIOU(tx.Account, tx.Destination, amount, deliver);
+    meta.delivered_amount = formatAmount(amount, deliver);
+  }
+
+  _applyTrustSet(tx) {
+    const limit = parseAmount(tx.LimitAmount);
+    if (limit.issuer === tx.Account) fail('temDST_IS_SRC');
+    if (!this._account(limit.issuer)) fail('tecNO_DST');
+
+    let line = this._line(tx.Account, limit.issuer, limit.currency);
+    if (!line) {
+      if (limit.value === 0) return;
+      this._requireReserve(tx.Account, 1, 'tecINSUF_RESERVE_LINE');
+      line = this._createLine(tx.Account, limit.issuer, limit.currency);
+      this._account(tx.Account).OwnerCount++;
+    }
+
+    const side = this._isLow(tx.Account, limit.issuer) ? 'LowLimit' : 'HighLimit';
+    line[side] = { ...line[side], value: formatValue(limit.value) };
+
+    // A line back at its defaults is removed
+    if (limit.value === 0 && this._holding(tx.Account, limit.issuer, limit.currency) === 0 &&
+        Number(line.LowLimit.value) === 0 && Number(line.HighLimit.value) === 0) {
+      this.objects.delete(line.index);
+      this._account(tx.Account).OwnerCount--;
+    }
+  }
+
+  _applyOfferCreate(tx) {
+    const gets = parseAmount(tx.TakerGets);
+    const pays = parseAmount(tx.TakerPays);
+    if (!(gets.value > 0) || !(pays.value > 0) || sameAsset(gets, pays)) fail('temBAD_OFFER');
+
+    if (tx.OfferSequence !== undefined) {
+      this._removeOffer(xrpl.hashes.hashOfferId(tx.Account, tx.OfferSequence));
+    }
+    if (this._funds(tx.Account, gets) <= 0) fail('tecUNFUNDED_OFFER');
+
+    const sell = Boolean(tx.Flags & xrpl.OfferCreateFlags.tfSell);
+    const limitPrice = gets.value / pays.value; // Most of `gets` we give per unit of `pays`
+    let remainingGets = gets.value;
+    let remainingPays = pays.value;
+
+    // Cross the opposite book, best price first, at the resting offer's price
+    for (const offer of this._book(pays, gets)) {
+      if (remainingPays <= 0 || remainingGets <= 0) break;
+      if (offer.Account === tx.Account) continue;
+
+      const price = this._quality(offer); // Their TakerPays (our gets) per unit of their TakerGets (our pays)
+      if (price > limitPrice * (1 + 1e-12)) break;
+
+      const offerGets = parseAmount(offer.TakerGets);
+      const available = Math.min(offerGets.value, this._funds(offer.Account, offerGets));
+      if (available <= 0) {
+        this._removeOffer(offer.index);
+        continue;
+      }
+
+      const affordable = Math.min(remainingGets, this._funds(tx.Account, gets)) / price;
+      const take = Math.min(available, sell ? affordable : Math.min(remainingPays, affordable));
+      if (take <= 0) break;
+      const give = take * price;
+
+      this._transfer(offer.Account, tx.Account, pays, take);
+      this._transfer(tx.Account, offer.Account, gets, give);
+
+      const left = offerGets.value - take;
+      if (left <= offerGets.value * 1e-12 || (offerGets.currency === 'XRP' && left < 1)) {
+        this._removeOffer(offer.index);
+      } else {
+        offer.TakerGets = formatAmount(offerGets, left);
+        offer.TakerPays = formatAmount(parseAmount(offer.TakerPays), left * price);
+      }
+
+      remainingPays -= take;
+      remainingGets -= give;
+    }
+
+    const filled = sell ? remainingGets <= gets.value * 1e-12 : remainingPays <= pays.value * 1e-12;
+    if (tx.Flags & xrpl.OfferCreateFlags.tfFillOrKill && !filled) fail('tecKILLED');
+    if (filled || tx.Flags & xrpl.OfferCreateFlags.tfImmediateOrCancel) return;
+
+    // Rest the remainder on the book at the original rate
+    const restGets = sell ? remainingGets : remainingPays * limitPrice;
+    const restPays = sell ? remainingGets / limitPrice : remainingPays;
+    this._requireReserve(tx.Account, 1, 'tecINSUF_RESERVE_OFFER');
+    const sequence = tx.TicketSequence || tx.Sequence;
+    const index = xrpl.hashes.hashOfferId(tx.Account, sequence);
+    this.objects.set(index, {
+      LedgerEntryType: 'Offer',
+      Account: tx.Account,
+      Sequence: sequence,
+      TakerGets: formatAmount(gets, restGets),
+      TakerPays: formatAmount(pays, restPays),
+      Flags: sell ? 0x00020000 : 0,
+      index
+    });
+    this._account(tx.Account).OwnerCount++;
+  }
+
+  _applyEscrowCreate(tx) {
+    const amount = parseAmount(tx.Amount);
+    if (amount.currency !== 'XRP' || !(amount.value > 0)) fail('temBAD_AMOUNT');
+    if (tx.FinishAfter === undefined && tx.CancelAfter === undefined) fail('temBAD_EXPIRATION');
+    if (tx.FinishAfter !== undefined && tx.CancelAfter !== undefined && tx.CancelAfter <= tx.FinishAfter) fail('temBAD_EXPIRATION');
+    if (!this._account(tx.Destination)) fail('tecNO_DST');
+    if (tx.CancelAfter !== undefined && tx.CancelAfter <= this.closeTime) fail('tecNO_PERMISSION');
+    if (tx.FinishAfter !== undefined && tx.FinishAfter <= this.closeTime) fail('tecNO_PERMISSION');
+
+    this._requireReserve(tx.Account, 1, 'tecINSUF_RESERVE_LINE');
+    if (this._spendableXRP(tx.Account) - this.reserveIncrement < amount.value) fail('tecUNFUNDED');
+
+    const account = this._account(tx.Account);
+    account.Balance = String(Number(account.Balance) - amount.value);
+    account.OwnerCount++;
+
+    const sequence = tx.TicketSequence || tx.Sequence;
+    const index = xrpl.hashes.hashEscrow(tx.Account, sequence);
+    const escrow = { LedgerEntryType: 'Escrow', Account: tx.Account, Destination: tx.Destination, Amount: tx.Amount, Flags: 0, index };
+    if (tx.FinishAfter !== undefined) escrow.FinishAfter = tx.FinishAfter;
+    if (tx.CancelAfter !== undefined) escrow.CancelAfter = tx.CancelAfter;
+    if (tx.Memos) escrow.Memos = tx.Memos;
+    this.objects.set(index, escrow);
+  }
+
+  _applyEscrowClose(tx, finish) {
+    const escrow = this.objects.get(xrpl.hashes.hashEscrow(tx.Owner, tx.OfferSequence));
+    if (!escrow) fail('tecNO_TARGET');
+
+    const now = this.closeTime;
+    if (finish) {
+      if (escrow.FinishAfter !== undefined && now <= escrow.FinishAfter) fail('tecNO_PERMISSION');
+      if (escrow.CancelAfter !== undefined && now > escrow.CancelAfter) fail('tecNO_PERMISSION');
+    } else if (escrow.CancelAfter === undefined || now <= escrow.CancelAfter) {
+      fail('tecNO_PERMISSION');
+    }
+
+    const recipient = this._account(finish ? escrow.Destination : escrow.Account);
+    recipient.Balance = String(Number(recipient.Balance) + Number(escrow.Amount));
+    this._account(escrow.Account).OwnerCount--;
+    this.objects.delete(escrow.index);
+  }
+
+  _applyTicketCreate(tx) {
+    const count = tx.TicketCount;
+    if (!(count >= 1 && count <= 250)) fail('temINVALID_COUNT');
+    this._requireReserve(tx.Account, count, 'tecINSUF_RESERVE');
+
+    const account = this._account(tx.Account);
+    for (let i = 0; i < count; i++) {
+      const ticketSequence = account.Sequence + i;
+      const index = this._ticketIndex(tx.Account, ticketSequence);
+      this.objects.set(index, { LedgerEntryType: 'Ticket', Account: tx.Account, TicketSequence: ticketSequence, Flags: 0, index });
+    }
+    account.Sequence += count;
+    account.OwnerCount += count;
+  }
+
+  _applyNFTokenMint(tx, meta) {
+    const issuer = tx.Issuer || tx.Account;
+    const issuerRoot = this._account(issuer);
+    if (!issuerRoot) fail('tecNO_ISSUER');
+
+    const owned = Array.from(this.nfts.values()).filter(nft => nft.Owner === tx.Account).length;
+    if (owned % 32 === 0) {
+      // A new NFTokenPage is needed
+      this._requireReserve(tx.Account, 1, 'tecINSUF_RESERVE');
+      this._account(tx.Account).OwnerCount++;
+    }
+
+    const serial = issuerRoot.MintedNFTokens || 0;
+    issuerRoot.MintedNFTokens = serial + 1;
+    const flags = (tx.Flags || 0) & 0xffff;
+    const transferFee = tx.TransferFee || 0;
+    const taxon = tx.NFTokenTaxon >>> 0;
+    const scrambled = (taxon ^ ((Math.imul(384160001, serial) + 2459) >>> 0)) >>> 0;
+    const id = flags.toString(16).padStart(4, '0') + transferFee.toString(16).padStart(4, '0') +
+      accountIdHex(issuer) + uint32Hex(scrambled) + uint32Hex(serial);
+    const nftokenID = id.toUpperCase();
+
+    const nft = { NFTokenID: nftokenID, Issuer: issuer, NFTokenTaxon: taxon, Flags: flags, TransferFee: transferFee, nft_serial: serial, Owner: tx.Account };
+    if (tx.URI) nft.URI = tx.URI;
+    this.nfts.set(nftokenID, nft);
+    meta.nftoken_id = nftokenID;
+  }
+
+  _applyNFTokenBurn(tx) {
+    const nft = this.nfts.get(tx.NFTokenID);
+    if (!nft || nft.Owner !== (tx.Owner || tx.Account)) fail('tecNO_ENTRY');
+    this._removeNFToken(nft);
+  }
+
+  _applyNFTokenCreateOffer(tx, meta) {
+    const nft = this.nfts.get(tx.NFTokenID);
+    const sell = Boolean(tx.Flags & xrpl.NFTokenCreateOfferFlags.tfSellNFToken);
+    if (!nft) fail('tecNO_ENTRY');
+    if (sell && nft.Owner !== tx.Account) fail('tecNO_ENTRY');
+    if (!sell && (nft.Owner === tx.Account || tx.Owner !== nft.Owner)) fail('tecNO_ENTRY');
+    if (!(nft.Flags & xrpl.NFTokenMintFlags.tfTransferable) && nft.Issuer !== tx.Account && nft.Issuer !== nft.Owner && tx.Destination !== nft.Issuer) {
+      fail('tefNFTOKEN_IS_NOT_TRANSFERABLE');
+    }
+    const amount = parseAmount(tx.Amount);
+    if (!sell && !(amount.value > 0)) fail('temBAD_AMOUNT');
+    if (!sell && this._funds(tx.Account, amount) < amount.value) fail('tecUNFUNDED_OFFER');
+
+    this._requireReserve(tx.Account, 1, 'tecINSUF_RESERVE');
+    const sequence = tx.TicketSequence || tx.Sequence;
+    const index = sha512Half('0071' + accountIdHex(tx.Account) + uint32Hex(sequence));
+    const offer = {
+      LedgerEntryType: 'NFTokenOffer',
+      Owner: tx.Account,
+      NFTokenID: tx.NFTokenID,
+      Amount: tx.Amount,
+      Flags: sell ? LSF_SELL_NFTOKEN : 0,
+      index
+    };
+    if (tx.Destination) offer.Destination = tx.Destination;
+    if (tx.Expiration) offer.Expiration = tx.Expiration;
+    this.objects.set(index, offer);
+    this._account(tx.Account).OwnerCount++;
+    meta.offer_id = index;
+  }
+
+  _applyNFTokenAcceptOffer(tx) {
+    if (tx.NFTokenSellOffer && tx.NFTokenBuyOffer) fail('temMALFORMED'); // Brokered mode is not modelled
+
+    const offer = this.objects.get(tx.NFTokenSellOffer || tx.NFTokenBuyOffer);
+    if (!offer || offer.LedgerEntryType !== 'NFTokenOffer') fail('tecOBJECT_NOT_FOUND');
+    const sellOffer = Boolean(offer.Flags & LSF_SELL_NFTOKEN);
+    if (sellOffer !== Boolean(tx.NFTokenSellOffer)) fail('tecNFTOKEN_OFFER_TYPE_MISMATCH');
+    if (offer.Destination && offer.Destination !== tx.Account) fail('tecNO_PERMISSION');
+    if (offer.Expiration && offer.Expiration <= this.closeTime) fail('tecEXPIRED');
+
+    const nft = this.nfts.get(offer.NFTokenID);
+    const seller = sellOffer ? offer.Owner : tx.Account;
+    const buyer = sellOffer ? tx.Account : offer.Owner;
+    if (!nft || nft.Owner !== seller) fail('tecNO_PERMISSION');
+
+    const amount = parseAmount(offer.Amount);
+    if (amount.value > 0) {
+      if (this._funds(buyer, amount) < amount.value) fail('tecINSUFFICIENT_FUNDS');
+      const royalty = nft.Issuer !== seller ? amount.value * nft.TransferFee / 100000 : 0;
+      if (royalty > 0) this._transfer(buyer, nft.Issuer, amount, royalty);
+      this._transfer(buyer, seller, amount, amount.value - royalty);
+    }
+
+    this._removeNFTokenOffer(offer.index);
+    this._removeNFToken(nft);
+    this._requireReserve(buyer, 0, 'tecINSUFFICIENT_RESERVE');
+    const owned = Array.from(this.nfts.values()).filter(token => token.Owner === buyer).length;
+    if (owned % 32 === 0) this._account(buyer).OwnerCount++;
+    this.nfts.set(nft.NFTokenID, { ...nft, Owner: buyer });
+  }
+
+  _applyAMMCreate(tx) {
+    const amount = parseAmount(tx.Amount);
+    const amount2 = parseAmount(tx.Amount2);
+    if (!(amount.value > 0) || !(amount2.value > 0) || sameAsset(amount, amount2)) fail('temBAD_AMM_TOKENS');
+    if (!(tx.TradingFee >= 0 && tx.TradingFee <= 1000)) fail('temBAD_FEE');
+
+    const index = this._ammIndex(amount, amount2);
+    if (this.objects.has(index)) fail('tecDUPLICATE');
+    if (this._funds(tx.Account, amount) < amount.value || this._funds(tx.Account, amount2) < amount2.value) fail('tecUNFUNDED_AMM');
+
+    // Pseudo-account holding the pool; reserves are tracked on the AMM object
+    const ammAccount = xrpl.encodeAccountID(Buffer.from(index.slice(0, 40), 'hex'));
+    this.fund(ammAccount, 0);
+    const lpCurrency = '03' + index.slice(0, 38);
+    const xrpValue = asset => (asset.currency === 'XRP' ? asset.value / DROPS_PER_XRP : asset.value);
+    const lpTokens = Math.sqrt(xrpValue(amount) * xrpValue(amount2));
+
+    this._transfer(tx.Account, ammAccount, amount, amount.value);
+    this._transfer(tx.Account, ammAccount, amount2, amount2.value);
+
+    const lpAsset = { currency: lpCurrency, issuer: ammAccount };
+    this._createLine(tx.Account, ammAccount, lpCurrency);
+    this._account(tx.Account).OwnerCount++;
+    this._moveIOU(ammAccount, tx.Account, lpAsset, lpTokens);
+
+    this.objects.set(index, {
+      LedgerEntryType: 'AMM',
+      Account: ammAccount,
+      Asset: amount.currency === 'XRP' ? { currency: 'XRP' } : { currency: amount.currency, issuer: amount.issuer },
+      Asset2: amount2.currency === 'XRP' ? { currency: 'XRP' } : { currency: amount2.currency, issuer: amount2.issuer },
+      Amount: formatAmount(amount, amount.value),
+      Amount2: formatAmount(amount2, amount2.value),
+      LPTokenBalance: formatAmount(lpAsset, lpTokens),
+      TradingFee: tx.TradingFee,
+      Flags: 0,
+      index
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Balances and trust lines
+  // ---------------------------------------------------------------------------
+
+  _transfer(from, to, asset, value) {
+    if (asset.currency === 'XRP') {
+      this._moveXRP(from, to, value);
+    } else {
+      this._moveIOU(from, to, asset, value, true);
+    }
+  }
+
+  _moveXRP(from, to, drops) {
+    const sender = this._account(from);
+    const receiver = this._account(to);
+    sender.Balance = String(Number(sender.Balance) - Math.round(drops));
+    receiver.Balance = String(Number(receiver.Balance) + Math.round(drops));
+  }
+
+  /**
+   * Move issued currency, rippling through the issuer between holders
+   * @private
+   */
+  _moveIOU(from, to, asset, value, createLines = false) {
+    if (from !== asset.issuer) {
+      this._adjustHolding(from, asset, -value, createLines);
+    }
+    if (to !== asset.issuer) {
+      this._adjustHolding(to, asset, value, createLines);
+    }
+  }
+
+  _adjustHolding(holder, asset, delta, createLine) {
+    let line = this._line(holder, asset.issuer, asset.currency);
+    if (!line) {
+      if (!createLine) fail('tecPATH_DRY');
+      line = this._createLine(holder, asset.issuer, asset.currency);
+      this._account(holder).OwnerCount++;
+    }
+    const holding = this._holding(holder, asset.issuer, asset.currency) + delta;
+    const balance = this._isLow(holder, asset.issuer) ? holding : -holding;
+    line.Balance = { currency: asset.currency, issuer: ACCOUNT_ZERO, value: formatValue(balance) };
+  }
+
+  _createLine(holder, issuer, currency) {
+    const low = this._isLow(holder, issuer) ? holder : issuer;
+    const high = low === holder ? issuer : holder;
+    const index = xrpl.hashes.hashTrustline(holder, issuer, currency);
+    const line = {
+      LedgerEntryType: 'RippleState',
+      Balance: { currency, issuer: ACCOUNT_ZERO, value: '0' },
+      LowLimit: { currency, issuer: low, value: '0' },
+      HighLimit: { currency, issuer: high, value: '0' },
+      Flags: 0,
+      index
+    };
+    this.objects.set(index, line);
+    return line;
+  }
+
+  _line(a, b, currency) {
+    return this.objects.get(xrpl.hashes.hashTrustline(a, b, currency)) || null;
+  }
+
+  /**
+   * Balance `holder` has of `currency` issued by `issuer`
+   * @private
+   */
+  _holding(holder, issuer, currency) {
+    const line = this._line(holder, issuer, currency);
+    if (!line) return 0;
+    const balance = Number(line.Balance.value);
+    return this._isLow(holder, issuer) ? balance : -balance;
+  }
+
+  _limit(line, account) {
+    return Number(line.LowLimit.issuer === account ? line.LowLimit.value : line.HighLimit.value);
+  }
+
+  _lineView(line, account) {
+    const low = line.LowLimit.issuer === account;
+    const peer = low ? line.HighLimit.issuer : line.LowLimit.issuer;
+    const balance = Number(line.Balance.value) * (low ? 1 : -1);
+    return {
+      account: peer,
+      balance: formatValue(balance),
+      currency: line.Balance.currency,
+      limit: (low ? line.LowLimit : line.HighLimit).value,
+      limit_peer: (low ? line.HighLimit : line.LowLimit).value,
+      quality_in: 0,
+      quality_out: 0
+    };
+  }
+
+  _isLow(a, b) {
+    return accountIdHex(a) < accountIdHex(b);
+  }
+
+  /**
+   * Amount of an asset an account can deliver
+   * @private
+   */
+  _funds(address, asset) {
+    if (asset.currency === 'XRP') {
+      return Math.max(0, this._spendableXRP(address));
+    }
+    if (address === asset.issuer) return Infinity;
+    return Math.max(0, this._holding(address, asset.issuer, asset.currency));
+  }
+
+  _ownerFundsView(offer) {
+    const asset = parseAmount(offer.TakerGets);
+    const funds = this._funds(offer.Account, asset);
+    return Number.isFinite(funds) ? funds : asset.value;
+  }
+
+  _spendableXRP(address) {
+    const account = this._account(address);
+    if (!account) return 0;
+    return Number(account.Balance) - (this.reserveBase + account.OwnerCount * this.reserveIncrement);
+  }
+
+  _requireReserve(address, newObjects, code) {
+    const account = this._account(address);
+    const required = this.reserveBase + (account.OwnerCount + newObjects) * this.reserveIncrement;
+    if (Number(account.Balance) < required) fail(code);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ledger objects
+  // ---------------------------------------------------------------------------
+
+  _account(address) {
+    return this.objects.get(xrpl.hashes.hashAccountRoot(address)) || null;
+  }
+
+  _requireAccount(address, request) {
+    const account = address && xrpl.isValidClassicAddress(address) ? this._account(address) : null;
+    if (!account) {
+      throw new FakeRippledError('actNotFound', 'Account not found.', request);
+    }
+    return account;
+  }
+
+  _objectsOf(address, type = null) {
+    return Array.from(this.objects.values()).filter(object => {
+      if (type && object.LedgerEntryType !== type) return false;
+      switch (object.LedgerEntryType) {
+        case 'RippleState': return object.LowLimit.issuer === address || object.HighLimit.issuer === address;
+        case 'NFTokenOffer': return object.Owner === address;
+        case 'AccountRoot':
+        case 'AMM': return false;
+        default: return object.Account === address;
+      }
+    });
+  }
+
+  /**
+   * Offers that give `gets` and want `pays`, best quality first
+   * @private
+   */
+  _book(gets, pays) {
+    return Array.from(this.objects.values())
+      .filter(object => object.LedgerEntryType === 'Offer' &&
+        sameAsset(parseAmount(object.TakerGets), gets) &&
+        sameAsset(parseAmount(object.TakerPays), pays))
+      .sort((a, b) => this._quality(a) - this._quality(b) || a.Sequence - b.Sequence);
+  }
+
+  _quality(offer) {
+    return parseAmount(offer.TakerPays).value / parseAmount(offer.TakerGets).value;
+  }
+
+  _removeOffer(index) {
+    const offer = this.objects.get(index);
+    if (!offer) return;
+    this.objects.delete(index);
+    this._account(offer.Account).OwnerCount--;
+  }
+
+  _removeNFTokenOffer(index) {
+    const offer = this.objects.get(index);
+    if (!offer) return;
+    this.objects.delete(index);
+    this._account(offer.Owner).OwnerCount--;
+  }
+
+  _removeNFToken(nft) {
+    this.nfts.delete(nft.NFTokenID);
+    const owned = Array.from(this.nfts.values()).filter(token => token.Owner === nft.Owner).length;
+    if (owned % 32 === 0) this._account(nft.Owner).OwnerCount--;
+
+    // Offers for a token that left the owner are removed
+    Array.from(this.objects.values())
+      .filter(object => object.LedgerEntryType === 'NFTokenOffer' && object.NFTokenID === nft.NFTokenID)
+      .forEach(object => this._removeNFTokenOffer(object.index));
+  }
+
+  _nftOffers(request, sell) {
+    const offers = Array.from(this.objects.values())
+      .filter(object => object.LedgerEntryType === 'NFTokenOffer' && object.NFTokenID === request.nft_id &&
+        Boolean(object.Flags & LSF_SELL_NFTOKEN) === sell)
+      .map(object => ({
+        amount: object.Amount,
+        flags: object.Flags,
+        nft_offer_index: object.index,
+        owner: object.Owner,
+        ...(object.Destination ? { destination: object.Destination } : {})
+      }));
+    if (offers.length === 0) {
+      throw new FakeRippledError('objectNotFound', 'The requested object was not found.', request);
+    }
+    return { nft_id: request.nft_id, offers };
+  }
+
+  _ticketIndex(address, ticketSequence) {
+    return sha512Half('0054' + accountIdHex(address) + uint32Hex(ticketSequence));
+  }
+
+  _ammIndex(asset, asset2) {
+    const key = a => (a.currency === 'XRP' ? 'XRP' : `${a.currency}.${a.issuer}`);
+    const [first, second] = [key(asset), key(asset2)].sort();
+    return sha512Half('0041' + Buffer.from(`${first}|${second}`).toString('hex'));
+  }
+
+  // ---------------------------------------------------------------------------
+  // State snapshots and metadata
+  // ---------------------------------------------------------------------------
+
+  _snapshot() {
+    return {
+      objects: new Map(Array.from(this.objects, ([index, object]) => [index, structuredClone(object)])),
+      nfts: new Map(Array.from(this.nfts, ([id, nft]) => [id, { ...nft }]))
+    };
+  }
+
+  _restore(snapshot) {
+    this.objects = new Map(Array.from(snapshot.objects, ([index, object]) => [index, structuredClone(object)]));
+    this.nfts = new Map(Array.from(snapshot.nfts, ([id, nft]) => [id, { ...nft }]));
+  }
+
+  /**
+   * AffectedNodes between a snapshot and the current state
+   * @private
+   */
+  _diff(before) {
+    const nodes = [];
+    const strip = ({ index, ...fields }) => fields;
+
+    for (const [index, object] of this.objects) {
+      const previous = before.objects.get(index);
+      if (!previous) {
+        nodes.push({ CreatedNode: { LedgerEntryType: object.LedgerEntryType, LedgerIndex: index, NewFields: strip(object) } });
+      } else if (JSON.stringify(previous) !== JSON.stringify(object)) {
+        const previousFields = {};
+        Object.keys(object).forEach(key => {
+          if (JSON.stringify(previous[key]) !== JSON.stringify(object[key])) previousFields[key] = previous[key];
+        });
+        nodes.push({ ModifiedNode: { LedgerEntryType: object.LedgerEntryType, LedgerIndex: index, FinalFields: strip(object), PreviousFields: previousFields } });
+      }
+    }
+    for (const [index, object] of before.objects) {
+      if (!this.objects.has(index)) {
+        nodes.push({ DeletedNode: { LedgerEntryType: object.LedgerEntryType, LedgerIndex: index, FinalFields: strip(object) } });
+      }
+    }
+    return nodes;
+  }
+
+  _affectedAccounts(record) {
+    const accounts = new Set([record.tx_json.Account, record.tx_json.Destination, record.tx_json.Owner].filter(Boolean));
+    (record.meta.AffectedNodes || []).forEach(node => {
+      const entry = node.CreatedNode || node.ModifiedNode || node.DeletedNode;
+      const fields = entry.NewFields || entry.FinalFields || {};
+      if (entry.LedgerEntryType === 'AccountRoot') accounts.add(fields.Account);
+      if (entry.LedgerEntryType === 'RippleState') {
+        accounts.add(fields.LowLimit.issuer);
+        accounts.add(fields.HighLimit.issuer);
+      }
+    });
+    return Array.from(accounts);
+  }
+
+  _resolveLedgerIndex(ledgerIndex) {
+    if (ledgerIndex === undefined || ledgerIndex === 'validated' || ledgerIndex === 'closed') return this.ledgerIndex;
+    if (ledgerIndex === 'current') return this.ledgerIndex + 1;
+    return Number(ledgerIndex);
+  }
+
+  _scheduleClose() {
+    if (!this.autoClose || this.closeTimer) return;
+    this.closeTimer = setTimeout(() => {
+      this.closeTimer = null;
+      this.closeLedger();
+    }, this.closeDelay);
+  }
+
+  _rippleNow() {
+    return xrpl.unixTimeToRippleTime(Date.now()) + this.timeOffset;
+  }
+}
+
+module.exports = { FakeLedger, FakeRippledError };
@@ -0,0 +1,150 @@
+/**
+ * Fake Rippled - WebSocket server in front of a FakeLedger
+ *
+ * Speaks the rippled WebSocket API closely enough for xrpl.Client, so
+ * modules can be integration-tested against real request/response and
+ * subscription traffic without network access:
+ *
+ *   const server = new FakeRippled();
+ *   const url = await server.start();
+ *   const client = new xrpl.Client(url);
+ *   const wallet = server.ledger.createWallet(1000);
+ *   ...
+ *   await server.stop();
+ */
+
+const { WebSocketServer } = require('ws');
+const { FakeLedger } = require('./fake-ledger');
+
+class FakeRippled {
+  /**
+   * Create a fake rippled server
+   * @param {Object} options Server options
+   * @param {FakeLedger} options.ledger Ledger to serve (default: new FakeLedger(options))
+   */
+  constructor(options = {}) {
+    this.ledger = options.ledger || new FakeLedger(options);
+    this.server = null;
+    this.subscriptions = new Map(); // socket -> { streams, accounts }
+
+    this.onLedgerClosed = event => this._broadcast('ledger', event);
+    this.onTransaction = event => this._broadcastTransaction(event);
+  }
+
+  /**
+   * Start listening
+   * @param {Object} options Listen options
+   * @param {number} options.port Port to listen on (default: 0, any free port)
+   * @returns {Promise<string>} WebSocket URL
+   */
+  async start({ port = 0 } = {}) {
+    this.server = new WebSocketServer({ host: '127.0.0.1', port });
+    this.server.on('connection', socket => this._handleConnection(socket));
+    this.ledger.on('ledgerClosed', this.onLedgerClosed);
+    this.ledger.on('transaction', this.onTransaction);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('listening', resolve);
+      this.server.once('error', reject);
+    });
+
+    this.url = `ws://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Close all connections and stop listening
+   */
+  async stop() {
+    this.ledger.stop();
+    this.ledger.off('ledgerClosed', this.onLedgerClosed);
+    this.ledger.off('transaction', this.onTransaction);
+    if (!this.server) return;
+
+    this.server.clients.forEach(socket => socket.terminate());
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.subscriptions.clear();
+  }
+
+  /**
+   * @private
+   */
+  _handleConnection(socket) {
+    this.subscriptions.set(socket, { streams: new Set(), accounts: new Set() });
+    socket.on('close', () => this.subscriptions.delete(socket));
+    socket.on('message', data => {
+      this._handleMessage(socket, data).catch(error => {
+        console.error('❌ Fake rippled failed to answer request:', error);
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _handleMessage(socket, data) {
+    let request;
+    try {
+      request = JSON.parse(data.toString());
+    } catch (error) {
+      this._send(socket, { status: 'error', type: 'response', error: 'invalidParams', error_message: 'Invalid JSON' });
+      return;
+    }
+
+    let response;
+    try {
+      const { result } = await this.ledger.request(request);
+      this._updateSubscriptions(socket, request);
+      response = { id: request.id, status: 'success', type: 'response', result };
+    } catch (error) {
+      if (!error.data) throw error;
+      response = { id: request.id, status: 'error', type: 'response', error: error.data.error, error_message: error.data.error_message, request };
+    }
+    this._send(socket, response);
+  }
+
+  /**
+   * @private
+   */
+  _updateSubscriptions(socket, request) {
+    const subscription = this.subscriptions.get(socket);
+    if (!subscription || (request.command !== 'subscribe' && request.command !== 'unsubscribe')) return;
+
+    const method = request.command === 'subscribe' ? 'add' : 'delete';
+    (request.streams || []).forEach(stream => subscription.streams[method](stream));
+    (request.accounts || []).forEach(account => subscription.accounts[method](account));
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(stream, message) {
+    this.subscriptions.forEach((subscription, socket) => {
+      if (subscription.streams.has(stream)) this._send(socket, message);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _broadcastTransaction(event) {
+    const { accounts, ...message } = event;
+    this.subscriptions.forEach((subscription, socket) => {
+      if (subscription.streams.has('transactions') || accounts.some(account => subscription.accounts.has(account))) {
+        this._send(socket, message);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = { FakeRippled };
@@ -12,7 +12,7 @@
  * - Live XRPL testnet hooks for real-world data
  */
 
-const logger = require('../utils/logger');
+const Logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs').promises;
 const xrpl = require('xrpl');
@@ -23,12 +23,16 @@ const WebSocket = require('ws');
 
 // Import supreme enhancement modules
 const WebSocketServer = require('../server/websocket-server');
+const RiskManager = require('../risk-manager');
 
 // Import Live Data Fusion modules
 const LiveDataFusion = require('./live-data-fusion');
 const dataHarvester = require('../services/data-harvester');
 const anomalyDetector = require('../services/anomaly-detector');
 const nftExporter = require('../services/nft-exporter');
+const { MarketRecorder, MarketReplayer, RECORD_TYPES } = require('./market-replay');
+
+const logger = new Logger('Arena-Orchestrator');
 
 // Try to import modules with error handling
 let AdaptiveChaosMode, EnhancedTestRunner;
@@ -73,6 +77,7 @@ class ArenaOrchestrator {
       autoUpdateInterval: config.autoUpdateInterval || 60000, // 1 minute
       sentimentApiUrl: config.sentimentApiUrl || 'https://api.sentiment.example.com/v1/analyze',
       sentimentApiKey: config.sentimentApiKey || process.env.SENTIMENT_API_KEY,
+      recordPath: config.recordPath || process.env.ARENA_RECORD_PATH || null,
       ...config
     };
     
@@ -94,6 +99,10 @@ class ArenaOrchestrator {
     // WebSocket client for dashboard
     this.dashboardWs = null;
     
+    // Market replay (recorder in live mode, replayer in replay mode)
+    this.recorder = null;
+    this.replay = null;
+    
     // State
     this.isRunning = false;
     this.latestLedgerData = null;
@@ -116,6 +125,7 @@ class ArenaOrchestrator {
     this.handleLedgerClosed = this.handleLedgerClosed.bind(this);
     this.startAutoUpdate = this.startAutoUpdate.bind(this);
     this.stopAutoUpdate = this.stopAutoUpdate.bind(this);
+    this.replayRecording = this.replayRecording.bind(this);
   }
   
   /**
@@ -149,12 +159,21 @@ class ArenaOrchestrator {
         port: 3000
       });
       
+      // Push pre-trade risk rejections to the dashboard
+      RiskManager.getSharedInstance().addBroadcaster(this.wsServer);
+      
       this.prometheusExporter = new PrometheusExporter({
         port: 9090
       });
       
       this.reportExporter = new ReportExporter();
       
+      // Record market events for later replay
+      if (this.config.recordPath) {
+        this.recorder = new MarketRecorder({ filePath: this.config.recordPath });
+        await this.recorder.open();
+      }
+      
       // Connect to XRPL testnet
       await this.connectXrpl();
       
@@ -283,6 +302,8 @@ class ArenaOrchestrator {
     try {
       logger.info(`Arena Orchestrator: Ledger closed - Index: ${ledger.ledger_index}`);
       
+      this._record(RECORD_TYPES.LEDGER_CLOSED, ledger);
+      
       // Fetch live data from the ledger
       const liveData = await this.fetchLiveData(ledger);
       
@@ -302,8 +323,8 @@ class ArenaOrchestrator {
       }
       
       // Run validation if auto-update is disabled
-      // (otherwise it will run on the interval)
-      if (!this.autoUpdateInterval) {
+      // (otherwise it will run on the interval; replays drive it from the recording)
+      if (!this.autoUpdateInterval && !this.replay) {
         await this.runFusedValidation();
       }
     } catch (error) {
@@ -351,23 +372,28 @@ class ArenaOrchestrator {
     try {
       logger.info('Arena Orchestrator: Fetching live data...');
       
-      // Use Data Harvester to get live data
-      const liveData = await dataHarvester.harvestLiveData(
-        ledger ? ledger.ledger_index : 'validated'
-      );
+      // Use Data Harvester to get live data (or the recorded payload when replaying)
+      const liveData = this.replay
+        ? this.replay.next(RECORD_TYPES.HARVEST)
+        : await dataHarvester.harvestLiveData(ledger ? ledger.ledger_index : 'validated');
       
       // Debug log to validate data quality
       logger.debug(`Arena Orchestrator: Raw harvested data - ${JSON.stringify(liveData).slice(0, 200)}...`);
       
       // Detect anomalies
-      const anomalyResult = await anomalyDetector.detectAnomalies(liveData);
+      const anomalyResult = this.replay
+        ? this.replay.next(RECORD_TYPES.ANOMALY)
+        : await anomalyDetector.detectAnomalies(liveData);
+      
+      this._record(RECORD_TYPES.HARVEST, liveData);
+      this._record(RECORD_TYPES.ANOMALY, anomalyResult);
       
       // Debug log for anomaly scores
       logger.debug(`Arena Orchestrator: Anomaly score: ${anomalyResult.anomalyScore.toFixed(2)}, needs rebalance: ${anomalyResult.needsRebalance}`);
       
       // Combine data
       const result = {
-        timestamp: Date.now(),
+        timestamp: this._now(),
         ledgerData: liveData,
         anomalyResult,
         sentiment: liveData.sentiment || await this.analyzeSentiment()
@@ -422,6 +448,11 @@ class ArenaOrchestrator {
     try {
       logger.info(`Arena Orchestrator: Analyzing sentiment for "${query}"...`);
       
+      if (this.replay) {
+        this.latestSentimentData = this.replay.next(RECORD_TYPES.SENTIMENT);
+        return this.latestSentimentData;
+      }
+      
       // Try to use sentiment API if available
       if (this.config.sentimentApiKey) {
         const response = await axios.post(this.config.sentimentApiUrl, {
@@ -435,6 +466,7 @@ class ArenaOrchestrator {
         });
         
         this.latestSentimentData = response.data;
+        this._record(RECORD_TYPES.SENTIMENT, response.data);
         return response.data;
       }
       
@@ -457,6 +489,7 @@ class ArenaOrchestrator {
       const sentiment = mockSentiments[sentimentIndex];
       
       this.latestSentimentData = sentiment;
+      this._record(RECORD_TYPES.SENTIMENT, sentiment);
       
       logger.info(`Arena Orchestrator: Sentiment analysis complete - Score: ${sentiment.score}, Trend: ${sentiment.trend}`);
       return sentiment;
@@ -481,9 +514,12 @@ class ArenaOrchestrator {
     try {
       logger.info('Arena Orchestrator: Generating lightweight adaptive scenario...');
       
-      // Helper function for random number generation
+      // Helper function for random number generation (seeded when replaying)
       const getRandomInRange = (min, max) => {
         const range = max - min;
+        if (this.replay) {
+          return min + Math.floor(this.replay.random() * (range + 1));
+        }
         const byteLength = Math.ceil(Math.log2(range) / 8);
         const randomBytes = crypto.randomBytes(byteLength);
         const randomValue = parseInt(randomBytes.toString('hex'), 16);
@@ -493,7 +529,7 @@ class ArenaOrchestrator {
       // Generate adaptive scenario based on live data
       const enhancedScenario = {
         ...baseScenario,
-        name: baseScenario.name || `Adaptive Scenario ${Date.now()}`,
+        name: baseScenario.name || `Adaptive Scenario ${this._now()}`,
         description: baseScenario.description || 'Dynamically generated adaptive scenario',
         capital: baseScenario.capital || this.config.capital,
         pools: baseScenario.pools || [],
@@ -569,6 +605,8 @@ class ArenaOrchestrator {
       this.isRunning = true;
       logger.info('Arena Orchestrator: Running fused validation...');
       
+      this._record(RECORD_TYPES.VALIDATION, { capital: this.config.capital, simCount: this.config.simCount });
+      
       // Get latest data
       const liveData = await this.fetchLiveData();
       logger.debug(`Arena Orchestrator: Live data fetched for validation - ${JSON.stringify(liveData.ledgerData.volatility || {})}`);
@@ -650,9 +688,9 @@ class ArenaOrchestrator {
         
         logger.debug(`Arena Orchestrator: New allocation - APY: ${allocation.expectedAPY.toFixed(2)}%, Stable: ${allocation.stableAllocation.toFixed(2)}%`);
         
-        // Mint NFT if auto-mint is enabled
+        // Mint NFT if auto-mint is enabled (never while replaying)
         let nftResult = null;
-        if (this.config.autoNftMint) {
+        if (this.config.autoNftMint && !this.replay) {
           nftResult = await this.mintEcoNFT({
             testResults,
             tuningResults,
@@ -667,7 +705,7 @@ class ArenaOrchestrator {
         testResults,
         tuningResults,
         sustainabilityReport,
-        timestamp: Date.now()
+        timestamp: this._now()
       };
       
       // Broadcast to dashboard
@@ -983,6 +1021,62 @@ class ArenaOrchestrator {
     }
   }
   
+  /**
+   * Replay a recorded market session without connecting to XRPL
+   * @param {Object} options - Replay options
+   * @param {string} options.filePath - Path of the recording file
+   * @param {number} options.speed - Playback speed multiplier (0 = as fast as possible)
+   * @param {number|string} options.seed - Seed for reproducible randomness
+   * @returns {Promise<Array>} Orchestrator state after each replayed ledger group
+   */
+  async replayRecording(options = {}) {
+    logger.info(`Arena Orchestrator: Replaying recording ${options.filePath}...`);
+    
+    this.stopAutoUpdate();
+    
+    const replayer = new MarketReplayer(options);
+    await replayer.load();
+    
+    return replayer.replay(this);
+  }
+  
+  /**
+   * Route market data through a replayer instead of live sources
+   * @param {MarketReplayer} replayer - Active replayer
+   */
+  attachReplay(replayer) {
+    this.replay = replayer;
+    this.isRunning = false;
+  }
+  
+  /**
+   * Return to live market data sources
+   */
+  detachReplay() {
+    this.replay = null;
+  }
+  
+  /**
+   * Current time, taken from the recording when replaying
+   * @returns {number} - Timestamp in milliseconds
+   * @private
+   */
+  _now() {
+    return this.replay ? this.replay.now() : Date.now();
+  }
+  
+  /**
+   * Append a market event to the recording, if recording is enabled
+   * @param {string} type - Record type
+   * @param {Object} payload - Recorded payload
+   * @private
+   */
+  _record(type, payload) {
+    if (this.recorder && !this.replay) {
+      this.recorder.record(type, payload);
+    }
+  }
+  
   /**
    * Shutdown the Arena Orchestrator
    * @returns {Promise<void>}
@@ -994,6 +1088,11 @@ class ArenaOrchestrator {
       // Stop auto-update
       this.stopAutoUpdate();
       
+      // Flush the market recording
+      if (this.recorder) {
+        await this.recorder.close();
+      }
+      
       // Shutdown Live Data Fusion
       if (this.liveDataFusion) {
         logger.info('Arena Orchestrator: Stopping Live Data Fusion...');
@@ -1061,13 +1160,31 @@ class ArenaOrchestrator {
  */
 async function main() {
   try {
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const index = args.indexOf(`--${name}`);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+    
     // Create Arena Orchestrator
     const orchestrator = new ArenaOrchestrator({
       capital: 10000,
       simCount: 500,
-      autoUpdateInterval: 60000 // 1 minute
+      autoUpdateInterval: 60000, // 1 minute
+      recordPath: getArg('record')
     });
     
+    // Replay mode: node live-validation-arena-orchestrator.js --replay <file> [--speed 10] [--seed 42]
+    if (getArg('replay')) {
+      const results = await orchestrator.replayRecording({
+        filePath: getArg('replay'),
+        speed: Number(getArg('speed') || 0),
+        seed: getArg('seed') || 1
+      });
+      logger.info(`Replay finished: ${results.length} ledger groups replayed`);
+      return;
+    }
+    
     // Initialize orchestrator
     await orchestrator.init();
     
@@ -0,0 +1,292 @@
+/**
+ * Market Replay Engine
+ *
+ * Records every ledger close, harvested payload, sentiment reading and
+ * anomaly result seen by the Arena Orchestrator to an append-only JSONL
+ * file, and feeds that file back through the orchestrator with seeded
+ * randomness so a past run can be reproduced exactly.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/logger');
+const { createSeededRandom } = require('../utils/seeded-random');
+
+const logger = new Logger('Market-Replay');
+
+const RECORD_TYPES = {
+  LEDGER_CLOSED: 'ledgerClosed',
+  HARVEST: 'harvest',
+  SENTIMENT: 'sentiment',
+  ANOMALY: 'anomaly',
+  VALIDATION: 'validation'
+};
+
+/**
+ * Market Recorder
+ *
+ * Appends market events to a JSONL file, one record per line
+ */
+class MarketRecorder {
+  /**
+   * Create a new Market Recorder
+   * @param {Object} config - Configuration options
+   * @param {string} config.filePath - Path of the recording file
+   */
+  constructor(config = {}) {
+    if (!config.filePath) {
+      throw new Error('Market Recorder: filePath is required');
+    }
+
+    this.filePath = config.filePath;
+    this.sequence = 0;
+    this.currentLedgerIndex = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Prepare the recording file, continuing the sequence of an existing one
+   * @returns {Promise<void>}
+   */
+  async open() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const records = await readRecords(this.filePath);
+      this.sequence = records.length ? records[records.length - 1].seq + 1 : 0;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.sequence = 0;
+    }
+
+    logger.info(`Market Recorder: Recording to ${this.filePath} (next sequence ${this.sequence})`);
+  }
+
+  /**
+   * Append a record
+   * @param {string} type - One of RECORD_TYPES
+   * @param {Object} payload - Recorded payload
+   * @returns {Promise<Object>} The written record
+   */
+  record(type, payload) {
+    if (type === RECORD_TYPES.LEDGER_CLOSED && payload) {
+      this.currentLedgerIndex = payload.ledger_index;
+    }
+
+    const record = {
+      seq: this.sequence++,
+      type,
+      timestamp: Date.now(),
+      ledgerIndex: this.currentLedgerIndex,
+      payload
+    };
+
+    // Serialize writes so lines never interleave
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, 'utf8'))
+      .catch(error => {
+        logger.error(`Market Recorder: Failed to append record ${record.seq}: ${error.message}`);
+      });
+
+    return this.writeQueue.then(() => record);
+  }
+
+  /**
+   * Wait for pending writes to finish
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+/**
+ * Read all records from a recording file
+ * @param {string} filePath - Path of the recording file
+ * @returns {Promise<Array>} Records ordered by sequence
+ */
+async function readRecords(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Market Replay: Corrupt record on line ${index + 1} of ${filePath}`);
+      }
+    })
+    .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Market Replayer
+ *
+ * Feeds a recording back through an Arena Orchestrator
+ */
+class MarketReplayer {
+  /**
+   * Create a new Market Replayer
+   * @param {Object} config - Configuration options
+   * @param {string} config.filePath - Path of the recording file
+   * @param {number} config.speed - Playback speed multiplier (0 = as fast as possible)
+   * @param {number|string} config.seed - Seed for the replay random generator
+   */
+  constructor(config = {}) {
+    if (!config.filePath) {
+      throw new Error('Market Replayer: filePath is required');
+    }
+
+    this.config = {
+      speed: 0,
+      seed: 1,
+      ...config
+    };
+
+    this.records = [];
+    this.pending = {
+      [RECORD_TYPES.HARVEST]: [],
+      [RECORD_TYPES.SENTIMENT]: [],
+      [RECORD_TYPES.ANOMALY]: []
+    };
+    this.currentTimestamp = null;
+    this.random = null;
+  }
+
+  /**
+   * Load the recording
+   * @returns {Promise<number>} Number of loaded records
+   */
+  async load() {
+    this.records = await readRecords(this.config.filePath);
+    logger.info(`Market Replayer: Loaded ${this.records.length} records from ${this.config.filePath}`);
+    return this.records.length;
+  }
+
+  /**
+   * Take the next recorded payload of a type, in recording order
+   * @param {string} type - One of RECORD_TYPES
+   * @returns {Object} Recorded payload
+   */
+  next(type) {
+    const queue = this.pending[type];
+
+    if (!queue || !queue.length) {
+      throw new Error(`Market Replayer: Recording has no ${type} record for ledger ${this.currentLedgerIndex}`);
+    }
+
+    return queue.shift().payload;
+  }
+
+  /**
+   * Current replay clock
+   * @returns {number} Timestamp of the record being replayed
+   */
+  now() {
+    return this.currentTimestamp;
+  }
+
+  /**
+   * Replay the recording through an orchestrator
+   * @param {Object} orchestrator - ArenaOrchestrator instance
+   * @returns {Promise<Array>} Orchestrator state after each ledger group
+   */
+  async replay(orchestrator) {
+    if (!this.records.length) {
+      await this.load();
+    }
+
+    const results = [];
+    const originalRandom = Math.random;
+    this.random = createSeededRandom(this.config.seed);
+
+    // Group the non-ledger records under the ledger close that precedes them
+    const ledgerGroups = [];
+    for (const record of this.records) {
+      if (record.type === RECORD_TYPES.LEDGER_CLOSED || !ledgerGroups.length) {
+        ledgerGroups.push({ ledger: null, records: [] });
+      }
+      const group = ledgerGroups[ledgerGroups.length - 1];
+      if (record.type === RECORD_TYPES.LEDGER_CLOSED) {
+        group.ledger = record;
+      } else {
+        group.records.push(record);
+      }
+    }
+
+    logger.info(`Market Replayer: Replaying ${ledgerGroups.length} ledger groups (speed: ${this.config.speed || 'max'}, seed: ${this.config.seed})`);
+
+    Math.random = this.random;
+    orchestrator.attachReplay(this);
+
+    try {
+      let previousTimestamp = null;
+
+      for (const group of ledgerGroups) {
+        const { ledger } = group;
+        const groupTimestamp = ledger ? ledger.timestamp : group.records[0].timestamp;
+        await this._waitFor(previousTimestamp, groupTimestamp);
+        previousTimestamp = groupTimestamp;
+
+        this.currentTimestamp = groupTimestamp;
+        this.currentLedgerIndex = ledger ? ledger.payload.ledger_index : null;
+        for (const type of Object.keys(this.pending)) {
+          this.pending[type] = group.records.filter(record => record.type === type);
+        }
+
+        // Records before the first ledger close come from the initial validation run
+        if (ledger) {
+          await orchestrator.handleLedgerClosed(ledger.payload);
+        }
+
+        // Validation runs are replayed where they were recorded, not re-derived
+        for (const record of group.records) {
+          if (record.type === RECORD_TYPES.VALIDATION) {
+            this.currentTimestamp = record.timestamp;
+            await orchestrator.runFusedValidation();
+          }
+        }
+
+        results.push({
+          ledgerIndex: this.currentLedgerIndex,
+          testResults: orchestrator.latestTestResults,
+          allocation: orchestrator.latestAllocation
+        });
+      }
+    } finally {
+      Math.random = originalRandom;
+      orchestrator.detachReplay();
+    }
+
+    logger.info(`Market Replayer: Replay complete (${results.length} ledger groups)`);
+    return results;
+  }
+
+  /**
+   * Wait between two recorded timestamps according to the playback speed
+   * @param {number|null} from - Previous record timestamp
+   * @param {number} to - Next record timestamp
+   * @returns {Promise<void>}
+   * @private
+   */
+  _waitFor(from, to) {
+    if (!this.config.speed || from === null) {
+      return Promise.resolve();
+    }
+
+    const delay = Math.max(0, (to - from) / this.config.speed);
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+module.exports = {
+  MarketRecorder,
+  MarketReplayer,
+  RECORD_TYPES,
+  createSeededRandom, // Re-exported from ../utils/seeded-random
+  readRecords
+};
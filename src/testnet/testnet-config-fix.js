@@ -6,12 +6,20 @@
 const xrpl = require('xrpl');
 const fs = require('fs');
 const path = require('path');
+const { TransactionSubmitter } = require('../services/transaction-submitter');
+const { WalletKeystore } = require('../services/wallet-keystore');
 
 class TestnetConfigFix {
-  constructor() {
+  /**
+   * @param {Object} options Fix options
+   * @param {WalletKeystore} options.keystore Keystore for the saved wallet (default: master key from KEYSTORE_MASTER_KEY)
+   */
+  constructor(options = {}) {
     this.testnetUrl = 'wss://s.altnet.rippletest.net:51233';
     this.client = null;
-    this.wallet = null;
+    this.keystore = options.keystore || null;
+    this.walletRecord = null; // Encrypted saved wallet, decrypted per transaction
+    this.wallet = null; // Public identity of the saved wallet
     
     // Fixed configuration for successful testnet trades
     this.config = {
@@ -63,8 +71,9 @@ class TestnetConfigFix {
     const walletPath = path.join(__dirname, '../config/testnet-wallet.json');
     
     if (fs.existsSync(walletPath)) {
-      const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
-      this.wallet = xrpl.Wallet.fromSeed(walletData.seed);
+      this.keystore = this.keystore || new WalletKeystore();
+      this.walletRecord = this.keystore.readWalletFile(walletPath);
+      this.wallet = { address: this.walletRecord.address, classicAddress: this.walletRecord.address, publicKey: this.walletRecord.publicKey };
       console.log(`📱 Loaded wallet: ${this.wallet.address}`);
     } else {
       throw new Error('Testnet wallet not found. Please run testnet-deployer.js first.');
@@ -188,7 +197,9 @@ class TestnetConfigFix {
         OfferSequence: sequence
       };
       
-      const result = await this.client.submitAndWait(cancelTx, { wallet: this.wallet });
+      const result = await this.keystore.withWallet(this.walletRecord, wallet =>
+        this.client.submitAndWait(cancelTx, { wallet })
+      );
       console.log(`✅ Cancelled offer sequence ${sequence}`);
       
     } catch (error) {
@@ -251,26 +262,26 @@ class TestnetConfigFix {
 
   /**
    * Submit transaction with retry logic
+   * Retries (fee escalation, sequence resync, expiry) are handled by the shared submitter
    */
   async submitWithRetry(transaction, type) {
-    for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
-      try {
-        const result = await this.client.submitAndWait(transaction, { wallet: this.wallet });
-        
-        if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-          console.log(`✅ ${type} order executed successfully`);
-          return result;
-        } else {
-          console.log(`⚠️  ${type} order result: ${result.result.meta.TransactionResult}`);
-        }
-        
-      } catch (error) {
-        console.log(`❌ ${type} order attempt ${attempt} failed: ${error.message}`);
-        
-        if (attempt < this.config.retryAttempts) {
-          await new Promise(resolve => setTimeout(resolve, this.config.retryDelay));
-        }
+    try {
+      const result = await this.keystore.withWallet(this.walletRecord, wallet =>
+        TransactionSubmitter.forClient(this.client).submit(transaction, {
+          wallet,
+          maxAttempts: this.config.retryAttempts
+        })
+      );
+      
+      if (result.result.meta.TransactionResult === 'tesSUCCESS') {
+        console.log(`✅ ${type} order executed successfully`);
+      } else {
+        console.log(`⚠️  ${type} order result: ${result.result.meta.TransactionResult}`);
       }
+      return result;
+      
+    } catch (error) {
+      console.log(`❌ ${type} order failed: ${error.message}`);
     }
   }
 
@@ -7,12 +7,24 @@
 const xrpl = require('xrpl');
 const fs = require('fs');
 const path = require('path');
+const { WalletKeystore } = require('../services/wallet-keystore');
 
 class TestnetDeployer {
-  constructor() {
-    this.testnetUrl = 'wss://s.altnet.rippletest.net:51233';
+  /**
+   * @param {Object} options Deployer options
+   * @param {string} options.testnetUrl WebSocket URL (default: XRPL testnet)
+   * @param {xrpl.Wallet} options.wallet Wallet to deploy with instead of the saved one
+   * @param {string} options.walletPath Saved wallet file, encrypted with the keystore (default: src/config/testnet-wallet.json)
+   * @param {WalletKeystore} options.keystore Keystore for the saved wallet (default: master key from KEYSTORE_MASTER_KEY)
+   */
+  constructor(options = {}) {
+    this.testnetUrl = options.testnetUrl || 'wss://s.altnet.rippletest.net:51233';
+    this.walletPath = options.walletPath || path.join(__dirname, '../config/testnet-wallet.json');
     this.client = null;
-    this.wallet = null;
+    this.keystore = options.keystore || null;
+    this.walletRecord = null; // Encrypted saved wallet
+    this.wallet = options.wallet || null; // Saved wallets only expose their public identity
+    this.monitoringTimer = null;
     
     // Test capital allocation
     this.testCapital = 10000; // $10K equivalent in testnet XRP
@@ -76,29 +88,25 @@ class TestnetDeployer {
    * Setup testnet wallet with funding
    */
   async setupWallet() {
-    const walletPath = path.join(__dirname, '../config/testnet-wallet.json');
+    const walletPath = this.walletPath;
     
     try {
-      // Try to load existing wallet
-      if (fs.existsSync(walletPath)) {
-        const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
-        this.wallet = xrpl.Wallet.fromSeed(walletData.seed);
+      if (this.wallet) {
+        console.log(`📱 Using provided wallet: ${this.wallet.address}`);
+      } else if (fs.existsSync(walletPath)) {
+        // Load existing wallet
+        this.walletRecord = this._getKeystore().readWalletFile(walletPath);
+        this.wallet = this._publicWallet(this.walletRecord);
         console.log(`📱 Loaded existing wallet: ${this.wallet.address}`);
       } else {
         // Generate new wallet and fund it
         console.log('🔄 Generating new testnet wallet...');
         const fundResult = await this.client.fundWallet();
-        this.wallet = fundResult.wallet;
         
-        // Save wallet for future use
-        const walletData = {
-          address: this.wallet.address,
-          seed: this.wallet.seed,
-          publicKey: this.wallet.publicKey,
-          privateKey: this.wallet.privateKey
-        };
-        
-        fs.writeFileSync(walletPath, JSON.stringify(walletData, null, 2));
+        // Save wallet for future use, encrypted at rest
+        this.walletRecord = this._getKeystore().encryptWallet(fundResult.wallet);
+        this._getKeystore().writeWalletFile(walletPath, this.walletRecord);
+        this.wallet = this._publicWallet(this.walletRecord);
         console.log(`✅ New wallet created and funded: ${this.wallet.address}`);
       }
       
@@ -108,6 +116,25 @@ class TestnetDeployer {
     }
   }
 
+  /**
+   * Keystore for the saved wallet, created on first use
+   * @private
+   */
+  _getKeystore() {
+    if (!this.keystore) {
+      this.keystore = new WalletKeystore();
+    }
+    return this.keystore;
+  }
+
+  /**
+   * Address-only stand-in for a saved wallet; signing goes through keystore.withWallet
+   * @private
+   */
+  _publicWallet(record) {
+    return { address: record.address, classicAddress: record.address, publicKey: record.publicKey };
+  }
+
   /**
    * Validate account balance and fund if needed
    */
@@ -296,7 +323,10 @@ class TestnetDeployer {
    * Start performance monitoring loop
    */
   startPerformanceMonitoring() {
-    setInterval(() => {
+    if (this.monitoringTimer) {
+      clearInterval(this.monitoringTimer);
+    }
+    this.monitoringTimer = setInterval(() => {
       this.generatePerformanceReport();
     }, 60000); // Every minute
   }
@@ -420,6 +450,11 @@ class TestnetDeployer {
     console.log('\n🛑 Shutting down testnet deployment...');
     
     try {
+      if (this.monitoringTimer) {
+        clearInterval(this.monitoringTimer);
+        this.monitoringTimer = null;
+      }
+      
       if (this.client && this.client.isConnected()) {
         await this.client.disconnect();
       }
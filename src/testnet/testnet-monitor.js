@@ -9,10 +9,17 @@ const { MonteCarloForecaster } = require('../forecaster');
 const { DynamicYieldVizHub } = require('../dashboard/dynamic-yield-viz-hub');
 const { YieldVoteDAO } = require('../dao/yield-vote-dao');
 const CoreLogic = require('../core/core-logic');
+const { TimeSeriesStore, MEASUREMENTS } = require('../services/timeseries-store');
 
 class TestnetMonitor {
-  constructor() {
+  /**
+   * @param {Object} options Monitor options
+   * @param {TimeSeriesStore} options.timeSeries Store for performance history and market data (default: the shared store)
+   */
+  constructor(options = {}) {
     this.reportsDir = path.join(__dirname, '../reports');
+    this.timeSeries = options.timeSeries || TimeSeriesStore.shared();
+    this.lastRecordedReport = null;
     this.monitoringInterval = 30000; // 30 seconds
     this.alertThresholds = {
       minYield: 0.60, // 60% APY minimum
@@ -86,6 +93,12 @@ class TestnetMonitor {
       const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
       const metrics = report.metrics;
       
+      // Record each new report once
+      if (report.timestamp !== this.lastRecordedReport) {
+        this.recordPerformance(metrics, report.timestamp);
+        this.lastRecordedReport = report.timestamp;
+      }
+      
       // Check for alerts
       this.checkAlerts(metrics);
       
@@ -97,6 +110,53 @@ class TestnetMonitor {
     }
   }
 
+  /**
+   * Record performance metrics in the time-series store
+   * @param {Object} metrics Metrics from the performance report
+   * @param {string} reportTime Report timestamp (ISO string)
+   */
+  recordPerformance(metrics, reportTime) {
+    try {
+      this.timeSeries.write(MEASUREMENTS.PERFORMANCE, {
+        totalTrades: metrics.totalTrades,
+        successfulTrades: metrics.successfulTrades,
+        totalVolume: metrics.totalVolume,
+        totalFees: metrics.totalFees,
+        currentYield: metrics.currentYield,
+        maxDrawdown: metrics.maxDrawdown
+      }, { tags: { environment: 'testnet' }, timestamp: reportTime ? Date.parse(reportTime) : Date.now() });
+    } catch (error) {
+      console.error('❌ Failed to record performance history:', error.message);
+    }
+  }
+
+  /**
+   * 24-hour market and yield trends from the time-series store
+   * @returns {Object} { price, priceChange, volatility, yieldTrend }
+   */
+  getTrends() {
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    const priceTags = { pair: 'XRP/USD', source: 'orderbook' };
+    const price = this.timeSeries.latest(MEASUREMENTS.PRICE, { tags: priceTags });
+    const [firstPrice] = this.timeSeries.range(MEASUREMENTS.PRICE, { tags: priceTags, from: dayAgo });
+    const volatility = this.timeSeries.latest(MEASUREMENTS.VOLATILITY);
+    const yieldTrend = this.timeSeries.resample(MEASUREMENTS.PERFORMANCE, {
+      tags: { environment: 'testnet' },
+      from: dayAgo,
+      interval: 60 * 60 * 1000,
+      aggregate: 'last',
+      fields: ['currentYield'],
+      fill: 'previous'
+    }).map(bucket => (bucket.fields ? bucket.fields.currentYield : null));
+    
+    return {
+      price: price ? price.fields.mid : null,
+      priceChange: price && firstPrice ? (price.fields.mid - firstPrice.fields.mid) / firstPrice.fields.mid : null,
+      volatility: volatility ? volatility.fields.shortTerm : null,
+      yieldTrend
+    };
+  }
+
   /**
    * Validate yields against requirements
    */
@@ -166,6 +226,7 @@ class TestnetMonitor {
    */
   async displayDashboard() {
     const now = new Date().toLocaleString();
+    const trends = this.getTrends();
     
     console.log('🚀 XRPL TESTNET LIVE DASHBOARD');
     console.log('=' .repeat(60));
@@ -200,7 +261,7 @@ class TestnetMonitor {
       
       // Execute strategies with Yield Recovery Protocol
       const marketData = {
-        vol: Math.random() * 0.5 + 0.5, // 0.5-1.0 volatility
+        vol: trends.volatility !== null ? trends.volatility : Math.random() * 0.5 + 0.5, // Harvested, else 0.5-1.0 volatility
         currentYield: metrics.currentYield,
         successRate: metrics.successfulTrades / metrics.totalTrades,
         drawdown: metrics.maxDrawdown,
@@ -227,6 +288,24 @@ class TestnetMonitor {
       console.log('');
     }
     
+    // Market history
+    const yieldPoints = trends.yieldTrend.filter(value => value !== null);
+    if (trends.price !== null || yieldPoints.length > 0) {
+      console.log('📉 24H HISTORY');
+      console.log('-' .repeat(30));
+      if (trends.price !== null) {
+        const change = trends.priceChange !== null ? ` (${(trends.priceChange * 100).toFixed(2)}% 24h)` : '';
+        console.log(`XRP/USD: ${trends.price.toFixed(4)}${change}`);
+      }
+      if (trends.volatility !== null) {
+        console.log(`Short-term Volatility: ${trends.volatility.toFixed(2)}`);
+      }
+      if (yieldPoints.length > 0) {
+        console.log(`Yield (hourly): ${yieldPoints.slice(-6).map(value => `${(value * 100).toFixed(2)}%`).join(' → ')}`);
+      }
+      console.log('');
+    }
+    
     // Validation Results
     if (this.validationResults) {
       const validation = this.validationResults;
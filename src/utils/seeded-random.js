@@ -0,0 +1,28 @@
+/**
+ * Seeded Random
+ *
+ * Deterministic pseudo-random numbers for replays, searches and tests
+ * that must give the same result on every run.
+ */
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number|string} seed - Seed value; strings are hashed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createSeededRandom(seed = 1) {
+  let state = typeof seed === 'string'
+    ? Array.from(seed).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261)
+    : Number(seed);
+  state >>>= 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createSeededRandom };
@@ -0,0 +1,608 @@
+/**
+ * Historical Backtester
+ *
+ * Replays recorded order-book and AMM snapshots against any allocator
+ * (e.g. dynamicAllocate from ./yield-optimizer) or order optimizer
+ * (e.g. hybridQuantumOptimize from ./quantum-clob-optimizer) and reports
+ * comparable PnL, drawdown, turnover and execution-rate metrics.
+ *
+ * Fills are simulated against the recorded books: orders walk the opposite
+ * side level by level, partially fill when depth runs out, rest until a
+ * later snapshot crosses them, and pay trading fees. AMM rebalances pay the
+ * pool's trading fee plus constant-product price impact.
+ *
+ * Snapshot files may be JSONL (one snapshot object per line) or CSV in long
+ * format, one row per book level, AMM pool or market reading:
+ *
+ *   timestamp,market,kind,side,price,amount,reserve_base,reserve_quote,trading_fee,apy,is_stable,volatility,nasdaq_change,etf_sentiment,nasdaq_correlation
+ *   1721000000000,XRP/RLUSD,level,bid,0.499,1200,,,,,,,,,
+ *   1721000000000,XRP/RLUSD,amm,,,,250000,125000,0.003,0.12,false,,,,
+ *   1721000000000,XRP/RLUSD,market,,,,,,,,,0.42,-0.3,0.6,0.7
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Constants
+const DEFAULT_TAKER_FEE = 0.002; // 0.2% per fill
+const DEFAULT_AMM_FEE = 0.003; // 0.3% when a pool does not report its own fee
+const DEFAULT_PERIODS_PER_YEAR = 365; // Daily snapshots
+const CSV_NUMBER_COLUMNS = [
+  'price', 'amount', 'reserve_base', 'reserve_quote', 'trading_fee', 'apy',
+  'volatility', 'nasdaq_change', 'etf_sentiment', 'nasdaq_correlation'
+];
+
+/**
+ * Load historical snapshots from a JSONL or CSV file
+ *
+ * @param {string} filePath - Path to a .jsonl or .csv snapshot file
+ * @returns {Array} Snapshots ordered by timestamp
+ */
+async function loadSnapshots(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let snapshots;
+  if (extension === '.csv') {
+    snapshots = parseCsvSnapshots(content);
+  } else if (extension === '.jsonl' || extension === '.ndjson') {
+    snapshots = content
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, index) => {
+        try {
+          return _normalizeSnapshot(JSON.parse(line));
+        } catch (error) {
+          throw new Error(`Invalid snapshot on line ${index + 1} of ${filePath}: ${error.message}`);
+        }
+      });
+  } else {
+    throw new Error(`Unsupported snapshot format: ${extension || 'no extension'}`);
+  }
+
+  return snapshots.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Parse long-format CSV rows into snapshots
+ *
+ * @param {string} content - CSV file content with a header row
+ * @returns {Array} Snapshots ordered by timestamp
+ */
+function parseCsvSnapshots(content) {
+  const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) {
+    return [];
+  }
+
+  const header = lines[0].split(',').map(column => column.trim());
+  const byTimestamp = new Map();
+
+  for (let i = 1; i < lines.length; i++) {
+    const values = lines[i].split(',');
+    const row = {};
+    header.forEach((column, index) => {
+      const value = (values[index] || '').trim();
+      if (value === '') return;
+      row[column] = CSV_NUMBER_COLUMNS.includes(column) ? Number(value) : value;
+    });
+
+    const timestamp = Number(row.timestamp);
+    if (!byTimestamp.has(timestamp)) {
+      byTimestamp.set(timestamp, { timestamp, books: {}, pools: [] });
+    }
+    const snapshot = byTimestamp.get(timestamp);
+
+    switch (row.kind) {
+      case 'level': {
+        const book = snapshot.books[row.market] || (snapshot.books[row.market] = { bids: [], asks: [] });
+        const levels = row.side === 'bid' ? book.bids : book.asks;
+        levels.push({ price: row.price, amount: row.amount });
+        break;
+      }
+      case 'amm':
+        snapshot.pools.push({
+          name: row.market,
+          reserveBase: row.reserve_base,
+          reserveQuote: row.reserve_quote,
+          tradingFee: row.trading_fee,
+          apy: row.apy || 0,
+          isStable: row.is_stable === 'true'
+        });
+        break;
+      case 'market':
+        snapshot.volatility = row.volatility;
+        snapshot.nasdaqChange = row.nasdaq_change;
+        snapshot.etfSentiment = row.etf_sentiment;
+        snapshot.nasdaqCorrelation = row.nasdaq_correlation;
+        break;
+      default:
+        throw new Error(`Unknown CSV row kind "${row.kind}" on line ${i + 1}`);
+    }
+  }
+
+  return Array.from(byTimestamp.values())
+    .map(_normalizeSnapshot)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Normalize a snapshot: sorted books with mid prices and a primary orderBook
+ * @private
+ */
+function _normalizeSnapshot(snapshot) {
+  const books = { ...(snapshot.books || {}) };
+
+  // Accept the single-book shape used by runBacktest
+  if (snapshot.orderBook && !Object.keys(books).length) {
+    books[snapshot.market || 'default'] = snapshot.orderBook;
+  }
+
+  for (const market of Object.keys(books)) {
+    const book = books[market];
+    const bids = (book.bids || []).map(level => ({ ...level })).sort((a, b) => b.price - a.price);
+    const asks = (book.asks || []).map(level => ({ ...level })).sort((a, b) => a.price - b.price);
+    const mid = book.mid || (bids.length && asks.length ? (bids[0].price + asks[0].price) / 2 : null);
+    books[market] = { bids, asks, mid };
+  }
+
+  const primaryMarket = snapshot.market || Object.keys(books)[0];
+
+  return {
+    ...snapshot,
+    timestamp: Number(snapshot.timestamp),
+    market: primaryMarket,
+    books,
+    orderBook: primaryMarket ? books[primaryMarket] : null,
+    pools: snapshot.pools || [],
+    volatility: snapshot.volatility !== undefined ? snapshot.volatility : 0.5,
+    nasdaqChange: snapshot.nasdaqChange || 0,
+    etfSentiment: snapshot.etfSentiment !== undefined ? snapshot.etfSentiment : 0.5,
+    nasdaqCorrelation: snapshot.nasdaqCorrelation || 0
+  };
+}
+
+/**
+ * Simulate filling an order against a recorded order book
+ *
+ * Buys walk the asks and sells walk the bids, best price first, stopping
+ * at the order's limit price. Depth consumed is removed from the book so
+ * several orders against one snapshot cannot fill the same liquidity twice.
+ *
+ * @param {Object} book - Order book with sorted bids/asks and mid
+ * @param {Object} order - Order to fill
+ * @param {string} order.side - 'buy' or 'sell'
+ * @param {number} order.amount - Amount to trade (base units)
+ * @param {number} order.price - Optional limit price
+ * @param {Object} options - Fill options
+ * @param {number} options.feeRate - Taker fee rate
+ * @returns {Object} Fill result
+ */
+function simulateOrderFill(book, order, options = {}) {
+  const feeRate = options.feeRate !== undefined ? options.feeRate : DEFAULT_TAKER_FEE;
+  const side = order.side || 'buy';
+  const levels = side === 'buy' ? book.asks : book.bids;
+
+  let remaining = order.amount;
+  let filledAmount = 0;
+  let notional = 0;
+
+  for (const level of levels) {
+    if (remaining <= 0) break;
+    if (level.amount <= 0) continue;
+
+    if (order.price !== undefined) {
+      const crosses = side === 'buy' ? level.price <= order.price : level.price >= order.price;
+      if (!crosses) break;
+    }
+
+    const fillAmount = Math.min(remaining, level.amount);
+    level.amount -= fillAmount;
+    remaining -= fillAmount;
+    filledAmount += fillAmount;
+    notional += fillAmount * level.price;
+  }
+
+  const avgPrice = filledAmount > 0 ? notional / filledAmount : null;
+  const slippage = avgPrice !== null && book.mid ? Math.abs(avgPrice - book.mid) / book.mid : 0;
+
+  return {
+    side,
+    requestedAmount: order.amount,
+    filledAmount,
+    remainingAmount: remaining,
+    avgPrice,
+    notional,
+    fee: notional * feeRate,
+    slippage,
+    fillRatio: order.amount > 0 ? filledAmount / order.amount : 0
+  };
+}
+
+/**
+ * Cost of moving capital into or out of an AMM pool
+ * Trading fee plus constant-product price impact on the pool's reserves
+ *
+ * @param {Object} pool - Pool snapshot with reserveQuote and tradingFee
+ * @param {number} amount - Capital moved (quote units)
+ * @returns {Object} Fee and slippage cost
+ */
+function calculateAmmTradeCost(pool, amount) {
+  const size = Math.abs(amount);
+  const feeRate = pool.tradingFee !== undefined ? pool.tradingFee : DEFAULT_AMM_FEE;
+  const fee = size * feeRate;
+
+  // Price impact of a swap of size x into reserve R is x / (R + x)
+  const reserve = pool.reserveQuote || 0;
+  const impact = reserve > 0 ? size / (reserve + size) : 0;
+
+  return {
+    fee,
+    slippage: size * impact,
+    total: fee + size * impact
+  };
+}
+
+/**
+ * Backtest a capital allocator over historical snapshots
+ * Capital the allocator leaves unallocated is held as cash earning nothing.
+ * There is no margin: allocations adding up to more than the capital are
+ * scaled down pro rata to fit it.
+ *
+ * @param {Function} allocator - async (capital, pools, marketData, options) => [{ pool, amount }]
+ * @param {Array} snapshots - Snapshots from loadSnapshots
+ * @param {Object} options - Backtest options
+ * @param {number} options.initialCapital - Starting capital
+ * @param {number} options.rebalanceInterval - Rebalance every N snapshots
+ * @param {number} options.periodsPerYear - Snapshots per year, for annualizing pool APY
+ * @param {Object} options.allocatorOptions - Passed through to the allocator
+ * @returns {Object} Backtest metrics
+ */
+async function backtestAllocator(allocator, snapshots, options = {}) {
+  const config = {
+    initialCapital: 10000,
+    rebalanceInterval: 1,
+    periodsPerYear: DEFAULT_PERIODS_PER_YEAR,
+    allocatorOptions: {},
+    ...options
+  };
+
+  _validateSnapshots(snapshots);
+
+  let holdings = new Map(); // pool name -> amount
+  let cash = config.initialCapital;
+  let capital = config.initialCapital;
+  let fees = 0;
+  let slippage = 0;
+  let traded = 0;
+  const equityCurve = [capital];
+  const trades = [];
+
+  for (let i = 0; i < snapshots.length; i++) {
+    const snapshot = snapshots[i];
+    const poolsByName = new Map(snapshot.pools.map(pool => [pool.name, pool]));
+
+    // Accrue returns on existing holdings since the previous snapshot
+    if (i > 0) {
+      for (const [name, amount] of holdings) {
+        const pool = poolsByName.get(name) || snapshots[i - 1].pools.find(p => p.name === name);
+        const periodReturn = _poolPeriodReturn(pool, config);
+        holdings.set(name, amount * (1 + periodReturn));
+      }
+      capital = cash + _sum(holdings.values());
+    }
+
+    if (i % config.rebalanceInterval === 0 && snapshot.pools.length) {
+      const allocations = await allocator(capital, snapshot.pools, {
+        vol: snapshot.volatility,
+        nasdaqChange: snapshot.nasdaqChange,
+        etfSentiment: snapshot.etfSentiment
+      }, config.allocatorOptions);
+
+      const targets = new Map();
+      for (const allocation of allocations) {
+        const name = allocation.pool.name || allocation.pool;
+        targets.set(name, (targets.get(name) || 0) + allocation.amount);
+      }
+
+      const requested = _sum(Array.from(targets.values()).filter(target => target > 0));
+      if (requested > capital) {
+        for (const [name, target] of targets) {
+          if (target > 0) targets.set(name, target * (capital / requested));
+        }
+      }
+
+      // Trade the difference between current holdings and targets
+      let rebalanceCost = 0;
+      const names = new Set([...holdings.keys(), ...targets.keys()]);
+      for (const name of names) {
+        const delta = (targets.get(name) || 0) - (holdings.get(name) || 0);
+        if (Math.abs(delta) <= 1e-9) continue;
+
+        const cost = calculateAmmTradeCost(poolsByName.get(name) || { name }, delta);
+        fees += cost.fee;
+        slippage += cost.slippage;
+        traded += Math.abs(delta);
+        rebalanceCost += cost.total;
+        trades.push({ timestamp: snapshot.timestamp, pool: name, amount: delta, cost: cost.total });
+      }
+
+      // Costs are paid out of the new positions pro rata, or out of cash when nothing is allocated
+      const targetTotal = _sum(Array.from(targets.values()).filter(target => target > 0));
+      const nextHoldings = new Map();
+      for (const [name, target] of targets) {
+        if (target <= 0) continue;
+        nextHoldings.set(name, target - rebalanceCost * (target / targetTotal));
+      }
+
+      holdings = nextHoldings;
+      cash = capital - targetTotal - (targetTotal > 0 ? 0 : rebalanceCost);
+      capital = cash + _sum(holdings.values());
+    }
+
+    equityCurve.push(capital);
+  }
+
+  return _summarize({
+    initialCapital: config.initialCapital,
+    finalCapital: capital,
+    equityCurve,
+    fees,
+    slippage,
+    traded,
+    trades,
+    executionRate: 100,
+    periods: snapshots.length,
+    periodsPerYear: config.periodsPerYear
+  });
+}
+
+/**
+ * Backtest an order optimizer over historical snapshots
+ *
+ * Each snapshot the optimizer proposes orders for the primary book. Orders
+ * fill immediately where they cross the recorded book; the remainder rests
+ * and fills against later snapshots that cross it, until it expires.
+ * Acquired inventory is marked to the final mid price.
+ *
+ * @param {Function} optimizer - async (orderBook, options) => [{ price, amount, side }]
+ * @param {Array} snapshots - Snapshots from loadSnapshots
+ * @param {Object} options - Backtest options
+ * @param {number} options.targetAmount - Amount to trade per snapshot
+ * @param {string} options.side - Default side for orders without one
+ * @param {number} options.feeRate - Taker fee rate
+ * @param {number} options.orderLifetime - Snapshots a resting order stays live
+ * @param {Object} options.optimizerOptions - Passed through to the optimizer
+ * @returns {Object} Backtest metrics
+ */
+async function backtestOrderOptimizer(optimizer, snapshots, options = {}) {
+  const config = {
+    targetAmount: 10000,
+    side: 'buy',
+    feeRate: DEFAULT_TAKER_FEE,
+    orderLifetime: 1,
+    initialCapital: null,
+    periodsPerYear: DEFAULT_PERIODS_PER_YEAR,
+    optimizerOptions: {},
+    ...options
+  };
+
+  _validateSnapshots(snapshots);
+
+  let restingOrders = [];
+  let inventory = 0;
+  let cash = 0;
+  let fees = 0;
+  let slippage = 0;
+  let requested = 0;
+  let filled = 0;
+  let traded = 0;
+  const trades = [];
+  const equityCurve = [];
+  const startingMid = snapshots[0].orderBook ? snapshots[0].orderBook.mid : 0;
+  const initialCapital = config.initialCapital || config.targetAmount * snapshots.length * startingMid;
+
+  for (let i = 0; i < snapshots.length; i++) {
+    const snapshot = snapshots[i];
+    if (!snapshot.orderBook || snapshot.orderBook.mid === null) {
+      continue;
+    }
+
+    // Work on a copy so consumed depth does not leak into other backtests
+    const book = _cloneBook(snapshot.orderBook);
+
+    const proposed = await optimizer(book, {
+      volatility: snapshot.volatility,
+      nasdaqCorrelation: snapshot.nasdaqCorrelation,
+      targetAmount: config.targetAmount,
+      ...config.optimizerOptions
+    });
+
+    for (const order of proposed) {
+      requested += order.amount;
+      restingOrders.push({ ...order, side: order.side || config.side, expiresAt: i + config.orderLifetime });
+    }
+
+    const stillResting = [];
+    for (const order of restingOrders) {
+      const fill = simulateOrderFill(book, order, { feeRate: config.feeRate });
+
+      if (fill.filledAmount > 0) {
+        const direction = order.side === 'buy' ? 1 : -1;
+        inventory += direction * fill.filledAmount;
+        cash -= direction * fill.notional + fill.fee;
+        fees += fill.fee;
+        slippage += fill.slippage * fill.notional;
+        filled += fill.filledAmount;
+        traded += fill.notional;
+        trades.push({
+          timestamp: snapshot.timestamp,
+          side: order.side,
+          amount: fill.filledAmount,
+          price: fill.avgPrice,
+          fee: fill.fee
+        });
+      }
+
+      if (fill.remainingAmount > 0 && order.expiresAt > i) {
+        stillResting.push({ ...order, amount: fill.remainingAmount });
+      }
+    }
+    restingOrders = stillResting;
+
+    equityCurve.push(initialCapital + cash + inventory * book.mid);
+  }
+
+  const finalMid = _lastMid(snapshots);
+  const finalCapital = initialCapital + cash + inventory * finalMid;
+
+  return {
+    ..._summarize({
+      initialCapital,
+      finalCapital,
+      equityCurve: [initialCapital, ...equityCurve],
+      fees,
+      slippage,
+      traded,
+      trades,
+      executionRate: requested > 0 ? (filled / requested) * 100 : 0,
+      periods: snapshots.length,
+      periodsPerYear: config.periodsPerYear
+    }),
+    inventory,
+    averageSlippage: traded > 0 ? slippage / traded : 0
+  };
+}
+
+/**
+ * Run several strategies over the same snapshots and rank them by PnL
+ *
+ * @param {Object} strategies - Map of name -> { type: 'allocator'|'orderOptimizer', fn, options }
+ * @param {Array} snapshots - Snapshots from loadSnapshots
+ * @returns {Array} Results sorted by PnL, best first
+ */
+async function compareStrategies(strategies, snapshots) {
+  const results = [];
+
+  for (const [name, strategy] of Object.entries(strategies)) {
+    const run = strategy.type === 'orderOptimizer' ? backtestOrderOptimizer : backtestAllocator;
+    const metrics = await run(strategy.fn, snapshots, strategy.options);
+    results.push({ name, type: strategy.type || 'allocator', ...metrics });
+  }
+
+  return results.sort((a, b) => b.pnl - a.pnl);
+}
+
+/**
+ * Period return of a pool between two snapshots
+ * Uses a recorded dailyReturn when present, otherwise de-annualizes the APY
+ * @private
+ */
+function _poolPeriodReturn(pool, config) {
+  if (!pool) return 0;
+  if (typeof pool.dailyReturn === 'number') return pool.dailyReturn;
+  return (pool.apy || 0) / config.periodsPerYear;
+}
+
+/**
+ * Build the common metrics object
+ * @private
+ */
+function _summarize(run) {
+  const pnl = run.finalCapital - run.initialCapital;
+  const totalReturn = run.initialCapital > 0 ? pnl / run.initialCapital : 0;
+  const averageCapital = run.equityCurve.length
+    ? _sum(run.equityCurve) / run.equityCurve.length
+    : run.initialCapital;
+
+  return {
+    initialCapital: run.initialCapital,
+    finalCapital: run.finalCapital,
+    pnl,
+    totalReturn,
+    annualizedReturn: run.periods > 0 && totalReturn > -1
+      ? Math.pow(1 + totalReturn, run.periodsPerYear / run.periods) - 1
+      : totalReturn,
+    maxDrawdown: _calculateMaxDrawdown(run.equityCurve),
+    turnover: averageCapital > 0 ? run.traded / averageCapital : 0,
+    executionRate: run.executionRate,
+    fees: run.fees,
+    slippageCost: run.slippage,
+    tradeCount: run.trades.length,
+    equityCurve: run.equityCurve,
+    trades: run.trades
+  };
+}
+
+/**
+ * Calculate maximum drawdown from an equity curve
+ * @private
+ */
+function _calculateMaxDrawdown(equityCurve) {
+  let maxDrawdown = 0;
+  let peak = equityCurve[0];
+
+  for (let i = 1; i < equityCurve.length; i++) {
+    if (equityCurve[i] > peak) {
+      peak = equityCurve[i];
+    } else if (peak > 0) {
+      maxDrawdown = Math.max(maxDrawdown, (peak - equityCurve[i]) / peak);
+    }
+  }
+
+  return maxDrawdown;
+}
+
+/**
+ * @private
+ */
+function _validateSnapshots(snapshots) {
+  if (!Array.isArray(snapshots) || snapshots.length === 0) {
+    throw new Error('Invalid snapshots array');
+  }
+}
+
+/**
+ * @private
+ */
+function _cloneBook(book) {
+  return {
+    mid: book.mid,
+    bids: book.bids.map(level => ({ ...level })),
+    asks: book.asks.map(level => ({ ...level }))
+  };
+}
+
+/**
+ * @private
+ */
+function _lastMid(snapshots) {
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    if (snapshots[i].orderBook && snapshots[i].orderBook.mid !== null) {
+      return snapshots[i].orderBook.mid;
+    }
+  }
+  return 0;
+}
+
+/**
+ * @private
+ */
+function _sum(values) {
+  let total = 0;
+  for (const value of values) total += value;
+  return total;
+}
+
+module.exports = {
+  loadSnapshots,
+  parseCsvSnapshots,
+  simulateOrderFill,
+  calculateAmmTradeCost,
+  backtestAllocator,
+  backtestOrderOptimizer,
+  compareStrategies,
+  normalizeSnapshot: _normalizeSnapshot,
+  poolPeriodReturn: _poolPeriodReturn,
+  calculateMaxDrawdown: _calculateMaxDrawdown
+};
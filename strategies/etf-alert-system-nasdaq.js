@@ -19,6 +19,8 @@
 
 // Import dependencies
 const { dynamicAllocate, generateRebalancingActions } = require('./yield-optimizer');
+const RiskManager = require('../src/risk-manager');
+const { PriceOracle } = require('../src/oracles/price-oracle');
 
 // Constants
 const VOLATILITY_THRESHOLD = 0.8;
@@ -37,10 +39,13 @@ class ETFAlertSystemNasdaq {
    * @param {Object} xrplClient - XRPL client instance
    * @param {Object} nasdaqClient - NASDAQ data client
    * @param {Object} config - Configuration options
+   * @param {PriceOracle} config.priceOracle - Oracle for NASDAQ futures when there is no nasdaqClient
    */
   constructor(xrplClient, nasdaqClient, config = {}) {
     this.xrplClient = xrplClient;
     this.nasdaqClient = nasdaqClient;
+    this.riskManager = config.riskManager || RiskManager.getSharedInstance();
+    this.priceOracle = config.priceOracle || null;
     
     // Default configuration
     this.config = {
@@ -51,6 +56,9 @@ class ETFAlertSystemNasdaq {
       etfWatchlist: ['rETFBlackRock', 'rETFVanguard', 'rETFFidelity'],
       nasdaqSymbols: ['NQ=F', 'ES=F', 'YM=F'],
       sentimentSources: ['twitter', 'reddit', 'news'],
+      nasdaqOracleSymbol: 'NQ=F',
+      nasdaqChangeWindow: 24 * 60 * 60 * 1000,
+      minOracleConfidence: 0.6,
       ...config
     };
     
@@ -62,6 +70,7 @@ class ETFAlertSystemNasdaq {
       volatility: 0.5,
       sentiment: 0.5,
       nasdaqChange: 0,
+      nasdaqConfidence: null, // Oracle confidence, null when NASDAQ data comes from nasdaqClient
       alertHistory: [],
       isMonitoring: false,
       lastNasdaqCheck: 0,
@@ -267,6 +276,17 @@ class ETFAlertSystemNasdaq {
     try {
       console.log('Executing portfolio rebalance...');
       
+      // Do not allocate on NASDAQ data the oracle could not confirm
+      if (this.state.nasdaqConfidence !== null && this.state.nasdaqConfidence < this.config.minOracleConfidence) {
+        console.warn(`Rebalance skipped: NASDAQ oracle confidence ${this.state.nasdaqConfidence.toFixed(2)} below ${this.config.minOracleConfidence}`);
+        return {
+          timestamp: Date.now(),
+          actions: [],
+          oracleRejection: { confidence: this.state.nasdaqConfidence, minConfidence: this.config.minOracleConfidence },
+          newAllocations: this.state.currentAllocations
+        };
+      }
+      
       // Get available pools
       const pools = await this._fetchAvailablePools();
       
@@ -296,9 +316,34 @@ class ETFAlertSystemNasdaq {
         { threshold: this.config.rebalanceThreshold }
       );
       
+      // Pre-trade risk check: entries and increases add exposure, reductions and exits release it
+      const riskAction = {
+        type: 'rebalance',
+        source: 'etf-alert-system-nasdaq',
+        legs: actions.map(action => ({
+          pool: action.pool.name,
+          issuer: action.pool.issuer,
+          clawbackEnabled: action.pool.isClawbackEnabled,
+          notional: ['ENTER', 'INCREASE'].includes(action.type) ? action.amount : -action.amount
+        }))
+      };
+      const riskCheck = actions.length > 0 ? this.riskManager.validateAction(riskAction) : { approved: true };
+      
+      if (!riskCheck.approved) {
+        console.warn(`Rebalance blocked by risk checks: ${riskCheck.reasons.map(r => r.code).join(', ')}`);
+        return {
+          timestamp: Date.now(),
+          actions: [],
+          rejectedActions: actions,
+          riskRejection: riskCheck,
+          newAllocations: this.state.currentAllocations
+        };
+      }
+      
       // Execute actions (if connected to real account)
       if (this.config.executeActions && actions.length > 0) {
         await this._executeAllocationActions(actions);
+        this.riskManager.recordExecution(riskAction);
       }
       
       // Update state
@@ -340,6 +385,7 @@ class ETFAlertSystemNasdaq {
         volatility: this.state.volatility,
         sentiment: this.state.sentiment,
         nasdaqChange: this.state.nasdaqChange,
+        nasdaqConfidence: this.state.nasdaqConfidence,
         correlationStrength: this.state.correlationStrength
       },
       allocations: this.state.currentAllocations,
@@ -570,18 +616,22 @@ class ETFAlertSystemNasdaq {
   
   /**
    * Fetch NASDAQ futures percent change
+   * Without a nasdaqClient the change comes from the price oracle; when the
+   * oracle reading is not usable the change is 0 and nasdaqConfidence
+   * records why, so alerts and rebalances do not act on it.
    * @private
    */
   async _fetchNasdaqChange() {
     try {
       if (this.nasdaqClient) {
-        // In a real implementation, this would get actual NASDAQ futures data
+        this.state.nasdaqConfidence = null;
         return this.nasdaqClient.getPercentChange('NQ=F');
       }
       
-      // Fallback to simulation
-      const variation = (Math.random() - 0.5) * 0.05;
-      return this.state.nasdaqChange + variation;
+      const oracle = this.priceOracle || PriceOracle.shared();
+      const reading = await oracle.getChange(this.config.nasdaqOracleSymbol, { window: this.config.nasdaqChangeWindow });
+      this.state.nasdaqConfidence = reading.confidence;
+      return PriceOracle.isUsable(reading, this.config.minOracleConfidence) ? reading.change : 0;
     } catch (error) {
       console.error('Error fetching NASDAQ change:', error);
       return this.state.nasdaqChange;
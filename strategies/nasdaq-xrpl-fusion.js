@@ -14,12 +14,19 @@
  * 1. Leverage & Sentiment Fusion: 2x margin with X sentiment triggers
  * 2. XRPL Hybrid Hedge: Shift to RLUSD on NASDAQ dips
  * 3. DAO Parameter Governance: Community voting on strategy parameters
+ * 
+ * Parameter changes are vetted out-of-sample against recorded history
+ * (see ./walk-forward-optimizer) before they are applied; without history
+ * the current parameters are kept.
  */
 
 const EventEmitter = require('events');
+const path = require('path');
 const { HyperAdaptiveSystem } = require('../core/hyper-adaptive-system');
 const { SentimentOracleNetwork } = require('../core/sentiment-oracle-network');
 const { CircuitBreaker } = require('../core/circuit-breaker');
+const RiskManager = require('../src/risk-manager');
+const { FUSION_PARAMETER_SPACE, walkForwardOptimize, compareOutOfSample } = require('./walk-forward-optimizer');
 
 class NasdaqXrplFusionStrategy extends EventEmitter {
   /**
@@ -31,6 +38,12 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
    * @param {Object} options.sentimentOracle - Sentiment oracle instance (optional)
    * @param {Object} options.hyperAdaptive - Hyper-adaptive system instance (optional)
    * @param {Object} options.circuitBreaker - Circuit breaker instance (optional)
+   * @param {string} options.id - Strategy instance id, naming the default circuit breaker's state file (default: 'nasdaq-xrpl-fusion')
+   * @param {string|null} options.circuitBreakerStatePath - File the default circuit breaker persists to (default: data/circuit-breaker/<id>.json, null keeps it in memory)
+   * @param {Object} options.riskManager - Pre-trade risk manager (optional, shared instance by default)
+   * @param {number} options.capital - Capital the allocation fractions apply to
+   * @param {Array} options.history - Recorded snapshots (see ./backtester) used to vet parameter changes (optional, changes are rejected without it)
+   * @param {Object} options.walkForward - Walk-forward settings passed to walkForwardOptimize (optional)
    */
   constructor(options = {}) {
     super();
@@ -41,6 +54,7 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
       nasdaqDipThreshold: 0.001, // 0.1% dip threshold
       xrplAllocationOnDip: 0.7, // 70% allocation to XRPL on dips
       rlusdPairWeight: 0.6, // 60% weight to RLUSD pairs
+      capital: 100000, // Capital the allocation fractions apply to
       ...options
     };
     
@@ -48,7 +62,15 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
     this.nasdaqClient = options.nasdaqClient;
     this.sentimentOracle = options.sentimentOracle || new SentimentOracleNetwork();
     this.hyperAdaptive = options.hyperAdaptive || new HyperAdaptiveSystem();
-    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker();
+    // A tripped breaker must stay tripped across restarts, so its state is kept on disk
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker({
+      statePath: options.circuitBreakerStatePath !== undefined
+        ? options.circuitBreakerStatePath
+        : path.join(__dirname, '../data/circuit-breaker', `${options.id || 'nasdaq-xrpl-fusion'}.json`)
+    });
+    this.riskManager = options.riskManager || RiskManager.getSharedInstance();
+    this.history = options.history || null;
+    this.walkForwardOptions = options.walkForward || {};
     
     this.state = {
       currentAllocation: {
@@ -72,7 +94,8 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
         minYield: -0.05,         // -5%
         maxYield: 0.45,          // 45%
         sharpeRatio: 1.5
-      }
+      },
+      lastWalkForward: null
     };
     
     // Bind methods
@@ -82,6 +105,7 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
     this.checkSentimentTriggers = this.checkSentimentTriggers.bind(this);
     this.calculateExpectedYield = this.calculateExpectedYield.bind(this);
     this.optimizeParameters = this.optimizeParameters.bind(this);
+    this.updateOptimizedParameters = this.updateOptimizedParameters.bind(this);
   }
   
   /**
@@ -95,6 +119,9 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
       await this.xrplClient.connect();
       await this.nasdaqClient.connect();
       
+      // Restore the circuit breaker, so a breach from before a restart keeps trading halted
+      await this.circuitBreaker.initialize();
+      
       // Initialize sentiment oracle
       await this.sentimentOracle.initialize({
         searchTerms: ['#Nasdaq2025', '#XRPLyield', '#CryptoFutures'],
@@ -168,19 +195,23 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
         // Execute rebalancing
         const rebalanceResult = await this.executeRebalance(optimalAllocation);
         
-        // Apply leverage strategy if conditions are met
-        if (sentimentData.aggregateScore > this.options.sentimentThreshold) {
+        // Apply leverage strategy if conditions are met and the breaker let the rebalance through
+        const leverageApplied = rebalanceResult.success &&
+          sentimentData.aggregateScore > this.options.sentimentThreshold;
+        if (leverageApplied) {
           await this.applyLeverageStrategy(nasdaqData, sentimentData);
         }
         
-        // Update state
-        this.state.currentAllocation = optimalAllocation;
-        this.state.lastRebalance = Date.now();
+        // Update state; the breaker may have held back or scaled down the move
+        this.state.currentAllocation = rebalanceResult.newAllocation;
+        if (rebalanceResult.success) {
+          this.state.lastRebalance = Date.now();
+        }
         
         return {
-          action: 'rebalanced',
-          allocation: optimalAllocation,
-          leverageApplied: sentimentData.aggregateScore > this.options.sentimentThreshold,
+          action: rebalanceResult.success ? 'rebalanced' : 'blocked',
+          allocation: rebalanceResult.newAllocation,
+          leverageApplied,
           timestamp: Date.now(),
           expectedYield: this.calculateExpectedYield(optimalAllocation)
         };
@@ -484,9 +515,43 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
    */
   async executeRebalance(targetAllocation) {
     try {
-      // Calculate changes needed
-      const nasdaqChange = targetAllocation.nasdaq - this.state.currentAllocation.nasdaq;
-      const xrplChange = targetAllocation.xrpl - this.state.currentAllocation.xrpl;
+      // No trades while the circuit breaker is open; checking first lets an elapsed cooldown go half-open
+      await this.circuitBreaker.check();
+      if (!this.circuitBreaker.canTrade()) {
+        this.emit('rebalance-blocked', {
+          reason: 'circuit-open',
+          targetAllocation,
+          timestamp: Date.now()
+        });
+        return {
+          success: false,
+          reason: 'circuit-open',
+          nasdaqResult: null,
+          xrplResult: null,
+          newAllocation: this.state.currentAllocation,
+          timestamp: Date.now()
+        };
+      }
+      
+      // Calculate changes needed, scaled down while the breaker is half-open
+      const sizeMultiplier = this.circuitBreaker.getSizeMultiplier();
+      const nasdaqChange = (targetAllocation.nasdaq - this.state.currentAllocation.nasdaq) * sizeMultiplier;
+      const xrplChange = (targetAllocation.xrpl - this.state.currentAllocation.xrpl) * sizeMultiplier;
+      const newAllocation = sizeMultiplier === 1 ? targetAllocation : {
+        nasdaq: this.state.currentAllocation.nasdaq + nasdaqChange,
+        xrpl: this.state.currentAllocation.xrpl + xrplChange
+      };
+      
+      // Pre-trade risk check on the notional being moved
+      const riskAction = {
+        type: 'rebalance',
+        source: 'nasdaq-xrpl-fusion',
+        legs: [
+          { pool: 'nasdaq-futures', notional: nasdaqChange * this.options.capital },
+          { pool: 'xrpl-liquidity', notional: xrplChange * this.options.capital }
+        ]
+      };
+      this.riskManager.assertAction(riskAction);
       
       // Execute NASDAQ changes
       let nasdaqResult = null;
@@ -516,11 +581,17 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
         }
       }
       
+      // Closing part of a position realizes its profit or loss, which counts toward the daily loss limit
+      const realizedPnL = [nasdaqResult, xrplResult]
+        .reduce((sum, result) => sum + (result && typeof result.realizedPnL === 'number' ? result.realizedPnL : 0), 0);
+      this.riskManager.recordExecution(riskAction, { realizedPnL });
+      
       return {
         success: true,
         nasdaqResult,
         xrplResult,
-        newAllocation: targetAllocation,
+        newAllocation,
+        sizeMultiplier,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -572,15 +643,9 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
       
       // Update parameters if optimization was successful
       if (optimizationResult.success) {
-        this.options = {
-          ...this.options,
-          ...optimizationResult.parameters
-        };
-        
-        this.emit('parameters-updated', {
-          newParameters: this.options,
-          expectedImprovement: optimizationResult.expectedImprovement,
-          timestamp: Date.now()
+        this.promoteParameters(optimizationResult.parameters, {
+          source: 'hyper-adaptive',
+          expectedImprovement: optimizationResult.expectedImprovement
         });
       }
       
@@ -606,16 +671,112 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
     }
     
     // Update parameters
+    this.promoteParameters(optimizationResult.parameters, {
+      source: 'hyper-adaptive',
+      expectedImprovement: optimizationResult.expectedImprovement
+    });
+  }
+  
+  /**
+   * Replace the recorded history used to vet parameter changes
+   * 
+   * @param {Array} snapshots - Snapshots ordered by timestamp (e.g. from loadSnapshots)
+   */
+  setHistory(snapshots) {
+    this.history = snapshots;
+  }
+  
+  /**
+   * Current values of the tunable parameters
+   * 
+   * @returns {Object} Parameters named in FUSION_PARAMETER_SPACE
+   */
+  getParameters() {
+    const parameters = {};
+    Object.keys(FUSION_PARAMETER_SPACE).forEach(name => {
+      parameters[name] = this.options[name];
+    });
+    return parameters;
+  }
+  
+  /**
+   * Apply proposed parameters if they beat the current ones out-of-sample
+   * Without recorded history the proposal cannot be vetted and is rejected.
+   * 
+   * @param {Object} parameters - Proposed parameters
+   * @param {Object} details - Proposal details
+   * @param {string} details.source - Where the proposal came from
+   * @param {number} details.expectedImprovement - Improvement claimed by the source
+   * @param {Object} details.comparison - Out-of-sample comparison already made (skips the check)
+   * @returns {boolean} Whether the parameters were applied
+   */
+  promoteParameters(parameters, details = {}) {
+    let comparison = details.comparison || null;
+    if (!comparison && this.history && this.history.length > 1) {
+      const incumbent = this.getParameters();
+      comparison = compareOutOfSample({ ...incumbent, ...parameters }, incumbent, this.history, this.walkForwardOptions);
+    }
+    if (!comparison) {
+      comparison = {
+        promote: false,
+        improvement: null,
+        reasons: ['No recorded history to vet the parameters against']
+      };
+    }
+    
+    if (!comparison.promote) {
+      this.emit('parameters-rejected', {
+        parameters,
+        source: details.source,
+        improvement: comparison.improvement,
+        reasons: comparison.reasons || [],
+        timestamp: Date.now()
+      });
+      return false;
+    }
+    
     this.options = {
       ...this.options,
-      ...optimizationResult.parameters
+      ...parameters
     };
     
     this.emit('parameters-updated', {
       newParameters: this.options,
-      expectedImprovement: optimizationResult.expectedImprovement,
+      expectedImprovement: details.expectedImprovement,
+      outOfSampleImprovement: comparison.improvement,
+      source: details.source,
       timestamp: Date.now()
     });
+    return true;
+  }
+  
+  /**
+   * Walk-forward optimize the parameters on recorded history
+   * The latest candidate replaces the current parameters only when it
+   * beats them out-of-sample.
+   * 
+   * @param {Object} options - Overrides for the walk-forward settings
+   * @returns {Object} Walk-forward report (see walkForwardOptimize)
+   */
+  walkForwardOptimize(options = {}) {
+    if (!this.history || this.history.length === 0) {
+      throw new Error('Walk-forward optimization needs recorded history');
+    }
+    
+    const report = walkForwardOptimize(this.history, {
+      ...this.walkForwardOptions,
+      ...options,
+      incumbent: this.getParameters()
+    });
+    this.state.lastWalkForward = report;
+    
+    this.promoteParameters(report.candidate, {
+      source: 'walk-forward',
+      expectedImprovement: report.promotion.improvement,
+      comparison: report.promotion
+    });
+    
+    return report;
   }
   
   /**
@@ -641,6 +802,9 @@ class NasdaqXrplFusionStrategy extends EventEmitter {
       baselineSimulation: this.state.simulationResults,
       optimizedProjection: this.state.optimizedResults,
       parameters: this.options,
+      lastWalkForward: this.state.lastWalkForward
+        ? { outOfSample: this.state.lastWalkForward.outOfSample, overfitting: this.state.lastWalkForward.overfitting, promotion: this.state.lastWalkForward.promotion }
+        : null,
       lastRebalance: this.state.lastRebalance,
       sentimentAverage: this.state.sentimentScores.length > 0
         ? this.state.sentimentScores.reduce((sum, entry) => sum + entry.score, 0) / this.state.sentimentScores.length
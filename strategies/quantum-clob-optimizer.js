@@ -17,6 +17,8 @@
  * in AMM-heavy DEXes.
  */
 
+const { simulateOrderFill, normalizeSnapshot } = require('./backtester');
+
 // Constants for the optimizer
 const INITIAL_TEMPERATURE = 100.0;
 const COOLING_RATE = 0.95;
@@ -523,6 +525,10 @@ async function runBacktest(historicalData, config = {}) {
     optimizedOrders: []
   };
   
+  let requestedAmount = 0;
+  let filledAmount = 0;
+  let restingOrders = [];
+  
   for (const snapshot of historicalData) {
     // Optimize orders for this snapshot
     const optimizedOrders = await hybridQuantumOptimize(snapshot.orderBook, {
@@ -539,6 +545,22 @@ async function runBacktest(historicalData, config = {}) {
     // Calculate baseline slippage (simple market order)
     const baselineSlippage = snapshot.baselineSlippage || 0.01;
     
+    // Fill against the recorded book; unfilled remainders rest for one more snapshot
+    const book = normalizeSnapshot(snapshot).orderBook;
+    const newOrders = optimizedOrders.map(order => ({ ...order, side: config.side || 'buy', fresh: true }));
+    const stillResting = [];
+    
+    for (const order of [...restingOrders, ...newOrders]) {
+      const fill = simulateOrderFill(book, order, { feeRate: config.feeRate });
+      filledAmount += fill.filledAmount;
+      if (order.fresh && fill.remainingAmount > 0) {
+        stillResting.push({ ...order, amount: fill.remainingAmount, fresh: false });
+      }
+    }
+    
+    requestedAmount += optimizedOrders.reduce((sum, order) => sum + order.amount, 0);
+    restingOrders = stillResting;
+    
     // Update results
     results.totalSlippage += optimizedSlippage;
     results.baselineSlippage += baselineSlippage;
@@ -553,8 +575,8 @@ async function runBacktest(historicalData, config = {}) {
   // Calculate slippage reduction percentage
   results.slippageReduction = (1 - results.totalSlippage / results.baselineSlippage) * 100;
   
-  // Estimate execution rate based on order placement
-  results.executionRate = 85 + Math.random() * 10; // Placeholder for actual simulation
+  // Execution rate from simulated fills against the recorded books
+  results.executionRate = requestedAmount > 0 ? (filledAmount / requestedAmount) * 100 : 0;
   
   return results;
 }
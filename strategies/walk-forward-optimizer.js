@@ -0,0 +1,501 @@
+/**
+ * Walk-Forward Optimizer
+ *
+ * Tunes NasdaqXrplFusionStrategy parameters on recorded history without
+ * trusting in-sample fits:
+ * - History (backtester snapshots) is split into rolling or anchored
+ *   train/test windows
+ * - Each training window is searched with a seeded random search plus a
+ *   local refinement around the best point
+ * - The winner is scored on the following, unseen test window next to the
+ *   incumbent parameters
+ * - Overfitting indicators compare in-sample with out-of-sample results:
+ *   walk-forward efficiency, objective degradation, parameter stability
+ *   and how often the winner beat the incumbent
+ *
+ * Parameters are only promoted when the walk-forward results beat the
+ * incumbent out-of-sample and the latest candidate beats it on the latest
+ * test window.
+ *
+ * The simulation replays the strategy's own rules bar by bar: NASDAQ dips
+ * move capital to XRPL, strong sentiment moves it back and adds leverage,
+ * and allocations stay within the 10-90% bounds the strategy asks the
+ * hyper-adaptive system for. NASDAQ returns come from each snapshot's
+ * nasdaqChange, XRPL returns from its pools (stable pools weighted by
+ * rlusdPairWeight). Decisions made on a bar earn the next bar's returns.
+ */
+
+const { calculateMaxDrawdown, poolPeriodReturn } = require('./backtester');
+const { createSeededRandom } = require('../src/utils/seeded-random');
+
+// Constants
+const FUSION_PARAMETER_SPACE = {
+  leverageMultiplier: { min: 1.0, max: 3.0 },
+  sentimentThreshold: { min: 0.5, max: 0.9 },
+  nasdaqDipThreshold: { min: 0.0005, max: 0.02 },
+  xrplAllocationOnDip: { min: 0.5, max: 0.9 },
+  rlusdPairWeight: { min: 0.4, max: 0.8 }
+};
+const OBJECTIVES = ['sharpe', 'return', 'calmar'];
+const DEFAULT_COST_RATE = 0.002; // Per unit of notional moved between legs
+const DEFAULT_PERIODS_PER_YEAR = 365; // Daily snapshots
+
+/**
+ * Allocation and leverage the fusion strategy picks for a bar
+ * Mirrors calculateOptimalAllocation and applyLeverageStrategy without the
+ * live-only arbitrage check.
+ *
+ * @param {Object} parameters - Strategy parameters
+ * @param {Object} snapshot - Bar with nasdaqChange and etfSentiment
+ * @param {number} currentXrpl - Current XRPL allocation (0-1)
+ * @param {Object} bounds - XRPL allocation bounds { min, max }
+ * @returns {Object} { xrpl, leverage }
+ */
+function fusionDecision(parameters, snapshot, currentXrpl, bounds = { min: 0.1, max: 0.9 }) {
+  const change = snapshot.nasdaqChange || 0;
+  const sentiment = snapshot.etfSentiment !== undefined ? snapshot.etfSentiment : 0.5;
+
+  let xrpl = currentXrpl;
+  if (change < -parameters.nasdaqDipThreshold) {
+    xrpl = parameters.xrplAllocationOnDip;
+  } else if (change > parameters.nasdaqDipThreshold) {
+    xrpl = Math.max(0, currentXrpl - 0.1);
+  }
+
+  if (sentiment > parameters.sentimentThreshold) {
+    xrpl = Math.max(0, xrpl - 0.2);
+  } else if (sentiment < 0.3) {
+    xrpl = Math.min(0.9, xrpl + 0.1);
+  }
+
+  const leverage = sentiment > parameters.sentimentThreshold
+    ? Math.min(
+      1 + (sentiment - parameters.sentimentThreshold) * (parameters.leverageMultiplier - 1) / (1 - parameters.sentimentThreshold),
+      parameters.leverageMultiplier
+    )
+    : 1;
+
+  return { xrpl: Math.min(bounds.max, Math.max(bounds.min, xrpl)), leverage };
+}
+
+/**
+ * Simulate the fusion strategy with fixed parameters over snapshots
+ *
+ * @param {Object} parameters - Strategy parameters
+ * @param {Array} snapshots - Snapshots ordered by timestamp
+ * @param {Object} options - Simulation options
+ * @param {number} options.initialCapital - Starting capital
+ * @param {number} options.initialXrpl - Starting XRPL allocation (the strategy starts fully in NASDAQ)
+ * @param {number} options.costRate - Cost per unit of notional moved between legs
+ * @param {number} options.minRebalance - Smallest allocation change that is traded
+ * @param {number} options.periodsPerYear - Snapshots per year, for annualizing
+ * @returns {Object} Metrics with equityCurve and periodReturns
+ */
+function simulateFusionStrategy(parameters, snapshots, options = {}) {
+  const config = {
+    initialCapital: 10000,
+    initialXrpl: 0,
+    costRate: DEFAULT_COST_RATE,
+    minRebalance: 0.01,
+    periodsPerYear: DEFAULT_PERIODS_PER_YEAR,
+    ...options
+  };
+
+  let capital = config.initialCapital;
+  let xrpl = config.initialXrpl;
+  let leverage = 1;
+  let traded = 0;
+  let fees = 0;
+  let rebalances = 0;
+  const equityCurve = [capital];
+
+  for (let i = 0; i < snapshots.length; i++) {
+    const snapshot = snapshots[i];
+
+    // Returns earned since the previous bar with the allocation chosen there
+    if (i > 0) {
+      const nasdaqReturn = leverage * (snapshot.nasdaqChange || 0);
+      const xrplReturn = _xrplPeriodReturn(snapshot.pools || snapshots[i - 1].pools || [], parameters.rlusdPairWeight, config);
+      capital *= 1 + (1 - xrpl) * nasdaqReturn + xrpl * xrplReturn;
+    }
+
+    const decision = fusionDecision(parameters, snapshot, xrpl);
+    const change = Math.abs(decision.xrpl - xrpl);
+    if (change > config.minRebalance) {
+      // One leg is sold and the other bought
+      const notional = 2 * change * capital;
+      const cost = notional * config.costRate;
+      capital -= cost;
+      fees += cost;
+      traded += notional;
+      rebalances++;
+      xrpl = decision.xrpl;
+    }
+    leverage = decision.leverage;
+
+    if (i > 0) equityCurve.push(capital);
+  }
+
+  return _metrics(equityCurve, { traded, fees, rebalances, periodsPerYear: config.periodsPerYear });
+}
+
+/**
+ * Split snapshots into consecutive train/test windows
+ * Each test window starts with the last training bar so its first return
+ * is the first unseen bar.
+ *
+ * @param {Array} snapshots - Snapshots ordered by timestamp
+ * @param {Object} options - Split options
+ * @param {number} options.trainSize - Bars per training window
+ * @param {number} options.testSize - Unseen bars per test window
+ * @param {number} options.step - Bars between window starts (default: testSize)
+ * @param {boolean} options.anchored - Training windows all start at the first bar
+ * @returns {Array} [{ index, train, test, trainRange, testRange }]
+ */
+function splitWalkForward(snapshots, options = {}) {
+  const { trainSize, testSize } = options;
+  const step = options.step || testSize;
+  if (!(trainSize >= 2) || !(testSize >= 1)) {
+    throw new Error('Walk-forward windows need trainSize >= 2 and testSize >= 1');
+  }
+
+  const windows = [];
+  for (let trainEnd = trainSize; trainEnd + testSize <= snapshots.length; trainEnd += step) {
+    const trainStart = options.anchored ? 0 : trainEnd - trainSize;
+    const train = snapshots.slice(trainStart, trainEnd);
+    const test = snapshots.slice(trainEnd - 1, trainEnd + testSize);
+    windows.push({
+      index: windows.length,
+      train,
+      test,
+      trainRange: { from: train[0].timestamp, to: train[train.length - 1].timestamp },
+      testRange: { from: snapshots[trainEnd].timestamp, to: test[test.length - 1].timestamp }
+    });
+  }
+  return windows;
+}
+
+/**
+ * Search the parameter space for the best objective on some snapshots
+ *
+ * @param {Array} snapshots - Snapshots to fit on
+ * @param {Object} options - Search options
+ * @param {Object} options.space - Parameter ranges (default: FUSION_PARAMETER_SPACE)
+ * @param {number} options.iterations - Random samples (default: 200)
+ * @param {number} options.refinements - Local perturbations around the best sample (default: iterations / 4)
+ * @param {number|string} options.seed - PRNG seed (default: 1)
+ * @param {string} options.objective - One of OBJECTIVES (default: 'sharpe')
+ * @param {Object} options.incumbent - Parameters always included as a candidate
+ * @param {Object} options.simulation - Passed through to simulateFusionStrategy
+ * @returns {Object} { parameters, score, metrics, evaluated }
+ */
+function searchParameters(snapshots, options = {}) {
+  const space = options.space || FUSION_PARAMETER_SPACE;
+  const iterations = options.iterations || 200;
+  const refinements = options.refinements !== undefined ? options.refinements : Math.floor(iterations / 4);
+  const objective = options.objective || 'sharpe';
+  const random = createSeededRandom(options.seed || 1);
+
+  let best = null;
+  const consider = parameters => {
+    const metrics = simulateFusionStrategy(parameters, snapshots, options.simulation);
+    const score = scoreMetrics(metrics, objective);
+    if (!best || score > best.score) {
+      best = { parameters, score, metrics };
+    }
+  };
+
+  if (options.incumbent) consider(_clampParameters(options.incumbent, space));
+  for (let i = 0; i < iterations; i++) {
+    consider(_sampleParameters(space, random));
+  }
+
+  // Shrinking steps around the best point
+  for (let i = 0; i < refinements; i++) {
+    const radius = 0.1 * (1 - i / Math.max(refinements, 1));
+    const parameters = {};
+    for (const [name, range] of Object.entries(space)) {
+      const width = range.max - range.min;
+      parameters[name] = best.parameters[name] + (random() * 2 - 1) * radius * width;
+    }
+    consider(_clampParameters(parameters, space));
+  }
+
+  return { ...best, evaluated: (options.incumbent ? 1 : 0) + iterations + refinements };
+}
+
+/**
+ * Walk-forward optimization with out-of-sample comparison to the incumbent
+ *
+ * @param {Array} snapshots - Snapshots ordered by timestamp
+ * @param {Object} options - Optimization options
+ * @param {Object} options.incumbent - Parameters currently in use
+ * @param {number} options.trainSize - Bars per training window (default: 60% of history)
+ * @param {number} options.testSize - Bars per test window (default: 10% of history)
+ * @param {number} options.step - Bars between windows (default: testSize)
+ * @param {boolean} options.anchored - Expanding instead of rolling training windows
+ * @param {string} options.objective - One of OBJECTIVES (default: 'sharpe')
+ * @param {number} options.minImprovement - Out-of-sample objective margin needed over the incumbent (default: 0)
+ * @param {number} options.minEfficiency - Lowest walk-forward efficiency accepted for promotion (default: 0.5)
+ * @param {Object} options.search - Passed through to searchParameters (space, iterations, refinements, seed)
+ * @param {Object} options.simulation - Passed through to simulateFusionStrategy
+ * @returns {Object} { windows, outOfSample, incumbentOutOfSample, overfitting, candidate, promotion }
+ */
+function walkForwardOptimize(snapshots, options = {}) {
+  if (!options.incumbent) {
+    throw new Error('Walk-forward optimization needs the incumbent parameters');
+  }
+  const objective = options.objective || 'sharpe';
+  if (!OBJECTIVES.includes(objective)) {
+    throw new Error(`Unknown objective: ${objective}`);
+  }
+
+  const testSize = options.testSize || Math.max(1, Math.floor(snapshots.length * 0.1));
+  const trainSize = options.trainSize || Math.max(2, Math.floor(snapshots.length * 0.6));
+  const windows = splitWalkForward(snapshots, { trainSize, testSize, step: options.step, anchored: options.anchored });
+  if (windows.length === 0) {
+    throw new Error(`Not enough history for walk-forward optimization: ${snapshots.length} snapshots, need ${trainSize + testSize}`);
+  }
+
+  const search = options.search || {};
+  const space = search.space || FUSION_PARAMETER_SPACE;
+  const incumbent = _clampParameters(options.incumbent, space);
+
+  const results = windows.map(window => {
+    const fit = searchParameters(window.train, {
+      ...search,
+      seed: `${search.seed || 1}:${window.index}`,
+      objective,
+      incumbent,
+      simulation: options.simulation
+    });
+    const outOfSample = simulateFusionStrategy(fit.parameters, window.test, options.simulation);
+    const incumbentOutOfSample = simulateFusionStrategy(incumbent, window.test, options.simulation);
+
+    return {
+      index: window.index,
+      trainRange: window.trainRange,
+      testRange: window.testRange,
+      parameters: fit.parameters,
+      evaluated: fit.evaluated,
+      inSample: _summary(fit.metrics, objective),
+      outOfSample: _summary(outOfSample, objective),
+      incumbentOutOfSample: _summary(incumbentOutOfSample, objective),
+      efficiency: fit.metrics.annualizedReturn > 0 ? outOfSample.annualizedReturn / fit.metrics.annualizedReturn : null,
+      periodReturns: outOfSample.periodReturns,
+      incumbentPeriodReturns: incumbentOutOfSample.periodReturns
+    };
+  });
+
+  const periodsPerYear = (options.simulation && options.simulation.periodsPerYear) || DEFAULT_PERIODS_PER_YEAR;
+  const stitched = _summary(_stitch(results.map(result => result.periodReturns), periodsPerYear), objective);
+  const incumbentStitched = _summary(_stitch(results.map(result => result.incumbentPeriodReturns), periodsPerYear), objective);
+  const overfitting = _overfitting(results, space);
+
+  const latest = results[results.length - 1];
+  const reasons = [];
+  if (!(stitched.score > incumbentStitched.score + (options.minImprovement || 0))) {
+    reasons.push('walk-forward results do not beat the incumbent out-of-sample');
+  }
+  if (!(latest.outOfSample.score > latest.incumbentOutOfSample.score)) {
+    reasons.push('latest candidate does not beat the incumbent on the latest test window');
+  }
+  const minEfficiency = options.minEfficiency !== undefined ? options.minEfficiency : 0.5;
+  if (overfitting.walkForwardEfficiency === null || overfitting.walkForwardEfficiency < minEfficiency) {
+    reasons.push(`walk-forward efficiency below ${minEfficiency}`);
+  }
+
+  return {
+    objective,
+    trainSize,
+    testSize,
+    windows: results.map(({ periodReturns, incumbentPeriodReturns, ...result }) => result),
+    outOfSample: stitched,
+    incumbentOutOfSample: incumbentStitched,
+    overfitting,
+    incumbent,
+    candidate: latest.parameters,
+    promotion: {
+      promote: reasons.length === 0,
+      improvement: stitched.score - incumbentStitched.score,
+      reasons
+    }
+  };
+}
+
+/**
+ * Compare candidate parameters with the incumbent on the latest snapshots
+ * Used to vet parameters proposed elsewhere (e.g. the hyper-adaptive
+ * system) when no training was involved.
+ *
+ * @param {Object} candidate - Proposed parameters
+ * @param {Object} incumbent - Parameters currently in use
+ * @param {Array} snapshots - Snapshots ordered by timestamp
+ * @param {Object} options - Comparison options
+ * @param {number} options.testSize - Latest bars to compare on (default: all)
+ * @param {string} options.objective - One of OBJECTIVES (default: 'sharpe')
+ * @param {number} options.minImprovement - Objective margin needed over the incumbent (default: 0)
+ * @param {Object} options.simulation - Passed through to simulateFusionStrategy
+ * @returns {Object} { promote, improvement, candidate, incumbent }
+ */
+function compareOutOfSample(candidate, incumbent, snapshots, options = {}) {
+  const objective = options.objective || 'sharpe';
+  const window = options.testSize ? snapshots.slice(-(options.testSize + 1)) : snapshots;
+  const candidateResult = _summary(simulateFusionStrategy(candidate, window, options.simulation), objective);
+  const incumbentResult = _summary(simulateFusionStrategy(incumbent, window, options.simulation), objective);
+  const improvement = candidateResult.score - incumbentResult.score;
+
+  return {
+    promote: improvement > (options.minImprovement || 0),
+    improvement,
+    candidate: candidateResult,
+    incumbent: incumbentResult
+  };
+}
+
+/**
+ * Objective value of simulation metrics (higher is better)
+ *
+ * @param {Object} metrics - Metrics from simulateFusionStrategy
+ * @param {string} objective - One of OBJECTIVES
+ * @returns {number} Score
+ */
+function scoreMetrics(metrics, objective = 'sharpe') {
+  switch (objective) {
+    case 'return':
+      return metrics.annualizedReturn;
+    case 'calmar':
+      return metrics.maxDrawdown > 0 ? metrics.annualizedReturn / metrics.maxDrawdown : metrics.annualizedReturn;
+    default:
+      return metrics.sharpeRatio;
+  }
+}
+
+/**
+ * XRPL leg return for one period: stable pools weighted by rlusdPairWeight
+ * @private
+ */
+function _xrplPeriodReturn(pools, rlusdPairWeight, config) {
+  const mean = list => list.reduce((sum, pool) => sum + poolPeriodReturn(pool, config), 0) / list.length;
+  const stable = pools.filter(pool => pool.isStable);
+  const volatile = pools.filter(pool => !pool.isStable);
+  if (!stable.length && !volatile.length) return 0;
+  if (!stable.length) return mean(volatile);
+  if (!volatile.length) return mean(stable);
+  return rlusdPairWeight * mean(stable) + (1 - rlusdPairWeight) * mean(volatile);
+}
+
+/**
+ * Metrics from an equity curve
+ * @private
+ */
+function _metrics(equityCurve, run) {
+  const periodReturns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    periodReturns.push(equityCurve[i - 1] > 0 ? equityCurve[i] / equityCurve[i - 1] - 1 : 0);
+  }
+
+  const periods = periodReturns.length;
+  const initial = equityCurve[0];
+  const final = equityCurve[equityCurve.length - 1];
+  const totalReturn = initial > 0 ? final / initial - 1 : 0;
+  const mean = periods ? periodReturns.reduce((sum, r) => sum + r, 0) / periods : 0;
+  const variance = periods > 1 ? periodReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (periods - 1) : 0;
+  const stdDev = Math.sqrt(variance);
+
+  return {
+    totalReturn,
+    annualizedReturn: periods > 0 && totalReturn > -1
+      ? Math.pow(1 + totalReturn, run.periodsPerYear / periods) - 1
+      : totalReturn,
+    volatility: stdDev * Math.sqrt(run.periodsPerYear),
+    sharpeRatio: stdDev > 0 ? (mean / stdDev) * Math.sqrt(run.periodsPerYear) : 0,
+    maxDrawdown: calculateMaxDrawdown(equityCurve),
+    turnover: initial > 0 ? (run.traded || 0) / initial : 0,
+    fees: run.fees || 0,
+    rebalances: run.rebalances || 0,
+    periods,
+    equityCurve,
+    periodReturns
+  };
+}
+
+/**
+ * Chain test-window returns into one out-of-sample equity curve
+ * @private
+ */
+function _stitch(returnSeries, periodsPerYear) {
+  const equityCurve = [1];
+  returnSeries.flat().forEach(r => equityCurve.push(equityCurve[equityCurve.length - 1] * (1 + r)));
+  return _metrics(equityCurve, { periodsPerYear });
+}
+
+/**
+ * Headline metrics plus the objective score
+ * @private
+ */
+function _summary(metrics, objective) {
+  const { equityCurve, periodReturns, ...headline } = metrics;
+  return { ...headline, score: scoreMetrics(metrics, objective) };
+}
+
+/**
+ * In-sample vs out-of-sample indicators across windows
+ * @private
+ */
+function _overfitting(results, space) {
+  const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  const efficiencies = results.map(result => result.efficiency).filter(value => value !== null);
+
+  // Spread of the chosen parameters as a share of each range
+  const parameterStability = {};
+  for (const [name, range] of Object.entries(space)) {
+    const values = results.map(result => result.parameters[name]);
+    const average = mean(values);
+    const spread = Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+    parameterStability[name] = range.max > range.min ? spread / (range.max - range.min) : 0;
+  }
+
+  return {
+    walkForwardEfficiency: mean(efficiencies),
+    degradation: mean(results.map(result => result.inSample.score - result.outOfSample.score)),
+    beatIncumbentRate: results.filter(result => result.outOfSample.score > result.incumbentOutOfSample.score).length / results.length,
+    profitableWindowRate: results.filter(result => result.outOfSample.totalReturn > 0).length / results.length,
+    parameterStability
+  };
+}
+
+/**
+ * @private
+ */
+function _sampleParameters(space, random) {
+  const parameters = {};
+  for (const [name, range] of Object.entries(space)) {
+    parameters[name] = range.min + random() * (range.max - range.min);
+  }
+  return parameters;
+}
+
+/**
+ * @private
+ */
+function _clampParameters(parameters, space) {
+  const clamped = {};
+  for (const [name, range] of Object.entries(space)) {
+    const value = parameters[name] !== undefined ? parameters[name] : (range.min + range.max) / 2;
+    clamped[name] = Math.min(range.max, Math.max(range.min, value));
+  }
+  return clamped;
+}
+
+module.exports = {
+  FUSION_PARAMETER_SPACE,
+  OBJECTIVES,
+  fusionDecision,
+  simulateFusionStrategy,
+  splitWalkForward,
+  searchParameters,
+  walkForwardOptimize,
+  compareOutOfSample,
+  scoreMetrics
+};
@@ -394,6 +394,7 @@ function generateRebalancingActions(currentAllocations, optimalAllocations, opti
  * @param {Array} historicalData - Array of historical market snapshots
  * @param {Object} options - Simulation options
  * @returns {Object} Simulation results
+ * @see ./backtester.js backtestAllocator for fee- and slippage-aware runs over recorded snapshots
  */
 async function simulatePerformance(initialCapital, historicalData, options = {}) {
   let capital = initialCapital;
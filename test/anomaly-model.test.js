@@ -0,0 +1,84 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { AnomalyModel, AnomalyModelRegistry, FEATURE_NAMES, buildTrainingSet, labelSamples } = require('../src/services/anomaly-model');
+const { TimeSeriesStore, MEASUREMENTS } = require('../src/services/timeseries-store');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2025, 6, 1, 0, 0, 0);
+
+// Two days of 5-minute harvests with two volatility/spread incidents
+function recordHistory(timeSeries) {
+  let seed = 7;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  const incidents = [
+    { from: T0 + 10 * HOUR, to: T0 + 10 * HOUR + 30 * MINUTE, description: 'ETF headline spike' },
+    { from: T0 + 30 * HOUR, to: T0 + 30 * HOUR + 20 * MINUTE, description: 'Book drained' }
+  ];
+
+  for (let t = T0; t < T0 + 48 * HOUR; t += 5 * MINUTE) {
+    const incident = incidents.some(window => t >= window.from && t <= window.to);
+    const vol = incident ? 0.9 + noise() * 0.05 : 0.3 + noise() * 0.05;
+    timeSeries.write(MEASUREMENTS.VOLATILITY, { shortTerm: vol, mediumTerm: vol * 0.9, longTerm: 0.25 }, { timestamp: t });
+    timeSeries.write(MEASUREMENTS.SENTIMENT, { overall: 0.6 + noise() * 0.1 }, { timestamp: t });
+    timeSeries.write(MEASUREMENTS.PRICE, { mid: 0.5, spread: incident ? 0.04 : 0.004 + noise() * 0.002 }, { tags: { pair: 'XRP/USD', source: 'orderbook' }, timestamp: t });
+    timeSeries.write(MEASUREMENTS.AMM_RESERVES, { base: 2000000, quote: 1000000, apy: 8 + noise() }, { tags: { pair: 'XRP/USD' }, timestamp: t });
+  }
+  return incidents;
+}
+
+describe('AnomalyModel', () => {
+  test('trains from recorded history, calibrates on incidents and explains its scores', () => {
+    const timeSeries = new TimeSeriesStore({ storageDir: null });
+    const incidents = recordHistory(timeSeries);
+
+    const samples = buildTrainingSet(timeSeries, { from: T0, to: T0 + 48 * HOUR - 1 });
+    expect(samples).toHaveLength(576);
+    expect(samples[0].features).toHaveLength(FEATURE_NAMES.length);
+    expect(samples[0].features[5]).toBeCloseTo(0.2, 6); // 2 x 1M quote reserve / 10M
+
+    const model = AnomalyModel.train(samples.map(sample => sample.features), { trees: 50, sampleSize: 128, seed: 3 });
+    const labelled = labelSamples(samples, incidents);
+    expect(labelled.filter(sample => sample.label)).toHaveLength(12);
+
+    const metrics = model.calibrate(labelled);
+    expect(metrics.recall).toBe(1);
+    expect(metrics.precision).toBeGreaterThan(0.9);
+    expect(model.evaluate(labelled)).toEqual(metrics);
+
+    const spike = samples.find(sample => sample.timestamp === incidents[1].from);
+    const explained = model.score(spike.features);
+    expect(explained.anomalous).toBe(true);
+    expect(explained.contributions.slice(0, 3).map(c => c.feature).sort()).toEqual(['mediumTermVol', 'shortTermVol', 'spread']);
+    expect(model.score(samples[0].features).anomalous).toBe(false);
+
+    // Same seed, same forest
+    const again = AnomalyModel.train(samples.map(sample => sample.features), { trees: 50, sampleSize: 128, seed: 3 });
+    expect(again.rawScore(spike.features)).toBe(model.rawScore(spike.features));
+  });
+
+  test('stores numbered versions and restores the current one', () => {
+    const registry = new AnomalyModelRegistry({ storageDir: fs.mkdtempSync(path.join(os.tmpdir(), 'anomaly-model-')) });
+    const vectors = Array.from({ length: 40 }, (_, i) => FEATURE_NAMES.map((name, f) => (i * (f + 1)) % 7));
+    const first = AnomalyModel.train(vectors, { trees: 10, seed: 1 });
+    const second = AnomalyModel.train(vectors, { trees: 10, seed: 2 });
+
+    expect(registry.load()).toBeNull();
+    expect(registry.save(first, { samples: 40 })).toBe(1);
+    expect(registry.save(second, { samples: 40, metrics: { precision: 1, recall: 0.5 } })).toBe(2);
+
+    const current = registry.load();
+    expect(current.version).toBe(2);
+    expect(current.metadata).toMatchObject({ samples: 40, metrics: { recall: 0.5 }, threshold: second.threshold });
+    expect(current.model.rawScore(vectors[3])).toBe(second.rawScore(vectors[3]));
+
+    registry.setCurrent(1);
+    expect(registry.load().model.rawScore(vectors[3])).toBe(first.rawScore(vectors[3]));
+    expect(registry.list().versions.map(entry => entry.version)).toEqual([1, 2]);
+    expect(() => registry.setCurrent(5)).toThrow(/Unknown anomaly model version 5/);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Historical Backtester Tests
+ *
+ * Tests the backtester's ability to:
+ * - Load JSONL and CSV snapshot files
+ * - Simulate partial fills against recorded order books
+ * - Backtest allocators and order optimizers with comparable metrics
+ * - Hold capital an allocator leaves unallocated as cash
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadSnapshots,
+  simulateOrderFill,
+  calculateAmmTradeCost,
+  backtestAllocator,
+  backtestOrderOptimizer,
+  compareStrategies
+} = require('../strategies/backtester');
+const { dynamicAllocate } = require('../strategies/yield-optimizer');
+
+function createSnapshot(timestamp, mid, apy = 0.365) {
+  return {
+    timestamp,
+    volatility: 0.3,
+    orderBook: {
+      mid,
+      bids: [{ price: mid - 0.01, amount: 100 }, { price: mid - 0.02, amount: 200 }],
+      asks: [{ price: mid + 0.01, amount: 100 }, { price: mid + 0.02, amount: 200 }]
+    },
+    pools: [
+      { name: 'XRP/RLUSD', apy, isStable: true, reserveQuote: 1000000, tradingFee: 0.003 },
+      { name: 'XRP/USD', apy: apy / 2, isStable: false, reserveQuote: 500000, tradingFee: 0.005 }
+    ]
+  };
+}
+
+describe('Historical Backtester', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtester-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Snapshot Loading', () => {
+    it('should load JSONL snapshots in timestamp order', async () => {
+      const filePath = path.join(tmpDir, 'books.jsonl');
+      fs.writeFileSync(filePath, [createSnapshot(2, 1.1), createSnapshot(1, 1.0)].map(s => JSON.stringify(s)).join('\n'));
+
+      const snapshots = await loadSnapshots(filePath);
+
+      expect(snapshots.map(s => s.timestamp)).toEqual([1, 2]);
+      expect(snapshots[0].orderBook.asks[0].price).toBe(1.01);
+    });
+
+    it('should group CSV rows into snapshots', async () => {
+      const filePath = path.join(tmpDir, 'books.csv');
+      fs.writeFileSync(filePath, [
+        'timestamp,market,kind,side,price,amount,reserve_base,reserve_quote,trading_fee,apy,is_stable,volatility,nasdaq_change,etf_sentiment,nasdaq_correlation',
+        '1,XRP/RLUSD,level,bid,0.49,100,,,,,,,,,',
+        '1,XRP/RLUSD,level,ask,0.51,100,,,,,,,,,',
+        '1,XRP/RLUSD,amm,,,,200000,100000,0.003,0.12,true,,,,',
+        '1,XRP/RLUSD,market,,,,,,,,,0.4,-0.2,0.6,0.7'
+      ].join('\n'));
+
+      const [snapshot] = await loadSnapshots(filePath);
+
+      expect(snapshot.orderBook.mid).toBeCloseTo(0.5);
+      expect(snapshot.pools[0]).toMatchObject({ name: 'XRP/RLUSD', reserveQuote: 100000, isStable: true });
+      expect(snapshot.volatility).toBe(0.4);
+      expect(snapshot.nasdaqChange).toBe(-0.2);
+    });
+
+    it('should reject unknown file formats', async () => {
+      await expect(loadSnapshots(path.join(tmpDir, 'books.txt'))).rejects.toThrow();
+    });
+  });
+
+  describe('Fill Simulation', () => {
+    it('should walk levels and partially fill when depth runs out', () => {
+      const book = createSnapshot(1, 1.0).orderBook;
+
+      const fill = simulateOrderFill(book, { side: 'buy', amount: 400 }, { feeRate: 0.001 });
+
+      expect(fill.filledAmount).toBe(300);
+      expect(fill.remainingAmount).toBe(100);
+      expect(fill.notional).toBeCloseTo(100 * 1.01 + 200 * 1.02);
+      expect(fill.fee).toBeCloseTo(fill.notional * 0.001);
+      expect(book.asks[0].amount).toBe(0);
+    });
+
+    it('should stop at the limit price', () => {
+      const book = createSnapshot(1, 1.0).orderBook;
+
+      const fill = simulateOrderFill(book, { side: 'sell', amount: 250, price: 0.99 });
+
+      expect(fill.filledAmount).toBe(100);
+      expect(fill.avgPrice).toBeCloseTo(0.99);
+    });
+
+    it('should charge AMM fee plus constant-product impact', () => {
+      const cost = calculateAmmTradeCost({ reserveQuote: 900, tradingFee: 0.01 }, 100);
+
+      expect(cost.fee).toBeCloseTo(1);
+      expect(cost.slippage).toBeCloseTo(10);
+    });
+  });
+
+  describe('Strategy Backtests', () => {
+    const snapshots = [1, 2, 3, 4].map(t => createSnapshot(t, 1 + t / 100));
+
+    it('should backtest an allocator with fees and turnover', async () => {
+      const result = await backtestAllocator(dynamicAllocate, snapshots, { initialCapital: 10000 });
+
+      expect(result.fees).toBeGreaterThan(0);
+      expect(result.turnover).toBeGreaterThan(0);
+      expect(result.equityCurve).toHaveLength(snapshots.length + 1);
+      expect(result.pnl).toBeCloseTo(result.finalCapital - 10000);
+    });
+
+    it('should keep unallocated capital as cash', async () => {
+      const halfInStable = async (capital, pools) => [{ pool: pools[0], amount: capital / 2 }];
+
+      const half = await backtestAllocator(halfInStable, snapshots, { initialCapital: 10000 });
+
+      // The first trade buys 5000 of the pool; the other 5000 stays in cash
+      expect(half.trades[0].amount).toBeCloseTo(5000);
+      expect(half.equityCurve[1]).toBeCloseTo(10000 - half.trades[0].cost);
+      expect(half.finalCapital).toBeGreaterThan(9900);
+    });
+
+    it('should scale allocations that exceed the capital down to it', async () => {
+      const doubleUp = async (capital, pools) => pools.map(pool => ({ pool, amount: capital }));
+
+      const result = await backtestAllocator(doubleUp, snapshots, { initialCapital: 10000 });
+      const [stable, volatile] = result.trades;
+
+      // 20000 requested; each pool gets half of the 10000 available and no cash is borrowed
+      expect(stable.amount).toBeCloseTo(5000);
+      expect(volatile.amount).toBeCloseTo(5000);
+      expect(result.equityCurve[1]).toBeCloseTo(10000 - stable.cost - volatile.cost);
+      expect(result.finalCapital).toBeGreaterThan(9900);
+      expect(result.finalCapital).toBeLessThan(10100);
+    });
+
+    it('should move everything to cash when the allocator allocates nothing', async () => {
+      const investOnce = async (capital, pools) => (capital === 10000 ? [{ pool: pools[0], amount: capital }] : []);
+
+      const result = await backtestAllocator(investOnce, snapshots, { initialCapital: 10000 });
+      const [buy, sell] = result.trades;
+
+      expect(result.trades).toHaveLength(2);
+      expect(sell.amount).toBeCloseTo(-(buy.amount - buy.cost) * (1 + 0.365 / 365), 6);
+      expect(Number.isFinite(result.finalCapital)).toBe(true);
+      expect(result.equityCurve.slice(2).every(value => value === result.finalCapital)).toBe(true);
+    });
+
+    it('should report the real execution rate of an order optimizer', async () => {
+      const crossingOptimizer = async (book) => [{ side: 'buy', price: book.mid + 0.015, amount: 150 }];
+
+      const result = await backtestOrderOptimizer(crossingOptimizer, snapshots, { orderLifetime: 0 });
+
+      // Only the first ask level (100 of 150) crosses the limit each snapshot
+      expect(result.executionRate).toBeCloseTo((100 / 150) * 100);
+      expect(result.inventory).toBe(400);
+    });
+
+    it('should rank strategies by PnL', async () => {
+      const allInStable = async (capital, pools) => [{ pool: pools[0], amount: capital }];
+      const allInVolatile = async (capital, pools) => [{ pool: pools[1], amount: capital }];
+
+      const ranking = await compareStrategies({
+        volatile: { fn: allInVolatile },
+        stable: { fn: allInStable }
+      }, snapshots);
+
+      expect(ranking.map(r => r.name)).toEqual(['stable', 'volatile']);
+    });
+  });
+});
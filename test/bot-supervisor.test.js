@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+const { FakeRippled } = require('../src/test/fake-rippled');
+const { BotSupervisor } = require('../src/services/bot-supervisor');
+const { WalletKeystore } = require('../src/services/wallet-keystore');
+
+jest.setTimeout(60000);
+
+const MASTER_KEY = 'bot-supervisor-test-master-key-0123456789';
+
+// Next event for a bot that satisfies the predicate
+function waitFor(supervisor, event, botId, predicate = () => true, timeout = 20000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      supervisor.removeListener(event, listener);
+      reject(new Error(`Timed out waiting for ${event} from ${botId}`));
+    }, timeout);
+    const listener = state => {
+      if (state.id !== botId || !predicate(state)) return;
+      clearTimeout(timer);
+      supervisor.removeListener(event, listener);
+      resolve(state);
+    };
+    supervisor.on(event, listener);
+  });
+}
+
+describe('BotSupervisor', () => {
+  let server;
+  let ledger;
+  let client;
+  let supervisor;
+  let submitterDir;
+
+  beforeEach(async () => {
+    submitterDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-submitter-'));
+    server = new FakeRippled({ closeDelay: 5 });
+    ledger = server.ledger;
+    client = new xrpl.Client(await server.start());
+    await client.connect();
+    supervisor = new BotSupervisor({
+      xrplUrl: server.url,
+      strategyModules: [require.resolve('../src/test/bot-test-strategies')],
+      env: { KEYSTORE_MASTER_KEY: MASTER_KEY, KEYSTORE_KEY_ID: 'test', KEYSTORE_PREVIOUS_KEYS: '', BOT_SUBMITTER_DIR: submitterDir }
+    });
+  });
+
+  afterEach(async () => {
+    await supervisor.stopAll();
+    if (client.isConnected()) await client.disconnect();
+    await server.stop();
+    fs.rmSync(submitterDir, { recursive: true, force: true });
+  });
+
+  test('runs a strategy in a worker against the wallet and follows lifecycle commands', async () => {
+    const bot = ledger.createWallet(1000);
+    const friend = ledger.createWallet(100);
+    const keystore = new WalletKeystore({ masterKey: MASTER_KEY, keyId: 'test' });
+    const walletRecord = WalletKeystore.serialize(keystore.encryptWallet(bot));
+
+    const started = waitFor(supervisor, 'heartbeat', 'b1', state => state.lastProposal !== null);
+    const state = supervisor.start({
+      id: 'b1',
+      strategy: 'fixed-split',
+      config: { intervalMs: 300, capital: 100, split: { rlusd: 0.6, amm: 0.6 }, payTo: friend.address }
+    }, { walletRecord, owner: 'user-1' });
+    expect(state).toMatchObject({ id: 'b1', owner: 'user-1', running: true, pid: expect.any(Number) });
+
+    // Proposal clamped to the offered capital; the payment was signed with the decrypted wallet
+    const beat = await started;
+    expect(beat.status).toBe('active');
+    expect(beat.lastProposal.allocations).toEqual({ rlusd: 50, amm: 50 });
+    expect(beat.lastProposal.clamped).toBe(true);
+    expect(beat.lastProposal.submitted).toEqual([{ hash: expect.any(String), result: 'tesSUCCESS' }]);
+    expect(Number(await client.getXrpBalance(friend.address))).toBeGreaterThanOrEqual(101);
+
+    // Each worker keeps its outcome records in a file of its own
+    expect(fs.readdirSync(submitterDir)).toEqual(['b1.ndjson']);
+
+    // Paused workers keep beating without running the strategy
+    const paused = await supervisor.pause('b1');
+    expect(paused.status).toBe('paused');
+    const lastRun = (await waitFor(supervisor, 'heartbeat', 'b1')).lastProposal.timestamp;
+    const idle = await waitFor(supervisor, 'heartbeat', 'b1');
+    expect(idle).toMatchObject({ status: 'paused', lastProposal: { timestamp: lastRun } });
+
+    // A new config rebuilds the strategy
+    await supervisor.configure('b1', { intervalMs: 300, capital: 100, split: { rlusd: 1 } });
+    await supervisor.resume('b1');
+    const reconfigured = await waitFor(supervisor, 'heartbeat', 'b1', beat => beat.lastProposal.timestamp > lastRun);
+    expect(reconfigured.lastProposal).toMatchObject({ allocations: { rlusd: 100 }, submitted: [] });
+
+    const stopped = await supervisor.stop('b1');
+    expect(stopped).toMatchObject({ status: 'stopped', running: false, pid: null });
+    await expect(supervisor.pause('b1')).rejects.toThrow(/not running/);
+  });
+
+  test('reflects strategy errors, failed starts and crashed workers', async () => {
+    // Tick errors are reported while the bot keeps running
+    supervisor.start({ id: 'b2', strategy: 'failing', config: { intervalMs: 200, capital: 100, message: 'no liquidity' } });
+    const failing = await waitFor(supervisor, 'heartbeat', 'b2', state => state.error !== null);
+    expect(failing).toMatchObject({ status: 'active', running: true, error: { message: 'no liquidity' } });
+
+    // A worker that dies without being stopped puts its bot in error
+    const crashed = waitFor(supervisor, 'status', 'b2', state => !state.running);
+    process.kill(failing.pid, 'SIGKILL');
+    expect(await crashed).toMatchObject({ status: 'error', error: { message: expect.stringMatching(/exited unexpectedly/) } });
+
+    // Unknown strategies fail the start and the worker exits
+    const failedStart = waitFor(supervisor, 'status', 'b3', state => state.status === 'error' && !state.running);
+    supervisor.start({ id: 'b3', strategy: 'does-not-exist' });
+    expect((await failedStart).error.message).toMatch(/Unknown strategy type/);
+
+    expect(() => supervisor.start({ id: 'b4' })).toThrow(/no strategy/);
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CircuitBreaker, CIRCUIT_STATES } = require('../core/circuit-breaker');
+const { NasdaqXrplFusionStrategy } = require('../strategies/nasdaq-xrpl-fusion');
+
+describe('CircuitBreaker', () => {
+  let tmpDir;
+  let statePath;
+
+  const createBreaker = (options = {}) => new CircuitBreaker({
+    statePath,
+    resetTimeout: 1000,
+    halfOpenSizeMultiplier: 0.5,
+    halfOpenSuccessThreshold: 2,
+    ...options
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-breaker-'));
+    statePath = path.join(tmpDir, 'state.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('opens on a breach and goes half-open at reduced size after the cooldown', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    const breaker = createBreaker();
+    await breaker.initialize();
+
+    breaker.updateMarketState({ volatility: 0.2 });
+    const tripped = await breaker.check();
+    expect(tripped.circuit).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.canTrade()).toBe(false);
+
+    breaker.updateMarketState({ volatility: 0.01 });
+    expect((await breaker.check()).circuit).toBe(CIRCUIT_STATES.OPEN);
+
+    now.mockReturnValue(11500);
+    const halfOpen = await breaker.check();
+    expect(halfOpen.circuit).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(halfOpen.sizeMultiplier).toBe(0.5);
+    expect(breaker.canTrade()).toBe(true);
+
+    expect((await breaker.check()).circuit).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.getSizeMultiplier()).toBe(1);
+  });
+
+  test('re-opens when a breach happens while half-open', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    const breaker = createBreaker();
+    await breaker.initialize();
+
+    breaker.updateMarketState({ drawdown: 0.3 });
+    await breaker.check();
+
+    now.mockReturnValue(11500);
+    breaker.updateMarketState({ drawdown: 0 });
+    await breaker.check();
+    expect(breaker.state.circuit).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    breaker.updateMarketState({ drawdown: 0.3 });
+    await breaker.check();
+    expect(breaker.state.circuit).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.state.lastTriggered).toBe(11500);
+  });
+
+  test('restores an open circuit from disk after a restart', async () => {
+    const first = createBreaker();
+    await first.initialize();
+    first.updateMarketState({ priceGap: 0.1 });
+    await first.check();
+
+    const restored = jest.fn();
+    const second = createBreaker();
+    second.on('restored', restored);
+    await second.initialize();
+
+    expect(second.state.circuit).toBe(CIRCUIT_STATES.OPEN);
+    expect(second.canTrade()).toBe(false);
+    expect(second.state.breachHistory).toHaveLength(1);
+    expect(restored).toHaveBeenCalled();
+  });
+
+  test('starts open when the state file is unreadable', async () => {
+    fs.writeFileSync(statePath, '{not json');
+    const persistError = jest.fn();
+    const breaker = createBreaker();
+    breaker.on('persist-error', persistError);
+    await breaker.initialize();
+
+    expect(breaker.canTrade()).toBe(false);
+    expect(persistError).toHaveBeenCalledWith(expect.objectContaining({ operation: 'load', statePath }));
+  });
+
+  test('keeps working when state cannot be read or written and nobody listens', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fs.writeFileSync(statePath, '{not json');
+    await expect(createBreaker().initialize()).resolves.toBe(true);
+
+    // A directory where the temporary state file goes makes every write fail
+    fs.rmSync(statePath);
+    fs.mkdirSync(`${statePath}.tmp`);
+    const breaker = createBreaker();
+    await breaker.initialize();
+    breaker.updateMarketState({ volatility: 0.2 });
+    expect((await breaker.check()).circuit).toBe(CIRCUIT_STATES.OPEN);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Failed to persist circuit breaker state/));
+  });
+
+  test('keeps state in memory unless given a state file', async () => {
+    const breaker = new CircuitBreaker();
+    expect(breaker.options.statePath).toBeNull();
+    await breaker.initialize();
+    breaker.updateMarketState({ volatility: 0.2 });
+    await breaker.check();
+
+    const next = new CircuitBreaker();
+    await next.initialize();
+    expect(next.state.circuit).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('runs custom evaluators alongside the built-in thresholds', async () => {
+    const breaker = createBreaker({
+      evaluators: {
+        spread: marketState => marketState.spread
+      },
+      thresholds: { spread: 0.02 }
+    });
+    breaker.registerEvaluator('oracleDown', marketState => ({ current: marketState.oracleAge, breached: marketState.oracleAge > 60 }));
+    await breaker.initialize();
+
+    breaker.updateMarketState({ volatility: 0.01, spread: 0.01, oracleAge: 5 });
+    const clean = await breaker.check();
+    expect(clean.breaches.spread).toEqual({ threshold: 0.02, current: 0.01, breached: false });
+    expect(clean.breaches.volatility.breached).toBe(false);
+    expect(clean.breachCount).toBe(0);
+
+    breaker.updateMarketState({ oracleAge: 120 });
+    const tripped = await breaker.check();
+    expect(tripped.breaches.oracleDown.breached).toBe(true);
+    expect(tripped.circuit).toBe(CIRCUIT_STATES.OPEN);
+  });
+
+  describe('gating the fusion strategy', () => {
+    const createClient = () => ({
+      increasePosition: jest.fn().mockResolvedValue({ ok: true }),
+      decreasePosition: jest.fn().mockResolvedValue({ ok: true })
+    });
+
+    const createStrategy = circuitBreaker => new NasdaqXrplFusionStrategy({
+      xrplClient: createClient(),
+      nasdaqClient: createClient(),
+      hyperAdaptive: {},
+      sentimentOracle: {},
+      riskManager: { assertAction: jest.fn(), recordExecution: jest.fn() },
+      circuitBreaker
+    });
+
+    test('defaults to a state file per strategy instance', () => {
+      const first = new NasdaqXrplFusionStrategy({ id: 'fusion-a', hyperAdaptive: {}, sentimentOracle: {}, riskManager: {} });
+      const second = new NasdaqXrplFusionStrategy({ hyperAdaptive: {}, sentimentOracle: {}, riskManager: {} });
+      const inMemory = new NasdaqXrplFusionStrategy({ circuitBreakerStatePath: null, hyperAdaptive: {}, sentimentOracle: {}, riskManager: {} });
+
+      const stateDir = path.join(__dirname, '../data/circuit-breaker');
+      expect(first.circuitBreaker.options.statePath).toBe(path.join(stateDir, 'fusion-a.json'));
+      expect(second.circuitBreaker.options.statePath).toBe(path.join(stateDir, 'nasdaq-xrpl-fusion.json'));
+      expect(inMemory.circuitBreaker.options.statePath).toBeNull();
+    });
+
+    test('does not trade while open and halves the move while half-open', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      const breaker = createBreaker();
+      await breaker.initialize();
+      breaker.updateMarketState({ volatility: 0.2 });
+      await breaker.check();
+
+      const strategy = createStrategy(breaker);
+      breaker.updateMarketState({ volatility: 0.01 });
+      const blocked = await strategy.executeRebalance({ nasdaq: 0.3, xrpl: 0.7 });
+      expect(blocked).toMatchObject({ success: false, reason: 'circuit-open', newAllocation: { nasdaq: 1, xrpl: 0 } });
+      expect(strategy.nasdaqClient.decreasePosition).not.toHaveBeenCalled();
+      expect(strategy.xrplClient.increasePosition).not.toHaveBeenCalled();
+      expect(strategy.riskManager.assertAction).not.toHaveBeenCalled();
+
+      now.mockReturnValue(11500);
+      const scaled = await strategy.executeRebalance({ nasdaq: 0.3, xrpl: 0.7 });
+      expect(breaker.state.circuit).toBe(CIRCUIT_STATES.HALF_OPEN);
+      expect(scaled).toMatchObject({ success: true, sizeMultiplier: 0.5 });
+      expect(scaled.newAllocation.nasdaq).toBeCloseTo(0.65);
+      expect(scaled.newAllocation.xrpl).toBeCloseTo(0.35);
+      expect(strategy.nasdaqClient.decreasePosition.mock.calls[0][0]).toBeCloseTo(0.35);
+      expect(strategy.xrplClient.increasePosition.mock.calls[0][0]).toBeCloseTo(0.35);
+      expect(strategy.riskManager.assertAction.mock.calls[0][0].legs[1].notional).toBeCloseTo(35000);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { createStorage } = require('../quantum-command-center/backend/storage');
+const { CommandCenterAuth, AuthError, PERMISSIONS } = require('../quantum-command-center/backend/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+describe('Command center auth', () => {
+  let storage;
+  let auth;
+  let user;
+
+  beforeEach(async () => {
+    storage = createStorage({ driver: 'memory' });
+    await storage.connect();
+    auth = new CommandCenterAuth({ secret: 'test-secret', storage });
+    user = await storage.users.create({
+      email: 'user@example.com',
+      password: 'hash',
+      wallet: 'ruser',
+      walletSeed: 'keystore:v1:seed',
+      isActive: true
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Run the authenticate middleware for a bearer token
+  async function authenticate(token) {
+    const req = { headers: { authorization: `Bearer ${token}` }, ip: '127.0.0.1' };
+    const res = createResponse();
+    const next = jest.fn();
+    await auth.authenticate(req, res, next);
+    return { req, res, next };
+  }
+
+  test('rotates refresh tokens and revokes the session when a used one is replayed', async () => {
+    const first = await auth.issueSession(user, {});
+    const second = await auth.refreshSession(first.refreshToken, {});
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect((await authenticate(second.accessToken)).req.auth).toMatchObject({ via: 'session', user: { email: 'user@example.com' } });
+
+    // The first token was consumed; replaying it ends the whole family
+    await expect(auth.refreshSession(first.refreshToken, {})).rejects.toThrow(new AuthError('Invalid refresh token'));
+    await expect(auth.refreshSession(second.refreshToken, {})).rejects.toThrow(AuthError);
+    await expect(auth.refreshSession('qcr_unknown', {})).rejects.toThrow(AuthError);
+
+    const actions = (await storage.audit.list()).map(entry => [entry.action, entry.outcome]);
+    expect(actions).toEqual([
+      ['session.reuse-detected', 'denied'],
+      ['session.reuse-detected', 'denied'],
+      ['session.refresh', 'success'],
+      ['session.create', 'success']
+    ]);
+  });
+
+  test('limits API tokens to a subset of their owner\'s permissions', async () => {
+    await expect(auth.createApiToken(user, { name: 'ci', scopes: [PERMISSIONS.RUN_COMMISSIONS] }, {}))
+      .rejects.toMatchObject({ status: 403, message: expect.stringMatching(/commissions:run/) });
+    await expect(auth.createApiToken(user, { name: 'ci', scopes: [] }, {})).rejects.toMatchObject({ status: 400 });
+
+    const { token, apiToken } = await auth.createApiToken(user, { name: 'ci', scopes: [PERMISSIONS.VIEW_BOTS, PERMISSIONS.PAUSE_BOTS] }, {});
+    expect(apiToken).not.toHaveProperty('tokenHash');
+    expect((await authenticate(token)).req.auth).toMatchObject({
+      via: 'api-token',
+      tokenId: apiToken.id,
+      permissions: [PERMISSIONS.VIEW_BOTS, PERMISSIONS.PAUSE_BOTS]
+    });
+
+    // Scopes the owner has since lost stop working
+    await storage.users.update(user._id, { role: 'viewer' });
+    expect((await authenticate(token)).req.auth.permissions).toEqual([PERMISSIONS.VIEW_BOTS]);
+  });
+
+  test('rejects expired and revoked API tokens', async () => {
+    jest.useFakeTimers({ now: new Date('2026-09-01T00:00:00Z') });
+    const expiring = await auth.createApiToken(user, { name: 'short', scopes: [PERMISSIONS.VIEW_BOTS], expiresInDays: 1 }, {});
+    const revoked = await auth.createApiToken(user, { name: 'revoked', scopes: [PERMISSIONS.VIEW_BOTS] }, {});
+
+    const other = await storage.users.create({ email: 'other@example.com', password: 'hash', wallet: 'rother', walletSeed: 'keystore:v1:seed', isActive: true });
+    expect(await auth.revokeApiToken(other, revoked.apiToken.id, {})).toBe(false);
+    expect(await auth.revokeApiToken(user, revoked.apiToken.id, {})).toBe(true);
+
+    const afterRevoke = await authenticate(revoked.token);
+    expect(afterRevoke.next).not.toHaveBeenCalled();
+    expect(afterRevoke.res).toMatchObject({ statusCode: 401, body: { error: 'Invalid or revoked API token' } });
+
+    expect((await authenticate(expiring.token)).next).toHaveBeenCalled();
+    jest.setSystemTime(Date.now() + DAY_MS + 1);
+    const afterExpiry = await authenticate(expiring.token);
+    expect(afterExpiry.next).not.toHaveBeenCalled();
+    expect(afterExpiry.res.statusCode).toBe(401);
+  });
+
+  test('denies missing permissions and records the denial', async () => {
+    const { token, apiToken } = await auth.createApiToken(user, { name: 'ci', scopes: [PERMISSIONS.VIEW_BOTS] }, {});
+    const { req } = await authenticate(token);
+    req.method = 'POST';
+    req.path = '/api/bots';
+
+    const res = createResponse();
+    const next = jest.fn();
+    await auth.requirePermission(PERMISSIONS.VIEW_BOTS, PERMISSIONS.MANAGE_BOTS)(req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res).toMatchObject({ statusCode: 403, body: { error: 'Missing permission: bots:manage' } });
+
+    const [denied] = await storage.audit.list({ outcome: 'denied' });
+    expect(denied).toMatchObject({
+      action: 'permission.denied',
+      actor: user._id,
+      via: 'api-token',
+      apiToken: apiToken.id,
+      ip: '127.0.0.1',
+      details: { method: 'POST', path: '/api/bots', missing: [PERMISSIONS.MANAGE_BOTS] }
+    });
+
+    await auth.requirePermission(PERMISSIONS.VIEW_BOTS)(req, createResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
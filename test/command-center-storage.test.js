@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../quantum-command-center/backend/storage');
+
+describe('Command center file storage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-center-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const userFields = (email, extra = {}) => ({ email, password: 'hash', wallet: `r${email}`, walletSeed: 'keystore:v1:seed', ...extra });
+
+  test('keeps users, invites and bots across restarts', async () => {
+    const storagePath = path.join(dir, 'command-center.json');
+    const storage = createStorage({ driver: 'file', path: storagePath });
+    await storage.connect();
+
+    const master = await storage.users.create(userFields('master@example.com', { role: 'master', isActive: true }));
+    expect(master).toMatchObject({ _id: expect.stringMatching(/^[0-9a-f]{24}$/), role: 'master', bots: [], referrals: [], totalCommissions: 0 });
+    await expect(storage.users.create(userFields('master@example.com'))).rejects.toThrow(/already exists/);
+
+    // Invites are pending users under their parent until claimed
+    const invited = await storage.invites.create({ ...userFields('admin@example.com'), role: 'admin', parent: master._id, inviteToken: 'invite-1' });
+    expect(await storage.users.findByEmail('admin@example.com', { active: true })).toBeNull();
+    expect((await storage.users.findMaster()).referrals).toEqual([invited._id]);
+    expect(await storage.invites.findPending('admin@example.com', 'wrong')).toBeNull();
+    const admin = await storage.invites.accept(invited._id, { password: 'new-hash', bots: [{ id: 'bot-1', name: 'Starter' }] });
+    expect(admin).toMatchObject({ isActive: true, inviteToken: null, password: 'new-hash', bots: [{ id: 'bot-1', status: 'active' }] });
+    expect(await storage.invites.findPending('admin@example.com', 'invite-1')).toBeNull();
+
+    // Bots are reached by id, optionally only within their owner's account
+    await storage.bots.add(admin._id, { id: 'bot-2', name: 'Worker', strategy: 'fixed-split', status: 'paused' });
+    await storage.bots.update('bot-2', { lastHeartbeat: new Date(1000), error: null });
+    expect(await storage.bots.find('bot-2', { ownerId: master._id })).toBeNull();
+    const { owner, bot } = await storage.bots.find('bot-2', { ownerId: admin._id });
+    expect(owner.email).toBe('admin@example.com');
+    expect(bot).toMatchObject({ name: 'Worker', status: 'paused', lastHeartbeat: new Date(1000) });
+
+    // Returned records are copies; only repository calls change stored data
+    bot.status = 'stopped';
+    expect((await storage.bots.find('bot-2')).bot.status).toBe('paused');
+
+    const reopened = createStorage({ driver: 'file', path: storagePath });
+    await reopened.connect();
+    expect((await reopened.users.list({ active: true })).map(u => u.email)).toEqual(['master@example.com', 'admin@example.com']);
+    expect((await reopened.bots.listRunnable()).map(({ owner, bot }) => [owner.email, bot.id])).toEqual([['admin@example.com', 'bot-2']]);
+    expect((await reopened.bots.find('bot-2')).bot.lastHeartbeat).toEqual(new Date(1000));
+  });
+
+  test('records commission lines once and credits completed payouts', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.connect();
+    const admin = await storage.users.create(userFields('admin@example.com', { isActive: true }));
+    const user = await storage.users.create(userFields('user@example.com', { parent: admin._id, isActive: true }));
+
+    const line = { payoutId: `2026-09:${admin._id}`, from: user._id, to: admin._id, level: '1', amount: 15, rate: 0.15, period: '2026-09' };
+    await storage.commissions.recordLine(line);
+    await storage.commissions.recordLine(line);
+
+    await storage.commissions.failPayout(line.payoutId, 'tecNO_DST_INSUF_XRP');
+    expect(await storage.commissions.paidTxHashes(admin._id)).toEqual([]);
+    expect(await storage.commissions.completePayout(line.payoutId, 'ABC123')).toBe(1);
+    expect(await storage.commissions.completePayout(line.payoutId, 'ABC123')).toBe(0);
+    expect(await storage.commissions.paidTxHashes(admin._id)).toEqual(['ABC123']);
+
+    await storage.users.creditCommissions(admin._id, 15);
+    expect(await storage.users.findById(admin._id)).toMatchObject({ totalCommissions: 15, monthlyCommissions: 15 });
+    await storage.users.resetMonthlyCommissions();
+    expect(await storage.users.findById(admin._id)).toMatchObject({ totalCommissions: 15, monthlyCommissions: 0 });
+  });
+
+  test('rotates refresh tokens, scopes API tokens and lists the audit trail', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.connect();
+    const now = new Date();
+    const later = new Date(now.getTime() + 60 * 1000);
+
+    // A refresh token is consumed once; revoking its family ends the session
+    await storage.refreshTokens.create({ user: 'u1', family: 'f1', tokenHash: 'h1', expiresAt: later });
+    await storage.refreshTokens.create({ user: 'u1', family: 'f1', tokenHash: 'h2', expiresAt: later });
+    expect(await storage.refreshTokens.consume('h1', now)).toMatchObject({ family: 'f1', usedAt: now });
+    expect(await storage.refreshTokens.consume('h1', now)).toBeNull();
+    await storage.refreshTokens.revokeFamily('f1', now);
+    expect(await storage.refreshTokens.consume('h2', now)).toBeNull();
+    expect(await storage.refreshTokens.consume('h3', now)).toBeNull();
+
+    // API tokens only work until they expire or are revoked by their owner
+    const token = await storage.apiTokens.create({ user: 'u1', name: 'ci', scopes: ['bots:view'], tokenHash: 't1', expiresAt: later });
+    expect(await storage.apiTokens.use('t1', now)).toMatchObject({ lastUsedAt: now });
+    expect(await storage.apiTokens.use('t1', new Date(later.getTime() + 1))).toBeNull();
+    expect(await storage.apiTokens.revoke(token._id, { userId: 'u2' })).toBeNull();
+    expect((await storage.apiTokens.revoke(token._id, { userId: 'u1' })).revokedAt.getTime()).toBeGreaterThan(0);
+    expect(await storage.apiTokens.use('t1', now)).toBeNull();
+    expect((await storage.apiTokens.listByUser('u1')).map(t => t.name)).toEqual(['ci']);
+
+    await storage.audit.record({ actor: 'u1', action: 'login.failed', outcome: 'denied' });
+    await storage.audit.record({ actor: 'u1', action: 'session.create' });
+    await storage.audit.record({ actor: 'u2', action: 'session.create' });
+    expect((await storage.audit.list({ actor: 'u1' })).map(e => e.action)).toEqual(['session.create', 'login.failed']);
+    expect(await storage.audit.list({ outcome: 'denied', limit: 5 })).toHaveLength(1);
+    expect(await storage.audit.list({ limit: 2 })).toHaveLength(2);
+  });
+
+  test('rejects unknown drivers', () => {
+    expect(() => createStorage({ driver: 'postgres' })).toThrow(/Unknown storage driver "postgres"/);
+  });
+});
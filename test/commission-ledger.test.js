@@ -0,0 +1,138 @@
+const xrpl = require('xrpl');
+const { FakeRippled } = require('../src/test/fake-rippled');
+const { CommissionLedger, PAYOUT_STATUS } = require('../src/services/commission-ledger');
+const { TransactionSubmitter } = require('../src/services/transaction-submitter');
+const { WalletKeystore } = require('../src/services/wallet-keystore');
+
+jest.setTimeout(60000);
+
+describe('CommissionLedger', () => {
+  let server;
+  let ledger;
+  let client;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    server = new FakeRippled({ closeDelay: 5 });
+    ledger = server.ledger;
+    client = new xrpl.Client(await server.start());
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client.isConnected()) await client.disconnect();
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  // Master M refers admins A and B; A refers U and V, B refers W
+  function referralTree(wallets) {
+    return {
+      M: { parent: null, wallet: wallets.M.address },
+      A: { parent: 'M', wallet: wallets.A.address },
+      B: { parent: 'M', wallet: wallets.B.address },
+      U: { parent: 'A', wallet: null },
+      V: { parent: 'A', wallet: null },
+      W: { parent: 'B', wallet: null }
+    };
+  }
+
+  function createLedger(master, options = {}) {
+    const keystore = new WalletKeystore({ masterKey: 'commission-ledger-test-master-key-0123', keyId: 'test' });
+    return new CommissionLedger({
+      rates: [0.15, 0.05],
+      overrideRate: 0.05,
+      storagePath: null,
+      client,
+      submitter: new TransactionSubmitter({ client, storagePath: null, pollInterval: 20 }),
+      keystore,
+      payer: keystore.encryptWallet(master),
+      ...options
+    });
+  }
+
+  test('settles multi-level rates per period without crediting twice', () => {
+    const wallets = { M: xrpl.Wallet.generate(), A: xrpl.Wallet.generate(), B: xrpl.Wallet.generate() };
+    const commissions = createLedger(wallets.M);
+    const users = referralTree(wallets);
+    const earnings = [{ userId: 'U', cumulative: 100 }, { userId: 'V', cumulative: 40 }, { userId: 'W', cumulative: 20 }];
+
+    const { settlement, created } = commissions.settlePeriod('2026-09', { earnings, users, overrideUserId: 'M' });
+    expect(created).toBe(true);
+    expect(settlement.lines.filter(line => line.sourceUserId === 'U')).toEqual([
+      { sourceUserId: 'U', beneficiary: 'A', level: 1, base: 100, rate: 0.15, amount: 15 },
+      { sourceUserId: 'U', beneficiary: 'M', level: 2, base: 100, rate: 0.05, amount: 5 },
+      { sourceUserId: 'U', beneficiary: 'M', level: 'override', base: 100, rate: 0.05, amount: 5 }
+    ]);
+    expect(commissions.getPayouts().map(({ id, amount, destination }) => ({ id, amount, destination }))).toEqual([
+      { id: '2026-09:A', amount: 21, destination: wallets.A.address },
+      { id: '2026-09:B', amount: 3, destination: wallets.B.address },
+      { id: '2026-09:M', amount: 16, destination: wallets.M.address }
+    ]);
+
+    // Re-running the period, even with new totals, returns the same settlement
+    const rerun = commissions.settlePeriod('2026-09', { earnings: [{ userId: 'U', cumulative: 500 }], users, overrideUserId: 'M' });
+    expect(rerun).toEqual({ settlement, created: false });
+    expect(commissions.getPayouts({ beneficiary: 'A' })[0].amount).toBe(21);
+
+    // The next period only settles earnings above what was already settled
+    const next = commissions.settlePeriod('2026-10', {
+      earnings: [{ userId: 'U', cumulative: 150 }, { userId: 'V', cumulative: 40 }],
+      users,
+      overrideUserId: 'M'
+    }).settlement;
+    expect(next.sources).toEqual([{ userId: 'U', cumulative: 150, base: 50 }]);
+    expect(commissions.getPayouts({ period: '2026-10', beneficiary: 'A' })[0].amount).toBe(7.5);
+
+    expect(() => commissions.settlePeriod('2026-08', { earnings, users })).toThrow(/before the last settled period/);
+    expect(() => commissions.settlePeriod('2026-13', { earnings, users })).toThrow(/Invalid commission period/);
+  });
+
+  test('pays payouts on-chain and retries failed ones', async () => {
+    const master = ledger.createWallet(1000);
+    const admin = xrpl.Wallet.generate(); // Created by its 21 XRP payout
+    const unfunded = xrpl.Wallet.generate(); // 3 XRP is below the reserve, so its payout fails
+    const commissions = createLedger(master, { maxAttempts: 2 });
+    const failures = [];
+    commissions.on('payout-failed', payout => failures.push(payout.id));
+
+    commissions.settlePeriod('2026-09', {
+      earnings: [{ userId: 'U', cumulative: 100 }, { userId: 'V', cumulative: 40 }, { userId: 'W', cumulative: 20 }],
+      users: referralTree({ M: master, A: admin, B: unfunded }),
+      overrideUserId: 'M'
+    });
+
+    const run = await commissions.payOutstanding({ period: '2026-09' });
+    expect(run).toMatchObject({ paid: 1, failed: 1, outstanding: 0 });
+    const [paid, failed, retained] = commissions.getPayouts();
+    expect(paid).toMatchObject({ beneficiary: 'A', status: PAYOUT_STATUS.PAID, attempts: 1, txHash: expect.any(String) });
+    expect(failed).toMatchObject({ beneficiary: 'B', status: PAYOUT_STATUS.FAILED, lastError: { code: 'tecNO_DST_INSUF_XRP' } });
+    expect(retained.status).toBe(PAYOUT_STATUS.RETAINED);
+    expect(Number(await client.getXrpBalance(admin.address))).toBe(21);
+
+    // The payment carries the commission memo the statement exporter classifies
+    const tx = (await client.request({ command: 'tx', transaction: paid.txHash })).result;
+    expect(xrpl.convertHexToString(tx.Memos[0].Memo.MemoType)).toBe('commission');
+    expect(xrpl.convertHexToString(tx.Memos[0].Memo.MemoData)).toBe('2026-09:A');
+
+    // Paid payouts are never sent again; failed ones retry up to maxAttempts
+    expect(await commissions.payOutstanding()).toMatchObject({ paid: 0, failed: 1 });
+    expect(await commissions.payOutstanding()).toMatchObject({ paid: 0, failed: 0, payouts: [] });
+    expect(commissions.getReport({ period: '2026-09' })).toMatchObject({
+      settled: true,
+      totals: { accrued: 40, paid: 21, failed: 3, retained: 16 },
+      counts: { paid: 1, failed: 1, retained: 1 },
+      failures: [{ id: '2026-09:B', attempts: 2, retryable: false, lastError: { code: 'tecNO_DST_INSUF_XRP' } }]
+    });
+
+    // Once the destination can receive it, a manual retry pays it
+    ledger.fund(unfunded.address, 20);
+    const retried = await commissions.retryPayout('2026-09:B');
+    expect(retried).toMatchObject({ status: PAYOUT_STATUS.PAID, attempts: 3, lastError: null });
+    expect(Number(await client.getXrpBalance(unfunded.address))).toBe(23);
+    expect(failures).toEqual(['2026-09:B', '2026-09:B']);
+    expect(commissions.getReport().failures).toEqual([]);
+    await expect(commissions.retryPayout('2026-09:A')).rejects.toThrow(/only failed payouts/);
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DAOGovernor, TIE_BREAK_RULES } = require('../src/dao/dao-governor');
+
+const DAO = 'rDAOAddressXXXXXXXXXXXXXXXXXXXXXXX';
+
+describe('DAOGovernor.tallyVotes rules', () => {
+  let tmpDir;
+
+  const createGovernor = (governanceRules, proposalOverrides = {}) => {
+    const governor = new DAOGovernor({ daoAddress: DAO, storageDir: tmpDir, governanceRules });
+    governor.activeProposals.set('prop-1', {
+      id: 'prop-1',
+      title: 'Rotate fee tier',
+      options: ['keep', 'raise', 'lower'],
+      ecoOptions: [false, false, false],
+      createdAt: Date.now(),
+      expiresAt: Date.now() + 86400000,
+      votes: { keep: 0, raise: 0, lower: 0 },
+      voters: {},
+      ...proposalOverrides
+    });
+    return governor;
+  };
+
+  const vote = (governor, voter, option, stake, timestamp = Date.now()) => {
+    const proposal = governor.activeProposals.get('prop-1');
+    proposal.votes[option] += stake;
+    proposal.voters[voter] = { option, stake, boostedStake: stake, ecoBoost: 1, timestamp };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dao-tally-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('keeps plurality voting with the default rules', async () => {
+    const governor = createGovernor();
+    vote(governor, 'rA', 'raise', 30);
+    vote(governor, 'rB', 'lower', 25);
+    vote(governor, 'rC', 'keep', 20);
+
+    const tally = await governor.tallyVotes('prop-1');
+    expect(tally.status).toBe('passed');
+    expect(tally.winningOption).toBe('raise');
+  });
+
+  test('tallies proposals created without rule overrides', async () => {
+    const governor = createGovernor(undefined, { rules: null });
+    vote(governor, 'rA', 'keep', 10);
+
+    const tally = await governor.tallyVotes('prop-1');
+    expect(tally.status).toBe('passed');
+    expect(tally.winningOption).toBe('keep');
+  });
+
+  test('enforces quorum on raw stake and unique voters', async () => {
+    const governor = createGovernor({ quorum: { minRawStake: 100, minVoters: 3 } });
+    vote(governor, 'rA', 'raise', 80);
+    vote(governor, 'rB', 'raise', 40);
+
+    const tally = await governor.tallyVotes('prop-1');
+    expect(tally.status).toBe('quorum-not-reached');
+    expect(tally.winningOption).toBeNull();
+    expect(tally.leadingOption).toBe('raise');
+    expect(tally.quorum).toMatchObject({ rawStake: 120, voters: 2, reached: false });
+  });
+
+  test('applies the supermajority threshold for the proposal type', async () => {
+    const governor = createGovernor({}, { type: 'treasury' });
+    vote(governor, 'rA', 'raise', 60);
+    vote(governor, 'rB', 'keep', 40);
+
+    const tally = await governor.tallyVotes('prop-1');
+    expect(tally.threshold.required).toBeCloseTo(0.6667);
+    expect(tally.status).toBe('threshold-not-met');
+
+    vote(governor, 'rC', 'raise', 50);
+    expect((await governor.tallyVotes('prop-1')).winningOption).toBe('raise');
+  });
+
+  test('resolves ties with the configured rule', async () => {
+    const governor = createGovernor({ tieBreak: TIE_BREAK_RULES.NO_WINNER });
+    vote(governor, 'rA', 'lower', 50, 1000);
+    vote(governor, 'rB', 'raise', 50, 2000);
+
+    expect((await governor.tallyVotes('prop-1')).status).toBe('tied');
+
+    governor.governanceRules.tieBreak = TIE_BREAK_RULES.EARLIEST_VOTE;
+    expect((await governor.tallyVotes('prop-1')).winningOption).toBe('lower');
+
+    governor.governanceRules.tieBreak = TIE_BREAK_RULES.FIRST_OPTION;
+    expect((await governor.tallyVotes('prop-1')).winningOption).toBe('raise');
+  });
+
+  test('counts delegated stake on the delegate option unless the delegator votes', async () => {
+    const governor = createGovernor({ quorum: { minVoters: 3 } });
+    vote(governor, 'rA', 'raise', 30);
+    vote(governor, 'rB', 'lower', 40);
+    governor._recordDelegation('rC', 'rA', 25);
+    governor._recordDelegation('rD', 'rB', 100, 'prop-other');
+
+    let tally = await governor.tallyVotes('prop-1');
+    expect(tally.votes.raise).toBe(55);
+    expect(tally.delegatedVotes).toHaveLength(1);
+    expect(tally.quorum.voters).toBe(3);
+    expect(tally.winningOption).toBe('raise');
+
+    vote(governor, 'rC', 'lower', 20);
+    tally = await governor.tallyVotes('prop-1');
+    expect(tally.delegatedVotes).toHaveLength(0);
+    expect(tally.winningOption).toBe('lower');
+
+    const reloaded = new DAOGovernor({ daoAddress: DAO, storageDir: tmpDir });
+    expect(reloaded.delegations.get('rC').delegate).toBe('rA');
+  });
+
+  test('limits all-proposal delegations to proposals opened before they expire', async () => {
+    const now = Date.now();
+    const governor = createGovernor({}, { createdAt: now + 120000, expiresAt: now + 86400000 });
+    governor.delegationDuration = 60;
+    vote(governor, 'rA', 'raise', 30);
+    vote(governor, 'rB', 'lower', 40);
+    governor._recordDelegation('rC', 'rA', 25);
+    expect(governor.delegations.get('rC').expiresAt).toBe(governor.delegations.get('rC').createdAt + 60000);
+
+    // The delegation expired before this proposal opened
+    expect((await governor.tallyVotes('prop-1')).delegatedVotes).toHaveLength(0);
+
+    governor._recordDelegation('rC', 'rA', 25, '*', now + 180000);
+    expect((await governor.tallyVotes('prop-1')).votes.raise).toBe(55);
+
+    expect(governor.revokeDelegation('rC')).toBe(true);
+    expect(governor.revokeDelegation('rC')).toBe(false);
+    expect((await governor.tallyVotes('prop-1')).delegatedVotes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DAOGovernor, PROPOSAL_STATES } = require('../src/dao/dao-governor');
+const { YieldOptimizer } = require('../src/optimizer/yield-optimizer');
+
+const DAO = 'rDAOAddressXXXXXXXXXXXXXXXXXXXXXXX';
+
+describe('DAOGovernor proposal lifecycle', () => {
+  let tmpDir;
+  let governor;
+
+  const addProposal = (id, overrides = {}) => {
+    const now = Date.now();
+    const proposal = {
+      id,
+      title: 'Yield parameters',
+      options: ['Balanced Approach', 'High RLUSD Allocation'],
+      ecoOptions: [false, false],
+      createdAt: now,
+      startsAt: now,
+      expiresAt: now + 1000,
+      duration: 1000,
+      state: PROPOSAL_STATES.ACTIVE,
+      history: [],
+      votes: { 'Balanced Approach': 0, 'High RLUSD Allocation': 0 },
+      voters: {},
+      metadata: { category: 'yield-optimization' },
+      ...overrides
+    };
+    governor.activeProposals.set(id, proposal);
+    return proposal;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dao-lifecycle-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    governor = new DAOGovernor({ daoAddress: DAO, storageDir: tmpDir, timelock: 60 });
+  });
+
+  afterEach(() => {
+    governor.stopScheduler();
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('closes, queues and executes a passed proposal after the timelock', async () => {
+    const optimizer = new YieldOptimizer({ daoGovernor: governor });
+    const proposal = addProposal('prop-pass');
+    await governor._recordVote('prop-pass', 'High RLUSD Allocation', 'rVoter', 50);
+
+    const closeAt = proposal.expiresAt + 1;
+    const transitions = await governor.processProposals(closeAt);
+    expect(transitions).toEqual([{ proposalId: 'prop-pass', from: 'active', to: 'queued' }]);
+    expect(proposal.eta).toBe(closeAt + 60000);
+    expect(await optimizer._getGovernanceParameters()).toEqual({});
+
+    await expect(governor.executeProposal('prop-pass', closeAt)).rejects.toThrow('timelocked');
+
+    await governor.processProposals(proposal.eta);
+    expect(proposal.state).toBe(PROPOSAL_STATES.EXECUTED);
+    expect(proposal.history.map(h => h.state)).toEqual(['succeeded', 'queued', 'executed']);
+    expect(await optimizer._getGovernanceParameters()).toEqual({
+      highVolThreshold: 0.4,
+      rlusdHighVolAllocation: 0.9,
+      ecoBoostMultiplier: 1.15
+    });
+
+    // After a restart the executed proposal in proposals.json still applies
+    const restarted = new YieldOptimizer({ daoGovernor: new DAOGovernor({ daoAddress: DAO, storageDir: tmpDir }) });
+    expect(await restarted._getGovernanceParameters()).toEqual(await optimizer._getGovernanceParameters());
+    expect(restarted.governanceParameters).toMatchObject({ proposalId: 'prop-pass', option: 'High RLUSD Allocation' });
+  });
+
+  test('defeats proposals that miss quorum and never executes them', async () => {
+    const hook = jest.fn();
+    governor.registerExecutionHook('*', hook);
+    const proposal = addProposal('prop-fail', { rules: { quorum: { minVoters: 2 } } });
+    await governor._recordVote('prop-fail', 'Balanced Approach', 'rVoter', 50);
+
+    await governor.processProposals(proposal.expiresAt + 1);
+    expect(proposal.state).toBe(PROPOSAL_STATES.DEFEATED);
+    expect(proposal.result.status).toBe('quorum-not-reached');
+
+    await governor.processProposals(proposal.expiresAt + 10 * 60000);
+    expect(hook).not.toHaveBeenCalled();
+  });
+
+  test('keeps a proposal queued when a hook fails and retries on the next run', async () => {
+    const hook = jest.fn()
+      .mockRejectedValueOnce(new Error('node unavailable'))
+      .mockResolvedValueOnce({ ok: true });
+    governor.registerExecutionHook('yield-optimization', hook);
+    const proposal = addProposal('prop-retry');
+    await governor._recordVote('prop-retry', 'Balanced Approach', 'rVoter', 50);
+
+    await governor.processProposals(proposal.expiresAt + 1);
+    await governor.processProposals(proposal.eta);
+    expect(proposal.state).toBe(PROPOSAL_STATES.QUEUED);
+    expect(proposal.lastExecutionError.message).toBe('node unavailable');
+
+    await governor.processProposals(proposal.eta + 1);
+    expect(proposal.state).toBe(PROPOSAL_STATES.EXECUTED);
+    expect(proposal.executionResults).toEqual([{ ok: true }]);
+  });
+
+  test('rejects votes outside the active state and invalid transitions', async () => {
+    addProposal('prop-draft', { state: PROPOSAL_STATES.DRAFT });
+    await expect(governor._recordVote('prop-draft', 'Balanced Approach', 'rVoter', 50))
+      .rejects.toThrow('not open for voting');
+
+    const activated = governor.activateProposal('prop-draft');
+    expect(activated.state).toBe(PROPOSAL_STATES.ACTIVE);
+    await governor._recordVote('prop-draft', 'Balanced Approach', 'rVoter', 50);
+
+    governor.cancelProposal('prop-draft', 'superseded');
+    expect(() => governor.activateProposal('prop-draft')).toThrow('cannot move from cancelled');
+
+    const reloaded = new DAOGovernor({ daoAddress: DAO, storageDir: tmpDir });
+    expect(reloaded.activeProposals.get('prop-draft').state).toBe(PROPOSAL_STATES.CANCELLED);
+  });
+});
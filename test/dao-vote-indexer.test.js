@@ -0,0 +1,231 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+const { DAOVoteIndexer } = require('../src/dao/dao-vote-indexer');
+const { DAOGovernor } = require('../src/dao/dao-governor');
+
+const DAO = 'rDAOAddressXXXXXXXXXXXXXXXXXXXXXXX';
+const START = Date.UTC(2025, 0, 1);
+
+const votePayment = ({ hash, ledger, voter, memo, drops, offsetSec = 60, result = 'tesSUCCESS', delivered }) => ({
+  validated: true,
+  meta: {
+    TransactionResult: result,
+    TransactionIndex: 0,
+    ...(delivered ? { delivered_amount: delivered } : {})
+  },
+  tx: {
+    hash,
+    ledger_index: ledger,
+    date: xrpl.unixTimeToRippleTime(START + offsetSec * 1000),
+    TransactionType: 'Payment',
+    Account: voter,
+    Destination: DAO,
+    Amount: drops,
+    Memos: [{
+      Memo: {
+        MemoData: xrpl.convertStringToHex(memo),
+        MemoType: xrpl.convertStringToHex('dao/vote')
+      }
+    }]
+  }
+});
+
+const delegatePayment = options => {
+  const entry = votePayment(options);
+  entry.tx.Memos[0].Memo.MemoType = xrpl.convertStringToHex('dao/delegate');
+  return entry;
+};
+
+/**
+ * Serve account_tx pages of two transactions and a fixed complete_ledgers range
+ */
+const createClient = (transactions, completeLedgers = '100-500') => ({
+  request: jest.fn(async request => {
+    if (request.command === 'server_info') {
+      return { result: { info: { complete_ledgers: completeLedgers } } };
+    }
+
+    const offset = request.marker || 0;
+    const inRange = transactions.filter(t => t.tx.ledger_index >= Math.max(request.ledger_index_min, 100));
+    const page = inRange.slice(offset, offset + 2);
+    return {
+      result: {
+        ledger_index_min: Math.max(request.ledger_index_min, 100),
+        ledger_index_max: 500,
+        transactions: page,
+        marker: offset + 2 < inRange.length ? offset + 2 : undefined
+      }
+    };
+  })
+});
+
+const proposal = {
+  id: 'prop-1',
+  title: 'Fee tier',
+  options: ['eco focus', 'high vol'],
+  ecoOptions: [true, false],
+  createdAt: START,
+  expiresAt: START + 86400000,
+  votes: { 'eco focus': 0, 'high vol': 0 },
+  voters: {}
+};
+
+describe('DAOVoteIndexer', () => {
+  let tmpDir;
+  let transactions;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dao-indexer-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    transactions = [
+      votePayment({ hash: 'A', ledger: 120, voter: 'rAlice', memo: 'prop-1:high vol', drops: '30000000' }),
+      votePayment({ hash: 'B', ledger: 130, voter: 'rBob', memo: 'prop-1:eco focus', drops: '50000000' }),
+      votePayment({ hash: 'C', ledger: 140, voter: 'rAlice', memo: 'prop-1:eco focus', drops: '40000000' }),
+      votePayment({ hash: 'D', ledger: 150, voter: 'rCarol', memo: 'prop-1:high vol', drops: '5000000' }),
+      votePayment({ hash: 'E', ledger: 160, voter: 'rDan', memo: 'prop-2:yes', drops: '25000000' }),
+      votePayment({ hash: 'F', ledger: 170, voter: 'rErin', memo: 'prop-1:high vol', drops: '90000000', delivered: '21000000' })
+    ];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('pages through account_tx and rebuilds raw tallies in ledger order', async () => {
+    const client = createClient(transactions);
+    const indexer = new DAOVoteIndexer({ client, daoAddress: DAO, storageDir: tmpDir });
+
+    const sync = await indexer.sync({ fromLedger: 100 });
+    expect(sync.pages).toBe(3);
+    expect(sync.newVotes).toBe(6);
+
+    const { tallies, orphanVotes } = indexer.buildTallies([proposal]);
+    const tally = tallies['prop-1'];
+
+    // Alice's later vote replaces her first one; Carol is below min stake; Erin only delivered 21 XRP
+    expect(tally.votes).toEqual({ 'eco focus': 90, 'high vol': 21 });
+    expect(tally.voteCount).toBe(3);
+    expect(tally.rejectedVotes.map(v => v.reason)).toEqual(['below-min-stake']);
+    expect(orphanVotes.map(v => v.hash)).toEqual(['E']);
+  });
+
+  test('continues incrementally and persists the index across restarts', async () => {
+    const client = createClient(transactions.slice(0, 2));
+    const first = new DAOVoteIndexer({ client, daoAddress: DAO, storageDir: tmpDir });
+    await first.sync({ fromLedger: 100 });
+
+    const second = new DAOVoteIndexer({ client: createClient(transactions), daoAddress: DAO, storageDir: tmpDir });
+    expect(second.index.votes).toHaveLength(2);
+
+    const sync = await second.sync();
+    expect(second.client.request.mock.calls[0][0].ledger_index_min).toBe(501);
+    expect(sync.newVotes).toBe(0);
+
+    await second.sync({ fromLedger: 100 });
+    expect(second.index.votes).toHaveLength(6);
+  });
+
+  test('detects gaps in server history and unavailable ranges', async () => {
+    const client = createClient(transactions, '100-200,250-500');
+    const indexer = new DAOVoteIndexer({ client, daoAddress: DAO, storageDir: tmpDir });
+
+    const sync = await indexer.sync({ fromLedger: 50 });
+
+    expect(sync.gaps).toEqual([
+      { start: 50, end: 99, reason: 'server-range' },
+      { start: 201, end: 249, reason: 'server-history' }
+    ]);
+    expect(indexer.reconcile([proposal]).consistent).toBe(false);
+  });
+
+  test('reconciles proposals.json against the ledger through DAOGovernor', async () => {
+    const client = createClient(transactions);
+    fs.writeFileSync(path.join(tmpDir, 'proposals.json'), JSON.stringify([{
+      ...proposal,
+      votes: { 'eco focus': 50, 'high vol': 100 },
+      voters: {
+        rBob: { option: 'eco focus', stake: 50, boostedStake: 50 * 1.5, ecoBoost: 1.5 },
+        rGhost: { option: 'high vol', stake: 100, boostedStake: 100, ecoBoost: 1 }
+      }
+    }]));
+
+    const governor = new DAOGovernor({ client, daoAddress: DAO, storageDir: tmpDir, ecoBoostMultiplier: 2 });
+    const report = await governor.rebuildTalliesFromLedger({ fromLedger: 100 });
+
+    const diff = report.proposals['prop-1'];
+    expect(diff.missingInStore.map(v => v.voter).sort()).toEqual(['rAlice', 'rErin']);
+    expect(diff.missingOnLedger.map(v => v.voter)).toEqual(['rGhost']);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'proposals.json'), 'utf8'))[0];
+    expect(Object.keys(stored.voters).sort()).toEqual(['rAlice', 'rBob', 'rErin']);
+    expect(stored.voters.rBob.ecoBoost).toBe(1.5);
+    expect(stored.votes).toEqual({ 'eco focus': 50 * 1.5 + 40 * 2, 'high vol': 21 });
+
+    const again = await governor.rebuildTalliesFromLedger();
+    expect(again.proposals['prop-1'].consistent).toBe(true);
+  });
+
+  test('keeps store votes when a history gap overlaps the voting window', async () => {
+    // Alice's switch to "eco focus" (ledger 140) is in a ledger range the server lost
+    const client = createClient(transactions.filter(t => t.tx.hash !== 'C'), '100-135,146-500');
+    const storedVoters = {
+      rAlice: { option: 'eco focus', stake: 40, boostedStake: 80, ecoBoost: 2 },
+      rGhost: { option: 'high vol', stake: 100, boostedStake: 100, ecoBoost: 1 }
+    };
+    fs.writeFileSync(path.join(tmpDir, 'proposals.json'), JSON.stringify([{ ...proposal, voters: storedVoters }]));
+
+    const governor = new DAOGovernor({ client, daoAddress: DAO, storageDir: tmpDir, ecoBoostMultiplier: 2 });
+    const report = await governor.rebuildTalliesFromLedger({ fromLedger: 100 });
+
+    const diff = report.proposals['prop-1'];
+    expect(diff.gaps).toEqual([{ start: 136, end: 145, reason: 'server-history' }]);
+    expect(diff.mismatched.map(v => v.voter)).toEqual(['rAlice']);
+    expect(diff.missingOnLedger.map(v => v.voter)).toEqual(['rGhost']);
+
+    // Votes missing from the store are added; nothing the store has is dropped or overwritten
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'proposals.json'), 'utf8'))[0];
+    expect(Object.keys(stored.voters).sort()).toEqual(['rAlice', 'rBob', 'rErin', 'rGhost']);
+    expect(stored.voters.rAlice).toEqual(storedVoters.rAlice);
+    expect(stored.voters.rGhost).toEqual(storedVoters.rGhost);
+    expect(stored.votes).toEqual({ 'eco focus': 80 + 50 * 2, 'high vol': 100 + 21 });
+  });
+
+  test('indexes delegation memos and restores delegations missing from the store', async () => {
+    const DELEGATE = 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B';
+    transactions.push(
+      votePayment({ hash: 'G', ledger: 180, voter: DELEGATE, memo: 'prop-1:high vol', drops: '20000000' }),
+      delegatePayment({ hash: 'H', ledger: 190, voter: 'rFay', memo: `prop-1:${DELEGATE}:${proposal.expiresAt}`, drops: '30000000' }),
+      delegatePayment({ hash: 'I', ledger: 200, voter: 'rGus', memo: `*:${DELEGATE}`, drops: '25000000' }),
+      delegatePayment({ hash: 'J', ledger: 210, voter: 'rHal', memo: `*:${DELEGATE}:${START + 86400000}`, drops: '40000000' }),
+      delegatePayment({ hash: 'K', ledger: 220, voter: 'rIvy', memo: `*:${DELEGATE}:${START + 86400000}`, drops: '5000000' })
+    );
+    fs.writeFileSync(path.join(tmpDir, 'proposals.json'), JSON.stringify([proposal]));
+    // Hal revoked the delegation after making it
+    fs.writeFileSync(path.join(tmpDir, 'delegations.json'), JSON.stringify([{
+      delegator: 'rHal', delegate: DELEGATE, stake: 40, proposalId: '*', createdAt: START + 60000, expiresAt: START + 86400000, revokedAt: START + 3600000
+    }]));
+
+    const governor = new DAOGovernor({ client: createClient(transactions), daoAddress: DAO, storageDir: tmpDir, delegationDuration: 3600 });
+    const report = await governor.rebuildTalliesFromLedger({ fromLedger: 100 });
+
+    expect(report.sync).toMatchObject({ newVotes: 7, newDelegations: 4 });
+    expect(governor.voteIndexer.index.delegations.find(d => d.hash === 'H')).toMatchObject({
+      proposalId: 'prop-1', delegator: 'rFay', delegate: DELEGATE, expiresAt: proposal.expiresAt, stake: 30
+    });
+    // Ivy is below the minimum stake; Hal's revocation is newer than the ledger delegation
+    expect(report.delegations.missingInStore.map(d => d.delegator)).toEqual(['rFay', 'rGus']);
+    expect(governor.delegations.get('rGus')).toMatchObject({ txHash: 'I', expiresAt: START + 60000 + 3600000 });
+    expect(governor.delegations.get('rHal').revokedAt).toBe(START + 3600000);
+
+    const tally = await governor.tallyVotes('prop-1');
+    expect(tally.delegatedVotes.map(v => [v.delegator, v.option, v.stake])).toEqual([['rFay', 'high vol', 30], ['rGus', 'high vol', 25]]);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'delegations.json'), 'utf8'));
+    expect(stored.map(d => d.delegator).sort()).toEqual(['rFay', 'rGus', 'rHal']);
+    expect((await governor.rebuildTalliesFromLedger()).delegations.consistent).toBe(true);
+  });
+});
@@ -0,0 +1,129 @@
+const { DataHarvester } = require('../src/services/data-harvester');
+const { TimeSeriesStore, MEASUREMENTS } = require('../src/services/timeseries-store');
+
+const ISSUER = 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B';
+const DAY = 24 * 60 * 60 * 1000;
+const usd = value => ({ currency: 'USD', issuer: ISSUER, value: String(value) });
+
+// Stub rippled answering ledger, amm_info and book_offers for one XRP/USD pool
+function createClient() {
+  const client = {
+    connected: false,
+    reserves: { xrp: 1000, usd: 500 },
+    isConnected: () => client.connected,
+    connect: jest.fn(async () => { client.connected = true; }),
+    disconnect: jest.fn(async () => { client.connected = false; }),
+    request: jest.fn(async request => {
+      switch (request.command) {
+        case 'ledger':
+          return {
+            result: {
+              ledger: {
+                ledger_index: String(request.ledger_index),
+                hash: `HASH${request.ledger_index}`,
+                close_time: 800000000,
+                transactions: [{ TransactionType: 'OfferCreate' }, { TransactionType: 'Payment' }]
+              }
+            }
+          };
+        case 'amm_info':
+          return {
+            result: {
+              ledger_index: request.ledger_index,
+              amm: {
+                account: 'rAMMAccount',
+                amount: String(client.reserves.xrp * 1000000),
+                amount2: usd(client.reserves.usd),
+                lp_token: { currency: '03930D02208264E2E40EC1B0C09E4DB96EE197B1', issuer: 'rAMMAccount', value: '700' },
+                trading_fee: 500
+              }
+            }
+          };
+        case 'book_offers': {
+          const asks = request.taker_gets.currency === 'XRP';
+          const offers = asks
+            ? [{ Account: 'rAsk', TakerGets: '100000000', TakerPays: usd(51) }]
+            : [{ Account: 'rBid', TakerGets: usd(49), TakerPays: '100000000' }];
+          return { result: { ledger_index: request.ledger_index, offers } };
+        }
+        default:
+          throw new Error(`Unexpected request ${request.command}`);
+      }
+    })
+  };
+  return client;
+}
+
+describe('DataHarvester', () => {
+  let client;
+  let timeSeries;
+  let now;
+
+  const createHarvester = () => new DataHarvester({
+    client,
+    timeSeries,
+    watchlist: [{ id: 'XRP/USD', base: 'XRP', quote: `USD.${ISSUER}` }],
+    allowMock: false
+  });
+
+  beforeEach(() => {
+    client = createClient();
+    timeSeries = new TimeSeriesStore({ storageDir: null });
+    now = jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 8, 1));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('harvests ledger pools and books without handing on a null first-read APY', async () => {
+    const harvester = createHarvester();
+
+    const data = await harvester.harvestLiveData(91000);
+
+    expect(data).toMatchObject({
+      ledgerIndex: '91000',
+      ledgerHash: 'HASH91000',
+      sentiment: { mock: true }, // No sentiment oracle configured
+      dataQuality: { stale: false, amm: { mock: false, errors: [] }, orderBooks: { mock: false, errors: [] } }
+    });
+    expect(data.amm.pools).toHaveLength(1);
+    expect(data.amm.pools[0]).toMatchObject({
+      id: 'XRP/USD',
+      reserves: { base: 1000, quote: 500 },
+      price: 0.5,
+      tradingFee: 0.005,
+      source: 'ledger',
+      apy: 0,
+      apySource: null,
+      apyPending: true
+    });
+    expect(data.dataQuality.amm.apyPending).toEqual(['XRP/USD']);
+    expect(data.orderBooks['XRP/USD']).toMatchObject({ mid: 0.5, mock: false });
+    expect(client.request).toHaveBeenCalledWith(expect.objectContaining({ command: 'amm_info', ledger_index: 91000 }));
+    expect(client.connected).toBe(false);
+
+    // Live readings are recorded, but not the placeholder APY
+    expect(timeSeries.latest(MEASUREMENTS.PRICE, { tags: { pair: 'XRP/USD', source: 'orderbook' } }).fields.mid).toBe(0.5);
+    expect(timeSeries.latest(MEASUREMENTS.AMM_RESERVES, { tags: { pair: 'XRP/USD' } }).fields).not.toHaveProperty('apy');
+  });
+
+  test('measures fee APY on the next read and seeds a restarted harvester from history', async () => {
+    const harvester = createHarvester();
+    await harvester.harvestLiveData(92000);
+
+    client.reserves = { xrp: 1001, usd: 500.5 }; // +0.1% per LP token after a day of fees
+    now.mockReturnValue(Date.UTC(2026, 8, 1) + DAY);
+    const second = await harvester.harvestLiveData(92001);
+
+    expect(second.amm.pools[0].apy).toBeCloseTo(36.5, 1);
+    expect(second.amm.pools[0]).toMatchObject({ apySource: 'ledger', apyPending: false });
+    expect(second.dataQuality.amm.apyPending).toEqual([]);
+
+    const restarted = await createHarvester().harvestLiveData(92002);
+    expect(restarted.amm.pools[0]).toMatchObject({ apySource: 'history', apyPending: false });
+    expect(restarted.amm.pools[0].apy).toBeCloseTo(36.5, 1);
+  });
+});
@@ -0,0 +1,122 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+const { FakeRippled } = require('../../src/test/fake-rippled');
+const { DAOGovernor } = require('../../src/dao/dao-governor');
+const NFTMarketplace = require('../../modules/nft-marketplace');
+const TestnetDeployer = require('../../src/testnet/testnet-deployer');
+const { TransactionSubmitter } = require('../../src/services/transaction-submitter');
+
+jest.setTimeout(30000);
+
+describe('offline integration against FakeRippled', () => {
+  let server;
+  let ledger;
+  let client;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    server = new FakeRippled({ closeDelay: 5 });
+    ledger = server.ledger;
+    client = new xrpl.Client(await server.start());
+    await client.connect();
+    // Modules submit through the client's shared submitter; keep its outcome records in memory
+    TransactionSubmitter.forClient(client, { storagePath: null });
+  });
+
+  afterEach(async () => {
+    if (client.isConnected()) await client.disconnect();
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('settles payments, trust lines and offer crossing with real balances', async () => {
+    const issuer = ledger.createWallet(1000);
+    const maker = ledger.createWallet(1000);
+    const taker = ledger.createWallet(1000);
+    const usd = value => ({ currency: 'USD', issuer: issuer.address, value: String(value) });
+
+    await client.submitAndWait({ TransactionType: 'TrustSet', Account: maker.address, LimitAmount: usd(1000) }, { wallet: maker });
+    await client.submitAndWait({ TransactionType: 'Payment', Account: issuer.address, Destination: maker.address, Amount: usd(100) }, { wallet: issuer });
+    await client.submitAndWait({ TransactionType: 'OfferCreate', Account: maker.address, TakerGets: usd(50), TakerPays: xrpl.xrpToDrops(100) }, { wallet: maker });
+    const cross = await client.submitAndWait({ TransactionType: 'OfferCreate', Account: taker.address, TakerGets: xrpl.xrpToDrops(40), TakerPays: usd(20) }, { wallet: taker });
+
+    expect(cross.result.meta.TransactionResult).toBe('tesSUCCESS');
+    expect(await client.getBalances(taker.address)).toEqual(expect.arrayContaining([
+      { currency: 'USD', issuer: issuer.address, value: '20' }
+    ]));
+    const { result: book } = await client.request({ command: 'book_offers', taker_gets: { currency: 'USD', issuer: issuer.address }, taker_pays: { currency: 'XRP' } });
+    expect(book.offers).toHaveLength(1);
+    expect(book.offers[0].TakerGets.value).toBe('30');
+
+    // Fee and XRP legs are accounted exactly
+    expect(await client.getXrpBalance(taker.address)).toBe('959.999988');
+
+    const { result: history } = await client.request({ command: 'account_tx', account: maker.address });
+    expect(history.transactions.map(entry => entry.tx.TransactionType)).toEqual(['OfferCreate', 'OfferCreate', 'Payment', 'TrustSet']);
+  });
+
+  test('DAOGovernor mints proposals and tallies votes from the transaction stream', async () => {
+    const treasury = ledger.createWallet(1000);
+    const voter = ledger.createWallet(1000);
+    const governor = new DAOGovernor({
+      client,
+      wallet: treasury,
+      storageDir: fs.mkdtempSync(path.join(os.tmpdir(), 'fake-rippled-dao-')),
+      useSentimentAnalysis: false
+    });
+    const recorded = jest.spyOn(governor, '_recordVote');
+
+    const proposalId = await governor.createProposal({ title: 'Rebalance', options: ['yes', 'no'] });
+    const proposal = governor.activeProposals.get(proposalId);
+    const { result: nfts } = await client.request({ command: 'account_nfts', account: treasury.address });
+    expect(nfts.account_nfts.map(nft => nft.NFTokenID)).toEqual([proposal.nftTokenId]);
+
+    const streamed = new Promise(resolve => client.once('transaction', resolve));
+    const vote = await governor.castVote(proposalId, 'yes', 25, voter);
+    await streamed;
+
+    expect(vote.currentTally.yes).toBe(25);
+    expect(await client.getXrpBalance(treasury.address)).toBe('1024.999988');
+    // Recorded once by castVote and once by the subscribed stream handler
+    expect(recorded).toHaveBeenCalledWith(proposalId, 'yes', voter.address, 25);
+    expect(recorded).toHaveBeenCalledTimes(2);
+  });
+
+  test('NFTMarketplace mints and lists with IDs read from transaction metadata', async () => {
+    const wallet = ledger.createWallet(1000);
+    const marketplace = new NFTMarketplace({ client, wallet });
+
+    const minted = await marketplace.mintYieldNFT({ meanYield: 12.5, sharpeRatio: 1.2, successRate: 98 }, 'Eco-Yield');
+    const nftID = Array.from(marketplace.mintedNFTs.keys())[0];
+    expect(minted).toBeTruthy();
+    expect(xrpl.parseNFTokenID(nftID).Issuer).toBe(wallet.address);
+
+    await marketplace.listNFT(nftID, 50);
+
+    const { result } = await client.request({ command: 'nft_sell_offers', nft_id: nftID });
+    expect(result.offers).toEqual([expect.objectContaining({ amount: xrpl.xrpToDrops(50), owner: wallet.address })]);
+    expect(marketplace.listedNFTs.get(nftID).offerIndex).toBe(result.offers[0].nft_offer_index);
+  });
+
+  test('TestnetDeployer initializes, follows ledger closes and shuts down cleanly', async () => {
+    const wallet = ledger.createWallet(100);
+    const deployer = new TestnetDeployer({ testnetUrl: server.url, wallet });
+    jest.spyOn(deployer, 'savePerformanceReport').mockImplementation(() => {});
+
+    expect(await deployer.initialize()).toBe(true);
+    await deployer.startLiveValidation();
+    const closed = jest.spyOn(deployer, 'handleLedgerClose');
+    ledger.closeLedger();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(closed).toHaveBeenCalledWith(expect.objectContaining({ ledger_index: ledger.ledgerIndex }));
+    expect(deployer.monitoringTimer).not.toBeNull();
+
+    await deployer.shutdown();
+    expect(deployer.monitoringTimer).toBeNull();
+    expect(deployer.client.isConnected()).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+const { LedgerMarketReader, parseAsset } = require('../src/services/ledger-market-reader');
+
+const ISSUER = 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B';
+const usd = value => ({ currency: 'USD', issuer: ISSUER, value: String(value) });
+
+function ammInfo({ xrp = 1000, usdReserve = 500, lp = 700 } = {}) {
+  return {
+    result: {
+      ledger_index: 5000,
+      amm: {
+        account: 'rAMMAccount',
+        // rippled may list the pool's assets in either order
+        amount: usd(usdReserve),
+        amount2: String(xrp * 1000000),
+        lp_token: { currency: '03930D02208264E2E40EC1B0C09E4DB96EE197B1', issuer: 'rAMMAccount', value: String(lp) },
+        trading_fee: 500,
+        auction_slot: {
+          account: 'rSlotHolder',
+          discounted_fee: 50,
+          expiration: '2030-Jun-26 21:42:18.000000000 UTC',
+          price: { currency: '03930D02208264E2E40EC1B0C09E4DB96EE197B1', issuer: 'rAMMAccount', value: '1.5' }
+        }
+      }
+    }
+  };
+}
+
+function createClient(handlers) {
+  return { request: jest.fn(async request => handlers[request.command](request)) };
+}
+
+describe('LedgerMarketReader', () => {
+  test('parses watchlist assets', () => {
+    expect(parseAsset('XRP')).toEqual({ currency: 'XRP' });
+    expect(parseAsset(`USD.${ISSUER}`)).toEqual({ currency: 'USD', issuer: ISSUER });
+    expect(() => parseAsset('USD')).toThrow(/needs an issuer/);
+  });
+
+  test('normalizes amm_info into the optimizer pool shape', async () => {
+    const client = createClient({ amm_info: () => ammInfo() });
+    const reader = new LedgerMarketReader({ client, watchlist: [{ base: 'XRP', quote: `USD.${ISSUER}` }] });
+
+    const { pools, mock, stale } = await reader.readPools();
+
+    expect(client.request).toHaveBeenCalledWith(expect.objectContaining({ asset: { currency: 'XRP' }, asset2: { currency: 'USD', issuer: ISSUER } }));
+    expect(pools[0]).toMatchObject({
+      id: 'XRP/USD',
+      reserves: { base: 1000, quote: 500 },
+      price: 0.5,
+      liquidity: 1000,
+      lpTokenSupply: 700,
+      tradingFee: 0.005,
+      auctionSlot: { account: 'rSlotHolder', discountedFee: 0.0005, price: 1.5, expiresAt: Date.UTC(2030, 5, 26, 21, 42, 18) },
+      apy: null,
+      source: 'ledger',
+      mock: false
+    });
+    expect(mock).toBe(false);
+    expect(stale).toBe(false);
+  });
+
+  test('derives fee APY from LP token value growth between reads', async () => {
+    let reserves = { xrp: 1000, usdReserve: 500 };
+    const client = createClient({ amm_info: () => ammInfo(reserves) });
+    const reader = new LedgerMarketReader({ client, watchlist: [{ base: 'XRP', quote: `USD.${ISSUER}` }] });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    await reader.readPools();
+    reserves = { xrp: 1001, usdReserve: 500.5 }; // +0.1% per LP token after a day of fees
+    now.mockReturnValue(24 * 60 * 60 * 1000);
+    const { pools } = await reader.readPools();
+
+    expect(pools[0].apy).toBeCloseTo(36.5, 1);
+    now.mockRestore();
+  });
+
+  test('pages book_offers and converts both sides to quote-per-base prices', async () => {
+    const asks = [
+      { Account: 'rA1', TakerGets: '100000000', TakerPays: usd(51) },
+      { Account: 'rA2', TakerGets: '200000000', TakerPays: usd(104), taker_gets_funded: '50000000', taker_pays_funded: usd(26) }
+    ];
+    const bids = [{ Account: 'rB1', TakerGets: usd(49), TakerPays: '100000000' }];
+    const client = createClient({
+      book_offers: request => {
+        if (request.taker_gets.currency === 'XRP') {
+          return request.marker
+            ? { result: { ledger_index: 5000, offers: [asks[1]] } }
+            : { result: { ledger_index: 5000, offers: [asks[0]], marker: 'page2' } };
+        }
+        return { result: { ledger_index: 5000, offers: bids } };
+      }
+    });
+    const reader = new LedgerMarketReader({ client, watchlist: [{ base: 'XRP', quote: `USD.${ISSUER}` }] });
+
+    const { books } = await reader.readBooks();
+    const book = books['XRP/USD'];
+
+    expect(client.request.mock.calls[1][0]).toMatchObject({ marker: 'page2', ledger_index: 5000 });
+    expect(book.asks).toEqual([
+      { price: 0.51, amount: 100, account: 'rA1' },
+      { price: 0.52, amount: 50, account: 'rA2' }
+    ]);
+    expect(book.bids).toEqual([{ price: 0.49, amount: 100, account: 'rB1' }]);
+    expect(book.mid).toBeCloseTo(0.5);
+    expect(book.depth).toEqual({ bid: 100, ask: 150 });
+  });
+
+  test('flags cached reads as stale and unreadable pairs as mock', async () => {
+    let failing = false;
+    const client = createClient({
+      amm_info: request => {
+        if (failing || request.asset2.currency === 'EUR') {
+          const error = new Error('actNotFound');
+          error.data = { error: 'actNotFound' };
+          throw error;
+        }
+        return ammInfo();
+      }
+    });
+    const reader = new LedgerMarketReader({
+      client,
+      staleAfter: 1000,
+      watchlist: [
+        { base: 'XRP', quote: `USD.${ISSUER}` },
+        { base: 'XRP', quote: `EUR.${ISSUER}` }
+      ]
+    });
+    const fallback = entry => ({ id: entry.id, liquidity: 1, apy: 50 });
+
+    const first = await reader.readPools({ fallback });
+    expect(first.pools[1]).toMatchObject({ id: 'XRP/EUR', source: 'mock', mock: true });
+    expect(first.errors).toEqual([{ id: 'XRP/EUR', error: 'actNotFound' }]);
+    expect(first.mock).toBe(true);
+
+    failing = true;
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+    const second = await reader.readPools({ fallback });
+    expect(second.pools[0]).toMatchObject({ id: 'XRP/USD', source: 'cache', stale: true, mock: false });
+    expect(second.stale).toBe(true);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,91 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { LpPositionLedger } = require('../src/services/lp-position-ledger');
+const { YieldOptimizer } = require('../src/optimizer/yield-optimizer');
+const { TimeSeriesStore, MEASUREMENTS } = require('../src/services/timeseries-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 6, 1);
+const SUPPLY = Math.sqrt(1000000 * 500000);
+
+function poolState(base, quote, fetchedAt, lpTokenSupply = SUPPLY) {
+  return { id: 'XRP/USD', reserves: { base, quote }, lpTokenSupply, fetchedAt };
+}
+
+describe('LpPositionLedger', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('separates fees from impermanent loss and realizes them on withdrawal', () => {
+    const storagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lp-ledger-')), 'positions.json');
+    const timeSeries = new TimeSeriesStore({ storageDir: null });
+    const ledger = new LpPositionLedger({ storagePath, timeSeries });
+
+    // 1% of a 1M XRP / 500k USD pool
+    ledger.openPosition({ id: 'lp1', pool: 'XRP/USD', lpTokens: SUPPLY * 0.01, poolState: poolState(1000000, 500000, T0) });
+
+    // Price quadruples (0.5 -> 2 USD) along the constant product curve, no fees
+    const [moved] = ledger.mark(poolState(500000, 1000000, T0 + 10 * DAY));
+    expect(moved.value).toBeCloseTo(20000, 6);
+    expect(moved.holdValue).toBeCloseTo(25000, 6);
+    expect(moved.fees).toBeCloseTo(0, 6);
+    expect(moved.impermanentLossPct).toBeCloseTo(-0.2, 6); // 2 * sqrt(r) / (1 + r) - 1 for r = 4
+    expect(moved.pnl).toBeCloseTo(20000 - 10000, 6);
+
+    // Trading fees grow both reserves by 1% with the LP supply unchanged
+    const [withFees] = ledger.mark(poolState(505000, 1010000, T0 + 20 * DAY));
+    expect(withFees.fees).toBeCloseTo(200, 6);
+    expect(withFees.impermanentLoss).toBeCloseTo(-5000, 6);
+    expect(withFees.feeApy).toBeCloseTo((200 / 25000) * (365 / 20), 6);
+    expect(withFees.netApy).toBeCloseTo((-4800 / 25000) * (365 / 20), 6);
+    expect(timeSeries.range(MEASUREMENTS.LP_POSITION, { tags: { position: 'lp1', pool: 'XRP/USD' } })).toHaveLength(2);
+
+    const realized = ledger.withdraw('lp1', { lpTokens: SUPPLY * 0.005, poolState: poolState(505000, 1010000, T0 + 20 * DAY) });
+    expect(realized.fees).toBeCloseTo(100, 6);
+    expect(realized.impermanentLoss).toBeCloseTo(-2500, 6);
+    expect(realized.received).toEqual({ base: expect.closeTo(2525, 6), quote: expect.closeTo(5050, 6) });
+
+    // The remaining half keeps its unrealized share after a restart
+    const restored = new LpPositionLedger({ storagePath, timeSeries: null });
+    const remaining = restored.valuePosition('lp1');
+    expect(remaining.fees).toBeCloseTo(100, 6);
+    expect(remaining.impermanentLoss).toBeCloseTo(-2500, 6);
+    expect(remaining.realized.fees).toBeCloseTo(100, 6);
+
+    restored.withdraw('lp1', { poolState: poolState(505000, 1010000, T0 + 21 * DAY) });
+    const report = restored.getReport();
+    expect(report.positions[0].closedAt).toBe(T0 + 21 * DAY);
+    expect(report.totals.realized.pnl).toBeCloseTo(20200 - 10000, 6);
+    expect(restored.getPoolPerformance('XRP/USD')).toBeNull();
+    expect(() => restored.withdraw('lp1', { poolState: poolState(505000, 1010000, T0 + 22 * DAY) })).toThrow(/closed/);
+  });
+
+  test('feeds measured net APY into the yield optimizer', async () => {
+    const ledger = new LpPositionLedger({ storagePath: null, timeSeries: null });
+    const pools = [
+      { name: 'XRP/USD', baseAPY: 0.15 },
+      { name: 'RLUSD/USD', baseAPY: 0.1, isStable: true }
+    ];
+    const optimizer = new YieldOptimizer({ positionLedger: ledger, timeSeries: null });
+    const before = await optimizer.optimizeAllocation(1000, pools, { vol: 0.3, sentiment: 0.5, useGovernance: false });
+    expect(before.expectedYield.measuredPools).toEqual([]);
+
+    // A position whose impermanent loss outweighs its fees
+    ledger.openPosition({ id: 'lp1', pool: 'XRP/USD', lpTokens: SUPPLY * 0.01, poolState: poolState(1000000, 500000, Date.now() - 30 * DAY) });
+    ledger.mark(poolState(500000, 1000000, Date.now()));
+
+    const after = await optimizer.optimizeAllocation(1000, pools, { vol: 0.3, sentiment: 0.5, useGovernance: false });
+    const performance = ledger.getPoolPerformance('XRP/USD');
+    expect(performance.netApy).toBeLessThan(-0.5);
+    expect(after.expectedYield.measuredPools).toEqual(['XRP/USD']);
+    expect(after.allocations[0]).toBeLessThan(before.allocations[0]);
+    expect(after.expectedYield.ilRisk).toBeGreaterThan(before.expectedYield.ilRisk);
+    expect(after.expectedYield.netAPY).toBeLessThan(before.expectedYield.netAPY);
+  });
+});
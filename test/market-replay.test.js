@@ -0,0 +1,193 @@
+/**
+ * Market Replay Engine Tests
+ *
+ * Tests the Market Replay Engine's ability to:
+ * - Append market events to a JSONL recording
+ * - Feed recorded payloads back in recording order
+ * - Reproduce seeded randomness exactly across replays
+ * - Drive the Arena Orchestrator from a recording it made itself
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Live market sources of the orchestrator; replays never call them
+jest.mock('../src/services/data-harvester', () => ({ harvestLiveData: jest.fn() }));
+jest.mock('../src/services/anomaly-detector', () => ({ detectAnomalies: jest.fn(), dynamicAllocate: jest.fn() }));
+jest.mock('../src/test/live-data-fusion', () => jest.fn());
+jest.mock('../src/test/enhanced-test-runner-class', () => jest.fn());
+jest.mock('../src/optimizers/yield-optimizer-lite', () => jest.fn(), { virtual: true });
+
+const dataHarvester = require('../src/services/data-harvester');
+const anomalyDetector = require('../src/services/anomaly-detector');
+const { ArenaOrchestrator } = require('../src/test/live-validation-arena-orchestrator');
+const {
+  MarketRecorder,
+  MarketReplayer,
+  RECORD_TYPES,
+  createSeededRandom,
+  readRecords
+} = require('../src/test/market-replay');
+
+/**
+ * Minimal orchestrator that consumes replayed data the way ArenaOrchestrator does
+ */
+function createStubOrchestrator() {
+  return {
+    replay: null,
+    autoUpdateInterval: null,
+    latestTestResults: null,
+    latestAllocation: null,
+    seen: [],
+    attachReplay(replayer) { this.replay = replayer; },
+    detachReplay() { this.replay = null; },
+    async handleLedgerClosed(ledger) {
+      const harvest = this.replay.next(RECORD_TYPES.HARVEST);
+      const anomaly = this.replay.next(RECORD_TYPES.ANOMALY);
+      this.seen.push({ ledger: ledger.ledger_index, harvest, anomaly });
+    },
+    async runFusedValidation() {
+      const harvest = this.replay.next(RECORD_TYPES.HARVEST);
+      this.latestTestResults = { volume: harvest.volume, draw: Math.random(), timestamp: this.replay.now() };
+    }
+  };
+}
+
+describe('Market Replay Engine', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-replay-'));
+    filePath = path.join(tmpDir, 'session.jsonl');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  async function recordSession() {
+    const recorder = new MarketRecorder({ filePath });
+    await recorder.open();
+
+    for (const index of [100, 101]) {
+      recorder.record(RECORD_TYPES.LEDGER_CLOSED, { ledger_index: index, ledger_time: index * 4 });
+      recorder.record(RECORD_TYPES.HARVEST, { volume: index * 10 });
+      recorder.record(RECORD_TYPES.ANOMALY, { anomalyScore: 0.1, needsRebalance: false });
+      recorder.record(RECORD_TYPES.VALIDATION, {});
+      recorder.record(RECORD_TYPES.HARVEST, { volume: index * 20 });
+    }
+
+    await recorder.close();
+  }
+
+  it('should append records with increasing sequence numbers', async () => {
+    await recordSession();
+
+    const records = await readRecords(filePath);
+    expect(records).toHaveLength(10);
+    expect(records.map(record => record.seq)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(records[6].ledgerIndex).toBe(101);
+
+    // Reopening continues the sequence instead of overwriting
+    const recorder = new MarketRecorder({ filePath });
+    await recorder.open();
+    const record = await recorder.record(RECORD_TYPES.HARVEST, {});
+    expect(record.seq).toBe(10);
+  });
+
+  it('should feed recorded payloads back in recording order', async () => {
+    await recordSession();
+
+    const orchestrator = createStubOrchestrator();
+    const results = await new MarketReplayer({ filePath, seed: 7 }).replay(orchestrator);
+
+    expect(orchestrator.seen.map(entry => entry.harvest.volume)).toEqual([1000, 1010]);
+    expect(results.map(result => result.testResults.volume)).toEqual([2000, 2020]);
+    expect(orchestrator.replay).toBeNull();
+  });
+
+  it('should produce identical results for the same seed', async () => {
+    await recordSession();
+
+    const first = await new MarketReplayer({ filePath, seed: 42 }).replay(createStubOrchestrator());
+    const second = await new MarketReplayer({ filePath, seed: 42 }).replay(createStubOrchestrator());
+    const other = await new MarketReplayer({ filePath, seed: 43 }).replay(createStubOrchestrator());
+
+    expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+    expect(other[0].testResults.draw).not.toBe(first[0].testResults.draw);
+  });
+
+  it('should restore Math.random after replay', async () => {
+    await recordSession();
+    const originalRandom = Math.random;
+
+    await new MarketReplayer({ filePath }).replay(createStubOrchestrator());
+
+    expect(Math.random).toBe(originalRandom);
+  });
+
+  it('should record and replay a session through the ArenaOrchestrator', async () => {
+    // Validation components the orchestrator would build in init()
+    const createOrchestrator = () => {
+      const orchestrator = new ArenaOrchestrator({ capital: 5000, autoNftMint: false });
+      orchestrator.ecoImpactTuner = {
+        tune: async ({ scenario }) => ({ weights: scenario.pools.map(pool => pool.ecoImpact) }),
+        generateSustainabilityReport: () => ({ summary: {} })
+      };
+      orchestrator.testRunner = {
+        runTest: async ({ scenario, capital }) => ({
+          capital,
+          pools: scenario.pools.map(pool => pool.currentApy),
+          sentiment: scenario.sentimentFactors,
+          ledger: scenario.xrplData
+        })
+      };
+      return orchestrator;
+    };
+
+    const live = createOrchestrator();
+    live.recorder = new MarketRecorder({ filePath });
+    await live.recorder.open();
+    dataHarvester.harvestLiveData.mockImplementation(async ledgerIndex => ({ volume: 1000, ledgerIndex }));
+    anomalyDetector.detectAnomalies.mockResolvedValue({ anomalyScore: 0.2, needsRebalance: false });
+    await live.handleLedgerClosed({ ledger_index: 100, ledger_time: 400 });
+    await live.handleLedgerClosed({ ledger_index: 101, ledger_time: 404 });
+    await live.recorder.close();
+
+    const records = await readRecords(filePath);
+    expect(records.filter(record => record.type === RECORD_TYPES.VALIDATION)).toHaveLength(2);
+    expect(records.filter(record => record.type === RECORD_TYPES.SENTIMENT)).toHaveLength(4);
+
+    dataHarvester.harvestLiveData.mockClear();
+    anomalyDetector.detectAnomalies.mockClear();
+    const first = await createOrchestrator().replayRecording({ filePath, seed: 42 });
+    const second = await createOrchestrator().replayRecording({ filePath, seed: 42 });
+    const other = await createOrchestrator().replayRecording({ filePath, seed: 43 });
+
+    expect(dataHarvester.harvestLiveData).not.toHaveBeenCalled();
+    expect(anomalyDetector.detectAnomalies).not.toHaveBeenCalled();
+    expect(first.map(result => result.ledgerIndex)).toEqual([100, 101]);
+    expect(first[0].testResults).toMatchObject({
+      testResults: { capital: 5000, sentiment: records.find(record => record.type === RECORD_TYPES.SENTIMENT).payload },
+      timestamp: records.find(record => record.type === RECORD_TYPES.VALIDATION).timestamp
+    });
+    expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+    expect(JSON.stringify(other)).not.toBe(JSON.stringify(first));
+  });
+
+  it('should generate the same sequence for the same seed', () => {
+    const a = createSeededRandom('XRPL');
+    const b = createSeededRandom('XRPL');
+
+    for (let i = 0; i < 5; i++) {
+      const value = a();
+      expect(value).toBe(b());
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
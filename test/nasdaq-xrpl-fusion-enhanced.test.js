@@ -93,7 +93,11 @@ describe('Enhanced NASDAQ-XRPL Fusion Strategy', () => {
     };
     
     mockCircuitBreaker = {
-      checkThresholds: jest.fn().mockResolvedValue({ triggered: false })
+      checkThresholds: jest.fn().mockResolvedValue({ triggered: false }),
+      initialize: jest.fn().mockResolvedValue(true),
+      check: jest.fn().mockResolvedValue({ circuit: 'closed' }),
+      canTrade: jest.fn().mockReturnValue(true),
+      getSizeMultiplier: jest.fn().mockReturnValue(1)
     };
     
     // Initialize strategy
@@ -86,7 +86,11 @@ describe('NASDAQ-XRPL Fusion Strategy', () => {
     };
     
     mockCircuitBreaker = {
-      checkThresholds: sinon.stub().resolves({ triggered: false })
+      checkThresholds: sinon.stub().resolves({ triggered: false }),
+      initialize: sinon.stub().resolves(true),
+      check: sinon.stub().resolves({ circuit: 'closed' }),
+      canTrade: sinon.stub().returns(true),
+      getSizeMultiplier: sinon.stub().returns(1)
     };
     
     // Initialize strategy
@@ -411,16 +415,16 @@ describe('NASDAQ-XRPL Fusion Strategy', () => {
       await strategy.initialize();
     });
     
-    it('should optimize strategy parameters', async () => {
+    it('should optimize strategy parameters but keep them without history to vet them', async () => {
       const initialParams = { ...strategy.options };
       
       await strategy.optimizeParameters();
       
       expect(mockHyperAdaptive.optimizeParameters.calledOnce).to.be.true;
-      expect(strategy.options).to.not.deep.equal(initialParams);
+      expect(strategy.options).to.deep.equal(initialParams);
     });
     
-    it('should update parameters from hyper-adaptive system', () => {
+    it('should keep parameters from hyper-adaptive system without history to vet them', () => {
       const newParameters = {
         leverageMultiplier: 2.5,
         sentimentThreshold: 0.6,
@@ -437,11 +441,13 @@ describe('NASDAQ-XRPL Fusion Strategy', () => {
       
       const emitSpy = sinon.spy(strategy, 'emit');
       
+      const initialParams = { ...strategy.options };
       strategy.updateOptimizedParameters(optimizationResult);
       
-      expect(strategy.options.leverageMultiplier).to.equal(2.5);
-      expect(strategy.options.sentimentThreshold).to.equal(0.6);
-      expect(emitSpy.calledWith('parameters-updated')).to.be.true;
+      expect(strategy.options.leverageMultiplier).to.equal(initialParams.leverageMultiplier);
+      expect(strategy.options.sentimentThreshold).to.equal(initialParams.sentimentThreshold);
+      expect(emitSpy.calledWith('parameters-updated')).to.be.false;
+      expect(emitSpy.calledWith('parameters-rejected')).to.be.true;
     });
   });
   
@@ -0,0 +1,98 @@
+const xrpl = require('xrpl');
+const { FakeRippled } = require('../src/test/fake-rippled');
+const { PortfolioTracker } = require('../src/services/portfolio-tracker');
+const { PriceOracle } = require('../src/oracles/price-oracle');
+const { PriceSource } = require('../src/oracles/price-sources');
+
+jest.setTimeout(30000);
+
+class StaticSource extends PriceSource {
+  constructor(prices) {
+    super({ name: 'static', symbols: Object.keys(prices) });
+    this.prices = prices;
+  }
+
+  async fetch(symbol) {
+    return { price: this.prices[symbol], timestamp: Date.now() };
+  }
+}
+
+describe('PortfolioTracker', () => {
+  let server;
+  let ledger;
+  let client;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    server = new FakeRippled({ closeDelay: 5 });
+    ledger = server.ledger;
+    client = new xrpl.Client(await server.start());
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client.isConnected()) await client.disconnect();
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('reconstructs balances, LP tokens, escrows and offers and marks them to market', async () => {
+    const issuer = ledger.createWallet(1000);
+    const bot = ledger.createWallet(1000);
+    const friend = ledger.createWallet(1000);
+    const usd = value => ({ currency: 'USD', issuer: issuer.address, value: String(value) });
+    const submit = (tx, wallet = bot) => client.submitAndWait({ Account: wallet.address, ...tx }, { wallet });
+
+    await submit({ TransactionType: 'TrustSet', LimitAmount: usd(1000) });
+    await submit({ TransactionType: 'Payment', Destination: bot.address, Amount: usd(100) }, issuer);
+    await submit({ TransactionType: 'AMMCreate', Amount: xrpl.xrpToDrops(100), Amount2: usd(50), TradingFee: 500, Fee: '12' });
+    await submit({ TransactionType: 'EscrowCreate', Destination: friend.address, Amount: xrpl.xrpToDrops(10), FinishAfter: xrpl.isoTimeToRippleTime(new Date()) + 3600 });
+    await submit({ TransactionType: 'OfferCreate', TakerGets: usd(10), TakerPays: xrpl.xrpToDrops(30) });
+
+    const source = new StaticSource({ 'XRP/USD': 0.5 });
+    const tracker = new PortfolioTracker({
+      client,
+      wallets: [{ id: 'arbitrageBot', address: bot.address }],
+      priceOracle: new PriceOracle({ sources: [source], minSources: 1, timeSeries: null }),
+      storagePath: null,
+      timeSeries: null
+    });
+
+    const first = (await tracker.refresh()).wallets.arbitrageBot;
+    expect(first.holdings.map(holding => `${holding.kind}:${holding.currency}`).sort()).toEqual([
+      'balance:USD', 'balance:XRP', 'escrow:XRP', expect.stringMatching(/^lp:03/)
+    ]);
+    expect(first.openOrders).toEqual([expect.objectContaining({ gets: { asset: `USD.${issuer.address}`, amount: 10 } })]);
+
+    const xrp = Number(await client.getXrpBalance(bot.address));
+    const lp = first.holdings.find(holding => holding.kind === 'lp');
+    expect(lp.value).toBeCloseTo(100 * 0.5 + 50, 6);
+    expect(first.value).toBeCloseTo((xrp + 10) * 0.5 + 50 + lp.value, 6);
+    expect(first.costBasis).toBeCloseTo(first.value, 6);
+    expect(first.exposure.byAsset.XRP.value).toBeCloseTo((xrp + 10 + 100) * 0.5, 6);
+    expect(first.exposure.byIssuer[issuer.address].value).toBeCloseTo(100, 6);
+
+    // XRP rallies to 0.6: the gain shows up as unrealized and daily PnL
+    source.prices['XRP/USD'] = 0.6;
+    const second = (await tracker.refresh()).wallets.arbitrageBot;
+    const gain = (xrp + 10 + 100) * 0.1;
+    expect(second.unrealizedPnl).toBeCloseTo(gain, 6);
+    expect(second.dailyPnl).toBeCloseTo(gain, 6);
+
+    // Paying 100 XRP away realizes its gain against the 0.5 average cost
+    await submit({ TransactionType: 'Payment', Destination: friend.address, Amount: xrpl.xrpToDrops(100) });
+    await tracker.refresh();
+    const pnl = tracker.getPnl('arbitrageBot');
+    expect(pnl.realizedPnl).toBeCloseTo(10, 3);
+    expect(pnl.unrealizedPnl + pnl.realizedPnl).toBeCloseTo(gain, 3);
+    expect(tracker.getPnl()).toEqual(pnl);
+
+    // An unusable price leaves the asset out of totals instead of marking it at zero
+    delete source.prices['XRP/USD'];
+    source.symbols = [];
+    const unpriced = (await tracker.refresh()).wallets.arbitrageBot;
+    expect(unpriced.unpriced).toEqual(['XRP', lp.asset]);
+    expect(unpriced.value).toBeCloseTo(50, 6); // USD balance only; the offer does not lock funds
+  });
+});
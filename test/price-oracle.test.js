@@ -0,0 +1,158 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+const { PriceOracle, OracleConfidenceError } = require('../src/oracles/price-oracle');
+const { LedgerBookSource, AmmSpotSource, FileFeedSource } = require('../src/oracles/price-sources');
+const { TimeSeriesStore, MEASUREMENTS } = require('../src/services/timeseries-store');
+const { FakeLedger } = require('../src/test/fake-ledger');
+const ETFAlertSystemNasdaq = require('../strategies/etf-alert-system-nasdaq');
+
+const HOUR = 60 * 60 * 1000;
+
+function fixedSource(name, price, { age = 0, error = null } = {}) {
+  return {
+    name,
+    supports: () => true,
+    fetch: async () => {
+      if (error) throw new Error(error);
+      return { price, timestamp: Date.now() - age };
+    }
+  };
+}
+
+async function submit(ledger, tx, wallet) {
+  const { result } = await ledger.request({ command: 'account_info', account: wallet.address });
+  const signed = wallet.sign({ Fee: '10', Sequence: result.account_data.Sequence, LastLedgerSequence: ledger.ledgerIndex + 20, ...tx, Account: wallet.address });
+  await ledger.request({ command: 'submit', tx_blob: signed.tx_blob });
+  ledger.closeLedger();
+}
+
+describe('PriceOracle', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes the median of fresh quotes and rejects stale, outlying and failing sources', async () => {
+    const oracle = new PriceOracle({
+      timeSeries: null,
+      sources: [
+        fixedSource('a', 1.00),
+        fixedSource('b', 1.01),
+        fixedSource('c', 0.99),
+        fixedSource('spike', 1.30),
+        fixedSource('old', 1.00, { age: 5 * 60 * 1000 }),
+        fixedSource('down', null, { error: 'timeout' })
+      ]
+    });
+    const rejected = [];
+    oracle.on('sourceRejected', quote => rejected.push(`${quote.name}:${quote.status}`));
+
+    const reading = await oracle.getPrice('XRP/USD');
+
+    expect(reading.price).toBe(1.00);
+    expect(rejected.sort()).toEqual(['down:error', 'old:stale', 'spike:outlier']);
+    // Coverage 3/6, and the accepted quotes sit at half the allowed deviation
+    expect(reading.confidence).toBeCloseTo(0.5 * 0.75, 2);
+    expect(reading.usable).toBe(false);
+    await expect(oracle.requirePrice('XRP/USD')).rejects.toThrow(OracleConfidenceError);
+
+    oracle.removeSource('down');
+    oracle.removeSource('old');
+    oracle.removeSource('spike');
+    const clean = await oracle.requirePrice('XRP/USD');
+    expect(clean.usable).toBe(true);
+    expect(clean.confidence).toBeGreaterThan(0.6);
+
+    // Two sources that disagree cannot be told apart
+    const split = new PriceOracle({ timeSeries: null, sources: [fixedSource('a', 1.0), fixedSource('b', 1.2)] });
+    expect(await split.getPrice('XRP/USD')).toMatchObject({ price: null, confidence: 0, usable: false });
+  });
+
+  test('reads DEX mid and AMM spot prices from the ledger', async () => {
+    const ledger = new FakeLedger({ autoClose: false });
+    const issuer = ledger.createWallet(10000);
+    const maker = ledger.createWallet(10000);
+    const usd = value => ({ currency: 'USD', issuer: issuer.address, value: String(value) });
+
+    await submit(ledger, { TransactionType: 'TrustSet', LimitAmount: usd(100000) }, maker);
+    await submit(ledger, { TransactionType: 'Payment', Destination: maker.address, Amount: usd(5000) }, issuer);
+    await submit(ledger, { TransactionType: 'OfferCreate', TakerGets: xrpl.xrpToDrops(100), TakerPays: usd(101) }, maker);
+    await submit(ledger, { TransactionType: 'OfferCreate', TakerGets: usd(99), TakerPays: xrpl.xrpToDrops(100) }, maker);
+    await submit(ledger, { TransactionType: 'AMMCreate', Amount: xrpl.xrpToDrops(1000), Amount2: usd(1002), TradingFee: 500 }, maker);
+
+    const pairs = { 'XRP/USD': { base: 'XRP', quote: `USD.${issuer.address}` } };
+    const oracle = new PriceOracle({
+      timeSeries: null,
+      sources: [new LedgerBookSource({ client: ledger, pairs }), new AmmSpotSource({ client: ledger, pairs })]
+    });
+
+    const reading = await oracle.getPrice('XRP/USD');
+    ledger.stop();
+
+    expect(reading.sources.map(quote => [quote.name, quote.status])).toEqual([['xrpl-dex', 'accepted'], ['xrpl-amm', 'accepted']]);
+    expect(reading.sources[0].price).toBeCloseTo(1.0, 6);
+    expect(reading.price).toBeCloseTo(1.001, 6);
+    expect(reading.usable).toBe(true);
+    expect(await oracle.getPrice('XRP/EUR')).toMatchObject({ price: null, usable: false, sources: [] });
+  });
+
+  test('derives change and volatility from recorded history and gates ETF rebalances on confidence', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-oracle-'));
+    const file = path.join(dir, 'feeds.json');
+    const timeSeries = new TimeSeriesStore({ storageDir: null });
+    const tags = { pair: 'NQ=F', source: 'oracle' };
+    const now = Date.now();
+    for (let i = 24; i >= 1; i--) {
+      timeSeries.write(MEASUREMENTS.PRICE, { price: 20000 * (1 + (i % 2 ? 0.001 : -0.001)) }, { tags, timestamp: now - i * HOUR });
+    }
+    timeSeries.write(MEASUREMENTS.PRICE, { price: 20000 }, { tags, timestamp: now - 25 * HOUR });
+    fs.writeFileSync(file, JSON.stringify({ 'NQ=F': { price: 20400, timestamp: new Date().toISOString() } }));
+
+    const oracle = new PriceOracle({ timeSeries, sources: [new FileFeedSource({ file }), fixedSource('nasdaq-http', 20400)] });
+
+    const change = await oracle.getChange('NQ=F');
+    expect(change.usable).toBe(true);
+    expect(change.change).toBeCloseTo(20400 / 19980 - 1, 6); // Recorded price exactly 24 hours back
+    const volatility = await oracle.getVolatility('NQ=F');
+    expect(volatility.usable).toBe(true);
+    expect(volatility.samples).toBe(25);
+    expect(volatility.volatility).toBeGreaterThan(0);
+
+    const riskManager = { validateAction: () => ({ approved: true }), recordExecution: jest.fn() };
+    const system = new ETFAlertSystemNasdaq(null, null, { priceOracle: oracle, riskManager });
+    expect(await system._fetchNasdaqChange()).toBeCloseTo(change.change, 3);
+    expect(system.state.nasdaqConfidence).toBeGreaterThan(0.6);
+
+    // Feed goes away: one source is not enough, no change is reported and the rebalance holds
+    fs.unlinkSync(file);
+    expect(await system._fetchNasdaqChange()).toBe(0);
+    expect(system.state.nasdaqConfidence).toBe(0);
+    const rebalance = await system.executeRebalance();
+    expect(rebalance.actions).toEqual([]);
+    expect(rebalance.oracleRejection).toEqual({ confidence: 0, minConfidence: 0.6 });
+  });
+
+  test('needs two agreeing sources by default, which the shared oracle gets from the ledger', async () => {
+    const single = new PriceOracle({ timeSeries: null, sources: [fixedSource('a', 1.0)] });
+    expect(await single.getPrice('XRP/USD')).toMatchObject({ price: 1.0, usable: false });
+    single.addSource(fixedSource('b', 1.001));
+    expect((await single.getPrice('XRP/USD')).usable).toBe(true);
+
+    const client = { request: jest.fn() };
+    const shared = PriceOracle.shared({ client });
+    expect(shared.minSources).toBe(2);
+    expect(shared.sources.map(source => source.name)).toEqual(['feed-file', 'xrpl-dex', 'xrpl-amm']);
+    expect(shared.sources[1].reader).toBe(shared.sources[2].reader);
+    expect(['XRP/USD', 'XRP/EUR', 'XRP/BTC'].every(symbol => shared.sources[1].supports(symbol) && shared.sources[2].supports(symbol))).toBe(true);
+
+    // Later callers share the same ledger sources
+    const reader = shared.sources[1].reader;
+    expect(PriceOracle.shared({ client: { request: jest.fn() } }).sources[1].reader).toBe(reader);
+  });
+});
@@ -0,0 +1,137 @@
+const RiskManager = require('../src/risk-manager');
+
+const { REJECTION_CODES, RiskRejectionError } = RiskManager;
+
+describe('RiskManager', () => {
+  let riskManager;
+
+  beforeEach(() => {
+    riskManager = new RiskManager({
+      limits: {
+        maxOrderNotional: 1000,
+        maxPoolExposure: 2000,
+        maxIssuerExposure: 3000,
+        clawbackIssuerLimit: 500,
+        dailyLossLimit: 100
+      }
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('approves actions inside every limit', () => {
+    const result = riskManager.validateAction({ type: 'rebalance', source: 'test', legs: [{ pool: 'XRP/RLUSD', notional: 800 }] });
+
+    expect(result.approved).toBe(true);
+    expect(result.reasons).toEqual([]);
+  });
+
+  test('rejects oversized orders and pool exposure with structured reasons', () => {
+    riskManager.recordExecution({ legs: [{ pool: 'XRP/RLUSD', notional: 1500 }] });
+
+    const rejected = jest.fn();
+    const broadcaster = { broadcast: jest.fn() };
+    riskManager.on('rejected', rejected);
+    riskManager.addBroadcaster(broadcaster);
+
+    const result = riskManager.validateAction({ type: 'rebalance', source: 'test', legs: [{ pool: 'XRP/RLUSD', notional: 1200 }] });
+
+    expect(result.approved).toBe(false);
+    expect(result.reasons.map(r => r.code)).toEqual([REJECTION_CODES.MAX_ORDER_NOTIONAL, REJECTION_CODES.POOL_EXPOSURE]);
+    expect(rejected).toHaveBeenCalledWith(result);
+    expect(broadcaster.broadcast).toHaveBeenCalledWith(expect.objectContaining({ type: 'risk_rejection' }));
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('applies the tighter limit to clawback-enabled issuers', () => {
+    const result = riskManager.validateAction({
+      type: 'allocation',
+      source: 'test',
+      legs: [{ pool: 'eco-rwa', issuer: 'rIssuer', notional: 600, clawbackEnabled: true }]
+    });
+
+    expect(result.reasons.map(r => r.code)).toEqual([REJECTION_CODES.CLAWBACK_ISSUER_EXPOSURE]);
+  });
+
+  test('stops risk-increasing trades after the daily loss limit but allows reductions', () => {
+    riskManager.recordExecution({ legs: [{ pool: 'XRP/RLUSD', notional: 500 }] });
+    riskManager.recordPnL(-150);
+
+    expect(riskManager.validateAction({ legs: [{ pool: 'XRP/RLUSD', notional: 10 }] }).reasons[0].code)
+      .toBe(REJECTION_CODES.DAILY_LOSS_LIMIT);
+    expect(riskManager.validateAction({ legs: [{ pool: 'XRP/RLUSD', notional: -200 }] }).approved).toBe(true);
+  });
+
+  test('checks target allocations against the change from current exposure', () => {
+    const first = riskManager.validateAction(RiskManager.actionFromAllocation({ rlusd: 900 }, 'test'));
+    riskManager.recordExecution(first.action);
+
+    const second = riskManager.validateAction(RiskManager.actionFromAllocation({ rlusd: 1800 }, 'test'));
+    expect(second.approved).toBe(true);
+    expect(second.action.legs[0].notional).toBe(900);
+
+    riskManager.recordExecution(second.action);
+    expect(riskManager.getStatus().poolExposure.rlusd).toBe(1800);
+  });
+
+  test('assertAction throws a RiskRejectionError for XRPL transactions over the limit', () => {
+    const action = RiskManager.actionFromTransaction({
+      TransactionType: 'Payment',
+      Destination: 'rDest',
+      Amount: { currency: 'USD', issuer: 'rIssuer', value: '5000' }
+    }, 'network-connector');
+
+    expect(() => riskManager.assertAction(action)).toThrow(RiskRejectionError);
+  });
+
+  test('books repeated payouts to the same destination as released holdings, not pool exposure', () => {
+    riskManager.recordExecution({ legs: [{ pool: 'USD/XRP', issuer: 'rIssuer', notional: 2500 }] });
+    const payout = RiskManager.actionFromTransaction({
+      TransactionType: 'Payment',
+      Account: 'rTreasury',
+      Destination: 'rDest',
+      Amount: { currency: 'USD', issuer: 'rIssuer', value: '900' }
+    }, 'commission-payouts');
+
+    for (let i = 0; i < 5; i++) {
+      riskManager.recordExecution(riskManager.assertAction(payout).action);
+    }
+
+    const status = riskManager.getStatus();
+    expect(Object.keys(status.poolExposure)).toEqual(['USD/XRP']);
+    expect(status.issuerExposure.rIssuer).toBe(0);
+
+    // XRP payouts carry no pool or issuer at all
+    const xrpPayout = RiskManager.actionFromTransaction({ TransactionType: 'Payment', Account: 'rTreasury', Destination: 'rDest', Amount: '900000000' });
+    expect(xrpPayout.legs).toEqual([{ pool: null, notional: -900 }]);
+    expect(riskManager.validateAction(xrpPayout).approved).toBe(true);
+  });
+
+  test('treats a payment to ourselves as a conversion into the delivered asset', () => {
+    const action = RiskManager.actionFromTransaction({
+      TransactionType: 'Payment',
+      Account: 'rTreasury',
+      Destination: 'rTreasury',
+      Amount: { currency: 'USD', issuer: 'rIssuer', value: '100' },
+      SendMax: '210000000'
+    });
+
+    expect(action.legs).toEqual([{ pool: 'USD.rIssuer/XRP', issuer: 'rIssuer', notional: 100 }]);
+  });
+
+  test('reaches the daily loss limit from realized PnL reported with executions', () => {
+    const trade = { legs: [{ pool: 'XRP/RLUSD', notional: 10 }] };
+    riskManager.recordExecution(trade, { realizedPnL: -60 });
+    expect(riskManager.validateAction(trade).approved).toBe(true);
+
+    const fee = RiskManager.realizedPnLFromResponse({ result: { tx_json: { Fee: '12' } } }, { xrpPrice: 2 });
+    expect(fee).toBeCloseTo(-0.000024);
+    riskManager.recordExecution(trade, { realizedPnL: -40 + fee });
+
+    expect(riskManager.getStatus().daily.realizedPnL).toBeCloseTo(-100.000024);
+    expect(riskManager.validateAction(trade).reasons.map(r => r.code)).toEqual([REJECTION_CODES.DAILY_LOSS_LIMIT]);
+  });
+});
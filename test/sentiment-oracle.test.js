@@ -0,0 +1,127 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { SentimentOracleNetwork } = require('../src/oracle/sentiment-oracle');
+const { FileDropSource, FeedSource, WebhookSource } = require('../src/oracle/sentiment-sources');
+const { TimeSeriesStore } = require('../src/services/timeseries-store');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  <item><guid>a1</guid><title>XRP ETF approval expected</title><description><![CDATA[<p>Analysts see <b>massive inflows</b></p>]]></description></item>
+  <item><guid>a2</guid><title>Exchange outage halts XRP trading</title></item>
+</channel></rss>`;
+
+describe('SentimentOracleNetwork', () => {
+  let storageDir;
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentiment-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('scores with keyword-tuned lexicons, drops duplicates and weights by credibility', async () => {
+    const oracle = new SentimentOracleNetwork({
+      storageDir: null,
+      timeSeries: null,
+      keywords: { ETF: { weight: 2, lexicon: { delay: -1 } } },
+      credibility: { news: 1, twitter: 0.25 }
+    });
+    const now = Date.now();
+
+    const result = await oracle.ingest([
+      { id: '1', source: 'twitter', text: 'XRP to the moon, very bullish!', timestamp: now },
+      { id: '1', source: 'twitter', text: 'XRP to the moon, very bullish!!', timestamp: now }, // Same ID
+      { id: '2', source: 'twitter', text: 'RT @whale: XRP to the moon, very bullish! https://t.co/x', timestamp: now }, // Same text
+      { id: '3', source: 'news', text: 'SEC delay on XRP ETF decision', timestamp: now },
+      { source: 'news', text: '' }
+    ]);
+
+    expect(result).toEqual({ accepted: 2, duplicates: 2, rejected: 1 });
+
+    const xrp = await oracle.getSentiment('XRP');
+    expect(xrp.volume).toBe(2);
+    expect(xrp).toMatchObject({ positive: 1, negative: 1 });
+    expect(xrp.sources.twitter).toBeGreaterThan(0.5);
+    expect(xrp.sources.news).toBeLessThan(0.5);
+    // The negative news post carries more credibility and the ETF keyword weight
+    expect(xrp.score).toBeLessThan(0.3);
+
+    const etf = oracle.getKeywordSentiment('etf');
+    expect(etf.mentions).toBe(1);
+    expect(etf.score).toBeLessThan(0.2);
+    expect(oracle.getKeywordSentiment('#Nasdaq2025')).toBeNull();
+    expect((await oracle.getLatestSentiment()).aggregateScore).toBe(xrp.score);
+  });
+
+  test('ingests file drops, RSS feeds and webhook pushes, then serves history after a restart', async () => {
+    const dropDir = path.join(storageDir, 'drops');
+    fs.mkdirSync(dropDir);
+    fs.writeFileSync(path.join(dropDir, 'batch.ndjson'), [
+      JSON.stringify({ id: 'd1', text: 'Loving #XRPLGreenDeFi yields, green and sustainable' }),
+      JSON.stringify({ id: 'd2', text: '#XRPLGreenDeFi growth is strong' })
+    ].join('\n'));
+
+    const feedServer = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+      res.end(RSS);
+    });
+    await new Promise(resolve => feedServer.listen(0, '127.0.0.1', resolve));
+    const webhook = new WebhookSource({ secret: 'hunter2' });
+    const timeSeries = new TimeSeriesStore({ storageDir: null });
+
+    const oracle = new SentimentOracleNetwork({
+      storageDir,
+      timeSeries,
+      sources: [
+        new FileDropSource({ directory: dropDir }),
+        new FeedSource({ name: 'news', url: `http://127.0.0.1:${feedServer.address().port}/rss` }),
+        webhook
+      ],
+      credibility: { news: 1 }
+    });
+    const updates = [];
+    oracle.on('sentiment-update', update => updates.push(update));
+
+    try {
+      await oracle.initialize({ searchTerms: ['#Nasdaq2025'] });
+      expect(fs.readdirSync(path.join(dropDir, 'processed'))).toEqual(['batch.ndjson']);
+
+      const pushed = await axios.post(webhook.url, { posts: [{ id: 'w1', text: '#Nasdaq2025 rally lifts XRP' }] }, { headers: { 'X-Webhook-Secret': 'hunter2' } });
+      expect(pushed.status).toBe(202);
+      expect(pushed.data).toEqual({ accepted: 1, duplicates: 0, rejected: 0 });
+      await expect(axios.post(webhook.url, { text: 'XRP crash' })).rejects.toMatchObject({ response: { status: 401 } });
+
+      // Re-polling the same feed adds nothing
+      expect(await oracle.refresh()).toMatchObject({ accepted: 0, duplicates: 2 });
+    } finally {
+      await oracle.shutdown();
+      await new Promise(resolve => feedServer.close(resolve));
+    }
+
+    expect(updates).toHaveLength(3);
+    const news = await oracle.getSentiment('XRP');
+    expect(news.volume).toBe(3);
+    expect(news.sources.news).toBeDefined();
+    expect(oracle.getTrends(2)).toEqual([
+      expect.objectContaining({ name: 'XRP', mentions: 3, previousMentions: 0, momentum: 'rising' }),
+      expect.objectContaining({ name: '#XRPLGreenDeFi', mentions: 2 })
+    ]);
+    expect(await oracle.getEcoSentiment('XRP')).toBeGreaterThan(0.6);
+
+    const daily = await oracle.getSentimentTrends('#XRPLGreenDeFi', 1);
+    expect(daily).toHaveLength(1);
+    expect(daily[0].score).toBeGreaterThan(0.7);
+
+    // Scored posts and dedupe keys are reloaded from storage
+    const restarted = new SentimentOracleNetwork({ storageDir, timeSeries: null });
+    expect((await restarted.getSentiment()).volume).toBe(5);
+    expect(await restarted.ingest([{ id: 'w1', source: 'webhook', text: 'edited text' }])).toMatchObject({ duplicates: 1 });
+  });
+});
@@ -0,0 +1,171 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { StakeEscrowManager, STAKE_STATUS } = require('../src/dao/stake-escrow');
+const { TransactionSubmitter } = require('../src/services/transaction-submitter');
+const YieldVoteDAO = require('../src/dao/yield-vote-dao');
+
+const HOUR = 3600 * 1000;
+
+function createClient(results = {}) {
+  let hashes = 0;
+  const submitted = [];
+  const validated = new Map();
+  const client = {
+    submitted,
+    results,
+    escrowExists: true,
+    getLedgerIndex: async () => 1000,
+    autofill: jest.fn(async tx => ({ Fee: '12', ...tx })),
+    request: jest.fn(async request => {
+      switch (request.command) {
+        case 'account_info':
+          return { result: { account_data: { Sequence: 100 } } };
+        case 'submit': {
+          const tx = JSON.parse(request.tx_blob);
+          const code = client.results[tx.TransactionType] || 'tesSUCCESS';
+          submitted.push(tx);
+          validated.set(tx.hash, { ...tx, validated: true, ledger_index: 1001, meta: { TransactionResult: code } });
+          return { result: { engine_result: code } };
+        }
+        case 'tx':
+          return { result: validated.get(request.transaction) };
+        case 'ledger_entry': {
+          if (client.escrowExists) return { result: {} };
+          const error = new Error('entryNotFound');
+          error.data = { error: 'entryNotFound' };
+          throw error;
+        }
+        default:
+          throw new Error(`Unexpected request ${request.command}`);
+      }
+    })
+  };
+  client.wallet = {
+    address: 'rVoter',
+    sign: tx => {
+      const hash = `HASH${++hashes}`;
+      return { hash, tx_blob: JSON.stringify({ ...tx, hash }) };
+    }
+  };
+  client.submitter = new TransactionSubmitter({ client, storagePath: null, pollInterval: 0 });
+  return client;
+}
+
+describe('StakeEscrowManager', () => {
+  let storagePath;
+
+  beforeEach(() => {
+    storagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stake-escrow-')), 'stakes.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('locks a stake in a self-escrow that finishes at the vote end', async () => {
+    const client = createClient();
+    const manager = new StakeEscrowManager({ client, submitter: client.submitter, storagePath });
+    const endsAt = Date.now() + HOUR;
+
+    const stake = await manager.lockStake({ wallet: client.wallet, proposalId: 'p1', option: 'yes', amount: 10, endsAt });
+
+    const tx = client.submitted[0];
+    expect(tx).toMatchObject({ TransactionType: 'EscrowCreate', Account: 'rVoter', Destination: 'rVoter', Amount: '10000000' });
+    expect(tx.CancelAfter - tx.FinishAfter).toBe(604800);
+    expect(stake).toMatchObject({ status: STAKE_STATUS.LOCKED, sequence: 100, owner: 'rVoter' });
+    expect(Math.abs(stake.finishAfter - endsAt)).toBeLessThan(1000);
+
+    // Survives a restart
+    expect(new StakeEscrowManager({ client, submitter: client.submitter, storagePath }).getStakes('p1')).toHaveLength(1);
+  });
+
+  test('keeps stakes pending until the vote ends, then finishes them', async () => {
+    const client = createClient();
+    const manager = new StakeEscrowManager({ client, submitter: client.submitter, storagePath });
+    const stake = await manager.lockStake({ wallet: client.wallet, proposalId: 'p1', option: 'yes', amount: 10, endsAt: Date.now() + HOUR });
+
+    const early = await manager.settle('p1', { wallet: client.wallet });
+    expect(early.pending).toHaveLength(1);
+    expect(early.totalOutstanding).toBe(10);
+
+    const report = await manager.settle('p1', { wallet: client.wallet, now: stake.finishAfter + 1000 });
+    expect(client.submitted[1]).toMatchObject({ TransactionType: 'EscrowFinish', Owner: 'rVoter', OfferSequence: 100 });
+    expect(report.returned).toHaveLength(1);
+    expect(report.totalReturned).toBe(10);
+    expect(manager.getOutstandingStakes()).toHaveLength(0);
+  });
+
+  test('cancels escrows that are past CancelAfter', async () => {
+    const client = createClient();
+    const manager = new StakeEscrowManager({ client, submitter: client.submitter, storagePath, settlementWindow: 60 });
+    const stake = await manager.lockStake({ wallet: client.wallet, proposalId: 'p1', option: 'no', amount: 5, endsAt: Date.now() + HOUR });
+
+    await manager.settle('p1', { wallet: client.wallet, now: stake.cancelAfter + 1000 });
+
+    expect(client.submitted[1].TransactionType).toBe('EscrowCancel');
+    expect(manager.getStakes('p1')[0].settledBy).toBe('EscrowCancel');
+  });
+
+  test('reports stakes that fail to return and retries them on the next run', async () => {
+    const client = createClient({ EscrowFinish: 'tecNO_PERMISSION' });
+    const manager = new StakeEscrowManager({ client, submitter: client.submitter, storagePath });
+    const stake = await manager.lockStake({ wallet: client.wallet, proposalId: 'p1', option: 'yes', amount: 10, endsAt: Date.now() + HOUR });
+    const now = stake.finishAfter + 1000;
+
+    const failed = await manager.settle('p1', { wallet: client.wallet, now });
+    expect(failed.failed).toHaveLength(1);
+    expect(failed.failed[0]).toMatchObject({ status: STAKE_STATUS.FAILED, lastError: 'EscrowFinish failed: tecNO_PERMISSION', attempts: 1 });
+    expect(console.warn).toHaveBeenCalled();
+
+    client.results.EscrowFinish = 'tesSUCCESS';
+    const [retried] = await manager.runSettlement(id => id === 'p1', { wallet: client.wallet, now });
+    expect(retried.returned[0]).toMatchObject({ status: STAKE_STATUS.RETURNED, settleTxHash: client.submitted[2].hash, attempts: 2 });
+  });
+
+  test('treats escrows the voter already closed as returned', async () => {
+    const client = createClient({ EscrowFinish: 'tecNO_TARGET' });
+    const manager = new StakeEscrowManager({ client, submitter: client.submitter, storagePath });
+    const stake = await manager.lockStake({ wallet: client.wallet, proposalId: 'p1', option: 'yes', amount: 10, endsAt: Date.now() + HOUR });
+    client.escrowExists = false;
+
+    const report = await manager.settle('p1', { wallet: client.wallet, now: stake.finishAfter + 1000 });
+
+    expect(report.returned[0].settledBy).toBe('external');
+    expect(client.request).toHaveBeenCalledWith(expect.objectContaining({ command: 'ledger_entry', escrow: { owner: 'rVoter', seq: 100 } }));
+  });
+});
+
+describe('YieldVoteDAO stakes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('locks each stake from the voter\'s own wallet', async () => {
+    const client = createClient();
+    const storagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stake-escrow-')), 'stakes.json');
+    const daoWallet = { address: 'rDAO', sign: client.wallet.sign };
+    const dao = new YieldVoteDAO(client, daoWallet, {
+      stakeEscrow: new StakeEscrowManager({ client, memoType: 'YieldVoteStake', submitter: client.submitter, storagePath })
+    });
+    dao.activeVotes.set('v1', { options: [{ name: 'yes' }], endTime: Date.now() + HOUR, stakes: new Map(), totalStaked: 0 });
+
+    // An address alone would lock the DAO's funds under the voter's name
+    await expect(dao.stakeVote('v1', 'yes', 10, 'rVoter')).rejects.toThrow(/requires that voter's wallet/);
+    expect(client.submitted).toHaveLength(0);
+
+    await dao.stakeVote('v1', 'yes', 10, client.wallet);
+    await dao.stakeVote('v1', 'yes', 5, 'rDAO');
+
+    expect(client.submitted.map(tx => [tx.Account, tx.Destination])).toEqual([['rVoter', 'rVoter'], ['rDAO', 'rDAO']]);
+    expect(JSON.parse(Buffer.from(client.submitted[0].Memos[0].Memo.MemoData, 'hex').toString())).toMatchObject({ voteId: 'v1', voter: 'rVoter' });
+    expect(Object.fromEntries(dao.activeVotes.get('v1').stakes)).toEqual({ 'rVoter-yes': 10, 'rDAO-yes': 5 });
+  });
+});
@@ -0,0 +1,122 @@
+const xrpl = require('xrpl');
+const { FakeRippled } = require('../src/test/fake-rippled');
+const { StatementExporter, TX_CATEGORIES } = require('../src/services/statement-exporter');
+
+jest.setTimeout(60000);
+
+const memo = type => [{ Memo: { MemoType: xrpl.convertStringToHex(type), MemoData: xrpl.convertStringToHex('test') } }];
+
+describe('StatementExporter', () => {
+  let server;
+  let ledger;
+  let client;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = new FakeRippled({ closeDelay: 5 });
+    ledger = server.ledger;
+    client = new xrpl.Client(await server.start());
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client.isConnected()) await client.disconnect();
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('classifies wallet activity and realizes gains per lot method', async () => {
+    const funder = ledger.createWallet(5000);
+    const issuer = ledger.createWallet(1000);
+    const friend = ledger.createWallet(1000);
+    const bot = xrpl.Wallet.generate();
+    const usd = value => ({ currency: 'USD', issuer: issuer.address, value: String(value) });
+    const submit = async (tx, wallet = bot) => (await client.submitAndWait({ Account: wallet.address, ...tx }, { wallet })).result;
+
+    // Funded at 0.5 USD/XRP
+    await submit({ TransactionType: 'Payment', Destination: bot.address, Amount: xrpl.xrpToDrops(1000) }, funder);
+    await submit({ TransactionType: 'TrustSet', LimitAmount: usd(1000) });
+    await submit({ TransactionType: 'TrustSet', LimitAmount: usd(1000) }, friend);
+    await submit({ TransactionType: 'Payment', Destination: friend.address, Amount: usd(200) }, issuer);
+    const resting = await submit({ TransactionType: 'OfferCreate', TakerGets: usd(60), TakerPays: xrpl.xrpToDrops(100) }, friend);
+
+    // XRP is at 0.6 from here on
+    const switchAt = xrpl.rippleTimeToUnixTime(resting.date);
+    const priceAt = (asset, timestamp) => (asset === 'XRP' ? (timestamp > switchAt ? 0.6 : 0.5) : null);
+
+    await submit({ TransactionType: 'Payment', Destination: bot.address, Amount: xrpl.xrpToDrops(20), Memos: memo('commission') }, funder);
+    await submit({ TransactionType: 'OfferCreate', TakerGets: xrpl.xrpToDrops(100), TakerPays: usd(60) });
+
+    const stake = await submit({
+      TransactionType: 'EscrowCreate',
+      Destination: bot.address,
+      Amount: xrpl.xrpToDrops(50),
+      FinishAfter: xrpl.isoTimeToRippleTime(new Date()) + 60,
+      Memos: memo('dao/vote')
+    });
+    ledger.advanceTime(120);
+    ledger.closeLedger();
+    await submit({ TransactionType: 'EscrowFinish', Owner: bot.address, OfferSequence: stake.Sequence });
+
+    // Mint with a 10% transfer fee, sell to friend for 10 XRP, friend resells for 20 XRP
+    const mint = await submit({ TransactionType: 'NFTokenMint', NFTokenTaxon: 0, Flags: xrpl.NFTokenMintFlags.tfTransferable, TransferFee: 10000 });
+    const nftokenID = mint.meta.nftoken_id;
+    const sale = await submit({ TransactionType: 'NFTokenCreateOffer', NFTokenID: nftokenID, Amount: xrpl.xrpToDrops(10), Flags: xrpl.NFTokenCreateOfferFlags.tfSellNFToken });
+    await submit({ TransactionType: 'NFTokenAcceptOffer', NFTokenSellOffer: sale.meta.offer_id }, friend);
+    const resale = await submit({ TransactionType: 'NFTokenCreateOffer', NFTokenID: nftokenID, Amount: xrpl.xrpToDrops(20), Flags: xrpl.NFTokenCreateOfferFlags.tfSellNFToken }, friend);
+    await submit({ TransactionType: 'NFTokenAcceptOffer', NFTokenSellOffer: resale.meta.offer_id }, funder);
+
+    // The ledger clock ran two minutes ahead for the escrow
+    const to = Date.now() + 10 * 60 * 1000;
+    const exporter = new StatementExporter({ client, priceAt, timeSeries: null });
+    const fifo = await exporter.buildStatement(bot.address, { to });
+
+    expect(fifo.transactions.map(entry => entry.category)).toEqual([
+      TX_CATEGORIES.TRANSFER_IN,
+      TX_CATEGORIES.OTHER,
+      TX_CATEGORIES.COMMISSION_PAYOUT,
+      TX_CATEGORIES.TRADE,
+      TX_CATEGORIES.DAO_STAKE,
+      TX_CATEGORIES.DAO_UNSTAKE,
+      TX_CATEGORIES.NFT_MINT,
+      TX_CATEGORIES.OTHER,
+      TX_CATEGORIES.NFT_SALE,
+      TX_CATEGORIES.ROYALTY
+    ]);
+
+    // 100 XRP from the 0.5 lot sold at the 0.6 fill price
+    const trade = fifo.disposals.find(disposal => disposal.category === TX_CATEGORIES.TRADE);
+    expect(trade).toMatchObject({ asset: 'XRP', quantity: 100, proceeds: expect.closeTo(60, 9), costBasis: expect.closeTo(50, 9), gain: expect.closeTo(10, 9) });
+    const nftSale = fifo.disposals.find(disposal => disposal.category === TX_CATEGORIES.NFT_SALE);
+    expect(nftSale).toMatchObject({ asset: `NFT.${nftokenID}`, proceeds: expect.closeTo(6, 9), costBasis: 0 });
+
+    // The stake never left the wallet's lots
+    expect(fifo.disposals.filter(disposal => disposal.category === TX_CATEGORIES.DAO_STAKE)).toEqual([]);
+    expect(fifo.income.map(item => [item.category, item.value])).toEqual([
+      [TX_CATEGORIES.COMMISSION_PAYOUT, expect.closeTo(12, 9)],
+      [TX_CATEGORIES.ROYALTY, expect.closeTo(1.2, 9)]
+    ]);
+
+    expect(fifo.periods).toHaveLength(1);
+    expect(fifo.totals.realizedGain).toBeCloseTo(16, 4);
+    expect(fifo.totals.income).toBeCloseTo(13.2, 9);
+    expect(fifo.totals.fees).toBeGreaterThan(0);
+    expect(fifo.holdings.find(holding => holding.asset === `USD.${issuer.address}`)).toMatchObject({ quantity: 60, costBasis: 60 });
+
+    // Average cost pools the 20 XRP commission lot at 0.6 with the 0.5 funding lot
+    const average = await exporter.buildStatement(bot.address, { to, method: 'average' });
+    const averaged = average.disposals.find(disposal => disposal.category === TX_CATEGORIES.TRADE);
+    expect(averaged.costBasis).toBeCloseTo(100 * (500 + 12) / 1020, 4);
+
+    // Later windows keep the basis from earlier history
+    const late = await exporter.buildStatement(bot.address, { from: xrpl.rippleTimeToUnixTime(mint.date), to });
+    expect(late.transactions[0].category).toBe(TX_CATEGORIES.NFT_MINT);
+    expect(late.disposals.some(disposal => disposal.category === TX_CATEGORIES.TRADE)).toBe(false);
+
+    const csv = StatementExporter.toCsv(fifo, 'disposals').trim().split('\n');
+    expect(csv[0]).toBe('date,hash,category,asset,quantity,acquired,proceeds,costBasis,gain,unmatchedQuantity');
+    expect(csv).toHaveLength(fifo.disposals.length + 1);
+    expect(StatementExporter.toCsv(fifo, 'periods').split('\n')[1]).toMatch(new RegExp(`^${fifo.periods[0].period},`));
+    expect(() => StatementExporter.toCsv(fifo, 'lots')).toThrow(/Unknown statement section/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Strategy Registry Tests
+ *
+ * Tests the strategy contract and registry's ability to:
+ * - Reject strategies that do not implement the contract
+ * - Build enabled strategies from config
+ * - Clamp proposals to declared capital limits
+ * - Ship a config covering every built-in strategy
+ */
+
+const { Strategy, assertStrategy, capitalWithinLimits, enforceCapitalLimits } = require('../src/strategies/strategy-contract');
+const path = require('path');
+const { StrategyRegistry, defaultRegistry } = require('../src/strategies/strategy-registry');
+
+class FixedSplitStrategy extends Strategy {
+  async proposeAllocation(capital) {
+    return { allocations: { rlusd: capital * 0.7, amm: capital * 0.5 } };
+  }
+}
+
+describe('Strategy Registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new StrategyRegistry();
+    registry.register('fixed-split', config => new FixedSplitStrategy(config));
+  });
+
+  it('should register every built-in bot strategy', () => {
+    const types = defaultRegistry.list().map(entry => entry.type);
+
+    expect(types).toEqual(expect.arrayContaining([
+      'nasdaq-xrpl-fusion',
+      'quantum-defi',
+      'yield-recovery',
+      'yield-empire-overlord',
+      'quantum-singularity-nexus',
+      'yield-empire-accelerator'
+    ]));
+  });
+
+  it('should reject objects that do not implement the contract', () => {
+    expect(() => assertStrategy({ id: 'broken', init() {} })).toThrow(/missing: onMarketData, proposeAllocation, teardown/);
+    registry.register('broken', () => ({ id: 'broken' }));
+    expect(() => registry.create('broken')).toThrow();
+  });
+
+  it('should fail loudly on unknown strategy types', () => {
+    expect(() => registry.create('does-not-exist')).toThrow(/Unknown strategy type/);
+  });
+
+  it('should load only enabled strategies from config', () => {
+    const loaded = registry.loadFromConfig([
+      { id: 'a', type: 'fixed-split', weight: 0.2 },
+      { id: 'b', type: 'fixed-split', enabled: false },
+      { id: 'c', type: 'fixed-split', capitalLimits: { maxCapital: 500 } }
+    ]);
+
+    expect(loaded.map(entry => entry.id)).toEqual(['a', 'c']);
+    expect(loaded[0].weight).toBe(0.2);
+    expect(loaded[1].strategy.getCapitalLimits().maxCapital).toBe(500);
+  });
+
+  it('should reject duplicate strategy ids', () => {
+    expect(() => registry.loadFromConfig([
+      { id: 'a', type: 'fixed-split' },
+      { id: 'a', type: 'fixed-split' }
+    ])).toThrow(/Duplicate strategy id/);
+  });
+
+  it('should report strategies that fail to build one by one when asked to skip them', () => {
+    const config = [
+      { id: 'a', type: 'fixed-split' },
+      { id: 'b', type: 'does-not-exist', weight: 0.3 }
+    ];
+    expect(() => registry.loadFromConfig(config)).toThrow(/Unknown strategy type/);
+
+    const loaded = registry.loadFromConfig(config, { skipFailed: true });
+    expect(loaded.map(entry => [entry.id, Boolean(entry.strategy)])).toEqual([['a', true], ['b', false]]);
+    expect(loaded[1]).toMatchObject({ type: 'does-not-exist', weight: 0.3, error: expect.objectContaining({ message: expect.stringMatching(/Unknown strategy type/) }) });
+  });
+
+  it('should clamp proposals to the declared capital limits', async () => {
+    const strategy = registry.create('fixed-split', { capitalLimits: { maxCapital: 1000, maxAllocation: 0.5 } });
+    const allowed = capitalWithinLimits(10000, strategy.getCapitalLimits());
+
+    const proposal = enforceCapitalLimits(await strategy.proposeAllocation(allowed), allowed);
+
+    expect(allowed).toBe(1000);
+    expect(proposal.clamped).toBe(true);
+    expect(proposal.totalAllocated).toBe(1000);
+    expect(proposal.allocations.rlusd + proposal.allocations.amm).toBeCloseTo(1000);
+  });
+
+  it('should give no capital below the declared minimum', () => {
+    expect(capitalWithinLimits(100, { minCapital: 500, maxCapital: Infinity, maxAllocation: 1 })).toBe(0);
+  });
+
+  it('should ship a config entry for every built-in strategy, with the DeFi bot enabled', () => {
+    const configPath = path.join(__dirname, '../src/config/strategies.json');
+    const { strategies } = require(configPath);
+
+    expect(strategies.map(entry => entry.type).sort()).toEqual(defaultRegistry.list().map(entry => entry.type).sort());
+    expect(defaultRegistry.loadFromConfig(configPath).map(entry => [entry.id, entry.type])).toEqual([
+      ['defi', 'quantum-defi'],
+      ['nexus', 'quantum-singularity-nexus']
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { TimeSeriesStore, MEASUREMENTS } = require('../src/services/timeseries-store');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2025, 6, 16, 0, 0, 0);
+
+describe('TimeSeriesStore', () => {
+  let storageDir;
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'timeseries-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records tagged series and reads them back after a restart', () => {
+    const store = new TimeSeriesStore({ storageDir });
+    const tags = { pair: 'XRP/USD' };
+    store.write(MEASUREMENTS.PRICE, { mid: 0.5, spread: 0.01, source: 'ledger' }, { tags, timestamp: T0 + 2 * MINUTE });
+    store.write(MEASUREMENTS.PRICE, { mid: 0.49 }, { tags, timestamp: T0 + MINUTE }); // Late arrival
+    store.write(MEASUREMENTS.PRICE, { mid: 1.1 }, { tags: { pair: 'XRP/EUR' }, timestamp: T0 });
+
+    const reloaded = new TimeSeriesStore({ storageDir });
+
+    expect(reloaded.range(MEASUREMENTS.PRICE, { tags, to: T0 + HOUR })).toEqual([
+      { timestamp: T0 + MINUTE, fields: { mid: 0.49 } },
+      { timestamp: T0 + 2 * MINUTE, fields: { mid: 0.5, spread: 0.01 } }
+    ]);
+    expect(reloaded.latest(MEASUREMENTS.PRICE, { tags })).toMatchObject({ timestamp: T0 + 2 * MINUTE, fields: { mid: 0.5, spread: 0.01 } });
+    expect(reloaded.listSeries(MEASUREMENTS.PRICE).map(series => series.tags.pair).sort()).toEqual(['XRP/EUR', 'XRP/USD']);
+    expect(() => reloaded.write(MEASUREMENTS.PRICE, { source: 'ledger' })).toThrow(/No numeric fields/);
+  });
+
+  test('resamples into fixed buckets with the chosen aggregate and fill', () => {
+    const store = new TimeSeriesStore({ storageDir: null });
+    [1, 3, 2].forEach((value, i) => store.write(MEASUREMENTS.VOLATILITY, { shortTerm: value }, { timestamp: T0 + i * 10 * MINUTE }));
+    store.write(MEASUREMENTS.VOLATILITY, { shortTerm: 5 }, { timestamp: T0 + 2 * HOUR });
+
+    const options = { from: T0, to: T0 + 2 * HOUR, interval: HOUR };
+    expect(store.resample(MEASUREMENTS.VOLATILITY, options).map(bucket => bucket.fields)).toEqual([{ shortTerm: 2 }, null, { shortTerm: 5 }]);
+    expect(store.resample(MEASUREMENTS.VOLATILITY, { ...options, aggregate: 'max', fill: 'previous' }).map(bucket => bucket.fields))
+      .toEqual([{ shortTerm: 3 }, { shortTerm: 3 }, { shortTerm: 5 }]);
+    expect(store.resample(MEASUREMENTS.VOLATILITY, { ...options, aggregate: 'last' })[0]).toEqual({ timestamp: T0, fields: { shortTerm: 2 }, count: 3 });
+    expect(() => store.resample(MEASUREMENTS.VOLATILITY, { aggregate: 'median' })).toThrow(/Unknown aggregate/);
+  });
+
+  test('downsamples expired raw points through the rollup tiers and then drops them', () => {
+    const store = new TimeSeriesStore({
+      storageDir,
+      retention: { raw: HOUR, rollups: [{ interval: 5 * MINUTE, retention: DAY }, { interval: HOUR, retention: 7 * DAY }] }
+    });
+    // One point a minute for three hours, value = minute index
+    for (let i = 0; i < 180; i++) {
+      store.write(MEASUREMENTS.PRICE, { mid: i }, { timestamp: T0 + i * MINUTE });
+    }
+    const total = { from: T0, to: T0 + 3 * HOUR, interval: 3 * HOUR, aggregate: 'sum' };
+    const expectedSum = (179 * 180) / 2;
+
+    const first = store.enforceRetention(T0 + 3 * HOUR);
+    expect(first.rolledUp).toBe(120);
+    const points = store.range(MEASUREMENTS.PRICE, { from: T0, to: T0 + 3 * HOUR });
+    expect(points[0]).toEqual({ timestamp: T0, fields: { mid: 2 }, resolution: 5 * MINUTE }); // Mean of minutes 0-4
+    expect(points.filter(point => !point.resolution)).toHaveLength(60);
+    expect(store.resample(MEASUREMENTS.PRICE, total)[0].fields.mid).toBe(expectedSum);
+
+    // Rollups survive a restart
+    const reloaded = new TimeSeriesStore({ storageDir, retention: store.retention });
+    reloaded.enforceRetention(T0 + 2 * DAY);
+    const hourly = reloaded.resample(MEASUREMENTS.PRICE, { from: T0, to: T0 + 2 * HOUR, interval: HOUR, aggregate: 'min' });
+    expect(hourly.map(bucket => bucket.fields.mid)).toEqual([0, 60, 120]);
+    expect(reloaded.range(MEASUREMENTS.PRICE, { from: T0 })[0].resolution).toBe(HOUR);
+    expect(reloaded.resample(MEASUREMENTS.PRICE, total)[0].fields.mid).toBe(expectedSum);
+
+    const last = reloaded.enforceRetention(T0 + 30 * DAY);
+    expect(last.dropped).toBe(3);
+    expect(reloaded.latest(MEASUREMENTS.PRICE)).toBeNull();
+  });
+});
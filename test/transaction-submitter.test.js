@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TransactionSubmitter, TransactionSubmitError, OUTCOME_STATUS } = require('../src/services/transaction-submitter');
+
+/**
+ * Fake rippled: engine results are taken from a queue (default tesSUCCESS),
+ * and transactions with a provisional result validate unless `dropped`.
+ */
+function createClient({ engineResults = [], sequence = 7 } = {}) {
+  let hashes = 0;
+  const client = {
+    ledgerIndex: 1000,
+    engineResults,
+    dropped: false,
+    submitted: [],
+    validated: new Map(),
+    getLedgerIndex: jest.fn(async () => client.ledgerIndex),
+    autofill: jest.fn(async tx => ({ Fee: '10', ...tx })),
+    request: jest.fn(async request => {
+      switch (request.command) {
+        case 'account_info':
+          return { result: { account_data: { Sequence: sequence } } };
+        case 'submit': {
+          const tx = JSON.parse(request.tx_blob);
+          const engineResult = client.engineResults.shift() || 'tesSUCCESS';
+          client.submitted.push({ ...tx, engineResult });
+          if (!client.dropped && /^(tes|tec)/.test(engineResult)) {
+            client.validated.set(tx.hash, { ...tx, validated: true, ledger_index: client.ledgerIndex + 1, meta: { TransactionResult: engineResult } });
+          }
+          return { result: { engine_result: engineResult } };
+        }
+        case 'tx': {
+          if (client.validated.has(request.transaction)) {
+            return { result: client.validated.get(request.transaction) };
+          }
+          const error = new Error('txnNotFound');
+          error.data = { error: 'txnNotFound' };
+          throw error;
+        }
+        default:
+          throw new Error(`Unexpected request ${request.command}`);
+      }
+    })
+  };
+  client.wallet = {
+    address: 'rSender',
+    sign: tx => {
+      const hash = `HASH${++hashes}`;
+      return { hash, tx_blob: JSON.stringify({ ...tx, hash }) };
+    }
+  };
+  return client;
+}
+
+const payment = { TransactionType: 'Payment', Account: 'rSender', Destination: 'rDest', Amount: '1000' };
+
+describe('TransactionSubmitter', () => {
+  let client;
+  let submitter;
+
+  beforeEach(() => {
+    client = createClient();
+    submitter = new TransactionSubmitter({ client, storagePath: null, pollInterval: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('allocates consecutive sequences and sets LastLedgerSequence', async () => {
+    await Promise.all([
+      submitter.submit(payment, { wallet: client.wallet }),
+      submitter.submit(payment, { wallet: client.wallet })
+    ]);
+
+    expect(client.submitted.map(tx => tx.Sequence)).toEqual([7, 8]);
+    expect(client.submitted[0].LastLedgerSequence).toBe(1020);
+    expect(client.request.mock.calls.filter(([r]) => r.command === 'account_info')).toHaveLength(1);
+  });
+
+  test('escalates the fee on telINSUF_FEE_P and keeps the sequence', async () => {
+    client.engineResults.push('telINSUF_FEE_P', 'telINSUF_FEE_P');
+
+    const result = await submitter.submit(payment, { wallet: client.wallet });
+
+    expect(client.submitted.map(tx => [tx.Fee, tx.Sequence])).toEqual([['10', 7], ['15', 7], ['23', 7]]);
+    expect(result.result.meta.TransactionResult).toBe('tesSUCCESS');
+    expect(submitter.getOutcome(client.submitted[0].hash).status).toBe(OUTCOME_STATUS.SUPERSEDED);
+    expect(submitter.getOutcome(result.result.hash)).toMatchObject({ status: OUTCOME_STATUS.SUCCESS, fee: '23' });
+  });
+
+  test('resubmits with a new LastLedgerSequence after expiry', async () => {
+    client.dropped = true;
+    client.getLedgerIndex.mockImplementation(async () => {
+      // The first transaction is dropped and the ledger moves past its LastLedgerSequence
+      if (client.submitted.length === 1 && client.dropped) {
+        client.dropped = false;
+        client.ledgerIndex = 1021;
+      }
+      return client.ledgerIndex;
+    });
+
+    const result = await submitter.submit(payment, { wallet: client.wallet });
+
+    expect(submitter.getOutcome(client.submitted[0].hash).status).toBe(OUTCOME_STATUS.EXPIRED);
+    expect(client.submitted[1]).toMatchObject({ Sequence: 7, LastLedgerSequence: 1041 });
+    expect(result.result.hash).toBe(client.submitted[1].hash);
+  });
+
+  test('returns the recorded outcome for a repeated idempotency key', async () => {
+    const first = await submitter.submit(payment, { wallet: client.wallet, idempotencyKey: 'payout-1' });
+    const second = await submitter.submit(payment, { wallet: client.wallet, idempotencyKey: 'payout-1' });
+
+    expect(client.submitted).toHaveLength(1);
+    expect(second.result.hash).toBe(first.result.hash);
+    expect(submitter.getOutcomeByKey('payout-1').status).toBe(OUTCOME_STATUS.SUCCESS);
+  });
+
+  test('throws on malformed transactions and hands the sequence back', async () => {
+    client.engineResults.push('temBAD_AMOUNT');
+
+    await expect(submitter.submit(payment, { wallet: client.wallet })).rejects.toThrow(TransactionSubmitError);
+    await submitter.submit(payment, { wallet: client.wallet });
+
+    expect(client.submitted.map(tx => tx.Sequence)).toEqual([7, 7]);
+    expect(submitter.getOutcome(client.submitted[0].hash)).toMatchObject({ status: OUTCOME_STATUS.FAILED, result: 'temBAD_AMOUNT' });
+  });
+
+  test('spends loaded tickets instead of the account sequence', async () => {
+    await submitter.loadTickets('rSender', [42, 41]);
+
+    await submitter.submit(payment, { wallet: client.wallet, useTicket: true });
+
+    expect(client.submitted[0]).toMatchObject({ Sequence: 0, TicketSequence: 41 });
+  });
+
+  test('spends the same ticket again when a ticketed transaction expires', async () => {
+    await submitter.loadTickets('rSender', [42, 41]);
+    client.dropped = true;
+    client.getLedgerIndex.mockImplementation(async () => {
+      if (client.submitted.length === 1 && client.dropped) {
+        client.dropped = false;
+        client.ledgerIndex = 1021;
+      }
+      return client.ledgerIndex;
+    });
+
+    await submitter.submit(payment, { wallet: client.wallet, useTicket: true });
+
+    expect(client.submitted.map(tx => tx.TicketSequence)).toEqual([41, 41]);
+    expect(await submitter.loadTickets('rSender', [])).toBe(1);
+  });
+
+  describe('outcome log', () => {
+    let dir;
+    let storagePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'submitter-'));
+      storagePath = path.join(dir, 'outcomes.ndjson');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const readLines = () => fs.readFileSync(storagePath, 'utf8').split('\n').filter(Boolean);
+
+    test('appends each state change and restores the latest record on restart', async () => {
+      submitter = new TransactionSubmitter({ client, storagePath, pollInterval: 0 });
+      await submitter.submit(payment, { wallet: client.wallet, idempotencyKey: 'payout-1' });
+
+      // Submitted, then finalized
+      expect(readLines().map(line => JSON.parse(line).status)).toEqual([OUTCOME_STATUS.PENDING, OUTCOME_STATUS.SUCCESS]);
+
+      fs.appendFileSync(storagePath, '{"hash":"HASH9","sta'); // Torn append from a crash
+      const restarted = new TransactionSubmitter({ client, storagePath, pollInterval: 0 });
+      expect(restarted.getOutcomeByKey('payout-1')).toMatchObject({ hash: 'HASH1', status: OUTCOME_STATUS.SUCCESS });
+      expect(restarted.outcomes.size).toBe(1);
+    });
+
+    test('drops finalized outcomes past the retention count and age', async () => {
+      submitter = new TransactionSubmitter({ client, storagePath, pollInterval: 0, maxOutcomes: 2 });
+      for (const key of ['a', 'b', 'c']) {
+        await submitter.submit(payment, { wallet: client.wallet, idempotencyKey: key });
+      }
+
+      expect(submitter.getOutcomeByKey('a')).toBeNull();
+      expect(Array.from(submitter.outcomes.keys())).toEqual(['HASH2', 'HASH3']);
+      expect(new TransactionSubmitter({ client, storagePath, maxOutcomes: 2 }).outcomes.size).toBe(2);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 60 * 1000);
+      expect(new TransactionSubmitter({ client, storagePath, outcomeRetention: 60 * 60 * 1000 }).outcomes.size).toBe(0);
+    });
+
+    test('compacts the log once it outgrows the kept records', async () => {
+      submitter = new TransactionSubmitter({ client, storagePath, pollInterval: 0, maxOutcomes: 10 });
+      for (let i = 0; i < 60; i++) {
+        await submitter.submit(payment, { wallet: client.wallet });
+      }
+
+      // 120 appended lines, compacted to the kept records at the 100th
+      expect(readLines()).toHaveLength(submitter.logLines);
+      expect(submitter.logLines).toBeLessThan(40);
+      expect(new TransactionSubmitter({ client, storagePath, maxOutcomes: 10 }).outcomes.size).toBe(10);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Walk-Forward Optimizer Tests
+ *
+ * Tests that parameters are tuned on training windows, scored on unseen
+ * test windows against the incumbent, and only promoted when they win
+ * out-of-sample.
+ */
+
+const {
+  simulateFusionStrategy,
+  splitWalkForward,
+  walkForwardOptimize,
+  FUSION_PARAMETER_SPACE
+} = require('../strategies/walk-forward-optimizer');
+const { NasdaqXrplFusionStrategy } = require('../strategies/nasdaq-xrpl-fusion');
+const { createSeededRandom } = require('../src/utils/seeded-random');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Trending NASDAQ (dips tend to follow dips), noisy sentiment, RLUSD pools out-yielding XRP pools
+function createHistory(days, seed = 42) {
+  const random = createSeededRandom(seed);
+  const snapshots = [];
+  let change = 0;
+  for (let i = 0; i < days; i++) {
+    change = 0.7 * change + (random() - 0.5) * 0.02;
+    snapshots.push({
+      timestamp: Date.UTC(2025, 0, 1) + i * DAY,
+      nasdaqChange: change,
+      etfSentiment: 0.4 + random() * 0.5,
+      pools: [
+        { name: 'XRP/RLUSD', apy: 0.2, isStable: true },
+        { name: 'XRP/USD', apy: 0.1, isStable: false }
+      ]
+    });
+  }
+  return snapshots;
+}
+
+// Dip trigger that never fires, heavy leverage on any sentiment above 0.5
+const POOR_PARAMETERS = {
+  leverageMultiplier: 3.0,
+  sentimentThreshold: 0.5,
+  nasdaqDipThreshold: 0.02,
+  xrplAllocationOnDip: 0.5,
+  rlusdPairWeight: 0.4
+};
+
+function createStrategy(options) {
+  return new NasdaqXrplFusionStrategy({
+    hyperAdaptive: {},
+    sentimentOracle: {},
+    circuitBreaker: {},
+    riskManager: {},
+    ...options
+  });
+}
+
+describe('Walk-Forward Optimizer', () => {
+  const history = createHistory(300);
+
+  it('should keep test windows after their training windows', () => {
+    const windows = splitWalkForward(history, { trainSize: 120, testSize: 30 });
+
+    expect(windows).toHaveLength(6);
+    windows.forEach(window => {
+      expect(window.train).toHaveLength(120);
+      expect(window.test).toHaveLength(31); // Last training bar plus 30 unseen bars
+      expect(window.testRange.from).toBeGreaterThan(window.trainRange.to);
+    });
+    expect(splitWalkForward(history, { trainSize: 120, testSize: 30, anchored: true })[5].train).toHaveLength(270);
+  });
+
+  it('should only earn returns on bars after each decision', () => {
+    const quiet = history.slice(0, 3).map(snapshot => ({ ...snapshot, nasdaqChange: 0, etfSentiment: 0.45, pools: [] }));
+    quiet[0].nasdaqChange = -0.05; // Dip on the first bar moves capital to XRPL for the second
+    quiet[2].nasdaqChange = 0.1;
+
+    const result = simulateFusionStrategy({ ...POOR_PARAMETERS, nasdaqDipThreshold: 0.01, xrplAllocationOnDip: 0.8 }, quiet, { costRate: 0 });
+    expect(result.periods).toBe(2);
+    expect(result.totalReturn).toBeCloseTo(0.2 * 0.1, 9);
+  });
+
+  it('should promote parameters that beat the incumbent out-of-sample', () => {
+    const report = walkForwardOptimize(history, {
+      incumbent: POOR_PARAMETERS,
+      trainSize: 120,
+      testSize: 30,
+      search: { iterations: 60, seed: 7 }
+    });
+
+    expect(report.windows).toHaveLength(6);
+    expect(report.outOfSample.score).toBeGreaterThan(report.incumbentOutOfSample.score);
+    expect(report.overfitting.walkForwardEfficiency).toEqual(expect.any(Number));
+    expect(Object.keys(report.overfitting.parameterStability)).toEqual(Object.keys(FUSION_PARAMETER_SPACE));
+    expect(report.promotion).toMatchObject({ promote: true, reasons: [] });
+    expect(report.candidate).toEqual(report.windows[5].parameters);
+
+    // Same seed, same search
+    const again = walkForwardOptimize(history, { incumbent: POOR_PARAMETERS, trainSize: 120, testSize: 30, search: { iterations: 60, seed: 7 } });
+    expect(again.candidate).toEqual(report.candidate);
+
+    const strategy = createStrategy({ ...POOR_PARAMETERS, history, walkForward: { trainSize: 120, testSize: 30, search: { iterations: 60, seed: 7 } } });
+    const updated = jest.fn();
+    strategy.on('parameters-updated', updated);
+
+    strategy.walkForwardOptimize();
+    expect(strategy.getParameters()).toEqual(report.candidate);
+    expect(updated).toHaveBeenCalledWith(expect.objectContaining({ source: 'walk-forward', outOfSampleImprovement: report.promotion.improvement }));
+    expect(strategy.getStats().lastWalkForward.promotion.promote).toBe(true);
+  });
+
+  it('should reject proposals that lose to the incumbent out-of-sample', () => {
+    const tuned = walkForwardOptimize(history, { incumbent: POOR_PARAMETERS, trainSize: 120, testSize: 30, search: { iterations: 60, seed: 7 } }).candidate;
+    const strategy = createStrategy({ ...tuned, history, walkForward: { testSize: 60 } });
+    const rejected = jest.fn();
+    strategy.on('parameters-rejected', rejected);
+
+    // A hyper-adaptive proposal is vetted against the latest history first
+    strategy.updateOptimizedParameters({ strategy: 'nasdaq-xrpl-fusion', parameters: POOR_PARAMETERS, expectedImprovement: 0.2 });
+
+    expect(strategy.getParameters()).toEqual(tuned);
+    expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ source: 'hyper-adaptive', improvement: expect.any(Number) }));
+    expect(rejected.mock.calls[0][0].improvement).toBeLessThan(0);
+  });
+
+  it('should keep the incumbent parameters when there is no history to vet a proposal', () => {
+    const strategy = createStrategy({ ...POOR_PARAMETERS });
+    const updated = jest.fn();
+    const rejected = jest.fn();
+    strategy.on('parameters-updated', updated);
+    strategy.on('parameters-rejected', rejected);
+
+    expect(strategy.promoteParameters({ leverageMultiplier: 1.5 }, { source: 'hyper-adaptive' })).toBe(false);
+
+    expect(strategy.getParameters()).toEqual(POOR_PARAMETERS);
+    expect(updated).not.toHaveBeenCalled();
+    expect(rejected).toHaveBeenCalledWith(expect.objectContaining({
+      source: 'hyper-adaptive',
+      improvement: null,
+      reasons: ['No recorded history to vet the parameters against']
+    }));
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xrpl = require('xrpl');
+const { WalletKeystore } = require('../src/services/wallet-keystore');
+const TestnetDeployer = require('../src/testnet/testnet-deployer');
+
+const FIRST_KEY = 'first-master-key-0123456789abcdef0123456789';
+const SECOND_KEY = 'second-master-key-0123456789abcdef012345678';
+
+describe('WalletKeystore', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('encrypts seeds and only signs inside withWallet', async () => {
+    const keystore = new WalletKeystore({ masterKey: FIRST_KEY, keyId: 'k1' });
+    const wallet = xrpl.Wallet.generate();
+    const record = keystore.encryptWallet(wallet);
+
+    expect(record).toMatchObject({ version: 1, keyId: 'k1', address: wallet.address, publicKey: wallet.publicKey });
+    expect(JSON.stringify(record)).not.toContain(wallet.seed);
+    expect(keystore.encryptWallet(wallet).salt).not.toBe(record.salt);
+
+    const serialized = WalletKeystore.serialize(record);
+    expect(WalletKeystore.isEncrypted(serialized)).toBe(true);
+    expect(WalletKeystore.isEncrypted(wallet.seed)).toBe(false);
+
+    const payment = { TransactionType: 'Payment', Account: wallet.address, Destination: xrpl.Wallet.generate().address, Amount: '1000', Fee: '12', Sequence: 1 };
+    let leaked;
+    const signed = await keystore.withWallet(serialized, decrypted => {
+      leaked = decrypted;
+      return decrypted.sign(payment);
+    });
+    expect(signed.hash).toBe(wallet.sign(payment).hash);
+
+    // The wallet is cleared once the transaction is signed
+    expect(leaked.seed).toBeUndefined();
+    expect(() => leaked.sign(payment)).toThrow();
+
+    // Cleared even when signing fails
+    await expect(keystore.withWallet(record, async decrypted => {
+      leaked = decrypted;
+      throw new Error('rejected');
+    })).rejects.toThrow('rejected');
+    expect(leaked.privateKey).toBeUndefined();
+
+    // Tampering and wrong keys fail authentication
+    const swapped = { ...record, address: xrpl.Wallet.generate().address };
+    await expect(keystore.withWallet(swapped, jest.fn())).rejects.toThrow(/failed authentication/);
+    const other = new WalletKeystore({ masterKey: SECOND_KEY, keyId: 'k1' });
+    await expect(other.withWallet(record, jest.fn())).rejects.toThrow(/failed authentication/);
+    expect(() => new WalletKeystore({ masterKey: 'short', keyId: 'k1' })).toThrow(/at least 32 bytes/);
+  });
+
+  test('rotates the master key and re-wraps records without touching the seed ciphertext', async () => {
+    const keystore = new WalletKeystore({ masterKey: FIRST_KEY, keyId: 'k1' });
+    const wallet = xrpl.Wallet.generate();
+    const record = keystore.encryptWallet(wallet);
+
+    expect(keystore.rotateMasterKey(SECOND_KEY, 'k2')).toBe('k1');
+    expect(() => keystore.rotateMasterKey(SECOND_KEY, 'k1')).toThrow(/already in use/);
+    expect(keystore.needsReencryption(record)).toBe(true);
+    expect(keystore.encryptWallet(wallet).keyId).toBe('k2');
+
+    // Old records still decrypt until re-encrypted
+    await expect(keystore.withWallet(record, decrypted => decrypted.address)).resolves.toBe(wallet.address);
+
+    const rotated = keystore.reencrypt(record);
+    expect(rotated).toMatchObject({ keyId: 'k2', ciphertext: record.ciphertext });
+    expect(rotated.salt).not.toBe(record.salt);
+    expect(keystore.needsReencryption(rotated)).toBe(false);
+    expect(WalletKeystore.parse(keystore.reencrypt(WalletKeystore.serialize(record))).keyId).toBe('k2');
+
+    expect(() => keystore.retireKey('k2')).toThrow(/active master key/);
+    keystore.retireKey('k1');
+    await expect(keystore.withWallet(record, jest.fn())).rejects.toThrow(/Master key k1 is not available/);
+    await expect(keystore.withWallet(rotated, decrypted => decrypted.address)).resolves.toBe(wallet.address);
+
+    // A process restarted after rotation reads retired keys from the previous key list
+    const restarted = new WalletKeystore({ masterKey: SECOND_KEY, keyId: 'k2', previousKeys: { k1: FIRST_KEY } });
+    await expect(restarted.withWallet(record, decrypted => decrypted.address)).resolves.toBe(wallet.address);
+  });
+
+  test('migrates a plaintext wallet file on first read', async () => {
+    const wallet = xrpl.Wallet.generate();
+    const walletPath = path.join(tmpDir, 'testnet-wallet.json');
+    fs.writeFileSync(walletPath, JSON.stringify({ address: wallet.address, seed: wallet.seed }));
+
+    const keystore = new WalletKeystore({ masterKey: FIRST_KEY, keyId: 'k1' });
+    const deployer = new TestnetDeployer({ walletPath, keystore });
+    await deployer.setupWallet();
+
+    expect(deployer.wallet).toEqual({ address: wallet.address, classicAddress: wallet.address, publicKey: wallet.publicKey });
+    const contents = fs.readFileSync(walletPath, 'utf8');
+    expect(contents).not.toContain(wallet.seed);
+    expect(fs.statSync(walletPath).mode & 0o777).toBe(0o600);
+    expect(keystore.readWalletFile(walletPath)).toEqual(deployer.walletRecord);
+    await expect(keystore.withWallet(deployer.walletRecord, decrypted => decrypted.seed)).resolves.toBe(wallet.seed);
+
+    expect(() => new WalletKeystore({ masterKey: null }).encryptSeed(wallet.seed)).toThrow(/KEYSTORE_MASTER_KEY/);
+  });
+});
@@ -1,9 +1,15 @@
 const express = require('express');
 const path = require('path');
+const xrpl = require('xrpl');
+const { PortfolioTracker } = require('./src/services/portfolio-tracker');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Real holdings for comma-separated PORTFOLIO_WALLETS (id=address or address); simulated figures otherwise
+const PORTFOLIO_WALLETS = (process.env.PORTFOLIO_WALLETS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+let portfolioTracker = null;
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -60,6 +66,27 @@ setInterval(() => {
   }
 }, 10000);
 
+// Mark tracked wallets to market every minute
+async function startPortfolioTracking() {
+  const client = new xrpl.Client(process.env.XRPL_URL || 'wss://s.altnet.rippletest.net:51233');
+  await client.connect();
+  portfolioTracker = new PortfolioTracker({
+    client,
+    wallets: PORTFOLIO_WALLETS.map(entry => {
+      const [id, address] = entry.includes('=') ? entry.split('=') : [entry, entry];
+      return { id, address };
+    })
+  });
+  
+  const refresh = () => portfolioTracker.refresh().catch(error => console.error('Portfolio refresh failed:', error.message));
+  await refresh();
+  setInterval(refresh, 60000);
+}
+
+if (PORTFOLIO_WALLETS.length > 0) {
+  startPortfolioTracking().catch(error => console.error('Portfolio tracking unavailable:', error.message));
+}
+
 // API Routes
 app.get('/api/status', (req, res) => {
   res.json(beastModeData);
@@ -70,14 +97,48 @@ app.get('/api/yields', (req, res) => {
 });
 
 app.get('/api/performance', (req, res) => {
+  const snapshot = portfolioTracker && portfolioTracker.getSnapshot();
+  if (snapshot) {
+    const { value, costBasis, unrealizedPnl, realizedPnl, dailyPnl } = snapshot.totals;
+    // APY annualizes today's PnL against the value at the start of the day
+    const dayOpenValue = value - dailyPnl;
+    const apy = dayOpenValue > 0 ? (dailyPnl / dayOpenValue) * 365 * 100 : 0;
+    res.json({
+      apy,
+      balance: value,
+      monthlyIncome: dailyPnl * 30,
+      // Realized plus unrealized PnL, in the quote currency
+      totalYields: realizedPnl + unrealizedPnl,
+      quoteCurrency: snapshot.quoteCurrency,
+      costBasis,
+      unrealizedPnl,
+      realizedPnl,
+      dailyPnl,
+      exposure: snapshot.exposure,
+      timestamp: snapshot.timestamp,
+      simulated: false
+    });
+    return;
+  }
+  
   res.json({
     apy: beastModeData.apy,
     balance: beastModeData.balance,
     monthlyIncome: beastModeData.monthlyIncome,
-    totalYields: beastModeData.totalYields
+    totalYields: beastModeData.totalYields,
+    simulated: true
   });
 });
 
+app.get('/api/portfolio', (req, res) => {
+  const snapshot = portfolioTracker && portfolioTracker.getSnapshot();
+  if (!snapshot) {
+    res.status(503).json({ error: PORTFOLIO_WALLETS.length > 0 ? 'Portfolio not loaded yet' : 'Set PORTFOLIO_WALLETS to track wallets' });
+    return;
+  }
+  res.json(snapshot);
+});
+
 // Main dashboard route
 app.get('/', (req, res) => {
   res.send(`
@@ -429,7 +490,7 @@ app.get('/', (req, res) => {
                     document.getElementById('current-apy').textContent = data.apy.toFixed(1) + '%';
                     document.getElementById('balance').textContent = data.balance.toFixed(0) + ' XRP';
                     document.getElementById('monthly-income').textContent = '$' + data.monthlyIncome.toLocaleString();
-                    document.getElementById('total-yields').textContent = data.totalYields;
+                    document.getElementById('total-yields').textContent = data.simulated ? data.totalYields : data.totalYields.toFixed(2) + ' ' + data.quoteCurrency;
                     document.getElementById('daily-yield').textContent = (data.balance * data.apy / 100 / 365).toFixed(1) + ' XRP';
                     document.getElementById('apy-display').textContent = 'APY: ' + data.apy.toFixed(1) + '%';
                     document.getElementById('update-time').textContent = 'Last Updated: ' + new Date().toLocaleString();